@@ -0,0 +1,119 @@
+/**
+ * `cwm attach`: connect the local terminal to a session's PTY over /ws/terminal.
+ *
+ * stdin is put in raw mode and forwarded as { type: 'input' } messages;
+ * terminal resizes are sent as { type: 'resize' } (the server only applies
+ * them for the owner, i.e. the first client attached). Output is written to
+ * stdout as-is. Ctrl-] detaches and leaves the PTY running, like closing a
+ * browser pane.
+ */
+
+const WebSocket = require('ws');
+
+const DETACH_KEY = '\x1d'; // Ctrl-]
+// Control messages the server sends as JSON text frames; anything else is output
+const CONTROL_TYPES = ['exit', 'error', 'role', 'viewers', 'recording'];
+
+/**
+ * Parse a frame as a control message.
+ * @param {string} text
+ * @returns {object|null} The message, or null if the frame is terminal output
+ */
+function parseControl(text) {
+  if (text.charAt(0) !== '{') return null;
+  try {
+    const msg = JSON.parse(text);
+    return msg && CONTROL_TYPES.includes(msg.type) ? msg : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Attach to a session until detached, the PTY exits, or the connection drops.
+ * @param {import('./client').ApiClient} client
+ * @param {object} session - Store session (spawn options come from it if the PTY isn't running)
+ * @param {object} [options]
+ * @param {boolean} [options.readOnly=false] - Attach as a viewer
+ * @returns {Promise<number>} Exit code (the PTY's, when it exited)
+ */
+function attach(client, session, { readOnly = false } = {}) {
+  const stdin = process.stdin;
+  const stdout = process.stdout;
+  const url = client.terminalUrl(session.id, {
+    cols: stdout.columns,
+    rows: stdout.rows,
+    role: readOnly ? 'viewer' : null,
+    cwd: session.workingDir || null,
+    provider: session.provider || null,
+    command: session.command || null,
+    resumeSessionId: session.resumeSessionId || null,
+    bypassPermissions: session.bypassPermissions ? 'true' : null,
+    model: session.model || null,
+  });
+
+  return new Promise((resolve) => {
+    const ws = new WebSocket(url);
+    let exitCode = 0;
+    let finished = false;
+
+    const sendResize = () => {
+      if (ws.readyState === WebSocket.OPEN && stdout.columns && stdout.rows) {
+        ws.send(JSON.stringify({ type: 'resize', cols: stdout.columns, rows: stdout.rows }));
+      }
+    };
+    const onInput = (chunk) => {
+      const data = chunk.toString('utf-8');
+      if (data.includes(DETACH_KEY)) return finish(0, '\r\n[detached]\r\n');
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'input', data }));
+    };
+
+    function finish(code, message) {
+      if (finished) return;
+      finished = true;
+      stdin.removeListener('data', onInput);
+      stdout.removeListener('resize', sendResize);
+      if (stdin.isTTY) stdin.setRawMode(false);
+      stdin.pause();
+      if (message) process.stderr.write(message);
+      try { ws.close(); } catch (_) {}
+      resolve(code);
+    }
+
+    ws.on('open', () => {
+      if (stdin.isTTY) stdin.setRawMode(true);
+      stdin.resume();
+      stdin.on('data', onInput);
+      stdout.on('resize', sendResize);
+      process.stderr.write(`[attached to ${session.name || session.id}; Ctrl-] to detach]\r\n`);
+    });
+
+    ws.on('message', (raw, isBinary) => {
+      const text = raw.toString('utf-8');
+      const control = isBinary ? null : parseControl(text);
+      if (!control) {
+        stdout.write(text);
+        return;
+      }
+      if (control.type === 'exit') {
+        exitCode = typeof control.exitCode === 'number' ? control.exitCode : 0;
+        finish(exitCode, `\r\n[process exited with code ${exitCode}]\r\n`);
+      } else if (control.type === 'error') {
+        finish(1, `\r\n[error: ${control.message}]\r\n`);
+      } else if (control.type === 'role' && control.role === 'viewer' && !readOnly) {
+        process.stderr.write('[read-only: another client owns this terminal]\r\n');
+      }
+    });
+
+    ws.on('unexpected-response', (_req, res) => {
+      const reason = res.statusCode === 401
+        ? 'not authorized (run `cwm login`, or use an API key with pty:attach)'
+        : `server refused the connection (${res.statusCode})`;
+      finish(1, `cwm attach: ${reason}\n`);
+    });
+    ws.on('error', (err) => finish(1, `cwm attach: ${err.message}\n`));
+    ws.on('close', () => finish(exitCode, finished ? null : '\r\n[connection closed]\r\n'));
+  });
+}
+
+module.exports = { attach, parseControl, DETACH_KEY };
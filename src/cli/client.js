@@ -0,0 +1,119 @@
+/**
+ * REST client for the `cwm` subcommands.
+ *
+ * Talks to a running Myrlin server (npm run gui) with a stored token.
+ * `cwm login` saves { url, token } to ~/.cwm/cli.json (mode 0600); the
+ * CWM_URL and CWM_TOKEN environment variables override it, so scripts can
+ * use an API key without logging in.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_URL = `http://127.0.0.1:${parseInt(process.env.PORT, 10) || 3456}`;
+const CONFIG_FILE = process.env.CWM_CLI_CONFIG || path.join(os.homedir(), '.cwm', 'cli.json');
+
+/** Error for a failed API call; `status` is the HTTP status (0 if unreachable). */
+class ApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read the saved CLI config.
+ * @returns {{ url?: string, token?: string, username?: string }}
+ */
+function loadConfig() {
+  try {
+    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+    return config && typeof config === 'object' ? config : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Save the CLI config, readable only by the current user.
+ * @param {object} config
+ */
+function saveConfig(config) {
+  fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true });
+  const tmpFile = CONFIG_FILE + '.tmp';
+  fs.writeFileSync(tmpFile, JSON.stringify(config, null, 2) + '\n', { encoding: 'utf-8', mode: 0o600 });
+  fs.renameSync(tmpFile, CONFIG_FILE);
+}
+
+/** Delete the saved CLI config. */
+function clearConfig() {
+  try { fs.unlinkSync(CONFIG_FILE); } catch (_) {}
+}
+
+class ApiClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.url] - Server URL (default: CWM_URL, saved config, then localhost)
+   * @param {string} [options.token] - Login token or API key (default: CWM_TOKEN, then saved config)
+   */
+  constructor({ url, token } = {}) {
+    const config = loadConfig();
+    this.url = (url || process.env.CWM_URL || config.url || DEFAULT_URL).replace(/\/+$/, '');
+    this.token = token || process.env.CWM_TOKEN || config.token || null;
+  }
+
+  /**
+   * Call the API.
+   * @param {string} method
+   * @param {string} apiPath - e.g. "/api/sessions"
+   * @param {object} [body] - Sent as JSON
+   * @returns {Promise<object>} Parsed JSON response
+   * @throws {ApiError} On a non-2xx response or if the server can't be reached
+   */
+  async request(method, apiPath, body) {
+    const headers = {};
+    if (this.token) headers.Authorization = 'Bearer ' + this.token;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    let res;
+    try {
+      res = await fetch(this.url + apiPath, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+    } catch (err) {
+      throw new ApiError(`Can't reach Myrlin at ${this.url} (${err.cause ? err.cause.code || err.cause.message : err.message}). Is it running (npm run gui)?`, 0);
+    }
+
+    let data = null;
+    try { data = await res.json(); } catch (_) {}
+    if (!res.ok) {
+      let message = (data && data.error) || `${res.status} ${res.statusText}`;
+      if (res.status === 401) message += this.token ? ' Run `cwm login` again.' : ' Run `cwm login` first.';
+      throw new ApiError(message, res.status);
+    }
+    return data || {};
+  }
+
+  get(apiPath) { return this.request('GET', apiPath); }
+  post(apiPath, body) { return this.request('POST', apiPath, body); }
+
+  /**
+   * WebSocket URL for a terminal.
+   * @param {string} sessionId
+   * @param {object} [params] - Extra query parameters (cols, rows, cwd, ...)
+   * @returns {string}
+   */
+  terminalUrl(sessionId, params = {}) {
+    const query = new URLSearchParams({ token: this.token || '', sessionId });
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null && value !== false) query.set(key, String(value));
+    }
+    return this.url.replace(/^http/, 'ws') + '/ws/terminal?' + query.toString();
+  }
+}
+
+module.exports = { ApiClient, ApiError, loadConfig, saveConfig, clearConfig, CONFIG_FILE, DEFAULT_URL };
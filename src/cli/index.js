@@ -0,0 +1,352 @@
+/**
+ * Non-interactive `cwm` subcommands against a running Myrlin server.
+ *
+ * Usage:
+ *   cwm login [--url URL] [--user NAME]      Save a sign-in token for the commands below
+ *   cwm logout                               Revoke and forget it
+ *   cwm ls [--workspace WS]                  Workspaces and their sessions
+ *   cwm ws ls                                Workspaces
+ *   cwm ws create NAME [--description D] [--color C]
+ *   cwm start|stop|restart SESSION
+ *   cwm cost SESSION|WORKSPACE
+ *   cwm search QUERY [--limit N]
+ *   cwm docs add-note WORKSPACE TEXT
+ *   cwm attach SESSION [--read-only]         Connect this terminal to the session's PTY
+ *
+ * SESSION and WORKSPACE are an ID, a unique ID prefix, or a name
+ * (case-insensitive). Every command takes --json to print the API response
+ * instead of a table. Exit codes: 0 ok, 1 failed, 2 bad usage.
+ */
+
+const { ApiClient, ApiError, loadConfig, saveConfig, clearConfig, CONFIG_FILE } = require('./client');
+
+/** Error for bad command-line usage (exit code 2). */
+class UsageError extends Error {}
+
+// Flags that take a value; everything else starting with -- is boolean
+const VALUE_FLAGS = ['url', 'user', 'workspace', 'description', 'color', 'limit'];
+
+const USAGE = `Usage: cwm [command] [--json]
+
+With no command, cwm opens the terminal UI. Commands talk to a running
+Myrlin server (npm run gui):
+
+  login [--url URL] [--user NAME]   Sign in and save a token (~/.cwm/cli.json)
+  logout                            Revoke and forget the saved token
+  ls [--workspace WS]               List workspaces and their sessions
+  ws ls                             List workspaces
+  ws create NAME [--description D] [--color C]
+  start|stop|restart SESSION        Control a session's process
+  cost SESSION|WORKSPACE            Token usage and estimated cost
+  search QUERY [--limit N]          Full-text search across Claude sessions
+  docs add-note WORKSPACE TEXT      Add a note to a workspace's docs
+  attach SESSION [--read-only]      Connect this terminal to the session (Ctrl-] detaches)
+
+SESSION and WORKSPACE are an ID, ID prefix or name. --json prints raw JSON.
+CWM_URL and CWM_TOKEN (a login token or API key) override the saved login.`;
+
+/**
+ * Split arguments into positionals and --flags.
+ * @param {string[]} argv
+ * @returns {{ args: string[], flags: object }}
+ * @throws {UsageError} If a value flag has no value
+ */
+function parseArgs(argv) {
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      args.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const name = arg.slice(2, eq === -1 ? undefined : eq);
+    if (eq !== -1) {
+      flags[name] = arg.slice(eq + 1);
+    } else if (VALUE_FLAGS.includes(name)) {
+      if (i + 1 >= argv.length) throw new UsageError(`--${name} needs a value`);
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+  return { args, flags };
+}
+
+/**
+ * Find one item by ID, unique ID prefix, or case-insensitive name.
+ * @param {object[]} items - Objects with id and name
+ * @param {string} ref
+ * @param {string} kind - "session" or "workspace", for messages
+ * @returns {object}
+ * @throws {UsageError} If nothing or more than one item matches
+ */
+function resolveRef(items, ref, kind) {
+  const exact = items.find(item => item.id === ref);
+  if (exact) return exact;
+  const lower = ref.toLowerCase();
+  let matches = items.filter(item => (item.name || '').toLowerCase() === lower);
+  if (matches.length === 0) matches = items.filter(item => item.id.startsWith(ref));
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) throw new UsageError(`No ${kind} matches "${ref}"`);
+  throw new UsageError(`"${ref}" matches ${matches.length} ${kind}s: ${matches.map(m => `${m.name} (${m.id.slice(0, 8)})`).join(', ')}`);
+}
+
+/** @returns {string} `text` cut to `width` with an ellipsis */
+function truncate(text, width) {
+  const s = String(text == null ? '' : text);
+  return s.length > width ? s.slice(0, width - 1) + '…' : s;
+}
+
+/**
+ * Format rows as aligned columns.
+ * @param {string[]} headers
+ * @param {Array<Array<string|number>>} rows
+ * @returns {string}
+ */
+function formatTable(headers, rows) {
+  const cells = [headers, ...rows.map(row => row.map(c => String(c == null ? '' : c)))];
+  const widths = headers.map((_, i) => Math.max(...cells.map(row => row[i].length)));
+  return cells.map(row => row.map((c, i) => (i === row.length - 1 ? c : c.padEnd(widths[i]))).join('  ')).join('\n');
+}
+
+function formatCost(cost) {
+  return '$' + (cost || 0).toFixed(2);
+}
+
+function formatTokens(n) {
+  if (n >= 1_000_000) return (n / 1_000_000).toFixed(1) + 'M';
+  if (n >= 1_000) return (n / 1_000).toFixed(1) + 'k';
+  return String(n || 0);
+}
+
+/** Read a line from stdin without echoing it (for passwords). */
+function promptHidden(question) {
+  return new Promise((resolve, reject) => {
+    const stdin = process.stdin;
+    process.stderr.write(question);
+    if (!stdin.isTTY) {
+      // Piped: take the first line
+      let buffered = '';
+      stdin.setEncoding('utf-8');
+      stdin.on('data', (chunk) => { buffered += chunk; });
+      stdin.on('end', () => resolve(buffered.split(/\r?\n/)[0]));
+      stdin.on('error', reject);
+      return;
+    }
+    let value = '';
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf-8');
+    stdin.resume();
+    const onData = (chunk) => {
+      for (const ch of chunk) {
+        if (ch === '\r' || ch === '\n') {
+          stdin.setRawMode(false);
+          stdin.pause();
+          stdin.removeListener('data', onData);
+          process.stderr.write('\n');
+          return resolve(value);
+        }
+        if (ch === '\x03') {
+          stdin.setRawMode(false);
+          process.stderr.write('\n');
+          return reject(new UsageError('Cancelled'));
+        }
+        if (ch === '\x7f' || ch === '\b') value = value.slice(0, -1);
+        else value += ch;
+      }
+    };
+    stdin.on('data', onData);
+  });
+}
+
+// ─── Commands ──────────────────────────────────────────────
+
+async function findSession(client, ref) {
+  const { sessions } = await client.get('/api/sessions');
+  return resolveRef(sessions || [], ref, 'session');
+}
+
+async function findWorkspace(client, ref) {
+  const { workspaces } = await client.get('/api/workspaces');
+  return resolveRef(workspaces || [], ref, 'workspace');
+}
+
+function needArg(args, index, name) {
+  if (!args[index]) throw new UsageError(`Missing ${name}\n\n${USAGE}`);
+  return args[index];
+}
+
+const COMMANDS = {
+  async login(client, args, flags, out) {
+    const url = flags.url ? String(flags.url).replace(/\/+$/, '') : client.url;
+    const username = flags.user || process.env.CWM_USER || 'admin';
+    const password = process.env.CWM_PASSWORD || await promptHidden(`Password for ${username} at ${url}: `);
+    const result = await new ApiClient({ url }).post('/api/auth/login', { username, password });
+    saveConfig({ url, token: result.token, username: result.user ? result.user.username : username });
+    out(result.user || {}, () => `Signed in as ${(result.user && result.user.username) || username}. Token saved to ${CONFIG_FILE}`);
+  },
+
+  async logout(client, args, flags, out) {
+    const config = loadConfig();
+    if (config.token) {
+      try {
+        await new ApiClient({ url: config.url, token: config.token }).post('/api/auth/logout');
+      } catch (_) {
+        // The token may already be revoked or the server down; forget it anyway
+      }
+    }
+    clearConfig();
+    out({ success: true }, () => 'Signed out.');
+  },
+
+  async ls(client, args, flags, out) {
+    const [{ workspaces }, { sessions }] = await Promise.all([client.get('/api/workspaces'), client.get('/api/sessions')]);
+    let shown = workspaces || [];
+    if (flags.workspace) shown = [resolveRef(shown, String(flags.workspace), 'workspace')];
+    const result = shown.map(ws => ({ ...ws, sessions: (sessions || []).filter(s => s.workspaceId === ws.id) }));
+    out({ workspaces: result }, () => {
+      if (result.length === 0) return 'No workspaces. Create one with `cwm ws create NAME`.';
+      return result.map((ws) => {
+        const header = `${ws.name}  (${ws.id.slice(0, 8)}, ${ws.sessions.length} session${ws.sessions.length === 1 ? '' : 's'})`;
+        if (ws.sessions.length === 0) return header;
+        const rows = ws.sessions.map(s => ['  ' + s.id.slice(0, 8), truncate(s.name, 40), s.status || 'stopped', truncate(s.workingDir || '', 50)]);
+        return header + '\n' + formatTable(['  ID', 'NAME', 'STATUS', 'DIRECTORY'], rows);
+      }).join('\n\n');
+    });
+  },
+
+  async ws(client, args, flags, out) {
+    const sub = args[0] || 'ls';
+    if (sub === 'ls' || sub === 'list') {
+      const { workspaces } = await client.get('/api/workspaces');
+      return out({ workspaces }, () => formatTable(['ID', 'NAME', 'SESSIONS', 'DESCRIPTION'],
+        (workspaces || []).map(ws => [ws.id.slice(0, 8), truncate(ws.name, 40), ws.sessionCount, truncate(ws.description, 50)])));
+    }
+    if (sub === 'create') {
+      const name = args.slice(1).join(' ');
+      if (!name) throw new UsageError(`Missing NAME\n\n${USAGE}`);
+      const body = { name };
+      if (flags.description) body.description = String(flags.description);
+      if (flags.color) body.color = String(flags.color);
+      const { workspace } = await client.post('/api/workspaces', body);
+      return out({ workspace }, () => `Created workspace ${workspace.name} (${workspace.id})`);
+    }
+    throw new UsageError(`Unknown ws command "${sub}"\n\n${USAGE}`);
+  },
+
+  async start(client, args, flags, out) { return sessionAction('start', client, args, out); },
+  async stop(client, args, flags, out) { return sessionAction('stop', client, args, out); },
+  async restart(client, args, flags, out) { return sessionAction('restart', client, args, out); },
+
+  async cost(client, args, flags, out) {
+    const ref = needArg(args, 0, 'SESSION or WORKSPACE');
+    const { sessions } = await client.get('/api/sessions');
+    let session = null;
+    try { session = resolveRef(sessions || [], ref, 'session'); } catch (_) {}
+    if (session) {
+      const data = await client.get(`/api/sessions/${encodeURIComponent(session.id)}/cost`);
+      return out(data, () => costSummary(session.name, data));
+    }
+    const workspace = await findWorkspace(client, ref);
+    const data = await client.get(`/api/workspaces/${encodeURIComponent(workspace.id)}/cost`);
+    return out(data, () => costSummary(workspace.name, data) +
+      `\n${data.sessionsWithData} of ${data.sessionCount} sessions have transcripts`);
+  },
+
+  async search(client, args, flags, out) {
+    const query = args.join(' ');
+    if (!query) throw new UsageError(`Missing QUERY\n\n${USAGE}`);
+    const params = new URLSearchParams({ q: query });
+    if (flags.limit) params.set('limit', String(flags.limit));
+    const data = await client.get('/api/search?' + params.toString());
+    out(data, () => {
+      if (data.results.length === 0) return `No matches for "${data.query}"`;
+      const lines = data.results.map(r =>
+        `${r.timestamp ? r.timestamp.slice(0, 16).replace('T', ' ') : '-'}  ${truncate(r.projectName, 30)}  ${r.sessionId.slice(0, 8)}  [${r.role}]\n    ${r.snippet}`);
+      lines.push(`${data.totalMatches} match${data.totalMatches === 1 ? '' : 'es'}${data.timedOut ? ' (timed out; results are partial)' : ''}`);
+      return lines.join('\n');
+    });
+  },
+
+  async docs(client, args, flags, out) {
+    const sub = args[0];
+    if (sub !== 'add-note') throw new UsageError(`Unknown docs command "${sub || ''}"\n\n${USAGE}`);
+    const workspace = await findWorkspace(client, needArg(args, 1, 'WORKSPACE'));
+    const text = args.slice(2).join(' ');
+    if (!text) throw new UsageError(`Missing TEXT\n\n${USAGE}`);
+    const data = await client.post(`/api/workspaces/${encodeURIComponent(workspace.id)}/docs/notes`, { text });
+    out(data, () => `Added note to ${workspace.name}`);
+  },
+
+  async attach(client, args, flags) {
+    if (!process.stdin.isTTY || !process.stdout.isTTY) throw new UsageError('cwm attach needs an interactive terminal');
+    const session = await findSession(client, needArg(args, 0, 'SESSION'));
+    return require('./attach').attach(client, session, { readOnly: !!flags['read-only'] });
+  },
+};
+
+async function sessionAction(action, client, args, out) {
+  const session = await findSession(client, needArg(args, 0, 'SESSION'));
+  const result = await client.post(`/api/sessions/${encodeURIComponent(session.id)}/${action}`);
+  if (result.success === false) throw new ApiError(result.error || `Failed to ${action} session`, 200);
+  const past = { start: 'Started', stop: 'Stopped', restart: 'Restarted' }[action];
+  out({ sessionId: session.id, ...result }, () => `${past} ${session.name}${result.pid ? ` (PID ${result.pid})` : ''}`);
+}
+
+function costSummary(name, data) {
+  const lines = [
+    `${name}: ${formatCost(data.cost.total)}${data.pricedWithFallback ? ' (some models priced at the default rate)' : ''}`,
+    `tokens: ${formatTokens(data.tokens.input)} in, ${formatTokens(data.tokens.output)} out, ` +
+      `${formatTokens(data.tokens.cacheWrite)} cache write, ${formatTokens(data.tokens.cacheRead)} cache read`,
+  ];
+  const models = Object.entries(data.modelBreakdown || {});
+  if (models.length > 0) {
+    lines.push(formatTable(['MODEL', 'COST', 'OUTPUT'], models
+      .sort((a, b) => b[1].cost - a[1].cost)
+      .map(([model, m]) => [model, formatCost(m.cost), formatTokens(m.output)])));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * @param {string} [command] - First command-line argument
+ * @returns {boolean} True if it names a subcommand (otherwise cwm opens the TUI)
+ */
+function isCliCommand(command) {
+  return !!command && (Object.prototype.hasOwnProperty.call(COMMANDS, command) || ['help', '--help', '-h'].includes(command));
+}
+
+/**
+ * Run a subcommand.
+ * @param {string[]} argv - Arguments after `cwm`
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv) {
+  try {
+    const { args, flags } = parseArgs(argv);
+    const command = args.shift();
+    if (!command || command === 'help' || command === '-h' || flags.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) throw new UsageError(`Unknown command "${command}"\n\n${USAGE}`);
+
+    const out = (data, format) => console.log(flags.json ? JSON.stringify(data, null, 2) : format());
+    const code = await COMMANDS[command](new ApiClient(), args, flags, out);
+    return typeof code === 'number' ? code : 0;
+  } catch (err) {
+    const json = argv.includes('--json');
+    const message = err instanceof UsageError || err instanceof ApiError ? err.message : (err.stack || err.message);
+    if (json) console.log(JSON.stringify({ error: err.message, ...(err.status !== undefined ? { status: err.status } : {}) }, null, 2));
+    else console.error(`cwm: ${message}`);
+    return err instanceof UsageError ? 2 : 1;
+  }
+}
+
+module.exports = { run, isCliCommand, parseArgs, resolveRef, formatTable, UsageError };
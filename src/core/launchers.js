@@ -0,0 +1,234 @@
+/**
+ * Session Launchers - How a session's process is started, checked and stopped
+ *
+ * Backends:
+ *   windows   A new console window (cmd /c start /wait cmd /k ...). The PID is
+ *             the outer cmd, which lives until the window is closed.
+ *   tmux      One window per session in the "cwm" tmux session. The PID is the
+ *             window's pane process; the handle is the tmux window ID (@N), so a
+ *             reused PID in some other window never counts as alive.
+ *   headless  A detached pty-host.js process running the command in a PTY with
+ *             output logged to state/headless/<sessionId>.log. The PID is the
+ *             host, which exits with the command.
+ *
+ * The backend is picked by the CWM_LAUNCHER env var, else settings.launcher,
+ * else 'auto': windows on Windows, otherwise tmux when installed, otherwise
+ * headless. Sessions remember the backend that launched them (session.launcher)
+ * so liveness checks and stop use the right process model after a restart.
+ */
+
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const LAUNCHER_NAMES = ['windows', 'tmux', 'headless'];
+const TMUX_SESSION = 'cwm';
+const HEADLESS_LOG_DIR = path.join(__dirname, '..', '..', 'state', 'headless');
+const PTY_HOST_SCRIPT = path.join(__dirname, 'pty-host.js');
+
+/**
+ * Check if a PID is alive on the system.
+ * @param {number} pid - Process ID to check
+ * @returns {boolean}
+ */
+function isPidAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Run tmux synchronously.
+ * @param {string[]} args
+ * @returns {{ ok: boolean, stdout: string, stderr: string }}
+ */
+function tmux(args) {
+  const result = spawnSync('tmux', args, { encoding: 'utf-8', timeout: 5000 });
+  return {
+    ok: !result.error && result.status === 0,
+    stdout: (result.stdout || '').trim(),
+    stderr: (result.stderr || (result.error ? result.error.message : '')).trim(),
+  };
+}
+
+// ─── Backends ──────────────────────────────────────────────
+
+const windowsLauncher = {
+  name: 'windows',
+
+  isAvailable() {
+    return process.platform === 'win32';
+  },
+
+  /**
+   * @param {{ sessionId: string, name: string, command: string, cwd: string }} target
+   * @returns {{ pid: number, handle: null, child: object }}
+   */
+  launch({ command, cwd }) {
+    // start /wait keeps the outer cmd alive until the console window closes
+    const child = spawn('cmd', ['/c', 'start', '/wait', 'cmd', '/k', command], {
+      detached: true,
+      stdio: 'ignore',
+      cwd,
+      shell: false,
+    });
+    // Unref so the parent process can exit independently
+    child.unref();
+    return { pid: child.pid, handle: null, child };
+  },
+
+  isAlive(session) {
+    return isPidAlive(session.pid);
+  },
+
+  stop(session) {
+    // Kill the whole tree: the outer cmd, its console window and Claude
+    const result = spawnSync('taskkill', ['/pid', String(session.pid), '/T', '/F'], { timeout: 5000 });
+    if (result.error || result.status !== 0) process.kill(session.pid);
+  },
+
+  attachCommand() {
+    return null;
+  },
+};
+
+const tmuxLauncher = {
+  name: 'tmux',
+
+  isAvailable() {
+    return process.platform !== 'win32' && tmux(['-V']).ok;
+  },
+
+  launch({ name, command, cwd }) {
+    const windowName = (name || 'claude').replace(/[.:]/g, '-').slice(0, 40);
+    const format = ['-P', '-F', '#{window_id} #{pane_pid}'];
+    // The first session creates the tmux session; later ones add windows to it
+    const result = tmux(['has-session', '-t', TMUX_SESSION]).ok
+      ? tmux(['new-window', '-d', '-t', TMUX_SESSION + ':', '-n', windowName, '-c', cwd, ...format, command])
+      : tmux(['new-session', '-d', '-s', TMUX_SESSION, '-n', windowName, '-c', cwd, ...format, command]);
+    if (!result.ok) throw new Error(`tmux: ${result.stderr || 'failed to open a window'}`);
+    const [windowId, panePid] = result.stdout.split(' ');
+    return { pid: parseInt(panePid, 10), handle: windowId, child: null };
+  },
+
+  isAlive(session) {
+    if (!session.launcherHandle) return isPidAlive(session.pid);
+    // The window closes when its command exits
+    const result = tmux(['display-message', '-p', '-t', session.launcherHandle, '#{pane_pid}']);
+    return result.ok && parseInt(result.stdout, 10) === session.pid;
+  },
+
+  stop(session) {
+    if (session.launcherHandle && tmux(['kill-window', '-t', session.launcherHandle]).ok) return;
+    process.kill(session.pid);
+  },
+
+  attachCommand(session) {
+    return session.launcherHandle
+      ? `tmux attach -t ${TMUX_SESSION} \\; select-window -t ${session.launcherHandle}`
+      : `tmux attach -t ${TMUX_SESSION}`;
+  },
+};
+
+const headlessLauncher = {
+  name: 'headless',
+
+  isAvailable() {
+    try {
+      require('node-pty');
+      return true;
+    } catch (_) {
+      return false;
+    }
+  },
+
+  launch({ sessionId, command, cwd }) {
+    if (!fs.existsSync(HEADLESS_LOG_DIR)) fs.mkdirSync(HEADLESS_LOG_DIR, { recursive: true });
+    const logFile = path.join(HEADLESS_LOG_DIR, `${sessionId}.log`);
+    const child = spawn(process.execPath, [PTY_HOST_SCRIPT, '--log', logFile, '--', command], {
+      detached: true,
+      stdio: 'ignore',
+      cwd,
+    });
+    child.unref();
+    return { pid: child.pid, handle: logFile, child };
+  },
+
+  isAlive(session) {
+    return isPidAlive(session.pid);
+  },
+
+  stop(session) {
+    // pty-host.js kills the PTY and exits on SIGTERM
+    process.kill(session.pid, 'SIGTERM');
+  },
+
+  attachCommand(session) {
+    return session.launcherHandle ? `tail -f "${session.launcherHandle}"` : null;
+  },
+};
+
+const LAUNCHERS = {
+  windows: windowsLauncher,
+  tmux: tmuxLauncher,
+  headless: headlessLauncher,
+};
+
+// ─── Selection ─────────────────────────────────────────────
+
+/**
+ * Pick the launcher for new sessions.
+ * @param {string} [preference='auto'] - 'auto' or a backend name
+ * @returns {object} Launcher backend
+ * @throws {Error} If the preference names an unknown or unavailable backend
+ */
+function resolveLauncher(preference = 'auto') {
+  if (preference && preference !== 'auto') {
+    const launcher = LAUNCHERS[preference];
+    if (!launcher) throw new Error(`Unknown launcher "${preference}". Valid: auto, ${LAUNCHER_NAMES.join(', ')}`);
+    if (!launcher.isAvailable()) throw new Error(`The ${preference} launcher is not available on this system`);
+    return launcher;
+  }
+  if (process.platform === 'win32') return windowsLauncher;
+  if (tmuxLauncher.isAvailable()) return tmuxLauncher;
+  if (headlessLauncher.isAvailable()) return headlessLauncher;
+  throw new Error('No session launcher available: install tmux, or node-pty for headless sessions');
+}
+
+/**
+ * The launcher that started a session. Sessions from before launchers were
+ * recorded were Windows console launches.
+ * @param {{ launcher?: string }} session
+ * @returns {object}
+ */
+function getLauncherFor(session) {
+  return LAUNCHERS[session.launcher] || windowsLauncher;
+}
+
+/**
+ * Whether a session's process is still running, per its launcher's process model.
+ * @param {{ pid: number|null, launcher?: string, launcherHandle?: string|null }} session
+ * @returns {boolean}
+ */
+function isSessionAlive(session) {
+  if (!session || !session.pid) return false;
+  try {
+    return getLauncherFor(session).isAlive(session);
+  } catch (_) {
+    return false;
+  }
+}
+
+module.exports = {
+  LAUNCHERS,
+  LAUNCHER_NAMES,
+  TMUX_SESSION,
+  resolveLauncher,
+  getLauncherFor,
+  isSessionAlive,
+  isPidAlive,
+};
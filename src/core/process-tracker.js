@@ -2,11 +2,14 @@
  * Process Tracker - Tracks running session processes
  * Maintains a map of sessionId -> process info, performs periodic health checks,
  * and updates the store when processes die unexpectedly.
+ * Liveness follows the launcher's process model (e.g. a tmux window must still
+ * exist, not just a process with the same PID); see launchers.js.
  */
 
 const { getStore } = require('../state/store');
+const { isSessionAlive } = require('./launchers');
 
-/** @type {Map<string, { pid: number, process: object|null, startTime: Date }>} */
+/** @type {Map<string, { pid: number, process: object|null, startTime: Date, launcher: string|null, handle: string|null }>} */
 const tracked = new Map();
 
 /** @type {NodeJS.Timeout|null} */
@@ -17,12 +20,17 @@ let healthCheckInterval = null;
  * @param {string} sessionId - Session ID
  * @param {number} pid - Process ID
  * @param {object|null} childProcess - The child_process instance (may be null for recovered sessions)
+ * @param {object} [launch]
+ * @param {string|null} [launch.launcher] - Launcher backend that started it
+ * @param {string|null} [launch.handle] - Backend handle (e.g. tmux window ID)
  */
-function track(sessionId, pid, childProcess = null) {
+function track(sessionId, pid, childProcess = null, { launcher = null, handle = null } = {}) {
   tracked.set(sessionId, {
     pid,
     process: childProcess,
     startTime: new Date(),
+    launcher,
+    handle,
   });
 }
 
@@ -35,8 +43,7 @@ function untrack(sessionId) {
 }
 
 /**
- * Check if a tracked session's process is still alive.
- * Uses signal 0 which doesn't kill the process but throws if it doesn't exist.
+ * Check if a tracked session's process is still alive, per its launcher.
  * @param {string} sessionId - Session ID to check
  * @returns {boolean} True if process is alive
  */
@@ -46,12 +53,7 @@ function isAlive(sessionId) {
     return false;
   }
 
-  try {
-    process.kill(entry.pid, 0);
-    return true;
-  } catch (_) {
-    return false;
-  }
+  return isSessionAlive({ pid: entry.pid, launcher: entry.launcher, launcherHandle: entry.handle });
 }
 
 /**
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * PTY Host - Runs one command in a pseudo-terminal, detached from any UI
+ *
+ * Started by the headless launcher (see launchers.js) as a detached process.
+ * Claude Code needs a TTY, so the command runs under node-pty and its output
+ * is appended to a log file (rotated to <log>.1 past MAX_LOG_BYTES). The host
+ * exits with the command's exit code, and kills the command on SIGTERM/SIGINT.
+ *
+ * Usage:
+ *   node src/core/pty-host.js --log <file> -- <command>
+ */
+
+const fs = require('fs');
+
+const MAX_LOG_BYTES = 5 * 1024 * 1024;
+const COLS = 120;
+const ROWS = 40;
+
+function main() {
+  const args = process.argv.slice(2);
+  const sep = args.indexOf('--');
+  const logIndex = args.indexOf('--log');
+  const logFile = logIndex !== -1 && logIndex < sep ? args[logIndex + 1] : null;
+  const command = sep !== -1 ? args.slice(sep + 1).join(' ') : '';
+  if (!logFile || !command) {
+    console.error('Usage: pty-host.js --log <file> -- <command>');
+    process.exit(2);
+  }
+
+  let logSize = 0;
+  try { logSize = fs.statSync(logFile).size; } catch (_) {}
+  const log = (text) => {
+    try {
+      if (logSize > MAX_LOG_BYTES) {
+        fs.renameSync(logFile, logFile + '.1');
+        logSize = 0;
+      }
+      fs.appendFileSync(logFile, text);
+      logSize += Buffer.byteLength(text);
+    } catch (_) {
+      // Nowhere left to report to; keep the command running
+    }
+  };
+
+  const pty = require('node-pty');
+  const env = { ...process.env };
+  // Keep Claude from detecting a nested session when Myrlin runs inside one
+  delete env.CLAUDECODE;
+  const [shell, shellArgs] = process.platform === 'win32'
+    ? ['cmd.exe', ['/c', command]]
+    : [process.env.SHELL || '/bin/sh', ['-c', command]];
+
+  log(`\r\n[pty-host] ${new Date().toISOString()} starting: ${command}\r\n`);
+  const child = pty.spawn(shell, shellArgs, {
+    name: 'xterm-256color',
+    cols: COLS,
+    rows: ROWS,
+    cwd: process.cwd(),
+    env,
+  });
+
+  child.onData(log);
+  child.onExit(({ exitCode }) => {
+    log(`\r\n[pty-host] ${new Date().toISOString()} exited with code ${exitCode}\r\n`);
+    process.exit(exitCode || 0);
+  });
+
+  const shutdown = () => {
+    try { child.kill(); } catch (_) {}
+    // onExit normally follows; don't hang if it doesn't
+    setTimeout(() => process.exit(0), 2000).unref();
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+main();
@@ -5,25 +5,13 @@
  */
 
 const { getStore } = require('../state/store');
-
-/**
- * Check if a PID is alive on the system.
- * @param {number} pid - Process ID to check
- * @returns {boolean}
- */
-function isPidAlive(pid) {
-  if (!pid) return false;
-  try {
-    process.kill(pid, 0);
-    return true;
-  } catch (_) {
-    return false;
-  }
-}
+const processTracker = require('./process-tracker');
+const { isSessionAlive } = require('./launchers');
 
 /**
  * Check for sessions that need recovery.
- * Finds all sessions marked 'running' and checks whether their PIDs are still alive.
+ * Finds all sessions marked 'running' and checks whether their processes are still
+ * alive, per the launcher that started them (a tmux window survives the TUI exiting).
  * @returns {{ healthy: object[], stale: object[], total: number }}
  */
 function checkForRecovery() {
@@ -35,7 +23,7 @@ function checkForRecovery() {
 
   for (const session of allSessions) {
     if (session.status === 'running') {
-      if (session.pid && isPidAlive(session.pid)) {
+      if (isSessionAlive(session)) {
         healthy.push(session);
       } else {
         stale.push(session);
@@ -68,6 +56,19 @@ function markStaleSessionsStopped() {
   return markedIds;
 }
 
+/**
+ * Resume tracking sessions whose processes outlived the previous run, so the
+ * process tracker's health check notices when they exit.
+ * @returns {string[]} IDs of the sessions now tracked
+ */
+function trackLiveSessions() {
+  const { healthy } = checkForRecovery();
+  for (const session of healthy) {
+    processTracker.track(session.id, session.pid, null, { launcher: session.launcher || null, handle: session.launcherHandle || null });
+  }
+  return healthy.map(s => s.id);
+}
+
 /**
  * Recover sessions that were previously running.
  * If autoRecover is enabled in settings, re-launches stopped sessions
@@ -121,7 +122,7 @@ function getRecoveryReport() {
 
   for (const session of allSessions) {
     if (session.status === 'running') {
-      if (session.pid && isPidAlive(session.pid)) {
+      if (isSessionAlive(session)) {
         healthy.push(session);
       } else {
         stale.push(session);
@@ -145,6 +146,7 @@ function getRecoveryReport() {
 module.exports = {
   checkForRecovery,
   markStaleSessionsStopped,
+  trackLiveSessions,
   recoverSessions,
   getRecoveryReport,
 };
@@ -1,16 +1,36 @@
 /**
  * Session Manager - Manages Claude Code session lifecycle
- * Handles launching, stopping, and restarting session processes on Windows.
+ * Handles launching, stopping, and restarting session processes through the
+ * configured launcher backend (Windows console, tmux or headless PTY; see launchers.js).
  */
 
-const { spawn } = require('child_process');
 const { getStore } = require('../state/store');
+const processTracker = require('./process-tracker');
+const { resolveLauncher, getLauncherFor, isSessionAlive } = require('./launchers');
+const { getProvider } = require('../providers');
 
 /**
- * Launch a Claude Code session by spawning a new Windows cmd process.
- * Updates the store with the new PID and sets status to 'running'.
+ * Build the command line for a session with its provider's resume, permission
+ * and model flags (see src/providers).
+ * @param {object} session - Store session
+ * @returns {string}
+ * @throws {Error} If the session's model or resume ID isn't safe on a command line
+ */
+function buildCommand(session) {
+  return getProvider(session.provider).buildCommand({
+    command: session.command,
+    resumeSessionId: session.resumeSessionId,
+    bypassPermissions: session.bypassPermissions,
+    model: session.model,
+  });
+}
+
+/**
+ * Launch a session's AI CLI with the configured launcher (CWM_LAUNCHER env
+ * var, else settings.launcher, else auto).
+ * Updates the store with the new PID, launcher and status 'running'.
  * @param {string} sessionId - The session ID to launch
- * @returns {{ success: boolean, pid?: number, error?: string }}
+ * @returns {{ success: boolean, pid?: number, launcher?: string, attachCommand?: string|null, error?: string }}
  */
 function launchSession(sessionId) {
   const store = getStore();
@@ -20,32 +40,25 @@ function launchSession(sessionId) {
     return { success: false, error: `Session ${sessionId} not found` };
   }
 
-  if (session.status === 'running' && session.pid) {
+  if (session.status === 'running' && isSessionAlive(session)) {
     return { success: false, error: `Session ${sessionId} is already running (PID: ${session.pid})` };
   }
 
   try {
-    const baseCommand = session.command || 'claude';
-    const bypassFlag = session.bypassPermissions ? ' --dangerously-skip-permissions' : '';
-    const command = baseCommand + bypassFlag;
+    const launcher = resolveLauncher(process.env.CWM_LAUNCHER || store.settings.launcher || 'auto');
+    const command = buildCommand(session);
     const workingDir = session.workingDir || process.cwd();
 
-    const child = spawn('cmd', ['/c', 'start', 'cmd', '/k', command], {
-      detached: true,
-      stdio: 'ignore',
-      cwd: workingDir,
-      shell: false,
-    });
-
-    const pid = child.pid;
-
-    // Unref so the parent process can exit independently
-    child.unref();
+    const { pid, handle, child } = launcher.launch({ sessionId, name: session.name, command, cwd: workingDir });
+    if (!pid) throw new Error(`${launcher.name} launcher did not report a PID`);
 
-    store.updateSessionStatus(sessionId, 'running', pid);
-    store.addSessionLog(sessionId, `Session launched with PID ${pid} (command: ${command})`);
+    store.updateSession(sessionId, { status: 'running', pid, launcher: launcher.name, launcherHandle: handle });
+    processTracker.track(sessionId, pid, child, { launcher: launcher.name, handle });
+    store.addSessionLog(sessionId, `Session launched with PID ${pid} via ${launcher.name} (command: ${command})`);
+    const attachCommand = launcher.attachCommand({ pid, launcherHandle: handle });
+    if (attachCommand) store.addSessionLog(sessionId, `Attach with: ${attachCommand}`);
 
-    return { success: true, pid, process: child };
+    return { success: true, pid, launcher: launcher.name, attachCommand, process: child };
   } catch (err) {
     store.updateSessionStatus(sessionId, 'error', null);
     store.addSessionLog(sessionId, `Failed to launch session: ${err.message}`);
@@ -72,8 +85,9 @@ function stopSession(sessionId) {
     return { success: true };
   }
 
+  processTracker.untrack(sessionId);
   try {
-    process.kill(session.pid);
+    getLauncherFor(session).stop(session);
     store.updateSessionStatus(sessionId, 'stopped', null);
     store.addSessionLog(sessionId, `Session stopped (PID ${session.pid} killed)`);
     return { success: true };
@@ -111,7 +125,7 @@ function restartSession(sessionId) {
 /**
  * Get process info for a session.
  * @param {string} sessionId - The session ID
- * @returns {{ pid: number|null, status: string, command: string }|null}
+ * @returns {{ pid: number|null, status: string, command: string, workingDir: string, launcher: string|null, attachCommand: string|null }|null}
  */
 function getSessionProcess(sessionId) {
   const store = getStore();
@@ -126,6 +140,8 @@ function getSessionProcess(sessionId) {
     status: session.status,
     command: session.command || 'claude',
     workingDir: session.workingDir || '',
+    launcher: session.launcher || null,
+    attachCommand: session.pid ? getLauncherFor(session).attachCommand(session) : null,
   };
 }
 
@@ -134,4 +150,5 @@ module.exports = {
   stopSession,
   restartSession,
   getSessionProcess,
+  buildCommand,
 };
@@ -7,12 +7,15 @@
  *   node src/index.js          Launch the TUI
  *   node src/index.js --demo   Launch with sample demo data
  *   node src/index.js --reset  Clear all state and start fresh
+ *   cwm <command> [--json]     Scriptable commands against a running server (see src/cli)
  */
 
 const { getStore } = require('./state/store');
 const { getNotificationManager } = require('./core/notifications');
-const { markStaleSessionsStopped } = require('./core/recovery');
+const { markStaleSessionsStopped, trackLiveSessions } = require('./core/recovery');
+const processTracker = require('./core/process-tracker');
 const { createApp } = require('./ui/app');
+const cli = require('./cli');
 
 function main() {
   const args = process.argv.slice(2);
@@ -46,6 +49,10 @@ function main() {
       `${staleIds.length} session(s) were found stale and marked stopped`);
   }
 
+  // Sessions still running (e.g. in tmux) are marked stopped when they exit
+  trackLiveSessions();
+  processTracker.startHealthCheck();
+
   // Populate demo data if --demo and no workspaces exist
   if (isDemo && Object.keys(store.workspaces).length === 0) {
     seedDemoData(store, notifications);
@@ -168,4 +175,8 @@ function seedDemoData(store, notifications) {
   store.save();
 }
 
-main();
+if (cli.isCliCommand(process.argv[2])) {
+  cli.run(process.argv.slice(2)).then((code) => process.exit(code));
+} else {
+  main();
+}
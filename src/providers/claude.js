@@ -0,0 +1,418 @@
+/**
+ * Claude Code provider adapter.
+ *
+ * Transcripts live in ~/.claude/projects/<encoded project dir>/<session UUID>.jsonl
+ * and are read through the persistent TranscriptIndex (see transcript-index.js),
+ * which also backs full-text search, cost reports and budgets. Resuming passes
+ * the session UUID to `claude --resume`.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TranscriptIndex } = require('../web/transcript-index');
+const { readFinalAssistantMessage } = require('../web/session-wait');
+const { buildTodoState } = require('../web/session-todos');
+const { cliArg } = require('./command-line');
+
+let _index = null;
+
+/**
+ * Decode a Claude projects directory name to a real filesystem path.
+ * Uses filesystem-aware greedy matching to correctly handle hyphens in directory names.
+ *
+ * Encoding rules:
+ *   "C--"  at start    →  "C:\"          (drive separator)
+ *   "--"   in middle   →  "\."           (dot-prefixed dir, e.g. .claude)
+ *   "-"    elsewhere   →  "\" OR literal "-"  (ambiguous — resolved via fs)
+ *
+ * Examples:
+ *   C--Users-Jane-Desktop-my-project
+ *     → C:\Users\Jane\Desktop\my-project
+ *   C--Users-Jane--claude
+ *     → C:\Users\Jane\.claude
+ */
+function decodeClaudePath(encoded) {
+  const driveMatch = encoded.match(/^([A-Z])--(.*)/);
+  if (!driveMatch) return encoded;
+
+  const drive = driveMatch[1] + ':\\';
+  const rest = driveMatch[2];
+  if (!rest) return drive;
+
+  // Split on '--' to handle dot-prefixed dirs (Jane--claude → Jane\.claude)
+  const majorParts = rest.split('--');
+  let resolved = drive;
+
+  for (let i = 0; i < majorParts.length; i++) {
+    const part = majorParts[i];
+    const dotPrefix = i > 0 ? '.' : '';
+    const tokens = part.split('-').filter(t => t.length > 0);
+
+    if (tokens.length === 0) continue;
+
+    // Dot-prefixed segments (after --) are a single directory name
+    if (dotPrefix) {
+      resolved = path.join(resolved, '.' + tokens.join('-'));
+      continue;
+    }
+
+    // For regular segments, greedily match against the real filesystem.
+    // Try the longest hyphenated name first so "claude-workspace-manager"
+    // resolves as ONE directory instead of three.
+    let idx = 0;
+    while (idx < tokens.length) {
+      let matched = false;
+
+      for (let len = tokens.length - idx; len > 1; len--) {
+        const candidate = tokens.slice(idx, idx + len).join('-');
+        const candidatePath = path.join(resolved, candidate);
+        try {
+          if (fs.existsSync(candidatePath)) {
+            resolved = candidatePath;
+            idx += len;
+            matched = true;
+            break;
+          }
+        } catch (_) { /* skip */ }
+      }
+
+      if (!matched) {
+        // Single token — treat as its own directory segment
+        resolved = path.join(resolved, tokens[idx]);
+        idx++;
+      }
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * The shared transcript index over ~/.claude/projects, created on first use.
+ * @returns {TranscriptIndex}
+ */
+function getIndex() {
+  if (!_index) _index = new TranscriptIndex({ decodePath: decodeClaudePath });
+  return _index;
+}
+
+/**
+ * Build the command line for a Claude Code session.
+ * @param {object} options
+ * @returns {string}
+ * @throws {Error} If resumeSessionId or model isn't safe on a command line
+ */
+function buildCommand({ command, resumeSessionId, bypassPermissions, verbose, model } = {}) {
+  let fullCommand = command || 'claude';
+  if (resumeSessionId) fullCommand += cliArg('--resume', resumeSessionId);
+  if (bypassPermissions) fullCommand += ' --dangerously-skip-permissions';
+  if (verbose) fullCommand += ' --verbose';
+  if (model) fullCommand += cliArg('--model', model);
+  return fullCommand;
+}
+
+/**
+ * Find the JSONL file for a Claude session UUID.
+ * Resolves through the transcript index; sessions created since the last
+ * index refresh fall back to a directory scan and are indexed on the spot.
+ * @param {string} sessionId - The Claude session UUID
+ * @returns {string|null} Full path to the .jsonl file, or null if not found
+ */
+function findTranscript(sessionId) {
+  const index = getIndex();
+  const indexed = index.findFile(sessionId);
+  if (indexed && fs.existsSync(indexed)) return indexed;
+
+  const claudeProjectsDir = path.join(os.homedir(), '.claude', 'projects');
+  if (!fs.existsSync(claudeProjectsDir)) return null;
+
+  try {
+    const projectDirs = fs.readdirSync(claudeProjectsDir, { withFileTypes: true })
+      .filter(d => d.isDirectory());
+
+    for (const dir of projectDirs) {
+      const candidate = path.join(claudeProjectsDir, dir.name, sessionId + '.jsonl');
+      if (fs.existsSync(candidate)) {
+        index.refreshFile(candidate);
+        return candidate;
+      }
+    }
+  } catch (_) {}
+  return null;
+}
+
+/**
+ * Token usage for a session, as its transcript index entry.
+ * @param {string} sessionId
+ * @returns {object|null}
+ */
+function getUsage(sessionId) {
+  if (!findTranscript(sessionId)) return null;
+  return getIndex().getEntry(sessionId);
+}
+
+/**
+ * Parse a JSONL file and extract subagent (Task tool) usage information.
+ * Scans for assistant messages containing tool_use blocks with name === 'Task',
+ * then matches them against tool_result entries to determine completion status.
+ * @param {string} jsonlPath - Absolute path to the .jsonl file
+ * @returns {object} Subagent data with agents array and summary
+ */
+function parseSubagents(jsonlPath) {
+  const content = fs.readFileSync(jsonlPath, 'utf-8');
+  const lines = content.split('\n').filter(l => l.trim());
+
+  // Maps: toolUseId -> subagent spawn data
+  const spawns = new Map();
+  // Maps: toolUseId -> tool_result data
+  const completions = new Map();
+
+  for (const line of lines) {
+    try {
+      const entry = JSON.parse(line);
+
+      // Check for subagent spawns: assistant messages with Task tool_use blocks
+      if (entry.type === 'assistant' && entry.message && Array.isArray(entry.message.content)) {
+        for (const block of entry.message.content) {
+          if (block.type === 'tool_use' && block.name === 'Task' && block.id) {
+            const input = block.input || {};
+            spawns.set(block.id, {
+              id: block.id,
+              description: input.description || '(no description)',
+              subagentType: input.subagent_type || 'general-purpose',
+              background: !!input.run_in_background,
+              spawnedAt: entry.timestamp || null,
+            });
+          }
+        }
+      }
+
+      // Check for subagent completions: tool_result entries matching a spawn
+      if (entry.type === 'tool_result' && entry.tool_use_id) {
+        completions.set(entry.tool_use_id, {
+          completedAt: entry.timestamp || null,
+          content: typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content || ''),
+        });
+      }
+    } catch (_) {
+      // Skip malformed lines
+    }
+  }
+
+  // Build the subagents array
+  const subagents = [];
+  const byType = {};
+
+  for (const [toolUseId, spawn] of spawns) {
+    const completion = completions.get(toolUseId);
+    const status = completion ? 'completed' : 'running';
+    const resultSnippet = completion
+      ? (completion.content.length > 200 ? completion.content.substring(0, 200) : completion.content)
+      : null;
+
+    subagents.push({
+      id: spawn.id,
+      description: spawn.description,
+      subagentType: spawn.subagentType,
+      background: spawn.background,
+      status,
+      spawnedAt: spawn.spawnedAt,
+      completedAt: completion ? completion.completedAt : null,
+      resultSnippet,
+    });
+
+    // Count by type for the summary
+    byType[spawn.subagentType] = (byType[spawn.subagentType] || 0) + 1;
+  }
+
+  const running = subagents.filter(s => s.status === 'running').length;
+  const completed = subagents.filter(s => s.status === 'completed').length;
+
+  return {
+    subagents,
+    summary: {
+      total: subagents.length,
+      running,
+      completed,
+      byType,
+    },
+  };
+}
+
+/**
+ * Extract the agent's todo list from TodoWrite tool_use blocks.
+ * Each call carries the full list, so every one is a snapshot.
+ * @param {string} jsonlPath - Absolute path to the .jsonl file
+ * @returns {object} See buildTodoState()
+ */
+function parseTodos(jsonlPath) {
+  const content = fs.readFileSync(jsonlPath, 'utf-8');
+  const snapshots = [];
+
+  for (const line of content.split('\n')) {
+    // Cheap pre-filter: most lines are not todo updates
+    if (!line.includes('TodoWrite')) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.type !== 'assistant' || !entry.message || !Array.isArray(entry.message.content)) continue;
+      for (const block of entry.message.content) {
+        if (block.type === 'tool_use' && block.name === 'TodoWrite' && block.input && Array.isArray(block.input.todos)) {
+          snapshots.push({ at: entry.timestamp || null, items: block.input.todos });
+        }
+      }
+    } catch (_) {
+      // Skip malformed lines
+    }
+  }
+  return buildTodoState(snapshots);
+}
+
+// Tools that change files, and the input field naming the file
+const FILE_EDIT_TOOLS = { Edit: 'file_path', MultiEdit: 'file_path', Write: 'file_path', NotebookEdit: 'notebook_path' };
+
+/**
+ * Extract file edits from one transcript record: Edit, MultiEdit, Write and
+ * NotebookEdit calls, and their results. Claude Code stores a structured
+ * patch with each result (toolUseResult), which gives the edited line ranges.
+ * @param {object} record - A parsed JSONL line
+ * @returns {Array<object>} { type: 'edit', id, tool, file, cwd, at } and
+ *   { type: 'result', id, error, ranges: [{ start, end }]|null } events
+ */
+function parseFileEdits(record) {
+  if (!record.message || !Array.isArray(record.message.content)) return [];
+  const events = [];
+  for (const block of record.message.content) {
+    if (record.type === 'assistant' && block && block.type === 'tool_use' && FILE_EDIT_TOOLS[block.name]) {
+      const file = block.input && block.input[FILE_EDIT_TOOLS[block.name]];
+      if (typeof file !== 'string' || !file) continue;
+      events.push({ type: 'edit', id: block.id, tool: block.name, file, cwd: record.cwd || null, at: record.timestamp || null });
+    } else if (record.type === 'user' && block && block.type === 'tool_result') {
+      events.push({ type: 'result', id: block.tool_use_id, error: !!block.is_error, ranges: editedRanges(record.toolUseResult) });
+    }
+  }
+  return events;
+}
+
+/**
+ * Line ranges (in the file after the edit) of an edit tool's result.
+ * @param {object} result - The record's toolUseResult
+ * @returns {Array<{ start: number, end: number }>|null} Null when unknown
+ */
+function editedRanges(result) {
+  if (!result || typeof result !== 'object') return null;
+  if (Array.isArray(result.structuredPatch) && result.structuredPatch.length > 0) {
+    return result.structuredPatch
+      .filter(h => h && Number.isInteger(h.newStart))
+      .map(h => ({ start: h.newStart, end: h.newStart + Math.max(h.newLines || 0, 1) - 1 }));
+  }
+  // A new file from Write: every line
+  if (result.type === 'create' && typeof result.content === 'string') {
+    return [{ start: 1, end: Math.max(result.content.split('\n').length, 1) }];
+  }
+  return null;
+}
+
+/**
+ * Text of a tool_result's content (a string or an array of blocks).
+ * @param {*} content
+ * @returns {string}
+ */
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .map(b => (b && b.type === 'text' ? b.text : b && b.type === 'image' ? '[image]' : ''))
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Turn one transcript record into a conversation viewer entry.
+ * Records that aren't messages (file snapshots, queue operations) yield null.
+ * @param {object} record - A parsed JSONL line
+ * @returns {object|null} { role, timestamp, uuid, sidechain, meta, model, usage, blocks }
+ */
+function parseTranscriptEntry(record) {
+  if (record.type === 'summary' && record.summary) {
+    return { role: 'summary', timestamp: null, uuid: record.leafUuid || null, blocks: [{ type: 'text', text: record.summary }] };
+  }
+  if (record.type === 'system' && typeof record.content === 'string') {
+    return { role: 'system', timestamp: record.timestamp || null, uuid: record.uuid || null, blocks: [{ type: 'text', text: record.content }] };
+  }
+  if ((record.type !== 'user' && record.type !== 'assistant') || !record.message) return null;
+
+  const content = record.message.content;
+  const blocks = [];
+  for (const block of typeof content === 'string' ? [{ type: 'text', text: content }] : (content || [])) {
+    if (!block) continue;
+    if (block.type === 'text' && block.text) {
+      blocks.push({ type: 'text', text: block.text });
+    } else if (block.type === 'thinking' && block.thinking) {
+      blocks.push({ type: 'thinking', text: block.thinking });
+    } else if (block.type === 'tool_use') {
+      blocks.push({ type: 'tool_use', id: block.id, name: block.name, input: block.input || {} });
+    } else if (block.type === 'tool_result') {
+      const result = { type: 'tool_result', toolUseId: block.tool_use_id, isError: !!block.is_error, content: toolResultText(block.content) };
+      // Task results from Claude Code versions that keep subagents in their own files
+      const agentId = record.toolUseResult && record.toolUseResult.agentId;
+      if (agentId) result.agentId = agentId;
+      blocks.push(result);
+    } else if (block.type === 'image') {
+      blocks.push({ type: 'image' });
+    }
+  }
+
+  const entry = {
+    role: record.type,
+    timestamp: record.timestamp || null,
+    uuid: record.uuid || null,
+    sidechain: !!record.isSidechain,
+    meta: !!record.isMeta,
+    blocks,
+  };
+  const usage = record.message.usage;
+  if (record.type === 'assistant') entry.model = record.message.model || null;
+  if (usage) {
+    entry.usage = {
+      input: usage.input_tokens || 0,
+      output: usage.output_tokens || 0,
+      cacheWrite: usage.cache_creation_input_tokens || 0,
+      cacheRead: usage.cache_read_input_tokens || 0,
+    };
+  }
+  return entry;
+}
+
+/**
+ * Transcript of a subagent, for Claude Code versions that write each one to
+ * <project>/<session>/subagents/agent-<id>.jsonl next to the session's own.
+ * @param {string} sessionPath - The session's transcript
+ * @param {string} agentId
+ * @returns {string|null}
+ */
+function findSubagentTranscript(sessionPath, agentId) {
+  if (!/^[A-Za-z0-9_-]+$/.test(agentId)) return null;
+  const sessionId = path.basename(sessionPath, '.jsonl');
+  const candidate = path.join(path.dirname(sessionPath), sessionId, 'subagents', `agent-${agentId}.jsonl`);
+  return fs.existsSync(candidate) ? candidate : null;
+}
+
+module.exports = {
+  id: 'claude',
+  label: 'Claude Code',
+  defaultCommand: 'claude',
+  buildCommand,
+  refresh: (budgetMs) => getIndex().refreshIfStale(budgetMs),
+  listProjects: () => getIndex().listProjects(),
+  findTranscript,
+  getUsage,
+  readFinalMessage: readFinalAssistantMessage,
+  parseSubagents,
+  parseTodos,
+  parseTranscriptEntry,
+  parseFileEdits,
+  findSubagentTranscript,
+  getIndex,
+  decodeClaudePath,
+};
@@ -0,0 +1,441 @@
+/**
+ * OpenAI Codex CLI provider adapter.
+ *
+ * Codex writes one "rollout" JSONL per session under
+ * $CODEX_HOME/sessions/YYYY/MM/DD/rollout-<timestamp>-<session id>.jsonl
+ * (CODEX_HOME defaults to ~/.codex). The records used here:
+ *   session_meta            payload.id, payload.cwd
+ *   turn_context            payload.model for the turns that follow
+ *   event_msg token_count   payload.info.total_token_usage (running totals) and
+ *                           last_token_usage (the latest request's context)
+ *   response_item message   payload.role + input_text/output_text content
+ *   response_item function_call / function_call_output: tool calls and results
+ *                           (update_plan carries the agent's plan: { plan: [{ step, status }] })
+ *   response_item reasoning summaries of the model's thinking
+ *   response_item custom_tool_call apply_patch: file edits (also sent as a shell
+ *                           function_call whose command is ["apply_patch", patch])
+ *
+ * Rollouts are small next to Claude transcripts, so each changed file is
+ * re-parsed whole into an in-memory entry shaped like a TranscriptIndex entry
+ * (usage by day and model, context samples), which the server's cost code
+ * prices the same way. Resuming runs `codex resume <session id>`.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readTranscriptTail } = require('../web/session-wait');
+const { buildTodoState } = require('../web/session-todos');
+const { cliArg } = require('./command-line');
+
+const MIN_REFRESH_INTERVAL_MS = 5000;
+const MAX_CONTEXT_SAMPLES = 200;
+const ROLLOUT_RE = /^rollout-.*\.jsonl$/;
+const SESSION_ID_RE = /([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.jsonl$/i;
+
+const _files = new Map();     // filePath -> entry
+const _bySession = new Map(); // sessionId -> filePath
+let _lastRefresh = 0;
+let _lastRoot = null;
+
+/**
+ * Root of the Codex session logs. Read on every call so CODEX_HOME can change at runtime.
+ * @returns {string}
+ */
+function sessionsDir() {
+  return path.join(process.env.CODEX_HOME || path.join(os.homedir(), '.codex'), 'sessions');
+}
+
+/**
+ * Build the command line for a Codex session.
+ * Codex has no --verbose flag, so that option is ignored.
+ * @param {object} options
+ * @returns {string}
+ * @throws {Error} If resumeSessionId or model isn't safe on a command line
+ */
+function buildCommand({ command, resumeSessionId, bypassPermissions, model } = {}) {
+  let fullCommand = command || 'codex';
+  if (resumeSessionId) fullCommand += cliArg('resume', resumeSessionId);
+  if (bypassPermissions) fullCommand += ' --dangerously-bypass-approvals-and-sandbox';
+  if (model) fullCommand += cliArg('--model', model);
+  return fullCommand;
+}
+
+/**
+ * Parse a rollout file into an index-style entry.
+ * @param {string} filePath
+ * @param {fs.Stats} stat
+ * @returns {object}
+ */
+function parseRollout(filePath, stat) {
+  const idMatch = path.basename(filePath).match(SESSION_ID_RE);
+  const entry = {
+    sessionId: idMatch ? idMatch[1] : null,
+    filePath,
+    cwd: null,
+    mtimeMs: stat.mtimeMs,
+    size: stat.size,
+    usage: {},
+    firstTimestamp: null,
+    lastTimestamp: null,
+    latestInputTokens: 0,
+    peakInputTokens: 0,
+    contextSamples: [],
+  };
+
+  let content = '';
+  try { content = fs.readFileSync(filePath, 'utf-8'); } catch (_) { return entry; }
+
+  let model = 'unknown';
+  let previous = { input: 0, cached: 0, output: 0 };
+  let samples = 0;
+
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    let record;
+    try { record = JSON.parse(line); } catch (_) { continue; }
+    const ts = record.timestamp || null;
+    if (ts) {
+      if (!entry.firstTimestamp) entry.firstTimestamp = ts;
+      entry.lastTimestamp = ts;
+    }
+    const payload = record.payload || {};
+
+    if (record.type === 'session_meta') {
+      if (payload.id) entry.sessionId = payload.id;
+      if (payload.cwd) entry.cwd = payload.cwd;
+    } else if (record.type === 'turn_context') {
+      if (payload.model) model = payload.model;
+      if (!entry.cwd && payload.cwd) entry.cwd = payload.cwd;
+    } else if (record.type === 'event_msg' && payload.type === 'token_count' && payload.info) {
+      const total = payload.info.total_token_usage;
+      if (!total) continue;
+      const current = {
+        input: total.input_tokens || 0,
+        cached: total.cached_input_tokens || 0,
+        output: total.output_tokens || 0,
+      };
+      // token_count is re-emitted with unchanged totals; only count growth
+      const delta = {
+        input: Math.max(0, current.input - previous.input),
+        cached: Math.max(0, current.cached - previous.cached),
+        output: Math.max(0, current.output - previous.output),
+      };
+      previous = current;
+      if (!delta.input && !delta.output) continue;
+
+      const day = (ts || new Date(stat.mtimeMs).toISOString()).slice(0, 10);
+      if (!entry.usage[day]) entry.usage[day] = {};
+      if (!entry.usage[day][model]) {
+        entry.usage[day][model] = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, messages: 0 };
+      }
+      const bucket = entry.usage[day][model];
+      // Codex reports cached input as part of input_tokens
+      bucket.input += Math.max(0, delta.input - delta.cached);
+      bucket.cacheRead += delta.cached;
+      bucket.output += delta.output;
+      bucket.messages++;
+
+      const last = payload.info.last_token_usage;
+      const contextTokens = last ? (last.input_tokens || 0) : delta.input;
+      entry.latestInputTokens = contextTokens;
+      entry.peakInputTokens = Math.max(entry.peakInputTokens, contextTokens);
+      entry.contextSamples.push({ msg: ++samples, tokens: contextTokens, ts });
+      if (entry.contextSamples.length > MAX_CONTEXT_SAMPLES) {
+        entry.contextSamples = entry.contextSamples.filter((_, i) => i % 2 === 0);
+      }
+    }
+  }
+  return entry;
+}
+
+/**
+ * Recursively list rollout files under the sessions directory.
+ * @param {string} dir
+ * @param {string[]} out
+ * @returns {string[]}
+ */
+function listRollouts(dir, out = []) {
+  let dirents;
+  try { dirents = fs.readdirSync(dir, { withFileTypes: true }); } catch (_) { return out; }
+  for (const d of dirents) {
+    const full = path.join(dir, d.name);
+    if (d.isDirectory()) listRollouts(full, out);
+    else if (ROLLOUT_RE.test(d.name)) out.push(full);
+  }
+  return out;
+}
+
+/**
+ * Add or replace a file's entry.
+ * @param {string} filePath
+ * @param {fs.Stats} stat
+ * @returns {object}
+ */
+function indexFile(filePath, stat) {
+  const previous = _files.get(filePath);
+  if (previous && previous.sessionId) _bySession.delete(previous.sessionId);
+  const entry = parseRollout(filePath, stat);
+  _files.set(filePath, entry);
+  if (entry.sessionId) _bySession.set(entry.sessionId, filePath);
+  return entry;
+}
+
+/**
+ * Re-scan the sessions directory, re-parsing files whose size or mtime changed.
+ * Skipped when the last scan was recent; stops parsing once the budget is spent
+ * (the rest are picked up by the next refresh).
+ * @param {number} [budgetMs=2000]
+ */
+function refresh(budgetMs = 2000) {
+  const root = sessionsDir();
+  if (root !== _lastRoot) {
+    _files.clear();
+    _bySession.clear();
+    _lastRoot = root;
+    _lastRefresh = 0;
+  }
+  if (Date.now() - _lastRefresh < MIN_REFRESH_INTERVAL_MS) return;
+  _lastRefresh = Date.now();
+
+  const deadline = Date.now() + budgetMs;
+  const seen = new Set();
+  for (const filePath of listRollouts(root)) {
+    seen.add(filePath);
+    let stat;
+    try { stat = fs.statSync(filePath); } catch (_) { continue; }
+    const known = _files.get(filePath);
+    if (known && known.mtimeMs === stat.mtimeMs && known.size === stat.size) continue;
+    if (Date.now() > deadline) continue;
+    indexFile(filePath, stat);
+  }
+  for (const [filePath, entry] of _files) {
+    if (seen.has(filePath)) continue;
+    _files.delete(filePath);
+    if (entry.sessionId) _bySession.delete(entry.sessionId);
+  }
+}
+
+/**
+ * All sessions grouped by working directory, newest first.
+ * @returns {Array<{ encodedName: string, realPath: string, projectName: string, files: object[] }>}
+ */
+function listProjects() {
+  const byCwd = {};
+  const entries = [..._files.values()]
+    .filter(e => e.sessionId)
+    .sort((a, b) => b.mtimeMs - a.mtimeMs);
+  for (const entry of entries) {
+    const cwd = entry.cwd || '';
+    if (!byCwd[cwd]) {
+      byCwd[cwd] = {
+        encodedName: 'codex:' + cwd,
+        realPath: cwd,
+        projectName: cwd ? path.basename(cwd) : '(unknown)',
+        files: [],
+      };
+    }
+    byCwd[cwd].files.push(entry);
+  }
+  return Object.values(byCwd);
+}
+
+/**
+ * Find the rollout file for a Codex session ID. Sessions started since the
+ * last refresh are found by file name and indexed on the spot.
+ * @param {string} sessionId
+ * @returns {string|null}
+ */
+function findTranscript(sessionId) {
+  refresh();
+  const known = _bySession.get(sessionId);
+  if (known && fs.existsSync(known)) return known;
+
+  const candidate = listRollouts(sessionsDir()).find(f => f.endsWith(`-${sessionId}.jsonl`));
+  if (!candidate) return null;
+  try {
+    indexFile(candidate, fs.statSync(candidate));
+  } catch (_) {
+    return null;
+  }
+  return candidate;
+}
+
+/**
+ * Token usage for a session, re-parsing its rollout if it changed.
+ * @param {string} sessionId
+ * @returns {object|null}
+ */
+function getUsage(sessionId) {
+  const filePath = findTranscript(sessionId);
+  if (!filePath) return null;
+  let stat;
+  try { stat = fs.statSync(filePath); } catch (_) { return null; }
+  const entry = _files.get(filePath);
+  if (entry && entry.mtimeMs === stat.mtimeMs && entry.size === stat.size) return entry;
+  return indexFile(filePath, stat);
+}
+
+/**
+ * The text of the last assistant message in a rollout.
+ * @param {string} filePath
+ * @returns {{ text: string, timestamp: string|null }|null}
+ */
+function readFinalMessage(filePath) {
+  const lines = readTranscriptTail(filePath);
+  if (!lines) return null;
+
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (!lines[i].trim()) continue;
+    let record;
+    try { record = JSON.parse(lines[i]); } catch (_) { continue; }
+    const payload = record.payload || {};
+    if (record.type !== 'response_item' || payload.type !== 'message') continue;
+    // A user prompt means this turn had no text reply yet
+    if (payload.role === 'user') return null;
+    if (payload.role !== 'assistant' || !Array.isArray(payload.content)) continue;
+    const text = payload.content
+      .filter(b => b && b.type === 'output_text' && b.text)
+      .map(b => b.text)
+      .join('\n\n')
+      .trim();
+    if (text) return { text, timestamp: record.timestamp || null };
+  }
+  return null;
+}
+
+/**
+ * Codex has no subagents; always reports none.
+ * @returns {object}
+ */
+function parseSubagents() {
+  return { subagents: [], summary: { total: 0, running: 0, completed: 0, byType: {} } };
+}
+
+/**
+ * Extract the agent's plan from update_plan calls as todo snapshots.
+ * @param {string} filePath
+ * @returns {object} See buildTodoState()
+ */
+function parseTodos(filePath) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const snapshots = [];
+
+  for (const line of content.split('\n')) {
+    if (!line.includes('update_plan')) continue;
+    try {
+      const record = JSON.parse(line);
+      const payload = record.payload || {};
+      if (record.type !== 'response_item' || payload.type !== 'function_call' || payload.name !== 'update_plan') continue;
+      const args = typeof payload.arguments === 'string' ? JSON.parse(payload.arguments) : payload.arguments;
+      if (!args || !Array.isArray(args.plan)) continue;
+      snapshots.push({
+        at: record.timestamp || null,
+        items: args.plan.map(p => ({ content: p.step, status: p.status })),
+      });
+    } catch (_) {
+      // Skip malformed lines
+    }
+  }
+  return buildTodoState(snapshots);
+}
+
+const PATCH_FILE_RE = /^\*\*\* (?:Add|Update|Delete) File: (.+)$|^\*\*\* Move to: (.+)$/gm;
+
+/**
+ * Extract file edits from one rollout record: the files named in apply_patch
+ * calls, made directly or through the shell tool. Patches carry no line
+ * numbers, so ranges are never known. The cwd comes from the latest
+ * session_meta or turn_context record, tracked in `context`.
+ * @param {object} record - A parsed JSONL line
+ * @param {object} context - Per-rollout state kept between calls
+ * @returns {Array<object>} { type: 'edit', id, tool, file, cwd, at } events
+ */
+function parseFileEdits(record, context) {
+  const payload = record.payload || {};
+  if ((record.type === 'session_meta' || record.type === 'turn_context') && payload.cwd) {
+    context.cwd = payload.cwd;
+    return [];
+  }
+  if (record.type !== 'response_item') return [];
+
+  let patch = null;
+  if (payload.type === 'custom_tool_call' && payload.name === 'apply_patch') {
+    patch = payload.input;
+  } else if (payload.type === 'function_call' && payload.name === 'shell' && typeof payload.arguments === 'string' && payload.arguments.includes('apply_patch')) {
+    try {
+      const command = JSON.parse(payload.arguments).command;
+      if (Array.isArray(command) && command[0] === 'apply_patch') patch = command[1];
+    } catch (_) {
+      // Not JSON: not a patch
+    }
+  }
+  if (typeof patch !== 'string') return [];
+
+  const events = [];
+  for (const match of patch.matchAll(PATCH_FILE_RE)) {
+    events.push({
+      type: 'edit', id: payload.call_id || null, tool: 'apply_patch',
+      file: (match[1] || match[2]).trim(), cwd: context.cwd || null, at: record.timestamp || null,
+    });
+  }
+  return events;
+}
+
+/**
+ * Turn one rollout record into a conversation viewer entry: messages,
+ * reasoning summaries, and tool calls with their outputs. Other records yield null.
+ * @param {object} record - A parsed JSONL line
+ * @returns {object|null} { role, timestamp, blocks }
+ */
+function parseTranscriptEntry(record) {
+  const payload = record.payload || {};
+  if (record.type !== 'response_item') return null;
+  const timestamp = record.timestamp || null;
+
+  switch (payload.type) {
+    case 'message': {
+      if (payload.role !== 'user' && payload.role !== 'assistant') return null;
+      const blocks = (payload.content || [])
+        .filter(b => b && (b.type === 'input_text' || b.type === 'output_text') && b.text)
+        .map(b => ({ type: 'text', text: b.text }));
+      return { role: payload.role, timestamp, blocks };
+    }
+    case 'reasoning': {
+      const text = (payload.summary || []).map(s => s && s.text).filter(Boolean).join('\n\n');
+      return text ? { role: 'assistant', timestamp, blocks: [{ type: 'thinking', text }] } : null;
+    }
+    case 'function_call':
+    case 'custom_tool_call': {
+      let input = payload.type === 'function_call' ? payload.arguments : payload.input;
+      if (payload.type === 'function_call' && typeof input === 'string') {
+        try { input = JSON.parse(input); } catch (_) { /* Keep the raw arguments */ }
+      }
+      return { role: 'assistant', timestamp, blocks: [{ type: 'tool_use', id: payload.call_id, name: payload.name, input: input || {} }] };
+    }
+    case 'function_call_output':
+    case 'custom_tool_call_output': {
+      const output = payload.output;
+      const content = typeof output === 'string' ? output : (output && output.content) || JSON.stringify(output || '');
+      return { role: 'user', timestamp, blocks: [{ type: 'tool_result', toolUseId: payload.call_id, isError: false, content }] };
+    }
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  id: 'codex',
+  label: 'OpenAI Codex CLI',
+  defaultCommand: 'codex',
+  buildCommand,
+  refresh,
+  listProjects,
+  findTranscript,
+  getUsage,
+  readFinalMessage,
+  parseSubagents,
+  parseTodos,
+  parseTranscriptEntry,
+  parseFileEdits,
+};
@@ -0,0 +1,33 @@
+/**
+ * Values the providers put on an AI CLI's command line.
+ *
+ * Launchers hand the whole command line to a shell (tmux) or a console, and
+ * no one quoting style suits all of them, so values are checked instead of
+ * quoted: model names and session IDs only ever need word characters, dots,
+ * colons and dashes.
+ */
+
+const CLI_VALUE_RE = /^[\w.:-]+$/;
+
+/**
+ * Whether a value can go on a command line as it is.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isSafeCliValue(value) {
+  return typeof value === 'string' && CLI_VALUE_RE.test(value);
+}
+
+/**
+ * A flag and its value, for appending to a command line.
+ * @param {string} flag - e.g. '--model'
+ * @param {string} value
+ * @returns {string} ' <flag> <value>'
+ * @throws {Error} If the value isn't safe to pass unquoted
+ */
+function cliArg(flag, value) {
+  if (!isSafeCliValue(value)) throw new Error(`Invalid value for ${flag}: ${JSON.stringify(value)}`);
+  return ` ${flag} ${value}`;
+}
+
+module.exports = { isSafeCliValue, cliArg };
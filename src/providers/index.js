@@ -0,0 +1,71 @@
+/**
+ * AI CLI provider registry.
+ *
+ * A provider adapts one coding-agent CLI to Myrlin: how to start and resume
+ * it, and where and how it logs sessions to disk. Every session and template
+ * carries a `provider` field (default 'claude') that selects its adapter.
+ *
+ * Adapter interface:
+ *   id, label, defaultCommand
+ *   buildCommand({ command, resumeSessionId, bypassPermissions, verbose, model }) -> string
+ *   refresh(budgetMs)            Pick up new or changed session logs
+ *   listProjects()               [{ encodedName, realPath, projectName, files: [{ sessionId, mtimeMs, size }] }]
+ *   findTranscript(sessionId)    Session log path, or null
+ *   getUsage(sessionId)          Transcript-index-style entry the cost code can
+ *                                price ({ usage: { day: { model: { input, output,
+ *                                cacheWrite, cacheRead, messages } } }, ... }), or null
+ *   readFinalMessage(path)       { text, timestamp } of the last assistant reply, or null
+ *   parseSubagents(path)         { subagents, summary }
+ *   parseTodos(path)             The agent's own todo list (see session-todos.js)
+ *   parseTranscriptEntry(record) One log record as a conversation viewer entry, or
+ *                                null (see transcript-reader.js)
+ *   parseFileEdits(record, ctx) File edit events in one log record (see
+ *                                file-attribution.js); ctx is per-file state
+ *
+ * To add a provider, write an adapter module and register it below.
+ */
+
+const claude = require('./claude');
+const codex = require('./codex');
+const { isSafeCliValue } = require('./command-line');
+
+const DEFAULT_PROVIDER = 'claude';
+const PROVIDERS = {
+  [claude.id]: claude,
+  [codex.id]: codex,
+};
+
+/**
+ * Whether an ID names a registered provider.
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isValidProvider(id) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, id);
+}
+
+/**
+ * Get a provider adapter. Unknown or missing IDs (sessions from before
+ * providers existed) resolve to Claude Code.
+ * @param {string} [id]
+ * @returns {object}
+ */
+function getProvider(id) {
+  return isValidProvider(id) ? PROVIDERS[id] : PROVIDERS[DEFAULT_PROVIDER];
+}
+
+/**
+ * All registered providers.
+ * @returns {object[]}
+ */
+function listProviders() {
+  return Object.values(PROVIDERS);
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  getProvider,
+  listProviders,
+  isValidProvider,
+  isSafeCliValue,
+};
@@ -286,6 +286,33 @@ function appendTask(workspaceId, workspaceName, text, done = false) {
   writeDocs(workspaceId, raw);
 }
 
+/**
+ * Add or update tasks by text: missing tasks are appended, existing ones take
+ * the given done state. Tasks not in the list are left alone.
+ * @param {string} workspaceId
+ * @param {string} workspaceName
+ * @param {Array<{ text: string, done: boolean }>} items
+ * @returns {boolean} Whether the tasks changed
+ */
+function syncTasks(workspaceId, workspaceName, items) {
+  const docs = readOrCreate(workspaceId, workspaceName);
+  let changed = false;
+  for (const item of items) {
+    const existing = docs.tasks.find(t => t.text === item.text);
+    if (!existing) {
+      docs.tasks.push({ text: item.text, done: !!item.done });
+      changed = true;
+    } else if (existing.done !== !!item.done) {
+      existing.done = !!item.done;
+      changed = true;
+    }
+  }
+  if (!changed) return false;
+  const raw = buildMarkdown(workspaceName || 'Untitled', docs.notes, docs.goals, docs.tasks, docs.roadmap || [], docs.rules || []);
+  writeDocs(workspaceId, raw);
+  return true;
+}
+
 /**
  * Toggle done state of an item in a section.
  * @param {string} workspaceId
@@ -410,6 +437,7 @@ module.exports = {
   appendNote,
   appendGoal,
   appendTask,
+  syncTasks,
   appendRoadmapItem,
   cycleRoadmapStatus,
   appendRule,
@@ -29,11 +29,14 @@ const DEFAULT_STATE = {
   workspaceOrder: [],     // mixed array of workspace IDs and group IDs for sidebar ordering
   templates: {},          // { templateId: { id, name, command, workingDir, ... } }
   features: {},           // { featureId: { id, workspaceId, name, description, status, priority, sessionIds, ... } }
+  budgets: {},            // { budgetId: { id, scope, targetId, period, limit, thresholds, block, ... } }
   settings: {
     autoRecover: true,
     notificationLevel: 'all', // 'all' | 'errors' | 'none'
     theme: 'dark',
     confirmBeforeClose: true,
+    launcher: 'auto', // 'auto' | 'windows' | 'tmux' | 'headless' (see core/launchers.js)
+    archivePolicy: null, // Transcript retention policy; null = defaults, off (see web/transcript-archive.js)
   },
 };
 
@@ -112,6 +115,7 @@ class Store extends EventEmitter {
         workspaceOrder: parsed.workspaceOrder || [],
         templates: parsed.templates || {},
         features: parsed.features || {},
+        budgets: parsed.budgets || {},
       };
     } catch (_) {
       return null;
@@ -273,7 +277,7 @@ class Store extends EventEmitter {
 
   // ─── Session CRUD ────────────────────────────────────────
 
-  createSession({ name, workspaceId, workingDir = '', topic = '', command = 'claude', resumeSessionId = null }) {
+  createSession({ name, workspaceId, workingDir = '', topic = '', provider = 'claude', command = 'claude', resumeSessionId = null }) {
     if (!this._state.workspaces[workspaceId]) return null;
     const id = crypto.randomUUID();
     const now = new Date().toISOString();
@@ -283,6 +287,7 @@ class Store extends EventEmitter {
       workspaceId,
       workingDir,
       topic,
+      provider, // AI CLI adapter (see src/providers)
       command,
       resumeSessionId,
       status: 'stopped', // 'running' | 'stopped' | 'error' | 'idle'
@@ -576,6 +581,20 @@ class Store extends EventEmitter {
     this.emit('docs:updated', { workspaceId, section: 'tasks' });
   }
 
+  /**
+   * Add or update workspace tasks by text (see docsManager.syncTasks).
+   * @param {string} workspaceId
+   * @param {Array<{ text: string, done: boolean }>} items
+   * @returns {boolean} Whether the tasks changed
+   */
+  syncWorkspaceTasks(workspaceId, items) {
+    const ws = this._state.workspaces[workspaceId];
+    if (!ws) return false;
+    const result = docsManager.syncTasks(workspaceId, ws.name, items);
+    if (result) this.emit('docs:updated', { workspaceId, section: 'tasks' });
+    return result;
+  }
+
   /**
    * Toggle done state of a goal or task.
    * @param {string} workspaceId
@@ -642,15 +661,16 @@ class Store extends EventEmitter {
 
   /**
    * Create a new session template.
-   * @param {{ name: string, command?: string, workingDir?: string, bypassPermissions?: boolean, verbose?: boolean, model?: string, agentTeams?: boolean }} params
+   * @param {{ name: string, provider?: string, command?: string, workingDir?: string, bypassPermissions?: boolean, verbose?: boolean, model?: string, agentTeams?: boolean }} params
    * @returns {object} The created template
    */
-  createTemplate({ name, command = 'claude', workingDir = '', bypassPermissions = false, verbose = false, model = '', agentTeams = false }) {
+  createTemplate({ name, provider = 'claude', command = 'claude', workingDir = '', bypassPermissions = false, verbose = false, model = '', agentTeams = false }) {
     const id = crypto.randomUUID();
     const now = new Date().toISOString();
     const template = {
       id,
       name,
+      provider,
       command,
       workingDir,
       bypassPermissions,
@@ -807,6 +827,82 @@ class Store extends EventEmitter {
     return feature;
   }
 
+  // ─── Budgets ────────────────────────────────────────────
+
+  /**
+   * Create a spend budget.
+   * @param {{ scope: 'global'|'workspace'|'feature', targetId?: string|null, period: 'daily'|'weekly'|'monthly', limit: number, thresholds?: number[], block?: boolean, name?: string }} params
+   * @returns {object} The created budget
+   */
+  createBudget({ scope, targetId = null, period, limit, thresholds = [0.8, 1], block = false, name = '' }) {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    const budget = {
+      id,
+      name,
+      scope, // global | workspace | feature
+      targetId, // workspace or feature ID (null for global)
+      period, // daily | weekly | monthly
+      limit, // USD per period
+      thresholds, // fractions of limit that trigger alerts
+      block, // refuse session starts once the limit is reached
+      alerted: null, // { periodKey, thresholds } already alerted this period
+      overridePeriod: null, // period key for which a block was manually lifted
+      createdAt: now,
+      updatedAt: now,
+    };
+    this._state.budgets[id] = budget;
+    this._debouncedSave();
+    this.emit('budget:created', budget);
+    return budget;
+  }
+
+  /**
+   * Get a single budget by ID.
+   * @param {string} id - Budget ID
+   * @returns {object|null} The budget or null if not found
+   */
+  getBudget(id) {
+    return this._state.budgets[id] || null;
+  }
+
+  /**
+   * List all budgets.
+   * @returns {object[]} Array of budget objects
+   */
+  listBudgets() {
+    return Object.values(this._state.budgets);
+  }
+
+  /**
+   * Update a budget's fields.
+   * @param {string} id - Budget ID
+   * @param {object} updates - Partial budget fields
+   * @returns {object|null} Updated budget or null if not found
+   */
+  updateBudget(id, updates) {
+    const budget = this._state.budgets[id];
+    if (!budget) return null;
+    delete updates.id;
+    Object.assign(budget, updates, { updatedAt: new Date().toISOString() });
+    this._debouncedSave();
+    this.emit('budget:updated', budget);
+    return budget;
+  }
+
+  /**
+   * Delete a budget by ID.
+   * @param {string} id - Budget ID
+   * @returns {boolean} True if deleted, false if not found
+   */
+  deleteBudget(id) {
+    if (!this._state.budgets[id]) return false;
+    delete this._state.budgets[id];
+    this._debouncedSave();
+    this.emit('budget:deleted', { id });
+    return true;
+  }
+
   // ─── Settings ────────────────────────────────────────────
 
   updateSettings(updates) {
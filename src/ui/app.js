@@ -187,7 +187,8 @@ function createApp(store, notifications = []) {
     if (result.success) {
       notificationBar.push(notifBar, {
         level: 'success',
-        message: `Session "${sess ? sess.name : sessId}" started (PID: ${result.pid})`,
+        message: `Session "${sess ? sess.name : sessId}" started (PID: ${result.pid})` +
+          (result.attachCommand ? ` - attach: ${result.attachCommand}` : ''),
       });
     } else {
       notificationBar.push(notifBar, {
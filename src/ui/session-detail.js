@@ -1,6 +1,6 @@
 /**
  * Session Detail - Bottom right panel showing detailed info for a selected session.
- * Displays name, status, PID, working dir, topic, command, timestamps, and recent logs.
+ * Displays name, status, PID, launcher, working dir, topic, command, timestamps, and recent logs.
  */
 
 const blessed = require('blessed');
@@ -81,9 +81,11 @@ function update(panel, session) {
   const fields = [
     ['Status', `{${color}-fg}${icon} ${label}{/}`],
     ['PID', session.pid ? `{${valColor}-fg}${session.pid}{/}` : `{${theme.colors.textTertiary}-fg}none{/}`],
+    ['Launcher', `{${valColor}-fg}${session.launcher || 'none'}{/}`],
     ['Directory', `{${valColor}-fg}${session.workingDir || 'not set'}{/}`],
     ['Topic', `{${valColor}-fg}${session.topic || 'none'}{/}`],
-    ['Command', `{${valColor}-fg}${session.command || 'claude'}{/}`],
+    ['Provider', `{${valColor}-fg}${session.provider || 'claude'}{/}`],
+    ['Command', `{${valColor}-fg}${session.command || session.provider || 'claude'}{/}`],
     ['Created', `{${valColor}-fg}${created}{/}`],
     ['Last Active', `{${valColor}-fg}${lastActive}{/}`],
   ];
@@ -0,0 +1,251 @@
+/**
+ * Scoped API keys for scripting against the REST API.
+ *
+ * A key is a long-lived Bearer credential ("cwm_<id>_<secret>") that acts as
+ * the user who created it, limited to a set of scopes and optionally to some
+ * workspaces. Keys live in state/api-keys.json; only a SHA-256 of the secret
+ * is stored, so the full key is shown once, at creation.
+ *
+ * Scopes:
+ *   - sessions:read   GET anything outside the PTY/admin areas
+ *   - sessions:write  Create/change/start/stop sessions, workspaces, features, ...
+ *   - docs:write      Add/edit/remove workspace docs (notes, goals, tasks, ...)
+ *   - pty:attach      Terminal WebSocket, session input/wait, scrollback, recordings, share links, approvals
+ *   - admin           Everything (user accounts and API keys still need an admin user)
+ *
+ * Which scope a request needs is decided by requiredScope() from the method
+ * and path, so new routes are covered without per-route annotations.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const API_KEYS_FILE = path.join(__dirname, '..', '..', 'state', 'api-keys.json');
+const KEY_PREFIX = 'cwm_';
+const KEY_RE = /^cwm_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+const SCOPES = ['sessions:read', 'sessions:write', 'docs:write', 'pty:attach', 'admin'];
+const LAST_USED_PERSIST_MS = 60 * 1000;
+const SAVE_DELAY_MS = 2000;
+
+// Paths only 'admin' keys may call
+const ADMIN_PATH_RE = /^\/api\/(users|api-keys|audit|auth|update|resources\/kill-process|fallback|pricing|tunnels|security|archive)(\/|$)/;
+// The Claude Code hook installation (status reads stay sessions:read)
+const HOOKS_ADMIN_PATH_RE = /^\/api\/hooks(\/(install|uninstall))?\/?$/;
+// Terminal access: live I/O (incl. scripted input/wait), output history, share links, and answering permission prompts
+const PTY_PATH_RE = /^\/api\/(pty|recordings|shares|approvals)(\/|$)|^\/api\/sessions\/[^/]+\/(input|wait)$/;
+const DOCS_PATH_RE = /^\/api\/workspaces\/[^/]+\/docs(\/|$)/;
+
+/**
+ * The scope a request needs when made with an API key.
+ * Express routes ignore case and a trailing slash, so the path is lowercased
+ * and trimmed first; otherwise "/API/users/" would reach the users routes
+ * with only the default scope.
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - Request path (no query string)
+ * @returns {string} One of SCOPES
+ */
+function requiredScope(method, urlPath) {
+  const isRead = method === 'GET' || method === 'HEAD';
+  const routePath = urlPath.toLowerCase().replace(/\/+$/, '');
+  if (ADMIN_PATH_RE.test(routePath) || HOOKS_ADMIN_PATH_RE.test(routePath)) return 'admin';
+  if (PTY_PATH_RE.test(routePath)) return 'pty:attach';
+  if (DOCS_PATH_RE.test(routePath) && !isRead) return 'docs:write';
+  return isRead ? 'sessions:read' : 'sessions:write';
+}
+
+/**
+ * Check whether a key grants a scope ('admin' grants all).
+ * @param {{ scopes: string[] }} key
+ * @param {string} scope
+ * @returns {boolean}
+ */
+function hasScope(key, scope) {
+  return key.scopes.includes('admin') || key.scopes.includes(scope);
+}
+
+/**
+ * Check whether a key may act on a workspace.
+ * @param {{ workspaceIds: string[]|null }} key
+ * @param {string|null} workspaceId - null when the request isn't about one workspace
+ * @returns {boolean}
+ */
+function allowsWorkspace(key, workspaceId) {
+  if (!key.workspaceIds) return true;
+  return !!workspaceId && key.workspaceIds.includes(workspaceId);
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+class ApiKeyStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - Keys file (default state/api-keys.json)
+   */
+  constructor({ file = API_KEYS_FILE } = {}) {
+    this.file = file;
+    this._keys = this._read();
+    this._saveTimer = null;
+  }
+
+  /**
+   * Create a key. The returned secret is not stored and can't be recovered.
+   * @param {object} fields
+   * @param {string} fields.name - What the key is for (e.g. "CI bot")
+   * @param {string} fields.userId - The key acts as this user
+   * @param {string[]} fields.scopes - Subset of SCOPES
+   * @param {string[]|null} [fields.workspaceIds] - Restrict to these workspaces (null = all)
+   * @returns {{ apiKey?: object, secret?: string, error?: string }}
+   */
+  create({ name, userId, scopes, workspaceIds = null } = {}) {
+    const label = String(name || '').trim().slice(0, 60);
+    if (!label) return { error: 'Name is required' };
+    if (!Array.isArray(scopes) || scopes.length === 0) return { error: 'At least one scope is required' };
+    const unknown = scopes.filter(s => !SCOPES.includes(s));
+    if (unknown.length > 0) return { error: `Unknown scope(s): ${unknown.join(', ')}. Valid: ${SCOPES.join(', ')}` };
+    if (workspaceIds !== null && (!Array.isArray(workspaceIds) || workspaceIds.length === 0)) {
+      return { error: 'workspaceIds must be a non-empty array, or null for all workspaces' };
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const secretPart = crypto.randomBytes(32).toString('base64url');
+    const key = {
+      id,
+      name: label,
+      userId,
+      scopes: [...new Set(scopes)],
+      workspaceIds: workspaceIds ? [...new Set(workspaceIds.map(String))] : null,
+      secretHash: hashSecret(secretPart),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+    };
+    this._keys.push(key);
+    this._write();
+    return { apiKey: this._describe(key), secret: `${KEY_PREFIX}${id}_${secretPart}` };
+  }
+
+  /**
+   * Resolve a raw key string, recording its last-used time.
+   * @param {string} raw - "cwm_<id>_<secret>"
+   * @returns {object|null} The key (without its hash), or null
+   */
+  resolve(raw) {
+    const match = typeof raw === 'string' ? raw.match(KEY_RE) : null;
+    if (!match) return null;
+    const key = this._keys.find(k => k.id === match[1]);
+    if (!key) return null;
+    const expected = Buffer.from(key.secretHash, 'hex');
+    const actual = Buffer.from(hashSecret(match[2]), 'hex');
+    if (!crypto.timingSafeEqual(actual, expected)) return null;
+
+    const now = Date.now();
+    if (!key.lastUsedAt || now - Date.parse(key.lastUsedAt) >= LAST_USED_PERSIST_MS) {
+      key.lastUsedAt = new Date(now).toISOString();
+      this._scheduleSave();
+    }
+    return this._describe(key);
+  }
+
+  /**
+   * List keys, newest first.
+   * @param {object} [options]
+   * @param {string} [options.userId] - Only this user's keys
+   * @returns {object[]}
+   */
+  list({ userId = null } = {}) {
+    return this._keys
+      .filter(k => !userId || k.userId === userId)
+      .map(k => this._describe(k))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null}
+   */
+  get(id) {
+    const key = this._keys.find(k => k.id === id);
+    return key ? this._describe(key) : null;
+  }
+
+  /**
+   * Revoke (delete) a key.
+   * @param {string} id
+   * @returns {boolean} True if a key was removed
+   */
+  revoke(id) {
+    const before = this._keys.length;
+    this._keys = this._keys.filter(k => k.id !== id);
+    if (this._keys.length === before) return false;
+    this._write();
+    return true;
+  }
+
+  _describe(key) {
+    const { secretHash, ...rest } = key;
+    return { ...rest, scopes: [...key.scopes], workspaceIds: key.workspaceIds ? [...key.workspaceIds] : null };
+  }
+
+  _read() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+      return Array.isArray(data.keys) ? data.keys : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  _write() {
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmpFile = this.file + '.tmp';
+    fs.writeFileSync(tmpFile, JSON.stringify({ version: 1, keys: this._keys }, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  _scheduleSave() {
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => this._write(), SAVE_DELAY_MS);
+    this._saveTimer.unref();
+  }
+
+  /**
+   * Write any pending last-used updates now.
+   */
+  flush() {
+    if (this._saveTimer) this._write();
+  }
+}
+
+/**
+ * Whether a Bearer token looks like an API key (vs. a login token).
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isApiKeyToken(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+// Singleton
+let instance = null;
+function getApiKeyStore() {
+  if (!instance) {
+    instance = new ApiKeyStore();
+    process.on('exit', () => instance.flush());
+  }
+  return instance;
+}
+
+module.exports = {
+  ApiKeyStore,
+  getApiKeyStore,
+  SCOPES,
+  requiredScope,
+  hasScope,
+  allowsWorkspace,
+  isApiKeyToken,
+};
@@ -0,0 +1,230 @@
+/**
+ * Permission-prompt inbox: pending "Do you want to proceed?" prompts across
+ * every PTY session, answerable from one place.
+ *
+ * Prompts are found two ways:
+ *   - output: each PTY's recent output is scanned for Claude Code's
+ *     permission dialog (a question plus a "1. Yes" option)
+ *   - hooks:  a Notification hook reporting waiting-for-permission (see
+ *     hooks-bridge.js), which also knows the tool and its command or file
+ * Both describe the same prompt, so a session has at most one pending entry;
+ * whichever source comes second fills in what the first didn't know (hook
+ * details win over scraped ones).
+ *
+ * An entry is resolved when it is answered here (approve writes "1", deny
+ * writes Esc), when someone answers in the terminal (Enter, Esc or a digit),
+ * when a hook reports the session moved on, or when the PTY exits.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { getStore } = require('../state/store');
+const { stripAnsi } = require('./scrollback-spool');
+const { getHooksBridge } = require('./hooks-bridge');
+
+// Keystrokes that answer Claude Code's permission dialog
+const APPROVE_KEYS = '1';      // "1. Yes"
+const DENY_KEYS = '\x1b';      // "No, and tell Claude what to do differently (esc)"
+
+// Raw output kept per session for prompt detection
+const MAX_TAIL_CHARS = 8 * 1024;
+const QUESTION_RE = /Do you want to (proceed|make this edit to [^?\n]+|create [^?\n]+|allow [^?\n]+)\?/g;
+const YES_OPTION_RE = /1\.\s*Yes/;
+const BOX_CHARS_RE = /[│┃╭╮╰╯─━]/g;
+// Dialog titles and the tool they stand for
+const DIALOG_TOOLS = [
+  [/^Bash command\b/i, 'Bash'],
+  [/^Edit file\b/i, 'Edit'],
+  [/^Create file\b/i, 'Write'],
+  [/^Read file\b/i, 'Read'],
+  [/^Fetch\b/i, 'WebFetch'],
+  [/^Web search\b/i, 'WebSearch'],
+  [/^Tool use\b/i, null],
+];
+
+/**
+ * Find a permission dialog in recent terminal output.
+ * @param {string} text - Output with escape sequences stripped
+ * @returns {{ question: string, tool: string|null, detail: string|null }|null}
+ */
+function parsePrompt(text) {
+  let match = null;
+  for (const m of text.matchAll(QUESTION_RE)) match = m;
+  if (!match || !YES_OPTION_RE.test(text.slice(match.index))) return null;
+
+  const question = match[0];
+  const lines = text.slice(Math.max(0, match.index - 2000), match.index)
+    .split('\n')
+    .map(line => line.replace(BOX_CHARS_RE, '').trim())
+    .filter(Boolean);
+
+  let tool = null;
+  let detail = null;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const known = DIALOG_TOOLS.find(([re]) => re.test(lines[i]));
+    if (!known) continue;
+    tool = known[1] || lines[i].replace(/^Tool use\s*/i, '').trim() || null;
+    if (lines[i + 1]) detail = lines[i + 1];
+    break;
+  }
+  const fileMatch = question.match(/^Do you want to (?:make this edit to|create) (.+)\?$/);
+  if (fileMatch) detail = fileMatch[1].trim();
+  return { question, tool, detail };
+}
+
+class ApprovalInbox extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {import('./hooks-bridge').HooksBridge|null} [options.hooks] - Hook status source
+   */
+  constructor({ hooks = getHooksBridge() } = {}) {
+    super();
+    this._pending = new Map(); // sessionId -> entry
+    this._tails = new Map();   // sessionId -> recent raw output
+    if (hooks) hooks.on('status', (status) => this._onHookStatus(status));
+  }
+
+  /**
+   * Scan a chunk of PTY output for a permission prompt.
+   * @param {string} sessionId
+   * @param {string} data - Raw output
+   */
+  observeOutput(sessionId, data) {
+    const tail = ((this._tails.get(sessionId) || '') + data).slice(-MAX_TAIL_CHARS);
+    this._tails.set(sessionId, tail);
+    // The dialog always ends its question with "?"; skip the strip+scan otherwise
+    if (!data.includes('?') && !data.includes('Yes')) return;
+
+    const prompt = parsePrompt(stripAnsi(tail));
+    if (!prompt) return;
+    const pending = this._pending.get(sessionId);
+    if (pending && pending.question === prompt.question) {
+      // The dialog is redrawn often; a redraw may show more of it than the last
+      if (pending.source === 'output' && prompt.detail && prompt.detail !== pending.detail) {
+        this._update(pending, { tool: prompt.tool || pending.tool, detail: prompt.detail });
+      }
+      return;
+    }
+    if (pending && !pending.question) {
+      this._update(pending, { question: prompt.question, tool: pending.tool || prompt.tool, detail: pending.detail || prompt.detail });
+      return;
+    }
+    if (pending) this.resolve(pending.id, 'superseded', { keepTail: true });
+    this._add(sessionId, { source: 'output', ...prompt });
+  }
+
+  /**
+   * Note terminal input: answering the dialog in the terminal resolves it.
+   * @param {string} sessionId
+   * @param {string} data - Input written to the PTY
+   */
+  observeInput(sessionId, data) {
+    const pending = this._pending.get(sessionId);
+    if (!pending) return;
+    if (data.includes('\r') || data === '\x1b' || /^[0-9]$/.test(data)) {
+      this.resolve(pending.id, 'answered-in-terminal');
+    }
+  }
+
+  /**
+   * Pending prompts, oldest first.
+   * @param {object} [options]
+   * @param {string} [options.workspaceId] - Only sessions in this workspace
+   * @returns {object[]}
+   */
+  list({ workspaceId = null } = {}) {
+    return [...this._pending.values()]
+      .filter(e => !workspaceId || e.workspaceId === workspaceId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null} The pending entry with this ID
+   */
+  get(id) {
+    return [...this._pending.values()].find(e => e.id === id) || null;
+  }
+
+  /**
+   * Resolve a pending entry and emit 'resolved'.
+   * @param {string} id
+   * @param {string} resolution - approved | denied | answered-in-terminal | answered | superseded | session-ended
+   * @param {object} [options]
+   * @param {boolean} [options.keepTail=false] - Keep the output buffer (a newer prompt is in it)
+   * @returns {object|null} The resolved entry, or null if it wasn't pending
+   */
+  resolve(id, resolution, { keepTail = false } = {}) {
+    const entry = this.get(id);
+    if (!entry) return null;
+    this._pending.delete(entry.sessionId);
+    // Drop the answered dialog from the buffer so it isn't detected again
+    if (!keepTail) this._tails.delete(entry.sessionId);
+    const resolved = { ...entry, resolution, resolvedAt: new Date().toISOString() };
+    this.emit('resolved', resolved);
+    return resolved;
+  }
+
+  /**
+   * Forget a session (its PTY exited), resolving any pending prompt.
+   * @param {string} sessionId
+   */
+  clearSession(sessionId) {
+    const pending = this._pending.get(sessionId);
+    if (pending) this.resolve(pending.id, 'session-ended');
+    this._tails.delete(sessionId);
+  }
+
+  _onHookStatus(status) {
+    const pending = this._pending.get(status.sessionId);
+    if (status.state === 'waiting-for-permission') {
+      if (!pending) {
+        this._add(status.sessionId, { source: 'hook', question: null, tool: status.tool, detail: status.detail, message: status.message });
+      } else if (pending.source !== 'hook') {
+        // Hook input names the tool and command exactly; prefer it to screen scraping
+        this._update(pending, {
+          source: 'hook',
+          tool: status.tool || pending.tool,
+          detail: status.detail || pending.detail,
+          message: status.message || pending.message,
+        });
+      }
+    } else if (pending && status.state !== 'running-tool') {
+      // The session moved on (tool ran, turn ended, PTY exited)
+      this.resolve(pending.id, status.state === null ? 'session-ended' : 'answered');
+    }
+  }
+
+  _add(sessionId, fields) {
+    const session = getStore().getSession(sessionId);
+    const entry = {
+      id: crypto.randomBytes(6).toString('hex'),
+      sessionId,
+      sessionName: session ? session.name : null,
+      workspaceId: session ? session.workspaceId : null,
+      source: fields.source,
+      tool: fields.tool || null,
+      detail: fields.detail || null,
+      question: fields.question || null,
+      message: fields.message || null,
+      createdAt: new Date().toISOString(),
+    };
+    this._pending.set(sessionId, entry);
+    this.emit('added', entry);
+    return entry;
+  }
+
+  _update(entry, fields) {
+    Object.assign(entry, fields);
+    this.emit('updated', entry);
+  }
+}
+
+// Singleton
+let instance = null;
+function getApprovalInbox() {
+  if (!instance) instance = new ApprovalInbox();
+  return instance;
+}
+
+module.exports = { ApprovalInbox, getApprovalInbox, parsePrompt, APPROVE_KEYS, DENY_KEYS };
@@ -0,0 +1,282 @@
+/**
+ * Append-only audit log.
+ *
+ * Every mutating API call (anything but GET/HEAD under /api/), terminal
+ * attaches, and shutdown PTY kills are written as one JSON object per line to
+ * state/audit/YYYY-MM-DD.jsonl (UTC days). Files older than the retention
+ * period are deleted when a new day's file is started; entries are never
+ * rewritten.
+ *
+ * Entry shape:
+ *   {
+ *     ts: "2026-03-01T12:00:00.000Z",
+ *     action: "sessions.stop",              // see actionForRoute()
+ *     actor: { type: "user", userId, username }  // or apiKey/share/system/anonymous
+ *     ip: "127.0.0.1",
+ *     method: "POST", route: "/api/sessions/:id/stop", path: "/api/sessions/abc/stop",
+ *     targets: { sessionId: "abc" },
+ *     status: 200, outcome: "success",     // success | failure | denied
+ *     durationMs: 12,
+ *     details: { ... }                      // optional, set by the handler
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_DIR = path.join(__dirname, '..', '..', 'state', 'audit');
+const DEFAULT_RETENTION_DAYS = 90;
+const FILE_RE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const MAX_QUERY_LIMIT = 1000;
+
+// Actions named explicitly; everything else is derived from the route
+const NAMED_ACTIONS = {
+  'POST /api/auth/login': 'auth.login',
+  'POST /api/auth/logout': 'auth.logout',
+  'POST /api/update': 'server.update',
+  'POST /api/tunnels': 'tunnel.open',
+  'DELETE /api/tunnels/:id': 'tunnel.close',
+  'POST /api/resources/kill-process': 'process.kill',
+};
+const METHOD_VERBS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+/**
+ * Name the action for a matched route, e.g.
+ *   POST   /api/sessions              -> sessions.create
+ *   POST   /api/sessions/:id/stop     -> sessions.stop
+ *   DELETE /api/workspaces/:id        -> workspaces.delete
+ *   POST   /api/pty/:sessionId/kill   -> pty.kill
+ * @param {string} method
+ * @param {string|null} route - Express route pattern, or null if nothing matched
+ * @returns {string}
+ */
+function actionForRoute(method, route) {
+  if (!route) return 'unknown';
+  const named = NAMED_ACTIONS[`${method} ${route}`];
+  if (named) return named;
+
+  const parts = route.replace(/^\/api\//, '').split('/').filter(Boolean);
+  const words = parts.filter(p => !p.startsWith(':'));
+  const endsWithWord = parts.length > 1 && !parts[parts.length - 1].startsWith(':');
+  const resource = words[0] || 'api';
+  const verb = endsWithWord ? words.slice(1).join('.') : (METHOD_VERBS[method] || method.toLowerCase());
+  return `${resource}.${verb}`;
+}
+
+/**
+ * Outcome of a request from its status code.
+ * @param {number} status
+ * @returns {'success'|'failure'|'denied'}
+ */
+function outcomeForStatus(status) {
+  if (status === 401 || status === 403) return 'denied';
+  return status < 400 ? 'success' : 'failure';
+}
+
+/**
+ * Describe who made a request (set by requireAuth).
+ * @param {import('express').Request} req
+ * @returns {object}
+ */
+function requestActor(req) {
+  if (req.apiKey) {
+    return { type: 'apiKey', userId: req.user.id, username: req.user.username, apiKeyId: req.apiKey.id, apiKeyName: req.apiKey.name };
+  }
+  if (req.user) return { type: 'user', userId: req.user.id, username: req.user.username };
+  return { type: 'anonymous' };
+}
+
+/**
+ * Collect the IDs a request acts on: route params (":id" is named after the
+ * resource before it, e.g. /api/sessions/:id -> sessionId) plus ID-like
+ * primitive body fields. Other body fields (passwords, text) are never logged.
+ * @param {import('express').Request} req
+ * @param {string|null} route - Matched route pattern
+ * @returns {object}
+ */
+function requestTargets(req, route) {
+  const targets = {};
+  const segments = route ? route.split('/') : [];
+  for (const [name, value] of Object.entries(req.params || {})) {
+    let key = name;
+    if (name === 'id') {
+      const resource = segments[segments.indexOf(':id') - 1] || '';
+      const singular = resource.replace(/s$/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+      key = singular ? singular + 'Id' : 'id';
+    }
+    try { targets[key] = decodeURIComponent(value); } catch (_) { targets[key] = value; }
+  }
+  const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+  for (const [key, value] of Object.entries(body)) {
+    if (!/^(id|pid|port|username|[a-z]+Id)$/.test(key)) continue;
+    if (['string', 'number'].includes(typeof value) && !(key in targets)) targets[key] = value;
+  }
+  return targets;
+}
+
+/**
+ * Day (YYYY-MM-DD, UTC) of a timestamp.
+ * @param {string|number|Date} ts
+ * @returns {string}
+ */
+function dayOf(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a query cursor. Cursors are "<ts>~<line>": the timestamp of the last
+ * entry returned and its line in that day's file, so entries sharing the
+ * timestamp are still told apart. A bare timestamp is accepted too and means
+ * "strictly older than".
+ * @param {string} cursor
+ * @returns {{ ts: string, line: number|null }|null} null if malformed
+ */
+function parseAuditCursor(cursor) {
+  const m = String(cursor).match(/^(.+?)(?:~(\d+))?$/);
+  if (!m || isNaN(Date.parse(m[1]))) return null;
+  return { ts: m[1], line: m[2] === undefined ? null : parseInt(m[2], 10) };
+}
+
+class AuditLog {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Log directory (default state/audit)
+   * @param {number} [options.retentionDays] - Days of files to keep (0 = forever)
+   */
+  constructor({ dir = AUDIT_DIR, retentionDays = DEFAULT_RETENTION_DAYS } = {}) {
+    this.dir = dir;
+    this.retentionDays = retentionDays;
+    this._currentDay = null;
+  }
+
+  /**
+   * Append an entry. Written synchronously so entries survive an immediate
+   * exit (shutdown, /api/update restart).
+   * @param {object} entry - See the module header; ts defaults to now
+   * @returns {object} The entry as written
+   */
+  record(entry) {
+    const written = { ts: new Date().toISOString(), ...entry };
+    const day = dayOf(written.ts);
+    try {
+      if (day !== this._currentDay) {
+        if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+        this._currentDay = day;
+        this._prune();
+      }
+      fs.appendFileSync(this.filePath(day), JSON.stringify(written) + '\n', { mode: 0o600 });
+    } catch (err) {
+      console.error('[Audit] Failed to write entry:', err.message);
+    }
+    return written;
+  }
+
+  /**
+   * @param {string} day - YYYY-MM-DD
+   * @returns {string}
+   */
+  filePath(day) {
+    return path.join(this.dir, day + '.jsonl');
+  }
+
+  /**
+   * Query entries, newest first.
+   * @param {object} [filters]
+   * @param {string} [filters.from] - Earliest day or timestamp (inclusive)
+   * @param {string} [filters.to] - Latest day or timestamp (inclusive)
+   * @param {string} [filters.actor] - Matches username, user ID, API key name or ID (case-insensitive substring)
+   * @param {string} [filters.action] - Case-insensitive substring of the action
+   * @param {string} [filters.outcome] - success | failure | denied
+   * @param {string} [filters.target] - Exact match on any target ID
+   * @param {string} [filters.before] - Pagination cursor (see parseAuditCursor); only older entries are returned
+   * @param {number} [filters.limit=100]
+   * @returns {{ entries: object[], nextBefore: string|null }} nextBefore is set when more entries may exist
+   */
+  query({ from = null, to = null, actor = null, action = null, outcome = null, target = null, before = null, limit = 100 } = {}) {
+    const max = Math.max(1, Math.min(parseInt(limit, 10) || 100, MAX_QUERY_LIMIT));
+    const toTs = to && to.length === 10 ? to + 'T23:59:59.999Z' : to;
+    const fromTs = from && from.length === 10 ? from + 'T00:00:00.000Z' : from;
+    const actorQ = actor ? String(actor).toLowerCase() : null;
+    const actionQ = action ? String(action).toLowerCase() : null;
+    const cursor = before ? parseAuditCursor(before) : null;
+    const cursorDay = cursor ? dayOf(cursor.ts) : null;
+
+    const matches = (e) => {
+      if (cursor && cursor.line === null && e.ts >= cursor.ts) return false;
+      if (toTs && e.ts > toTs) return false;
+      if (fromTs && e.ts < fromTs) return false;
+      if (outcome && e.outcome !== outcome) return false;
+      if (actionQ && !String(e.action || '').toLowerCase().includes(actionQ)) return false;
+      if (target && !Object.values(e.targets || {}).some(v => String(v) === target)) return false;
+      if (actorQ) {
+        const a = e.actor || {};
+        const fields = [a.username, a.userId, a.apiKeyName, a.apiKeyId, a.label, a.type];
+        if (!fields.some(f => f && String(f).toLowerCase().includes(actorQ))) return false;
+      }
+      return true;
+    };
+
+    // Entries are appended in order, so a day file's line number breaks timestamp ties
+    const found = [];
+    for (const day of this._days()) {
+      if (fromTs && day < dayOf(fromTs)) break;
+      if (toTs && day > dayOf(toTs)) continue;
+      if (cursorDay && day > cursorDay) continue;
+
+      let lines;
+      try {
+        lines = fs.readFileSync(this.filePath(day), 'utf-8').split('\n');
+      } catch (_) {
+        continue;
+      }
+      let i = lines.length - 1;
+      if (cursor && cursor.line !== null && day === cursorDay) i = Math.min(i, cursor.line - 1);
+      for (; i >= 0; i--) {
+        if (!lines[i]) continue;
+        let entry;
+        try { entry = JSON.parse(lines[i]); } catch (_) { continue; }
+        if (!matches(entry)) continue;
+        found.push({ entry, line: i });
+        if (found.length > max) break;
+      }
+      if (found.length > max) break;
+    }
+
+    const hasMore = found.length > max;
+    const page = found.slice(0, max);
+    const last = page[page.length - 1];
+    return { entries: page.map(f => f.entry), nextBefore: hasMore ? `${last.entry.ts}~${last.line}` : null };
+  }
+
+  /** Days with a log file, newest first. */
+  _days() {
+    try {
+      return fs.readdirSync(this.dir)
+        .map(f => (f.match(FILE_RE) || [])[1])
+        .filter(Boolean)
+        .sort()
+        .reverse();
+    } catch (_) {
+      return [];
+    }
+  }
+
+  _prune() {
+    if (!this.retentionDays) return;
+    const cutoff = dayOf(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+    for (const day of this._days()) {
+      if (day < cutoff) {
+        try { fs.unlinkSync(this.filePath(day)); } catch (_) {}
+      }
+    }
+  }
+}
+
+// Singleton
+let instance = null;
+function getAuditLog() {
+  if (!instance) instance = new AuditLog();
+  return instance;
+}
+
+module.exports = { AuditLog, getAuditLog, parseAuditCursor, actionForRoute, outcomeForStatus, requestActor, requestTargets };
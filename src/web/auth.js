@@ -1,18 +1,28 @@
 /**
  * Authentication module for Claude Workspace Manager Web API.
- * Uses a simple in-memory token approach with Bearer token auth.
+ * Named user accounts (see users.js) with persisted Bearer tokens.
  *
- * - POST /api/auth/login  - Validates password, returns a Bearer token
- * - POST /api/auth/logout - Invalidates the token
- * - GET  /api/auth/check  - Validates current token
+ * - POST /api/auth/login     - Validates username + password, returns a Bearer token
+ * - POST /api/auth/logout    - Revokes the token
+ * - GET  /api/auth/check     - Validates current token, returns the signed-in user
+ * - POST /api/auth/password  - Change your own password
+ * - GET  /api/auth/sessions  - List your sign-in sessions (admins: ?all=true)
+ * - DELETE /api/auth/sessions/:id - Revoke a sign-in session
+ * - /api/users/*             - Account administration (admin only)
+ * - /api/api-keys/*          - Scoped API keys for scripts (see api-keys.js)
  *
  * Protected routes use the requireAuth middleware which checks
- * the Authorization: Bearer <token> header.
+ * the Authorization: Bearer <token> header and sets req.user. The token is
+ * either a login token or an API key; API keys are also checked against
+ * their scopes and workspace restriction.
  *
- * Password is loaded from (in priority order):
+ * On first run an "admin" account is created from the legacy password,
+ * loaded from (in priority order):
  *   1. CWM_PASSWORD environment variable
  *   2. state/config.json file
  *   3. Auto-generated on first run (saved to state/config.json)
+ * CWM_PASSWORD stays an override: if set, the admin account's password is
+ * reset to it on startup. Logging in without a username means "admin".
  *
  * SPDX-License-Identifier: AGPL-3.0-only
  */
@@ -20,9 +30,15 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { getUserStore } = require('./users');
+const {
+  getApiKeyStore, SCOPES, requiredScope, hasScope, allowsWorkspace, isApiKeyToken,
+} = require('./api-keys');
+const { getStore } = require('../state/store');
+const { getApprovalInbox } = require('./approvals');
 
 // ─── Configuration ─────────────────────────────────────────
-const TOKEN_BYTE_LENGTH = 32;
+const ADMIN_USERNAME = 'admin';
 const CONFIG_DIR = path.join(__dirname, '..', '..', 'state');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
 
@@ -118,23 +134,35 @@ function loadPassword() {
   return generated;
 }
 
-const AUTH_PASSWORD = loadPassword();
-
-// In-memory set of valid tokens. Tokens survive for the lifetime of
-// the server process. A restart invalidates all tokens (acceptable
-// for a local dev-tool).
-const activeTokens = new Set();
-
-// ─── Helpers ───────────────────────────────────────────────
-
 /**
- * Generate a cryptographically random hex token.
- * @returns {string} 64-character hex string
+ * Seed the admin account from the legacy password on first run, and keep it
+ * in sync with CWM_PASSWORD when that is set.
  */
-function generateToken() {
-  return crypto.randomBytes(TOKEN_BYTE_LENGTH).toString('hex');
+function initAccounts() {
+  const store = getUserStore();
+  if (store.isEmpty()) {
+    const result = store.createUser(
+      { username: ADMIN_USERNAME, password: loadPassword(), displayName: 'Admin', role: 'admin' },
+      { skipPasswordPolicy: true }
+    );
+    if (result.error) console.error('[AUTH] Failed to create admin account:', result.error);
+    else console.log('[AUTH] Created "admin" account (password from CWM_PASSWORD / state/config.json)');
+    return;
+  }
+
+  if (process.env.CWM_PASSWORD) {
+    const admin = store.listUsers().find(u => u.username === ADMIN_USERNAME);
+    if (admin && !store.checkPassword(admin.id, process.env.CWM_PASSWORD)) {
+      store.setPassword(admin.id, process.env.CWM_PASSWORD, { skipPasswordPolicy: true });
+      console.log('[AUTH] Reset "admin" password from CWM_PASSWORD');
+    }
+  }
 }
 
+initAccounts();
+
+// ─── Helpers ───────────────────────────────────────────────
+
 /**
  * Extract the Bearer token from an Authorization header value.
  * Returns null if the header is missing or malformed.
@@ -148,40 +176,141 @@ function extractBearerToken(headerValue) {
   return parts[1];
 }
 
+/**
+ * Resolve a login token or API key to its account.
+ * @param {string} token
+ * @returns {{ user: object, session: object|null, apiKey: object|null }|null}
+ *   null if invalid, expired, or the account is disabled
+ */
+function resolveCredential(token) {
+  if (!token) return null;
+  if (isApiKeyToken(token)) {
+    const apiKey = getApiKeyStore().resolve(token);
+    const user = apiKey ? getUserStore().getUser(apiKey.userId) : null;
+    if (!user || user.disabled) return null;
+    return { user, session: null, apiKey };
+  }
+  const resolved = getUserStore().resolveToken(token);
+  return resolved ? { user: resolved.user, session: resolved.session, apiKey: null } : null;
+}
+
+// Routes that name the session they act on as `sessionId`: in the query for
+// GET and DELETE, in the body otherwise
+const SESSION_PARAM_RE = /^\/api\/(git\/checkpoints|git\/review|recordings)(\/|$)/;
+
+/**
+ * The workspace a session belongs to.
+ * @param {*} sessionId
+ * @returns {string|null}
+ */
+function sessionWorkspaceId(sessionId) {
+  if (typeof sessionId !== 'string') return null;
+  const session = getStore().getSession(sessionId);
+  return session ? session.workspaceId : null;
+}
+
+/**
+ * Work out which workspace a request acts on, for workspace-restricted API
+ * keys, from the resource it touches. Returns null for requests that span
+ * workspaces (lists, search, ...) or whose target can't be resolved, which
+ * restricted keys are denied.
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function requestWorkspaceId(req) {
+  const store = getStore();
+  const match = req.path.match(/^\/api\/(workspaces|sessions|features|pty|approvals)\/([^/]+)/);
+  if (match) {
+    let id;
+    try { id = decodeURIComponent(match[2]); } catch (_) { return null; }
+    if (match[1] === 'workspaces') return store.getWorkspace(id) ? id : null;
+    if (match[1] === 'features') {
+      const feature = store.getFeature(id);
+      return feature ? feature.workspaceId : null;
+    }
+    if (match[1] === 'approvals') {
+      const entry = getApprovalInbox().get(id);
+      return entry ? sessionWorkspaceId(entry.sessionId) : null;
+    }
+    return sessionWorkspaceId(id);
+  }
+  if (SESSION_PARAM_RE.test(req.path)) {
+    const params = req.method === 'GET' || req.method === 'DELETE' ? req.query : (req.body || {});
+    return sessionWorkspaceId(params.sessionId);
+  }
+  // Creating a session names its workspace in the body. Only lists that
+  // filter by the workspaceId query parameter may use it
+  if (req.method === 'POST' && req.path === '/api/sessions') {
+    return (req.body && typeof req.body.workspaceId === 'string') ? req.body.workspaceId : null;
+  }
+  const filtered = req.method === 'GET' && typeof req.query.workspaceId === 'string'
+    && (req.path === '/api/approvals' || (req.path === '/api/sessions' && req.query.mode === 'workspace'));
+  return filtered ? req.query.workspaceId : null;
+}
+
 // ─── Middleware ─────────────────────────────────────────────
 
 /**
- * Express middleware that requires a valid Bearer token.
- * Responds with 401 if the token is missing or invalid.
+ * Express middleware that requires a valid Bearer token (login token or
+ * API key). Responds with 401 if the token is missing, invalid, expired, or
+ * belongs to a disabled account, and 403 if an API key lacks the scope or
+ * workspace access the request needs. Sets req.user, req.authSession (login
+ * tokens), req.apiKey (API keys) and req.authToken.
  */
 function requireAuth(req, res, next) {
   const token = extractBearerToken(req.headers.authorization);
+  const resolved = resolveCredential(token);
 
-  if (!token || !activeTokens.has(token)) {
+  if (!resolved) {
     return res.status(401).json({
       error: 'Unauthorized',
       message: 'Valid Bearer token required. POST /api/auth/login to authenticate.',
     });
   }
 
-  // Attach token to request for downstream use (e.g. logout)
+  if (resolved.apiKey) {
+    const scope = requiredScope(req.method, req.path);
+    if (!hasScope(resolved.apiKey, scope)) {
+      return res.status(403).json({ error: `API key lacks the "${scope}" scope` });
+    }
+    if (!allowsWorkspace(resolved.apiKey, requestWorkspaceId(req))) {
+      return res.status(403).json({ error: 'API key is not allowed to access this workspace' });
+    }
+  }
+
+  // Attach identity to request for downstream use (e.g. logout, audit)
   req.authToken = token;
+  req.authSession = resolved.session;
+  req.apiKey = resolved.apiKey;
+  req.user = resolved.user;
+  next();
+}
+
+/**
+ * Express middleware that requires an admin account. Use after requireAuth.
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
   next();
 }
 
 // ─── Route Setup ───────────────────────────────────────────
 
 /**
- * Mount authentication routes on the Express app.
- * These routes are NOT protected by requireAuth — they are public.
+ * Mount authentication and account routes on the Express app.
+ * Login, logout and check are public; the rest require a token.
  *
  * @param {import('express').Express} app - The Express application
  */
 function setupAuth(app) {
+  const store = getUserStore();
+
   /**
    * POST /api/auth/login
-   * Body: { password: string }
-   * Returns: { success: true, token: string } or { success: false, error: string }
+   * Body: { username?: string (default "admin"), password: string }
+   * Returns: { success: true, token: string, user } or { success: false, error: string }
    */
   app.post('/api/auth/login', (req, res) => {
     // Rate limiting
@@ -193,7 +322,7 @@ function setupAuth(app) {
       });
     }
 
-    const { password } = req.body || {};
+    const { username, password } = req.body || {};
 
     if (!password || typeof password !== 'string') {
       return res.status(400).json({
@@ -202,36 +331,33 @@ function setupAuth(app) {
       });
     }
 
-    // Constant-time comparison to mitigate timing attacks
-    const passwordBuffer = Buffer.from(password, 'utf-8');
-    const expectedBuffer = Buffer.from(AUTH_PASSWORD, 'utf-8');
-    const isValid =
-      passwordBuffer.length === expectedBuffer.length &&
-      crypto.timingSafeEqual(passwordBuffer, expectedBuffer);
-
-    if (!isValid) {
+    const user = store.authenticate(username || ADMIN_USERNAME, password);
+    if (!user) {
       return res.status(403).json({
         success: false,
-        error: 'Invalid password.',
+        error: 'Invalid username or password.',
       });
     }
 
-    const token = generateToken();
-    activeTokens.add(token);
+    req.user = user; // Attribute the login in the audit log
+    const { token } = store.createSession(user.id, {
+      ip: clientIp,
+      userAgent: req.headers['user-agent'] || '',
+    });
 
-    return res.json({ success: true, token });
+    return res.json({ success: true, token, user });
   });
 
   /**
    * POST /api/auth/logout
    * Requires Authorization: Bearer <token>
-   * Removes the token from the active set.
+   * Revokes the token's session.
    */
   app.post('/api/auth/logout', (req, res) => {
     const token = extractBearerToken(req.headers.authorization);
 
     if (token) {
-      activeTokens.delete(token);
+      store.revokeToken(token);
     }
 
     return res.json({ success: true });
@@ -239,24 +365,189 @@ function setupAuth(app) {
 
   /**
    * GET /api/auth/check
-   * Returns whether the provided Bearer token is still valid.
+   * Returns whether the provided Bearer token is still valid, and for whom.
    */
   app.get('/api/auth/check', (req, res) => {
     const token = extractBearerToken(req.headers.authorization);
-    const authenticated = !!token && activeTokens.has(token);
+    const resolved = token ? store.resolveToken(token) : null;
 
-    return res.json({ authenticated });
+    return res.json({ authenticated: !!resolved, user: resolved ? resolved.user : null });
+  });
+
+  /**
+   * POST /api/auth/password
+   * Change the signed-in user's password. Other sessions are signed out.
+   * Body: { currentPassword: string, newPassword: string }
+   */
+  app.post('/api/auth/password', requireAuth, (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!store.checkPassword(req.user.id, currentPassword)) {
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+    const result = store.setPassword(req.user.id, newPassword, { keepSessionId: req.authSession ? req.authSession.id : null });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ success: true });
+  });
+
+  /**
+   * GET /api/auth/sessions
+   * List sign-in sessions. Admins may pass ?all=true to see every user's.
+   * Each session is flagged `current` if it belongs to the calling token.
+   */
+  app.get('/api/auth/sessions', requireAuth, (req, res) => {
+    const all = req.query.all === 'true' && req.user.role === 'admin';
+    const users = new Map(store.listUsers().map(u => [u.id, u]));
+    const sessions = store.listSessions({ userId: all ? null : req.user.id }).map(s => ({
+      ...s,
+      username: users.has(s.userId) ? users.get(s.userId).username : null,
+      current: !!req.authSession && s.id === req.authSession.id,
+    }));
+    res.json({ sessions });
+  });
+
+  /**
+   * DELETE /api/auth/sessions/:id
+   * Revoke a sign-in session (your own, or anyone's for admins).
+   */
+  app.delete('/api/auth/sessions/:id', requireAuth, (req, res) => {
+    const session = store.getSession(req.params.id);
+    if (!session || (session.userId !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    store.revokeSession(session.id);
+    res.json({ success: true });
+  });
+
+  // ─── User administration (admin only) ─────────────────────
+
+  /**
+   * GET /api/users
+   * List accounts with their active session counts.
+   */
+  app.get('/api/users', requireAuth, requireAdmin, (req, res) => {
+    const counts = {};
+    for (const s of store.listSessions()) counts[s.userId] = (counts[s.userId] || 0) + 1;
+    res.json({ users: store.listUsers().map(u => ({ ...u, activeSessions: counts[u.id] || 0 })) });
+  });
+
+  /**
+   * POST /api/users
+   * Body: { username, password, displayName?, role?: 'admin'|'user' }
+   */
+  app.post('/api/users', requireAuth, requireAdmin, (req, res) => {
+    const { username, password, displayName, role } = req.body || {};
+    const result = store.createUser({ username, password, displayName, role });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.status(201).json({ user: result.user });
+  });
+
+  /**
+   * PUT /api/users/:id
+   * Body: { displayName?, role?, disabled? }. Disabling signs the user out.
+   */
+  app.put('/api/users/:id', requireAuth, requireAdmin, (req, res) => {
+    const { displayName, role, disabled } = req.body || {};
+    if (req.params.id === req.user.id && disabled === true) {
+      return res.status(400).json({ error: 'You cannot disable your own account' });
+    }
+    const result = store.updateUser(req.params.id, { displayName, role, disabled });
+    if (result.error) return res.status(result.error === 'User not found' ? 404 : 400).json({ error: result.error });
+    res.json({ user: result.user });
+  });
+
+  /**
+   * POST /api/users/:id/reset-password
+   * Body: { password? }. Generates a password if none is given (returned
+   * once in the response). Signs the user out everywhere.
+   */
+  app.post('/api/users/:id/reset-password', requireAuth, requireAdmin, (req, res) => {
+    const provided = (req.body || {}).password;
+    const password = provided || crypto.randomBytes(12).toString('base64url');
+    const result = store.setPassword(req.params.id, password);
+    if (result.error) return res.status(result.error === 'User not found' ? 404 : 400).json({ error: result.error });
+    res.json({ user: result.user, password: provided ? undefined : password });
+  });
+
+  // ─── API keys ─────────────────────────────────────────────
+
+  /**
+   * GET /api/api-keys
+   * List your API keys (admins: ?all=true for everyone's). Secrets are never returned.
+   */
+  app.get('/api/api-keys', requireAuth, (req, res) => {
+    const all = req.query.all === 'true' && req.user.role === 'admin';
+    const users = new Map(store.listUsers().map(u => [u.id, u]));
+    const apiKeys = getApiKeyStore().list({ userId: all ? null : req.user.id }).map(k => ({
+      ...k,
+      username: users.has(k.userId) ? users.get(k.userId).username : null,
+    }));
+    res.json({ apiKeys, scopes: SCOPES });
+  });
+
+  /**
+   * POST /api/api-keys
+   * Body: { name, scopes: string[], workspaceIds?: string[]|null }
+   * Returns the key once: { apiKey, key: "cwm_..." }. Only admins can grant "admin".
+   */
+  app.post('/api/api-keys', requireAuth, (req, res) => {
+    const { name, scopes, workspaceIds = null } = req.body || {};
+    if (Array.isArray(scopes) && scopes.includes('admin') && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can create keys with the "admin" scope' });
+    }
+    if (Array.isArray(workspaceIds)) {
+      const unknown = workspaceIds.filter(id => !getStore().getWorkspace(id));
+      if (unknown.length > 0) return res.status(400).json({ error: `Unknown workspace(s): ${unknown.join(', ')}` });
+    }
+    const result = getApiKeyStore().create({ name, userId: req.user.id, scopes, workspaceIds });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.status(201).json({ apiKey: result.apiKey, key: result.secret });
+  });
+
+  /**
+   * DELETE /api/api-keys/:id
+   * Revoke one of your keys (admins: any key).
+   */
+  app.delete('/api/api-keys/:id', requireAuth, (req, res) => {
+    const apiKeys = getApiKeyStore();
+    const key = apiKeys.get(req.params.id);
+    if (!key || (key.userId !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    apiKeys.revoke(key.id);
+    res.json({ success: true });
   });
 }
 
 /**
- * Check if a raw token string is valid (exists in activeTokens).
- * Used by SSE endpoint which can't use requireAuth middleware.
+ * Check if a raw token string is valid.
+ * Used by the SSE endpoint which can't use requireAuth middleware. The event
+ * stream covers every workspace, so API keys need "sessions:read" and no
+ * workspace restriction.
  * @param {string} token - The raw token string
  * @returns {boolean}
  */
 function isValidToken(token) {
-  return !!token && activeTokens.has(token);
+  const resolved = resolveCredential(token);
+  if (!resolved) return false;
+  return !resolved.apiKey || (hasScope(resolved.apiKey, 'sessions:read') && !resolved.apiKey.workspaceIds);
+}
+
+/**
+ * Authorize a terminal WebSocket connection to a session.
+ * API keys need the "pty:attach" scope and access to the session's workspace.
+ * @param {string} token - Login token or API key
+ * @param {string} sessionId
+ * @returns {{ user: object, apiKey: object|null }|null} The connecting account, or null if not allowed
+ */
+function authorizeTerminal(token, sessionId) {
+  const resolved = resolveCredential(token);
+  if (!resolved) return null;
+  if (resolved.apiKey) {
+    const session = getStore().getSession(sessionId);
+    if (!hasScope(resolved.apiKey, 'pty:attach')) return null;
+    if (!allowsWorkspace(resolved.apiKey, session ? session.workspaceId : null)) return null;
+  }
+  return { user: resolved.user, apiKey: resolved.apiKey };
 }
 
 // ─── Exports ───────────────────────────────────────────────
@@ -264,5 +555,7 @@ function isValidToken(token) {
 module.exports = {
   setupAuth,
   requireAuth,
+  requireAdmin,
   isValidToken,
+  authorizeTerminal,
 };
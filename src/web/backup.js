@@ -17,6 +17,8 @@ const BACKUP_FILES = [
   'index.html',
   'app.js',
   'terminal.js',
+  'recording-player.js',
+  'share.html',
   'styles.css',
   'styles-mobile.css',
 ];
@@ -0,0 +1,159 @@
+/**
+ * Budget evaluation for Claude Workspace Manager.
+ *
+ * Budgets are stored in the state store (see Store#createBudget) and scoped
+ * to a workspace, a feature, or everything ("global"). Each budget has a
+ * daily, weekly, or monthly period and a USD limit. This module holds the
+ * pure date/spend math; server.js maps a budget's scope to transcript index
+ * entries and acts on the results (alerts, SSE, blocking session starts).
+ *
+ * Periods are computed in UTC so they line up with the transcript index's
+ * per-day usage buckets. Weeks start on Monday.
+ */
+
+const BUDGET_PERIODS = ['daily', 'weekly', 'monthly'];
+const BUDGET_SCOPES = ['global', 'workspace', 'feature'];
+const DEFAULT_THRESHOLDS = [0.8, 1];
+
+/**
+ * Get the current period window for a budget period.
+ * @param {'daily'|'weekly'|'monthly'} period
+ * @param {Date} [now=new Date()]
+ * @returns {{ key: string, startDay: string, endDay: string }} key identifies the
+ *   window (e.g. "monthly:2026-03"); startDay/endDay are inclusive YYYY-MM-DD bounds
+ */
+function periodWindow(period, now = new Date()) {
+  const y = now.getUTCFullYear();
+  const m = now.getUTCMonth();
+  const d = now.getUTCDate();
+  let start;
+  let end;
+
+  if (period === 'daily') {
+    start = new Date(Date.UTC(y, m, d));
+    end = start;
+  } else if (period === 'weekly') {
+    const dow = (now.getUTCDay() + 6) % 7; // Monday = 0
+    start = new Date(Date.UTC(y, m, d - dow));
+    end = new Date(Date.UTC(y, m, d - dow + 6));
+  } else if (period === 'monthly') {
+    start = new Date(Date.UTC(y, m, 1));
+    end = new Date(Date.UTC(y, m + 1, 0));
+  } else {
+    throw new Error('Unknown budget period: ' + period);
+  }
+
+  const startDay = start.toISOString().slice(0, 10);
+  const endDay = end.toISOString().slice(0, 10);
+  const key = period === 'monthly' ? `monthly:${startDay.slice(0, 7)}` : `${period}:${startDay}`;
+  return { key, startDay, endDay };
+}
+
+/**
+ * Sum the cost of a transcript index entry's usage within a day range.
+ * @param {object} entry - Transcript index entry (has usage[day][model])
+ * @param {string} startDay - Inclusive YYYY-MM-DD
+ * @param {string} endDay - Inclusive YYYY-MM-DD
+ * @param {function(string, object, string): number} priceFn - (model, usageBucket, day) => USD
+ * @returns {number} USD
+ */
+function entrySpend(entry, startDay, endDay, priceFn) {
+  let total = 0;
+  for (const [day, models] of Object.entries(entry.usage || {})) {
+    if (day < startDay || day > endDay) continue;
+    for (const [model, bucket] of Object.entries(models)) {
+      total += priceFn(model, bucket, day);
+    }
+  }
+  return total;
+}
+
+/**
+ * Evaluate a budget against its current spend.
+ * @param {object} budget - Budget from the store
+ * @param {number} spend - USD spent in the current period
+ * @param {Date} [now=new Date()]
+ * @returns {{ periodKey: string, startDay: string, endDay: string, spend: number, limit: number,
+ *   pct: number, crossed: number[], newlyCrossed: number[], exceeded: boolean, overridden: boolean, blocked: boolean }}
+ */
+function evaluateBudget(budget, spend, now = new Date()) {
+  const { key, startDay, endDay } = periodWindow(budget.period, now);
+  const limit = budget.limit;
+  const pct = limit > 0 ? spend / limit : 0;
+  const thresholds = (budget.thresholds && budget.thresholds.length) ? budget.thresholds : DEFAULT_THRESHOLDS;
+  const crossed = thresholds.filter(t => pct >= t).sort((a, b) => a - b);
+
+  // Alerts already sent this period (reset automatically when the period rolls over)
+  const alerted = (budget.alerted && budget.alerted.periodKey === key) ? budget.alerted.thresholds : [];
+  const newlyCrossed = crossed.filter(t => !alerted.includes(t));
+
+  const exceeded = limit > 0 && spend >= limit;
+  const overridden = budget.overridePeriod === key;
+
+  return {
+    periodKey: key,
+    startDay,
+    endDay,
+    spend: Math.round(spend * 1_000_000) / 1_000_000,
+    limit,
+    pct: Math.round(pct * 1000) / 1000,
+    crossed,
+    newlyCrossed,
+    exceeded,
+    overridden,
+    blocked: !!budget.block && exceeded && !overridden,
+  };
+}
+
+/**
+ * Validate and normalize budget fields from an API body.
+ * Scope and target are checked as a pair: on updates, whichever one the
+ * body omits is taken from the existing budget, and a scope change without
+ * a new targetId drops the old target rather than carrying it across.
+ * @param {object} body
+ * @param {object|null} [existing=null] - Budget being updated; allows missing fields
+ * @returns {{ value?: object, error?: string }}
+ */
+function normalizeBudgetInput(body, existing = null) {
+  const value = {};
+  const has = (k) => body[k] !== undefined;
+  const partial = !!existing;
+
+  if (!partial || has('scope') || has('targetId')) {
+    const scope = partial && !has('scope') ? existing.scope : body.scope;
+    if (!BUDGET_SCOPES.includes(scope)) return { error: 'scope must be one of: ' + BUDGET_SCOPES.join(', ') };
+    let targetId = body.targetId;
+    if (!has('targetId') && partial && scope === existing.scope) targetId = existing.targetId;
+    if (scope !== 'global' && !targetId) return { error: 'targetId is required for ' + scope + ' budgets' };
+    value.scope = scope;
+    value.targetId = scope === 'global' ? null : targetId;
+  }
+  if (!partial || has('period')) {
+    if (!BUDGET_PERIODS.includes(body.period)) return { error: 'period must be one of: ' + BUDGET_PERIODS.join(', ') };
+    value.period = body.period;
+  }
+  if (!partial || has('limit')) {
+    const limit = Number(body.limit);
+    if (!isFinite(limit) || limit <= 0) return { error: 'limit must be a positive number (USD)' };
+    value.limit = limit;
+  }
+  if (has('thresholds')) {
+    if (!Array.isArray(body.thresholds) || body.thresholds.some(t => typeof t !== 'number' || t <= 0)) {
+      return { error: 'thresholds must be an array of positive fractions (e.g. [0.8, 1])' };
+    }
+    value.thresholds = [...new Set(body.thresholds)].sort((a, b) => a - b);
+  }
+  if (has('block')) value.block = !!body.block;
+  if (has('name')) value.name = String(body.name || '');
+  return { value };
+}
+
+module.exports = {
+  BUDGET_PERIODS,
+  BUDGET_SCOPES,
+  DEFAULT_THRESHOLDS,
+  periodWindow,
+  entrySpend,
+  evaluateBudget,
+  normalizeBudgetInput,
+};
@@ -0,0 +1,208 @@
+/**
+ * Cost-over-time reports for Claude Workspace Manager.
+ *
+ * Buckets the transcript index's per-day, per-model usage into day, week, or
+ * month periods and groups it by workspace, project directory, model, or
+ * feature. This module holds the pure aggregation and CSV serialization;
+ * server.js decides which group(s) each transcript belongs to and prices
+ * usage through the pricing table.
+ *
+ * Periods use UTC days (matching the index) and Monday-start weeks, the same
+ * windows budgets use.
+ */
+
+const { periodWindow } = require('./budgets');
+
+const REPORT_INTERVALS = ['day', 'week', 'month'];
+const REPORT_GROUPS = ['workspace', 'project', 'model', 'feature'];
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Report interval -> budget period name used by periodWindow()
+const INTERVAL_PERIODS = { day: 'daily', week: 'weekly', month: 'monthly' };
+
+const CSV_COLUMNS = [
+  ['period', r => r.period],
+  ['period_start', r => r.periodStart],
+  ['period_end', r => r.periodEnd],
+  ['group', r => r.group],
+  ['label', r => r.label],
+  ['sessions', r => r.sessions],
+  ['messages', r => r.messages],
+  ['input_tokens', r => r.tokens.input],
+  ['output_tokens', r => r.tokens.output],
+  ['cache_write_tokens', r => r.tokens.cacheWrite],
+  ['cache_read_tokens', r => r.tokens.cacheRead],
+  ['total_tokens', r => r.tokens.total],
+  ['cost_usd', r => r.cost],
+  ['priced_with_fallback', r => r.pricedWithFallback],
+];
+
+/**
+ * Get the report period containing a day.
+ * @param {string} day - UTC day (YYYY-MM-DD)
+ * @param {'day'|'week'|'month'} interval
+ * @returns {{ period: string, periodStart: string, periodEnd: string }} period is the
+ *   day ("2026-03-04"), the week's Monday ("2026-03-02"), or the month ("2026-03")
+ */
+function reportPeriod(day, interval) {
+  const { startDay, endDay } = periodWindow(INTERVAL_PERIODS[interval], new Date(day + 'T00:00:00Z'));
+  return {
+    period: interval === 'month' ? startDay.slice(0, 7) : startDay,
+    periodStart: startDay,
+    periodEnd: endDay,
+  };
+}
+
+/**
+ * Validate report query parameters.
+ * @param {object} query - { interval?, groupBy?, from?, to?, format? }
+ * @returns {{ value?: { interval: string, groupBy: string, from: string|null, to: string|null, format: string }, error?: string }}
+ */
+function normalizeReportQuery(query) {
+  const interval = query.interval || 'month';
+  const groupBy = query.groupBy || 'workspace';
+  const format = query.format || 'json';
+  const from = query.from || null;
+  const to = query.to || null;
+
+  if (!REPORT_INTERVALS.includes(interval)) return { error: 'interval must be one of: ' + REPORT_INTERVALS.join(', ') };
+  if (!REPORT_GROUPS.includes(groupBy)) return { error: 'groupBy must be one of: ' + REPORT_GROUPS.join(', ') };
+  if (format !== 'json' && format !== 'csv') return { error: 'format must be json or csv' };
+  if (from && !DAY_RE.test(from)) return { error: 'from must be YYYY-MM-DD' };
+  if (to && !DAY_RE.test(to)) return { error: 'to must be YYYY-MM-DD' };
+  if (from && to && from > to) return { error: 'from is after to' };
+  return { value: { interval, groupBy, from, to, format } };
+}
+
+const round6 = (n) => Math.round(n * 1_000_000) / 1_000_000;
+
+/**
+ * Build a cost report from transcript index entries.
+ *
+ * A transcript can belong to several groups (e.g. a session linked to two
+ * features); its usage then appears in each group's rows, but is counted only
+ * once in the report totals.
+ *
+ * @param {object[]} entries - Transcript index entries (have sessionId and usage[day][model])
+ * @param {object} options
+ * @param {'day'|'week'|'month'} options.interval
+ * @param {string} options.groupBy - Recorded on the report; grouping itself comes from groupsFor
+ * @param {string|null} [options.from] - Inclusive YYYY-MM-DD lower bound
+ * @param {string|null} [options.to] - Inclusive YYYY-MM-DD upper bound
+ * @param {function(object, string): Array<{ key: string, label: string }>} options.groupsFor -
+ *   (entry, model) => groups the usage belongs to
+ * @param {function(string, object, string): { cost: number, fallback: boolean }} options.priceFn -
+ *   (model, usageBucket, day) => priced bucket
+ * @returns {{ interval: string, groupBy: string, from: string|null, to: string|null,
+ *   rows: object[], totals: object, generatedAt: string }}
+ */
+function buildCostReport(entries, { interval, groupBy, from = null, to = null, groupsFor, priceFn }) {
+  const rows = new Map(); // "period|groupKey" -> row (sessions held as a Set until the end)
+  const totals = {
+    sessions: new Set(),
+    messages: 0,
+    tokens: { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, total: 0 },
+    cost: 0,
+    pricedWithFallback: false,
+  };
+  const periods = new Map(); // day -> reportPeriod() result
+
+  const addUsage = (target, bucket, cost, fallback) => {
+    target.messages += bucket.messages || 0;
+    target.tokens.input += bucket.input;
+    target.tokens.output += bucket.output;
+    target.tokens.cacheWrite += bucket.cacheWrite;
+    target.tokens.cacheRead += bucket.cacheRead;
+    target.tokens.total += bucket.input + bucket.output + bucket.cacheWrite + bucket.cacheRead;
+    target.cost += cost;
+    if (fallback) target.pricedWithFallback = true;
+  };
+
+  for (const entry of entries) {
+    for (const [day, models] of Object.entries(entry.usage || {})) {
+      if (from && day < from) continue;
+      if (to && day > to) continue;
+      if (!periods.has(day)) periods.set(day, reportPeriod(day, interval));
+      const period = periods.get(day);
+
+      for (const [model, bucket] of Object.entries(models)) {
+        const { cost, fallback } = priceFn(model, bucket, day);
+        totals.sessions.add(entry.sessionId);
+        addUsage(totals, bucket, cost, fallback);
+
+        for (const group of groupsFor(entry, model)) {
+          const key = period.period + '|' + group.key;
+          let row = rows.get(key);
+          if (!row) {
+            row = {
+              ...period,
+              group: group.key,
+              label: group.label,
+              sessions: new Set(),
+              messages: 0,
+              tokens: { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, total: 0 },
+              cost: 0,
+              pricedWithFallback: false,
+            };
+            rows.set(key, row);
+          }
+          row.sessions.add(entry.sessionId);
+          addUsage(row, bucket, cost, fallback);
+        }
+      }
+    }
+  }
+
+  // Oldest period first; within a period, most expensive group first
+  const sortedRows = [...rows.values()]
+    .map(row => ({ ...row, sessions: row.sessions.size, cost: round6(row.cost) }))
+    .sort((a, b) => a.period.localeCompare(b.period) || b.cost - a.cost || a.label.localeCompare(b.label));
+
+  return {
+    interval,
+    groupBy,
+    from,
+    to,
+    rows: sortedRows,
+    totals: { ...totals, sessions: totals.sessions.size, cost: round6(totals.cost) },
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Quote a CSV field if it contains a delimiter, quote, or newline. Text a
+ * spreadsheet would run as a formula (starting with =, +, -, @, tab or CR)
+ * gets a leading ' and is quoted, so a workspace named "=HYPERLINK(...)"
+ * stays text.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (typeof value === 'number') return String(value);
+  let str = value == null ? '' : String(value);
+  const formula = /^[=+\-@\t\r]/.test(str);
+  if (formula) str = "'" + str;
+  return formula || /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+
+/**
+ * Serialize a report's rows as CSV (header row included).
+ * @param {{ rows: object[] }} report
+ * @returns {string}
+ */
+function reportToCsv(report) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  for (const row of report.rows) {
+    lines.push(CSV_COLUMNS.map(([, get]) => csvField(get(row))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  REPORT_INTERVALS,
+  REPORT_GROUPS,
+  reportPeriod,
+  normalizeReportQuery,
+  buildCostReport,
+  reportToCsv,
+};
@@ -0,0 +1,440 @@
+/**
+ * Branches and worktrees for features on the board.
+ *
+ * A feature that becomes active gets a branch named after it, checked out in
+ * a worktree next to the repository. When it's done the branch is merged back
+ * into the base branch it was made from, fast-forward or squashed into one
+ * commit, and the worktree and branch are removed.
+ *
+ * Merges are computed with `git merge-tree` (git 2.38+), so conflicts are
+ * reported without leaving markers in any checkout, and the base branch only
+ * moves once the result is clean. Where the base branch is checked out it is
+ * moved with `merge --ff-only`, so that checkout's files follow.
+ *
+ * findStaleWorktrees() is the janitor: linked worktrees that no session works
+ * in and no feature owns, including ones whose directory is gone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runGit, badRequest } = require('./git-checkpoints');
+const { repoRoot } = require('./git-review');
+const { normalizeFile, fileKey } = require('./file-attribution');
+
+const BRANCH_PREFIX = 'feat/';
+const MAX_SLUG_CHARS = 50;
+const MERGE_MODES = ['ff', 'squash'];
+const BRANCH_DELETION = ['merged', 'always', 'never'];
+
+/**
+ * An error the caller should report as a conflict (status 409).
+ * @param {string} message
+ * @returns {Error}
+ */
+function conflict(message) {
+  return Object.assign(new Error(message), { status: 409 });
+}
+
+/**
+ * A feature name as a branch name segment: lowercase, with runs of anything
+ * git or a file system might object to turned into a dash.
+ * @param {string} name
+ * @returns {string}
+ */
+function featureSlug(name) {
+  const slug = String(name || '').toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/\.{2,}/g, '.')
+    .replace(/-{2,}/g, '-')
+    .substring(0, MAX_SLUG_CHARS)
+    .replace(/^[-.]+|[-.]+$/g, '')
+    .replace(/\.lock$/, '');
+  return slug || 'feature';
+}
+
+/**
+ * The branch a feature works on.
+ * @param {string} name - Feature name
+ * @returns {string}
+ */
+function featureBranch(name) {
+  return BRANCH_PREFIX + featureSlug(name);
+}
+
+/**
+ * Where a branch's worktree goes by default: `<parent>/<repo>-wt/<branch>`.
+ * @param {string} root - Main worktree of the repository
+ * @param {string} branch
+ * @returns {string}
+ */
+function worktreePath(root, branch) {
+  return path.join(path.dirname(root), `${path.basename(root)}-wt`, branch.replace(/\//g, '-'));
+}
+
+/**
+ * Parse `git worktree list --porcelain` output. The main worktree is first.
+ * @param {string} text
+ * @returns {Array<{ path: string, head?: string, branch?: string, bare?: boolean,
+ *   detached?: boolean, locked?: boolean, prunable?: boolean }>}
+ */
+function parseWorktreeList(text) {
+  const worktrees = [];
+  let current = null;
+  for (const line of (text || '').split('\n')) {
+    if (line.startsWith('worktree ')) {
+      current = { path: line.substring(9).trim() };
+      worktrees.push(current);
+    } else if (!current) {
+      continue;
+    } else if (line.startsWith('HEAD ')) {
+      current.head = line.substring(5).trim();
+    } else if (line.startsWith('branch ')) {
+      current.branch = line.substring(7).trim().replace(/^refs\/heads\//, '');
+    } else if (line === 'bare') {
+      current.bare = true;
+    } else if (line === 'detached') {
+      current.detached = true;
+    } else if (line === 'locked' || line.startsWith('locked ')) {
+      current.locked = true;
+    } else if (line === 'prunable' || line.startsWith('prunable ')) {
+      current.prunable = true;
+    }
+  }
+  return worktrees;
+}
+
+/**
+ * Key for comparing directories, whichever separators and case they use.
+ * @param {string} dir
+ * @returns {string}
+ */
+function dirKey(dir) {
+  return fileKey(normalizeFile(path.resolve(dir), null));
+}
+
+/**
+ * Whether a directory is a worktree or inside it.
+ * @param {string} dir
+ * @param {string} worktree
+ * @returns {boolean}
+ */
+function isInside(dir, worktree) {
+  const key = dirKey(dir);
+  const root = dirKey(worktree);
+  return key === root || key.startsWith(root.replace(/\/$/, '') + '/');
+}
+
+/**
+ * The linked worktrees nothing uses: no session's working directory is in
+ * them and no feature owns them. The main worktree is never stale, and
+ * locked worktrees are kept on purpose.
+ * @param {object[]} worktrees - As parseWorktreeList() returns them
+ * @param {{ sessionDirs?: string[], featurePaths?: string[] }} usage
+ * @returns {object[]}
+ */
+function pickStale(worktrees, { sessionDirs = [], featurePaths = [] } = {}) {
+  const owned = new Set(featurePaths.map(dirKey));
+  return worktrees.slice(1).filter(wt => !wt.bare && !wt.locked
+    && !owned.has(dirKey(wt.path))
+    && !sessionDirs.some(dir => isInside(dir, wt.path)));
+}
+
+/**
+ * The worktrees of the repository around a directory.
+ * @param {string} dir
+ * @returns {Promise<object[]>}
+ */
+async function listWorktrees(dir) {
+  return parseWorktreeList(await runGit(['worktree', 'list', '--porcelain'], dir));
+}
+
+/**
+ * The commit a local branch points at.
+ * @param {string} root
+ * @param {string} branch
+ * @returns {Promise<string|null>} Null when there's no such branch
+ */
+async function branchHead(root, branch) {
+  try {
+    return (await runGit(['rev-parse', '-q', '--verify', `refs/heads/${branch}^{commit}`], root)).trim();
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Create a feature's branch off a base branch and check it out in a new
+ * worktree. A branch that already exists is checked out as it is, and one
+ * that is already checked out in a linked worktree is reused.
+ * @param {string} repoDir - Any directory in the repository
+ * @param {string} name - Feature name
+ * @param {{ baseBranch?: string }} [options] - Defaults to the branch checked out in repoDir
+ * @returns {Promise<{ repoRoot: string, path: string, branch: string, baseBranch: string, created: boolean }>}
+ */
+async function createFeatureWorktree(repoDir, name, { baseBranch } = {}) {
+  const dir = await repoRoot(repoDir);
+  let base = typeof baseBranch === 'string' ? baseBranch.trim() : '';
+  if (!base) {
+    try {
+      base = (await runGit(['symbolic-ref', '--short', '-q', 'HEAD'], dir)).trim();
+    } catch (_) {
+      // Detached HEAD
+    }
+    if (!base) throw badRequest('The repository is on a detached HEAD; name a base branch');
+  }
+  if (!(await branchHead(dir, base))) throw badRequest(`No local branch named "${base}"`);
+
+  const branch = featureBranch(name);
+  const worktrees = await listWorktrees(dir);
+  const root = path.resolve(worktrees[0].path);
+  const existing = worktrees.find(wt => wt.branch === branch);
+  if (existing === worktrees[0]) throw conflict(`${branch} is checked out in ${root}`);
+  if (existing && !existing.prunable) {
+    return { repoRoot: root, path: path.resolve(existing.path), branch, baseBranch: base, created: false };
+  }
+  if (existing) await runGit(['worktree', 'prune'], root);
+
+  const target = worktreePath(root, branch);
+  if (fs.existsSync(target)) throw conflict(`${target} already exists`);
+  const args = await branchHead(root, branch)
+    ? ['worktree', 'add', target, branch]
+    : ['worktree', 'add', '-b', branch, target, base];
+  await runGit(args, root);
+  return { repoRoot: root, path: target, branch, baseBranch: base, created: true };
+}
+
+/**
+ * Merge two commits without a working tree.
+ * @returns {Promise<{ tree: string, conflicts: string[] }>}
+ */
+async function mergeTree(root, base, head) {
+  try {
+    const out = await runGit(['merge-tree', '--write-tree', '--name-only', '--no-messages', base, head], root);
+    return { tree: out.split('\n')[0].trim(), conflicts: [] };
+  } catch (err) {
+    // Exit 1 means conflicts: the tree, then the conflicted paths
+    if (err.code !== 1 || !err.stdout) {
+      if (err.code === 129) throw new Error('Merging back needs git 2.38 or newer');
+      throw err;
+    }
+    const [tree, ...rest] = err.stdout.split('\n');
+    const end = rest.indexOf('');
+    return { tree: tree.trim(), conflicts: end === -1 ? rest : rest.slice(0, end) };
+  }
+}
+
+/**
+ * Whether `ancestor` is reachable from `head`.
+ * @returns {Promise<boolean>}
+ */
+async function isAncestor(root, ancestor, head) {
+  try {
+    await runGit(['merge-base', '--is-ancestor', ancestor, head], root);
+    return true;
+  } catch (err) {
+    if (err.code === 1) return false;
+    throw err;
+  }
+}
+
+/**
+ * The default squash commit message: the feature's name, then the subjects
+ * of the commits it squashes.
+ * @returns {Promise<string>}
+ */
+async function squashMessage(root, base, head, title) {
+  const subjects = (await runGit(['log', '--reverse', '--format=- %s', `${base}..${head}`], root)).trim();
+  return subjects ? `${title}\n\n${subjects}` : title;
+}
+
+/**
+ * Fast-forward a branch to a commit. Where the branch is checked out, the
+ * checkout moves with it; git refuses if its local changes are in the way.
+ */
+async function advanceBranch(root, branch, from, to) {
+  const checkout = (await listWorktrees(root)).find(wt => wt.branch === branch && !wt.bare && !wt.prunable);
+  if (!checkout) {
+    await runGit(['update-ref', '-m', `merge ${to}: fast-forward`, `refs/heads/${branch}`, to, from], root);
+    return;
+  }
+  try {
+    await runGit(['merge', '--ff-only', '-q', to], checkout.path);
+  } catch (err) {
+    throw conflict(`Couldn't update ${branch} in ${checkout.path}: ${err.message}`);
+  }
+}
+
+/**
+ * Merge a feature's branch back into its base branch.
+ *
+ * Fast-forward needs the base branch not to have moved on; squash makes one
+ * commit on top of the base branch with the branch's changes. Either way the
+ * feature's worktree must have no uncommitted changes, since they wouldn't
+ * be part of the merge. A merge that can't be done cleanly changes nothing
+ * and comes back with `merged: false` and the conflicted paths. A branch
+ * whose changes are all in the base branch already (nothing committed, or
+ * squashed before) is reported merged without a new commit.
+ * @param {{ repoRoot: string, path: string, branch: string, baseBranch: string }} worktree
+ * @param {{ mode?: string, message?: string, title?: string }} [options]
+ *   title - First line of the default squash message
+ * @returns {Promise<{ merged: boolean, mode: string, baseBranch: string, head: string,
+ *   commit: string|null, commits: number, conflicts: string[], alreadyMerged?: boolean, reason?: string }>}
+ *   head - The branch commit that was merged
+ */
+async function mergeFeature(worktree, { mode = 'squash', message, title } = {}) {
+  if (!MERGE_MODES.includes(mode)) throw badRequest(`mode must be one of: ${MERGE_MODES.join(', ')}`);
+  const { repoRoot: root, branch, baseBranch: base } = worktree;
+  if (!root || !fs.existsSync(root)) throw badRequest('Repository not found');
+  const head = await branchHead(root, branch);
+  if (!head) throw badRequest(`Branch ${branch} no longer exists`);
+  const baseHead = await branchHead(root, base);
+  if (!baseHead) throw badRequest(`Base branch ${base} no longer exists`);
+  if (worktree.path && fs.existsSync(worktree.path)) {
+    const status = await runGit(['status', '--porcelain'], worktree.path);
+    if (status.trim()) throw conflict(`${branch} has uncommitted changes; commit or discard them first`);
+  }
+
+  const result = { merged: false, mode, baseBranch: base, head, commit: null, commits: 0, conflicts: [] };
+  result.commits = parseInt((await runGit(['rev-list', '--count', `${baseHead}..${head}`], root)).trim(), 10) || 0;
+  if (result.commits === 0) return { ...result, merged: true, commit: baseHead, alreadyMerged: true };
+
+  let target = head;
+  if (mode === 'squash' || !(await isAncestor(root, baseHead, head))) {
+    const { tree, conflicts } = await mergeTree(root, baseHead, head);
+    const baseTree = (await runGit(['rev-parse', `${baseHead}^{tree}`], root)).trim();
+    if (conflicts.length === 0 && tree === baseTree) return { ...result, merged: true, commit: baseHead, alreadyMerged: true };
+    if (mode === 'ff') return { ...result, conflicts, reason: `${base} has moved on since ${branch} was made` };
+    if (conflicts.length > 0) return { ...result, conflicts, reason: `${branch} conflicts with ${base}` };
+    const text = (typeof message === 'string' && message.trim())
+      || await squashMessage(root, baseHead, head, title || `Squash ${branch}`);
+    target = (await runGit(['commit-tree', tree, '-p', baseHead, '-m', text], root)).trim();
+  }
+  await advanceBranch(root, base, baseHead, target);
+  return { ...result, merged: true, commit: target };
+}
+
+/**
+ * Remove a feature's worktree and delete its branch.
+ * @param {{ repoRoot: string, path: string, branch: string }} worktree
+ * @param {{ force?: boolean, deleteBranch?: string, mergedHead?: string }} [options]
+ *   force - Remove the worktree even with uncommitted changes.
+ *   deleteBranch - 'merged' (default) only if it's merged, 'always', or 'never'.
+ *   A branch counts as merged when git says so, or when it still points at
+ *   mergedHead, the commit mergeFeature() merged (a squash leaves no trace).
+ * @returns {Promise<{ removed: boolean, branchDeleted: boolean }>}
+ */
+async function removeFeatureWorktree(worktree, { force = false, deleteBranch = 'merged', mergedHead = null } = {}) {
+  if (!BRANCH_DELETION.includes(deleteBranch)) {
+    throw badRequest(`deleteBranch must be one of: ${BRANCH_DELETION.join(', ')}`);
+  }
+  const root = worktree.repoRoot;
+  if (!root || !fs.existsSync(root)) throw badRequest('Repository not found');
+  const worktrees = await listWorktrees(root);
+  const entry = worktrees.slice(1).find(wt => dirKey(wt.path) === dirKey(worktree.path));
+
+  let removed = false;
+  if (entry) {
+    try {
+      await runGit(['worktree', 'remove', ...(force ? ['--force'] : []), entry.path], root);
+    } catch (err) {
+      throw conflict(err.message);
+    }
+    removed = true;
+  }
+
+  let branchDeleted = false;
+  const head = deleteBranch === 'never' ? null : await branchHead(root, worktree.branch);
+  if (head) {
+    const merged = deleteBranch === 'always' || (mergedHead && head === mergedHead);
+    try {
+      await runGit(['branch', merged ? '-D' : '-d', worktree.branch], root);
+      branchDeleted = true;
+    } catch (_) {
+      // Unmerged (or checked out elsewhere): keep it
+    }
+  }
+  return { removed, branchDeleted };
+}
+
+/**
+ * The janitor: stale linked worktrees in the repositories around some
+ * directories. Directories that are gone or outside git are skipped.
+ * @param {string[]} dirs
+ * @param {{ sessionDirs?: string[], featurePaths?: string[] }} usage
+ * @returns {Promise<Array<{ repoRoot: string, path: string, branch: string|null,
+ *   head: string|null, missing: boolean }>>}
+ */
+async function findStaleWorktrees(dirs, usage) {
+  const repos = new Set();
+  const stale = [];
+  for (const dir of new Set(dirs.filter(Boolean))) {
+    if (!fs.existsSync(dir)) continue;
+    let worktrees;
+    try {
+      worktrees = await listWorktrees(dir);
+    } catch (_) {
+      continue;
+    }
+    if (worktrees.length === 0 || repos.has(dirKey(worktrees[0].path))) continue;
+    repos.add(dirKey(worktrees[0].path));
+    for (const wt of pickStale(worktrees, usage)) {
+      stale.push({
+        repoRoot: path.resolve(worktrees[0].path),
+        path: path.resolve(wt.path),
+        branch: wt.branch || null,
+        head: wt.head || null,
+        missing: Boolean(wt.prunable),
+      });
+    }
+  }
+  return stale;
+}
+
+/**
+ * Remove some of the stale worktrees findStaleWorktrees() reports. Paths that
+ * are no longer stale are left alone, so the janitor never removes a worktree
+ * a session started using since the list was shown.
+ * @param {string[]} dirs
+ * @param {object} usage
+ * @param {string[]} paths - Worktrees to remove
+ * @param {{ deleteBranches?: boolean }} [options] - Also delete their branches, if merged
+ * @returns {Promise<{ removed: Array<{ path: string, branch: string|null, branchDeleted: boolean }>,
+ *   failed: Array<{ path: string, error: string }> }>}
+ */
+async function removeStaleWorktrees(dirs, usage, paths, { deleteBranches = false } = {}) {
+  const stale = new Map((await findStaleWorktrees(dirs, usage)).map(wt => [dirKey(wt.path), wt]));
+  const removed = [];
+  const failed = [];
+  for (const wtPath of paths) {
+    const wt = stale.get(dirKey(wtPath));
+    if (!wt) {
+      failed.push({ path: wtPath, error: 'Not a stale worktree' });
+      continue;
+    }
+    try {
+      const result = await removeFeatureWorktree(
+        { repoRoot: wt.repoRoot, path: wt.path, branch: wt.branch },
+        { deleteBranch: deleteBranches && wt.branch ? 'merged' : 'never' },
+      );
+      removed.push({ path: wt.path, branch: wt.branch, branchDeleted: result.branchDeleted });
+    } catch (err) {
+      failed.push({ path: wt.path, error: err.message });
+    }
+  }
+  return { removed, failed };
+}
+
+module.exports = {
+  featureSlug,
+  featureBranch,
+  worktreePath,
+  parseWorktreeList,
+  isInside,
+  pickStale,
+  createFeatureWorktree,
+  mergeFeature,
+  removeFeatureWorktree,
+  findStaleWorktrees,
+  removeStaleWorktrees,
+  MERGE_MODES,
+};
@@ -0,0 +1,257 @@
+/**
+ * Which files each session edited, and where two sessions collide.
+ *
+ * Providers turn transcript records into file edit events (parseFileEdits):
+ * a tool call naming a file, then its result, which carries the edited line
+ * ranges when the tool reports them. Failed edits are dropped. FileAttribution
+ * tails each transcript from where it last stopped, so polling live sessions
+ * only reads their new lines.
+ *
+ * findConflicts() cross-references sessions: a file edited by two sessions
+ * within a time window of each other, with the overlapping line ranges when
+ * both edits know theirs. Line numbers are as of each edit, so later edits
+ * above a range can shift it; overlaps are a strong hint, not a proof.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { forEachLineForward } = require('./transcript-reader');
+
+const DEFAULT_WINDOW_MS = 30 * 60 * 1000;
+const MAX_EDITS_PER_TRANSCRIPT = 5000;
+const MAX_PENDING_RESULTS = 500;
+
+/**
+ * Absolute, forward-slash form of an edited file's path.
+ * @param {string} file - As the tool call named it
+ * @param {string|null} cwd - The session's working directory at the time
+ * @returns {string}
+ */
+function normalizeFile(file, cwd) {
+  const absolute = /^([A-Za-z]:)?[\\/]/.test(file);
+  const full = !absolute && cwd ? `${cwd}/${file}` : file;
+  return path.posix.normalize(full.replace(/\\/g, '/'));
+}
+
+/**
+ * Key for comparing paths: Windows paths are case-insensitive.
+ * @param {string} file - Normalized path
+ * @returns {string}
+ */
+function fileKey(file) {
+  return /^[A-Za-z]:/.test(file) ? file.toLowerCase() : file;
+}
+
+/**
+ * Merge line ranges into sorted, non-overlapping ones.
+ * @param {Array<{ start: number, end: number }>} ranges
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function mergeRanges(ranges) {
+  const sorted = ranges.slice().sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) last.end = Math.max(last.end, range.end);
+    else merged.push({ start: range.start, end: range.end });
+  }
+  return merged;
+}
+
+/**
+ * Line ranges edited by both sides.
+ * @param {Array<{ start: number, end: number }>} a
+ * @param {Array<{ start: number, end: number }>} b
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function intersectRanges(a, b) {
+  const overlaps = [];
+  for (const x of a) {
+    for (const y of b) {
+      const start = Math.max(x.start, y.start);
+      const end = Math.min(x.end, y.end);
+      if (start <= end) overlaps.push({ start, end });
+    }
+  }
+  return overlaps;
+}
+
+class FileAttribution {
+  constructor() {
+    /** transcript path -> { offset, line, edits, pending, context } */
+    this._transcripts = new Map();
+  }
+
+  /**
+   * Read a transcript's new lines and return all of its file edits so far,
+   * oldest first. A transcript that shrank is read again from the start.
+   * @param {string} filePath
+   * @param {object} provider - Adapter with parseFileEdits(record, context)
+   * @param {number} [deadline] - Epoch ms; reading resumes on the next call
+   * @returns {Array<{ file: string, tool: string, at: string|null, line: number,
+   *   ranges: Array<{ start: number, end: number }>|null }>}
+   */
+  update(filePath, provider, deadline = Infinity) {
+    let state = this._transcripts.get(filePath);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const size = fs.fstatSync(fd).size;
+      if (!state || size < state.offset) {
+        state = { offset: 0, line: 1, edits: [], pending: new Map(), context: {} };
+        this._transcripts.set(filePath, state);
+      }
+      if (size === state.offset) return state.edits;
+
+      const end = forEachLineForward(fd, size, state, (text, lineNo) => {
+        if (text.trim()) {
+          let record = null;
+          try { record = JSON.parse(text); } catch (_) {}
+          if (record) this._apply(state, provider.parseFileEdits(record, state.context), lineNo);
+        }
+        return Date.now() < deadline;
+      });
+      state.offset = end.offset;
+      state.line = end.line;
+    } finally {
+      fs.closeSync(fd);
+    }
+    return state.edits;
+  }
+
+  /**
+   * Fold one record's edit events into a transcript's state.
+   * @param {object} state
+   * @param {object[]} events
+   * @param {number} lineNo
+   */
+  _apply(state, events, lineNo) {
+    for (const event of events) {
+      if (event.type === 'edit') {
+        const edit = { file: normalizeFile(event.file, event.cwd), tool: event.tool, at: event.at, line: lineNo, ranges: null };
+        state.edits.push(edit);
+        if (event.id) {
+          state.pending.set(event.id, edit);
+          if (state.pending.size > MAX_PENDING_RESULTS) state.pending.delete(state.pending.keys().next().value);
+        }
+      } else if (event.type === 'result') {
+        const edit = state.pending.get(event.id);
+        if (!edit) continue;
+        state.pending.delete(event.id);
+        if (event.error) {
+          const index = state.edits.lastIndexOf(edit);
+          if (index !== -1) state.edits.splice(index, 1);
+        } else {
+          edit.ranges = event.ranges;
+        }
+      }
+    }
+    if (state.edits.length > MAX_EDITS_PER_TRANSCRIPT) {
+      state.edits.splice(0, state.edits.length - MAX_EDITS_PER_TRANSCRIPT);
+    }
+  }
+
+  /**
+   * Drop transcripts no longer of interest.
+   * @param {Set<string>} keep - Transcript paths to keep
+   */
+  retain(keep) {
+    for (const filePath of this._transcripts.keys()) {
+      if (!keep.has(filePath)) this._transcripts.delete(filePath);
+    }
+  }
+}
+
+/**
+ * Find files edited by two or more sessions within `windowMs` of each other.
+ * Edits without a timestamp can't be placed in time and are ignored.
+ * @param {Array<{ id: string, name: string, edits: object[] }>} sessions
+ * @param {object} [options]
+ * @param {number} [options.windowMs=30 min]
+ * @returns {Array<{ file: string, sessions: Array<{ id: string, name: string, edits: number,
+ *   lastAt: string, ranges: object[] }>, overlaps: Array<{ start: number, end: number }>, lastAt: string }>}
+ *   Files with overlapping line ranges first, then the most recent
+ */
+function findConflicts(sessions, { windowMs = DEFAULT_WINDOW_MS } = {}) {
+  // file key -> { file, bySession: Map(session id -> edits sorted by time) }
+  const files = new Map();
+  for (const session of sessions) {
+    for (const edit of session.edits) {
+      const at = edit.at ? Date.parse(edit.at) : NaN;
+      if (isNaN(at)) continue;
+      const key = fileKey(edit.file);
+      if (!files.has(key)) files.set(key, { file: edit.file, bySession: new Map() });
+      const bySession = files.get(key).bySession;
+      if (!bySession.has(session.id)) bySession.set(session.id, []);
+      bySession.get(session.id).push({ ...edit, time: at });
+    }
+  }
+
+  const names = new Map(sessions.map(s => [s.id, s.name]));
+  const conflicts = [];
+  for (const { file, bySession } of files.values()) {
+    if (bySession.size < 2) continue;
+    const ids = [...bySession.keys()];
+    for (const id of ids) bySession.get(id).sort((a, b) => a.time - b.time);
+
+    const involved = new Set();
+    const overlaps = [];
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const a = bySession.get(ids[i]);
+        const b = bySession.get(ids[j]);
+        let first = 0;
+        for (const x of a) {
+          while (first < b.length && b[first].time < x.time - windowMs) first++;
+          for (let k = first; k < b.length && b[k].time <= x.time + windowMs; k++) {
+            involved.add(ids[i]);
+            involved.add(ids[j]);
+            if (x.ranges && b[k].ranges) overlaps.push(...intersectRanges(x.ranges, b[k].ranges));
+          }
+        }
+      }
+    }
+    if (involved.size === 0) continue;
+
+    const entries = [...involved].map(id => {
+      const edits = bySession.get(id);
+      return {
+        id,
+        name: names.get(id) || id,
+        edits: edits.length,
+        lastAt: edits[edits.length - 1].at,
+        ranges: mergeRanges(edits.flatMap(e => e.ranges || [])),
+      };
+    });
+    conflicts.push({
+      file,
+      sessions: entries,
+      overlaps: mergeRanges(overlaps),
+      lastAt: entries.map(e => e.lastAt).sort().pop(),
+    });
+  }
+
+  return conflicts.sort((a, b) =>
+    (b.overlaps.length > 0) - (a.overlaps.length > 0) || Date.parse(b.lastAt) - Date.parse(a.lastAt));
+}
+
+// Singleton
+let instance = null;
+
+/**
+ * Get the shared FileAttribution.
+ * @returns {FileAttribution}
+ */
+function getFileAttribution() {
+  if (!instance) instance = new FileAttribution();
+  return instance;
+}
+
+module.exports = {
+  FileAttribution,
+  getFileAttribution,
+  findConflicts,
+  normalizeFile,
+  fileKey,
+  mergeRanges,
+  DEFAULT_WINDOW_MS,
+};
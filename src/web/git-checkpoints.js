@@ -0,0 +1,475 @@
+/**
+ * Git checkpoints: snapshots of a session's working directory at the end of
+ * each turn, so what an agent did to the tree can be reviewed and undone.
+ *
+ * A checkpoint is a commit built like `git stash create` does it, through a
+ * temporary index: the working tree (tracked and untracked files, minus
+ * ignored ones) is staged into a copy of the real index, written as a tree
+ * and committed with HEAD as its parent. It is kept under a hidden ref,
+ * refs/myrlin/checkpoints/<session id>/<epoch ms>, so neither the user's
+ * branch, index nor stash list is touched and git gc leaves it alone.
+ *
+ * Everything is scoped to the session's working directory: a session started
+ * in a subdirectory of a repository snapshots, diffs and restores only that
+ * subdirectory. Restoring writes the checkpoint's files into the working tree
+ * and deletes the ones added since, after taking a checkpoint of the current
+ * state so the restore itself can be undone.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+
+const REF_ROOT = 'refs/myrlin/checkpoints';
+const MAX_CHECKPOINTS_PER_SESSION = 100;
+const MAX_PATCH_BYTES = 1024 * 1024;
+const GIT_TIMEOUT_MS = 30000;
+const GIT_MAX_BUFFER = 16 * 1024 * 1024;
+const CHECKOUT_BATCH = 200;
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+// Checkpoint commits are authored by Myrlin, whatever the repo's config says
+const IDENTITY_ENV = {
+  GIT_AUTHOR_NAME: 'Myrlin',
+  GIT_AUTHOR_EMAIL: 'myrlin@localhost',
+  GIT_COMMITTER_NAME: 'Myrlin',
+  GIT_COMMITTER_EMAIL: 'myrlin@localhost',
+};
+
+/**
+ * Run git and resolve with its stdout. A failure rejects with git's message,
+ * its exit `code` and whatever it printed to `stdout`.
+ * @param {string[]} args
+ * @param {string} cwd
+ * @param {object} [env] - Added to the environment
+ * @param {number} [timeout]
+ * @returns {Promise<string>}
+ */
+function runGit(args, cwd, env = null, timeout = GIT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const options = {
+      cwd,
+      timeout,
+      maxBuffer: GIT_MAX_BUFFER,
+      env: env ? { ...process.env, ...env } : process.env,
+    };
+    execFile('git', ['-c', 'core.quotepath=off', ...args], options, (err, stdout, stderr) => {
+      if (err) {
+        const msg = (stderr || err.message || '').trim();
+        return reject(Object.assign(new Error(msg || 'git command failed'), { code: err.code, stdout }));
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * An error the caller should report as a bad request (status 400).
+ * @param {string} message
+ * @returns {Error}
+ */
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Whether a string can be used as a ref path segment for a session.
+ * @param {string} sessionId
+ * @returns {boolean}
+ */
+function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && /^[A-Za-z0-9_-]{1,128}$/.test(sessionId);
+}
+
+/**
+ * Parse `git diff --shortstat` output.
+ * @param {string} text - e.g. " 3 files changed, 10 insertions(+), 2 deletions(-)"
+ * @returns {{ files: number, insertions: number, deletions: number }}
+ */
+function parseShortstat(text) {
+  const count = (re) => {
+    const match = re.exec(text || '');
+    return match ? parseInt(match[1], 10) : 0;
+  };
+  return {
+    files: count(/(\d+) files? changed/),
+    insertions: count(/(\d+) insertions?\(\+\)/),
+    deletions: count(/(\d+) deletions?\(-\)/),
+  };
+}
+
+/**
+ * Parse `git diff -z --numstat` output. Binary files have null line counts.
+ * @param {string} text
+ * @returns {Array<{ path: string, insertions: number|null, deletions: number|null }>}
+ */
+function parseNumstat(text) {
+  return (text || '').split('\0').filter(Boolean).map(record => {
+    const [added, deleted, ...rest] = record.split('\t');
+    return {
+      path: rest.join('\t'),
+      insertions: added === '-' ? null : parseInt(added, 10),
+      deletions: deleted === '-' ? null : parseInt(deleted, 10),
+    };
+  });
+}
+
+/**
+ * Parse `git diff -z --name-status` output.
+ * @param {string} text
+ * @returns {Array<{ status: string, path: string }>}
+ */
+function parseNameStatus(text) {
+  const parts = (text || '').split('\0');
+  const changes = [];
+  for (let i = 0; i + 1 < parts.length; i += 2) {
+    if (!parts[i]) break;
+    changes.push({ status: parts[i].charAt(0), path: parts[i + 1] });
+  }
+  return changes;
+}
+
+/**
+ * A checkpoint as returned to callers, without its ref name.
+ * @param {object} checkpoint
+ * @returns {object}
+ */
+function withoutRef({ ref, ...checkpoint }) {
+  return checkpoint;
+}
+
+class GitCheckpoints {
+  constructor() {
+    /** session id -> tail of its queue of git operations */
+    this._queues = new Map();
+    /** "<from>..<to>:<prefix>" -> shortstat; commits never change */
+    this._stats = new Map();
+  }
+
+  /**
+   * Run operations on one session's checkpoints one at a time, so a turn
+   * ending during a restore can't snapshot a half-written tree.
+   * @param {string} sessionId
+   * @param {function(): Promise<*>} fn
+   * @returns {Promise<*>}
+   */
+  _serial(sessionId, fn) {
+    const previous = this._queues.get(sessionId) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    const tail = run.catch(() => {});
+    this._queues.set(sessionId, tail);
+    tail.then(() => {
+      if (this._queues.get(sessionId) === tail) this._queues.delete(sessionId);
+    });
+    return run;
+  }
+
+  /**
+   * Locate the repository around a working directory.
+   * @param {string} dir
+   * @returns {Promise<{ dir: string, root: string, prefix: string, index: string }>}
+   */
+  async _scope(dir) {
+    if (!dir || !fs.existsSync(dir)) throw badRequest('Working directory not found');
+    let out;
+    try {
+      out = await runGit(['rev-parse', '--show-toplevel', '--show-prefix', '--git-path', 'index'], dir);
+    } catch (_) {
+      throw badRequest('Not a git repository');
+    }
+    const [root, prefix, index] = out.split('\n');
+    return { dir: path.resolve(dir), root: path.resolve(root), prefix: prefix || '', index: path.resolve(dir, index) };
+  }
+
+  /**
+   * Write the working directory's current state as a tree, through a copy of
+   * the real index so stat data spares rehashing unchanged files.
+   * @param {object} scope
+   * @returns {Promise<string>} Tree id
+   */
+  async _snapshotTree(scope) {
+    const tempIndex = path.join(os.tmpdir(), `myrlin-checkpoint-${crypto.randomBytes(6).toString('hex')}.index`);
+    try {
+      if (fs.existsSync(scope.index)) fs.copyFileSync(scope.index, tempIndex);
+      const env = { GIT_INDEX_FILE: tempIndex };
+      await runGit(['add', '-A', '--', '.'], scope.dir, env);
+      return (await runGit(['write-tree'], scope.dir, env)).trim();
+    } finally {
+      fs.rmSync(tempIndex, { force: true });
+    }
+  }
+
+  /**
+   * A session's checkpoint refs, oldest first.
+   * @param {string} sessionId
+   * @param {object} scope
+   * @returns {Promise<Array<{ id: string, ref: string, commit: string, tree: string, head: string|null, message: string, createdAt: string }>>}
+   */
+  async _refs(sessionId, scope) {
+    const format = '%(refname)%00%(objectname)%00%(tree)%00%(parent)%00%(contents:subject)';
+    const out = await runGit(['for-each-ref', '--sort=refname', `--format=${format}`, `${REF_ROOT}/${sessionId}/`], scope.root);
+    return out.split('\n').filter(Boolean).map(line => {
+      const [ref, commit, tree, parent, message] = line.split('\0');
+      const id = ref.substring(ref.lastIndexOf('/') + 1);
+      return {
+        id,
+        ref,
+        commit,
+        tree,
+        head: parent ? parent.split(' ')[0] : null,
+        message,
+        createdAt: new Date(parseInt(id, 10)).toISOString(),
+      };
+    });
+  }
+
+  /**
+   * Resolve a checkpoint id for a session.
+   * @returns {Promise<object>}
+   */
+  async _find(sessionId, scope, id) {
+    const checkpoint = (await this._refs(sessionId, scope)).find(c => c.id === String(id));
+    if (!checkpoint) throw Object.assign(new Error(`Checkpoint not found: ${id}`), { status: 404 });
+    return checkpoint;
+  }
+
+  /**
+   * Line counts changed between two trees or commits, within the scope.
+   * @returns {Promise<{ files: number, insertions: number, deletions: number }>}
+   */
+  async _shortstat(scope, from, to) {
+    const key = `${from}..${to}:${scope.prefix}`;
+    if (!this._stats.has(key)) {
+      const out = await runGit(['diff', '--no-ext-diff', '--no-renames', '--shortstat', from, to, '--', '.'], scope.dir);
+      this._stats.set(key, parseShortstat(out));
+      if (this._stats.size > 5000) this._stats.delete(this._stats.keys().next().value);
+    }
+    return this._stats.get(key);
+  }
+
+  /**
+   * Take a checkpoint of a session's working directory. Nothing is recorded
+   * when the directory is unchanged since the session's last checkpoint.
+   * @param {string} sessionId
+   * @param {string} dir - The session's working directory
+   * @param {object} [options]
+   * @param {string} [options.message]
+   * @returns {Promise<{ checkpoint: object, created: boolean }>}
+   */
+  create(sessionId, dir, { message = 'Checkpoint' } = {}) {
+    if (!isValidSessionId(sessionId)) return Promise.reject(badRequest('Invalid session id'));
+    return this._serial(sessionId, () => this._create(sessionId, dir, message));
+  }
+
+  async _create(sessionId, dir, message) {
+    const scope = await this._scope(dir);
+    const tree = await this._snapshotTree(scope);
+    const refs = await this._refs(sessionId, scope);
+    const latest = refs[refs.length - 1];
+    if (latest && latest.tree === tree) return { checkpoint: withoutRef(latest), created: false };
+
+    let head = null;
+    try {
+      head = (await runGit(['rev-parse', '-q', '--verify', 'HEAD^{commit}'], scope.root)).trim();
+    } catch (_) {
+      // No commits yet: the checkpoint has no parent
+    }
+    const subject = String(message).replace(/\s+/g, ' ').trim() || 'Checkpoint';
+    const commitArgs = ['commit-tree', tree, '-m', subject, '-m', `Session: ${sessionId}\nDirectory: ${scope.prefix || '.'}`];
+    if (head) commitArgs.push('-p', head);
+    const commit = (await runGit(commitArgs, scope.root, IDENTITY_ENV)).trim();
+
+    // Ids are creation times; never reuse one, even within a millisecond
+    let stamp = Date.now();
+    if (latest && stamp <= parseInt(latest.id, 10)) stamp = parseInt(latest.id, 10) + 1;
+    const id = String(stamp);
+    const ref = `${REF_ROOT}/${sessionId}/${id}`;
+    await runGit(['update-ref', '-m', 'myrlin: checkpoint', ref, commit, ''], scope.root);
+
+    // Drop the oldest checkpoints past the per-session cap
+    const excess = refs.length + 1 - MAX_CHECKPOINTS_PER_SESSION;
+    for (const old of refs.slice(0, Math.max(0, excess))) {
+      await runGit(['update-ref', '-d', old.ref], scope.root);
+    }
+
+    return {
+      checkpoint: { id, commit, tree, head, message: subject, createdAt: new Date(stamp).toISOString() },
+      created: true,
+    };
+  }
+
+  /**
+   * A session's checkpoints, newest first, each with its diffstat against
+   * the one before (the first against the commit it was taken on).
+   * @param {string} sessionId
+   * @param {string} dir
+   * @returns {Promise<{ repoRoot: string, prefix: string, checkpoints: object[] }>}
+   */
+  async list(sessionId, dir) {
+    if (!isValidSessionId(sessionId)) throw badRequest('Invalid session id');
+    const scope = await this._scope(dir);
+    const refs = await this._refs(sessionId, scope);
+    const checkpoints = [];
+    for (let i = 0; i < refs.length; i++) {
+      const base = i > 0 ? refs[i - 1].commit : (refs[i].head || EMPTY_TREE);
+      checkpoints.push({ ...withoutRef(refs[i]), stat: await this._shortstat(scope, base, refs[i].commit) });
+    }
+    return { repoRoot: scope.root, prefix: scope.prefix, checkpoints: checkpoints.reverse() };
+  }
+
+  /**
+   * Diff between two checkpoints, or between a checkpoint and the working
+   * directory as it is now.
+   * @param {string} sessionId
+   * @param {string} dir
+   * @param {object} [options]
+   * @param {string} [options.from] - Checkpoint id; defaults to the one before `to`
+   * @param {string} [options.to] - Checkpoint id; defaults to the working directory
+   * @returns {Promise<{ from: string|null, to: string|null, files: object[], stat: object, patch: string, truncated: boolean }>}
+   *   from is null when diffing against the commit the first checkpoint was taken on
+   */
+  async diff(sessionId, dir, { from = null, to = null } = {}) {
+    if (!isValidSessionId(sessionId)) throw badRequest('Invalid session id');
+    const scope = await this._scope(dir);
+    const refs = await this._refs(sessionId, scope);
+
+    let toRev;
+    let toIndex = refs.length;
+    if (to) {
+      toIndex = refs.findIndex(c => c.id === String(to));
+      if (toIndex === -1) throw Object.assign(new Error(`Checkpoint not found: ${to}`), { status: 404 });
+      toRev = refs[toIndex].commit;
+    } else {
+      toRev = await this._snapshotTree(scope);
+    }
+
+    let fromRev;
+    let fromId = null;
+    if (from) {
+      const checkpoint = refs.find(c => c.id === String(from));
+      if (!checkpoint) throw Object.assign(new Error(`Checkpoint not found: ${from}`), { status: 404 });
+      fromRev = checkpoint.commit;
+      fromId = checkpoint.id;
+    } else if (toIndex > 0) {
+      fromRev = refs[toIndex - 1].commit;
+      fromId = refs[toIndex - 1].id;
+    } else if (refs.length > 0 && refs[0].head) {
+      fromRev = refs[0].head;
+    } else {
+      fromRev = EMPTY_TREE;
+    }
+
+    const base = ['diff', '--no-ext-diff', '--no-color', '--no-renames'];
+    const numstat = await runGit([...base, '-z', '--numstat', fromRev, toRev, '--', '.'], scope.dir);
+    const files = parseNumstat(numstat);
+    let patch = await runGit([...base, fromRev, toRev, '--', '.'], scope.dir);
+    const truncated = patch.length > MAX_PATCH_BYTES;
+    if (truncated) patch = patch.substring(0, patch.lastIndexOf('\n', MAX_PATCH_BYTES) + 1);
+
+    return {
+      from: fromId,
+      to: to ? String(to) : null,
+      files,
+      stat: {
+        files: files.length,
+        insertions: files.reduce((sum, f) => sum + (f.insertions || 0), 0),
+        deletions: files.reduce((sum, f) => sum + (f.deletions || 0), 0),
+      },
+      patch,
+      truncated,
+    };
+  }
+
+  /**
+   * Put the working directory back as it was at a checkpoint. The user's
+   * index and branch are left alone; files outside the scope are untouched.
+   * @param {string} sessionId
+   * @param {string} dir
+   * @param {string} id - Checkpoint id
+   * @returns {Promise<{ checkpoint: object, safety: object, written: number, deleted: number }>}
+   *   safety is the checkpoint of the state before the restore
+   */
+  restore(sessionId, dir, id) {
+    if (!isValidSessionId(sessionId)) return Promise.reject(badRequest('Invalid session id'));
+    return this._serial(sessionId, () => this._restore(sessionId, dir, id));
+  }
+
+  async _restore(sessionId, dir, id) {
+    const scope = await this._scope(dir);
+    const target = await this._find(sessionId, scope, id);
+    const { checkpoint: safety } = await this._create(sessionId, dir, `Before restoring checkpoint ${target.id}`);
+
+    const changes = parseNameStatus(await runGit(
+      ['diff', '--no-ext-diff', '--no-renames', '-z', '--name-status', safety.commit, target.commit, '--', '.'], scope.dir));
+
+    // Deletions first, in case a file in the way becomes a directory
+    const removed = changes.filter(c => c.status === 'D').map(c => c.path);
+    for (const file of removed) {
+      fs.rmSync(path.join(scope.root, file), { force: true });
+      let parent = path.dirname(path.join(scope.root, file));
+      while (parent.startsWith(scope.dir + path.sep)) {
+        try { fs.rmdirSync(parent); } catch (_) { break; }
+        parent = path.dirname(parent);
+      }
+    }
+
+    const written = changes.filter(c => c.status !== 'D').map(c => c.path);
+    if (written.length > 0) {
+      const tempIndex = path.join(os.tmpdir(), `myrlin-restore-${crypto.randomBytes(6).toString('hex')}.index`);
+      try {
+        const env = { GIT_INDEX_FILE: tempIndex };
+        await runGit(['read-tree', target.commit], scope.root, env);
+        for (let i = 0; i < written.length; i += CHECKOUT_BATCH) {
+          await runGit(['checkout-index', '-f', '--', ...written.slice(i, i + CHECKOUT_BATCH)], scope.root, env);
+        }
+      } finally {
+        fs.rmSync(tempIndex, { force: true });
+      }
+    }
+
+    return { checkpoint: withoutRef(target), safety: withoutRef(safety), written: written.length, deleted: removed.length };
+  }
+
+  /**
+   * Delete all of a session's checkpoints.
+   * @param {string} sessionId
+   * @param {string} dir
+   * @returns {Promise<number>} How many were deleted
+   */
+  clear(sessionId, dir) {
+    if (!isValidSessionId(sessionId)) return Promise.reject(badRequest('Invalid session id'));
+    return this._serial(sessionId, async () => {
+      const scope = await this._scope(dir);
+      const refs = await this._refs(sessionId, scope);
+      for (const checkpoint of refs) await runGit(['update-ref', '-d', checkpoint.ref], scope.root);
+      return refs.length;
+    });
+  }
+}
+
+// Singleton
+let instance = null;
+
+/**
+ * Get the shared GitCheckpoints.
+ * @returns {GitCheckpoints}
+ */
+function getGitCheckpoints() {
+  if (!instance) instance = new GitCheckpoints();
+  return instance;
+}
+
+module.exports = {
+  GitCheckpoints,
+  getGitCheckpoints,
+  runGit,
+  badRequest,
+  isValidSessionId,
+  parseShortstat,
+  parseNumstat,
+  parseNameStatus,
+  REF_ROOT,
+  MAX_CHECKPOINTS_PER_SESSION,
+};
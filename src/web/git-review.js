@@ -0,0 +1,330 @@
+/**
+ * Reviewing and committing a session's changes: per-file unified diffs,
+ * staging and unstaging whole files or single hunks, discarding working tree
+ * changes, and committing what is staged.
+ *
+ * The review covers the whole repository around the session's working
+ * directory, since a commit takes everything staged in it. Hunks are named by
+ * their position in the file's current diff plus their "@@" header; the diff
+ * is recomputed before a hunk is applied, and a header that no longer matches
+ * means the file changed since it was shown.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { runGit, badRequest } = require('./git-checkpoints');
+
+const MAX_PATCH_BYTES = 1024 * 1024;
+const COMMIT_TIMEOUT_MS = 120000; // Leaves time for pre-commit hooks
+const MAX_SUBJECT_CHARS = 72;
+
+/**
+ * Parse `git status --porcelain=v1 -z` output (without renames).
+ * @param {string} text
+ * @returns {Array<{ path: string, index: string, worktree: string, untracked: boolean }>}
+ */
+function parseStatus(text) {
+  return (text || '').split('\0').filter(Boolean).map(entry => ({
+    path: entry.substring(3),
+    index: entry.charAt(0),
+    worktree: entry.charAt(1),
+    untracked: entry.startsWith('??'),
+  }));
+}
+
+/**
+ * Split a one-file unified diff into its file header and hunks.
+ * @param {string} patch
+ * @returns {{ header: string, hunks: Array<{ header: string, lines: string[] }>, binary: boolean }}
+ */
+function parsePatch(patch) {
+  const lines = (patch || '').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  const header = [];
+  const hunks = [];
+  for (const line of lines) {
+    if (line.startsWith('@@')) hunks.push({ header: line, lines: [] });
+    else if (hunks.length > 0) hunks[hunks.length - 1].lines.push(line);
+    else header.push(line);
+  }
+  return {
+    header: header.length > 0 ? header.join('\n') + '\n' : '',
+    hunks,
+    binary: header.some(line => line.startsWith('Binary files ') || line === 'GIT binary patch'),
+  };
+}
+
+/**
+ * A commit message from a session summary ("task | Files: … | Tools: …"):
+ * the task as the subject, the rest as the body.
+ * @param {string} summary
+ * @returns {string}
+ */
+function commitMessageFromSummary(summary) {
+  const [task, ...details] = String(summary || '').split(' | ').map(part => part.trim()).filter(Boolean);
+  if (!task) return '';
+  let subject = task.replace(/\.{3}$/, '').replace(/[.\s]+$/, '');
+  if (subject.length > MAX_SUBJECT_CHARS) {
+    const cut = subject.lastIndexOf(' ', MAX_SUBJECT_CHARS - 1);
+    subject = subject.substring(0, cut > 20 ? cut : MAX_SUBJECT_CHARS - 1) + '…';
+  }
+  return details.length > 0 ? `${subject}\n\n${details.join('\n')}` : subject;
+}
+
+/**
+ * The top of the repository around a directory.
+ * @param {string} dir
+ * @returns {Promise<string>}
+ */
+async function repoRoot(dir) {
+  if (!dir || !fs.existsSync(dir)) throw badRequest('Working directory not found');
+  try {
+    return path.resolve((await runGit(['rev-parse', '--show-toplevel'], dir)).trim());
+  } catch (_) {
+    throw badRequest('Not a git repository');
+  }
+}
+
+/**
+ * Whether the repository has a commit yet.
+ * @param {string} root
+ * @returns {Promise<boolean>}
+ */
+async function hasHead(root) {
+  try {
+    await runGit(['rev-parse', '-q', '--verify', 'HEAD^{commit}'], root);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Per-file line counts from `git diff -z --numstat`.
+ * @returns {Promise<Map<string, { insertions: number|null, deletions: number|null }>>}
+ */
+async function numstat(root, args) {
+  const out = await runGit(['diff', '--no-ext-diff', '--no-renames', '-z', '--numstat', ...args], root);
+  const stats = new Map();
+  for (const record of out.split('\0').filter(Boolean)) {
+    const [added, deleted, ...rest] = record.split('\t');
+    stats.set(rest.join('\t'), {
+      insertions: added === '-' ? null : parseInt(added, 10),
+      deletions: deleted === '-' ? null : parseInt(deleted, 10),
+    });
+  }
+  return stats;
+}
+
+/**
+ * The changed files of the repository around a directory, with line counts
+ * of their staged and unstaged changes.
+ * @param {string} dir
+ * @returns {Promise<{ repoRoot: string, branch: string|null, files: Array<{ path: string, index: string,
+ *   worktree: string, untracked: boolean, staged: object|null, unstaged: object|null }> }>}
+ */
+async function reviewStatus(dir) {
+  const root = await repoRoot(dir);
+  let branch = null;
+  try {
+    branch = (await runGit(['symbolic-ref', '--short', '-q', 'HEAD'], root)).trim() || null;
+  } catch (_) {
+    // Detached HEAD
+  }
+  const entries = parseStatus(await runGit(['status', '--porcelain=v1', '-z', '--no-renames', '--untracked-files=all'], root));
+  const staged = await numstat(root, ['--cached']);
+  const unstaged = await numstat(root, []);
+  const files = entries.map(entry => ({
+    ...entry,
+    staged: staged.get(entry.path) || null,
+    unstaged: unstaged.get(entry.path) || null,
+  }));
+  return { repoRoot: root, branch, files };
+}
+
+/**
+ * Look up a changed file by its repository-relative path.
+ * @returns {Promise<{ path: string, index: string, worktree: string, untracked: boolean }>}
+ */
+async function changedFile(root, file) {
+  if (typeof file !== 'string' || !file) throw badRequest('path is required');
+  const out = await runGit(['--literal-pathspecs', 'status', '--porcelain=v1', '-z', '--no-renames', '--untracked-files=all', '--', file], root);
+  const entry = parseStatus(out).find(e => e.path === file);
+  if (!entry) throw Object.assign(new Error(`No changes to ${file}`), { status: 404 });
+  return entry;
+}
+
+/**
+ * The unified diff of a file's staged or unstaged changes. An untracked
+ * file's unstaged diff adds all of it.
+ * @returns {Promise<string>}
+ */
+async function sidePatch(root, entry, side) {
+  const base = ['--no-ext-diff', '--no-color', '--no-renames'];
+  if (side === 'unstaged' && entry.untracked) {
+    try {
+      return await runGit(['diff', ...base, '--no-index', '--', '/dev/null', entry.path], root);
+    } catch (err) {
+      // --no-index exits 1 when the files differ, which they always do here
+      if (err.code === 1) return err.stdout;
+      throw err;
+    }
+  }
+  const args = side === 'staged' ? ['diff', ...base, '--cached'] : ['diff', ...base];
+  return runGit(['--literal-pathspecs', ...args, '--', entry.path], root);
+}
+
+/**
+ * Full unified diffs of one file's staged and unstaged changes, split into hunks.
+ * @param {string} dir
+ * @param {string} file - Path relative to the repository root
+ * @returns {Promise<{ path: string, untracked: boolean, staged: object, unstaged: object }>}
+ *   staged and unstaged are { hunks, binary, truncated }; a truncated side
+ *   lists only the hunks that fit in 1 MB
+ */
+async function fileDiff(dir, file) {
+  const root = await repoRoot(dir);
+  const entry = await changedFile(root, file);
+  const side = async (name) => {
+    const patch = await sidePatch(root, entry, name);
+    const truncated = patch.length > MAX_PATCH_BYTES;
+    const { hunks, binary } = parsePatch(truncated ? patch.substring(0, MAX_PATCH_BYTES) : patch);
+    // The last hunk of a cut patch is incomplete
+    if (truncated) hunks.pop();
+    return { hunks, binary, truncated };
+  };
+  return {
+    path: entry.path,
+    index: entry.index,
+    worktree: entry.worktree,
+    untracked: entry.untracked,
+    staged: await side('staged'),
+    unstaged: await side('unstaged'),
+  };
+}
+
+/**
+ * Apply one hunk of a file's current diff with `git apply`.
+ * @param {string} root
+ * @param {object} entry - From changedFile()
+ * @param {'staged'|'unstaged'} side - Which diff the hunk belongs to
+ * @param {{ hunk: number, header?: string }} target
+ * @param {string[]} applyArgs - e.g. ['--cached'] to stage
+ */
+async function applyHunk(root, entry, side, { hunk, header }, applyArgs) {
+  const { header: fileHeader, hunks, binary } = parsePatch(await sidePatch(root, entry, side));
+  if (binary) throw badRequest('Binary files can only be staged, unstaged or discarded whole');
+  const chosen = hunks[hunk];
+  if (!chosen || (header && chosen.header !== header)) {
+    throw Object.assign(new Error('The file changed since its diff was loaded. Reload it and try again.'), { status: 409 });
+  }
+  const patchFile = path.join(os.tmpdir(), `myrlin-hunk-${crypto.randomBytes(6).toString('hex')}.patch`);
+  try {
+    fs.writeFileSync(patchFile, fileHeader + chosen.header + '\n' + chosen.lines.join('\n') + '\n');
+    await runGit(['apply', '--whitespace=nowarn', ...applyArgs, patchFile], root);
+  } finally {
+    fs.rmSync(patchFile, { force: true });
+  }
+}
+
+/**
+ * Parse an optional hunk target from a request body.
+ * @param {*} hunk
+ * @returns {number|null}
+ */
+function hunkIndex(hunk) {
+  if (hunk === undefined || hunk === null) return null;
+  if (!Number.isInteger(hunk) || hunk < 0) throw badRequest('hunk must be a non-negative integer');
+  return hunk;
+}
+
+/**
+ * Stage a file, or one hunk of its unstaged changes.
+ * @param {string} dir
+ * @param {string} file
+ * @param {{ hunk?: number, header?: string }} [target]
+ */
+async function stage(dir, file, { hunk, header } = {}) {
+  const root = await repoRoot(dir);
+  const entry = await changedFile(root, file);
+  const index = hunkIndex(hunk);
+  if (index === null) return runGit(['--literal-pathspecs', 'add', '-A', '--', entry.path], root);
+  return applyHunk(root, entry, 'unstaged', { hunk: index, header }, ['--cached']);
+}
+
+/**
+ * Unstage a file, or one hunk of its staged changes. The working tree is kept.
+ * @param {string} dir
+ * @param {string} file
+ * @param {{ hunk?: number, header?: string }} [target]
+ */
+async function unstage(dir, file, { hunk, header } = {}) {
+  const root = await repoRoot(dir);
+  const entry = await changedFile(root, file);
+  const index = hunkIndex(hunk);
+  if (index !== null) return applyHunk(root, entry, 'staged', { hunk: index, header }, ['--cached', '-R']);
+  if (await hasHead(root)) return runGit(['--literal-pathspecs', 'reset', '-q', '--', entry.path], root);
+  return runGit(['--literal-pathspecs', 'rm', '--cached', '-q', '--', entry.path], root);
+}
+
+/**
+ * Throw away a file's unstaged changes, or one hunk of them. Staged changes
+ * are kept; an untracked file is deleted.
+ * @param {string} dir
+ * @param {string} file
+ * @param {{ hunk?: number, header?: string }} [target]
+ */
+async function discard(dir, file, { hunk, header } = {}) {
+  const root = await repoRoot(dir);
+  const entry = await changedFile(root, file);
+  const index = hunkIndex(hunk);
+  if (index !== null) return applyHunk(root, entry, 'unstaged', { hunk: index, header }, ['-R']);
+  if (entry.untracked) return fs.rmSync(path.join(root, entry.path), { force: true });
+  if (entry.worktree === ' ') throw badRequest(`${file} has no unstaged changes`);
+  return runGit(['--literal-pathspecs', 'checkout', '-q', '--', entry.path], root);
+}
+
+/**
+ * Commit everything staged, with the repository's own identity and hooks.
+ * @param {string} dir
+ * @param {string} message
+ * @returns {Promise<{ commit: string, subject: string, branch: string|null }>}
+ */
+async function commit(dir, message) {
+  const text = String(message || '').trim();
+  if (!text) throw badRequest('A commit message is required');
+  const root = await repoRoot(dir);
+  let staged = false;
+  try {
+    await runGit(['diff', '--cached', '--quiet'], root);
+  } catch (err) {
+    // --quiet exits 1 when something is staged
+    if (err.code !== 1) throw err;
+    staged = true;
+  }
+  if (!staged) throw badRequest('Nothing is staged');
+  await runGit(['commit', '-q', '-m', text], root, null, COMMIT_TIMEOUT_MS);
+  const [hash, subject] = (await runGit(['log', '-1', '--format=%H%n%s'], root)).split('\n');
+  let branch = null;
+  try {
+    branch = (await runGit(['symbolic-ref', '--short', '-q', 'HEAD'], root)).trim() || null;
+  } catch (_) {
+    // Detached HEAD
+  }
+  return { commit: hash, subject, branch };
+}
+
+module.exports = {
+  reviewStatus,
+  fileDiff,
+  stage,
+  unstage,
+  discard,
+  commit,
+  repoRoot,
+  parseStatus,
+  parsePatch,
+  commitMessageFromSummary,
+};
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Claude Code hook command installed by Myrlin (see hooks-bridge.js).
+ *
+ * Reads the hook input JSON from stdin and forwards the status-relevant
+ * fields to Myrlin's POST /api/hooks/events. Does nothing unless the Claude
+ * session runs in a Myrlin PTY (CWM_HOOK_URL, CWM_HOOK_TOKEN and
+ * CWM_SESSION_ID set). Always exits 0 without output so it can never block
+ * or alter a tool call, even when Myrlin is unreachable.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const REQUEST_TIMEOUT_MS = 3000;
+const FORWARDED_FIELDS = ['hook_event_name', 'session_id', 'tool_name', 'message', 'notification_type', 'stop_hook_active'];
+// The one tool_input field that says what a tool acts on (the rest may be large or sensitive)
+const DETAIL_FIELDS = ['command', 'file_path', 'notebook_path', 'url', 'pattern', 'query', 'path'];
+const MAX_DETAIL_LENGTH = 500;
+
+const { CWM_HOOK_URL, CWM_HOOK_TOKEN, CWM_SESSION_ID } = process.env;
+if (!CWM_HOOK_URL || !CWM_HOOK_TOKEN || !CWM_SESSION_ID) process.exit(0);
+
+let input = '';
+process.stdin.setEncoding('utf-8');
+process.stdin.on('data', (chunk) => { input += chunk; });
+process.stdin.on('end', () => {
+  let payload;
+  try {
+    payload = JSON.parse(input);
+  } catch (_) {
+    process.exit(0);
+  }
+
+  const body = { sessionId: CWM_SESSION_ID, event: payload.hook_event_name };
+  for (const field of FORWARDED_FIELDS) {
+    if (payload[field] !== undefined) body[field] = payload[field];
+  }
+  const toolInput = payload.tool_input && typeof payload.tool_input === 'object' ? payload.tool_input : {};
+  const detailField = DETAIL_FIELDS.find(f => typeof toolInput[f] === 'string' && toolInput[f]);
+  if (detailField) body.tool_detail = toolInput[detailField].slice(0, MAX_DETAIL_LENGTH);
+  const data = JSON.stringify(body);
+
+  let url;
+  try {
+    url = new URL(CWM_HOOK_URL);
+  } catch (_) {
+    process.exit(0);
+  }
+  const req = (url.protocol === 'https:' ? https : http).request(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(data),
+      'X-CWM-Hook-Token': CWM_HOOK_TOKEN,
+    },
+    timeout: REQUEST_TIMEOUT_MS,
+  }, (res) => {
+    res.resume();
+    res.on('end', () => process.exit(0));
+  });
+  req.on('timeout', () => req.destroy());
+  req.on('error', () => process.exit(0));
+  req.end(data);
+});
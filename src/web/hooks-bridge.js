@@ -0,0 +1,315 @@
+/**
+ * Claude Code hooks bridge: authoritative session status from hook events.
+ *
+ * Myrlin installs hook entries into ~/.claude/settings.json that run
+ * hook-client.js on Notification, Stop, PreToolUse, PostToolUse and
+ * SubagentStop. PTYs spawned by Myrlin get CWM_SESSION_ID, CWM_HOOK_URL and
+ * CWM_HOOK_TOKEN in their environment; the client reports to
+ * POST /api/hooks/events only when those are set, so the hooks do nothing in
+ * Claude sessions started outside Myrlin.
+ *
+ * Hook tokens are an HMAC of the session ID under a per-process secret: a
+ * token only works for the session it was issued to, and stops working when
+ * the server restarts (which also ends every PTY).
+ *
+ * Events drive a per-session status:
+ *   PreToolUse                 -> running-tool (tool = tool_name, detail = command/file)
+ *   PostToolUse, SubagentStop  -> running
+ *   Notification               -> waiting-for-permission (permission prompts)
+ *                                 or idle ("Claude is waiting for your input")
+ *   Stop                       -> done (the turn finished)
+ * A permission prompt keeps the tool and detail of the PreToolUse before it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const HOOK_EVENTS = ['Notification', 'Stop', 'PreToolUse', 'PostToolUse', 'SubagentStop'];
+const TOOL_EVENTS = ['PreToolUse', 'PostToolUse'];
+const HOOK_STATES = ['running', 'running-tool', 'waiting-for-permission', 'idle', 'done'];
+const DEFAULT_SETTINGS_FILE = path.join(process.env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude'), 'settings.json');
+const CLIENT_SCRIPT = path.join(__dirname, 'hook-client.js');
+// Trailing argument that marks a hook entry as ours (install/uninstall only touch these)
+const HOOK_MARKER = 'cwm-hook';
+const HOOK_TIMEOUT_SECONDS = 10;
+
+/**
+ * Next status for a hook event.
+ * @param {string} event - Hook event name
+ * @param {object} payload - Hook input (tool_name, tool_detail, message, notification_type, ...)
+ * @returns {{ state: string, tool: string|null, detail: string|null, message: string|null }}
+ */
+function stateForEvent(event, payload = {}) {
+  switch (event) {
+    case 'PreToolUse':
+      return { state: 'running-tool', tool: payload.tool_name || null, detail: payload.tool_detail || null, message: null };
+    case 'PostToolUse':
+    case 'SubagentStop':
+      return { state: 'running', tool: null, detail: null, message: null };
+    case 'Notification': {
+      const message = payload.message ? String(payload.message) : null;
+      const permission = payload.notification_type === 'permission_prompt' ||
+        (!payload.notification_type && /permission/i.test(message || ''));
+      if (!permission) return { state: 'idle', tool: null, detail: null, message };
+      const toolMatch = (message || '').match(/permission to use (\S+)/i);
+      return { state: 'waiting-for-permission', tool: toolMatch ? toolMatch[1] : null, detail: null, message };
+    }
+    case 'Stop':
+      return { state: 'done', tool: null, detail: null, message: null };
+    default:
+      return null;
+  }
+}
+
+class HooksBridge extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.settingsFile] - Claude Code user settings (default ~/.claude/settings.json)
+   * @param {string} [options.clientScript] - Script the hooks run (default ./hook-client.js)
+   * @param {string} [options.nodePath] - Node binary the hooks run it with
+   */
+  constructor({ settingsFile = DEFAULT_SETTINGS_FILE, clientScript = CLIENT_SCRIPT, nodePath = process.execPath } = {}) {
+    super();
+    this.settingsFile = settingsFile;
+    this.clientScript = clientScript;
+    this.nodePath = nodePath;
+    this.baseUrl = null;
+    this._secret = crypto.randomBytes(32);
+    this._statuses = new Map(); // sessionId -> status
+  }
+
+  /**
+   * Set the URL hook clients report to (called once the server is listening).
+   * @param {string} baseUrl - e.g. "http://127.0.0.1:3456"
+   */
+  setBaseUrl(baseUrl) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  // ─── Tokens ───────────────────────────────────────────────
+
+  /**
+   * @param {string} sessionId
+   * @returns {string} Hook token for this session
+   */
+  tokenFor(sessionId) {
+    return crypto.createHmac('sha256', this._secret).update(String(sessionId)).digest('hex');
+  }
+
+  /**
+   * @param {string} sessionId
+   * @param {string} token
+   * @returns {boolean}
+   */
+  verify(sessionId, token) {
+    if (!sessionId || typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) return false;
+    return crypto.timingSafeEqual(Buffer.from(token, 'hex'), Buffer.from(this.tokenFor(sessionId), 'hex'));
+  }
+
+  /**
+   * Environment variables for a PTY so its hooks can report back.
+   * @param {string} sessionId
+   * @returns {object} Empty until setBaseUrl() has been called
+   */
+  envFor(sessionId) {
+    if (!this.baseUrl) return {};
+    return {
+      CWM_SESSION_ID: sessionId,
+      CWM_HOOK_URL: this.baseUrl + '/api/hooks/events',
+      CWM_HOOK_TOKEN: this.tokenFor(sessionId),
+    };
+  }
+
+  // ─── Status ───────────────────────────────────────────────
+
+  /**
+   * Apply a hook event to a session's status and emit 'status'.
+   * @param {string} sessionId
+   * @param {string} event - One of HOOK_EVENTS
+   * @param {object} [payload] - Hook input fields
+   * @returns {{ status?: object, error?: string }}
+   */
+  ingest(sessionId, event, payload = {}) {
+    if (!HOOK_EVENTS.includes(event)) return { error: `Unknown hook event. Valid: ${HOOK_EVENTS.join(', ')}` };
+    const next = stateForEvent(event, payload);
+    const previous = this._statuses.get(sessionId) || null;
+    if (next.state === 'waiting-for-permission' && previous && previous.state === 'running-tool' &&
+        (!next.tool || next.tool === previous.tool)) {
+      next.tool = previous.tool;
+      next.detail = previous.detail;
+    }
+    const status = {
+      sessionId,
+      ...next,
+      event,
+      claudeSessionId: payload.session_id || (previous && previous.claudeSessionId) || null,
+      updatedAt: new Date().toISOString(),
+    };
+    this._statuses.set(sessionId, status);
+    this.emit('status', status, previous);
+    return { status };
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {object|null}
+   */
+  getStatus(sessionId) {
+    return this._statuses.get(sessionId) || null;
+  }
+
+  /** @returns {object[]} Every session's last hook status */
+  listStatuses() {
+    return [...this._statuses.values()];
+  }
+
+  /**
+   * Forget a session's status (its PTY exited). Emits 'status' with state null.
+   * @param {string} sessionId
+   */
+  clear(sessionId) {
+    const previous = this._statuses.get(sessionId);
+    if (!previous) return;
+    this._statuses.delete(sessionId);
+    this.emit('status', { sessionId, state: null, tool: null, detail: null, message: null, event: null, updatedAt: new Date().toISOString() }, previous);
+  }
+
+  // ─── Installation ─────────────────────────────────────────
+
+  /** @returns {string} The command our hook entries run */
+  hookCommand() {
+    return `"${this.nodePath}" "${this.clientScript}" ${HOOK_MARKER}`;
+  }
+
+  /**
+   * Which events have our hook installed, and whether it is up to date
+   * (the command changes when Myrlin or Node moves).
+   * @returns {{ settingsFile: string, installed: boolean, current: boolean, events: string[], error?: string }}
+   */
+  installStatus() {
+    const result = { settingsFile: this.settingsFile, installed: false, current: false, events: [] };
+    let settings;
+    try {
+      settings = this._readSettings();
+    } catch (err) {
+      return { ...result, error: err.message };
+    }
+    const command = this.hookCommand();
+    let current = true;
+    for (const event of HOOK_EVENTS) {
+      const ours = ourHooks(settings, event);
+      if (ours.length > 0) result.events.push(event);
+      if (!ours.some(h => h.command === command)) current = false;
+    }
+    result.installed = result.events.length > 0;
+    result.current = current;
+    return result;
+  }
+
+  /**
+   * Add (or refresh) our hook for every event, leaving other hooks alone.
+   * @throws {Error} If the settings file exists but isn't valid JSON
+   */
+  install() {
+    const settings = this._readSettings();
+    removeOurHooks(settings);
+    settings.hooks = settings.hooks || {};
+    for (const event of HOOK_EVENTS) {
+      const group = { hooks: [{ type: 'command', command: this.hookCommand(), timeout: HOOK_TIMEOUT_SECONDS }] };
+      if (TOOL_EVENTS.includes(event)) group.matcher = '*';
+      settings.hooks[event] = [...(settings.hooks[event] || []), group];
+    }
+    this._writeSettings(settings);
+    return this.installStatus();
+  }
+
+  /**
+   * Remove our hook entries, leaving other hooks alone.
+   * @throws {Error} If the settings file exists but isn't valid JSON
+   */
+  uninstall() {
+    const settings = this._readSettings();
+    if (removeOurHooks(settings)) this._writeSettings(settings);
+    return this.installStatus();
+  }
+
+  /**
+   * Re-install if our hooks are present but stale (e.g. after Myrlin moved).
+   * @returns {boolean} True if the settings were rewritten
+   */
+  refreshInstall() {
+    const status = this.installStatus();
+    if (!status.installed || status.current || status.error) return false;
+    this.install();
+    return true;
+  }
+
+  _readSettings() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.settingsFile, 'utf-8');
+    } catch (_) {
+      return {};
+    }
+    if (!raw.trim()) return {};
+    try {
+      const settings = JSON.parse(raw);
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) throw new Error('not an object');
+      return settings;
+    } catch (err) {
+      throw new Error(`Can't parse ${this.settingsFile}: ${err.message}`);
+    }
+  }
+
+  _writeSettings(settings) {
+    const dir = path.dirname(this.settingsFile);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmpFile = this.settingsFile + '.tmp';
+    fs.writeFileSync(tmpFile, JSON.stringify(settings, null, 2) + '\n', 'utf-8');
+    fs.renameSync(tmpFile, this.settingsFile);
+  }
+}
+
+function isOurHook(hook) {
+  return !!hook && typeof hook.command === 'string' && hook.command.trim().endsWith(' ' + HOOK_MARKER);
+}
+
+function ourHooks(settings, event) {
+  const groups = settings.hooks && Array.isArray(settings.hooks[event]) ? settings.hooks[event] : [];
+  return groups.flatMap(g => (g && Array.isArray(g.hooks) ? g.hooks.filter(isOurHook) : []));
+}
+
+/**
+ * Strip our entries from settings.hooks, dropping groups and events left empty.
+ * @returns {boolean} True if anything was removed
+ */
+function removeOurHooks(settings) {
+  if (!settings.hooks || typeof settings.hooks !== 'object') return false;
+  let removed = false;
+  for (const [event, groups] of Object.entries(settings.hooks)) {
+    if (!Array.isArray(groups)) continue;
+    const kept = [];
+    for (const group of groups) {
+      if (!group || !Array.isArray(group.hooks)) { kept.push(group); continue; }
+      const hooks = group.hooks.filter(h => !isOurHook(h));
+      if (hooks.length !== group.hooks.length) removed = true;
+      if (hooks.length > 0) kept.push({ ...group, hooks });
+    }
+    if (kept.length > 0) settings.hooks[event] = kept;
+    else delete settings.hooks[event];
+  }
+  if (Object.keys(settings.hooks).length === 0) delete settings.hooks;
+  return removed;
+}
+
+// Singleton
+let instance = null;
+function getHooksBridge() {
+  if (!instance) instance = new HooksBridge();
+  return instance;
+}
+
+module.exports = { HooksBridge, getHooksBridge, stateForEvent, HOOK_EVENTS, HOOK_STATES };
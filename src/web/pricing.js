@@ -0,0 +1,263 @@
+/**
+ * Model pricing table for Claude Workspace Manager.
+ *
+ * Token prices live in state/pricing.json so they can be edited without a
+ * code change (new models, negotiated enterprise rates). The file is seeded
+ * from BUILTIN_PRICING on first use and re-read whenever it changes on disk.
+ *
+ * File format:
+ *   {
+ *     "default": { "input": 3, "output": 15, "cacheWrite": 3.75, "cacheRead": 0.3 },
+ *     "models": [
+ *       { "match": "claude-opus-4-6", "input": 5, "output": 25, "cacheWrite": 6.25, "cacheRead": 0.5 },
+ *       { "match": "claude-sonnet-*", "input": 3, ..., "effectiveFrom": "2026-01-01", "effectiveTo": null }
+ *     ]
+ *   }
+ *
+ * Prices are USD per million tokens. `match` is an exact model ID or a
+ * pattern where `*` matches any run of characters (so "claude-opus-4-*" is a
+ * prefix match). effectiveFrom/effectiveTo are optional inclusive UTC days
+ * (YYYY-MM-DD), so historical usage keeps the price it ran under.
+ *
+ * Resolution for a (model, day): among rules in effect that day, an exact
+ * match wins, then the wildcard pattern with the most literal characters.
+ * Anything unmatched uses "default" and is reported as a fallback.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PRICING_FILE = path.join(__dirname, '..', '..', 'state', 'pricing.json');
+const RATE_KEYS = ['input', 'output', 'cacheWrite', 'cacheRead'];
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+// How often get() re-stats the file to pick up hand edits
+const RECHECK_INTERVAL_MS = 2000;
+
+/**
+ * Built-in prices used to seed state/pricing.json.
+ * Source: https://platform.claude.com/docs/en/about-claude/pricing
+ * Cache write = 5-minute cache (1.25× base input). Cache read = 0.10× base input.
+ * Last verified: 2026-02-12
+ */
+const BUILTIN_PRICING = {
+  // Default to Sonnet pricing for unknown models
+  default: { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.30 },
+  models: [
+    // Current models
+    { match: 'claude-opus-4-6',            input: 5,    output: 25,   cacheWrite: 6.25,  cacheRead: 0.50 },
+    { match: 'claude-opus-4-5*',           input: 5,    output: 25,   cacheWrite: 6.25,  cacheRead: 0.50 },
+    { match: 'claude-sonnet-4-5*',         input: 3,    output: 15,   cacheWrite: 3.75,  cacheRead: 0.30 },
+    { match: 'claude-haiku-4-5*',          input: 1,    output: 5,    cacheWrite: 1.25,  cacheRead: 0.10 },
+    // Legacy models (still usable)
+    { match: 'claude-opus-4-1*',           input: 15,   output: 75,   cacheWrite: 18.75, cacheRead: 1.50 },
+    { match: 'claude-opus-4-20250514',     input: 15,   output: 75,   cacheWrite: 18.75, cacheRead: 1.50 },
+    { match: 'claude-opus-4-0',            input: 15,   output: 75,   cacheWrite: 18.75, cacheRead: 1.50 },
+    { match: 'claude-sonnet-4-20250514',   input: 3,    output: 15,   cacheWrite: 3.75,  cacheRead: 0.30 },
+    { match: 'claude-sonnet-4-0',          input: 3,    output: 15,   cacheWrite: 3.75,  cacheRead: 0.30 },
+    { match: 'claude-3-7-sonnet*',         input: 3,    output: 15,   cacheWrite: 3.75,  cacheRead: 0.30 },
+    { match: 'claude-3-5-haiku*',          input: 0.80, output: 4,    cacheWrite: 1.00,  cacheRead: 0.08 },
+    { match: 'claude-3-haiku*',            input: 0.25, output: 1.25, cacheWrite: 0.30,  cacheRead: 0.03 },
+  ],
+};
+
+/**
+ * Validate a pricing table. Returns a normalized copy or an error message.
+ * @param {object} table
+ * @returns {{ value?: object, error?: string }}
+ */
+function validatePricing(table) {
+  if (!table || typeof table !== 'object') return { error: 'Pricing must be an object' };
+
+  const checkRates = (rates, where) => {
+    for (const key of RATE_KEYS) {
+      if (typeof rates[key] !== 'number' || !isFinite(rates[key]) || rates[key] < 0) {
+        return `${where}: "${key}" must be a non-negative number`;
+      }
+    }
+    return null;
+  };
+
+  if (!table.default || typeof table.default !== 'object') return { error: '"default" rates are required' };
+  const defaultError = checkRates(table.default, 'default');
+  if (defaultError) return { error: defaultError };
+  if (!Array.isArray(table.models)) return { error: '"models" must be an array' };
+
+  const models = [];
+  for (let i = 0; i < table.models.length; i++) {
+    const rule = table.models[i] || {};
+    const where = `models[${i}]`;
+    if (typeof rule.match !== 'string' || !rule.match.trim()) return { error: `${where}: "match" is required` };
+    const ratesError = checkRates(rule, where);
+    if (ratesError) return { error: ratesError };
+    for (const key of ['effectiveFrom', 'effectiveTo']) {
+      if (rule[key] != null && !(typeof rule[key] === 'string' && DAY_RE.test(rule[key]))) {
+        return { error: `${where}: "${key}" must be YYYY-MM-DD or null` };
+      }
+    }
+    if (rule.effectiveFrom && rule.effectiveTo && rule.effectiveFrom > rule.effectiveTo) {
+      return { error: `${where}: effectiveFrom is after effectiveTo` };
+    }
+    models.push({
+      match: rule.match.trim(),
+      input: rule.input,
+      output: rule.output,
+      cacheWrite: rule.cacheWrite,
+      cacheRead: rule.cacheRead,
+      effectiveFrom: rule.effectiveFrom || null,
+      effectiveTo: rule.effectiveTo || null,
+      ...(rule.note ? { note: String(rule.note) } : {}),
+    });
+  }
+
+  const def = table.default;
+  return {
+    value: {
+      default: { input: def.input, output: def.output, cacheWrite: def.cacheWrite, cacheRead: def.cacheRead },
+      models,
+    },
+  };
+}
+
+/**
+ * Test a model ID against a match pattern ("*" = any run of characters).
+ * @param {string} pattern
+ * @param {string} model
+ * @returns {boolean}
+ */
+function matchesModel(pattern, model) {
+  if (!pattern.includes('*')) return pattern === model;
+  const re = new RegExp('^' + pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  return re.test(model);
+}
+
+class PricingTable {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - Path to the pricing JSON (default state/pricing.json)
+   */
+  constructor({ file = PRICING_FILE } = {}) {
+    this.file = file;
+    this._table = null;
+    this._mtimeMs = null;
+    this._checkedAt = 0;
+    this._resolveCache = new Map(); // "model|day" -> resolution
+  }
+
+  /**
+   * Get the current pricing table, reloading if the file changed on disk.
+   * Seeds the file from BUILTIN_PRICING if it doesn't exist yet. An invalid
+   * file is reported and the built-in table is used until it's fixed.
+   * @returns {{ default: object, models: object[] }}
+   */
+  get() {
+    if (this._table && Date.now() - this._checkedAt < RECHECK_INTERVAL_MS) return this._table;
+    this._checkedAt = Date.now();
+
+    let stat = null;
+    try { stat = fs.statSync(this.file); } catch (_) {}
+
+    if (!stat) {
+      try {
+        this._write(validatePricing(BUILTIN_PRICING).value);
+        stat = fs.statSync(this.file);
+      } catch (err) {
+        console.error('[Pricing] Failed to seed pricing file:', err.message);
+      }
+    }
+    if (this._table && stat && stat.mtimeMs === this._mtimeMs) return this._table;
+
+    let table = BUILTIN_PRICING;
+    try {
+      const { value, error } = validatePricing(JSON.parse(fs.readFileSync(this.file, 'utf-8')));
+      if (error) console.error('[Pricing] Invalid pricing file, using built-in prices:', error);
+      else table = value;
+    } catch (err) {
+      console.error('[Pricing] Failed to read pricing file, using built-in prices:', err.message);
+    }
+
+    this._table = table;
+    this._mtimeMs = stat ? stat.mtimeMs : null;
+    this._resolveCache.clear();
+    return table;
+  }
+
+  /**
+   * Validate and save a new pricing table.
+   * @param {object} table
+   * @returns {{ value?: object, error?: string }}
+   */
+  set(table) {
+    const result = validatePricing(table);
+    if (result.error) return result;
+    this._write(result.value);
+    this._table = null; // Force reload (and cache reset) on next get()
+    return result;
+  }
+
+  _write(table) {
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmpFile = this.file + '.tmp';
+    fs.writeFileSync(tmpFile, JSON.stringify(table, null, 2), 'utf-8');
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  /**
+   * Resolve the rates for a model on a given day.
+   * @param {string} model - Model ID from the transcript
+   * @param {string|null} [day] - UTC day (YYYY-MM-DD); null ignores effective dates
+   * @returns {{ rates: { input: number, output: number, cacheWrite: number, cacheRead: number }, match: string|null, fallback: boolean }}
+   */
+  resolve(model, day = null) {
+    const table = this.get();
+    const cacheKey = model + '|' + (day || '');
+    const cached = this._resolveCache.get(cacheKey);
+    if (cached) return cached;
+
+    let best = null;
+    let bestScore = -1;
+    for (const rule of table.models) {
+      if (day && rule.effectiveFrom && day < rule.effectiveFrom) continue;
+      if (day && rule.effectiveTo && day > rule.effectiveTo) continue;
+      if (!matchesModel(rule.match, model)) continue;
+      // Exact matches outrank every pattern; otherwise prefer the most specific pattern
+      const score = rule.match.includes('*') ? rule.match.replace(/\*/g, '').length : Infinity;
+      if (score > bestScore) {
+        best = rule;
+        bestScore = score;
+      }
+    }
+
+    const result = best
+      ? { rates: best, match: best.match, fallback: false }
+      : { rates: table.default, match: null, fallback: true };
+    this._resolveCache.set(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * Cost of a usage bucket (token counts) for a model on a given day.
+   * @param {string} model
+   * @param {{ input: number, output: number, cacheWrite: number, cacheRead: number }} usage
+   * @param {string|null} [day]
+   * @returns {{ cost: number, fallback: boolean }}
+   */
+  price(model, usage, day = null) {
+    const { rates, fallback } = this.resolve(model, day);
+    const cost =
+      (usage.input / 1_000_000) * rates.input +
+      (usage.output / 1_000_000) * rates.output +
+      (usage.cacheWrite / 1_000_000) * rates.cacheWrite +
+      (usage.cacheRead / 1_000_000) * rates.cacheRead;
+    return { cost, fallback };
+  }
+}
+
+// Singleton
+let instance = null;
+function getPricingTable() {
+  if (!instance) instance = new PricingTable();
+  return instance;
+}
+
+module.exports = { PricingTable, getPricingTable, validatePricing, matchesModel, BUILTIN_PRICING };
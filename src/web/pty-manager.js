@@ -8,31 +8,57 @@
  * Performance notes:
  *   - PTY output is sent as raw text to WebSocket clients (no JSON wrapping)
  *   - WebSocket input is written directly to PTY (no buffering)
- *   - Scrollback is capped at ~100KB total characters
+ *   - Scrollback is capped at ~100KB total characters in memory; the full
+ *     output is also spooled to disk (see scrollback-spool.js) and replayed
+ *     when a session is re-spawned with --resume
+ *   - Sessions can be recorded as asciicast v2 (see recordings.js)
+ *
+ * Client roles (per WebSocket connection):
+ *   - owner:        input + resize. The first full-access client; when it
+ *                   leaves, the longest-connected collaborator is promoted
+ *   - collaborator: input only, so the owner's terminal size wins
+ *   - viewer:       read-only (input and resize are dropped). Share-link
+ *                   connections are always viewers
+ * Every change to the client list is broadcast as a { type: 'viewers' }
+ * control message so everyone sees who is watching.
  */
 
 const pty = require('node-pty');
+const crypto = require('crypto');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
 const { getStore } = require('../state/store');
+const { getScrollbackSpool } = require('./scrollback-spool');
+const { getRecordingManager } = require('./recordings');
+const { getAuditLog } = require('./audit-log');
+const { getHooksBridge } = require('./hooks-bridge');
+const { getApprovalInbox } = require('./approvals');
+const { getProvider } = require('../providers');
 
 // Maximum scrollback buffer size in total characters
 const MAX_SCROLLBACK_CHARS = 100 * 1024; // 100KB
 
+// Shown between restored output and the resumed session's new output
+const RESTORED_SCROLLBACK_BANNER = '\r\n\x1b[2m── restored scrollback from previous run ──\x1b[0m\r\n';
+
 /**
  * Represents a single PTY session with its process, clients, and scrollback.
  */
 class PtySession {
-  constructor(sessionId, ptyProcess) {
+  constructor(sessionId, ptyProcess, { cols = 120, rows = 30 } = {}) {
     this.sessionId = sessionId;
     this.pty = ptyProcess;
+    this.cols = cols;              // Current terminal size (for recordings)
+    this.rows = rows;
     this.clients = new Set();      // Set of WebSocket connections
+    this.clientInfo = new Map();   // WebSocket -> { clientId, role, name, shareToken, expiresAt, connectedAt }
     this.scrollback = [];          // Array of raw output strings
     this.scrollbackSize = 0;       // Running total of characters
     this.alive = true;
     this.exitCode = null;
     this.pid = ptyProcess.pid;
+    this.lastOutputAt = null;    // Epoch ms of the last output (idle detection without hooks)
     this.pingInterval = null;    // Keepalive ping interval ID
   }
 
@@ -50,11 +76,52 @@ class PtySession {
       this.scrollbackSize -= removed.length;
     }
   }
+
+  /**
+   * Describe connected clients for the 'viewers' control message.
+   * @returns {Array<{ clientId: string, name: string, role: string, shared: boolean, connectedAt: string }>}
+   */
+  listViewers() {
+    return [...this.clientInfo.values()].map(c => ({
+      clientId: c.clientId,
+      name: c.name,
+      role: c.role,
+      shared: !!c.shareToken,
+      connectedAt: c.connectedAt,
+    }));
+  }
+
+  /**
+   * Send a JSON control message to every connected client.
+   * @param {object} msg
+   */
+  broadcastControl(msg) {
+    const payload = JSON.stringify(msg);
+    for (const ws of this.clients) {
+      try {
+        if (ws.readyState === 1) ws.send(payload);
+      } catch (_) {}
+    }
+  }
 }
 
 class PtySessionManager {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {function(string): string|null} [options.spawnGuard] - Called before spawning;
+   *   returning a string refuses the spawn with that reason (e.g. an exceeded budget)
+   * @param {import('./scrollback-spool').ScrollbackSpool} [options.scrollbackSpool] - Disk spool for output
+   * @param {import('./recordings').RecordingManager} [options.recorder] - asciicast recorder
+   * @param {import('./hooks-bridge').HooksBridge} [options.hooks] - Claude Code hook status
+   * @param {import('./approvals').ApprovalInbox} [options.approvals] - Permission-prompt inbox
+   */
+  constructor({ spawnGuard = null, scrollbackSpool = getScrollbackSpool(), recorder = getRecordingManager(), hooks = getHooksBridge(), approvals = getApprovalInbox() } = {}) {
     this.sessions = new Map(); // sessionId -> PtySession
+    this.spawnGuard = spawnGuard;
+    this.spool = scrollbackSpool;
+    this.recorder = recorder;
+    this.hooks = hooks;
+    this.approvals = approvals;
   }
 
   /**
@@ -66,31 +133,26 @@ class PtySessionManager {
    * @param {string} [options.cwd] - Working directory for the PTY
    * @param {number} [options.cols=120] - Terminal columns
    * @param {number} [options.rows=30] - Terminal rows
-   * @param {boolean} [options.bypassPermissions=false] - If true, adds --dangerously-skip-permissions
+   * @param {boolean} [options.bypassPermissions=false] - If true, adds the provider's skip-permissions flag
+   * @param {string} [options.provider='claude'] - AI CLI adapter that builds the command line (see src/providers)
    * @returns {PtySession} The PTY session object
+   * @throws {Error} If the spawn guard refuses the spawn
    */
-  spawnSession(sessionId, { command = 'claude', cwd, cols = 120, rows = 30, bypassPermissions = false, resumeSessionId = null, verbose = false, model = null, agentTeams = false } = {}) {
+  spawnSession(sessionId, { provider = 'claude', command, cwd, cols = 120, rows = 30, bypassPermissions = false, resumeSessionId = null, verbose = false, model = null, agentTeams = false } = {}) {
     // Return existing session if already alive
     const existing = this.sessions.get(sessionId);
     if (existing && existing.alive) {
       return existing;
     }
 
-    // Build full command string
-    let fullCommand = command;
-    if (resumeSessionId) {
-      fullCommand += ' --resume ' + resumeSessionId;
-    }
-    if (bypassPermissions) {
-      fullCommand += ' --dangerously-skip-permissions';
-    }
-    if (verbose) {
-      fullCommand += ' --verbose';
-    }
-    if (model) {
-      fullCommand += ' --model ' + model;
+    if (this.spawnGuard) {
+      const refusal = this.spawnGuard(sessionId);
+      if (refusal) throw new Error(refusal);
     }
 
+    // Build full command string with the provider's resume/permission/model flags
+    const fullCommand = getProvider(provider).buildCommand({ command, resumeSessionId, bypassPermissions, verbose, model });
+
     // Validate cwd exists — fall back to home directory if not
     let resolvedCwd = cwd || process.cwd();
     try {
@@ -121,6 +183,8 @@ class PtySessionManager {
     } catch (_) {
       // Non-critical — session can work without docs integration
     }
+    // Let Claude Code hooks report this session's status (see hooks-bridge.js)
+    Object.assign(sessionEnv, this.hooks.envFor(sessionId));
 
     console.log(`[PTY] Spawning: cmd.exe /c ${fullCommand} (cwd: ${resolvedCwd})`);
 
@@ -142,9 +206,19 @@ class PtySessionManager {
       return null; // caller should check for null
     }
 
-    const session = new PtySession(sessionId, ptyProcess);
+    const session = new PtySession(sessionId, ptyProcess, { cols, rows });
     this.sessions.set(sessionId, session);
 
+    // A resumed conversation picks up where the previous run left off, so seed
+    // the in-memory scrollback from the spool (attachClient replays it). A
+    // fresh conversation starts a fresh spool.
+    if (resumeSessionId) {
+      const previous = this.spool.tail(sessionId, MAX_SCROLLBACK_CHARS);
+      if (previous) session.appendScrollback(previous + RESTORED_SCROLLBACK_BANNER);
+    } else {
+      this.spool.clear(sessionId);
+    }
+
     // Handle asynchronous PTY process errors (e.g. process crashes after spawn).
     // Guard with typeof check since node-pty's IPty may not always expose .on()
     if (typeof ptyProcess.on === 'function') {
@@ -156,7 +230,11 @@ class PtySessionManager {
 
     // PTY output handler: buffer + broadcast as raw binary (no JSON wrapping)
     ptyProcess.onData((data) => {
+      session.lastOutputAt = Date.now();
       session.appendScrollback(data);
+      this.spool.append(sessionId, data);
+      this.recorder.record(sessionId, 'o', data);
+      this.approvals.observeOutput(sessionId, data);
 
       // Broadcast raw output to all connected WebSocket clients
       for (const ws of session.clients) {
@@ -174,6 +252,10 @@ class PtySessionManager {
     ptyProcess.onExit(({ exitCode }) => {
       session.alive = false;
       session.exitCode = exitCode;
+      this.spool.flush(sessionId);
+      this.recorder.stop(sessionId);
+      this.hooks.clear(sessionId);
+      this.approvals.clearSession(sessionId);
 
       // Send structured exit message to all clients (this one IS JSON)
       const exitMsg = JSON.stringify({ type: 'exit', exitCode });
@@ -215,10 +297,24 @@ class PtySessionManager {
    * @param {string} sessionId - Session to attach to
    * @param {WebSocket} ws - WebSocket client connection
    * @param {object} [spawnOpts] - Options passed to spawnSession if creating new
+   * @param {object} [access] - Who is connecting
+   * @param {boolean} [access.viewOnly=false] - Attach as a read-only viewer (never spawns)
+   * @param {string} [access.name] - Display name for the viewers list
+   * @param {string} [access.shareToken] - Share link the client connected with
+   * @param {string} [access.expiresAt] - When the share link expires (client is then disconnected)
    */
-  attachClient(sessionId, ws, spawnOpts = {}) {
+  attachClient(sessionId, ws, spawnOpts = {}, { viewOnly = false, name = '', shareToken = null, expiresAt = null } = {}) {
     let session = this.sessions.get(sessionId);
 
+    // Viewers can watch a running session but never start one
+    if (viewOnly && (!session || !session.alive)) {
+      try {
+        if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'error', message: 'Session is not running' }));
+      } catch (_) {}
+      try { ws.close(1011, 'Session is not running'); } catch (_) {}
+      return;
+    }
+
     // If no live session, try to spawn from store data
     if (!session || !session.alive) {
       try {
@@ -227,7 +323,8 @@ class PtySessionManager {
         if (storeSession) {
           console.log(`[PTY] Spawning from store data for ${sessionId}: resumeSessionId=${storeSession.resumeSessionId}, cwd=${storeSession.workingDir}, cmd=${storeSession.command}`);
           session = this.spawnSession(sessionId, {
-            command: storeSession.command || 'claude',
+            provider: storeSession.provider || 'claude',
+            command: storeSession.command || undefined,
             cwd: storeSession.workingDir || undefined,
             bypassPermissions: storeSession.bypassPermissions || false,
             verbose: storeSession.verbose || false,
@@ -256,10 +353,30 @@ class PtySessionManager {
       }
     }
 
-    // Add client to the session's client set
+    // Add client to the session's client set with its role
+    const hasOwner = [...session.clientInfo.values()].some(c => c.role === 'owner');
+    const clientId = crypto.randomBytes(4).toString('hex');
+    const info = {
+      clientId,
+      role: viewOnly ? 'viewer' : (hasOwner ? 'collaborator' : 'owner'),
+      name: name || (shareToken ? 'Guest' : 'Browser ' + clientId.slice(0, 4)),
+      shareToken,
+      expiresAt,
+      connectedAt: new Date().toISOString(),
+    };
     session.clients.add(ws);
+    session.clientInfo.set(ws, info);
+    try {
+      let sessionName = sessionId;
+      try {
+        const storeSession = getStore().getSession(sessionId);
+        if (storeSession && storeSession.name) sessionName = storeSession.name;
+      } catch (_) {}
+      ws.send(JSON.stringify({ type: 'role', role: info.role, clientId, sessionName }));
+    } catch (_) {}
 
     // Replay scrollback buffer so the client sees existing output
+    // (including output restored from the spool for resumed sessions)
     if (session.scrollback.length > 0) {
       const replay = session.scrollback.join('');
       try {
@@ -271,6 +388,14 @@ class PtySessionManager {
       }
     }
 
+    // Let the client know if the session is being recorded
+    const activeRecording = this.recorder.getActive(sessionId);
+    if (activeRecording) {
+      try {
+        ws.send(JSON.stringify({ type: 'recording', active: true, recordingId: activeRecording.id }));
+      } catch (_) {}
+    }
+
     // If session already exited, notify this client
     if (!session.alive) {
       try {
@@ -278,9 +403,13 @@ class PtySessionManager {
       } catch (_) {}
     }
 
+    session.broadcastControl({ type: 'viewers', viewers: session.listViewers() });
+
     // Handle incoming messages from this WebSocket client
     ws.on('message', (raw) => {
       if (!session.alive) return;
+      // Read-only clients: drop input and resize
+      if (info.role === 'viewer') return;
 
       try {
         // Try to parse as JSON control message
@@ -289,29 +418,33 @@ class PtySessionManager {
         if (msg.type === 'input' && msg.data !== undefined) {
           // Write user input directly to PTY - NO BUFFERING
           session.pty.write(msg.data);
-        } else if (msg.type === 'resize' && msg.cols && msg.rows) {
-          session.pty.resize(
-            Math.max(1, Math.min(500, msg.cols)),
-            Math.max(1, Math.min(200, msg.rows))
-          );
+          this.recorder.record(sessionId, 'i', msg.data);
+          this.approvals.observeInput(sessionId, String(msg.data));
+        } else if (msg.type === 'resize' && msg.cols && msg.rows && info.role === 'owner') {
+          session.cols = Math.max(1, Math.min(500, msg.cols));
+          session.rows = Math.max(1, Math.min(200, msg.rows));
+          session.pty.resize(session.cols, session.rows);
+          this.recorder.record(sessionId, 'r', session.cols + 'x' + session.rows);
         }
       } catch (_) {
         // Not valid JSON - treat as raw input
         session.pty.write(raw.toString());
+        this.recorder.record(sessionId, 'i', raw.toString());
+        this.approvals.observeInput(sessionId, raw.toString());
       }
     });
 
     // Handle client disconnect - DON'T kill PTY, it persists for reconnect
     ws.on('close', () => {
-      session.clients.delete(ws);
+      this._detachClient(session, ws);
       console.log(`[PTY] Client detached from session ${sessionId} (${session.clients.size} remaining)`);
     });
 
     ws.on('error', () => {
-      session.clients.delete(ws);
+      this._detachClient(session, ws);
     });
 
-    console.log(`[PTY] Client attached to session ${sessionId} (${session.clients.size} clients)`);
+    console.log(`[PTY] Client attached to session ${sessionId} as ${info.role} (${session.clients.size} clients)`);
 
     // ── Ping/pong keepalive ──────────────────────────────────
     // Browser WebSockets auto-respond to pings with pongs (RFC 6455).
@@ -323,11 +456,19 @@ class PtySessionManager {
     // Start a shared ping interval per session (30s cycle)
     if (!session.pingInterval) {
       session.pingInterval = setInterval(() => {
+        const now = Date.now();
         for (const client of session.clients) {
+          // Share-link viewers are disconnected once their link expires
+          const clientInfo = session.clientInfo.get(client);
+          if (clientInfo && clientInfo.expiresAt && Date.parse(clientInfo.expiresAt) <= now) {
+            try { client.close(1008, 'Share link expired'); } catch (_) {}
+            this._detachClient(session, client);
+            continue;
+          }
           if (client.isAlive === false) {
             console.log(`[PTY] Client unresponsive, terminating (session ${sessionId})`);
             client.terminate();
-            session.clients.delete(client);
+            this._detachClient(session, client);
             continue;
           }
           client.isAlive = false;
@@ -344,6 +485,50 @@ class PtySessionManager {
     }
   }
 
+  /**
+   * Remove a client from a session, promoting a collaborator if the owner
+   * left, and broadcast the updated viewers list.
+   * @param {PtySession} session
+   * @param {WebSocket} ws
+   */
+  _detachClient(session, ws) {
+    const info = session.clientInfo.get(ws);
+    session.clients.delete(ws);
+    if (!info) return;
+    session.clientInfo.delete(ws);
+
+    if (info.role === 'owner') {
+      // Map iteration is insertion order, so this is the longest-connected collaborator
+      for (const [client, other] of session.clientInfo) {
+        if (other.role !== 'collaborator') continue;
+        other.role = 'owner';
+        try {
+          client.send(JSON.stringify({ type: 'role', role: 'owner', clientId: other.clientId }));
+        } catch (_) {}
+        break;
+      }
+    }
+    session.broadcastControl({ type: 'viewers', viewers: session.listViewers() });
+  }
+
+  /**
+   * Disconnect every client that joined through a share link (on revoke).
+   * @param {string} shareToken
+   * @returns {number} Number of clients disconnected
+   */
+  disconnectShare(shareToken) {
+    let count = 0;
+    for (const session of this.sessions.values()) {
+      for (const [ws, info] of session.clientInfo) {
+        if (info.shareToken !== shareToken) continue;
+        try { ws.close(1008, 'Share link revoked'); } catch (_) {}
+        this._detachClient(session, ws);
+        count++;
+      }
+    }
+    return count;
+  }
+
   /**
    * Kill a PTY session and disconnect all clients.
    * @param {string} sessionId
@@ -360,6 +545,7 @@ class PtySessionManager {
       } catch (_) {}
     }
     session.clients.clear();
+    session.clientInfo.clear();
 
     // Clear keepalive ping interval
     if (session.pingInterval) {
@@ -377,6 +563,8 @@ class PtySessionManager {
 
     // Remove from map
     this.sessions.delete(sessionId);
+    this.spool.flush(sessionId);
+    this.recorder.stop(sessionId);
 
     // Update store status
     try {
@@ -393,11 +581,61 @@ class PtySessionManager {
    */
   destroyAll() {
     console.log(`[PTY] Destroying all sessions (${this.sessions.size} active)`);
-    for (const [sessionId] of this.sessions) {
+    for (const [sessionId, session] of this.sessions) {
+      getAuditLog().record({
+        action: 'pty.kill',
+        actor: { type: 'system' },
+        targets: { sessionId },
+        outcome: 'success',
+        details: { pid: session.pid, reason: 'shutdown' },
+      });
       this.killSession(sessionId);
     }
   }
 
+  /**
+   * Start or stop recording a live session as asciicast v2. Connected clients
+   * are told via a { type: 'recording', active, recordingId } control message.
+   * @param {string} sessionId
+   * @param {boolean} enabled
+   * @returns {{ id: string, sessionId: string, startedAt: string }|null} The recording started or
+   *   stopped, or null if there was nothing to stop
+   * @throws {Error} If starting and the session isn't running
+   */
+  setRecording(sessionId, enabled) {
+    const session = this.sessions.get(sessionId);
+    if (!enabled) {
+      const stopped = this.recorder.stop(sessionId);
+      if (stopped && session) session.broadcastControl({ type: 'recording', active: false, recordingId: stopped.id });
+      return stopped;
+    }
+
+    if (!session || !session.alive) throw new Error('Session is not running');
+    let title = sessionId;
+    try {
+      const storeSession = getStore().getSession(sessionId);
+      if (storeSession && storeSession.name) title = storeSession.name;
+    } catch (_) {}
+    const recording = this.recorder.start(sessionId, { cols: session.cols, rows: session.rows, title });
+    session.broadcastControl({ type: 'recording', active: true, recordingId: recording.id });
+    return recording;
+  }
+
+  /**
+   * Write input to a live session as if typed in its terminal.
+   * @param {string} sessionId
+   * @param {string} data - Keystrokes (e.g. '\r' for Enter)
+   * @returns {boolean} False if the session isn't running
+   */
+  writeInput(sessionId, data) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.alive) return false;
+    session.pty.write(data);
+    this.recorder.record(sessionId, 'i', data);
+    this.approvals.observeInput(sessionId, data);
+    return true;
+  }
+
   /**
    * Get a session by ID.
    * @param {string} sessionId
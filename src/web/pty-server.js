@@ -2,7 +2,8 @@
  * WebSocket server for PTY terminal connections.
  *
  * Handles WebSocket upgrade requests on /ws/terminal, authenticates via
- * query-param token, and delegates to PtySessionManager for session lifecycle.
+ * query-param token (or a read-only share link), and delegates to
+ * PtySessionManager for session lifecycle.
  *
  * Usage:
  *   const { attachPtyWebSocket } = require('./pty-server');
@@ -11,15 +12,20 @@
 
 const { WebSocketServer } = require('ws');
 const url = require('url');
-const { isValidToken } = require('./auth');
+const { authorizeTerminal } = require('./auth');
 const { PtySessionManager } = require('./pty-manager');
+const { getShareLinks } = require('./share-links');
+const { getAuditLog, requestActor } = require('./audit-log');
 
 /**
  * Attach a WebSocket server to an existing HTTP server for PTY terminal access.
  *
  * Listens for upgrade requests on `/ws/terminal` with query parameters:
- *   - token: Required. Valid auth token.
+ *   - token: Required unless share is given. Login token, or an API key with
+ *            the pty:attach scope for the session's workspace.
+ *   - share: Alternative to token. A share-link token; connects as a read-only viewer.
  *   - sessionId: Required. The session to attach to.
+ *   - role: Optional. 'viewer' to attach read-only with a full token.
  *   - cols: Optional. Terminal columns (default handled by PtySessionManager).
  *   - rows: Optional. Terminal rows.
  *   - cwd: Optional. Working directory for new sessions.
@@ -27,11 +33,13 @@ const { PtySessionManager } = require('./pty-manager');
  *   - bypassPermissions: Optional. If 'true', adds --dangerously-skip-permissions.
  *
  * @param {import('http').Server} httpServer - The Node.js HTTP server instance
+ * @param {object} [options]
+ * @param {function(string): string|null} [options.spawnGuard] - Passed to PtySessionManager
  * @returns {{ ptyWss: WebSocketServer, ptyManager: PtySessionManager }}
  */
-function attachPtyWebSocket(httpServer) {
+function attachPtyWebSocket(httpServer, { spawnGuard = null } = {}) {
   const ptyWss = new WebSocketServer({ noServer: true });
-  const ptyManager = new PtySessionManager();
+  const ptyManager = new PtySessionManager({ spawnGuard });
 
   httpServer.on('upgrade', (request, socket, head) => {
     const { pathname, query } = url.parse(request.url, true);
@@ -42,15 +50,6 @@ function attachPtyWebSocket(httpServer) {
       return;
     }
 
-    // Authenticate via query param token
-    const token = query.token;
-    if (!isValidToken(token)) {
-      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
-      socket.destroy();
-      console.log('[WS] Rejected unauthenticated WebSocket upgrade');
-      return;
-    }
-
     const sessionId = query.sessionId;
     if (!sessionId) {
       socket.write('HTTP/1.1 400 Bad Request\r\n\r\n');
@@ -59,6 +58,16 @@ function attachPtyWebSocket(httpServer) {
       return;
     }
 
+    // Authenticate via query param token, or a share link scoped to this session
+    const shareLink = query.share ? getShareLinks().verify(query.share, sessionId) : null;
+    const credential = shareLink ? null : authorizeTerminal(query.token, sessionId);
+    if (!shareLink && !credential) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      console.log('[WS] Rejected unauthenticated WebSocket upgrade');
+      return;
+    }
+
     // Complete the WebSocket handshake
     ptyWss.handleUpgrade(request, socket, head, (ws) => {
       ptyWss.emit('connection', ws, request);
@@ -68,14 +77,33 @@ function attachPtyWebSocket(httpServer) {
       if (query.cols) spawnOpts.cols = parseInt(query.cols, 10);
       if (query.rows) spawnOpts.rows = parseInt(query.rows, 10);
       if (query.cwd) spawnOpts.cwd = query.cwd;
+      if (query.provider) spawnOpts.provider = query.provider;
       if (query.command) spawnOpts.command = query.command;
       if (query.resumeSessionId) spawnOpts.resumeSessionId = query.resumeSessionId;
       if (query.bypassPermissions === 'true') spawnOpts.bypassPermissions = true;
       if (query.verbose === 'true') spawnOpts.verbose = true;
       if (query.model) spawnOpts.model = query.model;
 
+      const access = shareLink
+        ? { viewOnly: true, name: shareLink.label, shareToken: shareLink.token, expiresAt: shareLink.expiresAt }
+        : { viewOnly: query.role === 'viewer', name: credential.user.displayName || credential.user.username };
+
+      getAuditLog().record({
+        action: 'pty.attach',
+        actor: shareLink
+          ? { type: 'share', label: shareLink.label }
+          : requestActor({ user: credential.user, apiKey: credential.apiKey }),
+        ip: request.socket.remoteAddress || '',
+        targets: { sessionId },
+        outcome: 'success',
+        details: {
+          readOnly: access.viewOnly,
+          ...(spawnOpts.bypassPermissions && !shareLink ? { bypassPermissions: true } : {}),
+        },
+      });
+
       // Attach the client to the PTY session
-      ptyManager.attachClient(sessionId, ws, spawnOpts);
+      ptyManager.attachClient(sessionId, ws, shareLink ? {} : spawnOpts, access);
     });
   });
 
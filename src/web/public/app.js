@@ -94,11 +94,13 @@ class CWMApp {
     // ─── State ─────────────────────────────────────────────────
     this.state = {
       token: localStorage.getItem('cwm_token') || null,
+      user: null,       // Signed-in account { id, username, displayName, role }
       workspaces: [],
       sessions: [],
       allSessions: [],  // Always holds ALL sessions (for sidebar rendering)
       groups: [],
       projects: [],
+      providers: null,  // AI CLI adapters from /api/providers, loaded on first use
       activeWorkspace: null,
       selectedSession: null,
       viewMode: localStorage.getItem('cwm_viewMode') || 'terminal',       // workspace | all | recent | terminal
@@ -109,6 +111,8 @@ class CWMApp {
       docs: null,
       docsRawMode: false,
       hiddenSessions: new Set(JSON.parse(localStorage.getItem('cwm_hiddenSessions') || '[]')),
+      hookStatus: {},   // sessionId -> last Claude Code hook status { state, tool, message, ... }
+      approvals: [],    // Pending permission prompts across all sessions
       hiddenProjectSessions: new Set(JSON.parse(localStorage.getItem('cwm_hiddenProjectSessions') || '[]')),
       hiddenProjects: new Set(JSON.parse(localStorage.getItem('cwm_hiddenProjects') || '[]')),
       projectSearchQuery: '',
@@ -131,7 +135,6 @@ class CWMApp {
     this._searchDebounceTimer = null;
 
     // ─── Conflict Detection state ────────────────────────────
-    this._conflictCheckInterval = null;
     this._lastConflictKeys = new Set();  // Dedup: tracks conflicts already toasted
 
     // ─── SSE ───────────────────────────────────────────────────
@@ -182,6 +185,7 @@ class CWMApp {
     this.els = {
       loginScreen: document.getElementById('login-screen'),
       loginForm: document.getElementById('login-form'),
+      loginUsername: document.getElementById('login-username'),
       loginPassword: document.getElementById('login-password'),
       loginError: document.getElementById('login-error'),
       loginBtn: document.getElementById('login-btn'),
@@ -215,6 +219,8 @@ class CWMApp {
       sessionEmpty: document.getElementById('session-empty'),
       createSessionBtn: document.getElementById('create-session-btn'),
       sessionListPanel: document.getElementById('session-list-panel'),
+      fileHistoryInput: document.getElementById('file-history-input'),
+      fileHistoryResults: document.getElementById('file-history-results'),
 
       // Detail
       detailPanel: document.getElementById('session-detail-panel'),
@@ -279,6 +285,18 @@ class CWMApp {
       terminalGrid: document.getElementById('terminal-grid'),
       terminalTabStrip: document.getElementById('terminal-tab-strip'),
 
+      // Diff review panel
+      reviewPanel: document.getElementById('review-panel'),
+      reviewTitle: document.getElementById('review-title'),
+      reviewBranch: document.getElementById('review-branch'),
+      reviewFiles: document.getElementById('review-files'),
+      reviewDiff: document.getElementById('review-diff'),
+      reviewCommitMessage: document.getElementById('review-commit-message'),
+      reviewCommitBtn: document.getElementById('review-commit-btn'),
+      reviewDraftBtn: document.getElementById('review-draft-btn'),
+      reviewRefreshBtn: document.getElementById('review-refresh-btn'),
+      reviewCloseBtn: document.getElementById('review-close-btn'),
+
       // Mobile
       mobileTabBar: document.getElementById('mobile-tab-bar'),
       actionSheetOverlay: document.getElementById('action-sheet-overlay'),
@@ -316,6 +334,7 @@ class CWMApp {
       featureBoard: document.getElementById('feature-board'),
       boardColumns: document.getElementById('board-columns'),
       boardAddBtn: document.getElementById('board-add-btn'),
+      boardWorktreesBtn: document.getElementById('board-worktrees-btn'),
 
       // Terminal Tab Groups
       terminalGroupsBar: document.getElementById('terminal-groups-bar'),
@@ -339,11 +358,33 @@ class CWMApp {
       detailSubagentCount: document.getElementById('detail-subagent-count'),
       detailSubagentList: document.getElementById('detail-subagent-list'),
 
+      // Agent todos
+      detailTodos: document.getElementById('detail-todos'),
+      detailTodoCount: document.getElementById('detail-todo-count'),
+      detailTodoList: document.getElementById('detail-todo-list'),
+      detailTodoMirror: document.getElementById('detail-todo-mirror'),
+
+      // Git checkpoints
+      detailCheckpoints: document.getElementById('detail-checkpoints'),
+      detailCheckpointCount: document.getElementById('detail-checkpoint-count'),
+      detailCheckpointsToggle: document.getElementById('detail-checkpoints-toggle'),
+      detailCheckpointNow: document.getElementById('detail-checkpoint-now'),
+      detailCheckpointCompare: document.getElementById('detail-checkpoint-compare'),
+      detailCheckpointList: document.getElementById('detail-checkpoint-list'),
+      detailCheckpointDiff: document.getElementById('detail-checkpoint-diff'),
+
       // Workspace Analytics
       detailAnalytics: document.getElementById('detail-analytics'),
       analyticsGrid: document.getElementById('analytics-grid'),
       analyticsTopSessions: document.getElementById('analytics-top-sessions'),
 
+      // Approvals inbox
+      approvalsBtn: document.getElementById('approvals-btn'),
+      approvalsCount: document.getElementById('approvals-count'),
+      approvalsOverlay: document.getElementById('approvals-overlay'),
+      approvalsList: document.getElementById('approvals-list'),
+      approvalsCloseBtn: document.getElementById('approvals-close-btn'),
+
       // Update
       updateBtn: document.getElementById('update-btn'),
       updateBadge: document.getElementById('update-badge'),
@@ -369,7 +410,7 @@ class CWMApp {
     // Login
     this.els.loginForm.addEventListener('submit', (e) => {
       e.preventDefault();
-      this.login(this.els.loginPassword.value);
+      this.login(this.els.loginUsername.value.trim(), this.els.loginPassword.value);
     });
 
     // Logout & Restart All
@@ -450,6 +491,14 @@ class CWMApp {
       });
     }
 
+    // File history search (workspace panel)
+    if (this.els.fileHistoryInput) {
+      this.els.fileHistoryInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.searchFileHistory(e.target.value.trim());
+        if (e.key === 'Escape') this.closeFileHistory();
+      });
+    }
+
     // Find a Conversation button
     const findConvoBtn = document.getElementById('find-conversation-btn');
     if (findConvoBtn) {
@@ -498,6 +547,33 @@ class CWMApp {
     this.els.detailRestartBtn.addEventListener('click', () => {
       if (this.state.selectedSession) this.restartSession(this.state.selectedSession.id);
     });
+    if (this.els.detailTodoMirror) {
+      this.els.detailTodoMirror.addEventListener('change', () => {
+        if (this.state.selectedSession) this.setTodoMirror(this.state.selectedSession.id, this.els.detailTodoMirror.value);
+      });
+    }
+    if (this.els.reviewPanel) {
+      this.els.reviewCloseBtn.addEventListener('click', () => this.closeReviewPanel());
+      this.els.reviewRefreshBtn.addEventListener('click', () => this.loadReview());
+      this.els.reviewDraftBtn.addEventListener('click', () => this.draftReviewMessage());
+      this.els.reviewCommitBtn.addEventListener('click', () => this.commitReview());
+    }
+    if (this.els.detailCheckpoints) {
+      this.els.detailCheckpointsToggle.addEventListener('change', () => {
+        if (this.state.selectedSession) this.setCheckpointing(this.state.selectedSession.id, this.els.detailCheckpointsToggle.checked);
+      });
+      this.els.detailCheckpointNow.addEventListener('click', () => {
+        if (this.state.selectedSession) this.createCheckpoint(this.state.selectedSession.id);
+      });
+      this.els.detailCheckpointCompare.addEventListener('click', () => {
+        const selected = [...this.els.detailCheckpointList.querySelectorAll('.checkpoint-select:checked')].map(el => el.value);
+        // Ids are creation times: diff from the older to the newer
+        selected.sort();
+        if (this.state.selectedSession && selected.length === 2) {
+          this.showCheckpointDiff(this.state.selectedSession.id, { from: selected[0], to: selected[1] });
+        }
+      });
+    }
 
     // Context Menu — dismiss on click outside or Escape
     document.addEventListener('click', (e) => {
@@ -590,12 +666,28 @@ class CWMApp {
     if (this.els.boardAddBtn) {
       this.els.boardAddBtn.addEventListener('click', () => this.createFeature());
     }
+    if (this.els.boardWorktreesBtn) {
+      this.els.boardWorktreesBtn.addEventListener('click', () => this.showStaleWorktrees());
+    }
 
     // Resources refresh
     if (this.els.resourcesRefreshBtn) {
       this.els.resourcesRefreshBtn.addEventListener('click', () => this.refreshResources());
     }
 
+    // Approvals inbox
+    if (this.els.approvalsBtn) {
+      this.els.approvalsBtn.addEventListener('click', () => this.showApprovalsInbox());
+    }
+    if (this.els.approvalsCloseBtn) {
+      this.els.approvalsCloseBtn.addEventListener('click', () => this.hideApprovalsInbox());
+    }
+    if (this.els.approvalsOverlay) {
+      this.els.approvalsOverlay.addEventListener('click', (e) => {
+        if (e.target === this.els.approvalsOverlay) this.hideApprovalsInbox();
+      });
+    }
+
     // Update button
     if (this.els.updateBtn) {
       this.els.updateBtn.addEventListener('click', () => this.showUpdateModal());
@@ -626,6 +718,8 @@ class CWMApp {
       if (e.key === 'Escape') {
         if (this.els.searchOverlay && !this.els.searchOverlay.hidden) {
           this.closeGlobalSearch();
+        } else if (this.els.approvalsOverlay && !this.els.approvalsOverlay.hidden) {
+          this.hideApprovalsInbox();
         } else if (this.els.actionSheetOverlay && !this.els.actionSheetOverlay.hidden) {
           this.hideActionSheet();
         } else if (!this.els.qsOverlay.hidden) {
@@ -887,21 +981,23 @@ class CWMApp {
   async checkAuth() {
     try {
       const data = await this.api('GET', '/api/auth/check');
+      this.state.user = data.user || null;
       return data.authenticated === true;
     } catch {
       return false;
     }
   }
 
-  async login(password) {
+  async login(username, password) {
     this.els.loginError.textContent = '';
     this.els.loginBtn.classList.add('loading');
     this.els.loginBtn.disabled = true;
 
     try {
-      const data = await this.api('POST', '/api/auth/login', { password });
+      const data = await this.api('POST', '/api/auth/login', { username: username || undefined, password });
       if (data.success && data.token) {
         this.state.token = data.token;
+        this.state.user = data.user || null;
         localStorage.setItem('cwm_token', data.token);
         this.showApp();
         this.initDragAndDrop();
@@ -914,7 +1010,7 @@ class CWMApp {
         this.startConflictChecks();
         this.checkForUpdates();
       } else {
-        this.els.loginError.textContent = 'Invalid password. Please try again.';
+        this.els.loginError.textContent = 'Invalid username or password. Please try again.';
       }
     } catch (err) {
       this.els.loginError.textContent = err.message || 'Connection failed. Is the server running?';
@@ -931,12 +1027,8 @@ class CWMApp {
       // ignore — we clear locally regardless
     }
     this.state.token = null;
+    this.state.user = null;
     localStorage.removeItem('cwm_token');
-    // Clean up conflict check interval to prevent background polling after logout
-    if (this._conflictCheckInterval) {
-      clearInterval(this._conflictCheckInterval);
-      this._conflictCheckInterval = null;
-    }
     // Clean up SSE retry timeout to prevent reconnection attempts after logout
     if (this.sseRetryTimeout) {
       clearTimeout(this.sseRetryTimeout);
@@ -988,6 +1080,8 @@ class CWMApp {
       this.loadStats(),
       this.loadGroups(),
       this.loadProjects(),
+      this.loadHookStatus(),
+      this.loadApprovals(),
     ]);
 
     // Restore active workspace from localStorage if still valid
@@ -1116,6 +1210,9 @@ class CWMApp {
       await this.loadSessions();
     }
 
+    // Conflicts are pushed as they change; catch up on ones already there
+    this.checkForConflicts();
+
     // Close mobile sidebar
     if (this.state.sidebarOpen) this.toggleSidebar();
   }
@@ -1302,13 +1399,23 @@ class CWMApp {
       const tData = await this.api('GET', '/api/templates');
       templates = tData.templates || tData || [];
     } catch (_) {}
+    const providers = await this.loadProviders();
 
     const fields = [
       { key: 'name', label: 'Name', placeholder: 'feature-auth', required: true },
       { key: 'topic', label: 'Topic', placeholder: 'Working on authentication flow' },
       { key: 'workingDir', label: 'Working Directory', placeholder: 'C:\\Users\\...\\project' },
-      { key: 'command', label: 'Command', placeholder: 'claude (default)' },
     ];
+    // Only offer a choice when more than one AI CLI is available
+    if (providers.length > 1) {
+      fields.push({
+        key: 'provider',
+        label: 'Provider',
+        type: 'select',
+        options: providers.map(p => ({ value: p.id, label: p.label })),
+      });
+    }
+    fields.push({ key: 'command', label: 'Command', placeholder: "Provider's CLI (default)" });
 
     // If we have a workspace selected, pre-fill workspaceId
     if (this.state.activeWorkspace) {
@@ -1335,7 +1442,7 @@ class CWMApp {
       // Show template chips above the form if templates exist
       headerHtml: templates.length > 0 ? `
         <div class="template-list">${templates.map(t => `
-          <button class="template-chip" data-template-id="${t.id}" title="${t.workingDir || ''}${t.model ? ' · ' + t.model : ''}${t.bypassPermissions ? ' · bypass' : ''}">
+          <button class="template-chip" data-template-id="${t.id}" title="${t.workingDir || ''}${t.provider && t.provider !== 'claude' ? ' · ' + t.provider : ''}${t.model ? ' · ' + t.model : ''}${t.bypassPermissions ? ' · bypass' : ''}">
             <span class="template-chip-icon">&#9889;</span>${this.escapeHtml(t.name)}
           </button>`).join('')}
         </div>` : '',
@@ -1348,9 +1455,12 @@ class CWMApp {
         const nameInput = document.getElementById('modal-field-name');
         const dirInput = document.getElementById('modal-field-workingDir');
         const cmdInput = document.getElementById('modal-field-command');
+        const providerInput = document.getElementById('modal-field-provider');
+        const provider = providers.find(p => p.id === (tpl.provider || 'claude'));
         if (nameInput && !nameInput.value) nameInput.value = tpl.name;
         if (dirInput && tpl.workingDir) dirInput.value = tpl.workingDir;
-        if (cmdInput && tpl.command && tpl.command !== 'claude') cmdInput.value = tpl.command;
+        if (providerInput && provider) providerInput.value = provider.id;
+        if (cmdInput && tpl.command && (!provider || tpl.command !== provider.defaultCommand)) cmdInput.value = tpl.command;
         this.showToast(`Template "${tpl.name}" applied`, 'success');
       },
     });
@@ -1371,6 +1481,22 @@ class CWMApp {
     }
   }
 
+  /**
+   * Load the AI CLI providers sessions can use. Cached for the page's lifetime
+   * since the registry only changes with a server upgrade.
+   * @returns {Promise<Array<{ id: string, label: string, defaultCommand: string }>>}
+   */
+  async loadProviders() {
+    if (this.state.providers) return this.state.providers;
+    try {
+      const data = await this.api('GET', '/api/providers');
+      this.state.providers = data.providers || [];
+    } catch (_) {
+      return [];
+    }
+    return this.state.providers;
+  }
+
   async saveSessionAsTemplate(session) {
     const result = await this.showPromptModal({
       title: 'Save as Template',
@@ -1385,7 +1511,8 @@ class CWMApp {
     try {
       await this.api('POST', '/api/templates', {
         name: result.name,
-        command: session.command || 'claude',
+        provider: session.provider || 'claude',
+        command: session.command || '',
         workingDir: session.workingDir || '',
         bypassPermissions: !!session.bypassPermissions,
         verbose: !!session.verbose,
@@ -1632,6 +1759,7 @@ class CWMApp {
           const spawnOpts = {};
           if (session.resumeSessionId) spawnOpts.resumeSessionId = session.resumeSessionId;
           if (session.workingDir) spawnOpts.cwd = session.workingDir;
+          if (session.provider) spawnOpts.provider = session.provider;
           if (session.command) spawnOpts.command = session.command;
           if (session.bypassPermissions) spawnOpts.bypassPermissions = true;
           if (session.verbose) spawnOpts.verbose = true;
@@ -1700,7 +1828,13 @@ class CWMApp {
       }},
       { label: 'Start with Context', icon: '&#128218;', action: () => this.startSessionWithContext(sessionId) },
       { label: 'Save as Template', icon: '&#128190;', action: () => this.saveSessionAsTemplate(session) },
+      { label: 'View Conversation', icon: '&#128172;', action: () => this.openTranscriptViewer(sessionId) },
       { label: 'Export Context', icon: '&#128230;', action: () => this.exportSessionContext(sessionId) },
+      { label: 'Recordings', icon: '&#127902;', action: () => this.showRecordings(sessionId, session.name) },
+      { label: 'Download Scrollback', icon: '&#128196;', submenu: [
+        { label: 'Plain Text', action: () => this.downloadScrollback(sessionId, 'text') },
+        { label: 'Raw (ANSI)', action: () => this.downloadScrollback(sessionId, 'ansi') },
+      ]},
       { label: 'Summarize to Docs', icon: '&#128221;', action: () => this.summarizeSessionToDocs(sessionId) },
     );
 
@@ -1749,10 +1883,10 @@ class CWMApp {
     this.els.contextMenu.hidden = true;
   }
 
-  showProjectSessionContextMenu(sessionName, projectPath, x, y) {
+  showProjectSessionContextMenu(sessionName, projectPath, x, y, provider = 'claude') {
     const items = [];
 
-    // Open in terminal (resume the Claude session) — no workspace needed
+    // Open in terminal (resume the session with its provider's CLI) — no workspace needed
     items.push({
       label: 'Open in Terminal', icon: '&#9654;', action: () => {
         const emptySlot = this.terminalPanes.findIndex(p => p === null);
@@ -1764,11 +1898,16 @@ class CWMApp {
         this.openTerminalInPane(emptySlot, sessionName, sessionName, {
           cwd: projectPath,
           resumeSessionId: sessionName,
-          command: 'claude',
+          provider,
         });
       },
     });
 
+    items.push({
+      label: 'View Conversation', icon: '&#128172;',
+      action: () => this.openTranscriptViewer(sessionName, { provider }),
+    });
+
     // Add to active workspace (without opening terminal)
     items.push({
       label: 'Add to Workspace', icon: '&#43;', action: () => {
@@ -1785,7 +1924,7 @@ class CWMApp {
           workspaceId: this.state.activeWorkspace.id,
           workingDir: projectPath,
           topic: 'Resumed session',
-          command: 'claude',
+          provider,
           resumeSessionId: sessionName,
         }).then(async () => {
           await this.loadSessions();
@@ -1800,15 +1939,24 @@ class CWMApp {
 
     items.push({ type: 'sep' });
 
-    // Auto Title (reads first user message and stores a friendly name)
-    items.push({
-      label: 'Auto Title', icon: '&#9733;', action: () => this.autoTitleProjectSession(sessionName),
-    });
+    // Auto Title and Summarize parse Claude Code transcripts
+    if (provider === 'claude') {
+      // Auto Title (reads first user message and stores a friendly name)
+      items.push({
+        label: 'Auto Title', icon: '&#9733;', action: () => this.autoTitleProjectSession(sessionName),
+      });
 
-    // Summarize session
-    items.push({
-      label: 'Summarize', icon: '&#128220;', action: () => this.summarizeSession(sessionName, sessionName),
-    });
+      // Summarize session
+      items.push({
+        label: 'Summarize', icon: '&#128220;', action: () => this.summarizeSession(sessionName, sessionName),
+      });
+
+      if (this.state.user && this.state.user.role === 'admin') {
+        items.push({
+          label: 'Archive', icon: '&#128230;', action: () => this.archiveTranscripts({ sessionIds: [sessionName] }, 'this session'),
+        });
+      }
+    }
 
     items.push({ type: 'sep' });
 
@@ -1857,7 +2005,7 @@ class CWMApp {
     this._renderContextItems(projectName, items, x, y);
   }
 
-  showProjectContextMenu(encodedName, displayName, projectPath, x, y) {
+  showProjectContextMenu(encodedName, displayName, projectPath, x, y, provider = 'claude') {
     const items = [];
     const isHidden = this.state.hiddenProjects.has(encodedName);
 
@@ -1937,6 +2085,15 @@ class CWMApp {
       });
     }
 
+    // Archiving covers Claude Code transcripts (admins only)
+    if (provider === 'claude' && this.state.user && this.state.user.role === 'admin') {
+      items.push({ type: 'sep' });
+      items.push({
+        label: 'Archive All Sessions', icon: '&#128230;',
+        action: () => this.archiveTranscripts({ projects: [encodedName] }, `every session in "${displayName}"`),
+      });
+    }
+
     this._renderContextItems(displayName, items, x, y);
   }
 
@@ -2685,6 +2842,9 @@ class CWMApp {
     if (this.els.terminalGroupsBar) {
       this.els.terminalGroupsBar.hidden = !isTerminal;
     }
+    if (this.els.reviewPanel) {
+      this.els.reviewPanel.hidden = !isTerminal || !this._review;
+    }
     // On mobile: lock page scroll when terminal is visible, unlock otherwise.
     // Terminal uses xterm.js internal scrolling; page scroll causes conflicts.
     // Applied to both <html> and <body> for cross-browser iOS Safari support.
@@ -3575,6 +3735,52 @@ class CWMApp {
       case 'tunnel:closed':
         if (this.state.viewMode === 'resources') this.fetchResources();
         break;
+      case 'budget:alert':
+        if (data.data) {
+          this.showToast(data.data.message, data.data.threshold >= 1 ? 'error' : 'warning');
+        }
+        if (this.state.viewMode === 'resources') this.loadBudgets();
+        break;
+      case 'budget:created':
+      case 'budget:updated':
+      case 'budget:deleted':
+        if (this.state.viewMode === 'resources') this.loadBudgets();
+        break;
+      case 'pricing:updated':
+        if (this.state.viewMode === 'resources') this.fetchResources();
+        break;
+      case 'archive:updated':
+        this.loadProjects();
+        if (this.state.viewMode === 'resources') this.loadArchive();
+        break;
+      case 'session:status':
+        if (data.data) this.onHookStatus(data.data);
+        break;
+      case 'session:todos':
+        if (data.data) this.onSessionTodos(data.data);
+        break;
+      case 'session:checkpoint':
+        if (data.data && this.state.selectedSession && this.state.selectedSession.id === data.data.sessionId) {
+          this.loadCheckpoints(data.data.sessionId);
+        }
+        break;
+      case 'workspace:conflicts':
+        if (data.data) this.onWorkspaceConflicts(data.data);
+        break;
+      case 'feature:created':
+      case 'feature:updated':
+      case 'feature:deleted':
+        if (this.els.featureBoard && !this.els.featureBoard.hidden) this.loadFeatureBoard();
+        break;
+      case 'approval:pending':
+        if (data.data) this.onApprovalPending(data.data);
+        break;
+      case 'approval:resolved':
+        if (data.data) {
+          this.state.approvals = this.state.approvals.filter(a => a.id !== data.data.id);
+          this.renderApprovals();
+        }
+        break;
       default:
         // Refresh all for unknown events
         this.loadAll();
@@ -3675,6 +3881,11 @@ class CWMApp {
         if (cachedCost !== null && cachedCost !== undefined) {
           badges += `<span class="session-badge session-badge-cost">$${Number(cachedCost).toFixed(2)}</span>`;
         }
+        // Needs-permission badge (from Claude Code hooks)
+        const hookStatus = this.state.hookStatus[s.id];
+        if (hookStatus && hookStatus.state === 'waiting-for-permission') {
+          badges += `<span class="session-badge session-badge-warn" title="${this.escapeHtml(hookStatus.message || 'Waiting for permission')}">needs permission</span>`;
+        }
         // Subagent badge (from cached data)
         const cachedSubagents = this._getSubagentsCached(s.id);
         if (cachedSubagents !== null && cachedSubagents > 0) {
@@ -4013,7 +4224,8 @@ class CWMApp {
             const spawnOpts = {};
             if (session.resumeSessionId) spawnOpts.resumeSessionId = session.resumeSessionId;
             if (session.workingDir) spawnOpts.cwd = session.workingDir;
-            if (session.command) spawnOpts.command = session.command;
+            if (session.provider) spawnOpts.provider = session.provider;
+          if (session.command) spawnOpts.command = session.command;
             if (session.bypassPermissions) spawnOpts.bypassPermissions = true;
             if (session.verbose) spawnOpts.verbose = true;
             if (session.model) spawnOpts.model = session.model;
@@ -4488,14 +4700,17 @@ class CWMApp {
     this.els.detailWorkspace.textContent = ws ? ws.name : 'None';
     this.els.detailDir.textContent = session.workingDir || '--';
     this.els.detailTopic.textContent = session.topic || '--';
-    // Build full command display with flags
-    let cmdDisplay = session.command || 'claude';
+    // Build full command display with flags (provider IDs double as their CLI names)
+    const provider = session.provider || 'claude';
+    let cmdDisplay = session.command || provider;
     if (session.model) {
       const modelShort = session.model.includes('opus') ? 'opus' : session.model.includes('sonnet') ? 'sonnet' : session.model.includes('haiku') ? 'haiku' : session.model;
       cmdDisplay += ' --model ' + modelShort;
     }
-    if (session.bypassPermissions) cmdDisplay += ' --dangerously-skip-permissions';
-    if (session.verbose) cmdDisplay += ' --verbose';
+    if (session.bypassPermissions) {
+      cmdDisplay += provider === 'codex' ? ' --dangerously-bypass-approvals-and-sandbox' : ' --dangerously-skip-permissions';
+    }
+    if (session.verbose && provider === 'claude') cmdDisplay += ' --verbose';
     this.els.detailCommand.textContent = cmdDisplay;
     this.els.detailPid.textContent = session.pid || '--';
 
@@ -4539,6 +4754,8 @@ class CWMApp {
 
     // Subagent tracking — fetch async
     this.loadSessionSubagents(session.id);
+    this.loadSessionTodos(session.id);
+    this.loadCheckpoints(session.id);
 
     // Workspace analytics — show when session belongs to a workspace
     if (session.workspaceId) {
@@ -4591,6 +4808,9 @@ class CWMApp {
         }).join(', ') : '';
         infoHtml += `<div style="font-size:11px;color:var(--subtext0);margin-top:6px">${data.messageCount} messages${modelInfo ? ' · ' + modelInfo : ''}</div>`;
       }
+      if (data.pricedWithFallback) {
+        infoHtml += `<div style="font-size:11px;color:var(--yellow);margin-top:4px" title="Add a rule under Resources → Model Pricing">* Estimated with the default rate for: ${this.escapeHtml(data.fallbackModels.join(', '))}</div>`;
+      }
 
       // Context window usage bar (quota)
       if (data.quota && data.quota.latestInputTokens > 0) {
@@ -4659,6 +4879,263 @@ class CWMApp {
     }
   }
 
+  /**
+   * Load the agent's todo list (from its TodoWrite calls) into the detail panel.
+   * Kept live afterwards by 'session:todos' SSE events.
+   * @param {string} sessionId
+   */
+  async loadSessionTodos(sessionId) {
+    if (!this.els.detailTodos) return;
+    try {
+      const data = await this.api('GET', `/api/sessions/${sessionId}/todos`);
+      if (!this.state.selectedSession || this.state.selectedSession.id !== sessionId) return;
+      this.renderSessionTodos(data);
+    } catch (_) {
+      // Todo tracking is best-effort — hide section if API unavailable
+      this.els.detailTodos.hidden = true;
+    }
+  }
+
+  /**
+   * Render a todo list into the detail panel. Hidden while the agent has none.
+   * @param {{ todos: object[], summary: object, mirror?: string }} data
+   */
+  renderSessionTodos(data) {
+    if (!data || !data.todos || data.todos.length === 0) {
+      this.els.detailTodos.hidden = true;
+      return;
+    }
+    this.els.detailTodos.hidden = false;
+    this.els.detailTodoCount.textContent = `${data.summary.completed} of ${data.summary.total} done`;
+    if (data.mirror && this.els.detailTodoMirror) this.els.detailTodoMirror.value = data.mirror;
+
+    this.els.detailTodoList.innerHTML = data.todos.map(t => {
+      // The in-progress item reads better in its present-tense form
+      const text = this.escapeHtml(t.status === 'in_progress' && t.activeForm ? t.activeForm : t.content);
+      const history = (t.history || [])
+        .map(h => `${h.status.replace('_', ' ')}${h.at ? ' ' + new Date(h.at).toLocaleTimeString() : ''}`)
+        .join(' → ');
+      return `<div class="todo-item todo-item-${t.status}" title="${this.escapeHtml(history)}">
+        <span class="todo-dot todo-dot-${t.status}"></span>
+        <span class="todo-text">${text}</span>
+      </div>`;
+    }).join('');
+  }
+
+  /**
+   * Choose where a session's todos are mirrored: 'off', 'docs' (workspace
+   * Tasks) or 'features' (features the session is linked to).
+   * @param {string} sessionId
+   * @param {string} mirror
+   */
+  async setTodoMirror(sessionId, mirror) {
+    try {
+      await this.api('PUT', `/api/sessions/${sessionId}`, { todoMirror: mirror });
+      const session = this.state.allSessions.find(s => s.id === sessionId);
+      if (session) session.todoMirror = mirror;
+      if (this.state.selectedSession && this.state.selectedSession.id === sessionId) this.state.selectedSession.todoMirror = mirror;
+      const labels = { off: 'Todo mirroring off', docs: 'Mirroring todos to workspace Tasks', features: 'Mirroring todos to linked features' };
+      this.showToast(labels[mirror] || 'Saved', 'info');
+    } catch (err) {
+      this.showToast(err.message || 'Failed to update todo mirroring', 'error');
+    }
+  }
+
+  /**
+   * Apply a 'session:todos' SSE event: refresh the detail panel if that
+   * session is selected and the "n of m done" badge of its terminal pane.
+   * @param {{ sessionId: string, todos: object[], summary: object }} data
+   */
+  onSessionTodos(data) {
+    const selected = this.state.selectedSession;
+    if (selected && selected.id === data.sessionId && this.els.detailTodos) {
+      this.renderSessionTodos({ ...data, mirror: selected.todoMirror || 'off' });
+    }
+    const slotIdx = this.terminalPanes.findIndex(tp => tp && tp.sessionId === data.sessionId);
+    if (slotIdx !== -1) this.updatePaneTodos(slotIdx, data.summary);
+  }
+
+  /**
+   * Load a session's git checkpoints into the detail panel. Hidden when the
+   * session's working directory isn't in a git repository.
+   * @param {string} sessionId
+   */
+  async loadCheckpoints(sessionId) {
+    if (!this.els.detailCheckpoints) return;
+    try {
+      const data = await this.api('GET', `/api/git/checkpoints?sessionId=${encodeURIComponent(sessionId)}`);
+      if (!this.state.selectedSession || this.state.selectedSession.id !== sessionId) return;
+      this.renderCheckpoints(sessionId, data);
+    } catch (_) {
+      this.els.detailCheckpoints.hidden = true;
+    }
+  }
+
+  /**
+   * Render the checkpoint list: newest first, each with its diffstat against
+   * the one before, and actions to diff or restore it.
+   * @param {string} sessionId
+   * @param {{ enabled: boolean, checkpoints: object[] }} data
+   */
+  renderCheckpoints(sessionId, data) {
+    this.els.detailCheckpoints.hidden = false;
+    this.els.detailCheckpointsToggle.checked = data.enabled;
+    this.els.detailCheckpointCount.textContent = String(data.checkpoints.length);
+    this.els.detailCheckpointCompare.hidden = true;
+
+    if (data.checkpoints.length === 0) {
+      this.els.detailCheckpointList.innerHTML = `<div class="checkpoint-empty">${data.enabled
+        ? 'The working tree is checkpointed when a turn ends.'
+        : 'Turn on to checkpoint the working tree when each turn ends.'}</div>`;
+      return;
+    }
+
+    this.els.detailCheckpointList.innerHTML = data.checkpoints.map(c => {
+      const stat = c.stat.files === 0
+        ? 'no changes'
+        : `${c.stat.files} file${c.stat.files === 1 ? '' : 's'} <span class="checkpoint-add">+${c.stat.insertions}</span> <span class="checkpoint-del">-${c.stat.deletions}</span>`;
+      return `<div class="checkpoint-item" data-id="${this.escapeHtml(c.id)}">
+        <input type="checkbox" class="checkpoint-select" value="${this.escapeHtml(c.id)}" title="Select two to diff">
+        <div class="checkpoint-info">
+          <span class="checkpoint-message" title="${this.escapeHtml(c.commit)}">${this.escapeHtml(c.message)}</span>
+          <span class="checkpoint-meta">${this.relativeTime(c.createdAt)} · ${stat}</span>
+        </div>
+        <button class="btn btn-ghost btn-sm" data-action="diff" title="Changes since the previous checkpoint">Diff</button>
+        <button class="btn btn-ghost btn-sm" data-action="since" title="Changes made since this checkpoint">Since</button>
+        <button class="btn btn-ghost btn-sm" data-action="restore" title="Restore the working tree to this checkpoint">Restore</button>
+      </div>`;
+    }).join('');
+
+    this.els.detailCheckpointList.querySelectorAll('.checkpoint-item').forEach(item => {
+      const id = item.dataset.id;
+      item.querySelector('[data-action="diff"]').addEventListener('click', () => this.showCheckpointDiff(sessionId, { to: id }));
+      item.querySelector('[data-action="since"]').addEventListener('click', () => this.showCheckpointDiff(sessionId, { from: id }));
+      item.querySelector('[data-action="restore"]').addEventListener('click', () => this.restoreCheckpoint(sessionId, id));
+      item.querySelector('.checkpoint-select').addEventListener('change', () => {
+        const count = this.els.detailCheckpointList.querySelectorAll('.checkpoint-select:checked').length;
+        this.els.detailCheckpointCompare.hidden = count !== 2;
+      });
+    });
+  }
+
+  /**
+   * Turn checkpointing at the end of each turn on or off for a session.
+   * @param {string} sessionId
+   * @param {boolean} enabled
+   */
+  async setCheckpointing(sessionId, enabled) {
+    try {
+      await this.api('PUT', `/api/sessions/${sessionId}`, { checkpoints: enabled });
+      const session = this.state.allSessions.find(s => s.id === sessionId);
+      if (session) session.checkpoints = enabled;
+      if (this.state.selectedSession && this.state.selectedSession.id === sessionId) this.state.selectedSession.checkpoints = enabled;
+      this.showToast(enabled ? 'Checkpointing after each turn' : 'Checkpointing off', 'info');
+      this.loadCheckpoints(sessionId);
+    } catch (err) {
+      this.showToast(err.message || 'Failed to update checkpointing', 'error');
+    }
+  }
+
+  /**
+   * Checkpoint a session's working tree now.
+   * @param {string} sessionId
+   */
+  async createCheckpoint(sessionId) {
+    try {
+      const data = await this.api('POST', '/api/git/checkpoints', { sessionId });
+      this.showToast(data.created ? 'Checkpoint taken' : 'No changes since the last checkpoint', 'info');
+      this.loadCheckpoints(sessionId);
+    } catch (err) {
+      this.showToast(err.message || 'Failed to take checkpoint', 'error');
+    }
+  }
+
+  /**
+   * Show a diff between checkpoints under the list. Without `to` it runs up
+   * to the working tree as it is now; without `from`, from the checkpoint
+   * before `to`.
+   * @param {string} sessionId
+   * @param {{ from?: string, to?: string }} range
+   */
+  async showCheckpointDiff(sessionId, { from = null, to = null }) {
+    const panel = this.els.detailCheckpointDiff;
+    const params = new URLSearchParams({ sessionId });
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    panel.hidden = false;
+    panel.innerHTML = '<div class="checkpoint-empty">Loading diff…</div>';
+    let data;
+    try {
+      data = await this.api('GET', `/api/git/checkpoints/diff?${params}`);
+    } catch (err) {
+      panel.innerHTML = `<div class="checkpoint-empty">${this.escapeHtml(err.message || 'Failed to load diff')}</div>`;
+      return;
+    }
+
+    const label = (id, fallback) => id ? this.formatDateTime(new Date(parseInt(id, 10)).toISOString()) : fallback;
+    const lines = data.patch.split('\n').map(line => {
+      let cls = 'tv-diff-ctx';
+      if (line.startsWith('+++') || line.startsWith('---') || line.startsWith('diff ') || line.startsWith('index ')) cls = 'checkpoint-diff-file';
+      else if (line.startsWith('@@')) cls = 'tv-diff-sep';
+      else if (line.startsWith('+')) cls = 'tv-diff-add';
+      else if (line.startsWith('-')) cls = 'tv-diff-del';
+      return `<div class="${cls}">${this.escapeHtml(line) || ' '}</div>`;
+    }).join('');
+
+    panel.innerHTML = `<div class="checkpoint-diff-header">
+        <span>${this.escapeHtml(label(data.from, 'base commit'))} → ${this.escapeHtml(label(data.to, 'now'))} ·
+          ${data.stat.files} file${data.stat.files === 1 ? '' : 's'}
+          <span class="checkpoint-add">+${data.stat.insertions}</span> <span class="checkpoint-del">-${data.stat.deletions}</span></span>
+        <button class="btn btn-ghost btn-sm" data-action="close">Close</button>
+      </div>
+      ${data.files.length === 0 ? '<div class="checkpoint-empty">No changes.</div>' : `<div class="tv-diff">${lines}</div>`}
+      ${data.truncated ? '<div class="checkpoint-empty">Diff truncated.</div>' : ''}`;
+    panel.querySelector('[data-action="close"]').addEventListener('click', () => { panel.hidden = true; });
+  }
+
+  /**
+   * Restore a session's working tree to a checkpoint, after confirming. The
+   * current state is checkpointed first, so this can be undone.
+   * @param {string} sessionId
+   * @param {string} id - Checkpoint id
+   */
+  async restoreCheckpoint(sessionId, id) {
+    const when = this.formatDateTime(new Date(parseInt(id, 10)).toISOString());
+    const confirmed = await this.showConfirmModal({
+      title: 'Restore Checkpoint',
+      message: `Restore the working tree to the checkpoint from ${this.escapeHtml(when)}? Files changed since are overwritten and files added since are deleted. The current state is checkpointed first.`,
+      confirmText: 'Restore',
+      confirmClass: 'btn-danger',
+    });
+    if (!confirmed) return;
+    try {
+      const data = await this.api('POST', '/api/git/checkpoints/restore', { sessionId, checkpoint: id });
+      this.showToast(`Restored checkpoint: ${data.written} file${data.written === 1 ? '' : 's'} written, ${data.deleted} deleted`, 'success');
+      this.els.detailCheckpointDiff.hidden = true;
+      this.loadCheckpoints(sessionId);
+    } catch (err) {
+      this.showToast(err.message || 'Failed to restore checkpoint', 'error');
+    }
+  }
+
+  /**
+   * Update a pane's "n of m done" todo badge. Hidden when there are no todos.
+   * @param {number} slotIdx
+   * @param {{ total: number, completed: number }|null} summary
+   */
+  updatePaneTodos(slotIdx, summary) {
+    const el = document.getElementById(`term-todos-${slotIdx}`);
+    if (!el) return;
+    if (!summary || !summary.total) {
+      el.hidden = true;
+      return;
+    }
+    el.hidden = false;
+    el.classList.toggle('terminal-pane-todos-done', summary.completed === summary.total);
+    el.textContent = `${summary.completed} of ${summary.total} done`;
+    el.title = 'Agent todo list';
+  }
+
   /**
    * Load and display workspace-level analytics in the detail panel.
    * Only shown when a session belonging to a workspace is selected,
@@ -4843,6 +5320,7 @@ class CWMApp {
     list.innerHTML = projects.map(p => {
       const name = p.realPath ? (p.realPath.split('\\').pop() || p.encodedName) : p.encodedName;
       const encoded = p.encodedName || '';
+      const provider = p.provider || 'claude';
       const isProjectHidden = this.state.hiddenProjects.has(encoded);
       const missingClass = !p.dirExists ? ' missing' : '';
       const hiddenClass = isProjectHidden ? ' project-hidden' : '';
@@ -4878,19 +5356,21 @@ class CWMApp {
         const tooltip = storedTitle
           ? `${storedTitle}\n\nSession: ${sessName}`
           : sessName;
-        return `<div class="project-session-item" draggable="true" data-session-name="${this.escapeHtml(sessName)}" data-project-path="${this.escapeHtml(p.realPath || '')}" data-project-encoded="${this.escapeHtml(encoded)}" title="${this.escapeHtml(tooltip)}">
+        return `<div class="project-session-item" draggable="true" data-session-name="${this.escapeHtml(sessName)}" data-project-path="${this.escapeHtml(p.realPath || '')}" data-project-encoded="${this.escapeHtml(encoded)}" data-provider="${this.escapeHtml(provider)}" title="${this.escapeHtml(tooltip)}">
           <span class="project-session-name">${this.escapeHtml(displayName)}</span>
           ${sessSize ? `<span class="project-session-size">${sessSize}</span>` : ''}
           ${sessTime ? `<span class="project-session-time">${sessTime}</span>` : ''}
         </div>`;
       }).join('');
 
-      return `<div class="project-accordion${missingClass}${hiddenClass}" data-encoded="${this.escapeHtml(encoded)}" data-path="${this.escapeHtml(p.realPath || '')}">
+      return `<div class="project-accordion${missingClass}${hiddenClass}" data-encoded="${this.escapeHtml(encoded)}" data-path="${this.escapeHtml(p.realPath || '')}" data-provider="${this.escapeHtml(provider)}">
         <div class="project-accordion-header" draggable="${p.dirExists ? 'true' : 'false'}">
           <span class="project-accordion-chevron">&#9654;</span>
           <span class="project-name" title="${this.escapeHtml(p.realPath || '')}">${this.escapeHtml(name)}</span>
+          ${provider !== 'claude' ? `<span class="project-provider-badge">${this.escapeHtml(provider)}</span>` : ''}
           <span class="project-session-count">${sessions.length}</span>
           ${sizeStr ? `<span class="project-size">${sizeStr}</span>` : ''}
+          ${p.archivedCount ? `<span class="project-archived" title="${p.archivedCount} archived session${p.archivedCount !== 1 ? 's' : ''} (${this.formatSize(p.archivedSize)} uncompressed)">+${p.archivedCount} archived</span>` : ''}
         </div>
         <div class="project-accordion-body" hidden>
           ${sessionItems || '<div style="padding: 6px 12px 6px 28px; font-size: 11px; color: var(--overlay0);">No sessions</div>'}
@@ -4916,6 +5396,7 @@ class CWMApp {
         e.dataTransfer.setData('cwm/project', JSON.stringify({
           encoded: accordion.dataset.encoded,
           path: accordion.dataset.path,
+          provider: accordion.dataset.provider,
           name: header.querySelector('.project-name').textContent,
         }));
         e.dataTransfer.effectAllowed = 'copy';
@@ -4931,7 +5412,7 @@ class CWMApp {
         const encoded = accordion.dataset.encoded;
         const path = accordion.dataset.path;
         const projName = header.querySelector('.project-name').textContent;
-        this.showProjectContextMenu(encoded, projName, path, e.clientX, e.clientY);
+        this.showProjectContextMenu(encoded, projName, path, e.clientX, e.clientY, accordion.dataset.provider);
       });
 
       // Long-press for mobile on project header
@@ -4944,7 +5425,7 @@ class CWMApp {
           const encoded = accordion.dataset.encoded;
           const path = accordion.dataset.path;
           const projName = header.querySelector('.project-name').textContent;
-          this.showProjectContextMenu(encoded, projName, path, touch.clientX, touch.clientY);
+          this.showProjectContextMenu(encoded, projName, path, touch.clientX, touch.clientY, accordion.dataset.provider);
         }, 500);
       }, { passive: false });
       header.addEventListener('touchend', () => clearTimeout(headerLongPress));
@@ -4959,6 +5440,7 @@ class CWMApp {
           sessionName: el.dataset.sessionName,
           projectPath: el.dataset.projectPath,
           projectEncoded: el.dataset.projectEncoded,
+          provider: el.dataset.provider,
         }));
         e.dataTransfer.effectAllowed = 'copy';
         el.classList.add('dragging');
@@ -4969,7 +5451,7 @@ class CWMApp {
       el.addEventListener('contextmenu', (e) => {
         e.preventDefault();
         e.stopPropagation();
-        this.showProjectSessionContextMenu(el.dataset.sessionName, el.dataset.projectPath, e.clientX, e.clientY);
+        this.showProjectSessionContextMenu(el.dataset.sessionName, el.dataset.projectPath, e.clientX, e.clientY, el.dataset.provider);
       });
 
       // Long-press for mobile (500ms hold)
@@ -4978,7 +5460,7 @@ class CWMApp {
         longPressTimer = setTimeout(() => {
           e.preventDefault();
           const touch = e.touches[0];
-          this.showProjectSessionContextMenu(el.dataset.sessionName, el.dataset.projectPath, touch.clientX, touch.clientY);
+          this.showProjectSessionContextMenu(el.dataset.sessionName, el.dataset.projectPath, touch.clientX, touch.clientY, el.dataset.provider);
         }, 500);
       }, { passive: false });
       el.addEventListener('touchend', () => clearTimeout(longPressTimer));
@@ -5193,7 +5675,7 @@ class CWMApp {
             workspaceId,
             workingDir: ps.projectPath,
             topic: 'Resumed session',
-            command: 'claude',
+            provider: ps.provider || 'claude',
             resumeSessionId: claudeSessionId,
           });
           this.showToast(`Session "${friendlyName}" added`, 'success');
@@ -5216,7 +5698,7 @@ class CWMApp {
             workspaceId,
             workingDir: project.path,
             topic: '',
-            command: 'claude',
+            provider: project.provider || 'claude',
           });
           this.showToast(`Session "${project.name}" created`, 'success');
           await this.loadSessions();
@@ -5295,7 +5777,8 @@ class CWMApp {
             if (session) {
               if (session.resumeSessionId) spawnOpts.resumeSessionId = session.resumeSessionId;
               if (session.workingDir) spawnOpts.cwd = session.workingDir;
-              if (session.command) spawnOpts.command = session.command;
+              if (session.provider) spawnOpts.provider = session.provider;
+          if (session.command) spawnOpts.command = session.command;
               if (session.bypassPermissions) spawnOpts.bypassPermissions = true;
               if (session.verbose) spawnOpts.verbose = true;
               if (session.model) spawnOpts.model = session.model;
@@ -5318,7 +5801,7 @@ class CWMApp {
               this.openTerminalInPane(slotIdx, claudeSessionId, claudeSessionId, {
                 cwd: ps.projectPath,
                 resumeSessionId: claudeSessionId,
-                command: 'claude',
+                provider: ps.provider || 'claude',
               });
               this.showToast('Opening session — drag to a workspace to save it', 'info');
             } catch (err) {
@@ -5336,7 +5819,7 @@ class CWMApp {
               const tempId = 'pty-project-' + Date.now();
               this.openTerminalInPane(slotIdx, tempId, project.name, {
                 cwd: project.path,
-                command: 'claude',
+                provider: project.provider || 'claude',
               });
               this.showToast('Opening project — drag to a workspace to save it', 'info');
             } catch (err) {
@@ -5476,6 +5959,212 @@ class CWMApp {
   }
 
 
+  /* ═══════════════════════════════════════════════════════════
+     DIFF REVIEW
+     ═══════════════════════════════════════════════════════════ */
+
+  /**
+   * Open the review panel beside the terminal grid for a session's
+   * repository: changed files, their diffs, staging and commit.
+   * @param {string} sessionId
+   * @param {string} sessionName
+   */
+  openReviewPanel(sessionId, sessionName) {
+    if (!this.els.reviewPanel) return;
+    const sameSession = this._review && this._review.sessionId === sessionId;
+    this._review = { sessionId, sessionName, file: sameSession ? this._review.file : null };
+    this.els.reviewTitle.textContent = `Review: ${sessionName || sessionId.substring(0, 8)}`;
+    this.els.reviewPanel.hidden = false;
+    this.els.terminalGrid.classList.add('review-open');
+    if (!sameSession) {
+      this.els.reviewDiff.innerHTML = '';
+      this.els.reviewCommitMessage.value = '';
+      this.draftReviewMessage();
+    }
+    this.loadReview();
+  }
+
+  closeReviewPanel() {
+    this._review = null;
+    this.els.reviewPanel.hidden = true;
+    this.els.terminalGrid.classList.remove('review-open');
+  }
+
+  /**
+   * Reload the changed files, and the open file's diff if it still has changes.
+   */
+  async loadReview() {
+    const review = this._review;
+    if (!review) return;
+    let data;
+    try {
+      data = await this.api('GET', `/api/git/review?sessionId=${encodeURIComponent(review.sessionId)}`);
+    } catch (err) {
+      this.els.reviewBranch.textContent = '';
+      this.els.reviewFiles.innerHTML = `<div class="review-empty">${this.escapeHtml(err.message || 'Failed to load changes')}</div>`;
+      this.els.reviewDiff.innerHTML = '';
+      return;
+    }
+    if (this._review !== review) return;
+
+    this.els.reviewBranch.textContent = data.branch || 'detached HEAD';
+    this.els.reviewBranch.title = data.repoRoot;
+    if (data.files.length === 0) {
+      this.els.reviewFiles.innerHTML = '<div class="review-empty">No changes.</div>';
+    } else {
+      const counts = (stat) => stat
+        ? (stat.insertions === null ? 'binary' : `<span class="checkpoint-add">+${stat.insertions}</span> <span class="checkpoint-del">-${stat.deletions}</span>`)
+        : '';
+      this.els.reviewFiles.innerHTML = data.files.map(f => {
+        const canStage = f.untracked || f.worktree !== ' ';
+        const canUnstage = !f.untracked && f.index !== ' ';
+        return `<div class="review-file${review.file === f.path ? ' active' : ''}" data-path="${this.escapeHtml(f.path)}">
+          <span class="review-file-status" title="Staged / unstaged">${this.escapeHtml(f.untracked ? 'new' : f.index + f.worktree)}</span>
+          <span class="review-file-path" title="${this.escapeHtml(f.path)}">${this.escapeHtml(f.path)}</span>
+          <span class="review-file-counts">${counts(f.staged)}${f.staged && f.unstaged ? ' · ' : ''}${counts(f.unstaged)}</span>
+          ${canStage ? '<button class="btn btn-ghost btn-sm" data-action="stage" title="Stage file">Stage</button>' : ''}
+          ${canUnstage ? '<button class="btn btn-ghost btn-sm" data-action="unstage" title="Unstage file">Unstage</button>' : ''}
+          ${canStage ? '<button class="btn btn-ghost btn-sm" data-action="discard" title="Discard unstaged changes">Discard</button>' : ''}
+        </div>`;
+      }).join('');
+      this.els.reviewFiles.querySelectorAll('.review-file').forEach(row => {
+        const file = row.dataset.path;
+        row.addEventListener('click', (e) => {
+          const button = e.target.closest('button[data-action]');
+          if (button) this.reviewAction(button.dataset.action, file);
+          else this.showReviewDiff(file);
+        });
+      });
+    }
+
+    if (review.file && data.files.some(f => f.path === review.file)) this.showReviewDiff(review.file);
+    else if (review.file) { review.file = null; this.els.reviewDiff.innerHTML = ''; }
+  }
+
+  /**
+   * Show a file's unstaged and staged hunks, each with its own actions.
+   * @param {string} file - Path relative to the repository root
+   */
+  async showReviewDiff(file) {
+    const review = this._review;
+    if (!review) return;
+    review.file = file;
+    this.els.reviewFiles.querySelectorAll('.review-file').forEach(row => row.classList.toggle('active', row.dataset.path === file));
+    let data;
+    try {
+      data = await this.api('GET', `/api/git/review/diff?sessionId=${encodeURIComponent(review.sessionId)}&path=${encodeURIComponent(file)}`);
+    } catch (err) {
+      this.els.reviewDiff.innerHTML = `<div class="review-empty">${this.escapeHtml(err.message || 'Failed to load diff')}</div>`;
+      return;
+    }
+    if (this._review !== review || review.file !== file) return;
+
+    const renderSide = (side, title, actions) => {
+      const diff = data[side];
+      if (diff.hunks.length === 0 && !diff.binary) return '';
+      let html = `<div class="review-side-title">${title}</div>`;
+      if (diff.binary) return html + '<div class="review-empty">Binary file</div>';
+      diff.hunks.forEach((hunk, index) => {
+        html += `<div class="review-hunk" data-side="${side}" data-index="${index}">
+          <div class="review-hunk-header">
+            <span class="tv-diff-sep">${this.escapeHtml(hunk.header)}</span>
+            ${actions.map(a => `<button class="btn btn-ghost btn-sm" data-action="${a.action}">${a.label}</button>`).join('')}
+          </div>
+          <div class="tv-diff">${hunk.lines.map(line => {
+            const cls = line.startsWith('+') ? 'tv-diff-add' : line.startsWith('-') ? 'tv-diff-del' : 'tv-diff-ctx';
+            return `<div class="${cls}">${this.escapeHtml(line) || ' '}</div>`;
+          }).join('')}</div>
+        </div>`;
+      });
+      if (diff.truncated) html += '<div class="review-empty">Diff truncated: stage or discard the rest as a whole file.</div>';
+      return html;
+    };
+
+    this.els.reviewDiff.innerHTML = `<div class="review-diff-file">${this.escapeHtml(data.path)}</div>`
+      + renderSide('unstaged', 'Unstaged', [{ action: 'stage', label: 'Stage hunk' }, { action: 'discard', label: 'Discard hunk' }])
+      + renderSide('staged', 'Staged', [{ action: 'unstage', label: 'Unstage hunk' }]);
+
+    this.els.reviewDiff.querySelectorAll('.review-hunk').forEach(el => {
+      const hunk = data[el.dataset.side].hunks[parseInt(el.dataset.index, 10)];
+      el.querySelectorAll('button[data-action]').forEach(button => {
+        button.addEventListener('click', () => this.reviewAction(button.dataset.action, file, {
+          hunk: parseInt(el.dataset.index, 10),
+          header: hunk.header,
+        }));
+      });
+    });
+  }
+
+  /**
+   * Stage, unstage or discard a file or one of its hunks, then reload.
+   * Discarding asks first: it can't be undone.
+   * @param {'stage'|'unstage'|'discard'} action
+   * @param {string} file
+   * @param {{ hunk: number, header: string }} [target] - A single hunk
+   */
+  async reviewAction(action, file, target = null) {
+    const review = this._review;
+    if (!review) return;
+    if (action === 'discard') {
+      const confirmed = await this.showConfirmModal({
+        title: 'Discard Changes',
+        message: `Discard ${target ? 'this hunk of' : 'all unstaged changes to'} <strong>${this.escapeHtml(file)}</strong>? This cannot be undone.`,
+        confirmText: 'Discard',
+        confirmClass: 'btn-danger',
+      });
+      if (!confirmed) return;
+    }
+    try {
+      await this.api('POST', `/api/git/review/${action}`, { sessionId: review.sessionId, path: file, ...(target || {}) });
+    } catch (err) {
+      this.showToast(err.message || `Failed to ${action}`, 'error');
+    }
+    this.loadReview();
+  }
+
+  /**
+   * Fill the commit message from the session's conversation summary.
+   */
+  async draftReviewMessage() {
+    const review = this._review;
+    if (!review) return;
+    try {
+      const data = await this.api('GET', `/api/git/review/message?sessionId=${encodeURIComponent(review.sessionId)}`);
+      if (this._review !== review) return;
+      if (data.message) this.els.reviewCommitMessage.value = data.message;
+      else this.showToast('No conversation to draft a message from', 'info');
+    } catch (err) {
+      this.showToast(err.message || 'Failed to draft a commit message', 'error');
+    }
+  }
+
+  /**
+   * Commit what is staged with the message in the panel.
+   */
+  async commitReview() {
+    const review = this._review;
+    if (!review) return;
+    const message = this.els.reviewCommitMessage.value.trim();
+    if (!message) {
+      this.showToast('Enter a commit message', 'warning');
+      return;
+    }
+    this.els.reviewCommitBtn.disabled = true;
+    try {
+      const data = await this.api('POST', '/api/git/review/commit', { sessionId: review.sessionId, message });
+      this.showToast(`Committed ${data.commit.substring(0, 7)} on ${data.branch || 'detached HEAD'}`, 'success');
+      this.els.reviewCommitMessage.value = '';
+      review.file = null;
+      this.els.reviewDiff.innerHTML = '';
+      this.loadReview();
+    } catch (err) {
+      this.showToast(err.message || 'Commit failed', 'error');
+    } finally {
+      this.els.reviewCommitBtn.disabled = false;
+    }
+  }
+
+
   /* ═══════════════════════════════════════════════════════════
      TERMINAL GRID VIEW
      ═══════════════════════════════════════════════════════════ */
@@ -5514,6 +6203,18 @@ class CWMApp {
     const tp = new TerminalPane(containerId, sessionId, sessionName, spawnOpts);
     this.terminalPanes[slotIdx] = tp;
 
+    // Show who else is attached (owner / collaborators / read-only viewers)
+    tp.onViewersChange = () => this.updatePaneViewers(slotIdx);
+    tp.onRoleChange = () => this.updatePaneViewers(slotIdx);
+
+    // Seed the todo badge; 'session:todos' events keep it current
+    this.updatePaneTodos(slotIdx, null);
+    this.api('GET', `/api/sessions/${sessionId}/todos`)
+      .then(data => {
+        if (this.terminalPanes[slotIdx] === tp) this.updatePaneTodos(slotIdx, data.summary);
+      })
+      .catch(() => {});
+
     // Wire up mobile mode change callback to sync keyboard toggle button
     tp.onMobileModeChange = (mode) => {
       document.querySelectorAll('.toolbar-keyboard').forEach(kb => {
@@ -5563,6 +6264,7 @@ class CWMApp {
       running: 'Running',
       searching: 'Searching',
       delegating: 'Delegating',
+      waiting: 'Needs permission',
       idle: 'Idle',
     };
 
@@ -5573,18 +6275,84 @@ class CWMApp {
     el.innerHTML = `<span class="activity-dot ${dotClass}"></span>${label}${detail}`;
   }
 
-  showTerminalContextMenu(slotIdx, x, y) {
+  /**
+   * Update a pane's viewers badge from its TerminalPane's role/viewers state.
+   * Hidden while this client is the only one attached.
+   */
+  updatePaneViewers(slotIdx) {
     const tp = this.terminalPanes[slotIdx];
-    if (!tp) return;
+    const el = document.getElementById(`term-viewers-${slotIdx}`);
+    if (!el) return;
+    const viewers = tp ? tp.viewers : [];
+    const others = viewers.filter(v => v.clientId !== tp.clientId);
+    if (!tp || (others.length === 0 && tp.role !== 'viewer')) {
+      el.hidden = true;
+      return;
+    }
 
-    const items = [];
+    const roleLabels = { owner: 'owner', collaborator: 'collaborator', viewer: 'read-only' };
+    el.hidden = false;
+    el.classList.toggle('terminal-pane-viewers-readonly', tp.role === 'viewer');
+    el.innerHTML = (tp.role === 'viewer' ? 'Read-only · ' : '') + `&#128065; ${viewers.length}`;
+    el.title = viewers
+      .map(v => `${v.name} (${roleLabels[v.role] || v.role}${v.shared ? ', share link' : ''})${v.clientId === tp.clientId ? ' — you' : ''}`)
+      .join('\n');
+  }
 
-    // Copy selected text (only show when there's a selection)
-    if (tp.term && tp.term.hasSelection()) {
-      items.push({
-        label: 'Copy', icon: '&#128203;', action: () => {
-          const selected = tp.term.getSelection();
-          if (selected) {
+  /**
+   * Mint a read-only share link for a session and copy it to the clipboard.
+   * @param {string} sessionId
+   */
+  async shareSessionReadOnly(sessionId) {
+    const result = await this.showPromptModal({
+      title: 'Share Read-Only Link',
+      headerHtml: `<p style="font-size:12px;color:var(--subtext0);margin-bottom:8px">
+        Anyone with the link can watch this session live but can't type into it.
+        Open a tunnel (Resources) to share outside this machine.
+      </p>`,
+      fields: [
+        { key: 'label', label: 'Who is it for? (shown in the viewers list)', placeholder: 'e.g. Alex' },
+        { key: 'ttlMinutes', label: 'Expires after', type: 'select', options: [
+          { value: '60', label: '1 hour' },
+          { value: '15', label: '15 minutes' },
+          { value: '480', label: '8 hours' },
+          { value: '1440', label: '24 hours' },
+        ] },
+      ],
+      confirmText: 'Create Link',
+    });
+    if (!result) return;
+
+    try {
+      const { share } = await this.api('POST', `/api/pty/${encodeURIComponent(sessionId)}/share`, {
+        label: result.label,
+        ttlMinutes: parseInt(result.ttlMinutes, 10),
+      });
+      // Prefer a tunnel URL (reachable by teammates) over the local one
+      const url = share.urls[share.urls.length - 1];
+      try {
+        await navigator.clipboard.writeText(url);
+        this.showToast('Share link copied (expires ' + new Date(share.expiresAt).toLocaleTimeString() + ')', 'success');
+      } catch (_) {
+        await this.showConfirmModal({ title: 'Share Link', message: this.escapeHtml(url), confirmText: 'OK' });
+      }
+    } catch (err) {
+      this.showToast(err.message || 'Failed to create share link', 'error');
+    }
+  }
+
+  showTerminalContextMenu(slotIdx, x, y) {
+    const tp = this.terminalPanes[slotIdx];
+    if (!tp) return;
+
+    const items = [];
+
+    // Copy selected text (only show when there's a selection)
+    if (tp.term && tp.term.hasSelection()) {
+      items.push({
+        label: 'Copy', icon: '&#128203;', action: () => {
+          const selected = tp.term.getSelection();
+          if (selected) {
             navigator.clipboard.writeText(selected);
             this.showToast('Copied to clipboard', 'success');
           }
@@ -5625,6 +6393,29 @@ class CWMApp {
 
     items.push({ type: 'sep' });
 
+    // Recording — toggle asciicast capture of this PTY session
+    items.push({
+      label: tp.recording ? 'Stop Recording' : 'Start Recording',
+      icon: tp.recording ? '&#9632;' : '&#9679;',
+      danger: tp.recording,
+      action: () => this.toggleRecording(tp),
+    });
+    items.push({
+      label: 'Recordings', icon: '&#127902;', action: () => this.showRecordings(tp.sessionId, tp.sessionName),
+    });
+    items.push({
+      label: 'View Conversation', icon: '&#128172;',
+      action: () => this.openTranscriptViewer(tp.sessionId, { title: tp.sessionName }),
+    });
+    items.push({
+      label: 'Review Changes', icon: '&#177;', action: () => this.openReviewPanel(tp.sessionId, tp.sessionName),
+    });
+    items.push({
+      label: 'Share Read-Only Link', icon: '&#128279;', action: () => this.shareSessionReadOnly(tp.sessionId),
+    });
+
+    items.push({ type: 'sep' });
+
     // Copy session ID
     items.push({
       label: 'Copy Session ID', icon: '&#128203;', action: () => {
@@ -5673,7 +6464,7 @@ class CWMApp {
     if (!paneEl) return;
 
     // Reset to empty state
-    paneEl.classList.remove('terminal-pane-active');
+    paneEl.classList.remove('terminal-pane-active', 'terminal-pane-recording');
     paneEl.classList.add('terminal-pane-empty');
     const titleEl = paneEl.querySelector('.terminal-pane-title');
     if (titleEl) titleEl.textContent = 'Drop a session here';
@@ -5683,6 +6474,9 @@ class CWMApp {
     if (uploadBtn3) uploadBtn3.hidden = true;
     const activityEl = document.getElementById(`term-activity-${slotIdx}`);
     if (activityEl) activityEl.innerHTML = '';
+    const viewersEl = document.getElementById(`term-viewers-${slotIdx}`);
+    if (viewersEl) viewersEl.hidden = true;
+    this.updatePaneTodos(slotIdx, null);
     const container = document.getElementById(`term-container-${slotIdx}`);
     if (container) container.innerHTML = '';
 
@@ -5826,7 +6620,8 @@ class CWMApp {
      class dispatches a 'terminal-idle' CustomEvent. These methods
      handle the notification: flash the pane border green, play a
      subtle chime, show a toast, and highlight the tab group if the
-     pane is in a non-active group.
+     pane is in a non-active group. Sessions whose Claude Code hooks
+     report to the server notify from onHookStatus instead.
      ═══════════════════════════════════════════════════════════ */
 
   /**
@@ -5835,9 +6630,24 @@ class CWMApp {
    * when they're already looking at the terminal that finished.
    */
   onTerminalIdle({ sessionId, sessionName }) {
+    // Sessions reporting through Claude Code hooks notify from onHookStatus
+    if (this.state.hookStatus[sessionId]) return;
+    const name = sessionName || sessionId.substring(0, 12);
+    this._notifySessionAttention(sessionId, `${name} is ready for input`, name);
+  }
+
+  /**
+   * Flash, chime, toast, and title-flash for a session that needs the user.
+   * Skipped for the focused pane, which the user is already looking at.
+   * @param {string} sessionId
+   * @param {string} message - Toast text
+   * @param {string} name - Session name for the browser title
+   * @param {string} [toastType='success']
+   */
+  _notifySessionAttention(sessionId, message, name, toastType = 'success') {
     // Don't notify for the currently focused/active pane
     const activeIdx = this.terminalPanes.findIndex(tp => tp && tp.sessionId === sessionId);
-    if (activeIdx === this._activeTerminalSlot) return;
+    if (activeIdx !== -1 && activeIdx === this._activeTerminalSlot) return;
 
     // Flash the pane border green
     const paneEls = document.querySelectorAll('.terminal-pane');
@@ -5850,8 +6660,7 @@ class CWMApp {
     this._playNotificationSound();
 
     // Show toast
-    const name = sessionName || sessionId.substring(0, 12);
-    this.showToast(`${name} is ready for input`, 'success');
+    this.showToast(message, toastType);
 
     // If the pane is in a non-active tab group, highlight the tab
     this._highlightTabGroupForSession(sessionId);
@@ -5861,6 +6670,185 @@ class CWMApp {
     this._flashBrowserTitle(name);
   }
 
+  /**
+   * Fetch the hook-reported status of every live session.
+   */
+  async loadHookStatus() {
+    try {
+      const data = await this.api('GET', '/api/hooks/status');
+      this.state.hookStatus = {};
+      for (const status of data.statuses || []) this.state.hookStatus[status.sessionId] = status;
+    } catch (_) {
+      // Hook status is optional; panes fall back to prompt detection
+    }
+  }
+
+  /**
+   * Apply a 'session:status' SSE event from Claude Code hooks: update the
+   * pane's activity, the needs-permission badge, and notify when a session
+   * finishes or waits for permission.
+   * @param {{ sessionId: string, state: string|null, tool: string|null, message: string|null }} status
+   */
+  onHookStatus(status) {
+    const previous = this.state.hookStatus[status.sessionId];
+    if (status.state) this.state.hookStatus[status.sessionId] = status;
+    else delete this.state.hookStatus[status.sessionId];
+
+    const slotIdx = this.terminalPanes.findIndex(tp => tp && tp.sessionId === status.sessionId);
+    if (slotIdx !== -1 && status.state) {
+      const activities = {
+        'running': { type: 'thinking', detail: '' },
+        'running-tool': { type: 'running', detail: status.tool || '' },
+        'waiting-for-permission': { type: 'waiting', detail: status.message || '' },
+        'idle': { type: 'idle', detail: 'Waiting for input' },
+        'done': { type: 'idle', detail: 'Done' },
+      };
+      this.updatePaneActivity(slotIdx, activities[status.state]);
+    }
+
+    const wasWaiting = previous && previous.state === 'waiting-for-permission';
+    if (wasWaiting !== (status.state === 'waiting-for-permission')) this.renderWorkspaces();
+    if (previous && previous.state === status.state) return;
+
+    // Permission prompts notify from onApprovalPending
+    if (status.state === 'done') {
+      const session = this.state.allSessions.find(s => s.id === status.sessionId);
+      const name = (session && session.name) || status.sessionId.substring(0, 12);
+      this._notifySessionAttention(status.sessionId, `${name} is ready for input`, name);
+    }
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     APPROVALS INBOX
+     Pending permission prompts from every session (detected by the
+     server in PTY output or reported by hooks), answerable from the
+     header inbox without opening each terminal.
+     ═══════════════════════════════════════════════════════════ */
+
+  /**
+   * Fetch pending permission prompts.
+   */
+  async loadApprovals() {
+    try {
+      const data = await this.api('GET', '/api/approvals');
+      this.state.approvals = data.approvals || [];
+    } catch (_) {
+      this.state.approvals = [];
+    }
+    this.renderApprovals();
+  }
+
+  /**
+   * Apply an 'approval:pending' SSE event (a new prompt, or more detail
+   * about one already listed). New prompts notify like a finished session.
+   * @param {object} approval
+   */
+  onApprovalPending(approval) {
+    const idx = this.state.approvals.findIndex(a => a.id === approval.id);
+    if (idx !== -1) {
+      this.state.approvals[idx] = approval;
+    } else {
+      this.state.approvals.push(approval);
+      const name = approval.sessionName || approval.sessionId.substring(0, 12);
+      this._notifySessionAttention(approval.sessionId, `${name} needs permission${approval.tool ? ' for ' + approval.tool : ''}`, name, 'warning');
+    }
+    this.renderApprovals();
+  }
+
+  /**
+   * Update the header badge and, if open, the inbox list.
+   */
+  renderApprovals() {
+    const approvals = this.state.approvals;
+    if (this.els.approvalsBtn) {
+      this.els.approvalsBtn.hidden = approvals.length === 0;
+      this.els.approvalsCount.textContent = approvals.length;
+    }
+    const list = this.els.approvalsList;
+    if (!list || this.els.approvalsOverlay.hidden) return;
+
+    if (approvals.length === 0) {
+      list.innerHTML = '<div class="resources-empty">No prompts waiting.</div>';
+      return;
+    }
+    list.innerHTML = approvals.map(a => `
+      <div class="approval-item" data-id="${this.escapeHtml(a.id)}">
+        <div class="approval-head">
+          <span class="approval-session">${this.escapeHtml(a.sessionName || a.sessionId.substring(0, 12))}</span>
+          ${a.tool ? `<span class="session-badge session-badge-warn">${this.escapeHtml(a.tool)}</span>` : ''}
+          <span class="approval-time">${this.relativeTime(a.createdAt)}</span>
+        </div>
+        ${a.detail ? `<pre class="approval-detail">${this.escapeHtml(a.detail)}</pre>` : ''}
+        <div class="approval-question">${this.escapeHtml(a.question || a.message || 'Claude needs your permission')}</div>
+        <div class="approval-actions">
+          <button class="btn btn-primary btn-sm" data-action="approve">Approve</button>
+          <button class="btn btn-ghost btn-sm" data-action="deny">Deny</button>
+          <button class="btn btn-ghost btn-sm" data-action="open">Open terminal</button>
+        </div>
+      </div>`).join('');
+
+    list.querySelectorAll('.approval-item').forEach(item => {
+      const approval = approvals.find(a => a.id === item.dataset.id);
+      item.querySelectorAll('button[data-action]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          if (btn.dataset.action === 'open') {
+            this.hideApprovalsInbox();
+            this.showApprovalTerminal(approval);
+          } else {
+            this.answerApproval(approval, btn.dataset.action);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Approve or deny a pending prompt.
+   * @param {object} approval
+   * @param {'approve'|'deny'} decision
+   */
+  async answerApproval(approval, decision) {
+    try {
+      await this.api('POST', `/api/approvals/${encodeURIComponent(approval.id)}/${decision}`);
+      this.showToast(`${decision === 'approve' ? 'Approved' : 'Denied'}${approval.tool ? ' ' + approval.tool : ''} in ${approval.sessionName || 'session'}`, 'success');
+    } catch (err) {
+      this.showToast(err.message || 'Failed to answer prompt', 'error');
+    }
+    // The resolved SSE event normally removes it; drop it either way
+    this.state.approvals = this.state.approvals.filter(a => a.id !== approval.id);
+    this.renderApprovals();
+  }
+
+  /**
+   * Show the terminal a prompt came from: focus its pane if one is open,
+   * otherwise attach it to the first empty pane.
+   * @param {object} approval
+   */
+  showApprovalTerminal(approval) {
+    this.setViewMode('terminal');
+    const openSlot = this.terminalPanes.findIndex(tp => tp && tp.sessionId === approval.sessionId);
+    if (openSlot !== -1) {
+      this.setActiveTerminalPane(openSlot);
+      return;
+    }
+    const emptySlot = this.terminalPanes.findIndex(p => p === null);
+    if (emptySlot === -1) {
+      this.showToast('All terminal panes full. Close one first.', 'warning');
+      return;
+    }
+    this.openTerminalInPane(emptySlot, approval.sessionId, approval.sessionName || approval.sessionId, {});
+  }
+
+  showApprovalsInbox() {
+    if (!this.els.approvalsOverlay) return;
+    this.els.approvalsOverlay.hidden = false;
+    this.renderApprovals();
+  }
+
+  hideApprovalsInbox() {
+    if (this.els.approvalsOverlay) this.els.approvalsOverlay.hidden = true;
+  }
+
   /**
    * Flash the browser tab title when a session completes and the window
    * isn't focused. Alternates between the notification and original title.
@@ -7990,12 +8978,36 @@ class CWMApp {
       html += '</tbody></table></div></div>';
     }
 
+    // Budgets section (populated async)
+    html += '<div id="resources-budgets" class="resources-budget-section"></div>';
+
     // Token quota section (populated async)
     html += '<div id="resources-quota" class="resources-quota-section"></div>';
 
+    // Cost report section (populated async)
+    html += '<div id="resources-cost-report" class="resources-cost-report-section"></div>';
+
+    // Model pricing section (populated async)
+    html += '<div id="resources-pricing" class="resources-pricing-section"></div>';
+
     // Tunnels section (populated async)
     html += '<div id="resources-tunnels" class="resources-tunnel-section"></div>';
 
+    // Claude Code hooks section (admins only, populated async)
+    html += '<div id="resources-hooks" class="resources-hooks-section"></div>';
+
+    // Transcript storage section: archive and retention policy (admins only, populated async)
+    html += '<div id="resources-archive" class="resources-archive-section"></div>';
+
+    // Leaked secrets section (admins only, scanned on demand)
+    html += '<div id="resources-secrets" class="resources-secrets-section"></div>';
+
+    // Accounts section: users (admins) and sign-in sessions (populated async)
+    html += '<div id="resources-accounts" class="resources-accounts-section"></div>';
+
+    // Audit log section (admins only, populated async)
+    html += '<div id="resources-audit" class="resources-audit-section"></div>';
+
     body.innerHTML = html;
 
     // Bind session action buttons (stop/restart/kill/start)
@@ -8073,17 +9085,41 @@ class CWMApp {
       });
     });
 
+    // Load budgets section
+    this.loadBudgets();
+
     // Load token quota section
     this.api('GET', '/api/quota-overview').then(quotaData => {
       const quotaContainer = document.getElementById('resources-quota');
       if (quotaContainer) this.renderQuotaOverview(quotaData, quotaContainer);
     }).catch(() => {});
 
+    // Load cost report section
+    this.loadCostReport();
+
+    // Load model pricing section
+    this.loadPricing();
+
     // Load tunnels section
     this.api('GET', '/api/tunnels').then(tunnelData => {
       const tunnelContainer = document.getElementById('resources-tunnels');
       if (tunnelContainer) this.renderTunnels(tunnelData, tunnelContainer);
     }).catch(() => {});
+
+    // Load hooks section
+    this.loadHooksSetup();
+
+    // Load transcript storage section
+    this.loadArchive();
+
+    // Secrets section (shows the last scan; scanning is on demand)
+    this.renderSecretsReport();
+
+    // Load accounts section
+    this.loadAccounts();
+
+    // Load audit log section
+    this.renderAuditLog();
   }
 
   renderTunnels(data, container) {
@@ -8133,116 +9169,1203 @@ class CWMApp {
   }
 
   /**
-   * Render the token quota overview section in the Resources panel.
-   * Shows all sessions ranked by context window heaviness with urgency indicators.
+   * Fetch users (admins only), sign-in sessions and API keys into the
+   * Resources panel.
    */
-  renderQuotaOverview(data, container) {
-    if (!data || !data.sessions || data.sessions.length === 0) {
+  async loadAccounts() {
+    const container = document.getElementById('resources-accounts');
+    if (!container) return;
+    const isAdmin = this.state.user && this.state.user.role === 'admin';
+    try {
+      const [usersData, sessionsData, keysData] = await Promise.all([
+        isAdmin ? this.api('GET', '/api/users') : Promise.resolve(null),
+        this.api('GET', '/api/auth/sessions' + (isAdmin ? '?all=true' : '')),
+        this.api('GET', '/api/api-keys' + (isAdmin ? '?all=true' : '')),
+      ]);
+      this.renderAccounts(usersData, sessionsData, keysData, container);
+    } catch (_) {
       container.innerHTML = '';
-      return;
     }
+  }
 
-    const summary = data.summary || {};
-    const formatTokens = (t) => {
-      if (t >= 1000000) return (t / 1000000).toFixed(1) + 'M';
-      if (t >= 1000) return (t / 1000).toFixed(0) + 'K';
-      return t.toString();
-    };
-    const formatCost = (c) => c < 0.01 ? '<$0.01' : '$' + c.toFixed(2);
-
-    let html = `<div class="resources-section-title">
-      Token Quota
-      <span class="total-badge">${summary.totalSessions} sessions · ${formatTokens(summary.totalTokens)} tokens · ${formatCost(summary.totalCost)}</span>
-    </div>`;
+  /**
+   * Render the accounts section: a user table with admin actions (when
+   * usersData is given), the sign-in session list, and API keys.
+   */
+  renderAccounts(usersData, sessionsData, keysData, container) {
+    const me = this.state.user || {};
+    const sessions = (sessionsData && sessionsData.sessions) || [];
+    const apiKeys = (keysData && keysData.apiKeys) || [];
+    const formatWhen = (iso) => iso ? new Date(iso).toLocaleString() : '';
+    let html = '';
 
-    // Summary alert cards for critical/warning sessions
-    if (summary.criticalCount > 0 || summary.warningCount > 0) {
-      html += '<div style="display:flex;gap:8px;margin-bottom:10px">';
-      if (summary.criticalCount > 0) {
-        html += `<div style="flex:1;padding:8px 12px;background:rgba(243,139,168,0.1);border:1px solid var(--red);border-radius:6px;font-size:12px;color:var(--red)">
-          <strong>${summary.criticalCount}</strong> session${summary.criticalCount > 1 ? 's' : ''} over 80% context — consider compacting
-        </div>`;
-      }
-      if (summary.warningCount > 0) {
-        html += `<div style="flex:1;padding:8px 12px;background:rgba(249,226,175,0.1);border:1px solid var(--yellow);border-radius:6px;font-size:12px;color:var(--yellow)">
-          <strong>${summary.warningCount}</strong> session${summary.warningCount > 1 ? 's' : ''} over 50% context
-        </div>`;
-      }
-      html += '</div>';
+    if (usersData) {
+      const users = usersData.users || [];
+      html += `<div class="resources-section-title">
+        Users
+        <span class="total-badge">${users.length} account${users.length !== 1 ? 's' : ''}</span>
+        <button class="btn btn-ghost btn-sm" id="add-user-btn" style="margin-left:auto;padding:2px 8px;font-size:11px;">+ User</button>
+      </div>
+      <table class="claude-session-table">
+        <thead><tr><th>User</th><th>Role</th><th>Sessions</th><th>Status</th><th></th></tr></thead><tbody>`;
+      users.forEach(u => {
+        const isMe = u.id === me.id;
+        html += `<tr>
+          <td class="session-name-cell">${this.escapeHtml(u.displayName)} <span style="color:var(--overlay0);font-size:11px">${this.escapeHtml(u.username)}${isMe ? ' (you)' : ''}</span></td>
+          <td style="font-size:12px">${u.role}</td>
+          <td class="pid-cell">${u.activeSessions}</td>
+          <td style="font-size:12px;color:${u.disabled ? 'var(--red)' : 'var(--green)'}">${u.disabled ? 'Disabled' : 'Active'}</td>
+          <td style="white-space:nowrap">
+            <button class="btn btn-ghost btn-sm user-action-btn" data-user-id="${u.id}" data-action="role" style="padding:2px 6px;font-size:11px;">${u.role === 'admin' ? 'Make User' : 'Make Admin'}</button>
+            <button class="btn btn-ghost btn-sm user-action-btn" data-user-id="${u.id}" data-action="reset" style="padding:2px 6px;font-size:11px;">Reset Password</button>
+            ${isMe ? '' : `<button class="btn btn-ghost btn-sm user-action-btn" data-user-id="${u.id}" data-action="${u.disabled ? 'enable' : 'disable'}" style="padding:2px 6px;font-size:11px;${u.disabled ? '' : 'color:var(--red);'}">${u.disabled ? 'Enable' : 'Disable'}</button>`}
+          </td>
+        </tr>`;
+      });
+      html += '</tbody></table>';
     }
 
-    // Session table sorted by heaviness
-    html += `<table class="claude-session-table">
-      <thead><tr>
-        <th>Session</th>
-        <th>Workspace</th>
-        <th>Context</th>
-        <th>Cost</th>
-        <th>Messages</th>
-      </tr></thead><tbody>`;
-
-    // Show top 20 sessions
-    data.sessions.slice(0, 20).forEach(s => {
-      const urgencyColor = s.urgency === 'critical' ? 'var(--red)' : s.urgency === 'warning' ? 'var(--yellow)' : 'var(--green)';
-      const urgencyIcon = s.urgency === 'critical' ? '&#9888;' : s.urgency === 'warning' ? '&#9679;' : '&#10003;';
-      const barWidth = Math.min(100, s.contextPct);
-
+    html += `<div class="resources-section-title">
+      Sign-in Sessions
+      <span class="total-badge">${sessions.length} active</span>
+      <button class="btn btn-ghost btn-sm" id="change-password-btn" style="margin-left:auto;padding:2px 8px;font-size:11px;">Change Password</button>
+    </div>
+    <table class="claude-session-table">
+      <thead><tr>${usersData ? '<th>User</th>' : ''}<th>Device</th><th>Last Seen</th><th>Expires</th><th></th></tr></thead><tbody>`;
+    sessions.forEach(s => {
       html += `<tr>
-        <td class="session-name-cell">${this.escapeHtml(s.sessionName)}</td>
-        <td style="font-size:11px;color:var(--subtext0)">${this.escapeHtml(s.workspaceName)}</td>
-        <td style="min-width:140px">
-          <div style="display:flex;align-items:center;gap:6px">
-            <span style="color:${urgencyColor};font-size:11px" title="${s.urgency}">${urgencyIcon}</span>
-            <div style="flex:1">
-              <div style="height:5px;background:var(--surface0);border-radius:3px;overflow:hidden">
-                <div style="height:100%;width:${barWidth}%;background:${urgencyColor};border-radius:3px"></div>
-              </div>
-            </div>
-            <span style="font-size:11px;color:var(--text);min-width:40px;text-align:right">${formatTokens(s.latestInputTokens)}</span>
-          </div>
-        </td>
-        <td class="cost-cell" style="font-size:12px">${formatCost(s.totalCost)}</td>
-        <td style="font-size:12px;color:var(--subtext0)">${s.messageCount}</td>
+        ${usersData ? `<td class="session-name-cell">${this.escapeHtml(s.username || '?')}</td>` : ''}
+        <td style="font-size:11px;color:var(--subtext0);max-width:260px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap" title="${this.escapeHtml(s.userAgent)}">${this.escapeHtml(s.ip || '')} ${this.escapeHtml(s.userAgent || '')}</td>
+        <td style="font-size:12px">${formatWhen(s.lastSeenAt)}</td>
+        <td style="font-size:12px;color:var(--overlay1)">${formatWhen(s.expiresAt)}</td>
+        <td>${s.current
+          ? '<span style="font-size:11px;color:var(--green)">This browser</span>'
+          : `<button class="btn btn-ghost btn-sm revoke-auth-session-btn" data-auth-session-id="${s.id}" style="padding:2px 6px;font-size:11px;color:var(--red);">Revoke</button>`}</td>
       </tr>`;
     });
-
     html += '</tbody></table>';
-    container.innerHTML = html;
-  }
 
-  async showWorktreeList(dir) {
-    try {
-      const data = await this.api('GET', '/api/git/worktrees?dir=' + encodeURIComponent(dir));
-      if (!data.worktrees || data.worktrees.length === 0) {
-        this.showToast('No worktrees found', 'info');
-        return;
-      }
-      let msg = data.worktrees.map(wt =>
-        (wt.branch || 'detached') + '  →  ' + wt.path
-      ).join('\n');
-      await this.showConfirmModal({
-        title: 'Git Worktrees (' + data.worktrees.length + ')',
-        message: msg,
-        confirmText: 'OK',
+    const workspaceName = (id) => {
+      const ws = this.state.workspaces.find(w => w.id === id);
+      return ws ? ws.name : id.substring(0, 8);
+    };
+    html += `<div class="resources-section-title">
+      API Keys
+      <span class="total-badge">${apiKeys.length} key${apiKeys.length !== 1 ? 's' : ''}</span>
+      <button class="btn btn-ghost btn-sm" id="add-api-key-btn" style="margin-left:auto;padding:2px 8px;font-size:11px;">+ API Key</button>
+    </div>`;
+    if (apiKeys.length === 0) {
+      html += '<div class="resources-empty">No API keys. Create one to call the REST API from scripts or CI without a password.</div>';
+    } else {
+      html += `<table class="claude-session-table">
+        <thead><tr><th>Key</th>${usersData ? '<th>Owner</th>' : ''}<th>Scopes</th><th>Workspaces</th><th>Last Used</th><th></th></tr></thead><tbody>`;
+      apiKeys.forEach(k => {
+        html += `<tr>
+          <td class="session-name-cell">${this.escapeHtml(k.name)} <span style="color:var(--overlay0);font-size:11px">cwm_${k.id}_…</span></td>
+          ${usersData ? `<td style="font-size:12px">${this.escapeHtml(k.username || '?')}</td>` : ''}
+          <td style="font-size:11px;color:var(--subtext0)">${k.scopes.map(s => this.escapeHtml(s)).join(', ')}</td>
+          <td style="font-size:11px;color:var(--subtext0)">${k.workspaceIds ? k.workspaceIds.map(id => this.escapeHtml(workspaceName(id))).join(', ') : 'All'}</td>
+          <td style="font-size:12px">${k.lastUsedAt ? formatWhen(k.lastUsedAt) : '<span style="color:var(--overlay0)">Never</span>'}</td>
+          <td><button class="btn btn-ghost btn-sm revoke-api-key-btn" data-key-id="${k.id}" style="padding:2px 6px;font-size:11px;color:var(--red);">Revoke</button></td>
+        </tr>`;
       });
-    } catch (err) {
-      this.showToast(err.message || 'Failed to list worktrees', 'error');
+      html += '</tbody></table>';
     }
-  }
+    container.innerHTML = html;
 
-  async createWorktree(workspaceId) {
-    const result = await this.showPromptModal({
-      title: 'Create Git Worktree',
-      fields: [
-        { key: 'repoDir', label: 'Repository Path', placeholder: 'C:\\path\\to\\repo', required: true },
-        { key: 'branch', label: 'Branch Name', placeholder: 'feat/my-feature', required: true },
-        { key: 'path', label: 'Worktree Path (optional)', placeholder: 'Leave blank for default' },
-      ],
-      confirmText: 'Create Worktree',
+    const addBtn = container.querySelector('#add-user-btn');
+    if (addBtn) addBtn.addEventListener('click', () => this.createUser());
+    container.querySelector('#change-password-btn').addEventListener('click', () => this.changePassword());
+    container.querySelector('#add-api-key-btn').addEventListener('click', () => this.createApiKey((keysData && keysData.scopes) || []));
+
+    container.querySelectorAll('.revoke-api-key-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const confirmed = await this.showConfirmModal({
+          title: 'Revoke API Key',
+          message: 'Revoke this key? Scripts using it will stop working immediately.',
+          confirmText: 'Revoke',
+          confirmClass: 'btn-danger',
+        });
+        if (!confirmed) return;
+        try {
+          await this.api('DELETE', `/api/api-keys/${btn.dataset.keyId}`);
+          this.showToast('API key revoked', 'success');
+          this.loadAccounts();
+        } catch (err) {
+          this.showToast(err.message || 'Failed to revoke API key', 'error');
+        }
+      });
     });
-    if (!result) return;
-    try {
-      const data = await this.api('POST', '/api/git/worktrees', {
+
+    container.querySelectorAll('.user-action-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const userId = btn.dataset.userId;
+        const user = ((usersData && usersData.users) || []).find(u => u.id === userId);
+        if (!user) return;
+        try {
+          if (btn.dataset.action === 'reset') {
+            const confirmed = await this.showConfirmModal({
+              title: 'Reset Password',
+              message: `Generate a new password for <strong>${this.escapeHtml(user.username)}</strong>? They will be signed out everywhere.`,
+              confirmText: 'Reset',
+              confirmClass: 'btn-danger',
+            });
+            if (!confirmed) return;
+            const data = await this.api('POST', `/api/users/${userId}/reset-password`);
+            await this.showConfirmModal({
+              title: 'New Password',
+              message: `New password for <strong>${this.escapeHtml(user.username)}</strong> (shown once):<br><code>${this.escapeHtml(data.password)}</code>`,
+              confirmText: 'Done',
+            });
+          } else if (btn.dataset.action === 'role') {
+            await this.api('PUT', `/api/users/${userId}`, { role: user.role === 'admin' ? 'user' : 'admin' });
+          } else {
+            await this.api('PUT', `/api/users/${userId}`, { disabled: btn.dataset.action === 'disable' });
+          }
+          this.loadAccounts();
+        } catch (err) {
+          this.showToast(err.message || 'Failed to update user', 'error');
+        }
+      });
+    });
+
+    container.querySelectorAll('.revoke-auth-session-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        try {
+          await this.api('DELETE', `/api/auth/sessions/${btn.dataset.authSessionId}`);
+          this.showToast('Session revoked', 'success');
+          this.loadAccounts();
+        } catch (err) {
+          this.showToast(err.message || 'Failed to revoke session', 'error');
+        }
+      });
+    });
+  }
+
+  /**
+   * Prompt for and create a new user account (admin only).
+   */
+  async createUser() {
+    const result = await this.showPromptModal({
+      title: 'New User',
+      fields: [
+        { key: 'username', label: 'Username', placeholder: 'e.g. alex', required: true },
+        { key: 'displayName', label: 'Display Name', placeholder: 'Alex' },
+        { key: 'password', label: 'Password (min 8 characters)', type: 'password', required: true },
+        { key: 'role', label: 'Role', type: 'select', options: [
+          { value: 'user', label: 'User' },
+          { value: 'admin', label: 'Admin (can manage users)' },
+        ] },
+      ],
+      confirmText: 'Create',
+    });
+    if (!result) return;
+    try {
+      await this.api('POST', '/api/users', result);
+      this.showToast('User created', 'success');
+      this.loadAccounts();
+    } catch (err) {
+      this.showToast(err.message || 'Failed to create user', 'error');
+    }
+  }
+
+  /**
+   * Prompt for and create a scoped API key, then show it once.
+   * @param {string[]} scopes - Scopes the server supports
+   */
+  async createApiKey(scopes) {
+    const isAdmin = this.state.user && this.state.user.role === 'admin';
+    const grantable = scopes.filter(s => s !== 'admin' || isAdmin);
+    const result = await this.showPromptModal({
+      title: 'New API Key',
+      fields: [
+        { key: 'name', label: 'Name', placeholder: 'e.g. CI bot', required: true },
+        ...grantable.map((scope, i) => ({ key: 'scope' + i, label: scope, type: 'checkbox' })),
+        { key: 'workspaceId', label: 'Workspaces', type: 'select', options: [
+          { value: '', label: 'All workspaces' },
+          ...this.state.workspaces.map(ws => ({ value: ws.id, label: 'Only ' + ws.name })),
+        ] },
+      ],
+      confirmText: 'Create Key',
+    });
+    if (!result) return;
+
+    const chosen = grantable.filter((_, i) => result['scope' + i]);
+    if (chosen.length === 0) {
+      this.showToast('Pick at least one scope', 'warning');
+      return;
+    }
+    try {
+      const data = await this.api('POST', '/api/api-keys', {
+        name: result.name,
+        scopes: chosen,
+        workspaceIds: result.workspaceId ? [result.workspaceId] : null,
+      });
+      this.loadAccounts();
+      const copy = await this.showConfirmModal({
+        title: 'API Key Created',
+        message: `Copy this key now; it won't be shown again.<br><code style="word-break:break-all">${this.escapeHtml(data.key)}</code><br>
+          <span style="font-size:12px;color:var(--subtext0)">Use it as <code>Authorization: Bearer &lt;key&gt;</code>.</span>`,
+        confirmText: 'Copy & Close',
+      });
+      if (copy) navigator.clipboard.writeText(data.key).catch(() => {});
+    } catch (err) {
+      this.showToast(err.message || 'Failed to create API key', 'error');
+    }
+  }
+
+  /**
+   * Change the signed-in user's password. Other sessions are signed out.
+   */
+  async changePassword() {
+    const result = await this.showPromptModal({
+      title: 'Change Password',
+      fields: [
+        { key: 'currentPassword', label: 'Current Password', type: 'password', required: true },
+        { key: 'newPassword', label: 'New Password (min 8 characters)', type: 'password', required: true },
+      ],
+      confirmText: 'Change',
+    });
+    if (!result) return;
+    try {
+      await this.api('POST', '/api/auth/password', result);
+      this.showToast('Password changed. Other sessions were signed out.', 'success');
+      this.loadAccounts();
+    } catch (err) {
+      this.showToast(err.message || 'Failed to change password', 'error');
+    }
+  }
+
+  /**
+   * Render the Claude Code hooks section (admins only): whether Myrlin's
+   * hooks are installed in ~/.claude/settings.json, with install/remove.
+   */
+  async loadHooksSetup() {
+    const container = document.getElementById('resources-hooks');
+    if (!container) return;
+    if (!this.state.user || this.state.user.role !== 'admin') {
+      container.innerHTML = '';
+      return;
+    }
+
+    let data;
+    try {
+      data = await this.api('GET', '/api/hooks');
+    } catch (_) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const badge = data.error ? 'unreadable' : !data.installed ? 'not installed' : data.current ? 'installed' : 'out of date';
+    container.innerHTML = `<div class="resources-section-title">Claude Code Hooks <span class="total-badge">${badge}</span></div>
+      <p class="hooks-help">Hooks report session status (running a tool, waiting for permission, done) to Myrlin
+        even when no browser has the terminal open. They only act in sessions started from Myrlin.</p>
+      <p class="hooks-help">${data.error ? this.escapeHtml(data.error) : 'Settings file: <code>' + this.escapeHtml(data.settingsFile) + '</code>'}</p>
+      <div class="hooks-actions">
+        ${data.error ? '' : `<button class="btn btn-primary btn-sm" id="hooks-install-btn">${data.installed ? (data.current ? 'Reinstall' : 'Update') : 'Install'} Hooks</button>`}
+        ${data.installed ? '<button class="btn btn-ghost btn-sm" id="hooks-uninstall-btn">Remove</button>' : ''}
+      </div>`;
+
+    const run = async (action, successMessage) => {
+      try {
+        await this.api('POST', '/api/hooks/' + action);
+        this.showToast(successMessage, 'success');
+      } catch (err) {
+        this.showToast(err.message || 'Failed to update hooks', 'error');
+      }
+      this.loadHooksSetup();
+    };
+    const installBtn = container.querySelector('#hooks-install-btn');
+    if (installBtn) installBtn.addEventListener('click', () => run('install', 'Hooks installed. Restart running sessions to pick them up.'));
+    const uninstallBtn = container.querySelector('#hooks-uninstall-btn');
+    if (uninstallBtn) uninstallBtn.addEventListener('click', () => run('uninstall', 'Hooks removed'));
+  }
+
+  /**
+   * Fetch the transcript archive and render the storage section (admins only).
+   */
+  async loadArchive() {
+    const container = document.getElementById('resources-archive');
+    if (!container) return;
+    if (!this.state.user || this.state.user.role !== 'admin') {
+      container.innerHTML = '';
+      return;
+    }
+    try {
+      const data = await this.api('GET', '/api/archive');
+      this.renderArchive(data, container);
+    } catch (_) {
+      container.innerHTML = '';
+    }
+  }
+
+  /**
+   * Render the transcript storage section: archive totals, the retention
+   * policy form, and archived sessions with Restore buttons.
+   */
+  renderArchive(data, container) {
+    const totals = data.totals;
+    const policy = data.policy;
+    const last = data.lastPolicyRun;
+    const shown = data.sessions.slice(0, 50);
+
+    let html = `<div class="resources-section-title">
+      Transcript Storage
+      <span class="total-badge">${totals.sessions} archived · ${this.formatSize(totals.originalBytes)} → ${this.formatSize(totals.archivedBytes)}</span>
+    </div>
+    <p class="hooks-help">Archived sessions are compressed into <code>state/archive</code> and removed from
+      <code>~/.claude/projects</code>. They stay in search and cost reports; restore one to resume it.</p>
+    <div class="archive-policy">
+      <label><input type="checkbox" id="archive-policy-enabled"${policy.enabled ? ' checked' : ''}> Archive sessions untouched for</label>
+      <input class="input" type="number" id="archive-policy-days" min="1" max="3650" value="${policy.olderThanDays}"> days
+      <label><input type="checkbox" id="archive-policy-features"${policy.keepOpenFeatures ? ' checked' : ''}> except open features</label>
+      <label><input type="checkbox" id="archive-policy-workspaces"${policy.keepWorkspaceSessions ? ' checked' : ''}> except workspace sessions</label>
+      <button class="btn btn-ghost btn-sm" id="archive-policy-save">Save</button>
+      <button class="btn btn-ghost btn-sm" id="archive-policy-run">Run Now…</button>
+    </div>
+    ${last ? `<p class="hooks-help">Last run ${this.relativeTime(last.at)}: ${last.archived} archived, ${last.skipped} skipped, ${this.formatSize(last.freedBytes)} freed.</p>` : ''}`;
+
+    if (shown.length === 0) {
+      html += '<div class="resources-empty">No archived sessions.</div>';
+    } else {
+      html += `<table class="claude-session-table">
+        <thead><tr><th>Session</th><th>Project</th><th>Last active</th><th>Size</th><th></th></tr></thead><tbody>`;
+      shown.forEach(s => {
+        html += `<tr>
+          <td class="session-name-cell" title="${this.escapeHtml(s.sessionId)}">${this.escapeHtml(s.name || s.sessionId.substring(0, 8))}</td>
+          <td style="font-size:11px;color:var(--subtext0)">${this.escapeHtml(s.projectName || '')}</td>
+          <td style="font-size:11px;color:var(--subtext0)">${s.lastTimestamp ? this.relativeTime(s.lastTimestamp) : ''}</td>
+          <td style="font-size:11px">${this.formatSize(s.originalBytes)} → ${this.formatSize(s.archivedBytes)}</td>
+          <td><button class="btn btn-ghost btn-sm archive-restore-btn" data-session-id="${this.escapeHtml(s.sessionId)}">Restore</button></td>
+        </tr>`;
+      });
+      html += '</tbody></table>';
+      if (data.sessions.length > shown.length) {
+        html += `<div class="resources-empty">${data.sessions.length - shown.length} more not shown</div>`;
+      }
+    }
+    container.innerHTML = html;
+
+    const readPolicy = () => ({
+      enabled: container.querySelector('#archive-policy-enabled').checked,
+      olderThanDays: parseInt(container.querySelector('#archive-policy-days').value, 10),
+      keepOpenFeatures: container.querySelector('#archive-policy-features').checked,
+      keepWorkspaceSessions: container.querySelector('#archive-policy-workspaces').checked,
+    });
+    container.querySelector('#archive-policy-save').addEventListener('click', async () => {
+      try {
+        await this.api('PUT', '/api/archive/policy', readPolicy());
+        this.showToast('Retention policy saved', 'success');
+        this.loadArchive();
+      } catch (err) {
+        this.showToast(err.message || 'Failed to save policy', 'error');
+      }
+    });
+    container.querySelector('#archive-policy-run').addEventListener('click', () => this.runRetentionPolicy(readPolicy()));
+    container.querySelectorAll('.archive-restore-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.restoreArchivedSession(btn.dataset.sessionId));
+    });
+  }
+
+  /**
+   * Save the policy form, preview what it would archive, and run it once confirmed.
+   * @param {object} policy - Values from the policy form
+   */
+  async runRetentionPolicy(policy) {
+    let preview;
+    try {
+      await this.api('PUT', '/api/archive/policy', policy);
+      preview = await this.api('POST', '/api/archive/policy/run', { dryRun: true });
+    } catch (err) {
+      this.showToast(err.message || 'Failed to preview retention policy', 'error');
+      return;
+    }
+    const candidates = preview.candidates;
+    if (candidates.length === 0) {
+      this.showToast('No sessions match the retention policy', 'info');
+      return;
+    }
+    const size = candidates.reduce((sum, c) => sum + (c.size || 0), 0);
+    const confirmed = await this.showConfirmModal({
+      title: 'Run Retention Policy',
+      message: `Archive ${candidates.length} session${candidates.length !== 1 ? 's' : ''} (${this.formatSize(size)}) untouched for ${preview.policy.olderThanDays} days?`,
+      confirmText: 'Archive',
+    });
+    if (!confirmed) return;
+    try {
+      const result = await this.api('POST', '/api/archive/policy/run', {});
+      this.showToast(`Archived ${result.archived.length} session(s), ${this.formatSize(result.freedBytes)} freed`, 'success');
+    } catch (err) {
+      this.showToast(err.message || 'Failed to run retention policy', 'error');
+    }
+    this.loadArchive();
+  }
+
+  /**
+   * Archive Claude sessions (or whole projects) after confirmation.
+   * @param {{ sessionIds?: string[], projects?: string[] }} target
+   * @param {string} description - What is being archived, for the confirmation
+   */
+  async archiveTranscripts(target, description) {
+    const confirmed = await this.showConfirmModal({
+      title: 'Archive Transcripts',
+      message: `Compress ${description} into state/archive and remove the files from ~/.claude/projects? Archived sessions stay searchable and can be restored.`,
+      confirmText: 'Archive',
+    });
+    if (!confirmed) return;
+    try {
+      const result = await this.api('POST', '/api/archive', target);
+      if (result.archived.length > 0) {
+        this.showToast(`Archived ${result.archived.length} session(s), ${this.formatSize(result.freedBytes)} freed`, 'success');
+      }
+      if (result.skipped.length > 0) {
+        this.showToast(`Skipped ${result.skipped.length}: ${result.skipped[0].reason}`, 'warning');
+      }
+    } catch (err) {
+      this.showToast(err.message || 'Failed to archive', 'error');
+    }
+  }
+
+  /**
+   * Restore an archived session to ~/.claude/projects, then open it in the
+   * conversation viewer when a search hit asked for it.
+   * @param {string} sessionId - Claude session ID
+   * @param {{ line?: number, title?: string }} [openAt] - Open the viewer here once restored
+   */
+  async restoreArchivedSession(sessionId, openAt = null) {
+    const confirmed = await this.showConfirmModal({
+      title: 'Restore Session',
+      message: 'This session is archived. Restore it to ~/.claude/projects so it can be read and resumed?',
+      confirmText: 'Restore',
+    });
+    if (!confirmed) return;
+    try {
+      await this.api('POST', `/api/archive/${encodeURIComponent(sessionId)}/restore`);
+      this.showToast('Session restored', 'success');
+    } catch (err) {
+      this.showToast(err.message || 'Failed to restore session', 'error');
+      return;
+    }
+    if (openAt) this.openTranscriptViewer(sessionId, openAt);
+  }
+
+  /**
+   * Render the leaked secrets section (admins only): transcripts containing
+   * API keys, tokens or custom patterns from the last scan, each finding
+   * linked to its line in the conversation viewer. Scanning every transcript
+   * takes a while, so it only runs when asked.
+   */
+  renderSecretsReport() {
+    const container = document.getElementById('resources-secrets');
+    if (!container) return;
+    if (!this.state.user || this.state.user.role !== 'admin') {
+      container.innerHTML = '';
+      return;
+    }
+
+    const report = this._secretsReport;
+    const scanning = this._secretsScanning;
+    let badge = 'not scanned';
+    if (report) badge = `${report.totals.findings} in ${report.totals.sessions} session${report.totals.sessions !== 1 ? 's' : ''}${report.complete ? '' : ' so far'}`;
+
+    let html = `<div class="resources-section-title">
+      Leaked Secrets
+      <span class="total-badge">${badge}</span>
+      <button class="btn btn-ghost btn-sm" id="secrets-patterns-btn" style="margin-left:auto;padding:2px 8px;font-size:11px;">Patterns</button>
+      <button class="btn btn-ghost btn-sm" id="secrets-scan-btn" style="padding:2px 8px;font-size:11px;"${scanning ? ' disabled' : ''}>${scanning ? 'Scanning…' : report ? 'Rescan' : 'Scan'}</button>
+    </div>
+    <p class="hooks-help">Secrets are redacted from search, exports, summaries and the conversation viewer, but stay in the
+      transcript files on disk. Rotate anything listed here.</p>`;
+
+    if (!report) {
+      html += '<div class="resources-empty">Scan session transcripts for API keys, tokens, passwords and custom patterns.</div>';
+    } else if (report.sessions.length === 0) {
+      html += `<div class="resources-empty">${report.complete ? 'No secrets found in ' + report.scannedFiles + ' transcripts.' : 'Nothing found yet.'}</div>`;
+    } else {
+      html += `<table class="claude-session-table secrets-table">
+        <thead><tr><th>Session</th><th>Found</th><th>Where</th></tr></thead><tbody>`;
+      report.sessions.forEach((s, i) => {
+        const name = s.storeSessions.length ? s.storeSessions.map(ss => ss.name).join(', ') : s.sessionId.substring(0, 8);
+        const rules = Object.entries(s.byRule).map(([rule, count]) => `${this.escapeHtml(rule)} ×${count}`).join(', ');
+        const shown = s.findings.slice(0, 10);
+        html += `<tr>
+          <td class="session-name-cell" title="${this.escapeHtml(s.filePath)}">${this.escapeHtml(name)}
+            <div style="font-size:10px;color:var(--overlay0)">${this.escapeHtml(s.provider)} · ${this.escapeHtml(s.projectPath || '')}</div></td>
+          <td style="font-size:12px">${s.total}<div style="font-size:10px;color:var(--subtext0)">${rules}</div></td>
+          <td>${shown.map((f, j) => `<button class="secrets-finding" data-session="${i}" data-finding="${j}" title="${this.escapeHtml(f.path)}">
+              line ${f.line} · ${this.escapeHtml(f.label)} · <code>${this.escapeHtml(f.preview)}</code></button>`).join('')}
+            ${s.total > shown.length ? `<div style="font-size:10px;color:var(--overlay0)">+${s.total - shown.length} more</div>` : ''}</td>
+        </tr>`;
+      });
+      html += '</tbody></table>';
+    }
+    container.innerHTML = html;
+
+    container.querySelector('#secrets-scan-btn').addEventListener('click', () => this.scanSecrets());
+    container.querySelector('#secrets-patterns-btn').addEventListener('click', () => this.editSecretPatterns());
+    container.querySelectorAll('.secrets-finding').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const s = report.sessions[btn.dataset.session];
+        const f = s.findings[btn.dataset.finding];
+        const storeSession = s.storeSessions[0];
+        this.openTranscriptViewer(storeSession ? storeSession.id : s.sessionId, {
+          line: f.line,
+          provider: storeSession ? null : s.provider,
+          title: storeSession ? storeSession.name : s.sessionId,
+        });
+      });
+    });
+  }
+
+  /**
+   * Run the secrets report, calling again while the server reports that
+   * transcripts are left to read, and re-render as results come in.
+   */
+  async scanSecrets() {
+    if (this._secretsScanning) return;
+    this._secretsScanning = true;
+    this.renderSecretsReport();
+    try {
+      for (let i = 0; i < 20; i++) {
+        this._secretsReport = await this.api('GET', '/api/security/secrets-report');
+        this.renderSecretsReport();
+        if (this._secretsReport.complete) break;
+      }
+    } catch (err) {
+      this.showToast(err.message || 'Failed to scan transcripts', 'error');
+    }
+    this._secretsScanning = false;
+    this.renderSecretsReport();
+  }
+
+  /**
+   * Open the custom secret patterns JSON editor. Invalid JSON or a rejected
+   * pattern reopens the editor with the text preserved.
+   * @param {string} [text] - Initial editor contents (default: the saved patterns)
+   */
+  async editSecretPatterns(text) {
+    let builtin = [];
+    if (text === undefined) {
+      try {
+        const data = await this.api('GET', '/api/security/patterns');
+        text = JSON.stringify({ patterns: data.patterns }, null, 2);
+        builtin = data.builtin;
+      } catch (err) {
+        this.showToast(err.message || 'Failed to load patterns', 'error');
+        return;
+      }
+    }
+    const result = await this.showPromptModal({
+      title: 'Secret Patterns',
+      headerHtml: `<p style="font-size:12px;color:var(--subtext0);margin-bottom:8px">
+        JavaScript regular expressions for secrets the built-in rules don't know, e.g.
+        <code>{ "name": "Internal token", "pattern": "corp_[A-Za-z0-9]{24}", "flags": "i" }</code>.
+        Matches are redacted as <code>[REDACTED:custom:&lt;name&gt;]</code>.
+        ${builtin.length ? 'Built in: ' + builtin.map(r => this.escapeHtml(r.label)).join(', ') + '.' : ''}
+      </p>`,
+      fields: [
+        { key: 'json', label: 'Patterns (JSON)', type: 'textarea', value: text, required: true },
+      ],
+      confirmText: 'Save',
+    });
+    if (!result) return;
+
+    let config;
+    try {
+      config = JSON.parse(result.json);
+    } catch (err) {
+      this.showToast('Invalid JSON: ' + err.message, 'error');
+      return this.editSecretPatterns(result.json);
+    }
+    try {
+      await this.api('PUT', '/api/security/patterns', config);
+      this.showToast('Patterns saved. Rescan to update the report.', 'success');
+    } catch (err) {
+      this.showToast(err.message || 'Failed to save patterns', 'error');
+      return this.editSecretPatterns(result.json);
+    }
+  }
+
+  /**
+   * Render the audit log section (admins only): filter controls plus a
+   * table of entries, newest first, with "Load more" pagination.
+   */
+  renderAuditLog() {
+    const container = document.getElementById('resources-audit');
+    if (!container) return;
+    if (!this.state.user || this.state.user.role !== 'admin') {
+      container.innerHTML = '';
+      return;
+    }
+
+    const f = this._auditFilters || { actor: '', action: '', outcome: '' };
+    container.innerHTML = `<div class="resources-section-title">Audit Log</div>
+      <div class="audit-filters">
+        <input class="input" id="audit-filter-actor" placeholder="Actor (user or API key)" value="${this.escapeHtml(f.actor)}">
+        <input class="input" id="audit-filter-action" placeholder="Action (e.g. pty.kill, sessions.)" value="${this.escapeHtml(f.action)}">
+        <select class="input" id="audit-filter-outcome">
+          ${['', 'success', 'failure', 'denied'].map(o =>
+            `<option value="${o}"${f.outcome === o ? ' selected' : ''}>${o ? o[0].toUpperCase() + o.slice(1) : 'Any outcome'}</option>`
+          ).join('')}
+        </select>
+        <button class="btn btn-ghost btn-sm" id="audit-filter-btn">Filter</button>
+      </div>
+      <table class="claude-session-table audit-table">
+        <thead><tr><th>Time</th><th>Actor</th><th>Action</th><th>Targets</th><th>Outcome</th><th>IP</th></tr></thead>
+        <tbody id="audit-rows"></tbody>
+      </table>
+      <button class="btn btn-ghost btn-sm" id="audit-more-btn" hidden>Load more</button>`;
+
+    const apply = () => {
+      this._auditFilters = {
+        actor: container.querySelector('#audit-filter-actor').value.trim(),
+        action: container.querySelector('#audit-filter-action').value.trim(),
+        outcome: container.querySelector('#audit-filter-outcome').value,
+      };
+      container.querySelector('#audit-rows').innerHTML = '';
+      this.loadAuditLog(null);
+    };
+    container.querySelector('#audit-filter-btn').addEventListener('click', apply);
+    container.querySelectorAll('.audit-filters input').forEach(input => {
+      input.addEventListener('keydown', (e) => { if (e.key === 'Enter') apply(); });
+    });
+    container.querySelector('#audit-more-btn').addEventListener('click', () => this.loadAuditLog(this._auditNextBefore));
+    this.loadAuditLog(null);
+  }
+
+  /**
+   * Fetch a page of audit entries and append them to the audit table.
+   * @param {string|null} before - Pagination cursor (null for the first page)
+   */
+  async loadAuditLog(before) {
+    const rows = document.getElementById('audit-rows');
+    const moreBtn = document.getElementById('audit-more-btn');
+    if (!rows) return;
+
+    const f = this._auditFilters || {};
+    const params = new URLSearchParams({ limit: '50' });
+    if (f.actor) params.set('actor', f.actor);
+    if (f.action) params.set('action', f.action);
+    if (f.outcome) params.set('outcome', f.outcome);
+    if (before) params.set('before', before);
+
+    let data;
+    try {
+      data = await this.api('GET', '/api/audit?' + params.toString());
+    } catch (err) {
+      this.showToast(err.message || 'Failed to load audit log', 'error');
+      return;
+    }
+
+    const outcomeColors = { success: 'var(--green)', failure: 'var(--red)', denied: 'var(--peach)' };
+    const describeActor = (a) => {
+      if (!a) return '?';
+      if (a.type === 'apiKey') return `${this.escapeHtml(a.username)} <span style="color:var(--overlay0)">key: ${this.escapeHtml(a.apiKeyName || a.apiKeyId)}</span>`;
+      if (a.type === 'share') return `share link <span style="color:var(--overlay0)">${this.escapeHtml(a.label || '')}</span>`;
+      return a.username ? this.escapeHtml(a.username) : `<span style="color:var(--overlay0)">${a.type}</span>`;
+    };
+
+    rows.insertAdjacentHTML('beforeend', data.entries.map(e => `<tr>
+      <td style="font-size:11px;white-space:nowrap">${new Date(e.ts).toLocaleString()}</td>
+      <td style="font-size:12px">${describeActor(e.actor)}</td>
+      <td style="font-size:12px" title="${this.escapeHtml((e.method ? e.method + ' ' : '') + (e.path || ''))}">${this.escapeHtml(e.action)}${e.details && e.details.bypassPermissions ? ' <span style="color:var(--peach)" title="--dangerously-skip-permissions">&#9888;</span>' : ''}</td>
+      <td style="font-size:11px;color:var(--subtext0)">${Object.entries(e.targets || {}).map(([k, v]) => `${this.escapeHtml(k)}=${this.escapeHtml(String(v).substring(0, 12))}`).join(' ')}</td>
+      <td style="font-size:12px;color:${outcomeColors[e.outcome] || 'var(--text)'}">${e.outcome}${e.status ? ' (' + e.status + ')' : ''}</td>
+      <td class="pid-cell">${this.escapeHtml(e.ip || '')}</td>
+    </tr>`).join(''));
+
+    if (!before && data.entries.length === 0) {
+      rows.innerHTML = '<tr><td colspan="6" class="resources-empty">No matching entries.</td></tr>';
+    }
+    this._auditNextBefore = data.nextBefore;
+    if (moreBtn) moreBtn.hidden = !data.nextBefore;
+  }
+
+  /**
+   * Fetch budgets and render them into the Resources panel (if it's showing).
+   */
+  async loadBudgets() {
+    const container = document.getElementById('resources-budgets');
+    if (!container) return;
+    try {
+      const data = await this.api('GET', '/api/budgets');
+      this.renderBudgets(data, container);
+    } catch (_) {
+      container.innerHTML = '';
+    }
+  }
+
+  /**
+   * Render the budgets section in the Resources panel.
+   * Shows each budget's current-period spend against its limit, with
+   * override/delete actions and a button to add a new budget.
+   */
+  renderBudgets(data, container) {
+    const budgets = (data && data.budgets) || [];
+    const formatCost = (c) => '$' + c.toFixed(2);
+    const blockedCount = budgets.filter(b => b.status && b.status.blocked).length;
+
+    let html = `<div class="resources-section-title">
+      Budgets
+      <span class="total-badge">${budgets.length} budget${budgets.length !== 1 ? 's' : ''}${blockedCount ? ' · ' + blockedCount + ' blocking' : ''}</span>
+      <button class="btn btn-ghost btn-sm" id="add-budget-btn" style="margin-left:auto;padding:2px 8px;font-size:11px;">+ Budget</button>
+    </div>`;
+
+    if (budgets.length === 0) {
+      html += '<div class="resources-empty">No budgets. Add one to get alerts (or block new sessions) when spend crosses a limit.</div>';
+    } else {
+      html += `<table class="claude-session-table">
+        <thead><tr><th>Budget</th><th>Period</th><th>Spend</th><th>Status</th><th></th></tr></thead><tbody>`;
+      budgets.forEach(b => {
+        const st = b.status || { spend: 0, pct: 0 };
+        const pct = Math.round(st.pct * 100);
+        const color = st.exceeded ? 'var(--red)' : pct >= 80 ? 'var(--yellow)' : 'var(--green)';
+        let statusText = st.exceeded ? 'Exceeded' : 'OK';
+        if (st.blocked) statusText = 'Blocking';
+        else if (st.exceeded && st.overridden) statusText = 'Overridden';
+        else if (st.exceeded && !b.block) statusText = 'Exceeded (alert only)';
+
+        html += `<tr>
+          <td class="session-name-cell">${this.escapeHtml(b.label)}</td>
+          <td style="font-size:11px;color:var(--subtext0)">${b.period}</td>
+          <td style="min-width:160px">
+            <div style="display:flex;align-items:center;gap:6px">
+              <div style="flex:1">
+                <div style="height:5px;background:var(--surface0);border-radius:3px;overflow:hidden">
+                  <div style="height:100%;width:${Math.min(100, pct)}%;background:${color};border-radius:3px"></div>
+                </div>
+              </div>
+              <span style="font-size:11px;color:var(--text);white-space:nowrap">${formatCost(st.spend)} / ${formatCost(b.limit)}</span>
+            </div>
+          </td>
+          <td style="font-size:12px;color:${color}">${statusText}</td>
+          <td style="white-space:nowrap">
+            ${st.blocked ? `<button class="btn btn-ghost btn-sm budget-override-btn" data-budget-id="${b.id}" style="padding:2px 6px;font-size:11px;">Override</button>` : ''}
+            <button class="btn btn-ghost btn-sm budget-delete-btn" data-budget-id="${b.id}" style="padding:2px 6px;font-size:11px;color:var(--red);">Delete</button>
+          </td>
+        </tr>`;
+      });
+      html += '</tbody></table>';
+    }
+    container.innerHTML = html;
+
+    const addBtn = container.querySelector('#add-budget-btn');
+    if (addBtn) addBtn.addEventListener('click', () => this.createBudget());
+
+    container.querySelectorAll('.budget-override-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const confirmed = await this.showConfirmModal({
+          title: 'Override Budget',
+          message: 'Allow new sessions to start for the rest of this budget period?',
+          confirmText: 'Override',
+        });
+        if (!confirmed) return;
+        try {
+          await this.api('POST', `/api/budgets/${btn.dataset.budgetId}/override`);
+          this.showToast('Budget block lifted for this period', 'success');
+          this.loadBudgets();
+        } catch (err) {
+          this.showToast(err.message || 'Failed to override budget', 'error');
+        }
+      });
+    });
+
+    container.querySelectorAll('.budget-delete-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const confirmed = await this.showConfirmModal({
+          title: 'Delete Budget',
+          message: 'Delete this budget?',
+          confirmText: 'Delete',
+          confirmClass: 'btn-danger',
+        });
+        if (!confirmed) return;
+        try {
+          await this.api('DELETE', `/api/budgets/${btn.dataset.budgetId}`);
+          this.loadBudgets();
+        } catch (err) {
+          this.showToast(err.message || 'Failed to delete budget', 'error');
+        }
+      });
+    });
+  }
+
+  /**
+   * Prompt for and create a new budget. Targets can be global, any
+   * workspace, or a feature in the active workspace.
+   */
+  async createBudget() {
+    const targets = [{ value: 'global:', label: 'Global (all sessions)' }];
+    this.state.workspaces.forEach(ws => {
+      targets.push({ value: 'workspace:' + ws.id, label: 'Workspace: ' + ws.name });
+    });
+    if (this.state.activeWorkspace) {
+      try {
+        const data = await this.api('GET', `/api/workspaces/${this.state.activeWorkspace.id}/features`);
+        (data.features || []).forEach(f => {
+          targets.push({ value: 'feature:' + f.id, label: 'Feature: ' + f.name });
+        });
+      } catch (_) {}
+    }
+
+    const result = await this.showPromptModal({
+      title: 'New Budget',
+      fields: [
+        { key: 'target', label: 'Applies To', type: 'select', options: targets },
+        { key: 'period', label: 'Period', type: 'select', options: [
+          { value: 'daily', label: 'Daily' },
+          { value: 'weekly', label: 'Weekly' },
+          { value: 'monthly', label: 'Monthly' },
+        ] },
+        { key: 'limit', label: 'Limit (USD)', placeholder: '50', required: true, type: 'number' },
+        { key: 'block', label: 'Block new sessions when exceeded', type: 'checkbox' },
+      ],
+      confirmText: 'Create',
+    });
+    if (!result) return;
+
+    const [scope, targetId] = result.target.split(':');
+    try {
+      await this.api('POST', '/api/budgets', {
+        scope,
+        targetId: targetId || null,
+        period: result.period,
+        limit: parseFloat(result.limit),
+        block: !!result.block,
+      });
+      this.showToast('Budget created', 'success');
+      this.loadBudgets();
+    } catch (err) {
+      this.showToast(err.message || 'Failed to create budget', 'error');
+    }
+  }
+
+  /**
+   * Fetch the cost report for the selected interval/grouping and render it
+   * into the Resources panel (if showing).
+   */
+  async loadCostReport() {
+    const container = document.getElementById('resources-cost-report');
+    if (!container) return;
+    if (!this._costReportOptions) this._costReportOptions = { interval: 'month', groupBy: 'workspace' };
+    const { interval, groupBy } = this._costReportOptions;
+    try {
+      const data = await this.api('GET', `/api/reports/cost?interval=${interval}&groupBy=${groupBy}`);
+      this.renderCostReport(data, container);
+    } catch (_) {
+      container.innerHTML = '';
+    }
+  }
+
+  /**
+   * Render the cost report section: interval/grouping pickers, CSV/JSON
+   * download buttons, and the most recent periods' rows.
+   */
+  renderCostReport(data, container) {
+    const selectStyle = 'padding:2px 6px;border-radius:4px;background:var(--surface0);color:var(--text-primary);border:1px solid var(--surface1);font-size:11px;';
+    const option = (value, label, current) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`;
+    const fmtCost = (c) => '$' + c.toFixed(2);
+    const fmtTokens = (n) => n >= 1_000_000 ? (n / 1_000_000).toFixed(1) + 'M' : n >= 1000 ? Math.round(n / 1000) + 'K' : String(n);
+
+    let html = `<div class="resources-section-title">
+      Cost Report
+      <span class="total-badge">${fmtCost(data.totals.cost)} · ${data.totals.sessions} session${data.totals.sessions !== 1 ? 's' : ''}</span>
+      <span style="margin-left:auto;display:flex;gap:6px;align-items:center">
+        <select id="cost-report-interval" style="${selectStyle}">
+          ${option('day', 'Daily', data.interval)}${option('week', 'Weekly', data.interval)}${option('month', 'Monthly', data.interval)}
+        </select>
+        <select id="cost-report-group" style="${selectStyle}">
+          ${option('workspace', 'by Workspace', data.groupBy)}${option('project', 'by Project', data.groupBy)}${option('model', 'by Model', data.groupBy)}${option('feature', 'by Feature', data.groupBy)}
+        </select>
+        <button class="btn btn-ghost btn-sm" data-format="csv" style="padding:2px 8px;font-size:11px;">CSV</button>
+        <button class="btn btn-ghost btn-sm" data-format="json" style="padding:2px 8px;font-size:11px;">JSON</button>
+      </span>
+    </div>`;
+
+    if (data.rows.length === 0) {
+      html += '<div style="font-size:12px;color:var(--overlay0);padding:8px 0">No usage recorded yet.</div>';
+    } else {
+      // Newest periods first; the downloads carry the full history
+      const periods = [...new Set(data.rows.map(r => r.period))].reverse().slice(0, 3);
+      html += `<table class="claude-session-table">
+        <thead><tr><th>Period</th><th>${this.escapeHtml(data.groupBy.charAt(0).toUpperCase() + data.groupBy.slice(1))}</th><th>Sessions</th><th>Tokens</th><th>Cost</th></tr></thead><tbody>`;
+      periods.forEach(period => {
+        data.rows.filter(r => r.period === period).forEach(r => {
+          html += `<tr>
+            <td style="font-size:11px;color:var(--subtext0)">${this.escapeHtml(r.period)}</td>
+            <td class="session-name-cell" title="${this.escapeHtml(r.label)}">${this.escapeHtml(r.label)}</td>
+            <td style="font-size:12px">${r.sessions}</td>
+            <td style="font-size:12px;color:var(--subtext0)">${fmtTokens(r.tokens.total)}</td>
+            <td style="font-size:12px">${fmtCost(r.cost)}${r.pricedWithFallback ? '<span title="Includes models priced at the default rate" style="color:var(--yellow)">*</span>' : ''}</td>
+          </tr>`;
+        });
+      });
+      html += '</tbody></table>';
+    }
+    container.innerHTML = html;
+
+    const onChange = () => {
+      this._costReportOptions = {
+        interval: container.querySelector('#cost-report-interval').value,
+        groupBy: container.querySelector('#cost-report-group').value,
+      };
+      this.loadCostReport();
+    };
+    container.querySelector('#cost-report-interval').addEventListener('change', onChange);
+    container.querySelector('#cost-report-group').addEventListener('change', onChange);
+    container.querySelectorAll('[data-format]').forEach(btn => {
+      btn.addEventListener('click', () => this.downloadCostReport(btn.dataset.format));
+    });
+  }
+
+  /**
+   * Download the current cost report as CSV or JSON.
+   * @param {'csv'|'json'} format
+   */
+  async downloadCostReport(format) {
+    const { interval, groupBy } = this._costReportOptions || { interval: 'month', groupBy: 'workspace' };
+    try {
+      await this.downloadFile(
+        `/api/reports/cost?interval=${interval}&groupBy=${groupBy}&format=${format}`,
+        `cost-report-${interval}-by-${groupBy}.${format}`
+      );
+    } catch (err) {
+      this.showToast('Failed to download report: ' + err.message, 'error');
+    }
+  }
+
+  /**
+   * Download an API response as a file. Fetched with the auth header (a plain
+   * link can't send it) and saved via a temporary object URL.
+   * @param {string} path - API path
+   * @param {string} filename - Suggested file name
+   */
+  async downloadFile(path, filename) {
+    const res = await fetch(path, {
+      headers: { 'Authorization': `Bearer ${this.state.token}` },
+    });
+    if (!res.ok) {
+      const errBody = await res.json().catch(() => ({}));
+      throw new Error(errBody.error || `Request failed (${res.status})`);
+    }
+    const blob = await res.blob();
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Fetch the pricing table and render it into the Resources panel (if showing).
+   */
+  async loadPricing() {
+    const container = document.getElementById('resources-pricing');
+    if (!container) return;
+    try {
+      const data = await this.api('GET', '/api/pricing');
+      this.renderPricing(data, container);
+    } catch (_) {
+      container.innerHTML = '';
+    }
+  }
+
+  /**
+   * Render the model pricing section: the active rules, a warning for models
+   * priced with the default rate, and an Edit button for the JSON editor.
+   */
+  renderPricing(data, container) {
+    const pricing = data.pricing || { default: {}, models: [] };
+    const unpriced = data.unpricedModels || [];
+    const rate = (r) => `$${r.input} / $${r.output}`;
+
+    let html = `<div class="resources-section-title">
+      Model Pricing
+      <span class="total-badge">${pricing.models.length} rule${pricing.models.length !== 1 ? 's' : ''} · per 1M tokens</span>
+      <button class="btn btn-ghost btn-sm" id="edit-pricing-btn" style="margin-left:auto;padding:2px 8px;font-size:11px;">Edit</button>
+    </div>`;
+
+    if (unpriced.length > 0) {
+      html += `<div style="padding:8px 12px;margin-bottom:10px;background:rgba(249,226,175,0.1);border:1px solid var(--yellow);border-radius:6px;font-size:12px;color:var(--yellow)">
+        Priced at the default rate (no matching rule): ${unpriced.map(m => this.escapeHtml(m)).join(', ')}
+      </div>`;
+    }
+
+    html += `<table class="claude-session-table">
+      <thead><tr><th>Model</th><th>Input / Output</th><th>Cache W / R</th><th>Effective</th></tr></thead><tbody>`;
+    pricing.models.forEach(m => {
+      const effective = (m.effectiveFrom || m.effectiveTo)
+        ? `${m.effectiveFrom || '…'} → ${m.effectiveTo || '…'}`
+        : 'always';
+      html += `<tr>
+        <td class="session-name-cell" style="font-family:var(--font-mono, monospace);font-size:11px">${this.escapeHtml(m.match)}</td>
+        <td style="font-size:12px">${rate(m)}</td>
+        <td style="font-size:12px;color:var(--subtext0)">$${m.cacheWrite} / $${m.cacheRead}</td>
+        <td style="font-size:11px;color:var(--subtext0)">${effective}</td>
+      </tr>`;
+    });
+    html += `<tr>
+      <td class="session-name-cell" style="font-size:11px;color:var(--overlay0)">default (unmatched)</td>
+      <td style="font-size:12px">${rate(pricing.default)}</td>
+      <td style="font-size:12px;color:var(--subtext0)">$${pricing.default.cacheWrite} / $${pricing.default.cacheRead}</td>
+      <td></td>
+    </tr>`;
+    html += '</tbody></table>';
+    container.innerHTML = html;
+
+    const editBtn = container.querySelector('#edit-pricing-btn');
+    if (editBtn) editBtn.addEventListener('click', () => this.editPricing(JSON.stringify(pricing, null, 2)));
+  }
+
+  /**
+   * Open the pricing JSON editor. Invalid JSON or a rejected table reopens
+   * the editor with the text preserved so edits aren't lost.
+   * @param {string} text - Initial editor contents
+   */
+  async editPricing(text) {
+    const result = await this.showPromptModal({
+      title: 'Edit Model Pricing',
+      headerHtml: `<p style="font-size:12px;color:var(--subtext0);margin-bottom:8px">
+        USD per million tokens. <code>match</code> accepts <code>*</code> wildcards (e.g. <code>claude-opus-4-*</code>).
+        Optional <code>effectiveFrom</code>/<code>effectiveTo</code> (YYYY-MM-DD) keep historical sessions at the prices they ran under.
+      </p>`,
+      fields: [
+        { key: 'json', label: 'Pricing (JSON)', type: 'textarea', value: text, required: true },
+      ],
+      confirmText: 'Save',
+    });
+    if (!result) return;
+
+    let table;
+    try {
+      table = JSON.parse(result.json);
+    } catch (err) {
+      this.showToast('Invalid JSON: ' + err.message, 'error');
+      return this.editPricing(result.json);
+    }
+    try {
+      await this.api('PUT', '/api/pricing', table);
+      this.showToast('Pricing saved', 'success');
+      if (this.state.viewMode === 'resources') this.fetchResources();
+    } catch (err) {
+      this.showToast(err.message || 'Failed to save pricing', 'error');
+      return this.editPricing(result.json);
+    }
+  }
+
+  /**
+   * Render the token quota overview section in the Resources panel.
+   * Shows all sessions ranked by context window heaviness with urgency indicators.
+   */
+  renderQuotaOverview(data, container) {
+    if (!data || !data.sessions || data.sessions.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const summary = data.summary || {};
+    const formatTokens = (t) => {
+      if (t >= 1000000) return (t / 1000000).toFixed(1) + 'M';
+      if (t >= 1000) return (t / 1000).toFixed(0) + 'K';
+      return t.toString();
+    };
+    const formatCost = (c) => c < 0.01 ? '<$0.01' : '$' + c.toFixed(2);
+
+    let html = `<div class="resources-section-title">
+      Token Quota
+      <span class="total-badge">${summary.totalSessions} sessions · ${formatTokens(summary.totalTokens)} tokens · ${formatCost(summary.totalCost)}</span>
+    </div>`;
+
+    // Summary alert cards for critical/warning sessions
+    if (summary.criticalCount > 0 || summary.warningCount > 0) {
+      html += '<div style="display:flex;gap:8px;margin-bottom:10px">';
+      if (summary.criticalCount > 0) {
+        html += `<div style="flex:1;padding:8px 12px;background:rgba(243,139,168,0.1);border:1px solid var(--red);border-radius:6px;font-size:12px;color:var(--red)">
+          <strong>${summary.criticalCount}</strong> session${summary.criticalCount > 1 ? 's' : ''} over 80% context — consider compacting
+        </div>`;
+      }
+      if (summary.warningCount > 0) {
+        html += `<div style="flex:1;padding:8px 12px;background:rgba(249,226,175,0.1);border:1px solid var(--yellow);border-radius:6px;font-size:12px;color:var(--yellow)">
+          <strong>${summary.warningCount}</strong> session${summary.warningCount > 1 ? 's' : ''} over 50% context
+        </div>`;
+      }
+      html += '</div>';
+    }
+
+    // Session table sorted by heaviness
+    html += `<table class="claude-session-table">
+      <thead><tr>
+        <th>Session</th>
+        <th>Workspace</th>
+        <th>Context</th>
+        <th>Cost</th>
+        <th>Messages</th>
+      </tr></thead><tbody>`;
+
+    // Show top 20 sessions
+    data.sessions.slice(0, 20).forEach(s => {
+      const urgencyColor = s.urgency === 'critical' ? 'var(--red)' : s.urgency === 'warning' ? 'var(--yellow)' : 'var(--green)';
+      const urgencyIcon = s.urgency === 'critical' ? '&#9888;' : s.urgency === 'warning' ? '&#9679;' : '&#10003;';
+      const barWidth = Math.min(100, s.contextPct);
+
+      html += `<tr>
+        <td class="session-name-cell">${this.escapeHtml(s.sessionName)}</td>
+        <td style="font-size:11px;color:var(--subtext0)">${this.escapeHtml(s.workspaceName)}</td>
+        <td style="min-width:140px">
+          <div style="display:flex;align-items:center;gap:6px">
+            <span style="color:${urgencyColor};font-size:11px" title="${s.urgency}">${urgencyIcon}</span>
+            <div style="flex:1">
+              <div style="height:5px;background:var(--surface0);border-radius:3px;overflow:hidden">
+                <div style="height:100%;width:${barWidth}%;background:${urgencyColor};border-radius:3px"></div>
+              </div>
+            </div>
+            <span style="font-size:11px;color:var(--text);min-width:40px;text-align:right">${formatTokens(s.latestInputTokens)}</span>
+          </div>
+        </td>
+        <td class="cost-cell" style="font-size:12px">${formatCost(s.totalCost)}${s.pricedWithFallback ? ' <span style="color:var(--yellow)" title="Includes models priced at the default rate">*</span>' : ''}</td>
+        <td style="font-size:12px;color:var(--subtext0)">${s.messageCount}</td>
+      </tr>`;
+    });
+
+    html += '</tbody></table>';
+    container.innerHTML = html;
+  }
+
+  async showWorktreeList(dir) {
+    try {
+      const data = await this.api('GET', '/api/git/worktrees?dir=' + encodeURIComponent(dir));
+      if (!data.worktrees || data.worktrees.length === 0) {
+        this.showToast('No worktrees found', 'info');
+        return;
+      }
+      let msg = data.worktrees.map(wt =>
+        (wt.branch || 'detached') + '  →  ' + wt.path
+      ).join('\n');
+      await this.showConfirmModal({
+        title: 'Git Worktrees (' + data.worktrees.length + ')',
+        message: msg,
+        confirmText: 'OK',
+      });
+    } catch (err) {
+      this.showToast(err.message || 'Failed to list worktrees', 'error');
+    }
+  }
+
+  async createWorktree(workspaceId) {
+    const result = await this.showPromptModal({
+      title: 'Create Git Worktree',
+      fields: [
+        { key: 'repoDir', label: 'Repository Path', placeholder: 'C:\\path\\to\\repo', required: true },
+        { key: 'branch', label: 'Branch Name', placeholder: 'feat/my-feature', required: true },
+        { key: 'path', label: 'Worktree Path (optional)', placeholder: 'Leave blank for default' },
+      ],
+      confirmText: 'Create Worktree',
+    });
+    if (!result) return;
+    try {
+      const data = await this.api('POST', '/api/git/worktrees', {
         repoDir: result.repoDir,
         branch: result.branch,
         path: result.path || undefined,
@@ -8465,156 +10588,699 @@ class CWMApp {
   }
 
 
-  /* ═══════════════════════════════════════════════════════════
-     GLOBAL SEARCH (Ctrl+Shift+F / Cmd+Shift+F)
-     ═══════════════════════════════════════════════════════════ */
-
-  openGlobalSearch() {
-    if (!this.els.searchOverlay) return;
-    this.els.searchOverlay.hidden = false;
-    this.els.searchInput.value = '';
-    this.els.searchResults.innerHTML = '<div class="qs-empty">Type to search across all session history</div>';
-    // Small delay so animation plays before focus
-    requestAnimationFrame(() => this.els.searchInput.focus());
-
-    // Bind input handler (debounced)
-    if (this._searchInputHandler) {
-      this.els.searchInput.removeEventListener('input', this._searchInputHandler);
-    }
-    this._searchInputHandler = () => {
-      clearTimeout(this._searchDebounceTimer);
-      const query = this.els.searchInput.value.trim();
-      if (query.length < 2) {
-        this.els.searchResults.innerHTML = '<div class="qs-empty">Enter at least 2 characters to search</div>';
-        return;
-      }
-      this.els.searchResults.innerHTML = '<div class="qs-empty">Searching...</div>';
-      this._searchDebounceTimer = setTimeout(() => {
-        this.performGlobalSearch(query);
-      }, 300);
+  /* ═══════════════════════════════════════════════════════════
+     GLOBAL SEARCH (Ctrl+Shift+F / Cmd+Shift+F)
+     ═══════════════════════════════════════════════════════════ */
+
+  openGlobalSearch() {
+    if (!this.els.searchOverlay) return;
+    this.els.searchOverlay.hidden = false;
+    this.els.searchInput.value = '';
+    this.els.searchResults.innerHTML = '<div class="qs-empty">Type to search across all session history</div>';
+    // Small delay so animation plays before focus
+    requestAnimationFrame(() => this.els.searchInput.focus());
+
+    // Bind input handler (debounced)
+    if (this._searchInputHandler) {
+      this.els.searchInput.removeEventListener('input', this._searchInputHandler);
+    }
+    this._searchInputHandler = () => {
+      clearTimeout(this._searchDebounceTimer);
+      const query = this.els.searchInput.value.trim();
+      if (query.length < 2) {
+        this.els.searchResults.innerHTML = '<div class="qs-empty">Enter at least 2 characters to search</div>';
+        return;
+      }
+      this.els.searchResults.innerHTML = '<div class="qs-empty">Searching...</div>';
+      this._searchDebounceTimer = setTimeout(() => {
+        this.performGlobalSearch(query);
+      }, 300);
+    };
+    this.els.searchInput.addEventListener('input', this._searchInputHandler);
+
+    // Bind keydown handler for Enter and Escape
+    if (this._searchKeyHandler) {
+      this.els.searchInput.removeEventListener('keydown', this._searchKeyHandler);
+    }
+    this._searchKeyHandler = (e) => {
+      if (e.key === 'Enter') {
+        clearTimeout(this._searchDebounceTimer);
+        const query = this.els.searchInput.value.trim();
+        if (query.length >= 2) {
+          this.els.searchResults.innerHTML = '<div class="qs-empty">Searching...</div>';
+          this.performGlobalSearch(query);
+        }
+      } else if (e.key === 'Escape') {
+        this.closeGlobalSearch();
+      }
+    };
+    this.els.searchInput.addEventListener('keydown', this._searchKeyHandler);
+
+    // Click overlay background to close
+    if (this._searchOverlayClickHandler) {
+      this.els.searchOverlay.removeEventListener('click', this._searchOverlayClickHandler);
+    }
+    this._searchOverlayClickHandler = (e) => {
+      if (e.target === this.els.searchOverlay) {
+        this.closeGlobalSearch();
+      }
+    };
+    this.els.searchOverlay.addEventListener('click', this._searchOverlayClickHandler);
+  }
+
+  closeGlobalSearch() {
+    if (!this.els.searchOverlay) return;
+    this.els.searchOverlay.hidden = true;
+    this.els.searchInput.value = '';
+    clearTimeout(this._searchDebounceTimer);
+  }
+
+  async performGlobalSearch(query) {
+    try {
+      const data = await this.api('GET', `/api/search?q=${encodeURIComponent(query)}&limit=30`);
+      const results = data.results || [];
+
+      if (results.length === 0) {
+        this.els.searchResults.innerHTML = '<div class="qs-empty">No results found</div>';
+        return;
+      }
+
+      const html = results.map(r => {
+        const projectName = this.escapeHtml(r.projectName || r.project || 'Unknown');
+        const timeStr = r.timestamp ? this.relativeTime(r.timestamp) : (r.modified ? this.relativeTime(r.modified) : '');
+        const snippet = this.highlightSearchQuery(this.escapeHtml(r.snippet || r.preview || ''), query);
+        const sessionId = this.escapeHtml(r.sessionId || '');
+        const role = this.escapeHtml(r.role || r.type || '');
+
+        const action = r.archived
+          ? '<span class="search-result-archived">Archived</span><button class="btn btn-ghost btn-sm search-result-resume" title="Restore to ~/.claude/projects">Restore</button>'
+          : '<button class="btn btn-ghost btn-sm search-result-resume" title="Resume in a terminal">Resume</button>';
+
+        return `
+          <div class="search-result" data-session-id="${sessionId}" data-project-path="${this.escapeHtml(r.projectPath || '')}">
+            <div class="search-result-header">
+              <span class="search-result-project">${projectName}</span>
+              <span class="search-result-time">${timeStr}</span>
+            </div>
+            <div class="search-result-snippet">${snippet}</div>
+            <div class="search-result-meta">${sessionId}${role ? ' &middot; ' + role : ''}
+              ${action}
+            </div>
+          </div>`;
+      }).join('');
+
+      this.els.searchResults.innerHTML = html;
+
+      // Bind click events on results to navigate to the session
+      // Clicking a hit opens the conversation at that message; Resume opens the session
+      this.els.searchResults.querySelectorAll('.search-result').forEach((el, i) => {
+        el.addEventListener('click', (e) => {
+          const sessionId = el.dataset.sessionId;
+          const projectPath = el.dataset.projectPath;
+          if (!sessionId) return;
+          this.closeGlobalSearch();
+          if (results[i].archived) {
+            // Archived transcripts have to be restored before they can be read
+            this.restoreArchivedSession(sessionId, { line: results[i].lineNumber, title: results[i].sessionName });
+          } else if (e.target.closest('.search-result-resume')) {
+            this.openConversationResult(sessionId, projectPath);
+          } else {
+            this.openTranscriptViewer(sessionId, { line: results[i].lineNumber, title: results[i].sessionName });
+          }
+        });
+      });
+    } catch (err) {
+      this.els.searchResults.innerHTML = `<div class="qs-empty" style="color: var(--red);">Search failed: ${this.escapeHtml(err.message || 'Unknown error')}</div>`;
+    }
+  }
+
+  /**
+   * Highlight matching portions of text with <mark> tags.
+   * The text should already be HTML-escaped before calling this method.
+   */
+  highlightSearchQuery(escapedText, query) {
+    if (!query || !escapedText) return escapedText;
+    // Escape regex special characters in the query
+    const safeQuery = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Escape the query for HTML (in case it contains & < > etc.) to match against escaped text
+    const escapedQuery = this.escapeHtml(query);
+    const safeEscapedQuery = escapedQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    try {
+      const regex = new RegExp(`(${safeEscapedQuery})`, 'gi');
+      return escapedText.replace(regex, '<mark>$1</mark>');
+    } catch {
+      return escapedText;
+    }
+  }
+
+
+  /* ═══════════════════════════════════════════════════════════
+     FILE HISTORY
+     ═══════════════════════════════════════════════════════════ */
+
+  /**
+   * Look up which sessions read or changed a file and list them above the
+   * session list.
+   * @param {string} query - Absolute path or path suffix
+   */
+  async searchFileHistory(query) {
+    const container = this.els.fileHistoryResults;
+    if (!container) return;
+    if (query.length < 2) {
+      this.closeFileHistory();
+      return;
+    }
+    container.hidden = false;
+    container.innerHTML = '<div class="file-history-empty">Searching transcripts...</div>';
+    try {
+      const data = await this.api('GET', `/api/files/history?path=${encodeURIComponent(query)}`);
+      this.renderFileHistory(data);
+    } catch (err) {
+      container.innerHTML = `<div class="file-history-empty">${this.escapeHtml(err.message || 'File history failed')}</div>`;
+    }
+  }
+
+  closeFileHistory() {
+    if (this.els.fileHistoryInput) this.els.fileHistoryInput.value = '';
+    if (this.els.fileHistoryResults) {
+      this.els.fileHistoryResults.hidden = true;
+      this.els.fileHistoryResults.innerHTML = '';
+    }
+  }
+
+  /**
+   * Render file history results: one card per session, newest first, with
+   * its reads and edits. Clicking an event opens the conversation there.
+   * @param {object} data - From GET /api/files/history
+   */
+  renderFileHistory(data) {
+    const container = this.els.fileHistoryResults;
+    const files = data.files.length === 1 ? data.files[0] : `${data.files.length} matching files`;
+    let html = `<div class="file-history-header">
+      <span title="${this.escapeHtml(data.files.join('\n'))}">${data.total} session${data.total !== 1 ? 's' : ''} touched ${this.escapeHtml(data.files.length ? files : data.path)}${data.timedOut ? ' (partial)' : ''}</span>
+      <button class="btn btn-ghost btn-icon btn-sm file-history-close" title="Close">&times;</button>
+    </div>`;
+
+    if (data.sessions.length === 0) {
+      html += '<div class="file-history-empty">No session read or edited a matching file.</div>';
+    }
+    data.sessions.forEach((s, i) => {
+      const linked = s.workspaceSessions.map(ws => this.escapeHtml(ws.name)).join(', ');
+      const events = s.events.slice(-20).reverse().map(e => {
+        const edits = (e.edits || []).map(d =>
+          `<pre class="file-history-diff">${d.old ? `<span class="tv-diff-del">${this.escapeHtml(d.old)}</span>\n` : ''}<span class="tv-diff-add">${this.escapeHtml(d.new)}</span></pre>`
+        ).join('');
+        return `<div class="file-history-event" data-line="${e.line}">
+          <span class="file-history-op file-history-op-${e.op}">${this.escapeHtml(e.tool)}</span>
+          <span class="file-history-time">${e.at ? this.relativeTime(e.at) : ''}</span>
+          ${data.files.length > 1 ? `<span class="file-history-path">${this.escapeHtml(e.file)}</span>` : ''}
+          ${edits}
+        </div>`;
+      }).join('');
+
+      html += `<div class="file-history-session" data-index="${i}">
+        <div class="file-history-session-header">
+          <span class="file-history-name">${this.escapeHtml(linked || s.sessionName)}</span>
+          ${s.archived ? '<span class="search-result-archived">Archived</span>' : ''}
+          <span class="file-history-counts">${s.edits} edit${s.edits !== 1 ? 's' : ''}, ${s.reads} read${s.reads !== 1 ? 's' : ''}</span>
+        </div>
+        <div class="file-history-meta">${this.escapeHtml(s.projectName || '')} &middot; ${s.lastAt ? this.relativeTime(s.lastAt) : ''}</div>
+        <div class="file-history-events">${events}${s.events.length > 20 ? `<div class="file-history-empty">${s.events.length - 20} earlier</div>` : ''}</div>
+      </div>`;
+    });
+    container.innerHTML = html;
+
+    container.querySelector('.file-history-close').addEventListener('click', () => this.closeFileHistory());
+    container.querySelectorAll('.file-history-session').forEach(card => {
+      const s = data.sessions[parseInt(card.dataset.index, 10)];
+      card.querySelectorAll('.file-history-event').forEach(el => {
+        el.addEventListener('click', () => {
+          const openAt = { line: parseInt(el.dataset.line, 10), title: s.sessionName };
+          if (s.archived) this.restoreArchivedSession(s.sessionId, openAt);
+          else this.openTranscriptViewer(s.sessionId, openAt);
+        });
+      });
+    });
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     CONFLICT DETECTION
+     ═══════════════════════════════════════════════════════════ */
+
+  /**
+   * Check for conflicts once sessions have loaded. After that the server
+   * pushes changes as workspace:conflicts events (see onWorkspaceConflicts).
+   */
+  startConflictChecks() {
+    setTimeout(() => this.checkForConflicts(), 5000);
+  }
+
+  /* ─── Scrollback Download ──────────────────────────────────── */
+
+  /**
+   * Download a session's spooled terminal output.
+   * @param {string} sessionId
+   * @param {'text'|'ansi'} format - Plain text or raw output with escape sequences
+   */
+  async downloadScrollback(sessionId, format) {
+    const session = (this.state.allSessions || this.state.sessions).find(s => s.id === sessionId);
+    const baseName = ((session && session.name) || sessionId).replace(/[^A-Za-z0-9_-]+/g, '-');
+    try {
+      await this.downloadFile(
+        `/api/pty/${encodeURIComponent(sessionId)}/scrollback?format=${format}`,
+        `${baseName}-scrollback.${format === 'text' ? 'txt' : 'ansi'}`
+      );
+    } catch (err) {
+      this.showToast(err.message || 'Failed to download scrollback', 'error');
+    }
+  }
+
+  /* ─── Session Recordings ───────────────────────────────────── */
+
+  /**
+   * Start or stop recording a terminal pane's PTY session. The pane's
+   * recording flag is updated by the server's 'recording' control message.
+   * @param {TerminalPane} tp
+   */
+  async toggleRecording(tp) {
+    const enable = !tp.recording;
+    try {
+      await this.api('POST', `/api/pty/${encodeURIComponent(tp.sessionId)}/recording`, { enabled: enable });
+      this.showToast(enable ? 'Recording started' : 'Recording saved', enable ? 'info' : 'success');
+    } catch (err) {
+      this.showToast(err.message || 'Failed to toggle recording', 'error');
+    }
+  }
+
+  /**
+   * Open the recording player with a session's recordings.
+   * @param {string} sessionId
+   * @param {string} [sessionName]
+   */
+  async showRecordings(sessionId, sessionName) {
+    const overlay = document.getElementById('recording-player-overlay');
+    if (!overlay) return;
+    this._initRecordingPlayer();
+    this._recordingSessionId = sessionId;
+    document.getElementById('recording-player-title').textContent = 'Recordings — ' + (sessionName || sessionId);
+    overlay.hidden = false;
+    await this.loadRecordingList();
+  }
+
+  /**
+   * Bind the recording player's controls (once).
+   */
+  _initRecordingPlayer() {
+    if (this._recordingPlayer) return;
+    const overlay = document.getElementById('recording-player-overlay');
+    const playBtn = document.getElementById('recording-player-play');
+    const seek = document.getElementById('recording-player-seek');
+    const timeEl = document.getElementById('recording-player-time');
+    const fmt = (sec) => Math.floor(sec / 60) + ':' + String(Math.floor(sec % 60)).padStart(2, '0');
+
+    this._recordingPlayer = new RecordingPlayer(document.getElementById('recording-player-screen'), {
+      onProgress: (position, duration) => {
+        timeEl.textContent = fmt(position) + ' / ' + fmt(duration);
+        if (!this._recordingSeeking) seek.value = duration > 0 ? Math.round((position / duration) * 1000) : 0;
+        playBtn.textContent = this._recordingPlayer && this._recordingPlayer.playing ? 'Pause' : 'Play';
+      },
+    });
+
+    playBtn.addEventListener('click', () => this._recordingPlayer.toggle());
+    seek.addEventListener('input', () => { this._recordingSeeking = true; });
+    seek.addEventListener('change', () => {
+      this._recordingSeeking = false;
+      this._recordingPlayer.seek((seek.value / 1000) * this._recordingPlayer.duration);
+    });
+    document.getElementById('recording-player-speed').addEventListener('change', (e) => {
+      this._recordingPlayer.setSpeed(parseFloat(e.target.value));
+    });
+
+    const close = () => {
+      this._recordingPlayer.pause();
+      overlay.hidden = true;
+    };
+    document.getElementById('recording-player-close').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !overlay.hidden) close();
+    });
+  }
+
+  /**
+   * Render the current session's recordings into the player sidebar.
+   */
+  async loadRecordingList() {
+    const list = document.getElementById('recording-player-list');
+    let recordings = [];
+    try {
+      const data = await this.api('GET', '/api/recordings?sessionId=' + encodeURIComponent(this._recordingSessionId));
+      recordings = data.recordings || [];
+    } catch (_) {}
+
+    if (recordings.length === 0) {
+      list.innerHTML = '<div class="recording-player-empty">No recordings yet. Right-click a terminal pane and choose Start Recording.</div>';
+      return;
+    }
+
+    const fmtDuration = (sec) => sec >= 60 ? Math.floor(sec / 60) + 'm ' + Math.round(sec % 60) + 's' : Math.round(sec) + 's';
+    list.innerHTML = recordings.map(r => `
+      <div class="recording-player-item${r.id === this._recordingPlayingId ? ' active' : ''}" data-id="${this.escapeHtml(r.id)}">
+        <div class="recording-player-item-title">${this.escapeHtml(new Date(r.startedAt).toLocaleString())}</div>
+        <div class="recording-player-item-meta">
+          ${r.active ? '<span class="recording-player-live">&#9679; recording</span> · ' : ''}${fmtDuration(r.duration)} · ${this.formatSize(r.size)}
+        </div>
+        <div class="recording-player-item-actions">
+          <button class="btn btn-ghost btn-sm" data-action="download">Download</button>
+          <button class="btn btn-ghost btn-sm" data-action="delete" ${r.active ? 'disabled' : ''}>Delete</button>
+        </div>
+      </div>`).join('');
+
+    list.querySelectorAll('.recording-player-item').forEach(item => {
+      const id = item.dataset.id;
+      item.addEventListener('click', (e) => {
+        const action = e.target.dataset && e.target.dataset.action;
+        if (action === 'download') {
+          this.downloadFile(`/api/recordings/${encodeURIComponent(id)}`, id + '.cast')
+            .catch(err => this.showToast(err.message || 'Download failed', 'error'));
+        } else if (action === 'delete') {
+          this.deleteRecording(id);
+        } else {
+          this.playRecording(id);
+        }
+      });
+    });
+  }
+
+  /**
+   * Load a recording into the player and start playback.
+   * @param {string} id - Recording ID
+   */
+  async playRecording(id) {
+    try {
+      const res = await fetch(`/api/recordings/${encodeURIComponent(id)}`, {
+        headers: { 'Authorization': `Bearer ${this.state.token}` },
+      });
+      if (!res.ok) throw new Error(`Request failed (${res.status})`);
+      this._recordingPlayer.load(await res.text());
+      this._recordingPlayingId = id;
+      document.getElementById('recording-player-play').disabled = false;
+      document.getElementById('recording-player-seek').disabled = false;
+      document.querySelectorAll('.recording-player-item').forEach(el => {
+        el.classList.toggle('active', el.dataset.id === id);
+      });
+      this._recordingPlayer.play();
+    } catch (err) {
+      this.showToast('Failed to load recording: ' + err.message, 'error');
+    }
+  }
+
+  /**
+   * Delete a recording after confirmation.
+   * @param {string} id - Recording ID
+   */
+  async deleteRecording(id) {
+    const overlay = document.getElementById('recording-player-overlay');
+    overlay.hidden = true;
+    const confirmed = await this.showConfirmModal({
+      title: 'Delete Recording',
+      message: 'Delete this recording? This cannot be undone.',
+      confirmText: 'Delete',
+      confirmClass: 'btn-danger',
+    });
+    overlay.hidden = false;
+    if (!confirmed) return;
+    try {
+      await this.api('DELETE', `/api/recordings/${encodeURIComponent(id)}`);
+      if (this._recordingPlayingId === id) {
+        this._recordingPlayer.dispose();
+        this._recordingPlayingId = null;
+        document.getElementById('recording-player-screen').innerHTML = '';
+        document.getElementById('recording-player-play').disabled = true;
+        document.getElementById('recording-player-seek').disabled = true;
+      }
+      await this.loadRecordingList();
+    } catch (err) {
+      this.showToast(err.message || 'Failed to delete recording', 'error');
+    }
+  }
+
+  /* ─── Conversation Viewer ──────────────────────────────────── */
+
+  /**
+   * Open a session's conversation, read page by page from its transcript.
+   * @param {string} sessionId - Store session ID or transcript session ID
+   * @param {object} [options]
+   * @param {number} [options.line] - Open at this transcript line (a search hit) and highlight it
+   * @param {string} [options.agentId] - Show this subagent's own transcript instead
+   * @param {string} [options.provider] - For transcript IDs that aren't store sessions
+   * @param {string} [options.title]
+   */
+  async openTranscriptViewer(sessionId, { line = null, agentId = null, provider = null, title = null } = {}) {
+    const overlay = document.getElementById('transcript-viewer-overlay');
+    if (!overlay) return;
+    this._initTranscriptViewer();
+
+    const session = (this.state.allSessions || []).find(s => s.id === sessionId);
+    const name = title || (session && session.name) || sessionId.substring(0, 12);
+    this._transcript = {
+      sessionId, agentId, provider, name, line,
+      prevCursor: null, nextCursor: null, hasMore: false,
+      toolEls: new Map(),        // tool_use id -> result slot element
+      pendingResults: new Map(), // tool_use id -> result element rendered before its call
     };
-    this.els.searchInput.addEventListener('input', this._searchInputHandler);
+    document.getElementById('transcript-viewer-title').textContent =
+      agentId ? `Subagent ${agentId.substring(0, 8)} — ${name}` : `Conversation — ${name}`;
+    document.getElementById('transcript-viewer-back').hidden = !agentId;
+    document.getElementById('transcript-viewer-entries').innerHTML = '';
+    overlay.hidden = false;
 
-    // Bind keydown handler for Enter and Escape
-    if (this._searchKeyHandler) {
-      this.els.searchInput.removeEventListener('keydown', this._searchKeyHandler);
-    }
-    this._searchKeyHandler = (e) => {
-      if (e.key === 'Enter') {
-        clearTimeout(this._searchDebounceTimer);
-        const query = this.els.searchInput.value.trim();
-        if (query.length >= 2) {
-          this.els.searchResults.innerHTML = '<div class="qs-empty">Searching...</div>';
-          this.performGlobalSearch(query);
-        }
-      } else if (e.key === 'Escape') {
-        this.closeGlobalSearch();
+    await this.loadTranscriptPage(line ? 'line' : 'first');
+    if (line) {
+      const target = document.querySelector(`#transcript-viewer-entries [data-line="${line}"]`);
+      if (target) {
+        target.classList.add('tv-entry-target');
+        target.scrollIntoView({ block: 'center' });
       }
-    };
-    this.els.searchInput.addEventListener('keydown', this._searchKeyHandler);
-
-    // Click overlay background to close
-    if (this._searchOverlayClickHandler) {
-      this.els.searchOverlay.removeEventListener('click', this._searchOverlayClickHandler);
     }
-    this._searchOverlayClickHandler = (e) => {
-      if (e.target === this.els.searchOverlay) {
-        this.closeGlobalSearch();
-      }
-    };
-    this.els.searchOverlay.addEventListener('click', this._searchOverlayClickHandler);
   }
 
-  closeGlobalSearch() {
-    if (!this.els.searchOverlay) return;
-    this.els.searchOverlay.hidden = true;
-    this.els.searchInput.value = '';
-    clearTimeout(this._searchDebounceTimer);
+  /**
+   * Bind the conversation viewer's controls (once).
+   */
+  _initTranscriptViewer() {
+    if (this._transcriptViewerReady) return;
+    this._transcriptViewerReady = true;
+    const overlay = document.getElementById('transcript-viewer-overlay');
+    const close = () => { overlay.hidden = true; };
+    document.getElementById('transcript-viewer-close').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !overlay.hidden) close();
+    });
+    document.getElementById('transcript-viewer-older').addEventListener('click', () => this.loadTranscriptPage('older'));
+    document.getElementById('transcript-viewer-newer').addEventListener('click', () => this.loadTranscriptPage('newer'));
+    document.getElementById('transcript-viewer-back').addEventListener('click', () => {
+      const t = this._transcript;
+      if (t) this.openTranscriptViewer(t.sessionId, { provider: t.provider, title: t.name });
+    });
   }
 
-  async performGlobalSearch(query) {
+  /**
+   * Fetch and render one page of the open conversation.
+   * @param {'first'|'line'|'older'|'newer'} direction
+   */
+  async loadTranscriptPage(direction) {
+    const t = this._transcript;
+    if (!t) return;
+    const params = new URLSearchParams({ limit: '50' });
+    if (direction === 'line') params.set('line', t.line);
+    if (direction === 'older') params.set('before', t.prevCursor);
+    if (direction === 'newer') params.set('cursor', t.nextCursor);
+    if (t.agentId) params.set('agent', t.agentId);
+    if (t.provider) params.set('provider', t.provider);
+
+    const list = document.getElementById('transcript-viewer-entries');
+    let data;
     try {
-      const data = await this.api('GET', `/api/search?q=${encodeURIComponent(query)}&limit=30`);
-      const results = data.results || [];
-
-      if (results.length === 0) {
-        this.els.searchResults.innerHTML = '<div class="qs-empty">No results found</div>';
-        return;
+      data = await this.api('GET', `/api/sessions/${encodeURIComponent(t.sessionId)}/transcript?${params}`);
+    } catch (err) {
+      if (direction === 'first' || direction === 'line') {
+        list.innerHTML = `<div class="recording-player-empty">${this.escapeHtml(err.message || 'Failed to load conversation')}</div>`;
+      } else {
+        this.showToast(err.message || 'Failed to load conversation', 'error');
       }
+      return;
+    }
+    if (this._transcript !== t) return; // Viewer moved on while loading
 
-      const html = results.map(r => {
-        const projectName = this.escapeHtml(r.projectName || r.project || 'Unknown');
-        const timeStr = r.timestamp ? this.relativeTime(r.timestamp) : (r.modified ? this.relativeTime(r.modified) : '');
-        const snippet = this.highlightSearchQuery(this.escapeHtml(r.snippet || r.preview || ''), query);
-        const sessionId = this.escapeHtml(r.sessionId || '');
-        const role = this.escapeHtml(r.role || r.type || '');
-
-        return `
-          <div class="search-result" data-session-id="${sessionId}" data-project-path="${this.escapeHtml(r.projectPath || '')}">
-            <div class="search-result-header">
-              <span class="search-result-project">${projectName}</span>
-              <span class="search-result-time">${timeStr}</span>
-            </div>
-            <div class="search-result-snippet">${snippet}</div>
-            <div class="search-result-meta">${sessionId}${role ? ' &middot; ' + role : ''}</div>
-          </div>`;
-      }).join('');
+    const fragment = document.createDocumentFragment();
+    for (const entry of data.entries) {
+      const el = this.renderTranscriptEntry(entry);
+      if (el) fragment.appendChild(el);
+    }
 
-      this.els.searchResults.innerHTML = html;
+    if (direction === 'older') {
+      // Keep the reader's place while content is added above it
+      const body = document.getElementById('transcript-viewer-body');
+      const fromBottom = body.scrollHeight - body.scrollTop;
+      list.insertBefore(fragment, list.firstChild);
+      body.scrollTop = body.scrollHeight - fromBottom;
+    } else {
+      list.appendChild(fragment);
+    }
 
-      // Bind click events on results to navigate to the session
-      this.els.searchResults.querySelectorAll('.search-result').forEach(el => {
-        el.addEventListener('click', () => {
-          const sessionId = el.dataset.sessionId;
-          const projectPath = el.dataset.projectPath;
-          if (sessionId) {
-            this.openConversationResult(sessionId, projectPath);
-            this.closeGlobalSearch();
-          }
-        });
-      });
-    } catch (err) {
-      this.els.searchResults.innerHTML = `<div class="qs-empty" style="color: var(--red);">Search failed: ${this.escapeHtml(err.message || 'Unknown error')}</div>`;
+    if (direction !== 'newer') t.prevCursor = data.prevCursor;
+    if (direction !== 'older') {
+      t.nextCursor = data.nextCursor;
+      t.hasMore = data.hasMore;
     }
+    document.getElementById('transcript-viewer-older').hidden = !t.prevCursor;
+    // Always offer "Load more" on a live transcript; it picks up new messages
+    document.getElementById('transcript-viewer-newer').textContent = t.hasMore ? 'Load more' : 'Check for new messages';
+    document.getElementById('transcript-viewer-newer').hidden = false;
+    if (!list.firstChild) list.innerHTML = '<div class="recording-player-empty">No messages yet</div>';
   }
 
   /**
-   * Highlight matching portions of text with <mark> tags.
-   * The text should already be HTML-escaped before calling this method.
+   * Render one transcript entry. Tool results are placed inside their tool
+   * call's collapsible block; an entry holding nothing else renders nothing.
+   * @param {object} entry - From GET /api/sessions/:id/transcript
+   * @returns {HTMLElement|null}
    */
-  highlightSearchQuery(escapedText, query) {
-    if (!query || !escapedText) return escapedText;
-    // Escape regex special characters in the query
-    const safeQuery = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    // Escape the query for HTML (in case it contains & < > etc.) to match against escaped text
-    const escapedQuery = this.escapeHtml(query);
-    const safeEscapedQuery = escapedQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    try {
-      const regex = new RegExp(`(${safeEscapedQuery})`, 'gi');
-      return escapedText.replace(regex, '<mark>$1</mark>');
-    } catch {
-      return escapedText;
+  renderTranscriptEntry(entry) {
+    const t = this._transcript;
+    const el = document.createElement('div');
+    el.className = `tv-entry tv-entry-${entry.role}` + (entry.sidechain ? ' tv-entry-sidechain' : '') + (entry.meta ? ' tv-entry-meta' : '');
+    el.dataset.line = entry.line;
+
+    const labels = { user: 'You', assistant: 'Assistant', system: 'System', summary: 'Summary' };
+    const meta = [];
+    if (entry.sidechain) meta.push('<span class="tv-tag">subagent</span>');
+    if (entry.timestamp) meta.push(this.escapeHtml(new Date(entry.timestamp).toLocaleString()));
+    if (entry.model) meta.push(this.escapeHtml(entry.model));
+    if (entry.usage) {
+      const u = entry.usage;
+      meta.push(`in ${u.input.toLocaleString()} · out ${u.output.toLocaleString()}` +
+        (u.cacheRead || u.cacheWrite ? ` · cache ${(u.cacheRead + u.cacheWrite).toLocaleString()}` : ''));
+    }
+    el.innerHTML = `<div class="tv-entry-header"><span class="tv-role">${labels[entry.role] || this.escapeHtml(entry.role)}</span>
+      <span class="tv-meta">${meta.join(' · ')}</span></div>`;
+
+    let visible = 0;
+    for (const block of entry.blocks) {
+      if (block.type === 'text') {
+        const div = document.createElement('div');
+        div.className = 'tv-text';
+        div.textContent = block.text;
+        el.appendChild(div);
+        visible++;
+      } else if (block.type === 'thinking') {
+        const details = document.createElement('details');
+        details.className = 'tv-thinking';
+        details.innerHTML = '<summary>Thinking</summary>';
+        const div = document.createElement('div');
+        div.className = 'tv-text';
+        div.textContent = block.text;
+        details.appendChild(div);
+        el.appendChild(details);
+        visible++;
+      } else if (block.type === 'image') {
+        const div = document.createElement('div');
+        div.className = 'tv-image';
+        div.textContent = '[image]';
+        el.appendChild(div);
+        visible++;
+      } else if (block.type === 'tool_use') {
+        el.appendChild(this.renderTranscriptToolCall(block));
+        visible++;
+      } else if (block.type === 'tool_result') {
+        const resultEl = this.renderTranscriptToolResult(block);
+        const slot = t.toolEls.get(block.toolUseId);
+        if (slot) {
+          slot.appendChild(resultEl);
+        } else {
+          // Its call is on a page not loaded yet (paging upward)
+          t.pendingResults.set(block.toolUseId, resultEl);
+          el.appendChild(resultEl);
+          visible++;
+        }
+      }
     }
+    return visible > 0 ? el : null;
   }
 
+  /**
+   * A collapsible tool call: a one-line summary, then its diff (file edits)
+   * or input, then its result once loaded.
+   * @param {{ id: string, name: string, input: object, diff?: object }} block
+   * @returns {HTMLElement}
+   */
+  renderTranscriptToolCall(block) {
+    const input = block.input && typeof block.input === 'object' ? block.input : {};
+    const brief = input.file_path || input.command || input.pattern || input.description || input.url || '';
+    const details = document.createElement('details');
+    details.className = 'tv-tool';
+    details.innerHTML = `<summary><span class="tv-tool-name">${this.escapeHtml(block.name || 'tool')}</span>
+      <span class="tv-tool-brief">${this.escapeHtml(String(brief).split('\n')[0].substring(0, 160))}</span></summary>`;
+    // Edits are what a reviewer wants to see, so those start open
+    if (block.diff) details.open = true;
+
+    if (block.diff) {
+      const diff = document.createElement('div');
+      diff.className = 'tv-diff';
+      diff.innerHTML = block.diff.hunks.map(hunk => hunk.map(l => {
+        const cls = l.op === '+' ? 'tv-diff-add' : l.op === '-' ? 'tv-diff-del' : 'tv-diff-ctx';
+        return `<div class="${cls}">${this.escapeHtml(l.op + ' ' + l.text)}</div>`;
+      }).join('')).join('<div class="tv-diff-sep">⋯</div>') +
+        (block.diff.truncated ? '<div class="tv-diff-sep">(diff truncated)</div>' : '');
+      details.appendChild(diff);
+    } else {
+      const pre = document.createElement('pre');
+      pre.className = 'tv-tool-input';
+      pre.textContent = typeof block.input === 'string' ? block.input : JSON.stringify(block.input, null, 2);
+      details.appendChild(pre);
+    }
 
-  /* ═══════════════════════════════════════════════════════════
-     CONFLICT DETECTION
-     ═══════════════════════════════════════════════════════════ */
+    const slot = document.createElement('div');
+    slot.className = 'tv-tool-result-slot';
+    details.appendChild(slot);
+    const t = this._transcript;
+    if (block.id) {
+      t.toolEls.set(block.id, slot);
+      const pending = t.pendingResults.get(block.id);
+      if (pending) {
+        const orphanEntry = pending.closest('.tv-entry');
+        slot.appendChild(pending);
+        t.pendingResults.delete(block.id);
+        if (orphanEntry && !orphanEntry.querySelector('.tv-text, .tv-tool, .tv-tool-result, .tv-image')) orphanEntry.remove();
+      }
+    }
+    return details;
+  }
 
   /**
-   * Start periodic conflict checks. Runs every 60 seconds.
-   * Only actually checks if there are 2+ running sessions in the active workspace.
+   * A tool result, with a link to the subagent's transcript for Task results.
+   * @param {{ content: string, isError: boolean, agentId?: string }} block
+   * @returns {HTMLElement}
    */
-  startConflictChecks() {
-    // Clear any existing interval
-    if (this._conflictCheckInterval) {
-      clearInterval(this._conflictCheckInterval);
+  renderTranscriptToolResult(block) {
+    const div = document.createElement('div');
+    div.className = 'tv-tool-result' + (block.isError ? ' tv-tool-result-error' : '');
+    const pre = document.createElement('pre');
+    pre.textContent = block.content || '(no output)';
+    div.appendChild(pre);
+    if (block.agentId) {
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-ghost btn-sm';
+      btn.textContent = 'Open subagent transcript';
+      btn.addEventListener('click', () => {
+        const t = this._transcript;
+        this.openTranscriptViewer(t.sessionId, { agentId: block.agentId, provider: t.provider, title: t.name });
+      });
+      div.appendChild(btn);
     }
-    // Run an initial check after a short delay (let sessions load first)
-    setTimeout(() => this.checkForConflicts(), 5000);
-    // Then check every 60 seconds
-    this._conflictCheckInterval = setInterval(() => this.checkForConflicts(), 60000);
+    return div;
   }
 
   /* ─── Export Session Context (Handoff) ──────────────────────── */
@@ -8660,7 +11326,8 @@ class CWMApp {
               name: `${dirName} - continued`,
               workspaceId: session.workspaceId,
               workingDir: session.workingDir || '',
-              command: 'claude',
+              provider: session.provider || 'claude',
+              command: session.command || '',
               topic: `Continued from: ${session.name || session.id}`,
             };
             if (session.model) payload.model = session.model;
@@ -8675,6 +11342,7 @@ class CWMApp {
             if (emptySlot !== -1) {
               this.setViewMode('terminal');
               const spawnOpts = { cwd: session.workingDir || '' };
+              if (session.provider) spawnOpts.provider = session.provider;
               if (session.model) spawnOpts.model = session.model;
               if (session.bypassPermissions) spawnOpts.bypassPermissions = true;
               this.openTerminalInPane(emptySlot, newSession.id, newSession.name, spawnOpts);
@@ -8833,44 +11501,53 @@ class CWMApp {
       if (runningSessions.length < 2) return;
 
       const data = await this.api('GET', `/api/workspaces/${ws.id}/conflicts`);
-      const conflicts = data.conflicts || [];
+      this.onWorkspaceConflicts({ workspaceId: ws.id, conflicts: data.conflicts || [] });
+    } catch {
+      // Silently ignore conflict check failures — this is a non-critical background check.
+    }
+  }
 
-      if (conflicts.length === 0) {
-        // All conflicts resolved — reset so future reappearances trigger toasts again
-        this._lastConflictKeys.clear();
-        return;
-      }
+  /**
+   * Toast conflicts in the active workspace that haven't been shown yet.
+   * Called from the workspace:conflicts SSE event and the initial check.
+   * @param {{ workspaceId: string, conflicts: object[] }} data
+   */
+  onWorkspaceConflicts({ workspaceId, conflicts }) {
+    const ws = this.state.activeWorkspace;
+    if (!ws || ws.id !== workspaceId) return;
 
-      // Build a set of current conflict keys for deduplication
-      const currentKeys = new Set(conflicts.map(c => c.file || c.path || 'unknown'));
+    if (conflicts.length === 0) {
+      // All conflicts resolved — reset so future reappearances trigger toasts again
+      this._lastConflictKeys.clear();
+      return;
+    }
 
-      // Only show toasts for NEW conflicts (not already shown in a previous poll)
-      const newConflicts = conflicts.filter(c => {
-        const key = c.file || c.path || 'unknown';
-        return !this._lastConflictKeys.has(key);
-      });
+    // A conflict is new when its file, sessions or overlapping lines change
+    const keyOf = c => `${c.file}|${c.sessions.map(s => s.id).join(',')}|${c.overlaps.length}`;
+    const currentKeys = new Set(conflicts.map(keyOf));
 
-      // Update the tracked set to match current conflicts
-      this._lastConflictKeys = currentKeys;
+    // Only show toasts for NEW conflicts (not already shown before)
+    const newConflicts = conflicts.filter(c => !this._lastConflictKeys.has(keyOf(c)));
 
-      // Nothing new to show — all current conflicts were already toasted
-      if (newConflicts.length === 0) return;
+    // Update the tracked set to match current conflicts
+    this._lastConflictKeys = currentKeys;
 
-      // Show a toast warning for each NEW conflict (max 3 to avoid spam)
-      const shown = newConflicts.slice(0, 3);
-      shown.forEach(c => {
-        const fileName = c.file || c.path || 'unknown file';
-        const sessionCount = c.sessions ? c.sessions.length : c.count || 2;
-        this.showToast(`Warning: ${fileName} is being edited by ${sessionCount} sessions`, 'warning');
-      });
+    // Nothing new to show — all current conflicts were already toasted
+    if (newConflicts.length === 0) return;
 
-      // If there are more new conflicts than shown, add a summary toast
-      if (newConflicts.length > 3) {
-        this.showToast(`${newConflicts.length - 3} more file conflicts detected in ${this.escapeHtml(ws.name)}`, 'warning');
-      }
-    } catch {
-      // Silently ignore conflict check failures — the API endpoint may not exist yet.
-      // This is a non-critical background check.
+    // Show a toast warning for each NEW conflict (max 3 to avoid spam)
+    newConflicts.slice(0, 3).forEach(c => {
+      const fileName = c.file.split('/').pop();
+      const names = c.sessions.map(s => s.name).join(' and ');
+      const lines = c.overlaps.map(r => (r.start === r.end ? `${r.start}` : `${r.start}-${r.end}`)).join(', ');
+      this.showToast(lines
+        ? `Conflict: ${names} both edited ${fileName} lines ${lines}`
+        : `Warning: ${fileName} is being edited by ${names}`, lines ? 'error' : 'warning');
+    });
+
+    // If there are more new conflicts than shown, add a summary toast
+    if (newConflicts.length > 3) {
+      this.showToast(`${newConflicts.length - 3} more file conflicts detected in ${ws.name}`, 'warning');
     }
   }
 
@@ -8907,6 +11584,10 @@ class CWMApp {
         const priorityClass = f.priority ? `board-card-priority-${f.priority}` : 'board-card-priority-normal';
         const sessionCount = (f.sessionIds || []).length;
         const desc = f.description ? `<div class="board-card-desc">${this.escapeHtml(f.description)}</div>` : '';
+        // Mirrored agent todos, summed over the linked sessions
+        const todoSummaries = Object.values(f.agentTodos || {}).map(t => t.summary || {});
+        const todoTotal = todoSummaries.reduce((n, t) => n + (t.total || 0), 0);
+        const todoDone = todoSummaries.reduce((n, t) => n + (t.completed || 0), 0);
 
         return `<div class="board-card" draggable="true" data-feature-id="${f.id}">
           <div class="board-card-name">${this.escapeHtml(f.name)}</div>
@@ -8914,7 +11595,9 @@ class CWMApp {
           <div class="board-card-meta">
             <span class="board-card-priority ${priorityClass}">${f.priority || 'normal'}</span>
             ${sessionCount > 0 ? `<span class="board-card-sessions">${sessionCount} session${sessionCount > 1 ? 's' : ''}</span>` : ''}
+            ${todoTotal > 0 ? `<span class="board-card-todos">${todoDone}/${todoTotal} todos</span>` : ''}
           </div>
+          ${f.worktree ? `<div class="board-card-branch" title="${this.escapeHtml(f.worktree.path)}">${this.escapeHtml(f.worktree.branch)} &larr; ${this.escapeHtml(f.worktree.baseBranch)}</div>` : ''}
         </div>`;
       }).join('') || '<div style="padding:12px;text-align:center;color:var(--surface2);font-size:11px">No features</div>';
 
@@ -8952,6 +11635,12 @@ class CWMApp {
   }
 
   async moveFeature(featureId, newStatus) {
+    // Starting and finishing a feature drive its branch and worktree
+    const feature = (this._features || []).find(f => f.id === featureId);
+    if (feature && feature.status !== newStatus) {
+      if (newStatus === 'active' && !feature.worktree) return this.startFeatureWorktree(feature);
+      if (newStatus === 'done' && feature.worktree) return this.finishFeatureWorktree(feature);
+    }
     try {
       await this.api('PUT', `/api/features/${featureId}`, { status: newStatus });
       await this.loadFeatureBoard();
@@ -8960,6 +11649,173 @@ class CWMApp {
     }
   }
 
+  async startFeatureWorktree(feature) {
+    const wsSessions = (this.state.allSessions || this.state.sessions).filter(s => s.workspaceId === feature.workspaceId);
+    const defaultDir = wsSessions.length > 0 ? wsSessions[0].workingDir : '';
+
+    const result = await this.showPromptModal({
+      title: 'Start Feature: ' + feature.name,
+      fields: [
+        { key: 'useWorktree', label: 'Create a branch and worktree with a session in it', type: 'checkbox', value: true },
+        { key: 'repoDir', label: 'Repository Path', value: defaultDir },
+        { key: 'baseBranch', label: 'Base Branch', placeholder: 'Leave blank for the checked-out branch' },
+      ],
+      confirmText: 'Start Feature',
+    });
+    if (!result) return;
+
+    try {
+      if (!result.useWorktree) {
+        await this.api('PUT', `/api/features/${feature.id}`, { status: 'active' });
+        await this.loadFeatureBoard();
+        return;
+      }
+      if (!result.repoDir) {
+        this.showToast('Repository path is required', 'warning');
+        return;
+      }
+      const data = await this.api('POST', `/api/features/${feature.id}/worktree`, {
+        repoDir: result.repoDir,
+        baseBranch: result.baseBranch || undefined,
+      });
+      await this.loadSessions();
+      await this.loadFeatureBoard();
+      this.showToast('Working on ' + data.worktree.branch + ' at ' + data.worktree.path, 'success');
+
+      const emptySlot = this.terminalPanes.findIndex(p => p === null);
+      if (data.session && emptySlot !== -1) {
+        this.setViewMode('terminal');
+        this.openTerminalInPane(emptySlot, data.session.id, feature.name, { cwd: data.worktree.path });
+      }
+    } catch (err) {
+      this.showToast(err.message || 'Failed to start feature', 'error');
+    }
+  }
+
+  async finishFeatureWorktree(feature) {
+    const { branch, baseBranch } = feature.worktree;
+    const result = await this.showPromptModal({
+      title: 'Finish Feature: ' + feature.name,
+      fields: [
+        { key: 'mode', label: this.escapeHtml(`Merge ${branch} into ${baseBranch}`), type: 'select', options: [
+          { value: 'squash', label: 'Squash into one commit' },
+          { value: 'ff', label: 'Fast-forward' },
+          { value: 'none', label: "Don't merge" },
+        ]},
+        { key: 'message', label: 'Squash Commit Message', type: 'textarea', placeholder: 'Leave blank for the feature name and its commit subjects' },
+        { key: 'cleanup', label: 'Remove the worktree and branch afterwards', type: 'checkbox', value: true },
+      ],
+      confirmText: 'Finish Feature',
+    });
+    if (!result) return;
+
+    try {
+      if (result.mode !== 'none') {
+        const merge = await this.api('POST', `/api/features/${feature.id}/merge`, {
+          mode: result.mode,
+          message: result.message || undefined,
+        });
+        if (!merge.merged) {
+          const conflicts = (merge.conflicts || []).map(f => this.escapeHtml(f)).join('<br>');
+          await this.showConfirmModal({
+            title: 'Merge Conflicts',
+            message: this.escapeHtml(merge.reason || 'The merge did not go through') + '. Nothing was changed.'
+              + (conflicts ? '<br><br>Conflicting files:<br>' + conflicts : '')
+              + '<br><br>' + this.escapeHtml(`Merge ${baseBranch} into ${branch} in the worktree, resolve the conflicts, and try again.`),
+            confirmText: 'OK',
+          });
+          await this.loadFeatureBoard();
+          return;
+        }
+        this.showToast(merge.commits > 0
+          ? `Merged ${merge.commits} commit${merge.commits > 1 ? 's' : ''} into ${baseBranch}`
+          : `${baseBranch} already has everything on ${branch}`, 'success');
+      }
+
+      if (result.cleanup) {
+        try {
+          const removal = await this.api('DELETE', `/api/features/${feature.id}/worktree`, {});
+          if (!removal.branchDeleted) this.showToast(`Kept branch ${branch}: it isn't merged`, 'info');
+        } catch (err) {
+          this.showToast('Worktree kept: ' + err.message, 'warning');
+        }
+      }
+
+      await this.api('PUT', `/api/features/${feature.id}`, { status: 'done' });
+      await this.loadFeatureBoard();
+    } catch (err) {
+      this.showToast(err.message || 'Failed to finish feature', 'error');
+    }
+  }
+
+  async removeFeatureWorktree(featureId) {
+    const feature = (this._features || []).find(f => f.id === featureId);
+    if (!feature || !feature.worktree) return;
+
+    const confirmed = await this.showConfirmModal({
+      title: 'Remove Worktree',
+      message: `Remove the worktree at <strong>${this.escapeHtml(feature.worktree.path)}</strong>? `
+        + `Its branch ${this.escapeHtml(feature.worktree.branch)} is deleted too if it's merged.`,
+      confirmText: 'Remove',
+      confirmClass: 'btn-danger',
+    });
+    if (!confirmed) return;
+
+    try {
+      const removal = await this.api('DELETE', `/api/features/${featureId}/worktree`, {});
+      await this.loadFeatureBoard();
+      this.showToast(removal.branchDeleted
+        ? 'Worktree and branch removed'
+        : `Worktree removed; kept branch ${feature.worktree.branch}`, 'success');
+    } catch (err) {
+      this.showToast(err.message || 'Failed to remove worktree', 'error');
+    }
+  }
+
+  async showStaleWorktrees() {
+    let stale;
+    try {
+      stale = (await this.api('GET', '/api/git/worktrees/stale')).worktrees || [];
+    } catch (err) {
+      this.showToast(err.message || 'Failed to look for stale worktrees', 'error');
+      return;
+    }
+    if (stale.length === 0) {
+      this.showToast('No stale worktrees', 'info');
+      return;
+    }
+
+    const result = await this.showPromptModal({
+      title: `Stale Worktrees (${stale.length})`,
+      fields: [
+        ...stale.map((wt, i) => ({
+          key: 'wt' + i,
+          type: 'checkbox',
+          value: true,
+          label: this.escapeHtml(`${wt.branch || 'detached'}  →  ${wt.path}${wt.missing ? ' (directory missing)' : ''}`),
+        })),
+        { key: 'deleteBranches', label: 'Also delete their branches if merged', type: 'checkbox', value: true },
+      ],
+      confirmText: 'Remove Selected',
+      confirmClass: 'btn-danger',
+    });
+    if (!result) return;
+
+    const paths = stale.filter((wt, i) => result['wt' + i]).map(wt => wt.path);
+    if (paths.length === 0) return;
+    try {
+      const data = await this.api('DELETE', '/api/git/worktrees/stale', { paths, deleteBranches: !!result.deleteBranches });
+      if (data.removed.length > 0) {
+        this.showToast(`Removed ${data.removed.length} worktree${data.removed.length > 1 ? 's' : ''}`, 'success');
+      }
+      if (data.failed.length > 0) {
+        this.showToast(`Kept ${data.failed[0].path}: ${data.failed[0].error}`, 'warning');
+      }
+    } catch (err) {
+      this.showToast(err.message || 'Failed to remove worktrees', 'error');
+    }
+  }
+
   async createFeature() {
     const ws = this.state.activeWorkspace;
     if (!ws) return;
@@ -9018,6 +11874,12 @@ class CWMApp {
       { type: 'sep' },
     ];
 
+    if (feature.worktree) {
+      items.push({ label: 'Merge and Finish...', icon: '&#8618;', action: () => this.finishFeatureWorktree(feature) });
+      items.push({ label: 'Remove Worktree', icon: '&#128465;', action: () => this.removeFeatureWorktree(featureId) });
+      items.push({ type: 'sep' });
+    }
+
     // Link session option
     if (wsSessions.length > 0) {
       items.push({ label: 'Link Session...', icon: '&#128279;', action: () => this.linkSessionToFeature(featureId, wsSessions) });
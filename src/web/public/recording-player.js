@@ -0,0 +1,171 @@
+/**
+ * RecordingPlayer — replays asciicast v2 session recordings in xterm.js
+ * Output and resize events are replayed; input events are skipped (their
+ * effect is already in the output). Long idle gaps are shortened so
+ * reviewing an unattended agent run doesn't mean watching it think.
+ */
+class RecordingPlayer {
+  /**
+   * @param {HTMLElement} container - Element the player terminal renders into
+   * @param {object} [options]
+   * @param {number} [options.idleLimit=2] - Max seconds between events during playback
+   * @param {function(number, number): void} [options.onProgress] - (position, duration) in seconds
+   */
+  constructor(container, { idleLimit = 2, onProgress = null } = {}) {
+    this.container = container;
+    this.idleLimit = idleLimit;
+    this.onProgress = onProgress;
+    this.term = null;
+    this.header = null;
+    this.events = [];     // [{ time, code, data }] with idle gaps compressed
+    this.duration = 0;
+    this.position = 0;    // Seconds into the (compressed) timeline
+    this.speed = 1;
+    this.playing = false;
+    this._index = 0;      // Next event to apply
+    this._startedAt = 0;  // performance.now() at position 0 for the current speed
+    this._timer = null;
+  }
+
+  /**
+   * Parse an asciicast v2 file and prepare the terminal.
+   * @param {string} text - .cast file contents
+   */
+  load(text) {
+    const lines = text.split('\n').filter(Boolean);
+    if (lines.length === 0) throw new Error('Empty recording');
+    this.header = JSON.parse(lines[0]);
+    if (this.header.version !== 2) throw new Error('Unsupported asciicast version: ' + this.header.version);
+
+    this.events = [];
+    let lastTime = 0;
+    let shift = 0;
+    for (let i = 1; i < lines.length; i++) {
+      let event;
+      try { event = JSON.parse(lines[i]); } catch (_) { continue; } // Last line may be partial
+      const [time, code, data] = event;
+      if (code !== 'o' && code !== 'r') continue;
+      const gap = time - lastTime;
+      if (gap > this.idleLimit) shift += gap - this.idleLimit;
+      lastTime = time;
+      this.events.push({ time: time - shift, code, data });
+    }
+    this.duration = this.events.length ? this.events[this.events.length - 1].time : 0;
+
+    this.dispose();
+    this.term = new Terminal({
+      cols: this.header.width || 120,
+      rows: this.header.height || 30,
+      fontSize: 13,
+      fontFamily: "'JetBrains Mono', 'Cascadia Code', Consolas, monospace",
+      lineHeight: 1.2,
+      scrollback: 5000,
+      disableStdin: true,
+      cursorBlink: false,
+      theme: TerminalPane.getCurrentTheme(),
+    });
+    this.container.innerHTML = '';
+    this.term.open(this.container);
+    this.position = 0;
+    this._index = 0;
+    this._progress();
+  }
+
+  play() {
+    if (!this.term || this.playing) return;
+    if (this._index >= this.events.length) this.seek(0);
+    this.playing = true;
+    this._startedAt = performance.now() - (this.position * 1000) / this.speed;
+    this._tick();
+  }
+
+  pause() {
+    this.playing = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  toggle() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
+
+  /**
+   * Jump to a point in the timeline by replaying everything before it at once.
+   * @param {number} seconds
+   */
+  seek(seconds) {
+    if (!this.term) return;
+    const wasPlaying = this.playing;
+    this.pause();
+
+    const target = Math.max(0, Math.min(seconds, this.duration));
+    this.term.reset();
+    this.term.resize(this.header.width || 120, this.header.height || 30);
+    this._index = 0;
+    let pending = '';
+    while (this._index < this.events.length && this.events[this._index].time <= target) {
+      const event = this.events[this._index++];
+      if (event.code === 'o') {
+        pending += event.data;
+      } else {
+        if (pending) { this.term.write(pending); pending = ''; }
+        this._apply(event);
+      }
+    }
+    if (pending) this.term.write(pending);
+    this.position = target;
+    this._progress();
+    if (wasPlaying) this.play();
+  }
+
+  /**
+   * @param {number} speed - Playback rate multiplier
+   */
+  setSpeed(speed) {
+    const wasPlaying = this.playing;
+    this.pause();
+    this.speed = speed;
+    if (wasPlaying) this.play();
+  }
+
+  _tick() {
+    if (!this.playing) return;
+    const now = ((performance.now() - this._startedAt) / 1000) * this.speed;
+    while (this._index < this.events.length && this.events[this._index].time <= now) {
+      this._apply(this.events[this._index++]);
+    }
+    this.position = Math.min(now, this.duration);
+    this._progress();
+
+    if (this._index >= this.events.length) {
+      this.playing = false;
+      this._progress();
+      return;
+    }
+    // Wake for the next event, but at least every 250ms to move the progress bar
+    const wait = ((this.events[this._index].time - now) * 1000) / this.speed;
+    this._timer = setTimeout(() => this._tick(), Math.max(0, Math.min(wait, 250)));
+  }
+
+  _apply(event) {
+    if (event.code === 'o') {
+      this.term.write(event.data);
+    } else if (event.code === 'r') {
+      const [cols, rows] = String(event.data).split('x').map(n => parseInt(n, 10));
+      if (cols > 0 && rows > 0) this.term.resize(cols, rows);
+    }
+  }
+
+  _progress() {
+    if (this.onProgress) this.onProgress(this.position, this.duration);
+  }
+
+  dispose() {
+    this.pause();
+    if (this.term) {
+      this.term.dispose();
+      this.term = null;
+    }
+  }
+}
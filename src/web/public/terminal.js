@@ -134,6 +134,16 @@ class TerminalPane {
     // Activity detection: real-time parsing of Claude Code output patterns
     this._currentActivity = null; // { type: 'thinking'|'reading'|'writing'|'running'|'searching'|'idle', detail: '...' }
     this._activityBuffer = '';    // Rolling buffer for pattern matching (last ~500 chars)
+    // Server-side asciicast recording state (pushed via 'recording' control messages)
+    this.recording = false;
+    this.recordingId = null;
+    // Connection role ('owner' | 'collaborator' | 'viewer') and who else is attached,
+    // pushed via 'role' and 'viewers' control messages
+    this.role = null;
+    this.clientId = null;
+    this.viewers = [];
+    this.onViewersChange = null;  // (viewers) => void
+    this.onRoleChange = null;     // (role) => void
   }
 
   _log(msg) {
@@ -310,16 +320,21 @@ class TerminalPane {
       this.term.reset();
     }
 
-    const token = localStorage.getItem('cwm_token');
+    // Share-link viewers authenticate with the share token instead of a login token
+    const shareToken = this.spawnOpts.shareToken;
+    const token = shareToken ? null : localStorage.getItem('cwm_token');
     this._log('Token from localStorage: ' + (token ? token.substring(0, 12) + '...' : 'NULL'));
 
-    if (!token) {
+    if (!token && !shareToken) {
       this._status('No auth token. Please log in again.', 'red');
       return;
     }
 
     const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
-    let wsUrl = protocol + '//' + location.host + '/ws/terminal?token=' + encodeURIComponent(token) + '&sessionId=' + this.sessionId;
+    let wsUrl = protocol + '//' + location.host + '/ws/terminal?'
+      + (shareToken ? 'share=' + encodeURIComponent(shareToken) : 'token=' + encodeURIComponent(token))
+      + '&sessionId=' + encodeURIComponent(this.sessionId);
+    if (this.spawnOpts.readOnly) wsUrl += '&role=viewer';
     // Pass actual terminal dimensions so the PTY spawns at the right size
     if (this.term) {
       wsUrl += '&cols=' + this.term.cols + '&rows=' + this.term.rows;
@@ -327,6 +342,7 @@ class TerminalPane {
     // Append optional spawn options as query params
     if (this.spawnOpts.cwd) wsUrl += '&cwd=' + encodeURIComponent(this.spawnOpts.cwd);
     if (this.spawnOpts.resumeSessionId) wsUrl += '&resumeSessionId=' + encodeURIComponent(this.spawnOpts.resumeSessionId);
+    if (this.spawnOpts.provider) wsUrl += '&provider=' + encodeURIComponent(this.spawnOpts.provider);
     if (this.spawnOpts.command) wsUrl += '&command=' + encodeURIComponent(this.spawnOpts.command);
     if (this.spawnOpts.bypassPermissions) wsUrl += '&bypassPermissions=true';
     if (this.spawnOpts.verbose) wsUrl += '&verbose=true';
@@ -377,6 +393,22 @@ class TerminalPane {
           } else if (msg.type === 'error') {
             this._status('[Error: ' + msg.message + ']', 'red');
             return;
+          } else if (msg.type === 'role') {
+            this.role = msg.role;
+            this.clientId = msg.clientId || this.clientId;
+            if (this.term) this.term.options.disableStdin = msg.role === 'viewer';
+            if (this.onRoleChange) this.onRoleChange(msg.role, msg);
+            return;
+          } else if (msg.type === 'viewers') {
+            this.viewers = msg.viewers || [];
+            if (this.onViewersChange) this.onViewersChange(this.viewers);
+            return;
+          } else if (msg.type === 'recording') {
+            this.recording = !!msg.active;
+            this.recordingId = msg.recordingId || null;
+            const paneEl = document.getElementById(this.containerId)?.closest('.terminal-pane');
+            if (paneEl) paneEl.classList.toggle('terminal-pane-recording', this.recording);
+            return;
           } else if (msg.type === 'output') {
             this.term.write(msg.data);
             this._detectActivity(msg.data);
@@ -409,6 +441,12 @@ class TerminalPane {
         return; // No reconnect
       }
 
+      // Code 1008 = share link expired or revoked. Reconnecting would be refused.
+      if (event.code === 1008) {
+        this._status('[' + (event.reason || 'Access revoked') + ']', 'red');
+        return; // No reconnect
+      }
+
       if (this._reconnectAttempts < this._maxReconnectAttempts) {
         this._reconnectAttempts++;
         const delay = Math.min(2000 * this._reconnectAttempts, 10000);
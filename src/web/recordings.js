@@ -0,0 +1,294 @@
+/**
+ * PTY session recording in asciicast v2 format.
+ *
+ * Recordings are written to state/recordings/<id>.cast as newline-delimited
+ * JSON: a header object followed by [time, code, data] events, where code is
+ * "o" (output), "i" (input) or "r" (resize, data "COLSxROWS"). Files play in
+ * asciinema and in the built-in xterm player.
+ *
+ * Recording IDs are "<sessionId>.<startMs>" (session ID sanitized to
+ * [A-Za-z0-9_-]), so a session's recordings can be listed without opening
+ * every file.
+ *
+ * Downloads pass through mapCastEvents(), which rewrites event data (e.g. to
+ * redact secrets) a line at a time without loading the whole file.
+ *
+ * Spec: https://docs.asciinema.org/manual/asciicast/v2/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+
+const RECORDINGS_DIR = path.join(__dirname, '..', '..', 'state', 'recordings');
+const RECORDING_ID_RE = /^[A-Za-z0-9_-]+\.\d+$/;
+// Bytes read from the end of a file to find the last event's timestamp
+const TAIL_BYTES = 64 * 1024;
+
+class RecordingManager {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Recordings directory (default state/recordings)
+   */
+  constructor({ dir = RECORDINGS_DIR } = {}) {
+    this.dir = dir;
+    this._active = new Map(); // sessionId -> { id, sessionId, startMs, fd }
+  }
+
+  /**
+   * Start recording a session. No-op if it's already being recorded.
+   * @param {string} sessionId
+   * @param {object} [options]
+   * @param {number} [options.cols=120] - Current terminal width
+   * @param {number} [options.rows=30] - Current terminal height
+   * @param {string} [options.title] - Shown by players
+   * @returns {{ id: string, sessionId: string, startedAt: string }}
+   */
+  start(sessionId, { cols = 120, rows = 30, title = '' } = {}) {
+    const existing = this._active.get(sessionId);
+    if (existing) return this._describeActive(existing);
+
+    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+    const startMs = Date.now();
+    const id = String(sessionId).replace(/[^A-Za-z0-9_-]/g, '_') + '.' + startMs;
+    const header = {
+      version: 2,
+      width: cols,
+      height: rows,
+      timestamp: Math.floor(startMs / 1000),
+      title: title || sessionId,
+      env: { TERM: 'xterm-256color' },
+    };
+
+    // Written synchronously so nothing is lost when the server exits right
+    // after stopping (shutdown, /api/update restart)
+    const fd = fs.openSync(this.filePath(id), 'a');
+    fs.writeSync(fd, JSON.stringify(header) + '\n');
+
+    const recording = { id, sessionId, startMs, fd };
+    this._active.set(sessionId, recording);
+    console.log(`[Recording] Started ${id}`);
+    return this._describeActive(recording);
+  }
+
+  /**
+   * Stop recording a session.
+   * @param {string} sessionId
+   * @returns {{ id: string, sessionId: string, startedAt: string }|null} The stopped recording, or null
+   */
+  stop(sessionId) {
+    const recording = this._active.get(sessionId);
+    if (!recording) return null;
+    this._active.delete(sessionId);
+    try { fs.closeSync(recording.fd); } catch (_) {}
+    console.log(`[Recording] Stopped ${recording.id}`);
+    return this._describeActive(recording);
+  }
+
+  /**
+   * Stop every active recording. Called on shutdown.
+   */
+  stopAll() {
+    for (const sessionId of [...this._active.keys()]) this.stop(sessionId);
+  }
+
+  /**
+   * Get the active recording for a session.
+   * @param {string} sessionId
+   * @returns {{ id: string, sessionId: string, startedAt: string }|null}
+   */
+  getActive(sessionId) {
+    const recording = this._active.get(sessionId);
+    return recording ? this._describeActive(recording) : null;
+  }
+
+  _describeActive(recording) {
+    return { id: recording.id, sessionId: recording.sessionId, startedAt: new Date(recording.startMs).toISOString() };
+  }
+
+  /**
+   * Append an event to a session's recording, if it's being recorded.
+   * @param {string} sessionId
+   * @param {'o'|'i'|'r'} code - Output, input, or resize
+   * @param {string} data - Terminal data, or "COLSxROWS" for resize
+   */
+  record(sessionId, code, data) {
+    const recording = this._active.get(sessionId);
+    if (!recording) return;
+    const t = Math.round(Date.now() - recording.startMs) / 1000;
+    try {
+      fs.writeSync(recording.fd, JSON.stringify([t, code, data]) + '\n');
+    } catch (err) {
+      console.error(`[Recording] Write failed for ${recording.id}:`, err.message);
+      this.stop(sessionId);
+    }
+  }
+
+  /**
+   * Path of a recording file.
+   * @param {string} id - Recording ID
+   * @returns {string}
+   */
+  filePath(id) {
+    return path.join(this.dir, id + '.cast');
+  }
+
+  /**
+   * Check a recording ID's format (guards against path traversal).
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isValidId(id) {
+    return typeof id === 'string' && RECORDING_ID_RE.test(id);
+  }
+
+  /**
+   * List recordings, newest first.
+   * @param {object} [options]
+   * @param {string} [options.sessionId] - Only this session's recordings
+   * @returns {Array<{ id: string, sessionId: string, title: string, startedAt: string,
+   *   width: number, height: number, duration: number, size: number, active: boolean }>}
+   */
+  list({ sessionId = null } = {}) {
+    let files;
+    try {
+      files = fs.readdirSync(this.dir).filter(f => f.endsWith('.cast'));
+    } catch (_) {
+      return [];
+    }
+
+    const safeSessionId = sessionId ? String(sessionId).replace(/[^A-Za-z0-9_-]/g, '_') : null;
+    const recordings = [];
+    for (const file of files) {
+      const id = file.slice(0, -'.cast'.length);
+      if (!this.isValidId(id)) continue;
+      const fileSessionId = id.slice(0, id.lastIndexOf('.'));
+      if (safeSessionId && fileSessionId !== safeSessionId) continue;
+
+      const info = this._readInfo(id);
+      if (!info) continue;
+      recordings.push({ id, sessionId: fileSessionId, ...info, active: this.isActive(id) });
+    }
+    return recordings.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  /**
+   * Read a recording's header and duration without loading the whole file.
+   * @param {string} id
+   * @returns {{ title: string, startedAt: string, width: number, height: number, duration: number, size: number }|null}
+   */
+  _readInfo(id) {
+    let fd;
+    try {
+      const file = this.filePath(id);
+      const size = fs.statSync(file).size;
+      fd = fs.openSync(file, 'r');
+
+      const headBuf = Buffer.alloc(Math.min(size, 4096));
+      fs.readSync(fd, headBuf, 0, headBuf.length, 0);
+      const header = JSON.parse(headBuf.toString('utf-8').split('\n')[0]);
+
+      // Duration = timestamp of the last complete event
+      const tailLen = Math.min(size, TAIL_BYTES);
+      const tailBuf = Buffer.alloc(tailLen);
+      fs.readSync(fd, tailBuf, 0, tailLen, size - tailLen);
+      const lines = tailBuf.toString('utf-8').split('\n').filter(Boolean);
+      let duration = 0;
+      for (let i = lines.length - 1; i >= 0; i--) {
+        try {
+          const event = JSON.parse(lines[i]);
+          if (Array.isArray(event)) { duration = event[0]; break; }
+        } catch (_) {}
+      }
+
+      return {
+        title: header.title || '',
+        startedAt: new Date((header.timestamp || 0) * 1000).toISOString(),
+        width: header.width,
+        height: header.height,
+        duration,
+        size,
+      };
+    } catch (_) {
+      return null;
+    } finally {
+      if (fd !== undefined) fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Check whether a recording is still being written.
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isActive(id) {
+    return [...this._active.values()].some(r => r.id === id);
+  }
+
+  /**
+   * Delete a finished recording. Active recordings must be stopped first
+   * (their file is still open).
+   * @param {string} id
+   * @returns {boolean} True if a file was deleted
+   */
+  delete(id) {
+    if (!this.isValidId(id) || this.isActive(id)) return false;
+    try {
+      fs.unlinkSync(this.filePath(id));
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Rewrite the data of one asciicast line. The header is kept as it is; a
+ * line that isn't JSON (the unfinished end of a live recording) is passed
+ * to fn whole.
+ * @param {string} line
+ * @param {function(string): string} fn
+ * @returns {string}
+ */
+function mapCastLine(line, fn) {
+  if (!line) return line;
+  let event;
+  try {
+    event = JSON.parse(line);
+  } catch (_) {
+    return fn(line);
+  }
+  if (!Array.isArray(event) || typeof event[2] !== 'string') return line;
+  const data = fn(event[2]);
+  return data === event[2] ? line : JSON.stringify([event[0], event[1], data]);
+}
+
+/**
+ * A stream that rewrites every event's data in an asciicast file.
+ * Expects string chunks (read the file with encoding 'utf8').
+ * @param {function(string): string} fn
+ * @returns {Transform}
+ */
+function mapCastEvents(fn) {
+  let partial = '';
+  return new Transform({
+    decodeStrings: false,
+    transform(chunk, _encoding, done) {
+      const lines = (partial + chunk).split('\n');
+      partial = lines.pop();
+      done(null, lines.map(line => mapCastLine(line, fn) + '\n').join(''));
+    },
+    flush(done) {
+      done(null, mapCastLine(partial, fn));
+    },
+  });
+}
+
+// Singleton
+let instance = null;
+function getRecordingManager() {
+  if (!instance) instance = new RecordingManager();
+  return instance;
+}
+
+module.exports = { RecordingManager, getRecordingManager, mapCastLine, mapCastEvents };
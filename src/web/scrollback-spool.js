@@ -0,0 +1,195 @@
+/**
+ * On-disk scrollback spool for PTY sessions.
+ *
+ * PtySession keeps only ~100KB of scrollback in memory, and loses it when the
+ * GUI server restarts. The spool appends all PTY output to
+ * state/scrollback/<sessionId>.log so that:
+ *   - a session re-spawned with --resume can replay its previous output
+ *   - the full history can be downloaded as raw ANSI or plain text
+ *
+ * Writes are buffered and flushed on a short timer (and on exit). Each
+ * session's log is capped at MAX_FILE_BYTES and rotated to <id>.1.log,
+ * <id>.2.log, ... keeping at most MAX_ROTATED_FILES old files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCROLLBACK_DIR = path.join(__dirname, '..', '..', 'state', 'scrollback');
+const MAX_FILE_BYTES = 1024 * 1024; // 1MB per log file
+const MAX_ROTATED_FILES = 2;        // So at most ~3MB per session
+const FLUSH_DELAY_MS = 500;
+
+// CSI, OSC, DCS/SOS/PM/APC, charset selection, and two-byte escape sequences
+const ANSI_RE = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[PX^_][^\x1b]*\x1b\\|\x1b[()][0-9A-Za-z]|\x1b[@-Z\\-_=>]/g;
+
+/**
+ * Convert raw terminal output to plain text.
+ * Cursor-forward sequences become spaces, other escape sequences are removed,
+ * and carriage-return overwrites keep only the final text on each line.
+ * @param {string} text - Raw PTY output
+ * @returns {string}
+ */
+function stripAnsi(text) {
+  const stripped = text
+    .replace(/\x1b\[(\d*)C/g, (_, n) => ' '.repeat(Math.min(parseInt(n || '1', 10), 500)))
+    .replace(ANSI_RE, '');
+  return stripped
+    .split('\n')
+    .map(line => {
+      const withoutCr = line.replace(/\r+$/, '');
+      const overwritten = withoutCr.slice(withoutCr.lastIndexOf('\r') + 1);
+      // Drop remaining control characters (bells, backspaces, etc.) except tabs
+      return overwritten.replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+    })
+    .join('\n');
+}
+
+class ScrollbackSpool {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Spool directory (default state/scrollback)
+   * @param {number} [options.maxFileBytes] - Size at which a log is rotated
+   * @param {number} [options.maxRotatedFiles] - Rotated logs kept per session
+   */
+  constructor({ dir = SCROLLBACK_DIR, maxFileBytes = MAX_FILE_BYTES, maxRotatedFiles = MAX_ROTATED_FILES } = {}) {
+    this.dir = dir;
+    this.maxFileBytes = maxFileBytes;
+    this.maxRotatedFiles = maxRotatedFiles;
+    this._pending = new Map(); // sessionId -> string[] awaiting flush
+    this._sizes = new Map();   // sessionId -> current log size in bytes
+    this._flushTimer = null;
+  }
+
+  /**
+   * Path of a session's log file.
+   * @param {string} sessionId
+   * @param {number} [generation=0] - 0 = current log, N = Nth rotated log
+   * @returns {string}
+   */
+  filePath(sessionId, generation = 0) {
+    const safeId = String(sessionId).replace(/[^A-Za-z0-9_-]/g, '_');
+    return path.join(this.dir, generation ? `${safeId}.${generation}.log` : `${safeId}.log`);
+  }
+
+  /**
+   * Queue PTY output for a session. Written on the next flush.
+   * @param {string} sessionId
+   * @param {string} data
+   */
+  append(sessionId, data) {
+    if (!data) return;
+    const pending = this._pending.get(sessionId);
+    if (pending) pending.push(data);
+    else this._pending.set(sessionId, [data]);
+
+    if (!this._flushTimer) {
+      this._flushTimer = setTimeout(() => {
+        this._flushTimer = null;
+        this.flushAll();
+      }, FLUSH_DELAY_MS);
+      if (this._flushTimer.unref) this._flushTimer.unref();
+    }
+  }
+
+  /**
+   * Write a session's pending output to disk, rotating if over the size cap.
+   * @param {string} sessionId
+   */
+  flush(sessionId) {
+    const pending = this._pending.get(sessionId);
+    if (!pending) return;
+    this._pending.delete(sessionId);
+
+    const chunk = pending.join('');
+    const file = this.filePath(sessionId);
+    try {
+      if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+      let size = this._sizes.get(sessionId);
+      if (size === undefined) {
+        try { size = fs.statSync(file).size; } catch (_) { size = 0; }
+      }
+      if (size > 0 && size + Buffer.byteLength(chunk) > this.maxFileBytes) {
+        this._rotate(sessionId);
+        size = 0;
+      }
+      fs.appendFileSync(file, chunk, 'utf-8');
+      this._sizes.set(sessionId, size + Buffer.byteLength(chunk));
+    } catch (err) {
+      console.error(`[Scrollback] Failed to write spool for ${sessionId}:`, err.message);
+    }
+  }
+
+  /**
+   * Flush every session's pending output.
+   */
+  flushAll() {
+    for (const sessionId of [...this._pending.keys()]) this.flush(sessionId);
+  }
+
+  _rotate(sessionId) {
+    const oldest = this.filePath(sessionId, this.maxRotatedFiles);
+    try { fs.unlinkSync(oldest); } catch (_) {}
+    for (let gen = this.maxRotatedFiles - 1; gen >= 0; gen--) {
+      try { fs.renameSync(this.filePath(sessionId, gen), this.filePath(sessionId, gen + 1)); } catch (_) {}
+    }
+    if (this.maxRotatedFiles === 0) {
+      try { fs.unlinkSync(this.filePath(sessionId)); } catch (_) {}
+    }
+  }
+
+  /**
+   * Read a session's full spooled output, oldest rotated log first.
+   * @param {string} sessionId
+   * @returns {string} Raw output ('' if nothing was recorded)
+   */
+  read(sessionId) {
+    this.flush(sessionId);
+    let text = '';
+    for (let gen = this.maxRotatedFiles; gen >= 0; gen--) {
+      try { text += fs.readFileSync(this.filePath(sessionId, gen), 'utf-8'); } catch (_) {}
+    }
+    return text;
+  }
+
+  /**
+   * Read the last part of a session's output, for replay into a terminal.
+   * Starts at a line boundary when possible so replay doesn't begin inside
+   * an escape sequence.
+   * @param {string} sessionId
+   * @param {number} maxChars
+   * @returns {string}
+   */
+  tail(sessionId, maxChars) {
+    const text = this.read(sessionId);
+    if (text.length <= maxChars) return text;
+    const start = text.length - maxChars;
+    const newline = text.indexOf('\n', start);
+    return newline === -1 ? text.slice(start) : text.slice(newline + 1);
+  }
+
+  /**
+   * Delete all of a session's spooled output.
+   * @param {string} sessionId
+   */
+  clear(sessionId) {
+    this._pending.delete(sessionId);
+    this._sizes.delete(sessionId);
+    for (let gen = 0; gen <= this.maxRotatedFiles; gen++) {
+      try { fs.unlinkSync(this.filePath(sessionId, gen)); } catch (_) {}
+    }
+  }
+}
+
+// Singleton
+let instance = null;
+function getScrollbackSpool() {
+  if (!instance) {
+    instance = new ScrollbackSpool();
+    // Don't lose buffered output on shutdown (e.g. the /api/update restart)
+    process.on('exit', () => instance.flushAll());
+  }
+  return instance;
+}
+
+module.exports = { ScrollbackSpool, getScrollbackSpool, stripAnsi };
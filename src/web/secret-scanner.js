@@ -0,0 +1,418 @@
+/**
+ * Secret detection and redaction for session transcripts.
+ *
+ * Sessions see whatever is pasted into them or printed by their tools: API
+ * keys, .env files, tokens in URLs. Everything the server sends out from a
+ * transcript (search snippets, exports, summaries, the conversation viewer)
+ * goes through redact()/redactDeep() first, and the secrets report scans the
+ * JSONL files themselves so leaks can be found and rotated.
+ *
+ * Detection combines known token formats (BUILTIN_RULES), long random-looking
+ * strings (Shannon entropy), and user-defined patterns kept in
+ * state/secret-patterns.json, re-read whenever it changes on disk:
+ *
+ *   {
+ *     "patterns": [
+ *       { "name": "Internal token", "pattern": "corp_[A-Za-z0-9]{24}", "flags": "i" }
+ *     ]
+ *   }
+ *
+ * A match is replaced by "[REDACTED:<rule>]"; custom rules are named
+ * "custom:<name>". Findings never carry the secret itself, only a short
+ * masked preview.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { forEachLineForward } = require('./transcript-reader');
+
+const PATTERNS_FILE = path.join(__dirname, '..', '..', 'state', 'secret-patterns.json');
+// How often rules() re-stats the patterns file to pick up hand edits
+const RECHECK_INTERVAL_MS = 2000;
+const CUSTOM_FLAGS_RE = /^[imsu]*$/;
+const MAX_CUSTOM_PATTERNS = 100;
+
+// High-entropy detection: long runs of token characters that look random
+const ENTROPY_TOKEN_RE = /[A-Za-z0-9+_-]{32,}={0,2}/g;
+const ENTROPY_MAX_LENGTH = 512;   // Longer runs are encoded payloads, not keys
+const ENTROPY_THRESHOLD = 4.3;    // Bits per character
+const ENTROPY_RULE = { id: 'high-entropy', label: 'High-entropy string' };
+
+const MAX_FINDINGS_PER_FILE = 200; // Kept per transcript for the report; counts stay exact
+const PREVIEW_CHARS = 4;
+
+// Fields that hold IDs, signatures or binary data rather than text
+const SKIP_KEYS = new Set([
+  'signature', 'data', 'id', 'uuid', 'parentUuid', 'requestId', 'sessionId',
+  'tool_use_id', 'toolUseId', 'agentId', 'cursor', 'prevCursor', 'nextCursor', 'cwd',
+]);
+
+/**
+ * Known secret formats, checked in order. `group` redacts only that capture
+ * group (the value, not the variable name around it); `validate` rejects
+ * matches that are clearly not secrets.
+ */
+const BUILTIN_RULES = [
+  { id: 'private-key', label: 'Private key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g },
+  { id: 'aws-access-key', label: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { id: 'github-token', label: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  { id: 'anthropic-key', label: 'Anthropic API key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { id: 'openai-key', label: 'OpenAI API key', pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/g },
+  { id: 'slack-token', label: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { id: 'stripe-key', label: 'Stripe secret key', pattern: /\b(?:sk|rk)_live_[A-Za-z0-9]{16,}/g },
+  { id: 'google-api-key', label: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { id: 'npm-token', label: 'npm token', pattern: /\bnpm_[A-Za-z0-9]{36}\b/g },
+  { id: 'jwt', label: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  { id: 'url-credentials', label: 'Password in URL', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:([^\s@/]{3,})@/gi, group: 1 },
+  {
+    id: 'env-assignment',
+    label: 'Secret assignment',
+    pattern: /\b[A-Z0-9_]*(?:PASSWORD|PASSWD|SECRET|TOKEN|API_?KEY|ACCESS_?KEY|PRIVATE_?KEY|CREDENTIALS?)[A-Z0-9_]*["']?\s*[:=]\s*["']?([^\s"'`,;]{8,})/gi,
+    group: 1,
+    // Skip code references (process.env.TOKEN, ${TOKEN}, getToken()), plain numbers and placeholders
+    validate: value => !/[()[\]{}<>$]/.test(value) && !/^[A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)+$/.test(value) &&
+      /\d/.test(value) && !/^\d+$/.test(value),
+  },
+];
+
+/**
+ * Shannon entropy of a string in bits per character.
+ * @param {string} text
+ * @returns {number}
+ */
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const ch of text) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Whether a token looks like a random key: mixed case and digits, not a hex
+ * digest (commit hashes and checksums are everywhere in transcripts), and
+ * high entropy.
+ * @param {string} token
+ * @returns {boolean}
+ */
+function looksRandom(token) {
+  if (token.length > ENTROPY_MAX_LENGTH) return false;
+  if (/^[0-9a-f]+$/i.test(token)) return false;
+  if (!/[a-z]/.test(token) || !/[A-Z]/.test(token) || !/\d/.test(token)) return false;
+  return shannonEntropy(token) >= ENTROPY_THRESHOLD;
+}
+
+/**
+ * The built-in rules (known formats and the entropy check) by name.
+ * @returns {Array<{ id: string, label: string }>}
+ */
+function listBuiltinRules() {
+  return [...BUILTIN_RULES, ENTROPY_RULE].map(rule => ({ id: rule.id, label: rule.label }));
+}
+
+/**
+ * Keep the earliest (then longest) of overlapping matches, in text order.
+ * @param {object[]} matches - { start, end }
+ * @returns {object[]}
+ */
+function resolveOverlaps(matches) {
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+  const kept = [];
+  let lastEnd = -1;
+  for (const match of matches) {
+    if (match.start < lastEnd) continue;
+    kept.push(match);
+    lastEnd = match.end;
+  }
+  return kept;
+}
+
+/**
+ * A masked preview of a secret: its first few characters and length.
+ * @param {string} value
+ * @returns {string}
+ */
+function maskSecret(value) {
+  const shown = value.length > PREVIEW_CHARS * 3 ? value.slice(0, PREVIEW_CHARS) : '';
+  return `${shown}… (${value.length} chars)`;
+}
+
+/**
+ * Validate a custom pattern list. Returns a normalized copy or an error message.
+ * @param {object} config - { patterns: [{ name, pattern, flags? }] }
+ * @returns {{ value?: object, error?: string }}
+ */
+function validatePatterns(config) {
+  if (!config || typeof config !== 'object' || !Array.isArray(config.patterns)) {
+    return { error: '"patterns" must be an array' };
+  }
+  if (config.patterns.length > MAX_CUSTOM_PATTERNS) {
+    return { error: `At most ${MAX_CUSTOM_PATTERNS} patterns are allowed` };
+  }
+
+  const patterns = [];
+  const names = new Set();
+  for (let i = 0; i < config.patterns.length; i++) {
+    const rule = config.patterns[i] || {};
+    const where = `patterns[${i}]`;
+    const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+    if (!name || name.length > 60) return { error: `${where}: "name" is required (max 60 characters)` };
+    if (names.has(name)) return { error: `${where}: duplicate name "${name}"` };
+    if (typeof rule.pattern !== 'string' || !rule.pattern) return { error: `${where}: "pattern" is required` };
+    const flags = rule.flags == null ? '' : rule.flags;
+    if (typeof flags !== 'string' || !CUSTOM_FLAGS_RE.test(flags)) {
+      return { error: `${where}: "flags" may only contain i, m, s, u` };
+    }
+    let regex;
+    try {
+      regex = new RegExp(rule.pattern, flags);
+    } catch (err) {
+      return { error: `${where}: ${err.message}` };
+    }
+    if (regex.test('')) return { error: `${where}: pattern must not match an empty string` };
+    names.add(name);
+    patterns.push({ name, pattern: rule.pattern, ...(flags ? { flags } : {}) });
+  }
+  return { value: { patterns } };
+}
+
+class SecretScanner {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - Path to the custom patterns JSON (default state/secret-patterns.json)
+   */
+  constructor({ file = PATTERNS_FILE } = {}) {
+    this.file = file;
+    this._config = null;
+    this._rules = null;
+    this._mtimeMs = null;
+    this._checkedAt = 0;
+    this._version = 0;
+    this._fileCache = new Map(); // filePath -> scan progress and findings
+  }
+
+  /**
+   * The custom patterns, reloading if the file changed on disk. A missing
+   * file means none; an invalid one is reported and ignored until fixed.
+   * @returns {{ patterns: object[] }}
+   */
+  getPatterns() {
+    this.rules();
+    return this._config;
+  }
+
+  /**
+   * Validate and save the custom patterns.
+   * @param {object} config
+   * @returns {{ value?: object, error?: string }}
+   */
+  setPatterns(config) {
+    const result = validatePatterns(config);
+    if (result.error) return result;
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmpFile = this.file + '.tmp';
+    fs.writeFileSync(tmpFile, JSON.stringify(result.value, null, 2), 'utf-8');
+    fs.renameSync(tmpFile, this.file);
+    this._rules = null; // Force reload on next rules()
+    return result;
+  }
+
+  /**
+   * Built-in plus custom rules, compiled.
+   * @returns {Array<{ id: string, label: string, pattern: RegExp, group?: number, validate?: function }>}
+   */
+  rules() {
+    if (this._rules && Date.now() - this._checkedAt < RECHECK_INTERVAL_MS) return this._rules;
+    this._checkedAt = Date.now();
+
+    let stat = null;
+    try { stat = fs.statSync(this.file); } catch (_) {}
+    const mtimeMs = stat ? stat.mtimeMs : null;
+    if (this._rules && mtimeMs === this._mtimeMs) return this._rules;
+
+    let config = { patterns: [] };
+    if (stat) {
+      try {
+        const { value, error } = validatePatterns(JSON.parse(fs.readFileSync(this.file, 'utf-8')));
+        if (error) console.error('[Secrets] Invalid patterns file, using built-in rules only:', error);
+        else config = value;
+      } catch (err) {
+        console.error('[Secrets] Failed to read patterns file, using built-in rules only:', err.message);
+      }
+    }
+
+    const custom = config.patterns.map(p => ({
+      id: 'custom:' + p.name,
+      label: p.name,
+      pattern: new RegExp(p.pattern, 'g' + (p.flags || '')),
+    }));
+    this._config = config;
+    this._rules = [...BUILTIN_RULES, ...custom];
+    this._mtimeMs = mtimeMs;
+    // Cached report findings were made with the old rules
+    this._version++;
+    this._fileCache.clear();
+    return this._rules;
+  }
+
+  /**
+   * Find secrets in a string. Where matches overlap, the earliest (then
+   * longest) wins, and a known format always beats a high-entropy match.
+   * @param {string} text
+   * @returns {Array<{ rule: string, label: string, start: number, end: number, value: string }>}
+   */
+  scan(text) {
+    if (typeof text !== 'string' || text.length < 8) return [];
+    const matches = [];
+
+    for (const rule of this.rules()) {
+      rule.pattern.lastIndex = 0;
+      let m;
+      while ((m = rule.pattern.exec(text)) !== null) {
+        if (m[0].length === 0) {
+          rule.pattern.lastIndex++;
+          continue;
+        }
+        const value = rule.group ? m[rule.group] : m[0];
+        if (!value || (rule.validate && !rule.validate(value))) continue;
+        const start = m.index + (rule.group ? m[0].lastIndexOf(value) : 0);
+        matches.push({ rule: rule.id, label: rule.label, start, end: start + value.length, value });
+      }
+    }
+
+    // Named formats first; entropy only fills in what they didn't match
+    const findings = resolveOverlaps(matches);
+    const entropy = [];
+    ENTROPY_TOKEN_RE.lastIndex = 0;
+    let m;
+    while ((m = ENTROPY_TOKEN_RE.exec(text)) !== null) {
+      if (!looksRandom(m[0])) continue;
+      const start = m.index;
+      const end = start + m[0].length;
+      if (findings.some(f => f.start < end && start < f.end)) continue;
+      entropy.push({ rule: ENTROPY_RULE.id, label: ENTROPY_RULE.label, start, end, value: m[0] });
+    }
+    if (entropy.length > 0) return resolveOverlaps(findings.concat(entropy));
+    return findings;
+  }
+
+  /**
+   * Replace every secret in a string with "[REDACTED:<rule>]".
+   * @param {string} text
+   * @returns {string}
+   */
+  redact(text) {
+    const findings = this.scan(text);
+    if (findings.length === 0) return text;
+    let out = '';
+    let pos = 0;
+    for (const f of findings) {
+      out += text.slice(pos, f.start) + `[REDACTED:${f.rule}]`;
+      pos = f.end;
+    }
+    return out + text.slice(pos);
+  }
+
+  /**
+   * Redact every string in a JSON-like value. Returns a copy; the input
+   * (often a cached object) is left alone. ID and signature fields are kept.
+   * @param {*} value
+   * @returns {*}
+   */
+  redactDeep(value) {
+    if (typeof value === 'string') return this.redact(value);
+    if (Array.isArray(value)) return value.map(item => this.redactDeep(item));
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      const out = {};
+      for (const [key, item] of Object.entries(value)) {
+        out[key] = SKIP_KEYS.has(key) ? item : this.redactDeep(item);
+      }
+      return out;
+    }
+    return value;
+  }
+
+  /**
+   * Scan a JSONL transcript for the secrets report. Progress is kept per
+   * file, so appended lines are all a later call reads; a file that shrank
+   * or a change to the custom patterns starts it over.
+   * @param {string} filePath
+   * @param {number} [deadline] - Date.now() value to stop reading at
+   * @returns {{ findings: Array<{ line: number, path: string, rule: string, label: string, preview: string }>,
+   *   byRule: Object<string, number>, total: number, complete: boolean }|null} Null if the file can't be read
+   */
+  scanFile(filePath, deadline = Infinity) {
+    this.rules();
+    let stat;
+    try { stat = fs.statSync(filePath); } catch (_) { return null; }
+
+    let entry = this._fileCache.get(filePath);
+    if (!entry || entry.version !== this._version || stat.size < entry.offset) {
+      entry = { version: this._version, offset: 0, line: 1, findings: [], byRule: {}, total: 0, complete: false };
+      this._fileCache.set(filePath, entry);
+    }
+    if (entry.offset >= stat.size) {
+      entry.complete = true;
+      return entry;
+    }
+
+    const visitString = (text, lineNo, jsonPath) => {
+      for (const f of this.scan(text)) {
+        entry.total++;
+        entry.byRule[f.rule] = (entry.byRule[f.rule] || 0) + 1;
+        if (entry.findings.length < MAX_FINDINGS_PER_FILE) {
+          entry.findings.push({ line: lineNo, path: jsonPath, rule: f.rule, label: f.label, preview: maskSecret(f.value) });
+        }
+      }
+    };
+    const walk = (value, lineNo, jsonPath, key) => {
+      if (typeof value === 'string') {
+        if (!SKIP_KEYS.has(key)) visitString(value, lineNo, jsonPath);
+      } else if (Array.isArray(value)) {
+        value.forEach((item, i) => walk(item, lineNo, `${jsonPath}[${i}]`, key));
+      } else if (value && typeof value === 'object') {
+        for (const [k, item] of Object.entries(value)) walk(item, lineNo, jsonPath ? `${jsonPath}.${k}` : k, k);
+      }
+    };
+
+    let fd;
+    try { fd = fs.openSync(filePath, 'r'); } catch (_) { return null; }
+    try {
+      const end = forEachLineForward(fd, stat.size, { offset: entry.offset, line: entry.line }, (text, lineNo) => {
+        if (text.trim()) {
+          let record;
+          try { record = JSON.parse(text); } catch (_) { record = text; }
+          walk(record, lineNo, '', null);
+        }
+        return Date.now() < deadline;
+      });
+      entry.offset = end.offset;
+      entry.line = end.line;
+      entry.complete = end.done;
+    } finally {
+      fs.closeSync(fd);
+    }
+    return entry;
+  }
+}
+
+// Singleton
+let instance = null;
+function getSecretScanner() {
+  if (!instance) instance = new SecretScanner();
+  return instance;
+}
+
+module.exports = {
+  SecretScanner,
+  getSecretScanner,
+  validatePatterns,
+  listBuiltinRules,
+  shannonEntropy,
+  maskSecret,
+  BUILTIN_RULES,
+};
@@ -12,12 +12,29 @@
 
 const path = require('path');
 const { execFile, execSync } = require('child_process');
+const { pipeline } = require('stream');
 const express = require('express');
 
-const { setupAuth, requireAuth, isValidToken } = require('./auth');
+const { setupAuth, requireAuth, requireAdmin, isValidToken } = require('./auth');
 const { getStore } = require('../state/store');
 const { launchSession, stopSession, restartSession } = require('../core/session-manager');
 const { backupFrontend, restoreFrontend, getBackupStatus } = require('./backup');
+const { getNotificationManager } = require('../core/notifications');
+const { getScrollbackSpool, stripAnsi } = require('./scrollback-spool');
+const { getRecordingManager, mapCastEvents } = require('./recordings');
+const { getShareLinks } = require('./share-links');
+const { getAuditLog, parseAuditCursor, actionForRoute, outcomeForStatus, requestActor, requestTargets } = require('./audit-log');
+const { getHooksBridge } = require('./hooks-bridge');
+const { getApprovalInbox, APPROVE_KEYS, DENY_KEYS } = require('./approvals');
+const { waitForIdle, DEFAULT_QUIET_MS } = require('./session-wait');
+const { buildTodoState, todosAsTasks, MIRROR_TARGETS } = require('./session-todos');
+const { getFileAttribution, findConflicts, DEFAULT_WINDOW_MS: DEFAULT_CONFLICT_WINDOW_MS } = require('./file-attribution');
+const { readTranscriptPage, parseCursor } = require('./transcript-reader');
+const { getSecretScanner, listBuiltinRules } = require('./secret-scanner');
+const { getTranscriptArchive, validatePolicy, selectForRetention, lastActivity } = require('./transcript-archive');
+const { getGitCheckpoints } = require('./git-checkpoints');
+const gitReview = require('./git-review');
+const featureWorktrees = require('./feature-worktrees');
 
 // ─── App Creation ──────────────────────────────────────────
 
@@ -80,6 +97,60 @@ app.use((req, res, next) => {
   next();
 });
 
+// ─── Audit Log ───────────────────────────────────────────────
+
+app.use((req, res, next) => {
+  // Record every mutating API call once its response has been sent. Handlers
+  // can add context via res.locals.audit = { details, outcome }.
+  if (!req.path.startsWith('/api/') || ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+  // Hook reports arrive on every tool call and only carry status, so skip them
+  if (req.path === '/api/hooks/events') return next();
+  const started = Date.now();
+  // Remember the response body so "create" calls can log the new object's ID
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.auditBody = body;
+    return sendJson(body);
+  };
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : null;
+    const extra = res.locals.audit || {};
+    const targets = requestTargets(req, route);
+    const body = res.locals.auditBody;
+    if (res.statusCode === 201 && body && typeof body === 'object') {
+      const created = body.id ? body : Object.values(body).find(v => v && typeof v === 'object' && v.id);
+      if (created) targets.createdId = created.id;
+    }
+    getAuditLog().record({
+      action: actionForRoute(req.method, route),
+      actor: requestActor(req),
+      ip: req.ip || (req.socket && req.socket.remoteAddress) || '',
+      method: req.method,
+      route,
+      path: req.path,
+      targets,
+      status: res.statusCode,
+      outcome: extra.outcome || outcomeForStatus(res.statusCode),
+      durationMs: Date.now() - started,
+      ...(extra.details ? { details: extra.details } : {}),
+    });
+  });
+  next();
+});
+
+// ─── Secret Redaction ────────────────────────────────────────
+
+/**
+ * Route middleware for responses built from transcripts (search results,
+ * exports, summaries, the conversation viewer): every string in the JSON body
+ * has API keys, tokens and other secrets replaced before it leaves the server.
+ */
+function redactSecrets(req, res, next) {
+  const sendJson = res.json.bind(res);
+  res.json = (body) => sendJson(getSecretScanner().redactDeep(body));
+  next();
+}
+
 // ─── Health Check (no auth) ─────────────────────────────────
 
 const serverStartTime = Date.now();
@@ -527,10 +598,11 @@ app.get('/api/sessions', requireAuth, (req, res) => {
 
 /**
  * POST /api/sessions
- * Body: { name, workspaceId, workingDir?, topic?, command?, resumeSessionId? }
+ * Body: { name, workspaceId, workingDir?, topic?, provider?, command?, resumeSessionId? }
+ * provider defaults to 'claude'; command defaults to the provider's CLI.
  */
 app.post('/api/sessions', requireAuth, (req, res) => {
-  const { name, workspaceId, workingDir, topic, command, resumeSessionId } = req.body || {};
+  const { name, workspaceId, workingDir, topic, command, resumeSessionId, provider } = req.body || {};
 
   if (!name || typeof name !== 'string' || name.trim().length === 0) {
     return res.status(400).json({ error: 'Session name is required.' });
@@ -541,6 +613,12 @@ app.post('/api/sessions', requireAuth, (req, res) => {
   if (!workspaceId) {
     return res.status(400).json({ error: 'workspaceId is required.' });
   }
+  if (provider && !isValidProvider(provider)) {
+    return res.status(400).json({ error: providerError() });
+  }
+  if (resumeSessionId && !isSafeCliValue(resumeSessionId)) {
+    return res.status(400).json({ error: cliValueError('resumeSessionId') });
+  }
 
   const store = getStore();
   const session = store.createSession({
@@ -548,7 +626,8 @@ app.post('/api/sessions', requireAuth, (req, res) => {
     workspaceId,
     workingDir: workingDir || '',
     topic: topic || '',
-    command: command || 'claude',
+    provider: provider || 'claude',
+    command: command || getProvider(provider).defaultCommand,
     resumeSessionId: resumeSessionId || null,
   });
 
@@ -570,6 +649,24 @@ app.put('/api/sessions/:id', requireAuth, (req, res) => {
   // running->stopped transitions for auto-summary generation.
   const existingSession = store.getSession(req.params.id);
   const previousStatus = existingSession ? existingSession.status : null;
+  const previousMirror = existingSession ? existingSession.todoMirror : null;
+
+  if (req.body && req.body.provider !== undefined && !isValidProvider(req.body.provider)) {
+    return res.status(400).json({ error: providerError() });
+  }
+  if (req.body && req.body.todoMirror !== undefined && !MIRROR_TARGETS.includes(req.body.todoMirror)) {
+    return res.status(400).json({ error: `todoMirror must be one of: ${MIRROR_TARGETS.join(', ')}` });
+  }
+  if (req.body && req.body.checkpoints !== undefined && typeof req.body.checkpoints !== 'boolean') {
+    return res.status(400).json({ error: 'checkpoints must be true or false' });
+  }
+  // Both end up on the command line that launches the session
+  for (const field of ['model', 'resumeSessionId']) {
+    const value = req.body ? req.body[field] : undefined;
+    if (value !== undefined && value !== null && value !== '' && !isSafeCliValue(value)) {
+      return res.status(400).json({ error: cliValueError(field) });
+    }
+  }
 
   const session = store.updateSession(req.params.id, req.body);
 
@@ -577,9 +674,14 @@ app.put('/api/sessions/:id', requireAuth, (req, res) => {
     return res.status(404).json({ error: 'Session not found.' });
   }
 
+  // Bring a newly chosen todo mirror target up to date right away
+  const updates = req.body || {};
+  if (updates.todoMirror && updates.todoMirror !== 'off' && updates.todoMirror !== previousMirror) {
+    setImmediate(() => checkSessionTodos(session.id, { force: true }));
+  }
+
   // Auto-generate summary when a session transitions from running to stopped
   // and the workspace has autoSummary enabled (defaults to true).
-  const updates = req.body || {};
   if (updates.status === 'stopped' && previousStatus === 'running') {
     const ws = session.workspaceId ? store.getWorkspace(session.workspaceId) : null;
     const autoSummaryEnabled = ws ? (ws.autoSummary !== false) : false;
@@ -619,6 +721,7 @@ app.delete('/api/sessions/:id', requireAuth, (req, res) => {
   if (!deleted) {
     return res.status(404).json({ error: 'Session not found.' });
   }
+  getScrollbackSpool().clear(req.params.id);
 
   return res.json({ success: true });
 });
@@ -626,9 +729,15 @@ app.delete('/api/sessions/:id', requireAuth, (req, res) => {
 /**
  * POST /api/sessions/:id/start
  * Launch the session process and mark it as recently used.
+ * Returns 403 if a blocking budget for this session has been exceeded.
  */
 app.post('/api/sessions/:id/start', requireAuth, (req, res) => {
   const store = getStore();
+  const block = findBlockingBudget(req.params.id);
+  if (block) {
+    return res.status(403).json({ success: false, error: budgetBlockMessage(block), budgetId: block.budget.id });
+  }
+
   const result = launchSession(req.params.id);
 
   if (result.success) {
@@ -650,9 +759,15 @@ app.post('/api/sessions/:id/stop', requireAuth, (req, res) => {
 /**
  * POST /api/sessions/:id/restart
  * Restart the session process and mark it as recently used.
+ * Returns 403 if a blocking budget for this session has been exceeded.
  */
 app.post('/api/sessions/:id/restart', requireAuth, (req, res) => {
   const store = getStore();
+  const block = findBlockingBudget(req.params.id);
+  if (block) {
+    return res.status(403).json({ success: false, error: budgetBlockMessage(block), budgetId: block.budget.id });
+  }
+
   const result = restartSession(req.params.id);
 
   if (result.success) {
@@ -699,81 +814,100 @@ const fs = require('fs');
 const os = require('os');
 const crypto = require('crypto');
 
-// ─── Discover Cache (30s TTL) ──────────────────────────────
-let _discoverCache = null;
-let _discoverCacheTime = 0;
-const DISCOVER_CACHE_TTL = 30000; // 30 seconds
+// ─── Transcript Index ──────────────────────────────────────
+// Persistent, incremental index over ~/.claude/projects/*.jsonl, owned by the
+// Claude Code provider. Discovery, search, cost lookups and session-to-file
+// resolution all read from it; each refresh only parses lines appended since
+// the last pass. Other providers keep their own session log caches.
+const { getProvider, listProviders, isValidProvider, isSafeCliValue } = require('../providers');
+const claudeProvider = getProvider('claude');
+const transcriptIndex = claudeProvider.getIndex();
+const TRANSCRIPT_INDEX_INTERVAL = 15000; // Background refresh every 15s
+const TRANSCRIPT_INDEX_BUDGET_MS = 2000; // Max time spent parsing per refresh
+let _transcriptIndexTimer = null;
 
 /**
- * GET /api/discover
- * Scans ~/.claude/projects/ for all Claude Code sessions.
- * Returns projects with their session counts, paths, and total file sizes.
- * Results are cached in memory for 30 seconds.
+ * GET /api/providers
+ * Lists the AI CLI providers sessions and templates can use.
  */
-app.get('/api/discover', requireAuth, (req, res) => {
-  const now = Date.now();
-  if (_discoverCache && (now - _discoverCacheTime) < DISCOVER_CACHE_TTL) {
-    return res.json(_discoverCache);
-  }
+app.get('/api/providers', requireAuth, (req, res) => {
+  return res.json({
+    providers: listProviders().map(p => ({ id: p.id, label: p.label, defaultCommand: p.defaultCommand })),
+  });
+});
 
-  const claudeDir = path.join(os.homedir(), '.claude', 'projects');
+/**
+ * Validation message for an unknown provider ID.
+ * @returns {string}
+ */
+function providerError() {
+  return `Unknown provider. Valid providers: ${listProviders().map(p => p.id).join(', ')}.`;
+}
 
-  if (!fs.existsSync(claudeDir)) {
-    const result = { projects: [] };
-    _discoverCache = result;
-    _discoverCacheTime = now;
-    return res.json(result);
-  }
+/**
+ * Validation message for a value that can't go on a command line.
+ * @param {string} field
+ * @returns {string}
+ */
+function cliValueError(field) {
+  return `${field} may only contain letters, digits, underscores, dots, colons and dashes.`;
+}
 
+/**
+ * GET /api/discover
+ * Lists the projects every provider has session logs for (Claude Code's
+ * ~/.claude/projects/ via the transcript index, Codex's ~/.codex/sessions, ...).
+ * Returns projects with their provider, session counts, paths, and total file sizes.
+ */
+app.get('/api/discover', requireAuth, redactSecrets, (req, res) => {
   try {
-    const entries = fs.readdirSync(claudeDir, { withFileTypes: true });
     const projects = [];
 
-    for (const entry of entries) {
-      if (!entry.isDirectory()) continue;
-
-      const projectDir = path.join(claudeDir, entry.name);
-      // Decode directory name to real path: C--Users-Jane-Desktop-foo → C:\Users\Jane\Desktop\foo
-      const realPath = decodeClaudePath(entry.name);
+    // Archived Claude sessions per project (counted, not listed)
+    const archivedByProject = {};
+    for (const manifest of getTranscriptArchive().list()) {
+      const totals = archivedByProject[manifest.encodedName] || (archivedByProject[manifest.encodedName] = { count: 0, size: 0 });
+      totals.count++;
+      totals.size += manifest.originalBytes;
+    }
 
-      // Count .jsonl session files and compute total size
-      let sessionFiles = [];
-      let totalSize = 0;
-      try {
-        sessionFiles = fs.readdirSync(projectDir)
-          .filter(f => f.endsWith('.jsonl'))
-          .map(f => {
-            const stat = fs.statSync(path.join(projectDir, f));
-            totalSize += stat.size;
-            return { name: f.replace('.jsonl', ''), modified: stat.mtime, size: stat.size };
-          })
-          .sort((a, b) => b.modified - a.modified);
-      } catch (_) {
-        // skip if can't read
-      }
+    for (const provider of listProviders()) {
+      provider.refresh(TRANSCRIPT_INDEX_BUDGET_MS);
+      for (const project of provider.listProjects()) {
+        const realPath = project.realPath;
+        const sessionFiles = project.files.map(f => ({
+          name: f.sessionId,
+          modified: new Date(f.mtimeMs),
+          size: f.size,
+        }));
+        const totalSize = sessionFiles.reduce((sum, f) => sum + f.size, 0);
+
+        // Check for CLAUDE.md
+        let hasClaudeMd = false;
+        try {
+          hasClaudeMd = fs.existsSync(path.join(realPath, 'CLAUDE.md'));
+        } catch (_) {}
 
-      // Check for CLAUDE.md
-      let hasClaudeMd = false;
-      try {
-        hasClaudeMd = fs.existsSync(path.join(realPath, 'CLAUDE.md'));
-      } catch (_) {}
+        // Check if directory actually exists
+        let dirExists = false;
+        try {
+          dirExists = fs.existsSync(realPath);
+        } catch (_) {}
 
-      // Check if directory actually exists
-      let dirExists = false;
-      try {
-        dirExists = fs.existsSync(realPath);
-      } catch (_) {}
-
-      projects.push({
-        encodedName: entry.name,
-        realPath,
-        dirExists,
-        hasClaudeMd,
-        sessionCount: sessionFiles.length,
-        totalSize,
-        lastActive: sessionFiles.length > 0 ? sessionFiles[0].modified : null,
-        sessions: sessionFiles.map(s => ({ name: s.name, modified: s.modified, size: s.size })),
-      });
+        projects.push({
+          provider: provider.id,
+          encodedName: project.encodedName,
+          realPath,
+          dirExists,
+          hasClaudeMd,
+          sessionCount: sessionFiles.length,
+          totalSize,
+          archivedCount: provider.id === 'claude' && archivedByProject[project.encodedName] ? archivedByProject[project.encodedName].count : 0,
+          archivedSize: provider.id === 'claude' && archivedByProject[project.encodedName] ? archivedByProject[project.encodedName].size : 0,
+          lastActive: sessionFiles.length > 0 ? sessionFiles[0].modified : null,
+          sessions: sessionFiles,
+        });
+      }
     }
 
     // Sort by lastActive descending
@@ -783,86 +917,12 @@ app.get('/api/discover', requireAuth, (req, res) => {
       return new Date(b.lastActive) - new Date(a.lastActive);
     });
 
-    const result = { projects };
-    _discoverCache = result;
-    _discoverCacheTime = now;
-    return res.json(result);
+    return res.json({ projects });
   } catch (err) {
     return res.status(500).json({ error: 'Failed to scan projects: ' + err.message });
   }
 });
 
-/**
- * Decode a Claude projects directory name to a real filesystem path.
- * Uses filesystem-aware greedy matching to correctly handle hyphens in directory names.
- *
- * Encoding rules:
- *   "C--"  at start    →  "C:\"          (drive separator)
- *   "--"   in middle   →  "\."           (dot-prefixed dir, e.g. .claude)
- *   "-"    elsewhere   →  "\" OR literal "-"  (ambiguous — resolved via fs)
- *
- * Examples:
- *   C--Users-Jane-Desktop-my-project
- *     → C:\Users\Jane\Desktop\my-project
- *   C--Users-Jane--claude
- *     → C:\Users\Jane\.claude
- */
-function decodeClaudePath(encoded) {
-  const driveMatch = encoded.match(/^([A-Z])--(.*)/);
-  if (!driveMatch) return encoded;
-
-  const drive = driveMatch[1] + ':\\';
-  const rest = driveMatch[2];
-  if (!rest) return drive;
-
-  // Split on '--' to handle dot-prefixed dirs (Jane--claude → Jane\.claude)
-  const majorParts = rest.split('--');
-  let resolved = drive;
-
-  for (let i = 0; i < majorParts.length; i++) {
-    const part = majorParts[i];
-    const dotPrefix = i > 0 ? '.' : '';
-    const tokens = part.split('-').filter(t => t.length > 0);
-
-    if (tokens.length === 0) continue;
-
-    // Dot-prefixed segments (after --) are a single directory name
-    if (dotPrefix) {
-      resolved = path.join(resolved, '.' + tokens.join('-'));
-      continue;
-    }
-
-    // For regular segments, greedily match against the real filesystem.
-    // Try the longest hyphenated name first so "claude-workspace-manager"
-    // resolves as ONE directory instead of three.
-    let idx = 0;
-    while (idx < tokens.length) {
-      let matched = false;
-
-      for (let len = tokens.length - idx; len > 1; len--) {
-        const candidate = tokens.slice(idx, idx + len).join('-');
-        const candidatePath = path.join(resolved, candidate);
-        try {
-          if (fs.existsSync(candidatePath)) {
-            resolved = candidatePath;
-            idx += len;
-            matched = true;
-            break;
-          }
-        } catch (_) { /* skip */ }
-      }
-
-      if (!matched) {
-        // Single token — treat as its own directory segment
-        resolved = path.join(resolved, tokens[idx]);
-        idx++;
-      }
-    }
-  }
-
-  return resolved;
-}
-
 // ──────────────────────────────────────────────────────────
 //  Session Auto-Title
 // ──────────────────────────────────────────────────────────
@@ -1001,7 +1061,7 @@ function generateSessionTitle(firstMessage, firstAssistantResponse, recentUserMe
  * Reads the Claude session's .jsonl file and generates a title
  * from the conversation content. Produces a concise, descriptive title.
  */
-app.post('/api/sessions/:id/auto-title', requireAuth, (req, res) => {
+app.post('/api/sessions/:id/auto-title', requireAuth, redactSecrets, (req, res) => {
   const store = getStore();
   const session = store.getSession(req.params.id);
 
@@ -1012,23 +1072,7 @@ app.post('/api/sessions/:id/auto-title', requireAuth, (req, res) => {
   }
 
   // Find the .jsonl file in ~/.claude/projects/
-  const claudeProjectsDir = path.join(os.homedir(), '.claude', 'projects');
-  let jsonlPath = null;
-
-  try {
-    if (fs.existsSync(claudeProjectsDir)) {
-      const projectDirs = fs.readdirSync(claudeProjectsDir, { withFileTypes: true })
-        .filter(d => d.isDirectory());
-
-      for (const dir of projectDirs) {
-        const candidate = path.join(claudeProjectsDir, dir.name, claudeSessionId + '.jsonl');
-        if (fs.existsSync(candidate)) {
-          jsonlPath = candidate;
-          break;
-        }
-      }
-    }
-  } catch (_) {}
+  const jsonlPath = findJsonlFile(claudeSessionId);
 
   if (!jsonlPath) {
     return res.status(404).json({ error: 'Session conversation file not found' });
@@ -1121,7 +1165,9 @@ app.post('/api/sessions/:id/auto-title', requireAuth, (req, res) => {
 
     // ── Generate a concise title from session content ──
     // Pass both user and assistant messages for better context
-    title = generateSessionTitle(firstUserMessage, firstAssistantResponse, recentUserMessages, recentAssistantMessages);
+    title = getSecretScanner().redact(
+      generateSessionTitle(firstUserMessage, firstAssistantResponse, recentUserMessages, recentAssistantMessages)
+    );
 
     // Update the session name if it's a store session
     if (session) {
@@ -1139,7 +1185,7 @@ app.post('/api/sessions/:id/auto-title', requireAuth, (req, res) => {
  * of the overall theme and most recent tasking.
  * Also works for project sessions by passing claudeSessionId in body.
  */
-app.post('/api/sessions/:id/summarize', requireAuth, (req, res) => {
+app.post('/api/sessions/:id/summarize', requireAuth, redactSecrets, (req, res) => {
   const store = getStore();
   // For store sessions, use resumeSessionId. For project sessions, accept direct ID.
   const session = store.getSession(req.params.id);
@@ -1150,22 +1196,7 @@ app.post('/api/sessions/:id/summarize', requireAuth, (req, res) => {
   }
 
   // Find the .jsonl file in ~/.claude/projects/
-  const claudeProjectsDir = path.join(os.homedir(), '.claude', 'projects');
-  let jsonlPath = null;
-
-  try {
-    if (fs.existsSync(claudeProjectsDir)) {
-      const projectDirs = fs.readdirSync(claudeProjectsDir, { withFileTypes: true })
-        .filter(d => d.isDirectory());
-      for (const dir of projectDirs) {
-        const candidate = path.join(claudeProjectsDir, dir.name, claudeSessionId + '.jsonl');
-        if (fs.existsSync(candidate)) {
-          jsonlPath = candidate;
-          break;
-        }
-      }
-    }
-  } catch (_) {}
+  const jsonlPath = findJsonlFile(claudeSessionId);
 
   if (!jsonlPath) {
     return res.status(404).json({ error: 'Session conversation file not found' });
@@ -1284,148 +1315,23 @@ app.post('/api/sessions/:id/summarize', requireAuth, (req, res) => {
 
 /**
  * POST /api/search-conversations
- * Searches across all Claude session JSONL files for conversations matching the query.
- * Reads user messages from each session and matches against search terms.
+ * Searches across all Claude sessions for conversations matching the query.
+ * Matches against every user message in the transcript index.
  * Body: { query: "string" }
  * Returns: { results: [{ sessionId, projectPath, projectName, preview, modified, size }] }
  */
-app.post('/api/search-conversations', requireAuth, async (req, res) => {
+app.post('/api/search-conversations', requireAuth, redactSecrets, async (req, res) => {
   const { query } = req.body;
   if (!query || typeof query !== 'string' || query.trim().length < 2) {
     return res.status(400).json({ error: 'Query must be at least 2 characters' });
   }
 
   const searchTerms = query.toLowerCase().trim().split(/\s+/);
-  const claudeProjectsDir = path.join(os.homedir(), '.claude', 'projects');
-
-  if (!fs.existsSync(claudeProjectsDir)) {
-    return res.json({ results: [] });
-  }
-
-  const results = [];
   const MAX_RESULTS = 50;
-  const SAMPLE_SIZE = 20 * 1024; // Read 20KB from head and tail of each file
 
   try {
-    const projectDirs = fs.readdirSync(claudeProjectsDir, { withFileTypes: true })
-      .filter(d => d.isDirectory());
-
-    for (const dir of projectDirs) {
-      if (results.length >= MAX_RESULTS) break;
-
-      const projectDir = path.join(claudeProjectsDir, dir.name);
-      const realPath = decodeClaudePath(dir.name);
-      const projectName = realPath.split('\\').pop() || realPath.split('/').pop() || dir.name;
-
-      let jsonlFiles;
-      try {
-        jsonlFiles = fs.readdirSync(projectDir).filter(f => f.endsWith('.jsonl'));
-      } catch (_) { continue; }
-
-      for (const file of jsonlFiles) {
-        if (results.length >= MAX_RESULTS) break;
-
-        const filePath = path.join(projectDir, file);
-        const sessionId = file.replace('.jsonl', '');
-        let stat;
-        try { stat = fs.statSync(filePath); } catch (_) { continue; }
-
-        // Read head and tail samples
-        const fileSize = stat.size;
-        if (fileSize === 0) continue;
-
-        let content = '';
-        try {
-          const fd = fs.openSync(filePath, 'r');
-
-          // Head sample
-          const headSize = Math.min(SAMPLE_SIZE, fileSize);
-          const headBuf = Buffer.alloc(headSize);
-          fs.readSync(fd, headBuf, 0, headSize, 0);
-          content = headBuf.toString('utf-8');
-
-          // Tail sample (if file is larger than head)
-          if (fileSize > SAMPLE_SIZE * 2) {
-            const tailSize = Math.min(SAMPLE_SIZE, fileSize);
-            const tailBuf = Buffer.alloc(tailSize);
-            fs.readSync(fd, tailBuf, 0, tailSize, fileSize - tailSize);
-            content += '\n' + tailBuf.toString('utf-8');
-          }
-
-          fs.closeSync(fd);
-        } catch (_) { continue; }
-
-        // Extract user messages
-        const lines = content.split('\n').filter(l => l.trim());
-        const userTexts = [];
-
-        for (const line of lines) {
-          try {
-            const msg = JSON.parse(line);
-            const inner = msg.message || msg;
-            const isUser = msg.type === 'user' || msg.type === 'human' || inner.role === 'user';
-            if (!isUser) continue;
-
-            const c = inner.content;
-            let text = '';
-            if (typeof c === 'string') text = c;
-            else if (Array.isArray(c)) {
-              const tb = c.find(b => b.type === 'text' && b.text);
-              if (tb) text = tb.text;
-            }
-            if (text && text.length >= 5 && !text.startsWith('<system-reminder')) {
-              userTexts.push(text.replace(/[\r\n]+/g, ' ').replace(/\s+/g, ' ').trim());
-            }
-          } catch (_) {}
-        }
-
-        if (userTexts.length === 0) continue;
-
-        // Check if any user message matches ALL search terms
-        const allText = userTexts.join(' ').toLowerCase();
-        const matches = searchTerms.every(term => allText.includes(term));
-        if (!matches) continue;
-
-        // Find the best matching message for preview
-        let bestPreview = '';
-        let bestScore = 0;
-        for (const text of userTexts) {
-          const lower = text.toLowerCase();
-          const score = searchTerms.filter(t => lower.includes(t)).length;
-          if (score > bestScore) {
-            bestScore = score;
-            bestPreview = text;
-          }
-        }
-
-        // Truncate preview
-        if (bestPreview.length > 200) {
-          bestPreview = bestPreview.substring(0, 200).replace(/\s+\S*$/, '') + '...';
-        }
-
-        // First user message as topic hint
-        let topic = userTexts[0] || '';
-        if (topic.length > 100) {
-          topic = topic.substring(0, 100).replace(/\s+\S*$/, '') + '...';
-        }
-
-        results.push({
-          sessionId,
-          projectPath: realPath,
-          projectEncoded: dir.name,
-          projectName,
-          topic,
-          preview: bestPreview,
-          modified: stat.mtime,
-          size: stat.size,
-          messageCount: userTexts.length,
-        });
-      }
-    }
-
-    // Sort by modification time (most recent first)
-    results.sort((a, b) => new Date(b.modified) - new Date(a.modified));
-
+    transcriptIndex.refreshIfStale(TRANSCRIPT_INDEX_BUDGET_MS);
+    const results = transcriptIndex.searchConversations(searchTerms, MAX_RESULTS);
     return res.json({ results });
   } catch (err) {
     return res.status(500).json({ error: 'Search failed: ' + err.message });
@@ -1437,161 +1343,89 @@ app.post('/api/search-conversations', requireAuth, async (req, res) => {
 //  COST TRACKING
 // ──────────────────────────────────────────────────────────
 
-/**
- * Token pricing per million tokens, by model.
- * Source: https://platform.claude.com/docs/en/about-claude/pricing
- * Cache write = 5-minute cache (1.25× base input). Cache read = 0.10× base input.
- * Last verified: 2026-02-12
- */
-const TOKEN_PRICING = {
-  // Current models
-  'claude-opus-4-6':            { input: 5,    output: 25,   cacheWrite: 6.25,  cacheRead: 0.50 },
-  'claude-opus-4-5-20251101':   { input: 5,    output: 25,   cacheWrite: 6.25,  cacheRead: 0.50 },
-  'claude-opus-4-5':            { input: 5,    output: 25,   cacheWrite: 6.25,  cacheRead: 0.50 },
-  'claude-sonnet-4-5-20250929': { input: 3,    output: 15,   cacheWrite: 3.75,  cacheRead: 0.30 },
-  'claude-sonnet-4-5':          { input: 3,    output: 15,   cacheWrite: 3.75,  cacheRead: 0.30 },
-  'claude-haiku-4-5-20251001':  { input: 1,    output: 5,    cacheWrite: 1.25,  cacheRead: 0.10 },
-  'claude-haiku-4-5':           { input: 1,    output: 5,    cacheWrite: 1.25,  cacheRead: 0.10 },
-  // Legacy models (still usable)
-  'claude-opus-4-1-20250805':   { input: 15,   output: 75,   cacheWrite: 18.75, cacheRead: 1.50 },
-  'claude-opus-4-1':            { input: 15,   output: 75,   cacheWrite: 18.75, cacheRead: 1.50 },
-  'claude-opus-4-20250514':     { input: 15,   output: 75,   cacheWrite: 18.75, cacheRead: 1.50 },
-  'claude-opus-4-0':            { input: 15,   output: 75,   cacheWrite: 18.75, cacheRead: 1.50 },
-  'claude-sonnet-4-20250514':   { input: 3,    output: 15,   cacheWrite: 3.75,  cacheRead: 0.30 },
-  'claude-sonnet-4-0':          { input: 3,    output: 15,   cacheWrite: 3.75,  cacheRead: 0.30 },
-  'claude-3-7-sonnet-20250219': { input: 3,    output: 15,   cacheWrite: 3.75,  cacheRead: 0.30 },
-  'claude-3-5-haiku-20241022':  { input: 0.80, output: 4,    cacheWrite: 1.00,  cacheRead: 0.08 },
-  'claude-3-haiku-20240307':    { input: 0.25, output: 1.25, cacheWrite: 0.30,  cacheRead: 0.03 },
-};
-// Default to Sonnet pricing for unknown models
-const DEFAULT_PRICING = { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.30 };
-
-/** In-memory cost cache: keyed by sessionId, stores { mtime, result } */
-const _costCache = new Map();
-const COST_CACHE_TTL = 60000; // 60 seconds
+// Model prices come from state/pricing.json (see pricing.js), with
+// effective-date ranges and wildcard model matching.
+const { getPricingTable } = require('./pricing');
 
 /**
- * Find a JSONL file for a given Claude session UUID by scanning
- * all project directories under ~/.claude/projects/.
+ * Find a JSONL file for a given Claude session UUID.
+ * Summaries, titles and search parse Claude Code transcripts, so they resolve
+ * through the Claude provider only (see providers/claude.js).
  * @param {string} claudeSessionId - The Claude session UUID
  * @returns {string|null} Full path to the .jsonl file, or null if not found
  */
 function findJsonlFile(claudeSessionId) {
-  const claudeProjectsDir = path.join(os.homedir(), '.claude', 'projects');
-  if (!fs.existsSync(claudeProjectsDir)) return null;
-
-  try {
-    const projectDirs = fs.readdirSync(claudeProjectsDir, { withFileTypes: true })
-      .filter(d => d.isDirectory());
-
-    for (const dir of projectDirs) {
-      const candidate = path.join(claudeProjectsDir, dir.name, claudeSessionId + '.jsonl');
-      if (fs.existsSync(candidate)) {
-        return candidate;
-      }
-    }
-  } catch (_) {}
-  return null;
+  return claudeProvider.findTranscript(claudeSessionId);
 }
 
 /**
- * Parse a JSONL file and calculate token usage and estimated cost.
- * Aggregates usage across all assistant messages, grouped by model.
- * @param {string} jsonlPath - Absolute path to the .jsonl file
+ * Calculate token usage and estimated cost from a transcript index entry.
+ * The index aggregates usage per day and model, so each bucket is priced
+ * at the rate in effect on that day. Models without a pricing rule use the
+ * default rate and are listed in fallbackModels.
+ * @param {object} entry - Transcript index entry
  * @returns {object} Token and cost breakdown
  */
-function calculateSessionCost(jsonlPath) {
-  const content = fs.readFileSync(jsonlPath, 'utf-8');
-  const lines = content.split('\n').filter(l => l.trim());
-
+function calculateSessionCost(entry) {
+  const pricingTable = getPricingTable();
   const totals = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 };
+  const cost = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, total: 0 };
   const modelBreakdown = {};
+  const fallbackModels = new Set();
   let messageCount = 0;
-  let firstMessage = null;
-  let lastMessage = null;
 
-  // Context growth tracking: per-message input_tokens shows context window size
-  // A growing value means the session is accumulating context and may need compaction
-  let latestInputTokens = 0;       // Most recent message's input_tokens (= current context size)
-  let peakInputTokens = 0;         // Highest input_tokens seen (peak context size)
-  const contextSamples = [];       // Sampled input token progression for graphing
+  for (const [day, models] of Object.entries(entry.usage)) {
+    for (const [model, usage] of Object.entries(models)) {
+      totals.input += usage.input;
+      totals.output += usage.output;
+      totals.cacheWrite += usage.cacheWrite;
+      totals.cacheRead += usage.cacheRead;
+      messageCount += usage.messages;
+
+      const { rates, fallback } = pricingTable.resolve(model, day);
+      if (fallback) fallbackModels.add(model);
+      const bucketCost = {
+        input: (usage.input / 1_000_000) * rates.input,
+        output: (usage.output / 1_000_000) * rates.output,
+        cacheWrite: (usage.cacheWrite / 1_000_000) * rates.cacheWrite,
+        cacheRead: (usage.cacheRead / 1_000_000) * rates.cacheRead,
+      };
+      cost.input += bucketCost.input;
+      cost.output += bucketCost.output;
+      cost.cacheWrite += bucketCost.cacheWrite;
+      cost.cacheRead += bucketCost.cacheRead;
 
-  for (const line of lines) {
-    try {
-      const entry = JSON.parse(line);
-      if (entry.type !== 'assistant') continue;
-
-      const msg = entry.message;
-      if (!msg || !msg.usage) continue;
-
-      messageCount++;
-      const ts = entry.timestamp || null;
-      if (ts && (!firstMessage || ts < firstMessage)) firstMessage = ts;
-      if (ts && (!lastMessage || ts > lastMessage)) lastMessage = ts;
-
-      const usage = msg.usage;
-      const model = msg.model || 'unknown';
-      const inputTokens = usage.input_tokens || 0;
-      const outputTokens = usage.output_tokens || 0;
-      const cacheWriteTokens = usage.cache_creation_input_tokens || 0;
-      const cacheReadTokens = usage.cache_read_input_tokens || 0;
-
-      totals.input += inputTokens;
-      totals.output += outputTokens;
-      totals.cacheWrite += cacheWriteTokens;
-      totals.cacheRead += cacheReadTokens;
-
-      // Track context window growth (input_tokens per message = current context size)
-      latestInputTokens = inputTokens;
-      if (inputTokens > peakInputTokens) peakInputTokens = inputTokens;
-      // Sample every message for the growth timeline (capped at 100 samples)
-      contextSamples.push({ msg: messageCount, tokens: inputTokens, ts });
-
-      // Per-model breakdown
       if (!modelBreakdown[model]) {
-        modelBreakdown[model] = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, cost: 0 };
+        modelBreakdown[model] = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, cost: 0, pricedWithFallback: fallback };
       }
-      modelBreakdown[model].input += inputTokens;
-      modelBreakdown[model].output += outputTokens;
-      modelBreakdown[model].cacheWrite += cacheWriteTokens;
-      modelBreakdown[model].cacheRead += cacheReadTokens;
-
-      // Calculate per-message cost and add to model total
-      const pricing = TOKEN_PRICING[model] || DEFAULT_PRICING;
-      const msgCost =
-        (inputTokens / 1_000_000) * pricing.input +
-        (outputTokens / 1_000_000) * pricing.output +
-        (cacheWriteTokens / 1_000_000) * pricing.cacheWrite +
-        (cacheReadTokens / 1_000_000) * pricing.cacheRead;
-      modelBreakdown[model].cost = Math.round((modelBreakdown[model].cost + msgCost) * 1_000_000) / 1_000_000;
-    } catch (_) {
-      // Skip malformed lines
+      const breakdown = modelBreakdown[model];
+      breakdown.input += usage.input;
+      breakdown.output += usage.output;
+      breakdown.cacheWrite += usage.cacheWrite;
+      breakdown.cacheRead += usage.cacheRead;
+      breakdown.cost += bucketCost.input + bucketCost.output + bucketCost.cacheWrite + bucketCost.cacheRead;
+      if (fallback) breakdown.pricedWithFallback = true;
     }
   }
 
-  // Downsample context growth to max 50 points for the timeline
-  let contextGrowth = contextSamples;
-  if (contextSamples.length > 50) {
-    const step = Math.ceil(contextSamples.length / 50);
-    contextGrowth = contextSamples.filter((_, i) => i % step === 0 || i === contextSamples.length - 1);
-  }
-
-  // Calculate total costs using weighted model pricing
-  const cost = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, total: 0 };
-  for (const [model, breakdown] of Object.entries(modelBreakdown)) {
-    const pricing = TOKEN_PRICING[model] || DEFAULT_PRICING;
-    cost.input += (breakdown.input / 1_000_000) * pricing.input;
-    cost.output += (breakdown.output / 1_000_000) * pricing.output;
-    cost.cacheWrite += (breakdown.cacheWrite / 1_000_000) * pricing.cacheWrite;
-    cost.cacheRead += (breakdown.cacheRead / 1_000_000) * pricing.cacheRead;
-  }
   // Round cost values to 6 decimal places to avoid floating point noise
+  for (const breakdown of Object.values(modelBreakdown)) {
+    breakdown.cost = Math.round(breakdown.cost * 1_000_000) / 1_000_000;
+  }
   cost.input = Math.round(cost.input * 1_000_000) / 1_000_000;
   cost.output = Math.round(cost.output * 1_000_000) / 1_000_000;
   cost.cacheWrite = Math.round(cost.cacheWrite * 1_000_000) / 1_000_000;
   cost.cacheRead = Math.round(cost.cacheRead * 1_000_000) / 1_000_000;
   cost.total = Math.round((cost.input + cost.output + cost.cacheWrite + cost.cacheRead) * 1_000_000) / 1_000_000;
 
+  // Downsample context growth to max 50 points for the timeline
+  const contextSamples = entry.contextSamples || [];
+  let contextGrowth = contextSamples;
+  if (contextSamples.length > 50) {
+    const step = Math.ceil(contextSamples.length / 50);
+    contextGrowth = contextSamples.filter((_, i) => i % step === 0 || i === contextSamples.length - 1);
+  }
+
   return {
     tokens: {
       input: totals.input,
@@ -1602,22 +1436,36 @@ function calculateSessionCost(jsonlPath) {
     },
     cost,
     modelBreakdown,
+    pricedWithFallback: fallbackModels.size > 0,
+    fallbackModels: [...fallbackModels],
     messageCount,
-    firstMessage,
-    lastMessage,
+    firstMessage: entry.firstTimestamp,
+    lastMessage: entry.lastTimestamp,
     // Quota / context growth metrics
     quota: {
-      latestInputTokens,       // Current context window size (last message's input_tokens)
-      peakInputTokens,         // Highest context window size observed
-      contextGrowth,           // Sampled timeline: [{ msg, tokens, ts }, ...]
+      latestInputTokens: entry.latestInputTokens,   // Current context window size (last message's input_tokens)
+      peakInputTokens: entry.peakInputTokens,       // Highest context window size observed
+      contextGrowth,                                // Sampled timeline: [{ msg, tokens, ts }, ...]
     },
   };
 }
 
+/**
+ * Look up token usage and cost for a session via its provider's session logs.
+ * @param {string} resumeSessionId - The provider's session ID (Claude session UUID by default)
+ * @param {string} [providerId='claude'] - The session's provider
+ * @returns {object|null} Cost breakdown (see calculateSessionCost), or null if no transcript exists
+ */
+function getSessionCostData(resumeSessionId, providerId) {
+  const provider = getProvider(providerId);
+  provider.refresh(TRANSCRIPT_INDEX_BUDGET_MS);
+  const entry = provider.getUsage(resumeSessionId);
+  return entry ? calculateSessionCost(entry) : null;
+}
+
 /**
  * GET /api/sessions/:id/cost
- * Reads the session's JSONL file and calculates token usage and estimated cost.
- * Results are cached for 60 seconds, invalidated when the file mtime changes.
+ * Calculates token usage and estimated cost for a session from the transcript index.
  */
 app.get('/api/sessions/:id/cost', requireAuth, (req, res) => {
   const store = getStore();
@@ -1631,20 +1479,8 @@ app.get('/api/sessions/:id/cost', requireAuth, (req, res) => {
       tokens: { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, total: 0 },
       cost: { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, total: 0 },
       modelBreakdown: {},
-      messageCount: 0,
-      firstMessage: null,
-      lastMessage: null,
-    });
-  }
-
-  const jsonlPath = findJsonlFile(resumeSessionId);
-  if (!jsonlPath) {
-    return res.json({
-      sessionId: req.params.id,
-      resumeSessionId,
-      tokens: { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, total: 0 },
-      cost: { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, total: 0 },
-      modelBreakdown: {},
+      pricedWithFallback: false,
+      fallbackModels: [],
       messageCount: 0,
       firstMessage: null,
       lastMessage: null,
@@ -1652,27 +1488,27 @@ app.get('/api/sessions/:id/cost', requireAuth, (req, res) => {
   }
 
   try {
-    // Check cache: keyed by resumeSessionId, validated by file mtime
-    const stat = fs.statSync(jsonlPath);
-    const mtimeMs = stat.mtimeMs;
-    const cached = _costCache.get(resumeSessionId);
-    const now = Date.now();
-
-    if (cached && cached.mtimeMs === mtimeMs && (now - cached.timestamp) < COST_CACHE_TTL) {
-      return res.json(cached.result);
+    const costData = getSessionCostData(resumeSessionId, session && session.provider);
+    if (!costData) {
+      return res.json({
+        sessionId: req.params.id,
+        resumeSessionId,
+        tokens: { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, total: 0 },
+        cost: { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, total: 0 },
+        modelBreakdown: {},
+        pricedWithFallback: false,
+        fallbackModels: [],
+        messageCount: 0,
+        firstMessage: null,
+        lastMessage: null,
+      });
     }
 
-    const costData = calculateSessionCost(jsonlPath);
-    const result = {
+    return res.json({
       sessionId: req.params.id,
       resumeSessionId,
       ...costData,
-    };
-
-    // Store in cache
-    _costCache.set(resumeSessionId, { mtimeMs, timestamp: now, result });
-
-    return res.json(result);
+    });
   } catch (err) {
     return res.status(500).json({ error: 'Failed to calculate cost: ' + err.message });
   }
@@ -1696,24 +1532,10 @@ app.get('/api/quota-overview', requireAuth, (req, res) => {
         const resumeSessionId = session.resumeSessionId;
         if (!resumeSessionId) continue;
 
-        const jsonlPath = findJsonlFile(resumeSessionId);
-        if (!jsonlPath) continue;
-
         try {
-          const stat = fs.statSync(jsonlPath);
-          if (stat.size >= 10 * 1024 * 1024) continue; // Skip >10MB files
-          const mtimeMs = stat.mtimeMs;
-          const cached = _costCache.get(resumeSessionId);
-          const now = Date.now();
-          let costData;
-
-          if (cached && cached.mtimeMs === mtimeMs && (now - cached.timestamp) < COST_CACHE_TTL) {
-            costData = cached.result;
-          } else {
-            costData = calculateSessionCost(jsonlPath);
-            const result = { sessionId: session.id, resumeSessionId, ...costData };
-            _costCache.set(resumeSessionId, { mtimeMs, timestamp: now, result });
-          }
+          const costData = getSessionCostData(resumeSessionId, session.provider);
+          if (!costData) continue;
+          const entry = getProvider(session.provider).getUsage(resumeSessionId);
 
           const latestInput = costData.quota ? costData.quota.latestInputTokens : 0;
           const peakInput = costData.quota ? costData.quota.peakInputTokens : 0;
@@ -1737,8 +1559,9 @@ app.get('/api/quota-overview', requireAuth, (req, res) => {
             urgency,
             totalTokens,
             totalCost,
+            pricedWithFallback: costData.pricedWithFallback,
             messageCount: messages,
-            fileSize: stat.size,
+            fileSize: entry ? entry.size : 0,
             lastMessage: costData.lastMessage || null,
           });
         } catch (_) {
@@ -1764,6 +1587,7 @@ app.get('/api/quota-overview', requireAuth, (req, res) => {
         warningCount,
         totalTokens: totalTokensAll,
         totalCost: Math.round(totalCostAll * 1000) / 1000,
+        fallbackPricedSessions: sessionQuotas.filter(s => s.pricedWithFallback).length,
       },
       sessions: sessionQuotas,
     });
@@ -1794,30 +1618,17 @@ app.get('/api/workspaces/:id/cost', requireAuth, (req, res) => {
     lastMessage: null,
     sessionCount: sessions.length,
     sessionsWithData: 0,
+    pricedWithFallback: false,
+    fallbackSessions: [], // [{ sessionId, name, models }] priced with the default rate
   };
 
   for (const session of sessions) {
     const resumeSessionId = session.resumeSessionId;
     if (!resumeSessionId) continue;
 
-    const jsonlPath = findJsonlFile(resumeSessionId);
-    if (!jsonlPath) continue;
-
     try {
-      // Check cache for individual session cost
-      const stat = fs.statSync(jsonlPath);
-      const mtimeMs = stat.mtimeMs;
-      const cached = _costCache.get(resumeSessionId);
-      const now = Date.now();
-      let costData;
-
-      if (cached && cached.mtimeMs === mtimeMs && (now - cached.timestamp) < COST_CACHE_TTL) {
-        costData = cached.result;
-      } else {
-        costData = calculateSessionCost(jsonlPath);
-        const result = { sessionId: session.id, resumeSessionId, ...costData };
-        _costCache.set(resumeSessionId, { mtimeMs, timestamp: now, result });
-      }
+      const costData = getSessionCostData(resumeSessionId, session.provider);
+      if (!costData) continue;
 
       totals.tokens.input += costData.tokens.input;
       totals.tokens.output += costData.tokens.output;
@@ -1833,6 +1644,10 @@ app.get('/api/workspaces/:id/cost', requireAuth, (req, res) => {
 
       totals.messageCount += costData.messageCount;
       totals.sessionsWithData++;
+      if (costData.pricedWithFallback) {
+        totals.pricedWithFallback = true;
+        totals.fallbackSessions.push({ sessionId: session.id, name: session.name, models: costData.fallbackModels });
+      }
 
       if (costData.firstMessage && (!totals.firstMessage || costData.firstMessage < totals.firstMessage)) {
         totals.firstMessage = costData.firstMessage;
@@ -1844,8 +1659,9 @@ app.get('/api/workspaces/:id/cost', requireAuth, (req, res) => {
       // Merge model breakdowns
       for (const [model, breakdown] of Object.entries(costData.modelBreakdown)) {
         if (!totals.modelBreakdown[model]) {
-          totals.modelBreakdown[model] = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, cost: 0 };
+          totals.modelBreakdown[model] = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, cost: 0, pricedWithFallback: false };
         }
+        if (breakdown.pricedWithFallback) totals.modelBreakdown[model].pricedWithFallback = true;
         totals.modelBreakdown[model].input += breakdown.input;
         totals.modelBreakdown[model].output += breakdown.output;
         totals.modelBreakdown[model].cacheWrite += breakdown.cacheWrite;
@@ -1877,7 +1693,7 @@ app.get('/api/workspaces/:id/cost', requireAuth, (req, res) => {
 /**
  * GET /api/workspaces/:id/analytics
  * Aggregates per-workspace metrics: session counts by status, cost/token
- * totals (reusing the cost cache where available), and top sessions by cost.
+ * totals (from the transcript index), and top sessions by cost.
  */
 app.get('/api/workspaces/:id/analytics', requireAuth, (req, res) => {
   try {
@@ -1902,42 +1718,28 @@ app.get('/api/workspaces/:id/analytics', requireAuth, (req, res) => {
       if (s.createdAt && s.createdAt < firstCreated) firstCreated = s.createdAt;
     });
 
-    // Aggregate cost data from sessions, reusing cache where available
+    // Aggregate cost data from sessions via the transcript index
     let totalCost = 0;
     let totalInputTokens = 0;
     let totalOutputTokens = 0;
     let costAvailable = false;
+    let pricedWithFallback = false;
     const sessionCosts = [];
 
     for (const s of sessions.slice(0, 20)) {
       const resumeSessionId = s.resumeSessionId;
       if (!resumeSessionId) continue;
 
-      const jsonlPath = findJsonlFile(resumeSessionId);
-      if (!jsonlPath) continue;
-
       try {
-        const stat = fs.statSync(jsonlPath);
-        const mtimeMs = stat.mtimeMs;
-        const cached = _costCache.get(resumeSessionId);
-        const now = Date.now();
-        let costData;
-
-        if (cached && cached.mtimeMs === mtimeMs && (now - cached.timestamp) < COST_CACHE_TTL) {
-          costData = cached.result;
-        } else {
-          // Only process files under 10MB to avoid blocking
-          if (stat.size >= 10 * 1024 * 1024) continue;
-          costData = calculateSessionCost(jsonlPath);
-          const result = { sessionId: s.id, resumeSessionId, ...costData };
-          _costCache.set(resumeSessionId, { mtimeMs, timestamp: now, result });
-        }
+        const costData = getSessionCostData(resumeSessionId, s.provider);
+        if (!costData) continue;
 
         const sessionTotal = costData.cost ? costData.cost.total : 0;
         totalCost += sessionTotal;
         totalInputTokens += costData.tokens ? costData.tokens.input : 0;
         totalOutputTokens += costData.tokens ? costData.tokens.output : 0;
-        sessionCosts.push({ name: s.name || s.id.substring(0, 12), cost: sessionTotal });
+        sessionCosts.push({ name: s.name || s.id.substring(0, 12), cost: sessionTotal, pricedWithFallback: costData.pricedWithFallback });
+        if (costData.pricedWithFallback) pricedWithFallback = true;
         costAvailable = true;
       } catch (_) {
         // Skip sessions whose JSONL files can't be read
@@ -1955,6 +1757,7 @@ app.get('/api/workspaces/:id/analytics', requireAuth, (req, res) => {
       lastActivity,
       firstCreated,
       costAvailable,
+      pricedWithFallback,
       totalCost: Math.round(totalCost * 1000) / 1000,
       totalInputTokens,
       totalOutputTokens,
@@ -1967,58 +1770,445 @@ app.get('/api/workspaces/:id/analytics', requireAuth, (req, res) => {
 });
 
 // ──────────────────────────────────────────────────────────
-//  SESSION CONTEXT EXPORT / HANDOFF
+//  COST REPORTS
 // ──────────────────────────────────────────────────────────
 
+const { normalizeReportQuery, buildCostReport, reportToCsv } = require('./cost-reports');
+
 /**
- * Extract text content from a JSONL message entry.
- * Returns { role, text } or null if the entry is not a user/assistant message.
- * Shared helper used by the export-context endpoint.
+ * Build the grouping function for a cost report.
+ * Workspace and feature groups come from store sessions linked to a Claude
+ * session (resumeSessionId); transcripts with no link land in a catch-all group.
+ * @param {string} groupBy - workspace | project | model | feature
+ * @returns {function(object, string): Array<{ key: string, label: string }>}
  */
-function extractExportMessageText(line) {
-  try {
-    const msg = JSON.parse(line);
-    const inner = msg.message || msg;
-    const role = msg.type || inner.role;
-    const isUser = role === 'user' || role === 'human';
-    const isAssistant = role === 'assistant';
-    if (!isUser && !isAssistant) return null;
+function costReportGrouper(groupBy) {
+  if (groupBy === 'model') {
+    return (entry, model) => [{ key: model, label: model }];
+  }
+  if (groupBy === 'project') {
+    return (entry) => {
+      const project = transcriptIndex.getProject(entry.encodedName);
+      return [{ key: entry.encodedName, label: project ? project.realPath : (entry.projectPath || entry.encodedName) }];
+    };
+  }
 
-    const c = inner.content;
-    let text = '';
-    if (typeof c === 'string') {
-      text = c;
-    } else if (Array.isArray(c)) {
-      const textBlocks = c.filter(b => b.type === 'text' && b.text);
-      text = textBlocks.map(b => b.text).join(' ');
-    }
-    // Skip system-generated messages and very short messages
-    if (!text || text.length < 5) return null;
-    if (text.startsWith('<') && text.includes('system-reminder')) return null;
+  // Claude session ID -> groups, built once per report
+  const store = getStore();
+  const groupsBySession = new Map();
+  const link = (claudeSessionId, group) => {
+    if (!claudeSessionId) return;
+    const groups = groupsBySession.get(claudeSessionId) || [];
+    if (!groups.some(g => g.key === group.key)) groups.push(group);
+    groupsBySession.set(claudeSessionId, groups);
+  };
 
-    return {
-      role: isUser ? 'user' : 'assistant',
-      text: text.replace(/[\r\n]+/g, ' ').replace(/\s+/g, ' ').trim(),
-    };
-  } catch (_) {
-    return null;
+  let unassigned;
+  if (groupBy === 'workspace') {
+    unassigned = [{ key: '', label: '(no workspace)' }];
+    for (const ws of store.getAllWorkspacesList()) {
+      for (const session of store.getWorkspaceSessions(ws.id)) {
+        link(session.resumeSessionId, { key: ws.id, label: ws.name });
+      }
+    }
+  } else {
+    unassigned = [{ key: '', label: '(no feature)' }];
+    for (const ws of store.getAllWorkspacesList()) {
+      for (const feature of store.listFeatures(ws.id)) {
+        for (const sessionId of feature.sessionIds || []) {
+          const session = store.getSession(sessionId);
+          if (session) link(session.resumeSessionId, { key: feature.id, label: feature.name });
+        }
+      }
+    }
   }
+  return (entry) => groupsBySession.get(entry.sessionId) || unassigned;
 }
 
 /**
- * Extract file paths from text content using common patterns.
- * Looks for paths like src/foo.js, ./bar.ts, /path/to/file.py, etc.
- * Returns a deduplicated sorted array of file path strings.
+ * Usage-bearing entries for every Claude transcript: the index's, plus the
+ * manifests of archived sessions (which keep the same usage fields).
+ * @returns {object[]}
  */
-function extractFilePaths(text) {
-  const pathSet = new Set();
-
-  // Match paths with common source file extensions
-  // Patterns: src/foo.js, ./bar/baz.ts, path/to/file.py, C:\Users\...\file.js, etc.
-  const extensionPattern = /(?:[\w./-]+\/)?[\w.-]+\.(?:js|jsx|ts|tsx|py|rb|go|rs|java|c|cpp|h|hpp|cs|php|swift|kt|scala|sh|bash|zsh|ps1|psm1|json|yaml|yml|toml|xml|html|css|scss|sass|less|sql|md|mdx|vue|svelte|astro|prisma|graphql|gql|proto|tf|hcl)\b/gi;
+function usageEntries() {
+  return transcriptIndex.listFiles().concat(getTranscriptArchive().list());
+}
 
-  // Match explicit relative or absolute paths (./foo, ../bar, /src/baz, src/qux)
-  const pathPattern = /(?:\.{1,2}\/|\bsrc\/|\blib\/|\btest\/|\btests\/|\bapp\/|\bpages\/|\bcomponents\/|\butils\/|\bcore\/|\bweb\/|\bapi\/|\bconfig\/|\bdist\/|\bbuild\/)[\w./-]+/gi;
+/**
+ * GET /api/reports/cost
+ * Token usage and cost bucketed over time across every indexed transcript,
+ * archived ones included.
+ * Query: interval=day|week|month (default month),
+ *        groupBy=workspace|project|model|feature (default workspace),
+ *        from/to=YYYY-MM-DD (inclusive, UTC), format=json|csv (default json)
+ * CSV is sent as a download; JSON includes overall totals.
+ */
+app.get('/api/reports/cost', requireAuth, (req, res) => {
+  const { value: query, error } = normalizeReportQuery(req.query);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    transcriptIndex.refreshIfStale(TRANSCRIPT_INDEX_BUDGET_MS);
+    const pricingTable = getPricingTable();
+    const report = buildCostReport(usageEntries(), {
+      ...query,
+      groupsFor: costReportGrouper(query.groupBy),
+      priceFn: (model, bucket, day) => pricingTable.price(model, bucket, day),
+    });
+
+    if (query.format === 'csv') {
+      const filename = `cost-report-${query.interval}-by-${query.groupBy}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(reportToCsv(report));
+    }
+    res.json(report);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build cost report: ' + err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────
+//  MODEL PRICING
+// ──────────────────────────────────────────────────────────
+
+/**
+ * GET /api/pricing
+ * Returns the pricing table from state/pricing.json, plus any models seen in
+ * transcripts that have no matching rule (and so are priced at the default rate).
+ */
+app.get('/api/pricing', requireAuth, (req, res) => {
+  try {
+    const pricingTable = getPricingTable();
+    const unpriced = new Set();
+    for (const entry of transcriptIndex.listFiles()) {
+      for (const [day, models] of Object.entries(entry.usage)) {
+        for (const model of Object.keys(models)) {
+          if (!unpriced.has(model) && pricingTable.resolve(model, day).fallback) unpriced.add(model);
+        }
+      }
+    }
+    res.json({
+      pricing: pricingTable.get(),
+      file: pricingTable.file,
+      unpricedModels: [...unpriced].sort(),
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load pricing: ' + err.message });
+  }
+});
+
+/**
+ * PUT /api/pricing
+ * Replace the pricing table.
+ * Body: { default: { input, output, cacheWrite, cacheRead },
+ *         models: [{ match, input, output, cacheWrite, cacheRead, effectiveFrom?, effectiveTo? }] }
+ * Prices are USD per million tokens; `match` may use * wildcards.
+ */
+app.put('/api/pricing', requireAuth, (req, res) => {
+  try {
+    const { value, error } = getPricingTable().set(req.body);
+    if (error) return res.status(400).json({ error });
+    broadcastSSE('pricing:updated', {});
+    res.json({ pricing: value });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save pricing: ' + err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────
+//  BUDGETS
+// ──────────────────────────────────────────────────────────
+
+const { periodWindow, entrySpend, evaluateBudget, normalizeBudgetInput } = require('./budgets');
+
+/**
+ * Collect the transcript index entries a budget covers.
+ * Global budgets cover every indexed transcript; workspace and feature
+ * budgets cover the Claude sessions behind their store sessions.
+ * @param {object} budget
+ * @returns {object[]} Transcript index entries
+ */
+function getBudgetEntries(budget) {
+  if (budget.scope === 'global') return usageEntries();
+
+  const store = getStore();
+  let sessions = [];
+  if (budget.scope === 'workspace') {
+    sessions = store.getWorkspaceSessions(budget.targetId);
+  } else if (budget.scope === 'feature') {
+    const feature = store.getFeature(budget.targetId);
+    sessions = feature ? feature.sessionIds.map(id => store.getSession(id)).filter(Boolean) : [];
+  }
+
+  const entries = [];
+  for (const session of sessions) {
+    if (!session.resumeSessionId) continue;
+    const entry = transcriptIndex.getEntry(session.resumeSessionId) || getTranscriptArchive().get(session.resumeSessionId);
+    if (entry) entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Evaluate a budget's spend for its current period.
+ * @param {object} budget
+ * @returns {object} Evaluation (see budgets.evaluateBudget)
+ */
+function getBudgetStatus(budget) {
+  transcriptIndex.refreshIfStale(TRANSCRIPT_INDEX_BUDGET_MS);
+  const { startDay, endDay } = periodWindow(budget.period);
+  const pricingTable = getPricingTable();
+  let pricedWithFallback = false;
+  const priceBucket = (model, bucket, day) => {
+    const { cost, fallback } = pricingTable.price(model, bucket, day);
+    if (fallback) pricedWithFallback = true;
+    return cost;
+  };
+
+  let spend = 0;
+  for (const entry of getBudgetEntries(budget)) {
+    spend += entrySpend(entry, startDay, endDay, priceBucket);
+  }
+  return { ...evaluateBudget(budget, spend), pricedWithFallback };
+}
+
+/**
+ * Human-readable label for a budget, used in alerts and block messages.
+ * @param {object} budget
+ * @returns {string}
+ */
+function describeBudget(budget) {
+  if (budget.name) return budget.name;
+  const store = getStore();
+  let target = 'Global';
+  if (budget.scope === 'workspace') {
+    const ws = store.getWorkspace(budget.targetId);
+    target = 'Workspace "' + (ws ? ws.name : budget.targetId) + '"';
+  } else if (budget.scope === 'feature') {
+    const feature = store.getFeature(budget.targetId);
+    target = 'Feature "' + (feature ? feature.name : budget.targetId) + '"';
+  }
+  return target + ' ' + budget.period + ' budget';
+}
+
+/**
+ * Evaluate every budget and raise alerts for thresholds crossed since the
+ * last check. Each threshold alerts once per period; the alerted set is
+ * stored on the budget so restarts don't repeat alerts.
+ * @returns {Array<{ budget: object, status: object }>}
+ */
+function checkBudgets() {
+  const store = getStore();
+  const results = [];
+
+  for (const budget of store.listBudgets()) {
+    let status;
+    try {
+      status = getBudgetStatus(budget);
+    } catch (_) {
+      continue;
+    }
+    results.push({ budget, status });
+    if (status.newlyCrossed.length === 0) continue;
+
+    const threshold = status.newlyCrossed[status.newlyCrossed.length - 1];
+    const label = describeBudget(budget);
+    const message = `${label}: $${status.spend.toFixed(2)} of $${budget.limit.toFixed(2)} used (${Math.round(status.pct * 100)}%)` +
+      (status.blocked ? '. New sessions are blocked until overridden.' : '');
+    getNotificationManager().notify(threshold >= 1 ? 'error' : 'warning', 'Budget alert', message);
+    broadcastSSE('budget:alert', { budgetId: budget.id, label, threshold, message, ...status });
+
+    const previous = (budget.alerted && budget.alerted.periodKey === status.periodKey) ? budget.alerted.thresholds : [];
+    store.updateBudget(budget.id, {
+      alerted: { periodKey: status.periodKey, thresholds: [...new Set([...previous, ...status.newlyCrossed])] },
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Find a budget that currently blocks starting the given store session.
+ * Applies global budgets, the session's workspace budget, and budgets of
+ * any feature the session is linked to.
+ * @param {string} sessionId - Store session ID
+ * @returns {{ budget: object, status: object }|null}
+ */
+function findBlockingBudget(sessionId) {
+  const store = getStore();
+  const session = store.getSession(sessionId);
+
+  for (const budget of store.listBudgets()) {
+    if (!budget.block) continue;
+    if (budget.scope === 'workspace' && (!session || session.workspaceId !== budget.targetId)) continue;
+    if (budget.scope === 'feature') {
+      const feature = store.getFeature(budget.targetId);
+      if (!feature || !feature.sessionIds.includes(sessionId)) continue;
+    }
+    const status = getBudgetStatus(budget);
+    if (status.blocked) return { budget, status };
+  }
+  return null;
+}
+
+/**
+ * Build the error message returned when a budget blocks a session start.
+ * @param {{ budget: object, status: object }} block
+ * @returns {string}
+ */
+function budgetBlockMessage(block) {
+  return `${describeBudget(block.budget)} exceeded ($${block.status.spend.toFixed(2)} of $${block.budget.limit.toFixed(2)}). ` +
+    'Override the budget to start new sessions.';
+}
+
+/**
+ * GET /api/budgets
+ * List all budgets with their current-period spend and status.
+ * Also raises alerts for any newly crossed thresholds.
+ */
+app.get('/api/budgets', requireAuth, (req, res) => {
+  try {
+    const budgets = checkBudgets().map(({ budget, status }) => ({
+      ...budget,
+      label: describeBudget(budget),
+      status,
+    }));
+    res.json({ budgets });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to evaluate budgets: ' + err.message });
+  }
+});
+
+/**
+ * Check that a workspace or feature budget points at something that exists.
+ * @param {object} store
+ * @param {{ scope?: string, targetId?: string }} value - Normalized budget fields
+ * @returns {string|null} Not-found message, or null
+ */
+function budgetTargetError(store, value) {
+  if (value.scope === 'workspace' && !store.getWorkspace(value.targetId)) return 'Workspace not found.';
+  if (value.scope === 'feature' && !store.getFeature(value.targetId)) return 'Feature not found.';
+  return null;
+}
+
+/**
+ * POST /api/budgets
+ * Create a budget.
+ * Body: { scope: 'global'|'workspace'|'feature', targetId?, period: 'daily'|'weekly'|'monthly',
+ *         limit: number, thresholds?: number[], block?: boolean, name? }
+ */
+app.post('/api/budgets', requireAuth, (req, res) => {
+  const { value, error } = normalizeBudgetInput(req.body || {});
+  if (error) return res.status(400).json({ error });
+
+  const store = getStore();
+  const targetError = budgetTargetError(store, value);
+  if (targetError) return res.status(404).json({ error: targetError });
+
+  const budget = store.createBudget(value);
+  res.status(201).json({ budget, status: getBudgetStatus(budget) });
+});
+
+/**
+ * PUT /api/budgets/:id
+ * Update a budget's scope/target, limit, period, thresholds, block flag, or name.
+ */
+app.put('/api/budgets/:id', requireAuth, (req, res) => {
+  const store = getStore();
+  const existing = store.getBudget(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Budget not found.' });
+
+  const { value, error } = normalizeBudgetInput(req.body || {}, existing);
+  if (error) return res.status(400).json({ error });
+  const targetError = budgetTargetError(store, value);
+  if (targetError) return res.status(404).json({ error: targetError });
+
+  const budget = store.updateBudget(req.params.id, value);
+  res.json({ budget, status: getBudgetStatus(budget) });
+});
+
+/**
+ * DELETE /api/budgets/:id
+ * Delete a budget.
+ */
+app.delete('/api/budgets/:id', requireAuth, (req, res) => {
+  const store = getStore();
+  if (!store.deleteBudget(req.params.id)) return res.status(404).json({ error: 'Budget not found.' });
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/budgets/:id/override
+ * Lift a budget's block for the rest of the current period.
+ * Body: { clear?: boolean } — pass clear: true to re-enable the block.
+ */
+app.post('/api/budgets/:id/override', requireAuth, (req, res) => {
+  const store = getStore();
+  const budget = store.getBudget(req.params.id);
+  if (!budget) return res.status(404).json({ error: 'Budget not found.' });
+
+  const { key } = periodWindow(budget.period);
+  const updated = store.updateBudget(req.params.id, { overridePeriod: req.body && req.body.clear ? null : key });
+  if (!(req.body && req.body.clear)) {
+    getNotificationManager().notify('info', 'Budget override', `${describeBudget(budget)} block lifted until the period ends`);
+  }
+  res.json({ budget: updated, status: getBudgetStatus(updated) });
+});
+
+// ──────────────────────────────────────────────────────────
+//  SESSION CONTEXT EXPORT / HANDOFF
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Extract text content from a JSONL message entry.
+ * Returns { role, text } or null if the entry is not a user/assistant message.
+ * Shared helper used by the export-context endpoint.
+ */
+function extractExportMessageText(line) {
+  try {
+    const msg = JSON.parse(line);
+    const inner = msg.message || msg;
+    const role = msg.type || inner.role;
+    const isUser = role === 'user' || role === 'human';
+    const isAssistant = role === 'assistant';
+    if (!isUser && !isAssistant) return null;
+
+    const c = inner.content;
+    let text = '';
+    if (typeof c === 'string') {
+      text = c;
+    } else if (Array.isArray(c)) {
+      const textBlocks = c.filter(b => b.type === 'text' && b.text);
+      text = textBlocks.map(b => b.text).join(' ');
+    }
+    // Skip system-generated messages and very short messages
+    if (!text || text.length < 5) return null;
+    if (text.startsWith('<') && text.includes('system-reminder')) return null;
+
+    return {
+      role: isUser ? 'user' : 'assistant',
+      text: text.replace(/[\r\n]+/g, ' ').replace(/\s+/g, ' ').trim(),
+    };
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Extract file paths from text content using common patterns.
+ * Looks for paths like src/foo.js, ./bar.ts, /path/to/file.py, etc.
+ * Returns a deduplicated sorted array of file path strings.
+ */
+function extractFilePaths(text) {
+  const pathSet = new Set();
+
+  // Match paths with common source file extensions
+  // Patterns: src/foo.js, ./bar/baz.ts, path/to/file.py, C:\Users\...\file.js, etc.
+  const extensionPattern = /(?:[\w./-]+\/)?[\w.-]+\.(?:js|jsx|ts|tsx|py|rb|go|rs|java|c|cpp|h|hpp|cs|php|swift|kt|scala|sh|bash|zsh|ps1|psm1|json|yaml|yml|toml|xml|html|css|scss|sass|less|sql|md|mdx|vue|svelte|astro|prisma|graphql|gql|proto|tf|hcl)\b/gi;
+
+  // Match explicit relative or absolute paths (./foo, ../bar, /src/baz, src/qux)
+  const pathPattern = /(?:\.{1,2}\/|\bsrc\/|\blib\/|\btest\/|\btests\/|\bapp\/|\bpages\/|\bcomponents\/|\butils\/|\bcore\/|\bweb\/|\bapi\/|\bconfig\/|\bdist\/|\bbuild\/)[\w./-]+/gi;
 
   const extensionMatches = text.match(extensionPattern) || [];
   const pathMatches = text.match(pathPattern) || [];
@@ -2046,7 +2236,7 @@ function extractFilePaths(text) {
  * and token usage — ready to paste into a new session.
  * Protected by auth.
  */
-app.get('/api/sessions/:id/export-context', requireAuth, (req, res) => {
+app.get('/api/sessions/:id/export-context', requireAuth, redactSecrets, (req, res) => {
   const store = getStore();
   const session = store.getSession(req.params.id);
 
@@ -2070,7 +2260,7 @@ app.get('/api/sessions/:id/export-context', requireAuth, (req, res) => {
         markdown: `# Session Context: ${sessionName}\n\n_No conversation data found. The JSONL file for this session could not be located._`,
         filesTouched: [],
         messageCount: 0,
-        tokenSummary: { input: 0, output: 0, cost: 0 },
+        tokenSummary: { input: 0, output: 0, cost: 0, pricedWithFallback: false },
       },
     });
   }
@@ -2127,7 +2317,8 @@ app.get('/api/sessions/:id/export-context', requireAuth, (req, res) => {
     // and gives us token usage, cost, and message count
     let costData;
     try {
-      costData = calculateSessionCost(jsonlPath);
+      costData = getSessionCostData(claudeSessionId, session && session.provider);
+      if (!costData) throw new Error('Session not indexed');
     } catch (_) {
       costData = {
         tokens: { input: 0, output: 0, total: 0 },
@@ -2169,6 +2360,7 @@ app.get('/api/sessions/:id/export-context', requireAuth, (req, res) => {
       input: costData.tokens.input,
       output: costData.tokens.output,
       cost: Math.round(costData.cost.total * 100) / 100,
+      pricedWithFallback: !!costData.pricedWithFallback,
     };
 
     // ── Build the markdown export ──
@@ -2227,7 +2419,8 @@ app.get('/api/sessions/:id/export-context', requireAuth, (req, res) => {
     mdParts.push('## Token Usage');
     mdParts.push(`- Input: ${tokenSummary.input.toLocaleString()}`);
     mdParts.push(`- Output: ${tokenSummary.output.toLocaleString()}`);
-    mdParts.push(`- Estimated cost: $${tokenSummary.cost.toFixed(2)}`);
+    mdParts.push(`- Estimated cost: $${tokenSummary.cost.toFixed(2)}` +
+      (tokenSummary.pricedWithFallback ? ' (some models priced at the default rate)' : ''));
     mdParts.push('');
 
     // Last State — last assistant message content, truncated to 2000 chars
@@ -2268,101 +2461,14 @@ const _subagentCache = new Map();
 const SUBAGENT_CACHE_TTL_RUNNING = 30000;  // 30 seconds for running sessions
 const SUBAGENT_CACHE_TTL_STOPPED = 300000; // 5 minutes for stopped sessions
 
-/**
- * Parse a JSONL file and extract subagent (Task tool) usage information.
- * Scans for assistant messages containing tool_use blocks with name === 'Task',
- * then matches them against tool_result entries to determine completion status.
- * @param {string} jsonlPath - Absolute path to the .jsonl file
- * @returns {object} Subagent data with agents array and summary
- */
-function parseSubagents(jsonlPath) {
-  const content = fs.readFileSync(jsonlPath, 'utf-8');
-  const lines = content.split('\n').filter(l => l.trim());
-
-  // Maps: toolUseId -> subagent spawn data
-  const spawns = new Map();
-  // Maps: toolUseId -> tool_result data
-  const completions = new Map();
-
-  for (const line of lines) {
-    try {
-      const entry = JSON.parse(line);
-
-      // Check for subagent spawns: assistant messages with Task tool_use blocks
-      if (entry.type === 'assistant' && entry.message && Array.isArray(entry.message.content)) {
-        for (const block of entry.message.content) {
-          if (block.type === 'tool_use' && block.name === 'Task' && block.id) {
-            const input = block.input || {};
-            spawns.set(block.id, {
-              id: block.id,
-              description: input.description || '(no description)',
-              subagentType: input.subagent_type || 'general-purpose',
-              background: !!input.run_in_background,
-              spawnedAt: entry.timestamp || null,
-            });
-          }
-        }
-      }
-
-      // Check for subagent completions: tool_result entries matching a spawn
-      if (entry.type === 'tool_result' && entry.tool_use_id) {
-        completions.set(entry.tool_use_id, {
-          completedAt: entry.timestamp || null,
-          content: typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content || ''),
-        });
-      }
-    } catch (_) {
-      // Skip malformed lines
-    }
-  }
-
-  // Build the subagents array
-  const subagents = [];
-  const byType = {};
-
-  for (const [toolUseId, spawn] of spawns) {
-    const completion = completions.get(toolUseId);
-    const status = completion ? 'completed' : 'running';
-    const resultSnippet = completion
-      ? (completion.content.length > 200 ? completion.content.substring(0, 200) : completion.content)
-      : null;
-
-    subagents.push({
-      id: spawn.id,
-      description: spawn.description,
-      subagentType: spawn.subagentType,
-      background: spawn.background,
-      status,
-      spawnedAt: spawn.spawnedAt,
-      completedAt: completion ? completion.completedAt : null,
-      resultSnippet,
-    });
-
-    // Count by type for the summary
-    byType[spawn.subagentType] = (byType[spawn.subagentType] || 0) + 1;
-  }
-
-  const running = subagents.filter(s => s.status === 'running').length;
-  const completed = subagents.filter(s => s.status === 'completed').length;
-
-  return {
-    subagents,
-    summary: {
-      total: subagents.length,
-      running,
-      completed,
-      byType,
-    },
-  };
-}
-
 /**
  * GET /api/sessions/:id/subagents
- * Reads the session's JSONL file and extracts subagent (Task tool) usage.
+ * Reads the session's transcript and extracts subagent (Task tool) usage
+ * through its provider (see providers/claude.js parseSubagents).
  * Results are cached: 30 seconds for running sessions, 5 minutes for stopped.
  * Protected by auth.
  */
-app.get('/api/sessions/:id/subagents', requireAuth, (req, res) => {
+app.get('/api/sessions/:id/subagents', requireAuth, redactSecrets, (req, res) => {
   const store = getStore();
   const session = store.getSession(req.params.id);
 
@@ -2375,7 +2481,8 @@ app.get('/api/sessions/:id/subagents', requireAuth, (req, res) => {
     });
   }
 
-  const jsonlPath = findJsonlFile(resumeSessionId);
+  const provider = getProvider(session && session.provider);
+  const jsonlPath = provider.findTranscript(resumeSessionId);
   if (!jsonlPath) {
     return res.json({
       sessionId: req.params.id,
@@ -2400,7 +2507,7 @@ app.get('/api/sessions/:id/subagents', requireAuth, (req, res) => {
       return res.json(cached.result);
     }
 
-    const subagentData = parseSubagents(jsonlPath);
+    const subagentData = provider.parseSubagents(jsonlPath);
     const result = {
       sessionId: req.params.id,
       resumeSessionId,
@@ -2417,43 +2524,236 @@ app.get('/api/sessions/:id/subagents', requireAuth, (req, res) => {
 });
 
 // ──────────────────────────────────────────────────────────
-//  AUTO-DOCS: SESSION SUMMARIZER
+//  AGENT TODOS
 // ──────────────────────────────────────────────────────────
 
+/** Parsed todo state by transcript path, reused until the file changes */
+const _todoCache = new Map();
+/** Last todo fingerprint broadcast per store session, to skip unchanged polls */
+const _todoFingerprints = new Map();
+const TODO_POLL_INTERVAL = 5000;
+let _todoPollTimer = null;
+
 /**
- * Generate a short summary of a session from its JSONL data.
- * Extracts first user request and last assistant response,
- * then produces a concise summary line with files modified and tools used.
- * @param {string} jsonlPath - Path to the JSONL file
- * @returns {string} Summary text
+ * The transcript session ID of a session. Hook-reported Claude session IDs
+ * win over the stored resume ID, since a fresh session has no resume ID until
+ * it's saved. IDs that aren't store sessions are taken as transcript IDs.
+ * @param {string} sessionId - Store session ID, or a raw transcript session ID
+ * @param {object|null} session - The store session, if any
+ * @returns {string|null}
  */
-function generateSessionSummary(jsonlPath) {
-  // Read only the tail (last 200KB) for summary generation to avoid blocking
-  // the event loop on large JSONL files. The summary only needs recent context.
+function transcriptSessionId(sessionId, session) {
+  const status = hooksBridge.getStatus(sessionId);
+  return (status && status.claudeSessionId)
+    || (session ? session.resumeSessionId : sessionId)
+    || null;
+}
+
+/**
+ * The agent todo list of a session, read from its transcript through its
+ * provider (TodoWrite for Claude Code, update_plan for Codex).
+ * @param {string} sessionId - Store session ID, or a raw transcript session ID
+ * @returns {{ resumeSessionId: string|null, todos: object[], summary: object, updatedAt: string|null }}
+ */
+function getSessionTodos(sessionId) {
+  const session = getStore().getSession(sessionId);
+  const resumeSessionId = transcriptSessionId(sessionId, session);
+  const empty = { resumeSessionId, ...buildTodoState([]) };
+  if (!resumeSessionId) return empty;
+
+  const provider = getProvider(session && session.provider);
+  const jsonlPath = provider.findTranscript(resumeSessionId);
+  if (!jsonlPath) return empty;
+
   const stat = fs.statSync(jsonlPath);
-  const maxRead = 200 * 1024; // 200KB cap
-  let content;
-  if (stat.size <= maxRead) {
-    content = fs.readFileSync(jsonlPath, 'utf-8');
-  } else {
-    const fd = fs.openSync(jsonlPath, 'r');
-    try {
-      const buf = Buffer.alloc(maxRead);
-      fs.readSync(fd, buf, 0, maxRead, stat.size - maxRead);
-      content = buf.toString('utf-8');
-      // Find the first complete line (partial line from seeking into the middle)
-      const firstNewline = content.indexOf('\n');
-      if (firstNewline > 0) content = content.slice(firstNewline + 1);
-    } finally {
-      fs.closeSync(fd);
-    }
+  const cached = _todoCache.get(jsonlPath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+    return { resumeSessionId, ...cached.result };
   }
-  const lines = content.split('\n').filter(l => l.trim());
+  const result = provider.parseTodos(jsonlPath);
+  _todoCache.set(jsonlPath, { mtimeMs: stat.mtimeMs, size: stat.size, result });
+  return { resumeSessionId, ...result };
+}
 
-  let firstUserMsg = null;
-  let lastAssistantMsg = null;
-  let toolsUsed = new Set();
-  let filesModified = new Set();
+/**
+ * Copy a session's todos to its mirror target: the workspace docs Tasks
+ * section, or an agentTodos entry on every feature the session is linked to.
+ * @param {object} session - Store session
+ * @param {object} state - From getSessionTodos()
+ */
+function mirrorSessionTodos(session, state) {
+  const store = getStore();
+  if (session.todoMirror === 'docs' && session.workspaceId && state.todos.length > 0) {
+    store.syncWorkspaceTasks(session.workspaceId, todosAsTasks(state.todos, session.name));
+  } else if (session.todoMirror === 'features' && session.workspaceId) {
+    const entry = {
+      items: state.todos.map(t => ({ content: t.content, status: t.status })),
+      summary: state.summary,
+      updatedAt: state.updatedAt,
+    };
+    for (const feature of store.listFeatures(session.workspaceId)) {
+      if (!(feature.sessionIds || []).includes(session.id)) continue;
+      store.updateFeature(feature.id, { agentTodos: { ...(feature.agentTodos || {}), [session.id]: entry } });
+    }
+  }
+}
+
+/**
+ * Re-read a session's todos and, if they changed, broadcast them as
+ * session:todos and mirror them. Best-effort: transcript errors are ignored.
+ * @param {string} sessionId
+ * @param {{ force?: boolean }} [options] - force: mirror even if unchanged
+ */
+function checkSessionTodos(sessionId, { force = false } = {}) {
+  let state;
+  try {
+    state = getSessionTodos(sessionId);
+  } catch (_) {
+    return;
+  }
+  const fingerprint = JSON.stringify(state.todos.map(t => [t.content, t.status]));
+  if (!force && _todoFingerprints.get(sessionId) === fingerprint) return;
+  const first = !_todoFingerprints.has(sessionId);
+  _todoFingerprints.set(sessionId, fingerprint);
+  // Nothing to announce for a session that never had todos
+  if (first && !force && state.todos.length === 0) return;
+
+  // Todo text comes from the transcript, so it goes through the secret scanner
+  broadcastSSE('session:todos', getSecretScanner().redactDeep({
+    sessionId,
+    todos: state.todos,
+    summary: state.summary,
+    updatedAt: state.updatedAt,
+  }));
+
+  const session = getStore().getSession(sessionId);
+  if (session && session.todoMirror && session.todoMirror !== 'off') {
+    try {
+      mirrorSessionTodos(session, state);
+    } catch (err) {
+      console.error('[Todos] Mirror failed:', err.message);
+    }
+  }
+}
+
+/**
+ * Poll the todos of every live PTY session. Hooks announce TodoWrite calls
+ * right away; this catches sessions without hooks and Codex sessions.
+ */
+function pollSessionTodos() {
+  if (!_ptyManager) return;
+  for (const [sessionId, pty] of _ptyManager.sessions) {
+    if (pty.alive) checkSessionTodos(sessionId);
+  }
+}
+
+/**
+ * GET /api/sessions/:id/todos
+ * The agent's latest todo list, each item with its status history.
+ * Returns: { sessionId, resumeSessionId, mirror, todos: [{ content, status,
+ *   activeForm, history: [{ status, at }] }], summary: { total, completed,
+ *   inProgress, pending }, updatedAt, updates }
+ */
+app.get('/api/sessions/:id/todos', requireAuth, redactSecrets, (req, res) => {
+  const session = getStore().getSession(req.params.id);
+  try {
+    const state = getSessionTodos(req.params.id);
+    res.json({
+      sessionId: req.params.id,
+      mirror: (session && session.todoMirror) || 'off',
+      ...state,
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to read todos: ' + err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────
+//  CONVERSATION TRANSCRIPT
+// ──────────────────────────────────────────────────────────
+
+/**
+ * GET /api/sessions/:id/transcript?cursor=&before=&line=&limit=50&agent=&provider=
+ * One page of a session's conversation, read straight from its transcript
+ * (see transcript-reader.js). Pass nextCursor as `cursor` for the following
+ * page, prevCursor as `before` for the one above, or a search hit's
+ * lineNumber as `line` to open at that message. `agent` reads a subagent's
+ * own transcript (Claude Code). `provider` applies to IDs that aren't store
+ * sessions, such as discovered projects.
+ * Returns: { sessionId, resumeSessionId, provider, agentId, entries: [{ line,
+ *   cursor, role, timestamp, sidechain, model, usage, blocks }], prevCursor,
+ *   nextCursor, hasMore, size }
+ */
+app.get('/api/sessions/:id/transcript', requireAuth, redactSecrets, (req, res) => {
+  const session = getStore().getSession(req.params.id);
+  const provider = getProvider(session ? session.provider : req.query.provider);
+  const resumeSessionId = transcriptSessionId(req.params.id, session);
+  let filePath = resumeSessionId ? provider.findTranscript(resumeSessionId) : null;
+  if (!filePath) return res.status(404).json({ error: 'No transcript found for this session.' });
+
+  const agentId = req.query.agent ? String(req.query.agent) : null;
+  if (agentId) {
+    filePath = provider.findSubagentTranscript ? provider.findSubagentTranscript(filePath, agentId) : null;
+    if (!filePath) return res.status(404).json({ error: 'No transcript found for this subagent.' });
+  }
+
+  const options = { limit: req.query.limit };
+  for (const key of ['cursor', 'before']) {
+    if (req.query[key] === undefined) continue;
+    options[key] = parseCursor(req.query[key]);
+    if (!options[key]) return res.status(400).json({ error: `Invalid ${key}.` });
+  }
+  if (req.query.line !== undefined) {
+    options.line = parseInt(req.query.line, 10);
+    if (!(options.line >= 1)) return res.status(400).json({ error: 'line must be a positive integer.' });
+  }
+
+  try {
+    const page = readTranscriptPage(filePath, provider.parseTranscriptEntry, options);
+    res.json({ sessionId: req.params.id, resumeSessionId, provider: provider.id, agentId, ...page });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to read transcript: ' + err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────
+//  AUTO-DOCS: SESSION SUMMARIZER
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Generate a short summary of a session from its JSONL data.
+ * Extracts first user request and last assistant response,
+ * then produces a concise summary line with files modified and tools used.
+ * @param {string} jsonlPath - Path to the JSONL file
+ * @returns {string} Summary text
+ */
+function generateSessionSummary(jsonlPath) {
+  // Read only the tail (last 200KB) for summary generation to avoid blocking
+  // the event loop on large JSONL files. The summary only needs recent context.
+  const stat = fs.statSync(jsonlPath);
+  const maxRead = 200 * 1024; // 200KB cap
+  let content;
+  if (stat.size <= maxRead) {
+    content = fs.readFileSync(jsonlPath, 'utf-8');
+  } else {
+    const fd = fs.openSync(jsonlPath, 'r');
+    try {
+      const buf = Buffer.alloc(maxRead);
+      fs.readSync(fd, buf, 0, maxRead, stat.size - maxRead);
+      content = buf.toString('utf-8');
+      // Find the first complete line (partial line from seeking into the middle)
+      const firstNewline = content.indexOf('\n');
+      if (firstNewline > 0) content = content.slice(firstNewline + 1);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+  const lines = content.split('\n').filter(l => l.trim());
+
+  let firstUserMsg = null;
+  let lastAssistantMsg = null;
+  let toolsUsed = new Set();
+  let filesModified = new Set();
 
   for (const line of lines) {
     try {
@@ -2524,7 +2824,8 @@ function generateSessionSummary(jsonlPath) {
     }
   }
 
-  return parts.join(' | ') || 'Session completed (no summary available)';
+  // Summaries are stored in workspace docs, so strip secrets before they persist
+  return getSecretScanner().redact(parts.join(' | ')) || 'Session completed (no summary available)';
 }
 
 /**
@@ -2533,7 +2834,7 @@ function generateSessionSummary(jsonlPath) {
  * Appends the summary as a timestamped note to the session's workspace docs.
  * Returns the generated summary text.
  */
-app.post('/api/sessions/:id/summarize', requireAuth, (req, res) => {
+app.post('/api/sessions/:id/summarize', requireAuth, redactSecrets, (req, res) => {
   const store = getStore();
   const session = store.getSession(req.params.id);
   if (!session) return res.status(404).json({ error: 'Session not found' });
@@ -2611,7 +2912,9 @@ app.post('/api/workspaces/:id/features', requireAuth, (req, res) => {
  */
 app.put('/api/features/:id', requireAuth, (req, res) => {
   const store = getStore();
-  const feature = store.updateFeature(req.params.id, req.body || {});
+  // The worktree routes own a feature's worktree and merge records
+  const { worktree, merge, ...updates } = req.body || {};
+  const feature = store.updateFeature(req.params.id, updates);
   if (!feature) return res.status(404).json({ error: 'Feature not found' });
   res.json({ feature });
 });
@@ -2664,11 +2967,11 @@ app.get('/api/templates', requireAuth, (req, res) => {
 
 /**
  * POST /api/templates
- * Body: { name, command?, workingDir?, bypassPermissions?, verbose?, model?, agentTeams? }
+ * Body: { name, provider?, command?, workingDir?, bypassPermissions?, verbose?, model?, agentTeams? }
  * Creates a new session template.
  */
 app.post('/api/templates', requireAuth, (req, res) => {
-  const { name, command, workingDir, bypassPermissions, verbose, model, agentTeams } = req.body || {};
+  const { name, provider, command, workingDir, bypassPermissions, verbose, model, agentTeams } = req.body || {};
 
   if (!name || typeof name !== 'string' || name.trim().length === 0) {
     return res.status(400).json({ error: 'Template name is required.' });
@@ -2676,11 +2979,18 @@ app.post('/api/templates', requireAuth, (req, res) => {
   if (name.trim().length > 200) {
     return res.status(400).json({ error: 'Template name must be 200 characters or fewer.' });
   }
+  if (provider && !isValidProvider(provider)) {
+    return res.status(400).json({ error: providerError() });
+  }
+  if (model && !isSafeCliValue(model)) {
+    return res.status(400).json({ error: cliValueError('model') });
+  }
 
   const store = getStore();
   const template = store.createTemplate({
     name: name.trim(),
-    command: command || 'claude',
+    provider: provider || 'claude',
+    command: command || getProvider(provider).defaultCommand,
     workingDir: workingDir || '',
     bypassPermissions: bypassPermissions || false,
     verbose: verbose || false,
@@ -2731,6 +3041,7 @@ app.post('/api/pty/:sessionId/kill', requireAuth, (req, res) => {
   const pid = session.pid;
   const killed = ptyMgr.killSession(sessionId);
 
+  res.locals.audit = { details: { pid } };
   if (killed) {
     console.log(`[API] Killed PTY session ${sessionId} (PID: ${pid})`);
     return res.json({ success: true, pid });
@@ -2739,6 +3050,162 @@ app.post('/api/pty/:sessionId/kill', requireAuth, (req, res) => {
   }
 });
 
+/**
+ * GET /api/pty/:sessionId/scrollback
+ * Download a session's spooled terminal output (persists across server restarts).
+ * Query: format=ansi (raw output, default) | text (escape sequences stripped)
+ */
+app.get('/api/pty/:sessionId/scrollback', requireAuth, (req, res) => {
+  const format = req.query.format || 'ansi';
+  if (format !== 'ansi' && format !== 'text') {
+    return res.status(400).json({ error: 'format must be ansi or text' });
+  }
+
+  const sessionId = decodeURIComponent(req.params.sessionId);
+  const raw = getScrollbackSpool().read(sessionId);
+  if (!raw) {
+    return res.status(404).json({ error: 'No scrollback recorded for this session' });
+  }
+
+  const safeId = sessionId.replace(/[^A-Za-z0-9_-]/g, '_');
+  const filename = `${safeId}-scrollback.${format === 'text' ? 'txt' : 'ansi'}`;
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(getSecretScanner().redact(format === 'text' ? stripAnsi(raw) : raw));
+});
+
+// ── Viewers and read-only share links ──
+
+/**
+ * GET /api/pty/:sessionId/viewers
+ * List clients connected to a live PTY session and their roles.
+ */
+app.get('/api/pty/:sessionId/viewers', requireAuth, (req, res) => {
+  const ptyMgr = getPtyManager();
+  const session = ptyMgr ? ptyMgr.getSession(decodeURIComponent(req.params.sessionId)) : null;
+  res.json({ viewers: session ? session.listViewers() : [] });
+});
+
+/**
+ * POST /api/pty/:sessionId/share
+ * Mint a time-limited, read-only share link for a session.
+ * Body: { ttlMinutes?: number (default 60), label?: string }
+ * Returns the link plus ready-to-send URLs (local, and any tunnel to this server).
+ */
+app.post('/api/pty/:sessionId/share', requireAuth, (req, res) => {
+  const sessionId = decodeURIComponent(req.params.sessionId);
+  const ptyMgr = getPtyManager();
+  if (!getStore().getSession(sessionId) && !(ptyMgr && ptyMgr.getSession(sessionId))) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  const { ttlMinutes, label } = req.body || {};
+  const share = getShareLinks().create(sessionId, {
+    ttlMs: ttlMinutes ? Number(ttlMinutes) * 60 * 1000 : undefined,
+    label,
+  });
+
+  const sharePath = `/share.html?session=${encodeURIComponent(sessionId)}&token=${encodeURIComponent(share.token)}`;
+  const urls = [`${req.protocol}://${req.get('host')}${sharePath}`];
+  const localPort = req.socket.localPort;
+  for (const [, t] of _tunnels) {
+    if (t.url && t.port === localPort) urls.push(t.url + sharePath);
+  }
+  res.status(201).json({ share: { ...share, path: sharePath, urls } });
+});
+
+/**
+ * GET /api/pty/:sessionId/shares
+ * List unexpired share links for a session.
+ */
+app.get('/api/pty/:sessionId/shares', requireAuth, (req, res) => {
+  res.json({ shares: getShareLinks().list(decodeURIComponent(req.params.sessionId)) });
+});
+
+/**
+ * DELETE /api/shares/:token
+ * Revoke a share link and disconnect anyone watching through it.
+ */
+app.delete('/api/shares/:token', requireAuth, (req, res) => {
+  const revoked = getShareLinks().revoke(req.params.token);
+  if (!revoked) return res.status(404).json({ error: 'Share link not found' });
+  const ptyMgr = getPtyManager();
+  const disconnected = ptyMgr ? ptyMgr.disconnectShare(revoked.token) : 0;
+  res.json({ success: true, disconnected });
+});
+
+// ── Session recordings (asciicast v2) ──
+
+/**
+ * POST /api/pty/:sessionId/recording
+ * Start or stop recording a running PTY session.
+ * Body: { enabled: boolean }
+ */
+app.post('/api/pty/:sessionId/recording', requireAuth, (req, res) => {
+  const ptyMgr = getPtyManager();
+  if (!ptyMgr) {
+    return res.status(503).json({ error: 'PTY manager not available' });
+  }
+
+  const sessionId = decodeURIComponent(req.params.sessionId);
+  const enabled = !!(req.body && req.body.enabled);
+  try {
+    const recording = ptyMgr.setRecording(sessionId, enabled);
+    return res.json({ active: enabled, recording });
+  } catch (err) {
+    return res.status(404).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/recordings
+ * List session recordings, newest first.
+ * Query: sessionId (optional) to filter to one session
+ */
+app.get('/api/recordings', requireAuth, (req, res) => {
+  const recordings = getRecordingManager().list({ sessionId: req.query.sessionId || null });
+  res.json({ recordings });
+});
+
+/**
+ * GET /api/recordings/:id
+ * Download a recording as an asciicast v2 (.cast) file, with secrets in
+ * event data redacted like scrollback downloads.
+ */
+app.get('/api/recordings/:id', requireAuth, (req, res) => {
+  const recorder = getRecordingManager();
+  if (!recorder.isValidId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid recording ID' });
+  }
+  const file = recorder.filePath(req.params.id);
+  if (!fs.existsSync(file)) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  res.setHeader('Content-Type', 'application/x-asciicast; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${req.params.id}.cast"`);
+  const scanner = getSecretScanner();
+  // Errors here are a client that went away mid-download
+  pipeline(fs.createReadStream(file, { encoding: 'utf8' }), mapCastEvents(text => scanner.redact(text)), res, () => {});
+});
+
+/**
+ * DELETE /api/recordings/:id
+ * Delete a finished recording. Returns 409 while it's still being recorded.
+ */
+app.delete('/api/recordings/:id', requireAuth, (req, res) => {
+  const recorder = getRecordingManager();
+  if (!recorder.isValidId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid recording ID' });
+  }
+  if (recorder.isActive(req.params.id)) {
+    return res.status(409).json({ error: 'Recording is in progress. Stop it first.' });
+  }
+  if (!recorder.delete(req.params.id)) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  res.json({ success: true });
+});
+
 // ── Image upload for terminal sessions ──
 app.post('/api/pty/:sessionId/upload-image',
   requireAuth,
@@ -2874,6 +3341,12 @@ function attachStoreEvents() {
     'docs:updated',
     'template:created',
     'template:deleted',
+    'budget:created',
+    'budget:updated',
+    'budget:deleted',
+    'feature:created',
+    'feature:updated',
+    'feature:deleted',
   ];
 
   for (const eventName of events) {
@@ -3260,26 +3733,7 @@ app.get('/api/git/worktrees', requireAuth, async (req, res) => {
     const root = await gitRepoRoot(dir);
     if (!root) return res.status(400).json({ error: 'Not a git repository' });
     const raw = await gitExec(['worktree', 'list', '--porcelain'], root);
-    const worktrees = [];
-    let current = {};
-    raw.split('\n').forEach(line => {
-      if (line.startsWith('worktree ')) {
-        if (current.path) worktrees.push(current);
-        current = { path: line.substring(9).trim() };
-      } else if (line.startsWith('HEAD ')) {
-        current.head = line.substring(5).trim();
-      } else if (line.startsWith('branch ')) {
-        current.branch = line.substring(7).trim().replace('refs/heads/', '');
-      } else if (line === 'bare') {
-        current.bare = true;
-      } else if (line === 'detached') {
-        current.detached = true;
-      } else if (line.trim() === '') {
-        if (current.path) worktrees.push(current);
-        current = {};
-      }
-    });
-    if (current.path) worktrees.push(current);
+    const worktrees = featureWorktrees.parseWorktreeList(raw);
     res.json({ repoRoot: root, worktrees });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -3293,8 +3747,7 @@ app.post('/api/git/worktrees', requireAuth, async (req, res) => {
   try {
     const root = await gitRepoRoot(repoDir);
     if (!root) return res.status(400).json({ error: 'Not a git repository' });
-    const repoName = path.basename(root);
-    const targetPath = wtPath || path.join(path.dirname(root), `${repoName}-wt`, branch.replace(/\//g, '-'));
+    const targetPath = wtPath || featureWorktrees.worktreePath(root, branch);
     let branchExists = false;
     try {
       await gitExec(['rev-parse', '--verify', branch], root);
@@ -3329,71 +3782,486 @@ app.delete('/api/git/worktrees', requireAuth, async (req, res) => {
 });
 
 // ──────────────────────────────────────────────────────────
-//  SELF-UPDATE
+//  GIT CHECKPOINTS
 // ──────────────────────────────────────────────────────────
 
-app.get('/api/version', requireAuth, async (req, res) => {
-  try {
-    const pkg = require('../../package.json');
-    const currentVersion = pkg.version;
+/**
+ * Look up the session a checkpoint or review request names and make sure it
+ * has a working directory. Sends the error response itself when not.
+ * @returns {object|null} The session
+ */
+function gitSession(req, res) {
+  const sessionId = req.method === 'GET' || req.method === 'DELETE'
+    ? req.query.sessionId
+    : (req.body || {}).sessionId;
+  if (!sessionId || typeof sessionId !== 'string') {
+    res.status(400).json({ error: 'sessionId is required' });
+    return null;
+  }
+  const session = getStore().getSession(sessionId);
+  if (!session) {
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+  if (!session.workingDir) {
+    res.status(400).json({ error: 'Session has no working directory' });
+    return null;
+  }
+  return session;
+}
 
-    // Check git for updates
-    const appDir = path.resolve(__dirname, '..', '..');
-    let updateAvailable = false;
-    let remoteVersion = currentVersion;
-    let commitsBehind = 0;
+/**
+ * Take a checkpoint of a session that opted in, at the end of one of its
+ * turns. Best-effort: a directory that isn't a git repo is skipped quietly.
+ * @param {string} sessionId
+ */
+function checkpointTurn(sessionId) {
+  const session = getStore().getSession(sessionId);
+  if (!session || !session.checkpoints || !session.workingDir) return;
+  getGitCheckpoints().create(session.id, session.workingDir, { message: `Turn ended: ${session.name}` })
+    .then(({ checkpoint, created }) => {
+      if (created) broadcastSSE('session:checkpoint', { sessionId: session.id, checkpoint });
+    })
+    .catch(() => {});
+}
 
-    try {
-      // Fetch latest from remote
-      execSync('git fetch origin main --quiet', { cwd: appDir, timeout: 10000, stdio: ['pipe', 'pipe', 'pipe'] });
+/**
+ * GET /api/git/checkpoints?sessionId=
+ * A session's checkpoints, newest first, each with its diffstat against the
+ * one before it.
+ * Returns: { sessionId, enabled, repoRoot, prefix, checkpoints: [{ id, commit, tree, head, message, createdAt, stat }] }
+ */
+app.get('/api/git/checkpoints', requireAuth, async (req, res) => {
+  const session = gitSession(req, res);
+  if (!session) return;
+  try {
+    const result = await getGitCheckpoints().list(session.id, session.workingDir);
+    res.json({ sessionId: session.id, enabled: !!session.checkpoints, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-      // Check how many commits behind
-      const behindOutput = execSync('git rev-list HEAD..origin/main --count', { cwd: appDir, timeout: 5000, encoding: 'utf-8' }).trim();
-      commitsBehind = parseInt(behindOutput, 10) || 0;
-      updateAvailable = commitsBehind > 0;
+/**
+ * POST /api/git/checkpoints
+ * Take a checkpoint now. Nothing new is recorded if the working directory is
+ * unchanged since the last one.
+ * Body: { sessionId, message? }
+ * Returns: { checkpoint, created }
+ */
+app.post('/api/git/checkpoints', requireAuth, async (req, res) => {
+  const session = gitSession(req, res);
+  if (!session) return;
+  const message = typeof req.body.message === 'string' && req.body.message.trim()
+    ? req.body.message.substring(0, 200)
+    : 'Manual checkpoint';
+  try {
+    const result = await getGitCheckpoints().create(session.id, session.workingDir, { message });
+    if (result.created) broadcastSSE('session:checkpoint', { sessionId: session.id, checkpoint: result.checkpoint });
+    res.status(result.created ? 201 : 200).json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-      // Get the latest commit message from remote
-      if (updateAvailable) {
-        const latestMsg = execSync('git log origin/main -1 --format=%s', { cwd: appDir, timeout: 5000, encoding: 'utf-8' }).trim();
-        remoteVersion = `${currentVersion}+${commitsBehind}`;
-      }
-    } catch (_) {
-      // Git operations may fail if not a git repo or no network
-    }
+/**
+ * GET /api/git/checkpoints/diff?sessionId=&from=&to=
+ * Diff between two checkpoints. Without `to`, against the working directory
+ * as it is now; without `from`, against the checkpoint before `to`.
+ * Returns: { from, to, files: [{ path, insertions, deletions }], stat, patch, truncated }
+ */
+app.get('/api/git/checkpoints/diff', requireAuth, redactSecrets, async (req, res) => {
+  const session = gitSession(req, res);
+  if (!session) return;
+  const from = typeof req.query.from === 'string' && req.query.from ? req.query.from : null;
+  const to = typeof req.query.to === 'string' && req.query.to ? req.query.to : null;
+  try {
+    res.json(await getGitCheckpoints().diff(session.id, session.workingDir, { from, to }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-    res.json({
-      version: currentVersion,
-      updateAvailable,
-      commitsBehind,
-      remoteVersion,
-    });
+/**
+ * POST /api/git/checkpoints/restore
+ * Put the session's working directory back as it was at a checkpoint. The
+ * current state is checkpointed first, so the restore can be undone.
+ * Body: { sessionId, checkpoint }
+ * Returns: { checkpoint, safety, written, deleted }
+ */
+app.post('/api/git/checkpoints/restore', requireAuth, async (req, res) => {
+  const session = gitSession(req, res);
+  if (!session) return;
+  const id = req.body.checkpoint;
+  if (!id || typeof id !== 'string') return res.status(400).json({ error: 'checkpoint is required' });
+  try {
+    const result = await getGitCheckpoints().restore(session.id, session.workingDir, id);
+    res.locals.audit = { details: { checkpoint: id, written: result.written, deleted: result.deleted } };
+    broadcastSSE('session:checkpoint', { sessionId: session.id, checkpoint: result.safety, restored: result.checkpoint });
+    res.json(result);
   } catch (err) {
-    res.status(500).json({ error: 'Failed to check version: ' + err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.post('/api/update', requireAuth, async (req, res) => {
-  const appDir = path.resolve(__dirname, '..', '..');
+/**
+ * DELETE /api/git/checkpoints?sessionId=
+ * Delete all of a session's checkpoints.
+ * Returns: { deleted }
+ */
+app.delete('/api/git/checkpoints', requireAuth, async (req, res) => {
+  const session = gitSession(req, res);
+  if (!session) return;
+  try {
+    res.json({ deleted: await getGitCheckpoints().clear(session.id, session.workingDir) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-  // Use chunked transfer to stream progress
-  res.setHeader('Content-Type', 'application/x-ndjson');
-  res.setHeader('Transfer-Encoding', 'chunked');
-  res.setHeader('Cache-Control', 'no-cache');
+// ──────────────────────────────────────────────────────────
+//  GIT REVIEW
+// ──────────────────────────────────────────────────────────
 
-  const sendStep = (step, status, detail) => {
-    res.write(JSON.stringify({ step, status, detail, timestamp: Date.now() }) + '\n');
-  };
+/**
+ * GET /api/git/review?sessionId=
+ * Changed files in the repository around a session's working directory.
+ * Returns: { repoRoot, branch, files: [{ path, index, worktree, untracked, staged, unstaged }] }
+ *   index/worktree are `git status` letters; staged/unstaged are line counts or null
+ */
+app.get('/api/git/review', requireAuth, async (req, res) => {
+  const session = gitSession(req, res);
+  if (!session) return;
+  try {
+    res.json(await gitReview.reviewStatus(session.workingDir));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
+/**
+ * GET /api/git/review/diff?sessionId=&path=
+ * A file's staged and unstaged changes as unified diff hunks.
+ * Returns: { path, index, worktree, untracked, staged: { hunks, binary, truncated }, unstaged: {…} }
+ */
+app.get('/api/git/review/diff', requireAuth, redactSecrets, async (req, res) => {
+  const session = gitSession(req, res);
+  if (!session) return;
   try {
-    // Step 1: Git pull
-    sendStep('pull', 'running', 'Pulling latest changes from origin/main...');
+    res.json(await gitReview.fileDiff(session.workingDir, req.query.path));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/git/review/{stage,unstage,discard}
+ * Stage or unstage a file, or discard its unstaged changes. With `hunk` (its
+ * index in the file's diff, plus its `header` to detect a stale diff) only
+ * that hunk is applied.
+ * Body: { sessionId, path, hunk?, header? }
+ */
+for (const action of ['stage', 'unstage', 'discard']) {
+  app.post(`/api/git/review/${action}`, requireAuth, async (req, res) => {
+    const session = gitSession(req, res);
+    if (!session) return;
+    const { path: file, hunk, header } = req.body;
     try {
-      const pullOutput = execSync('git pull origin main', { cwd: appDir, timeout: 30000, encoding: 'utf-8' });
-      sendStep('pull', 'done', pullOutput.trim().substring(0, 200));
+      await gitReview[action](session.workingDir, file, { hunk, header });
+      res.json({ success: true });
     } catch (err) {
-      sendStep('pull', 'error', (err.stderr || err.message || '').substring(0, 200));
-      res.end();
-      return;
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+}
+
+/**
+ * GET /api/git/review/message?sessionId=
+ * A commit message drafted from the session's transcript summary.
+ * Returns: { message } (empty when the session has no transcript)
+ */
+app.get('/api/git/review/message', requireAuth, (req, res) => {
+  const session = gitSession(req, res);
+  if (!session) return;
+  const transcriptId = transcriptSessionId(session.id, session);
+  const jsonlPath = transcriptId && (session.provider || 'claude') === 'claude' ? findJsonlFile(transcriptId) : null;
+  if (!jsonlPath) return res.json({ message: '' });
+  try {
+    res.json({ message: gitReview.commitMessageFromSummary(generateSessionSummary(jsonlPath)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/git/review/commit
+ * Commit everything staged in the session's repository.
+ * Body: { sessionId, message }
+ * Returns: { commit, subject, branch }
+ */
+app.post('/api/git/review/commit', requireAuth, async (req, res) => {
+  const session = gitSession(req, res);
+  if (!session) return;
+  try {
+    const result = await gitReview.commit(session.workingDir, req.body.message);
+    res.locals.audit = { details: { commit: result.commit, branch: result.branch } };
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────
+//  FEATURE WORKTREES
+// ──────────────────────────────────────────────────────────
+
+/**
+ * What the worktree janitor goes by: the directories to look for
+ * repositories in, and the worktrees sessions and features use.
+ * @returns {{ dirs: string[], sessionDirs: string[], featurePaths: string[] }}
+ */
+function worktreeUsage() {
+  const store = getStore();
+  const sessionDirs = store.getAllSessionsList().map(s => s.workingDir).filter(Boolean);
+  const owned = store.getAllWorkspacesList()
+    .flatMap(ws => store.listFeatures(ws.id))
+    .map(f => f.worktree)
+    .filter(Boolean);
+  return {
+    dirs: [...sessionDirs, ...owned.map(wt => wt.repoRoot)],
+    sessionDirs,
+    featurePaths: owned.map(wt => wt.path),
+  };
+}
+
+/**
+ * POST /api/features/:id/worktree
+ * Body: { repoDir, baseBranch?, provider? }
+ * Starts work on a feature: creates its branch off the base branch (default:
+ * the one checked out in repoDir) in a new worktree, creates a session there
+ * linked to the feature, and moves the feature to active.
+ * Returns: { feature, session, worktree: { repoRoot, path, branch, baseBranch, createdAt } }
+ */
+app.post('/api/features/:id/worktree', requireAuth, async (req, res) => {
+  const store = getStore();
+  const feature = store.getFeature(req.params.id);
+  if (!feature) return res.status(404).json({ error: 'Feature not found' });
+  if (feature.worktree) return res.status(409).json({ error: 'Feature already has a worktree' });
+
+  const { repoDir, baseBranch, provider } = req.body || {};
+  if (!repoDir || typeof repoDir !== 'string') {
+    return res.status(400).json({ error: 'repoDir is required' });
+  }
+  if (baseBranch !== undefined && typeof baseBranch !== 'string') {
+    return res.status(400).json({ error: 'baseBranch must be a string' });
+  }
+  if (provider && !isValidProvider(provider)) {
+    return res.status(400).json({ error: providerError() });
+  }
+
+  try {
+    const created = await featureWorktrees.createFeatureWorktree(repoDir, feature.name, { baseBranch });
+    const worktree = {
+      repoRoot: created.repoRoot,
+      path: created.path,
+      branch: created.branch,
+      baseBranch: created.baseBranch,
+      createdAt: new Date().toISOString(),
+    };
+    store.updateFeature(feature.id, { worktree, merge: null, status: 'active' });
+    const session = store.createSession({
+      name: feature.name,
+      workspaceId: feature.workspaceId,
+      workingDir: worktree.path,
+      topic: `Feature: ${feature.name}`,
+      provider: provider || 'claude',
+      command: getProvider(provider).defaultCommand,
+    });
+    if (session) store.linkSessionToFeature(feature.id, session.id);
+    res.locals.audit = { details: { branch: worktree.branch, path: worktree.path } };
+    res.status(201).json({ feature: store.getFeature(feature.id), session, worktree });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/features/:id/merge
+ * Body: { mode: 'ff' | 'squash', message? }
+ * Merges a feature's branch back into its base branch. A merge that can't be
+ * done cleanly changes nothing and returns merged: false with the conflicted
+ * paths; uncommitted changes in the feature's worktree are a 409. Merging
+ * again with nothing new adds no commit and keeps the first merge's record.
+ * Returns: { merged, mode, baseBranch, head, commit, commits, conflicts, alreadyMerged?, reason?, feature }
+ */
+app.post('/api/features/:id/merge', requireAuth, async (req, res) => {
+  const store = getStore();
+  const feature = store.getFeature(req.params.id);
+  if (!feature) return res.status(404).json({ error: 'Feature not found' });
+  if (!feature.worktree) return res.status(400).json({ error: 'Feature has no worktree' });
+
+  const { mode, message } = req.body || {};
+  try {
+    const result = await featureWorktrees.mergeFeature(feature.worktree, { mode, message, title: feature.name });
+    if (result.merged && !(result.alreadyMerged && feature.merge)) {
+      store.updateFeature(feature.id, {
+        merge: {
+          mode: result.mode,
+          baseBranch: result.baseBranch,
+          head: result.head,
+          commit: result.commit,
+          mergedAt: new Date().toISOString(),
+        },
+      });
+      res.locals.audit = { details: { mode: result.mode, branch: feature.worktree.branch, commit: result.commit } };
+    }
+    res.json({ ...result, feature: store.getFeature(feature.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/features/:id/worktree
+ * Body: { force? }
+ * Removes a feature's worktree and deletes its branch if it was merged (or
+ * always, with force, which also discards uncommitted changes). Sessions
+ * still running in the worktree must be stopped first.
+ * Returns: { removed, branchDeleted, feature }
+ */
+app.delete('/api/features/:id/worktree', requireAuth, async (req, res) => {
+  const store = getStore();
+  const feature = store.getFeature(req.params.id);
+  if (!feature) return res.status(404).json({ error: 'Feature not found' });
+  if (!feature.worktree) return res.status(400).json({ error: 'Feature has no worktree' });
+
+  const { worktree } = feature;
+  const running = store.getAllSessionsList().filter(s =>
+    s.status === 'running' && s.workingDir && featureWorktrees.isInside(s.workingDir, worktree.path));
+  if (running.length > 0) {
+    return res.status(409).json({ error: `Stop the sessions running in the worktree first: ${running.map(s => s.name).join(', ')}` });
+  }
+
+  const force = (req.body || {}).force === true;
+  try {
+    const result = await featureWorktrees.removeFeatureWorktree(worktree, {
+      force,
+      deleteBranch: force ? 'always' : 'merged',
+      mergedHead: feature.merge ? feature.merge.head : null,
+    });
+    store.updateFeature(feature.id, { worktree: null });
+    res.locals.audit = { details: { branch: worktree.branch, path: worktree.path, branchDeleted: result.branchDeleted } };
+    res.json({ ...result, feature: store.getFeature(feature.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/git/worktrees/stale
+ * The worktree janitor: linked worktrees, in the repositories sessions and
+ * features work in, that no session uses and no feature owns.
+ * Returns: { worktrees: [{ repoRoot, path, branch, head, missing }] }
+ */
+app.get('/api/git/worktrees/stale', requireAuth, async (req, res) => {
+  const { dirs, ...usage } = worktreeUsage();
+  try {
+    res.json({ worktrees: await featureWorktrees.findStaleWorktrees(dirs, usage) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/git/worktrees/stale
+ * Body: { paths: string[], deleteBranches? }
+ * Removes the listed worktrees that are still stale, and their branches
+ * when merged if deleteBranches is set. Worktrees with uncommitted changes
+ * are kept and reported as failed.
+ * Returns: { removed: [{ path, branch, branchDeleted }], failed: [{ path, error }] }
+ */
+app.delete('/api/git/worktrees/stale', requireAuth, async (req, res) => {
+  const { paths, deleteBranches } = req.body || {};
+  if (!Array.isArray(paths) || paths.length === 0 || !paths.every(p => typeof p === 'string')) {
+    return res.status(400).json({ error: 'paths must be a non-empty array of strings' });
+  }
+  const { dirs, ...usage } = worktreeUsage();
+  try {
+    const result = await featureWorktrees.removeStaleWorktrees(dirs, usage, paths, { deleteBranches: deleteBranches === true });
+    res.locals.audit = { details: { removed: result.removed.map(wt => wt.path) } };
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────────────────
+//  SELF-UPDATE
+// ──────────────────────────────────────────────────────────
+
+app.get('/api/version', requireAuth, async (req, res) => {
+  try {
+    const pkg = require('../../package.json');
+    const currentVersion = pkg.version;
+
+    // Check git for updates
+    const appDir = path.resolve(__dirname, '..', '..');
+    let updateAvailable = false;
+    let remoteVersion = currentVersion;
+    let commitsBehind = 0;
+
+    try {
+      // Fetch latest from remote
+      execSync('git fetch origin main --quiet', { cwd: appDir, timeout: 10000, stdio: ['pipe', 'pipe', 'pipe'] });
+
+      // Check how many commits behind
+      const behindOutput = execSync('git rev-list HEAD..origin/main --count', { cwd: appDir, timeout: 5000, encoding: 'utf-8' }).trim();
+      commitsBehind = parseInt(behindOutput, 10) || 0;
+      updateAvailable = commitsBehind > 0;
+
+      // Get the latest commit message from remote
+      if (updateAvailable) {
+        const latestMsg = execSync('git log origin/main -1 --format=%s', { cwd: appDir, timeout: 5000, encoding: 'utf-8' }).trim();
+        remoteVersion = `${currentVersion}+${commitsBehind}`;
+      }
+    } catch (_) {
+      // Git operations may fail if not a git repo or no network
+    }
+
+    res.json({
+      version: currentVersion,
+      updateAvailable,
+      commitsBehind,
+      remoteVersion,
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to check version: ' + err.message });
+  }
+});
+
+app.post('/api/update', requireAuth, async (req, res) => {
+  const appDir = path.resolve(__dirname, '..', '..');
+
+  // Use chunked transfer to stream progress
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Transfer-Encoding', 'chunked');
+  res.setHeader('Cache-Control', 'no-cache');
+
+  const sendStep = (step, status, detail) => {
+    res.write(JSON.stringify({ step, status, detail, timestamp: Date.now() }) + '\n');
+  };
+
+  try {
+    // Step 1: Git pull
+    sendStep('pull', 'running', 'Pulling latest changes from origin/main...');
+    try {
+      const pullOutput = execSync('git pull origin main', { cwd: appDir, timeout: 30000, encoding: 'utf-8' });
+      sendStep('pull', 'done', pullOutput.trim().substring(0, 200));
+    } catch (err) {
+      sendStep('pull', 'error', (err.stderr || err.message || '').substring(0, 200));
+      res.locals.audit = { outcome: 'failure', details: { step: 'pull' } };
+      res.end();
+      return;
     }
 
     // Step 2: npm install (in case dependencies changed)
@@ -3406,6 +4274,7 @@ app.post('/api/update', requireAuth, async (req, res) => {
       sendStep('install', 'done', detail);
     } catch (err) {
       sendStep('install', 'error', (err.stderr || err.message || '').substring(0, 200));
+      res.locals.audit = { outcome: 'failure', details: { step: 'install' } };
       res.end();
       return;
     }
@@ -3417,6 +4286,7 @@ app.post('/api/update', requireAuth, async (req, res) => {
       delete require.cache[require.resolve('../../package.json')];
       const newPkg = require('../../package.json');
       sendStep('version', 'done', `Updated to v${newPkg.version}`);
+      res.locals.audit = { details: { version: newPkg.version } };
     } catch (_) {
       sendStep('version', 'done', 'Version check skipped');
     }
@@ -3475,6 +4345,8 @@ app.post('/api/update', requireAuth, async (req, res) => {
     }, 1500);
 
   } catch (err) {
+    // The 200 status was sent with the first step, so record the failure explicitly
+    res.locals.audit = { outcome: 'failure', details: { error: err.message } };
     sendStep('error', 'error', err.message);
     res.end();
   }
@@ -3556,6 +4428,7 @@ app.post('/api/tunnels', requireAuth, async (req, res) => {
       await new Promise(r => setTimeout(r, 500));
     }
 
+    res.locals.audit = { details: { tunnelId: tunnel.id, url: tunnel.url } };
     res.status(201).json({ id: tunnel.id, port: tunnel.port, url: tunnel.url, pid: tunnel.pid, label: tunnel.label, createdAt: tunnel.createdAt });
     broadcastSSE('tunnel:opened', { id: tunnel.id, port: tunnel.port, url: tunnel.url });
   } catch (err) {
@@ -3566,6 +4439,7 @@ app.post('/api/tunnels', requireAuth, async (req, res) => {
 app.delete('/api/tunnels/:id', requireAuth, (req, res) => {
   const tunnel = _tunnels.get(req.params.id);
   if (!tunnel) return res.status(404).json({ error: 'Tunnel not found' });
+  res.locals.audit = { details: { port: tunnel.port, url: tunnel.url } };
   try {
     if (tunnel.process && !tunnel.process.killed) {
       tunnel.process.kill('SIGTERM');
@@ -3584,124 +4458,15 @@ app.delete('/api/tunnels/:id', requireAuth, (req, res) => {
 //  SESSION SEARCH (full-text across all JSONL files)
 // ──────────────────────────────────────────────────────────
 
-// ─── Search File List Cache (30s TTL) ──────────────────────
-let _searchFileCache = null;
-let _searchFileCacheTime = 0;
-const SEARCH_FILE_CACHE_TTL = 30000; // 30 seconds
-
-/**
- * Build a list of all JSONL session files under ~/.claude/projects/.
- * Returns an array of { filePath, sessionId, projectDir, encodedName, realPath, projectName }.
- * Cached in memory for 30 seconds.
- */
-function getSearchableFiles() {
-  const now = Date.now();
-  if (_searchFileCache && (now - _searchFileCacheTime) < SEARCH_FILE_CACHE_TTL) {
-    return _searchFileCache;
-  }
-
-  const claudeDir = path.join(os.homedir(), '.claude', 'projects');
-  if (!fs.existsSync(claudeDir)) {
-    _searchFileCache = [];
-    _searchFileCacheTime = now;
-    return _searchFileCache;
-  }
-
-  const files = [];
-  try {
-    const entries = fs.readdirSync(claudeDir, { withFileTypes: true });
-    for (const entry of entries) {
-      if (!entry.isDirectory()) continue;
-
-      const projectDir = path.join(claudeDir, entry.name);
-      const realPath = decodeClaudePath(entry.name);
-      const projectName = realPath.split('\\').pop() || realPath.split('/').pop() || entry.name;
-
-      try {
-        const dirFiles = fs.readdirSync(projectDir).filter(f => f.endsWith('.jsonl'));
-        for (const f of dirFiles) {
-          files.push({
-            filePath: path.join(projectDir, f),
-            sessionId: f.replace('.jsonl', ''),
-            projectDir,
-            encodedName: entry.name,
-            realPath,
-            projectName,
-          });
-        }
-      } catch (_) {
-        // Skip directories that can't be read
-      }
-    }
-  } catch (_) {
-    // If the top-level read fails, return empty
-  }
-
-  _searchFileCache = files;
-  _searchFileCacheTime = now;
-  return files;
-}
-
-/**
- * Extract a session name from the first user or assistant message content
- * in a JSONL file (first 50 chars), or fall back to the session UUID.
- * @param {string} filePath - Path to the .jsonl file
- * @param {string} sessionId - Fallback UUID
- * @returns {string} A human-readable session name
- */
-function extractSessionName(filePath, sessionId) {
-  try {
-    // Read just the first 10KB to find the first meaningful message
-    const fd = fs.openSync(filePath, 'r');
-    const headSize = Math.min(10 * 1024, fs.fstatSync(fd).size);
-    const buf = Buffer.alloc(headSize);
-    fs.readSync(fd, buf, 0, headSize, 0);
-    fs.closeSync(fd);
-
-    const lines = buf.toString('utf-8').split('\n').filter(l => l.trim());
-    for (const line of lines) {
-      try {
-        const entry = JSON.parse(line);
-        const inner = entry.message || entry;
-        const role = entry.type || inner.role;
-        if (role !== 'user' && role !== 'human' && role !== 'assistant') continue;
-
-        const c = inner.content;
-        let text = '';
-        if (typeof c === 'string') {
-          text = c;
-        } else if (Array.isArray(c)) {
-          const textBlocks = c.filter(b => b.type === 'text' && b.text);
-          text = textBlocks.map(b => b.text).join(' ');
-        }
-        // Skip system-generated and very short messages
-        if (!text || text.length < 5) continue;
-        if (text.startsWith('<') && text.includes('system-reminder')) continue;
-
-        // Clean up and truncate to 50 chars
-        text = text.replace(/[\r\n]+/g, ' ').replace(/\s+/g, ' ').trim();
-        if (text.length > 50) {
-          text = text.substring(0, 50).replace(/\s+\S*$/, '') + '...';
-        }
-        return text;
-      } catch (_) {
-        // Skip unparseable lines
-      }
-    }
-  } catch (_) {
-    // Fall through to UUID
-  }
-  return sessionId;
-}
-
 /**
  * GET /api/search?q=<query>&limit=20
- * Full-text search across all Claude Code JSONL session files.
- * Searches the message.content field (both string and array forms) case-insensitively.
+ * Full-text search across all Claude Code sessions, served from the
+ * transcript index's text shards rather than the raw JSONL files.
+ * Searches message text (user and assistant) case-insensitively.
  * Returns matches with ~200 char snippets, sorted by timestamp descending.
  * Protected by auth. Enforces a 5-second timeout, returning partial results if exceeded.
  */
-app.get('/api/search', requireAuth, (req, res) => {
+app.get('/api/search', requireAuth, redactSecrets, (req, res) => {
   const query = req.query.q;
   if (!query || typeof query !== 'string' || query.trim().length < 2) {
     return res.status(400).json({ error: 'Query parameter "q" must be at least 2 characters.' });
@@ -3712,106 +4477,16 @@ app.get('/api/search', requireAuth, (req, res) => {
   const startTime = Date.now();
   const TIMEOUT_MS = 5000; // 5-second timeout
 
-  const files = getSearchableFiles();
-  const results = [];
-  let totalMatches = 0;
-  let searchedFiles = 0;
-  let timedOut = false;
-
-  for (const fileInfo of files) {
-    // Check timeout before processing each file
-    if (Date.now() - startTime > TIMEOUT_MS) {
-      timedOut = true;
-      break;
-    }
-
-    searchedFiles++;
-
-    let content;
-    try {
-      content = fs.readFileSync(fileInfo.filePath, 'utf-8');
-    } catch (_) {
-      continue; // Skip files that can't be read
-    }
-
-    const lines = content.split('\n');
-    let sessionName = null; // Lazy — computed on first match
-
-    for (let lineIdx = 0; lineIdx < lines.length; lineIdx++) {
-      // Check timeout inside large files too
-      if (Date.now() - startTime > TIMEOUT_MS) {
-        timedOut = true;
-        break;
-      }
-
-      const line = lines[lineIdx];
-      if (!line.trim()) continue;
-
-      let entry;
-      try {
-        entry = JSON.parse(line);
-      } catch (_) {
-        continue; // Skip corrupt/binary lines
-      }
-
-      const inner = entry.message || entry;
-      const role = entry.type || inner.role;
-      if (role !== 'user' && role !== 'human' && role !== 'assistant') continue;
-
-      const c = inner.content;
-      let text = '';
-      if (typeof c === 'string') {
-        text = c;
-      } else if (Array.isArray(c)) {
-        const textBlocks = c.filter(b => b.type === 'text' && b.text);
-        text = textBlocks.map(b => b.text).join('');
-      }
-
-      if (!text) continue;
-
-      // Case-insensitive search
-      const lowerText = text.toLowerCase();
-      const matchIndex = lowerText.indexOf(searchQuery);
-      if (matchIndex === -1) continue;
-
-      totalMatches++;
-
-      // Only collect up to `limit` result objects
-      if (results.length < limit) {
-        // Lazy-load session name on first match for this file
-        if (sessionName === null) {
-          sessionName = extractSessionName(fileInfo.filePath, fileInfo.sessionId);
-        }
-
-        // Build ~200 char snippet around the match
-        const snippetRadius = 100;
-        const snippetStart = Math.max(0, matchIndex - snippetRadius);
-        const snippetEnd = Math.min(text.length, matchIndex + searchQuery.length + snippetRadius);
-        let snippet = text.substring(snippetStart, snippetEnd)
-          .replace(/[\r\n]+/g, ' ')
-          .replace(/\s+/g, ' ')
-          .trim();
-        if (snippetStart > 0) snippet = '...' + snippet;
-        if (snippetEnd < text.length) snippet = snippet + '...';
-
-        // Extract timestamp from the entry
-        const timestamp = entry.timestamp || null;
-
-        results.push({
-          sessionId: fileInfo.sessionId,
-          sessionName,
-          projectPath: fileInfo.realPath,
-          projectName: fileInfo.projectName,
-          timestamp,
-          role: (role === 'human') ? 'user' : role,
-          snippet,
-          lineNumber: lineIdx + 1, // 1-based line number
-        });
-      }
-    }
+  transcriptIndex.refreshIfStale(TRANSCRIPT_INDEX_BUDGET_MS);
+  const { results, totalMatches, searchedFiles, timedOut } =
+    transcriptIndex.search(searchQuery, { limit, timeoutMs: TIMEOUT_MS - (Date.now() - startTime) });
 
-    if (timedOut) break;
-  }
+  // Archived sessions fill whatever room is left
+  const archived = getTranscriptArchive().search(searchQuery, {
+    limit: limit - results.length,
+    timeoutMs: Math.max(0, TIMEOUT_MS - (Date.now() - startTime)),
+  });
+  results.push(...archived.results);
 
   // Sort by timestamp descending (most recent first); null timestamps go last
   results.sort((a, b) => {
@@ -3826,134 +4501,196 @@ app.get('/api/search', requireAuth, (req, res) => {
   return res.json({
     query: query.trim(),
     results,
-    totalMatches,
-    searchedFiles,
+    totalMatches: totalMatches + archived.totalMatches,
+    searchedFiles: searchedFiles + archived.searchedFiles,
     durationMs,
-    timedOut,
+    timedOut: timedOut || archived.timedOut,
   });
 });
 
 // ──────────────────────────────────────────────────────────
-//  CONFLICT DETECTION (per workspace)
+//  FILE HISTORY
 // ──────────────────────────────────────────────────────────
 
+const MAX_FILE_HISTORY_SESSIONS = 200;
+
 /**
- * GET /api/workspaces/:id/conflicts
- * Checks if multiple running sessions in a workspace are modifying the same files.
- * Runs `git status --porcelain` in each session's workingDir to discover modified files,
- * then cross-references to find overlapping edits.
- * Protected by auth.
+ * GET /api/files/history?path=&since=&until=&limit=50
+ * Every Claude session that read or changed a file, from the Read, Edit,
+ * MultiEdit, Write and NotebookEdit calls in all transcripts (archived ones
+ * included), newest activity first. `path` is absolute, or a suffix such as
+ * src/web/server.js. Each event's `line` opens the transcript at that call
+ * (GET /api/sessions/:sessionId/transcript?line=).
+ * Returns: { path, files: [matching paths], sessions: [{ sessionId, sessionName,
+ *   projectPath, projectName, archived?, reads, edits, firstAt, lastAt,
+ *   workspaceSessions: [{ id, name, workspaceId }], events: [{ line, at, op, tool,
+ *   file, edits?: [{ old, new }], range? }] }], total, timedOut }
  */
-app.get('/api/workspaces/:id/conflicts', requireAuth, (req, res) => {
-  const store = getStore();
-  const workspace = store.getWorkspace(req.params.id);
-
-  if (!workspace) {
-    return res.status(404).json({ error: 'Workspace not found.' });
-  }
+app.get('/api/files/history', requireAuth, redactSecrets, (req, res) => {
+  const query = typeof req.query.path === 'string' ? req.query.path.trim() : '';
+  if (query.length < 2) {
+    return res.status(400).json({ error: 'Query parameter "path" must be at least 2 characters.' });
+  }
+  const range = {};
+  for (const key of ['since', 'until']) {
+    if (req.query[key] === undefined) continue;
+    const time = Date.parse(req.query[key]);
+    if (isNaN(time)) return res.status(400).json({ error: `"${key}" must be an ISO date or time` });
+    range[key] = new Date(time).toISOString();
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_FILE_HISTORY_SESSIONS);
+  const startTime = Date.now();
+  const TIMEOUT_MS = 5000;
 
-  const sessions = store.getWorkspaceSessions(req.params.id);
+  transcriptIndex.refreshIfStale(TRANSCRIPT_INDEX_BUDGET_MS);
+  const live = transcriptIndex.fileHistory(query, { ...range, timeoutMs: TIMEOUT_MS });
+  const archived = getTranscriptArchive().fileHistory(query, {
+    ...range,
+    timeoutMs: Math.max(0, TIMEOUT_MS - (Date.now() - startTime)),
+  });
 
-  // Only consider running sessions with a workingDir
-  const runningSessions = sessions.filter(
-    (s) => s.status === 'running' && s.workingDir
-  );
+  const results = [...live.results, ...archived.results]
+    .sort((a, b) => (b.lastAt || '').localeCompare(a.lastAt || ''));
 
-  if (runningSessions.length === 0) {
-    return res.json({
-      conflicts: [],
-      checkedSessions: 0,
-      timestamp: new Date().toISOString(),
-    });
+  // Link each transcript to the Myrlin sessions that resume it
+  const byResumeId = new Map();
+  for (const session of getStore().getAllSessionsList()) {
+    if (!session.resumeSessionId) continue;
+    if (!byResumeId.has(session.resumeSessionId)) byResumeId.set(session.resumeSessionId, []);
+    byResumeId.get(session.resumeSessionId).push({ id: session.id, name: session.name, workspaceId: session.workspaceId });
   }
 
-  // Collect modified files per session
-  // Map: sessionId → { id, name, files: string[] }
-  const sessionFiles = new Map();
-  let checkedSessions = 0;
-
-  for (const session of runningSessions) {
-    try {
-      const stdout = execSync('git status --porcelain', {
-        cwd: session.workingDir,
-        timeout: 3000,
-        encoding: 'utf-8',
-        stdio: ['pipe', 'pipe', 'pipe'], // suppress stderr output
-      });
-
-      checkedSessions++;
+  res.json({
+    path: query,
+    files: [...new Set([...live.files, ...archived.files])].sort(),
+    sessions: results.slice(0, limit).map(r => ({ ...r, workspaceSessions: byResumeId.get(r.sessionId) || [] })),
+    total: results.length,
+    timedOut: live.timedOut || archived.timedOut,
+  });
+});
 
-      const modifiedFiles = [];
-      const lines = stdout.split('\n').filter(l => l.trim());
-      for (const line of lines) {
-        // git status --porcelain format: XY filename
-        // X = staging area, Y = working tree
-        // Lines start with status codes like M, A, ??, D, R, etc.
-        const statusCode = line.substring(0, 2).trim();
-        if (!statusCode) continue;
-
-        // Skip deleted files (they're not actively being edited)
-        if (statusCode === 'D' || statusCode === 'DD') continue;
-
-        // Extract filename — for renamed files (R), the new name is after " -> "
-        let filename = line.substring(3).trim();
-        if (filename.includes(' -> ')) {
-          filename = filename.split(' -> ')[1].trim();
-        }
-        // Remove quotes if present (git adds them for special chars)
-        if (filename.startsWith('"') && filename.endsWith('"')) {
-          filename = filename.slice(1, -1);
-        }
+// ──────────────────────────────────────────────────────────
+//  CONFLICT DETECTION (per workspace)
+// ──────────────────────────────────────────────────────────
 
-        // Normalize path separators to forward slashes for consistent comparison
-        filename = filename.replace(/\\/g, '/');
+// Files are attributed to sessions from the edit tool calls in their
+// transcripts (see file-attribution.js), so two sessions in one repo only
+// conflict on files both of them edited, and sessions outside git count too.
+const CONFLICT_POLL_INTERVAL = 10000;
+const CONFLICT_READ_BUDGET_MS = 2000; // Per poll or request, across all transcripts
+const MAX_CONFLICT_WINDOW_MINUTES = 24 * 60;
+const FILE_EDIT_TOOLS = ['Edit', 'MultiEdit', 'Write', 'NotebookEdit'];
+/** Last conflict fingerprint broadcast per workspace */
+const _conflictFingerprints = new Map();
+let _conflictPollTimer = null;
 
-        if (filename) {
-          modifiedFiles.push(filename);
-        }
-      }
-
-      if (modifiedFiles.length > 0) {
-        sessionFiles.set(session.id, {
-          id: session.id,
-          name: session.name || session.id.substring(0, 12),
-          files: modifiedFiles,
-        });
-      }
+/**
+ * Conflicts among a workspace's running sessions.
+ * @param {string} workspaceId
+ * @param {object} [options]
+ * @param {number} [options.windowMs] - How close in time two edits must be
+ * @param {Set<string>} [options.seen] - Collects the transcript paths read
+ * @returns {{ conflicts: object[], checkedSessions: number }}
+ */
+function workspaceConflicts(workspaceId, { windowMs = DEFAULT_CONFLICT_WINDOW_MS, seen = null } = {}) {
+  const store = getStore();
+  const attribution = getFileAttribution();
+  const deadline = Date.now() + CONFLICT_READ_BUDGET_MS;
+  const sessions = [];
+
+  for (const session of store.getWorkspaceSessions(workspaceId)) {
+    if (session.status !== 'running') continue;
+    const provider = getProvider(session.provider);
+    const resumeSessionId = transcriptSessionId(session.id, session);
+    const filePath = resumeSessionId ? provider.findTranscript(resumeSessionId) : null;
+    if (!filePath) continue;
+    if (seen) seen.add(filePath);
+    try {
+      const edits = attribution.update(filePath, provider, deadline);
+      sessions.push({ id: session.id, name: session.name || session.id.substring(0, 12), edits });
     } catch (_) {
-      // git status failed (not a git repo, timeout, etc.) — skip this session
-      checkedSessions++;
+      // Transcript unreadable (moved or archived): nothing to attribute
     }
   }
+  return { conflicts: findConflicts(sessions, { windowMs }), checkedSessions: sessions.length };
+}
 
-  // Cross-reference: find files that appear in 2+ sessions
-  const fileToSessions = new Map(); // filename → [{ id, name }]
+/**
+ * Recompute a workspace's conflicts and broadcast them as
+ * workspace:conflicts if they changed.
+ * @param {string} workspaceId
+ * @param {Set<string>} [seen] - Collects the transcript paths read
+ */
+function checkWorkspaceConflicts(workspaceId, seen) {
+  let result;
+  try {
+    result = workspaceConflicts(workspaceId, { seen });
+  } catch (_) {
+    return;
+  }
+  const fingerprint = JSON.stringify(result.conflicts.map(c => [c.file, c.sessions.map(s => s.id), c.overlaps]));
+  if ((_conflictFingerprints.get(workspaceId) || '[]') === fingerprint) return;
+  _conflictFingerprints.set(workspaceId, fingerprint);
+  broadcastSSE('workspace:conflicts', {
+    workspaceId,
+    conflicts: result.conflicts,
+    timestamp: new Date().toISOString(),
+  });
+}
 
-  for (const [, sessionInfo] of sessionFiles) {
-    for (const file of sessionInfo.files) {
-      if (!fileToSessions.has(file)) {
-        fileToSessions.set(file, []);
+/**
+ * Check every workspace with two or more running sessions, and forget the
+ * transcripts of sessions that stopped.
+ */
+function pollWorkspaceConflicts() {
+  const store = getStore();
+  const seen = new Set();
+  for (const workspace of store.getAllWorkspacesList()) {
+    const running = store.getWorkspaceSessions(workspace.id).filter(s => s.status === 'running');
+    if (running.length >= 2) {
+      checkWorkspaceConflicts(workspace.id, seen);
+    } else if (_conflictFingerprints.has(workspace.id)) {
+      // Down to one running session: clear any conflicts still shown
+      if (_conflictFingerprints.get(workspace.id) !== '[]') {
+        broadcastSSE('workspace:conflicts', { workspaceId: workspace.id, conflicts: [], timestamp: new Date().toISOString() });
       }
-      fileToSessions.get(file).push({ id: sessionInfo.id, name: sessionInfo.name });
+      _conflictFingerprints.delete(workspace.id);
     }
   }
+  getFileAttribution().retain(seen);
+}
 
-  const conflicts = [];
-  for (const [file, sessionsInConflict] of fileToSessions) {
-    if (sessionsInConflict.length >= 2) {
-      conflicts.push({
-        file,
-        sessions: sessionsInConflict,
-      });
-    }
+/**
+ * GET /api/workspaces/:id/conflicts
+ * Files edited by two or more of the workspace's running sessions within a
+ * time window of each other, from the Edit/Write/MultiEdit calls in their
+ * transcripts. Changes are also pushed as workspace:conflicts SSE events.
+ * Query: windowMinutes (default 30, max 1440)
+ * Returns: { conflicts: [{ file, sessions: [{ id, name, edits, lastAt, ranges }],
+ *   overlaps: [{ start, end }], lastAt }], checkedSessions, windowMinutes, timestamp }
+ *   overlaps lists line ranges both sides edited, when their tools reported them
+ */
+app.get('/api/workspaces/:id/conflicts', requireAuth, (req, res) => {
+  const store = getStore();
+  const workspace = store.getWorkspace(req.params.id);
+
+  if (!workspace) {
+    return res.status(404).json({ error: 'Workspace not found.' });
   }
 
-  // Sort conflicts by number of sessions involved (most conflicts first)
-  conflicts.sort((a, b) => b.sessions.length - a.sessions.length);
+  let windowMinutes = DEFAULT_CONFLICT_WINDOW_MS / 60000;
+  if (req.query.windowMinutes !== undefined) {
+    windowMinutes = Number(req.query.windowMinutes);
+    if (!Number.isFinite(windowMinutes) || windowMinutes <= 0 || windowMinutes > MAX_CONFLICT_WINDOW_MINUTES) {
+      return res.status(400).json({ error: `windowMinutes must be between 0 and ${MAX_CONFLICT_WINDOW_MINUTES}` });
+    }
+  }
 
+  const { conflicts, checkedSessions } = workspaceConflicts(workspace.id, { windowMs: windowMinutes * 60000 });
   return res.json({
     conflicts,
     checkedSessions,
+    windowMinutes,
     timestamp: new Date().toISOString(),
   });
 });
@@ -4015,6 +4752,737 @@ app.get('/api/browse', requireAuth, (req, res) => {
   res.json({ currentPath: targetPath, parent: hasParent ? parent : null, entries });
 });
 
+// ──────────────────────────────────────────────────────────
+//  CLAUDE CODE HOOKS
+// ──────────────────────────────────────────────────────────
+
+const hooksBridge = getHooksBridge();
+
+/**
+ * POST /api/hooks/events
+ * Ingest a Claude Code hook event from hook-client.js (no user auth: the
+ * X-CWM-Hook-Token header must be the token issued to that session's PTY).
+ * Body: { sessionId, event, session_id?, tool_name?, message?, notification_type? }
+ * Returns: { status }
+ */
+app.post('/api/hooks/events', (req, res) => {
+  const { sessionId, event } = req.body || {};
+  if (!hooksBridge.verify(sessionId, req.headers['x-cwm-hook-token'])) {
+    return res.status(401).json({ error: 'Invalid hook token' });
+  }
+  const result = hooksBridge.ingest(sessionId, event, req.body);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json({ status: result.status });
+});
+
+/**
+ * GET /api/hooks/status
+ * Last hook-reported status of every session with a live PTY.
+ * Returns: { statuses: [{ sessionId, state, tool, message, event, updatedAt }] }
+ */
+app.get('/api/hooks/status', requireAuth, (req, res) => {
+  res.json({ statuses: hooksBridge.listStatuses() });
+});
+
+/**
+ * GET /api/hooks
+ * Whether Myrlin's hooks are installed in the Claude Code settings (admin only).
+ * Returns: { settingsFile, installed, current, events, error? }
+ */
+app.get('/api/hooks', requireAuth, requireAdmin, (req, res) => {
+  res.json(hooksBridge.installStatus());
+});
+
+/**
+ * POST /api/hooks/install
+ * Add Myrlin's hooks to the Claude Code user settings, or refresh them
+ * (admin only). Other hooks are left alone.
+ */
+app.post('/api/hooks/install', requireAuth, requireAdmin, (req, res) => {
+  try {
+    res.json(hooksBridge.install());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/hooks/uninstall
+ * Remove Myrlin's hooks from the Claude Code user settings (admin only).
+ */
+app.post('/api/hooks/uninstall', requireAuth, requireAdmin, (req, res) => {
+  try {
+    res.json(hooksBridge.uninstall());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Broadcast hook-driven status changes and notify when a session finishes,
+ * whether or not a browser has it open (permission prompts notify from the
+ * approvals inbox). Called once when the server starts.
+ */
+function attachHookEvents() {
+  hooksBridge.on('status', (status, previous) => {
+    broadcastSSE('session:status', status);
+    // The todo list just changed on disk
+    if (status.event === 'PostToolUse' && previous && previous.tool === 'TodoWrite') {
+      checkSessionTodos(status.sessionId);
+    }
+    // A file was just edited: look for new conflicts in its workspace
+    if (status.event === 'PostToolUse' && previous && FILE_EDIT_TOOLS.includes(previous.tool)) {
+      const session = getStore().getSession(status.sessionId);
+      if (session && session.workspaceId) checkWorkspaceConflicts(session.workspaceId);
+    }
+    if (status.state !== 'done' || (previous && previous.state === 'done')) return;
+
+    // End of a turn: snapshot the working tree of sessions that opted in
+    checkpointTurn(status.sessionId);
+    const session = getStore().getSession(status.sessionId);
+    const name = (session && session.name) || status.sessionId.substring(0, 12);
+    getNotificationManager().notify('success', 'Session finished', `${name} is ready for input`);
+  });
+}
+
+// ──────────────────────────────────────────────────────────
+//  APPROVALS INBOX
+// ──────────────────────────────────────────────────────────
+
+const approvalInbox = getApprovalInbox();
+
+/**
+ * GET /api/approvals
+ * Pending permission prompts across all PTY sessions, oldest first.
+ * Query: workspaceId (optional)
+ * Returns: { approvals: [{ id, sessionId, sessionName, workspaceId, source, tool, detail, question, message, createdAt }] }
+ */
+app.get('/api/approvals', requireAuth, redactSecrets, (req, res) => {
+  const workspaceId = typeof req.query.workspaceId === 'string' ? req.query.workspaceId : null;
+  res.json({ approvals: approvalInbox.list({ workspaceId }) });
+});
+
+/**
+ * Answer a pending prompt by writing the matching keystroke to its PTY.
+ * @param {'approve'|'deny'} decision
+ */
+function answerApproval(decision) {
+  return (req, res) => {
+    const entry = approvalInbox.get(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'Prompt is no longer pending' });
+    res.locals.audit = { details: { sessionId: entry.sessionId, tool: entry.tool, detail: getSecretScanner().redactDeep(entry.detail) } };
+
+    const ptyMgr = getPtyManager();
+    const ptySession = ptyMgr ? ptyMgr.getSession(entry.sessionId) : null;
+    if (!ptySession || !ptySession.alive) {
+      approvalInbox.clearSession(entry.sessionId);
+      return res.status(409).json({ error: 'Session is no longer running' });
+    }
+    // Resolve first so the keystroke isn't also counted as an in-terminal answer
+    const resolved = approvalInbox.resolve(entry.id, decision === 'approve' ? 'approved' : 'denied');
+    ptyMgr.writeInput(entry.sessionId, decision === 'approve' ? APPROVE_KEYS : DENY_KEYS);
+    res.json({ approval: resolved });
+  };
+}
+
+/**
+ * POST /api/approvals/:id/approve
+ * Answer "Yes" to a pending permission prompt.
+ */
+app.post('/api/approvals/:id/approve', requireAuth, redactSecrets, answerApproval('approve'));
+
+/**
+ * POST /api/approvals/:id/deny
+ * Answer "No" (Esc) to a pending permission prompt.
+ */
+app.post('/api/approvals/:id/deny', requireAuth, redactSecrets, answerApproval('deny'));
+
+/**
+ * Broadcast inbox changes and notify when a new prompt is waiting.
+ * Called once when the server starts.
+ */
+function attachApprovalEvents() {
+  // Prompt details echo command lines from the terminal, where tokens show up
+  const scanner = getSecretScanner();
+  approvalInbox.on('added', (pending) => {
+    const entry = scanner.redactDeep(pending);
+    broadcastSSE('approval:pending', entry);
+    const name = entry.sessionName || entry.sessionId.substring(0, 12);
+    const what = entry.tool ? `${entry.tool}${entry.detail ? ': ' + entry.detail : ''}` : (entry.message || 'Claude needs your permission');
+    getNotificationManager().notify('warning', 'Permission needed', `${name}: ${what}`);
+  });
+  approvalInbox.on('updated', (entry) => broadcastSSE('approval:pending', scanner.redactDeep(entry)));
+  approvalInbox.on('resolved', (entry) => {
+    broadcastSSE('approval:resolved', { id: entry.id, sessionId: entry.sessionId, resolution: entry.resolution });
+  });
+}
+
+// ──────────────────────────────────────────────────────────
+//  SESSION INPUT & WAIT (scripting)
+// ──────────────────────────────────────────────────────────
+
+const MAX_INPUT_CHARS = 64 * 1024;
+// Claude Code treats text and Enter arriving together as a paste, so send Enter separately
+const INPUT_ENTER_DELAY_MS = 150;
+const DEFAULT_WAIT_TIMEOUT_S = 300;
+const MAX_WAIT_TIMEOUT_S = 3600;
+
+/**
+ * POST /api/sessions/:id/input
+ * Type text into a running session's terminal.
+ * Body: { text: string, enter?: boolean (press Enter after the text, default false) }
+ * Returns: { sessionId, inputAt } - pass inputAt as ?since= to /wait
+ */
+app.post('/api/sessions/:id/input', requireAuth, (req, res) => {
+  const { text, enter = false } = req.body || {};
+  if (typeof text !== 'string' || (!text && !enter)) {
+    return res.status(400).json({ error: 'text must be a string (empty only with enter: true)' });
+  }
+  if (text.length > MAX_INPUT_CHARS) {
+    return res.status(413).json({ error: `text is limited to ${MAX_INPUT_CHARS} characters` });
+  }
+  const ptyMgr = getPtyManager();
+  if (!ptyMgr) return res.status(503).json({ error: 'PTY manager not available' });
+
+  const sessionId = req.params.id;
+  const inputAt = new Date().toISOString();
+  // Only the size is audited; the text may hold anything
+  res.locals.audit = { details: { chars: text.length, enter: !!enter } };
+  if (text && !ptyMgr.writeInput(sessionId, text)) {
+    return res.status(409).json({ error: 'Session is not running. Open it in a terminal first.' });
+  }
+  if (enter) {
+    if (!text) {
+      if (!ptyMgr.writeInput(sessionId, '\r')) return res.status(409).json({ error: 'Session is not running. Open it in a terminal first.' });
+    } else {
+      setTimeout(() => ptyMgr.writeInput(sessionId, '\r'), INPUT_ENTER_DELAY_MS);
+    }
+  }
+  res.json({ sessionId, inputAt });
+});
+
+/**
+ * GET /api/sessions/:id/wait
+ * Long-poll until the session next goes idle, then return Claude's final
+ * message from the transcript. Also returns early if a permission prompt is
+ * waiting or the session exits.
+ * Query: since (ISO time, default now; use inputAt from /input), timeout
+ *        (seconds, default 300, max 3600), quietMs (output silence that
+ *        counts as idle when hooks aren't installed, default 3000)
+ * Returns: { sessionId, state, message, messageAt, claudeSessionId, approval? }
+ *   state: done | idle | waiting-for-permission | exited | timeout
+ */
+app.get('/api/sessions/:id/wait', requireAuth, redactSecrets, async (req, res) => {
+  const ptyMgr = getPtyManager();
+  if (!ptyMgr) return res.status(503).json({ error: 'PTY manager not available' });
+
+  const sessionId = req.params.id;
+  const since = req.query.since ? Date.parse(req.query.since) : Date.now();
+  if (isNaN(since)) return res.status(400).json({ error: 'Invalid since date' });
+  const timeoutS = req.query.timeout !== undefined ? Number(req.query.timeout) : DEFAULT_WAIT_TIMEOUT_S;
+  if (!Number.isFinite(timeoutS) || timeoutS < 0 || timeoutS > MAX_WAIT_TIMEOUT_S) {
+    return res.status(400).json({ error: `timeout must be 0-${MAX_WAIT_TIMEOUT_S} seconds` });
+  }
+  const quietMs = req.query.quietMs !== undefined ? Number(req.query.quietMs) : DEFAULT_QUIET_MS;
+  if (!Number.isFinite(quietMs) || quietMs < 250) {
+    return res.status(400).json({ error: 'quietMs must be at least 250' });
+  }
+  if (!ptyMgr.getSession(sessionId) && !getStore().getSession(sessionId)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  const waiter = waitForIdle(sessionId, {
+    since, timeoutMs: timeoutS * 1000, quietMs, ptyManager: ptyMgr, hooks: hooksBridge, approvals: approvalInbox,
+  });
+  res.on('close', waiter.cancel);
+  const result = await waiter.promise;
+  if (result.state === 'cancelled') return;
+
+  const status = hooksBridge.getStatus(sessionId);
+  const storeSession = getStore().getSession(sessionId);
+  const claudeSessionId = (status && status.claudeSessionId) || (storeSession && storeSession.resumeSessionId) || null;
+  let final = null;
+  if (claudeSessionId && ['done', 'idle', 'exited'].includes(result.state)) {
+    const provider = getProvider(storeSession && storeSession.provider);
+    const jsonlPath = provider.findTranscript(claudeSessionId);
+    if (jsonlPath) final = provider.readFinalMessage(jsonlPath);
+  }
+  res.json({
+    sessionId,
+    state: result.state,
+    message: final ? final.text : null,
+    messageAt: final ? final.timestamp : null,
+    claudeSessionId,
+    ...(result.approval ? { approval: result.approval } : {}),
+  });
+});
+
+// ──────────────────────────────────────────────────────────
+//  AUDIT LOG
+// ──────────────────────────────────────────────────────────
+
+/**
+ * GET /api/audit
+ * Query the audit log, newest first (admin only).
+ * Query: from, to (YYYY-MM-DD or ISO timestamp), actor, action, outcome,
+ *        target (any target ID), before (cursor from nextBefore), limit (default 100)
+ * Returns: { entries, nextBefore }
+ */
+app.get('/api/audit', requireAuth, requireAdmin, (req, res) => {
+  const { from, to, actor, action, outcome, target, before, limit } = req.query;
+  if (outcome && !['success', 'failure', 'denied'].includes(outcome)) {
+    return res.status(400).json({ error: 'outcome must be success, failure, or denied' });
+  }
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && isNaN(Date.parse(value))) return res.status(400).json({ error: `Invalid ${name} date` });
+  }
+  if (before && !parseAuditCursor(before)) return res.status(400).json({ error: 'Invalid before cursor' });
+  res.json(getAuditLog().query({ from, to, actor, action, outcome, target, before, limit }));
+});
+
+// ──────────────────────────────────────────────────────────
+//  TRANSCRIPT ARCHIVE
+// ──────────────────────────────────────────────────────────
+
+// How often the retention policy is checked, and the least time between two runs
+const ARCHIVE_POLICY_CHECK_INTERVAL = 60 * 60 * 1000;
+const ARCHIVE_POLICY_RUN_INTERVAL = 24 * 60 * 60 * 1000;
+let _archivePolicyTimer = null;
+let _archiveJobRunning = false;
+
+/**
+ * The saved retention policy, with defaults filled in.
+ * @returns {{ enabled: boolean, olderThanDays: number, keepOpenFeatures: boolean, keepWorkspaceSessions: boolean }}
+ */
+function currentArchivePolicy() {
+  const { value } = validatePolicy(getStore().settings.archivePolicy || {});
+  return value || validatePolicy({}).value;
+}
+
+/**
+ * Claude session IDs whose transcript may still be written to: store
+ * sessions marked running and sessions with a live terminal.
+ * @returns {Set<string>}
+ */
+function activeTranscriptIds() {
+  const store = getStore();
+  const ids = new Set();
+  for (const session of store.getAllSessionsList()) {
+    if (session.status !== 'running') continue;
+    const id = transcriptSessionId(session.id, session);
+    if (id) ids.add(id);
+  }
+  if (_ptyManager) {
+    for (const [sessionId, pty] of _ptyManager.sessions) {
+      if (!pty.alive) continue;
+      const id = transcriptSessionId(sessionId, store.getSession(sessionId));
+      if (id) ids.add(id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Wire format of an archived session.
+ * @param {object} manifest
+ * @returns {object}
+ */
+function archiveSummary(manifest) {
+  return {
+    sessionId: manifest.sessionId,
+    name: manifest.name,
+    encodedName: manifest.encodedName,
+    projectPath: manifest.projectPath,
+    projectName: manifest.projectName,
+    firstTimestamp: manifest.firstTimestamp,
+    lastTimestamp: manifest.lastTimestamp,
+    messageCount: manifest.messageCount,
+    files: manifest.files.length,
+    originalBytes: manifest.originalBytes,
+    archivedBytes: manifest.archivedBytes,
+    archivedAt: manifest.archivedAt,
+    reason: manifest.reason,
+  };
+}
+
+/**
+ * Archive Claude transcripts one at a time, yielding to the event loop
+ * between sessions. Running sessions and unknown IDs are skipped.
+ * @param {string[]} sessionIds - Claude session IDs
+ * @param {string} reason - "manual" or "policy"
+ * @returns {Promise<{ archived: object[], skipped: Array<{ sessionId: string, reason: string }>, freedBytes: number }>}
+ */
+async function archiveTranscripts(sessionIds, reason) {
+  const archive = getTranscriptArchive();
+  const active = activeTranscriptIds();
+  const archived = [];
+  const skipped = [];
+
+  for (const sessionId of sessionIds) {
+    if (archive.get(sessionId)) {
+      skipped.push({ sessionId, reason: 'Already archived' });
+      continue;
+    }
+    if (active.has(sessionId)) {
+      skipped.push({ sessionId, reason: 'Session is running' });
+      continue;
+    }
+    const filePath = transcriptIndex.findFile(sessionId);
+    // Index it to the end first, so search and file history keep everything
+    const entry = filePath && transcriptIndex.refreshFile(filePath);
+    if (!entry) {
+      skipped.push({ sessionId, reason: 'Transcript not found' });
+      continue;
+    }
+    try {
+      const manifest = archive.archiveSession(entry, {
+        text: transcriptIndex.readText(entry),
+        files: transcriptIndex.readFileRecords(entry),
+        project: transcriptIndex.getProject(entry.encodedName),
+        reason,
+      });
+      transcriptIndex.forgetFile(entry.filePath);
+      archived.push(archiveSummary(manifest));
+    } catch (err) {
+      skipped.push({ sessionId, reason: err.message });
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  if (archived.length > 0) broadcastSSE('archive:updated', { archived: archived.length });
+  const freedBytes = archived.reduce((sum, m) => sum + m.originalBytes - m.archivedBytes, 0);
+  return { archived, skipped, freedBytes };
+}
+
+/**
+ * Claude session IDs the retention policy must leave alone: running
+ * sessions, plus (per the policy) those linked to unfinished features or
+ * attached to a workspace.
+ * @param {object} policy
+ * @returns {Set<string>}
+ */
+function retentionKeepSet(policy) {
+  const store = getStore();
+  const keep = activeTranscriptIds();
+  const add = (session) => {
+    if (session && session.resumeSessionId) keep.add(session.resumeSessionId);
+  };
+  if (policy.keepWorkspaceSessions) {
+    for (const session of store.getAllSessionsList()) add(session);
+  }
+  if (policy.keepOpenFeatures) {
+    for (const ws of store.getAllWorkspacesList()) {
+      for (const feature of store.listFeatures(ws.id)) {
+        if (feature.status === 'done') continue;
+        for (const id of feature.sessionIds || []) add(store.getSession(id));
+      }
+    }
+  }
+  return keep;
+}
+
+/**
+ * Apply the retention policy: find transcripts untouched for
+ * policy.olderThanDays and, unless dryRun, archive them.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Only list what would be archived
+ * @returns {Promise<object>} { policy, dryRun, candidates, archived?, skipped?, freedBytes? }
+ */
+async function runRetentionPolicy({ dryRun = false } = {}) {
+  const policy = currentArchivePolicy();
+  transcriptIndex.refresh({ budgetMs: TRANSCRIPT_INDEX_BUDGET_MS });
+  const selected = selectForRetention(transcriptIndex.listFiles(), policy, { keep: retentionKeepSet(policy) });
+  const candidates = selected.map(entry => {
+    const project = transcriptIndex.getProject(entry.encodedName);
+    return {
+      sessionId: entry.sessionId,
+      name: entry.name,
+      projectPath: project ? project.realPath : entry.encodedName,
+      lastActivity: new Date(lastActivity(entry)).toISOString(),
+      size: entry.size,
+    };
+  });
+  if (dryRun) return { policy, dryRun: true, candidates };
+
+  const result = await archiveTranscripts(candidates.map(c => c.sessionId), 'policy');
+  getTranscriptArchive().recordPolicyRun({
+    at: new Date().toISOString(),
+    archived: result.archived.length,
+    skipped: result.skipped.length,
+    freedBytes: result.freedBytes,
+  });
+  return { policy, dryRun: false, candidates, ...result };
+}
+
+/**
+ * Timer callback: run the retention policy if it's enabled and hasn't run
+ * in the last ARCHIVE_POLICY_RUN_INTERVAL.
+ */
+async function checkArchivePolicy() {
+  if (_archiveJobRunning || !currentArchivePolicy().enabled) return;
+  const lastRun = getTranscriptArchive().lastPolicyRun();
+  if (lastRun && Date.now() - Date.parse(lastRun.at) < ARCHIVE_POLICY_RUN_INTERVAL) return;
+  _archiveJobRunning = true;
+  try {
+    const result = await runRetentionPolicy();
+    if (result.archived.length > 0) {
+      console.log(`[Archive] Retention policy archived ${result.archived.length} session(s)`);
+    }
+  } catch (err) {
+    console.error('[Archive] Retention policy failed:', err.message);
+  } finally {
+    _archiveJobRunning = false;
+  }
+}
+
+/**
+ * GET /api/archive
+ * Archived Claude sessions, newest activity first, with totals (admin only).
+ * Returns: { sessions: [{ sessionId, name, projectPath, lastTimestamp, originalBytes,
+ *            archivedBytes, archivedAt, reason, ... }], totals: { sessions, originalBytes, archivedBytes },
+ *            policy, lastPolicyRun }
+ */
+app.get('/api/archive', requireAuth, requireAdmin, (req, res) => {
+  const archive = getTranscriptArchive();
+  res.json({
+    sessions: archive.list().map(archiveSummary),
+    totals: archive.stats(),
+    policy: currentArchivePolicy(),
+    lastPolicyRun: archive.lastPolicyRun(),
+  });
+});
+
+/**
+ * POST /api/archive
+ * Compress Claude sessions into state/archive and delete them from
+ * ~/.claude/projects (admin only). Running sessions are skipped.
+ * Body: { sessionIds?: string[], projects?: string[] } - Claude session IDs and/or
+ *       encoded project names (every session in the project)
+ * Returns: { archived: [...], skipped: [{ sessionId, reason }], freedBytes }
+ */
+app.post('/api/archive', requireAuth, requireAdmin, async (req, res) => {
+  const { sessionIds = [], projects = [] } = req.body || {};
+  const isStringList = (v) => Array.isArray(v) && v.every(x => typeof x === 'string' && x);
+  if (!isStringList(sessionIds) || !isStringList(projects)) {
+    return res.status(400).json({ error: 'sessionIds and projects must be arrays of strings' });
+  }
+  if (sessionIds.length === 0 && projects.length === 0) {
+    return res.status(400).json({ error: 'Nothing to archive' });
+  }
+  if (_archiveJobRunning) return res.status(409).json({ error: 'An archive job is already running' });
+
+  _archiveJobRunning = true;
+  try {
+    transcriptIndex.refreshIfStale(TRANSCRIPT_INDEX_BUDGET_MS);
+    const ids = new Set(sessionIds);
+    for (const encodedName of projects) {
+      for (const entry of transcriptIndex.listFiles()) {
+        if (entry.encodedName === encodedName) ids.add(entry.sessionId);
+      }
+    }
+    const result = await archiveTranscripts([...ids], 'manual');
+    res.locals.audit = { details: { archived: result.archived.length, skipped: result.skipped.length } };
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to archive: ' + err.message });
+  } finally {
+    _archiveJobRunning = false;
+  }
+});
+
+/**
+ * POST /api/archive/:sessionId/restore
+ * Put an archived session back in ~/.claude/projects so it can be resumed
+ * (admin only). Files get their original contents and mtimes.
+ * Returns: { restored: { sessionId, filePath, files, bytes } }
+ */
+app.post('/api/archive/:sessionId/restore', requireAuth, requireAdmin, (req, res) => {
+  const archive = getTranscriptArchive();
+  const sessionId = req.params.sessionId;
+  if (!archive.get(sessionId)) return res.status(404).json({ error: 'Session is not archived' });
+
+  let restored;
+  try {
+    restored = archive.restoreSession(sessionId);
+  } catch (err) {
+    const status = /already exists/.test(err.message) ? 409 : 500;
+    return res.status(status).json({ error: err.message });
+  }
+  transcriptIndex.refreshFile(restored.filePath);
+  broadcastSSE('archive:updated', { restored: sessionId });
+  res.json({ restored: { sessionId, ...restored } });
+});
+
+/**
+ * GET /api/archive/policy
+ * The retention policy and the result of its last run (admin only).
+ */
+app.get('/api/archive/policy', requireAuth, requireAdmin, (req, res) => {
+  res.json({ policy: currentArchivePolicy(), lastRun: getTranscriptArchive().lastPolicyRun() });
+});
+
+/**
+ * PUT /api/archive/policy
+ * Update the retention policy (admin only). An enabled policy runs at most
+ * once a day.
+ * Body: { enabled?, olderThanDays?, keepOpenFeatures?, keepWorkspaceSessions? }
+ */
+app.put('/api/archive/policy', requireAuth, requireAdmin, (req, res) => {
+  const { value, error } = validatePolicy({ ...currentArchivePolicy(), ...(req.body || {}) });
+  if (error) return res.status(400).json({ error });
+  getStore().updateSettings({ archivePolicy: value });
+  res.json({ policy: value });
+});
+
+/**
+ * POST /api/archive/policy/run
+ * Run the retention policy now (admin only), or with dryRun just list the
+ * sessions it would archive.
+ * Body: { dryRun?: boolean }
+ * Returns: { policy, dryRun, candidates: [{ sessionId, name, projectPath, lastActivity, size }],
+ *            archived?, skipped?, freedBytes? }
+ */
+app.post('/api/archive/policy/run', requireAuth, requireAdmin, async (req, res) => {
+  const dryRun = !!(req.body && req.body.dryRun);
+  if (_archiveJobRunning) return res.status(409).json({ error: 'An archive job is already running' });
+
+  _archiveJobRunning = true;
+  try {
+    const result = await runRetentionPolicy({ dryRun });
+    if (!dryRun) res.locals.audit = { details: { archived: result.archived.length, skipped: result.skipped.length } };
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to run retention policy: ' + err.message });
+  } finally {
+    _archiveJobRunning = false;
+  }
+});
+
+// ──────────────────────────────────────────────────────────
+//  SECRET SCANNING
+// ──────────────────────────────────────────────────────────
+
+// Time one report request may spend reading transcripts; later calls pick up where it stopped
+const SECRETS_REPORT_BUDGET_MS = 3000;
+const SECRETS_REPORT_MAX_BUDGET_MS = 30000;
+
+/**
+ * GET /api/security/secrets-report
+ * Which session transcripts contain secrets, and where (admin only).
+ * Transcripts are scanned incrementally: a call reads for up to budgetMs and
+ * reports complete: false with the files it didn't reach, so the client can
+ * call again. Findings carry the JSONL line and the JSON path inside it, with
+ * a masked preview — never the secret itself.
+ * Query: sessionId (store session or transcript ID, optional), budgetMs
+ * Returns: { sessions: [{ sessionId, provider, storeSessions, projectPath, filePath,
+ *            total, byRule, findings: [{ line, path, rule, label, preview }], complete }],
+ *            totals: { sessions, findings, byRule }, scannedFiles, pendingFiles, complete }
+ */
+app.get('/api/security/secrets-report', requireAuth, requireAdmin, (req, res) => {
+  const budgetMs = Math.min(
+    Math.max(parseInt(req.query.budgetMs, 10) || SECRETS_REPORT_BUDGET_MS, 100),
+    SECRETS_REPORT_MAX_BUDGET_MS
+  );
+  const deadline = Date.now() + budgetMs;
+  const store = getStore();
+  const scanner = getSecretScanner();
+
+  // Store sessions by the transcript they write to
+  const storeByTranscript = {};
+  for (const session of store.getAllSessionsList()) {
+    const transcriptId = transcriptSessionId(session.id, session);
+    if (!transcriptId) continue;
+    (storeByTranscript[transcriptId] = storeByTranscript[transcriptId] || []).push({ id: session.id, name: session.name });
+  }
+
+  let wanted = null;
+  if (req.query.sessionId) {
+    const session = store.getSession(req.query.sessionId);
+    wanted = transcriptSessionId(req.query.sessionId, session);
+    if (!wanted) return res.status(404).json({ error: 'Session has no transcript' });
+  }
+
+  try {
+    const files = [];
+    for (const provider of listProviders()) {
+      provider.refresh();
+      for (const project of provider.listProjects()) {
+        for (const file of project.files) {
+          if (!file.filePath || (wanted && file.sessionId !== wanted)) continue;
+          files.push({ provider: provider.id, sessionId: file.sessionId, filePath: file.filePath, projectPath: project.realPath });
+        }
+      }
+    }
+
+    const sessions = [];
+    const totals = { sessions: 0, findings: 0, byRule: {} };
+    let scannedFiles = 0;
+    let pendingFiles = 0;
+    for (const file of files) {
+      const scan = Date.now() < deadline ? scanner.scanFile(file.filePath, deadline) : null;
+      if (!scan) {
+        pendingFiles++;
+        continue;
+      }
+      scannedFiles++;
+      if (!scan.complete) pendingFiles++;
+      if (scan.total === 0) continue;
+
+      sessions.push({
+        sessionId: file.sessionId,
+        provider: file.provider,
+        storeSessions: storeByTranscript[file.sessionId] || [],
+        projectPath: file.projectPath,
+        filePath: file.filePath,
+        total: scan.total,
+        byRule: { ...scan.byRule },
+        findings: scan.findings.slice(),
+        complete: scan.complete,
+      });
+      totals.sessions++;
+      totals.findings += scan.total;
+      for (const [rule, count] of Object.entries(scan.byRule)) {
+        totals.byRule[rule] = (totals.byRule[rule] || 0) + count;
+      }
+    }
+
+    sessions.sort((a, b) => b.total - a.total);
+    res.json({ sessions, totals, scannedFiles, pendingFiles, complete: pendingFiles === 0 });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to scan transcripts: ' + err.message });
+  }
+});
+
+/**
+ * GET /api/security/patterns
+ * The user-defined secret patterns and the built-in rule names (admin only).
+ * Returns: { patterns: [{ name, pattern, flags? }], builtin: [{ id, label }], file }
+ */
+app.get('/api/security/patterns', requireAuth, requireAdmin, (req, res) => {
+  const scanner = getSecretScanner();
+  res.json({
+    patterns: scanner.getPatterns().patterns,
+    builtin: listBuiltinRules(),
+    file: scanner.file,
+  });
+});
+
+/**
+ * PUT /api/security/patterns
+ * Replace the user-defined secret patterns (admin only). Each pattern is a
+ * JavaScript regular expression; redaction and the report use them at once.
+ * Body: { patterns: [{ name, pattern, flags? }] }
+ */
+app.put('/api/security/patterns', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const { value, error } = getSecretScanner().setPatterns(req.body);
+    if (error) return res.status(400).json({ error });
+    res.json(value);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save patterns: ' + err.message });
+  }
+});
+
 // ──────────────────────────────────────────────────────────
 //  SERVER START
 // ──────────────────────────────────────────────────────────
@@ -4032,6 +5500,17 @@ let _ptyManager = null;
 function startServer(port = 3456, host = '127.0.0.1') {
   // Wire store events to SSE before accepting connections
   attachStoreEvents();
+  attachHookEvents();
+  attachApprovalEvents();
+
+  // Hook clients in our PTYs report back over loopback unless we're bound to one address
+  const hookHost = ['0.0.0.0', '::'].includes(host) ? '127.0.0.1' : host;
+  hooksBridge.setBaseUrl(`http://${hookHost.includes(':') ? `[${hookHost}]` : hookHost}:${port}`);
+  try {
+    if (hooksBridge.refreshInstall()) console.log('[Hooks] Updated Claude Code hooks to the current install path');
+  } catch (err) {
+    console.error('[Hooks] Could not refresh Claude Code hooks:', err.message);
+  }
 
   const server = app.listen(port, host, () => {
     // Server is ready - caller handles the log message
@@ -4043,9 +5522,34 @@ function startServer(port = 3456, host = '127.0.0.1') {
 
   // Attach PTY WebSocket server
   const { attachPtyWebSocket } = require('./pty-server');
-  const { ptyWss, ptyManager } = attachPtyWebSocket(server);
+  const { ptyWss, ptyManager } = attachPtyWebSocket(server, {
+    // Refuse PTY spawns while an applicable budget is blocking
+    spawnGuard: (sessionId) => {
+      const block = findBlockingBudget(sessionId);
+      return block ? budgetBlockMessage(block) : null;
+    },
+  });
   _ptyManager = ptyManager;
 
+  // Keep the transcript index warm: an initial (possibly partial) build on
+  // startup, then small budgeted passes so requests rarely wait on parsing
+  setImmediate(() => transcriptIndex.refresh({ budgetMs: TRANSCRIPT_INDEX_BUDGET_MS }));
+  _transcriptIndexTimer = setInterval(() => {
+    try {
+      transcriptIndex.refresh({ budgetMs: TRANSCRIPT_INDEX_BUDGET_MS });
+      checkBudgets();
+    } catch (err) {
+      console.error('[Index] Refresh failed:', err.message);
+    }
+  }, TRANSCRIPT_INDEX_INTERVAL);
+  _transcriptIndexTimer.unref();
+  _todoPollTimer = setInterval(pollSessionTodos, TODO_POLL_INTERVAL);
+  _todoPollTimer.unref();
+  _conflictPollTimer = setInterval(pollWorkspaceConflicts, CONFLICT_POLL_INTERVAL);
+  _conflictPollTimer.unref();
+  _archivePolicyTimer = setInterval(checkArchivePolicy, ARCHIVE_POLICY_CHECK_INTERVAL);
+  _archivePolicyTimer.unref();
+
   // Cleanup tunnels on shutdown
   const cleanupTunnels = () => {
     for (const [, t] of _tunnels) {
@@ -0,0 +1,82 @@
+/**
+ * Agent todo lists, as the agent itself tracks them.
+ *
+ * Claude Code keeps a structured plan through TodoWrite tool calls (Codex
+ * through update_plan); every call replaces the whole list. Providers collect
+ * those calls from a transcript as snapshots, oldest first, and this module
+ * folds them into the latest list plus a per-item history of status changes.
+ * Items are matched across snapshots by their text.
+ */
+
+const TODO_STATUSES = ['pending', 'in_progress', 'completed'];
+
+// Where a session's todos are copied as they change
+const MIRROR_TARGETS = ['off', 'docs', 'features'];
+
+/**
+ * Count todos by status.
+ * @param {Array<{ status: string }>} todos
+ * @returns {{ total: number, completed: number, inProgress: number, pending: number }}
+ */
+function summarizeTodos(todos) {
+  const summary = { total: todos.length, completed: 0, inProgress: 0, pending: 0 };
+  for (const todo of todos) {
+    if (todo.status === 'completed') summary.completed++;
+    else if (todo.status === 'in_progress') summary.inProgress++;
+    else summary.pending++;
+  }
+  return summary;
+}
+
+/**
+ * Fold todo snapshots into the latest list with status history.
+ * @param {Array<{ at: string|null, items: Array<{ content: string, status: string, activeForm?: string }> }>} snapshots
+ * @returns {{ todos: object[], summary: object, updatedAt: string|null, updates: number }}
+ */
+function buildTodoState(snapshots) {
+  const history = new Map(); // content -> [{ status, at }]
+  let latest = [];
+  let updatedAt = null;
+
+  for (const snapshot of snapshots) {
+    const items = (snapshot.items || [])
+      .filter(item => item && typeof item.content === 'string' && item.content.trim())
+      .map(item => ({
+        content: item.content.trim(),
+        status: TODO_STATUSES.includes(item.status) ? item.status : 'pending',
+        activeForm: item.activeForm || null,
+      }));
+    for (const item of items) {
+      const changes = history.get(item.content) || [];
+      const last = changes[changes.length - 1];
+      if (!last || last.status !== item.status) changes.push({ status: item.status, at: snapshot.at || null });
+      history.set(item.content, changes);
+    }
+    latest = items;
+    updatedAt = snapshot.at || updatedAt;
+  }
+
+  const todos = latest.map(item => ({ ...item, history: history.get(item.content) }));
+  return { todos, summary: summarizeTodos(todos), updatedAt, updates: snapshots.length };
+}
+
+/**
+ * Todos as workspace docs Tasks, tagged with the session they came from.
+ * @param {object[]} todos
+ * @param {string} sessionName
+ * @returns {Array<{ text: string, done: boolean }>}
+ */
+function todosAsTasks(todos, sessionName) {
+  return todos.map(todo => ({
+    text: sessionName ? `${todo.content} (${sessionName})` : todo.content,
+    done: todo.status === 'completed',
+  }));
+}
+
+module.exports = {
+  TODO_STATUSES,
+  MIRROR_TARGETS,
+  summarizeTodos,
+  buildTodoState,
+  todosAsTasks,
+};
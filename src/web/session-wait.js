@@ -0,0 +1,138 @@
+/**
+ * Wait-for-idle support for driving sessions from scripts.
+ *
+ * A session counts as idle once, after the `since` time:
+ *   - hooks report it (Stop -> done, or the idle Notification), when
+ *     Claude Code hooks are reporting for that session; otherwise
+ *   - its PTY output has been quiet for `quietMs` after producing output
+ * A pending permission prompt or the PTY exiting also ends the wait, since
+ * the session won't go idle on its own.
+ */
+
+const fs = require('fs');
+
+const POLL_MS = 250;
+const DEFAULT_QUIET_MS = 3000;
+// Enough of a transcript's end to hold its last few messages
+const TRANSCRIPT_TAIL_BYTES = 256 * 1024;
+
+/**
+ * Whether a session has gone idle (or otherwise stopped) since a given time.
+ * @param {string} sessionId
+ * @param {object} options - See waitForIdle()
+ * @returns {{ state: string, approval?: object }|null} Null while still working
+ */
+function idleState(sessionId, { since, quietMs = DEFAULT_QUIET_MS, ptyManager, hooks, approvals }) {
+  const pty = ptyManager.getSession(sessionId);
+  if (!pty || !pty.alive) return { state: 'exited' };
+  const approval = approvals.list().find(a => a.sessionId === sessionId);
+  if (approval) return { state: 'waiting-for-permission', approval };
+
+  const status = hooks.getStatus(sessionId);
+  if (status) {
+    const settled = status.state === 'done' || status.state === 'idle';
+    return settled && Date.parse(status.updatedAt) > since ? { state: status.state } : null;
+  }
+  // No hooks for this session: fall back to the output going quiet
+  if (pty.lastOutputAt && pty.lastOutputAt > since && Date.now() - pty.lastOutputAt >= quietMs) {
+    return { state: 'idle' };
+  }
+  return null;
+}
+
+/**
+ * Wait until a session next goes idle.
+ * @param {string} sessionId
+ * @param {object} options
+ * @param {number} options.since - Epoch ms; only idleness after this counts
+ * @param {number} options.timeoutMs - Give up after this long
+ * @param {number} [options.quietMs] - Output silence that counts as idle without hooks
+ * @param {import('./pty-manager').PtySessionManager} options.ptyManager
+ * @param {import('./hooks-bridge').HooksBridge} options.hooks
+ * @param {import('./approvals').ApprovalInbox} options.approvals
+ * @returns {{ promise: Promise<{ state: string, approval?: object }>, cancel: function(): void }}
+ *   state is done | idle | waiting-for-permission | exited | timeout (or cancelled)
+ */
+function waitForIdle(sessionId, options) {
+  const check = () => idleState(sessionId, options);
+
+  let timer = null;
+  let deadline = null;
+  let finish = null;
+  const promise = new Promise((resolve) => {
+    finish = (result) => {
+      clearInterval(timer);
+      clearTimeout(deadline);
+      resolve(result);
+    };
+    const immediate = check();
+    if (immediate) return finish(immediate);
+    timer = setInterval(() => {
+      const result = check();
+      if (result) finish(result);
+    }, POLL_MS);
+    deadline = setTimeout(() => finish({ state: 'timeout' }), options.timeoutMs);
+  });
+  return {
+    promise,
+    cancel: () => finish({ state: 'cancelled' }),
+  };
+}
+
+/**
+ * Read the last few hundred KB of a transcript as complete lines.
+ * @param {string} jsonlPath - Transcript (.jsonl) path
+ * @returns {string[]|null} Lines, oldest first; null if the file can't be read
+ */
+function readTranscriptTail(jsonlPath) {
+  let content;
+  try {
+    const size = fs.statSync(jsonlPath).size;
+    const start = Math.max(0, size - TRANSCRIPT_TAIL_BYTES);
+    const buf = Buffer.alloc(size - start);
+    const fd = fs.openSync(jsonlPath, 'r');
+    try {
+      fs.readSync(fd, buf, 0, buf.length, start);
+    } finally {
+      fs.closeSync(fd);
+    }
+    content = buf.toString('utf-8');
+    // Drop a partial first line if we started mid-file
+    if (start > 0) content = content.slice(content.indexOf('\n') + 1);
+  } catch (_) {
+    return null;
+  }
+  return content.split('\n');
+}
+
+/**
+ * The text of the last assistant message in a Claude transcript.
+ * @param {string} jsonlPath - Transcript (.jsonl) path
+ * @returns {{ text: string, timestamp: string|null }|null}
+ */
+function readFinalAssistantMessage(jsonlPath) {
+  const lines = readTranscriptTail(jsonlPath);
+  if (!lines) return null;
+
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (!lines[i].trim()) continue;
+    let entry;
+    try { entry = JSON.parse(lines[i]); } catch (_) { continue; }
+    const inner = entry.message || entry;
+    const role = entry.type || inner.role;
+    // A prompt from the user (not a tool result) means this turn had no text reply
+    if (role === 'user' && (typeof inner.content === 'string' ||
+        (Array.isArray(inner.content) && inner.content.some(b => b && b.type === 'text')))) return null;
+    if (role !== 'assistant' || !Array.isArray(inner.content)) continue;
+    const text = inner.content
+      .filter(b => b && b.type === 'text' && b.text)
+      .map(b => b.text)
+      .join('\n\n')
+      .trim();
+    // Tool-call-only messages have no text; keep looking back through the turn
+    if (text) return { text, timestamp: entry.timestamp || null };
+  }
+  return null;
+}
+
+module.exports = { waitForIdle, idleState, readFinalAssistantMessage, readTranscriptTail, DEFAULT_QUIET_MS };
@@ -0,0 +1,100 @@
+/**
+ * Read-only share links for PTY sessions.
+ *
+ * A share link carries a random token that grants viewer-only WebSocket
+ * access to one session until it expires or is revoked. Links are held in
+ * memory, so a server restart revokes them all.
+ *
+ * The link opens share.html, a standalone page with a single read-only
+ * terminal; the token is never accepted by the REST API.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_SHARE_TTL_MS = 60 * 60 * 1000;      // 1 hour
+const MAX_SHARE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 1 week
+
+class ShareLinks {
+  constructor() {
+    this._links = new Map(); // token -> { token, sessionId, label, createdAt, expiresAt }
+  }
+
+  /**
+   * Mint a share link for a session.
+   * @param {string} sessionId
+   * @param {object} [options]
+   * @param {number} [options.ttlMs] - Lifetime (capped at MAX_SHARE_TTL_MS)
+   * @param {string} [options.label] - Who the link is for; shown as the viewer's name
+   * @returns {{ token: string, sessionId: string, label: string, createdAt: string, expiresAt: string }}
+   */
+  create(sessionId, { ttlMs = DEFAULT_SHARE_TTL_MS, label = '' } = {}) {
+    this._prune();
+    const now = Date.now();
+    const lifetime = Math.max(60 * 1000, Math.min(Number(ttlMs) || DEFAULT_SHARE_TTL_MS, MAX_SHARE_TTL_MS));
+    const link = {
+      token: crypto.randomBytes(24).toString('base64url'),
+      sessionId,
+      label: String(label || '').slice(0, 60),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + lifetime).toISOString(),
+    };
+    this._links.set(link.token, link);
+    return { ...link };
+  }
+
+  /**
+   * Check a share token for a session.
+   * @param {string} token
+   * @param {string} sessionId
+   * @returns {object|null} The link if valid for this session and unexpired
+   */
+  verify(token, sessionId) {
+    const link = token ? this._links.get(token) : null;
+    if (!link) return null;
+    if (Date.parse(link.expiresAt) <= Date.now()) {
+      this._links.delete(token);
+      return null;
+    }
+    return link.sessionId === sessionId ? link : null;
+  }
+
+  /**
+   * List unexpired links, optionally for one session.
+   * @param {string} [sessionId]
+   * @returns {object[]}
+   */
+  list(sessionId = null) {
+    this._prune();
+    return [...this._links.values()]
+      .filter(l => !sessionId || l.sessionId === sessionId)
+      .map(l => ({ ...l }));
+  }
+
+  /**
+   * Revoke a link.
+   * @param {string} token
+   * @returns {object|null} The revoked link, or null if unknown
+   */
+  revoke(token) {
+    const link = this._links.get(token);
+    if (!link) return null;
+    this._links.delete(token);
+    return link;
+  }
+
+  _prune() {
+    const now = Date.now();
+    for (const [token, link] of this._links) {
+      if (Date.parse(link.expiresAt) <= now) this._links.delete(token);
+    }
+  }
+}
+
+// Singleton
+let instance = null;
+function getShareLinks() {
+  if (!instance) instance = new ShareLinks();
+  return instance;
+}
+
+module.exports = { ShareLinks, getShareLinks, DEFAULT_SHARE_TTL_MS, MAX_SHARE_TTL_MS };
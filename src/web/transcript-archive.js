@@ -0,0 +1,510 @@
+/**
+ * Compressed archive of Claude Code transcripts.
+ *
+ * ~/.claude/projects grows without bound: every session keeps its JSONL plus
+ * a companion directory (subagent transcripts, large tool results). Archiving
+ * moves a session's files into state/archive/<sessionId>/ and deletes the
+ * originals; restoring writes them back byte for byte (with their mtimes), so
+ * `claude --resume` works again.
+ *
+ * Each archived session is a directory holding:
+ *   - bundle.gz      every file of the session, compressed in CHUNK_BYTES
+ *                    gzip members (so `gunzip -c` prints them concatenated)
+ *   - text.jsonl.gz  the transcript index's text shard, for search
+ *   - files.jsonl.gz the transcript index's file shard, for file history
+ *   - manifest.json  where each file's chunks are, its size, mtime and
+ *                    SHA-1, plus the index metadata (usage by day and model,
+ *                    timestamps, title) that cost reports read
+ *
+ * The manifest is written last, so a directory without one is an
+ * interrupted archive and is ignored. Originals are only deleted once the
+ * bundle is written and they haven't changed while it was being read.
+ *
+ * Retention policies (selectForRetention) pick sessions whose last activity
+ * is older than a number of days, minus the ones the caller wants to keep.
+ * The outcome of the last policy run is kept in state/archive/policy-run.json
+ * so the daily schedule survives restarts.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { fileMatcher, fileEvents, summarizeFileEvents } = require('./transcript-index');
+
+const DEFAULT_ARCHIVE_DIR = path.join(__dirname, '..', '..', 'state', 'archive');
+const DEFAULT_PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
+const MANIFEST_VERSION = 1;
+// Files are compressed a chunk at a time so memory stays flat on huge transcripts
+const CHUNK_BYTES = 4 * 1024 * 1024;
+const SESSION_ID_RE = /^[A-Za-z0-9_-]+$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POLICY_RUN_FILE = 'policy-run.json';
+
+// Index fields kept in the manifest (everything cost reports and search need)
+const ENTRY_FIELDS = [
+  'sessionId', 'encodedName', 'name', 'firstUserText', 'firstTimestamp', 'lastTimestamp',
+  'messageCount', 'userMessageCount', 'assistantMessageCount', 'usage', 'peakInputTokens', 'size', 'mtimeMs',
+  'fileCallCount',
+];
+
+const DEFAULT_POLICY = {
+  enabled: false,
+  olderThanDays: 90,
+  keepOpenFeatures: true,     // Sessions linked to a feature that isn't done
+  keepWorkspaceSessions: false, // Sessions attached to any workspace
+};
+
+/**
+ * Validate a retention policy. Returns a normalized copy or an error message.
+ * @param {object} policy
+ * @returns {{ value?: object, error?: string }}
+ */
+function validatePolicy(policy) {
+  if (!policy || typeof policy !== 'object') return { error: 'Policy must be an object' };
+  const value = { ...DEFAULT_POLICY };
+  for (const key of ['enabled', 'keepOpenFeatures', 'keepWorkspaceSessions']) {
+    if (policy[key] === undefined) continue;
+    if (typeof policy[key] !== 'boolean') return { error: `"${key}" must be true or false` };
+    value[key] = policy[key];
+  }
+  if (policy.olderThanDays !== undefined) {
+    const days = policy.olderThanDays;
+    if (!Number.isInteger(days) || days < 1 || days > 3650) {
+      return { error: '"olderThanDays" must be a whole number of days between 1 and 3650' };
+    }
+    value.olderThanDays = days;
+  }
+  return { value };
+}
+
+/**
+ * When a transcript was last active: its last message or its mtime, whichever is later.
+ * @param {{ lastTimestamp?: string|null, mtimeMs?: number }} entry
+ * @returns {number} Epoch ms
+ */
+function lastActivity(entry) {
+  const ts = entry.lastTimestamp ? Date.parse(entry.lastTimestamp) : NaN;
+  return Math.max(isNaN(ts) ? 0 : ts, entry.mtimeMs || 0);
+}
+
+/**
+ * Pick the transcripts a retention policy would archive, oldest first.
+ * @param {object[]} entries - Transcript index entries
+ * @param {object} policy - Normalized policy (see validatePolicy)
+ * @param {object} [options]
+ * @param {Set<string>} [options.keep] - Session IDs never to archive
+ * @param {number} [options.now]
+ * @returns {object[]}
+ */
+function selectForRetention(entries, policy, { keep = new Set(), now = Date.now() } = {}) {
+  const cutoff = now - policy.olderThanDays * DAY_MS;
+  return entries
+    .filter(entry => !keep.has(entry.sessionId) && lastActivity(entry) < cutoff)
+    .sort((a, b) => lastActivity(a) - lastActivity(b));
+}
+
+/**
+ * Every file under a directory, relative to `base`.
+ * @param {string} dir
+ * @param {string} base
+ * @returns {string[]}
+ */
+function listFilesUnder(dir, base) {
+  let dirents;
+  try { dirents = fs.readdirSync(dir, { withFileTypes: true }); } catch (_) { return []; }
+  const files = [];
+  for (const d of dirents) {
+    const full = path.join(dir, d.name);
+    if (d.isDirectory()) files.push(...listFilesUnder(full, base));
+    else if (d.isFile()) files.push(path.relative(base, full));
+  }
+  return files;
+}
+
+class TranscriptArchive {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.archiveDir] - Where bundles live (default state/archive)
+   * @param {string} [options.projectsDir] - Root of Claude transcripts (default ~/.claude/projects)
+   */
+  constructor({ archiveDir = DEFAULT_ARCHIVE_DIR, projectsDir = DEFAULT_PROJECTS_DIR } = {}) {
+    this.archiveDir = archiveDir;
+    this.projectsDir = projectsDir;
+    this._manifests = null; // sessionId -> manifest
+    this._policyRun = undefined; // Last policy run, read lazily
+  }
+
+  _load() {
+    if (this._manifests) return;
+    this._manifests = new Map();
+    let names = [];
+    try { names = fs.readdirSync(this.archiveDir); } catch (_) {}
+    for (const name of names) {
+      if (!SESSION_ID_RE.test(name)) continue;
+      try {
+        const manifest = JSON.parse(fs.readFileSync(path.join(this.archiveDir, name, 'manifest.json'), 'utf-8'));
+        if (manifest.version === MANIFEST_VERSION && manifest.sessionId === name) this._manifests.set(name, manifest);
+      } catch (_) {
+        // No manifest: an interrupted archive, ignored
+      }
+    }
+  }
+
+  /**
+   * All archived sessions, most recently active first.
+   * @returns {object[]} Manifests
+   */
+  list() {
+    this._load();
+    return [...this._manifests.values()].sort((a, b) => lastActivity(b) - lastActivity(a));
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {object|null} The session's manifest
+   */
+  get(sessionId) {
+    this._load();
+    return this._manifests.get(sessionId) || null;
+  }
+
+  /**
+   * Totals across the archive.
+   * @returns {{ sessions: number, originalBytes: number, archivedBytes: number }}
+   */
+  stats() {
+    const totals = { sessions: 0, originalBytes: 0, archivedBytes: 0 };
+    for (const m of this.list()) {
+      totals.sessions++;
+      totals.originalBytes += m.originalBytes;
+      totals.archivedBytes += m.archivedBytes;
+    }
+    return totals;
+  }
+
+  /**
+   * Result of the last retention policy run.
+   * @returns {{ at: string, archived: number, skipped: number, freedBytes: number }|null}
+   */
+  lastPolicyRun() {
+    if (this._policyRun === undefined) {
+      try {
+        this._policyRun = JSON.parse(fs.readFileSync(path.join(this.archiveDir, POLICY_RUN_FILE), 'utf-8'));
+      } catch (_) {
+        this._policyRun = null;
+      }
+    }
+    return this._policyRun;
+  }
+
+  /**
+   * Save the result of a retention policy run.
+   * @param {{ at: string, archived: number, skipped: number, freedBytes: number }} run
+   */
+  recordPolicyRun(run) {
+    this._policyRun = run;
+    fs.mkdirSync(this.archiveDir, { recursive: true });
+    const tmpFile = path.join(this.archiveDir, POLICY_RUN_FILE + '.tmp');
+    fs.writeFileSync(tmpFile, JSON.stringify(run, null, 2), 'utf-8');
+    fs.renameSync(tmpFile, path.join(this.archiveDir, POLICY_RUN_FILE));
+  }
+
+  /**
+   * Archive one session: compress its JSONL and companion directory, then
+   * delete them from the projects directory.
+   * @param {object} entry - Transcript index entry (filePath, sessionId, encodedName, usage, ...)
+   * @param {object} [options]
+   * @param {object[]} [options.text] - The entry's text shard records (kept for search)
+   * @param {object[]} [options.files] - The entry's file shard records (kept for file history)
+   * @param {{ realPath: string, projectName: string }} [options.project]
+   * @param {string} [options.reason] - Why it was archived ("manual", "policy")
+   * @returns {object} The manifest
+   */
+  archiveSession(entry, { text = [], files: fileRecords = [], project = null, reason = 'manual' } = {}) {
+    this._load();
+    const sessionId = entry.sessionId;
+    if (!SESSION_ID_RE.test(sessionId || '')) throw new Error('Invalid session ID');
+    if (this._manifests.has(sessionId)) throw new Error('Session is already archived');
+
+    const projectDir = path.dirname(entry.filePath);
+    const relPaths = [path.basename(entry.filePath), ...listFilesUnder(path.join(projectDir, sessionId), projectDir)];
+    const dir = path.join(this.archiveDir, sessionId);
+    fs.rmSync(dir, { recursive: true, force: true }); // Leftovers of an interrupted archive
+    fs.mkdirSync(dir, { recursive: true });
+
+    const files = [];
+    let written = 0;
+    const bundleFd = fs.openSync(path.join(dir, 'bundle.gz'), 'w');
+    try {
+      for (const rel of relPaths) {
+        const full = path.join(projectDir, rel);
+        const stat = fs.statSync(full);
+        const hash = crypto.createHash('sha1');
+        const chunks = [];
+        const fd = fs.openSync(full, 'r');
+        try {
+          const buf = Buffer.alloc(CHUNK_BYTES);
+          let pos = 0;
+          while (pos < stat.size) {
+            const bytesRead = fs.readSync(fd, buf, 0, Math.min(CHUNK_BYTES, stat.size - pos), pos);
+            if (bytesRead <= 0) break;
+            const data = buf.subarray(0, bytesRead);
+            hash.update(data);
+            const gz = zlib.gzipSync(data);
+            fs.writeSync(bundleFd, gz);
+            chunks.push({ offset: written, length: gz.length, size: bytesRead });
+            written += gz.length;
+            pos += bytesRead;
+          }
+        } finally {
+          fs.closeSync(fd);
+        }
+        files.push({ path: rel.split(path.sep).join('/'), size: stat.size, mtimeMs: stat.mtimeMs, sha1: hash.digest('hex'), chunks });
+      }
+    } catch (err) {
+      fs.closeSync(bundleFd);
+      fs.rmSync(dir, { recursive: true, force: true });
+      throw err;
+    }
+    fs.closeSync(bundleFd);
+
+    // A file that changed while it was read is in use: keep it where it is
+    for (const file of files) {
+      const stat = fs.statSync(path.join(projectDir, file.path));
+      if (stat.size !== file.size || stat.mtimeMs !== file.mtimeMs) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        throw new Error('Transcript changed while archiving (session in use?)');
+      }
+    }
+
+    const textGz = zlib.gzipSync(text.map(rec => JSON.stringify(rec) + '\n').join(''));
+    fs.writeFileSync(path.join(dir, 'text.jsonl.gz'), textGz);
+    const filesGz = zlib.gzipSync(fileRecords.map(rec => JSON.stringify(rec) + '\n').join(''));
+    fs.writeFileSync(path.join(dir, 'files.jsonl.gz'), filesGz);
+
+    const manifest = {
+      version: MANIFEST_VERSION,
+      ...Object.fromEntries(ENTRY_FIELDS.map(key => [key, entry[key] === undefined ? null : entry[key]])),
+      projectPath: project ? project.realPath : entry.encodedName,
+      projectName: project ? project.projectName : entry.encodedName,
+      archivedAt: new Date().toISOString(),
+      reason,
+      originalBytes: files.reduce((sum, f) => sum + f.size, 0),
+      archivedBytes: written + textGz.length + filesGz.length,
+      files,
+    };
+    const tmpFile = path.join(dir, 'manifest.json.tmp');
+    fs.writeFileSync(tmpFile, JSON.stringify(manifest, null, 2), 'utf-8');
+    fs.renameSync(tmpFile, path.join(dir, 'manifest.json'));
+    this._manifests.set(sessionId, manifest);
+
+    fs.unlinkSync(entry.filePath);
+    fs.rmSync(path.join(projectDir, sessionId), { recursive: true, force: true });
+    return manifest;
+  }
+
+  /**
+   * Restore an archived session to the projects directory and remove it
+   * from the archive. Every file is checked against its SHA-1 first.
+   * @param {string} sessionId
+   * @returns {{ filePath: string, files: number, bytes: number }} filePath is the restored JSONL
+   */
+  restoreSession(sessionId) {
+    const manifest = this.get(sessionId);
+    if (!manifest) throw new Error('Session is not archived');
+    const dir = path.join(this.archiveDir, sessionId);
+    const projectDir = path.join(this.projectsDir, manifest.encodedName);
+
+    const targets = manifest.files.map(file => {
+      const target = path.resolve(projectDir, file.path);
+      if (!target.startsWith(path.resolve(projectDir) + path.sep)) throw new Error(`Invalid path in manifest: ${file.path}`);
+      return target;
+    });
+    const filePath = targets[0];
+    if (fs.existsSync(filePath)) throw new Error('A transcript with this session ID already exists');
+
+    const bundleFd = fs.openSync(path.join(dir, 'bundle.gz'), 'r');
+    const written = [];
+    try {
+      manifest.files.forEach((file, i) => {
+        const tmp = targets[i] + '.restoring';
+        fs.mkdirSync(path.dirname(tmp), { recursive: true });
+        const hash = crypto.createHash('sha1');
+        const out = fs.openSync(tmp, 'w');
+        written.push(tmp);
+        try {
+          for (const chunk of file.chunks) {
+            const gz = Buffer.alloc(chunk.length);
+            fs.readSync(bundleFd, gz, 0, chunk.length, chunk.offset);
+            const data = zlib.gunzipSync(gz);
+            hash.update(data);
+            fs.writeSync(out, data);
+          }
+        } finally {
+          fs.closeSync(out);
+        }
+        if (hash.digest('hex') !== file.sha1) throw new Error(`Archive is corrupt: ${file.path} does not match its checksum`);
+      });
+    } catch (err) {
+      for (const tmp of written) fs.rmSync(tmp, { force: true });
+      throw err;
+    } finally {
+      fs.closeSync(bundleFd);
+    }
+
+    manifest.files.forEach((file, i) => {
+      fs.renameSync(targets[i] + '.restoring', targets[i]);
+      const mtime = new Date(file.mtimeMs);
+      fs.utimesSync(targets[i], mtime, mtime);
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+    this._manifests.delete(sessionId);
+    return { filePath, files: manifest.files.length, bytes: manifest.originalBytes };
+  }
+
+  /**
+   * The text shard records kept for an archived session.
+   * @param {string} sessionId
+   * @returns {Array<{ l: number, t: string|null, r: string, x: string }>}
+   */
+  readText(sessionId) {
+    return this._readRecords(sessionId, 'text.jsonl.gz');
+  }
+
+  /**
+   * The file shard records kept for an archived session.
+   * @param {string} sessionId
+   * @returns {object[]}
+   */
+  readFileRecords(sessionId) {
+    return this._readRecords(sessionId, 'files.jsonl.gz');
+  }
+
+  /**
+   * Parse one of a session's gzipped JSONL record files.
+   * @param {string} sessionId
+   * @param {string} name - File name in the session's archive directory
+   * @returns {object[]}
+   */
+  _readRecords(sessionId, name) {
+    let raw;
+    try {
+      raw = zlib.gunzipSync(fs.readFileSync(path.join(this.archiveDir, sessionId, name))).toString('utf-8');
+    } catch (_) {
+      return [];
+    }
+    const records = [];
+    for (const line of raw.split('\n')) {
+      if (!line) continue;
+      try { records.push(JSON.parse(line)); } catch (_) {}
+    }
+    return records;
+  }
+
+  /**
+   * Case-insensitive substring search across archived message text, in the
+   * shape of TranscriptIndex.search results plus `archived: true`.
+   * @param {string} query
+   * @param {object} [options]
+   * @param {number} [options.limit=20]
+   * @param {number} [options.timeoutMs=5000]
+   * @returns {{ results: object[], totalMatches: number, searchedFiles: number, timedOut: boolean }}
+   */
+  search(query, { limit = 20, timeoutMs = 5000 } = {}) {
+    const needle = query.toLowerCase();
+    const start = Date.now();
+    const results = [];
+    let totalMatches = 0;
+    let searchedFiles = 0;
+    let timedOut = false;
+
+    for (const manifest of this.list()) {
+      if (Date.now() - start > timeoutMs) {
+        timedOut = true;
+        break;
+      }
+      searchedFiles++;
+      for (const rec of this.readText(manifest.sessionId)) {
+        const matchIndex = rec.x.toLowerCase().indexOf(needle);
+        if (matchIndex === -1) continue;
+        totalMatches++;
+        if (results.length >= limit) continue;
+
+        const snippetStart = Math.max(0, matchIndex - 100);
+        const snippetEnd = Math.min(rec.x.length, matchIndex + needle.length + 100);
+        let snippet = rec.x.substring(snippetStart, snippetEnd).replace(/\s+/g, ' ').trim();
+        if (snippetStart > 0) snippet = '...' + snippet;
+        if (snippetEnd < rec.x.length) snippet = snippet + '...';
+
+        results.push({
+          sessionId: manifest.sessionId,
+          sessionName: manifest.name || manifest.sessionId,
+          projectPath: manifest.projectPath,
+          projectName: manifest.projectName,
+          timestamp: rec.t,
+          role: rec.r,
+          snippet,
+          lineNumber: rec.l,
+          archived: true,
+        });
+      }
+    }
+    return { results, totalMatches, searchedFiles, timedOut };
+  }
+
+  /**
+   * Archived sessions that read or changed a file, in the shape of
+   * TranscriptIndex.fileHistory results plus `archived: true`.
+   * @param {string} query - Absolute path or path suffix
+   * @param {object} [options]
+   * @param {string} [options.since]
+   * @param {string} [options.until]
+   * @param {number} [options.timeoutMs=5000]
+   * @returns {{ results: object[], files: string[], timedOut: boolean }}
+   */
+  fileHistory(query, { since = null, until = null, timeoutMs = 5000 } = {}) {
+    const matches = fileMatcher(query);
+    const start = Date.now();
+    const results = [];
+    const files = new Set();
+    let timedOut = false;
+
+    for (const manifest of this.list()) {
+      if (!manifest.fileCallCount) continue;
+      if (Date.now() - start > timeoutMs) {
+        timedOut = true;
+        break;
+      }
+      const events = fileEvents(this.readFileRecords(manifest.sessionId), matches, { since, until });
+      if (events.length === 0) continue;
+      for (const event of events) files.add(event.file);
+      results.push({
+        sessionId: manifest.sessionId,
+        sessionName: manifest.name || manifest.sessionId,
+        projectPath: manifest.projectPath,
+        projectName: manifest.projectName,
+        ...summarizeFileEvents(events),
+        archived: true,
+      });
+    }
+    return { results, files: [...files], timedOut };
+  }
+}
+
+// Singleton
+let instance = null;
+function getTranscriptArchive() {
+  if (!instance) instance = new TranscriptArchive();
+  return instance;
+}
+
+module.exports = {
+  TranscriptArchive,
+  getTranscriptArchive,
+  validatePolicy,
+  selectForRetention,
+  lastActivity,
+  DEFAULT_POLICY,
+};
@@ -0,0 +1,908 @@
+/**
+ * Transcript Index for Claude Workspace Manager.
+ *
+ * Maintains a persistent, incrementally-built index of every Claude Code
+ * JSONL transcript under ~/.claude/projects/. For each file the index
+ * remembers the byte offset it has parsed up to along with the size and
+ * mtime it last saw, so a refresh only reads lines appended since the
+ * previous pass instead of re-reading whole files.
+ *
+ * Per transcript the index keeps:
+ *   - file metadata (session ID, project, size, mtime) for discovery and
+ *     session-to-file resolution
+ *   - token usage bucketed by UTC day and model, for cost lookups
+ *   - a sampled context-size timeline for the quota views
+ *   - a "text shard" (state/transcript-index/text/<hash>.jsonl) holding only
+ *     user/assistant text, which search reads instead of the raw JSONL
+ *   - a "file shard" (state/transcript-index/files/<hash>.jsonl) with every
+ *     Read, Edit, MultiEdit, Write and NotebookEdit call (path, line, time,
+ *     clipped edit strings) and which of them failed, for file history
+ *
+ * Metadata is persisted to state/transcript-index/index.json. The reverse
+ * map from files to transcripts is built from the file shards on first use.
+ *
+ * Usage:
+ *   const { TranscriptIndex } = require('./transcript-index');
+ *   const index = new TranscriptIndex({ decodePath: decodeClaudePath });
+ *   index.refresh({ budgetMs: 2000 });
+ *   index.findFile(claudeSessionId);
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeFile, fileKey } = require('./file-attribution');
+
+const INDEX_VERSION = 2;
+const DEFAULT_PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
+const DEFAULT_INDEX_DIR = path.join(__dirname, '..', '..', 'state', 'transcript-index');
+
+// Read transcripts in chunks so one huge file can't block the event loop for long
+const READ_CHUNK_BYTES = 4 * 1024 * 1024; // 4MB
+// Max context samples kept per file; halved (every other sample) when exceeded
+const MAX_CONTEXT_SAMPLES = 200;
+// Minimum time between implicit refreshes triggered by lookups
+const MIN_REFRESH_INTERVAL_MS = 5000;
+
+// File tools recorded in file shards: name -> [operation, input field naming the file]
+const FILE_TOOLS = {
+  Read: ['read', 'file_path'],
+  NotebookRead: ['read', 'notebook_path'],
+  Edit: ['edit', 'file_path'],
+  MultiEdit: ['edit', 'file_path'],
+  NotebookEdit: ['edit', 'notebook_path'],
+  Write: ['write', 'file_path'],
+};
+const MAX_SNIPPET_CHARS = 300;   // Per old/new string in a file shard
+const MAX_SNIPPET_EDITS = 5;     // MultiEdit edits kept per call
+const MAX_OPEN_FILE_CALLS = 50;  // File calls awaiting their result, per transcript
+
+/**
+ * Extract the plain text of a JSONL entry's message content.
+ * @param {*} content - message.content (string or array of blocks)
+ * @returns {string}
+ */
+function extractText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.filter(b => b && b.type === 'text' && b.text).map(b => b.text).join('');
+  }
+  return '';
+}
+
+/**
+ * Cut a string for a file shard.
+ * @param {*} text
+ * @returns {string}
+ */
+function clipSnippet(text) {
+  if (typeof text !== 'string') return '';
+  return text.length > MAX_SNIPPET_CHARS ? text.slice(0, MAX_SNIPPET_CHARS) + '…' : text;
+}
+
+/**
+ * File shard record for one file tool call, or null for other tools.
+ * @param {object} block - tool_use block
+ * @param {number} lineNo
+ * @param {string|null} ts
+ * @param {string|null} cwd
+ * @returns {object|null} { l, t, o, tool, f, id, d?: [{ o, n }], r?: { offset, limit } }
+ */
+function fileRecord(block, lineNo, ts, cwd) {
+  const spec = FILE_TOOLS[block.name];
+  const input = block.input || {};
+  if (!spec || typeof input[spec[1]] !== 'string' || !input[spec[1]]) return null;
+  const rec = { l: lineNo, t: ts, o: spec[0], tool: block.name, f: normalizeFile(input[spec[1]], cwd), id: block.id || null };
+  if (block.name === 'Edit') {
+    rec.d = [{ o: clipSnippet(input.old_string), n: clipSnippet(input.new_string) }];
+  } else if (block.name === 'MultiEdit' && Array.isArray(input.edits)) {
+    rec.d = input.edits.slice(0, MAX_SNIPPET_EDITS).map(e => ({ o: clipSnippet(e && e.old_string), n: clipSnippet(e && e.new_string) }));
+  } else if (block.name === 'Write') {
+    rec.d = [{ o: '', n: clipSnippet(input.content) }];
+  } else if (block.name === 'NotebookEdit') {
+    rec.d = [{ o: '', n: clipSnippet(input.new_source) }];
+  } else if (spec[0] === 'read' && (input.offset || input.limit)) {
+    rec.r = { offset: input.offset || null, limit: input.limit || null };
+  }
+  return rec;
+}
+
+/**
+ * Predicate for a file history query. An absolute path matches exactly;
+ * anything else matches as a path suffix ("src/web/server.js").
+ * @param {string} query
+ * @returns {function(string): boolean}
+ */
+function fileMatcher(query) {
+  const wanted = normalizeFile(query.trim(), null).replace(/^\.\//, '');
+  if (/^([A-Za-z]:)?\//.test(wanted)) {
+    const key = fileKey(wanted);
+    return (file) => fileKey(file) === key;
+  }
+  return (file) => {
+    const key = fileKey(file);
+    const suffix = key === file ? wanted : wanted.toLowerCase();
+    return key === suffix || key.endsWith('/' + suffix);
+  };
+}
+
+/**
+ * Fold one transcript's file shard records into the events for the files a
+ * matcher accepts, dropping calls that failed.
+ * @param {object[]} records - File shard records, in transcript order
+ * @param {function(string): boolean} matches
+ * @param {object} [options]
+ * @param {string} [options.since] - ISO time; earlier events are left out
+ * @param {string} [options.until] - ISO time; later events are left out
+ * @returns {Array<{ line: number, at: string|null, op: string, tool: string, file: string,
+ *   edits?: Array<{ old: string, new: string }>, range?: object }>}
+ */
+function fileEvents(records, matches, { since = null, until = null } = {}) {
+  const failed = new Set(records.filter(rec => rec.e).map(rec => rec.e));
+  const events = [];
+  for (const rec of records) {
+    if (!rec.f || (rec.id && failed.has(rec.id)) || !matches(rec.f)) continue;
+    if ((since && (!rec.t || rec.t < since)) || (until && rec.t && rec.t > until)) continue;
+    const event = { line: rec.l, at: rec.t, op: rec.o, tool: rec.tool, file: rec.f };
+    if (rec.d) event.edits = rec.d.map(d => ({ old: d.o, new: d.n }));
+    if (rec.r) event.range = rec.r;
+    events.push(event);
+  }
+  return events;
+}
+
+/**
+ * Counts and time span of one session's events on a file.
+ * @param {object[]} events - From fileEvents()
+ * @returns {{ reads: number, edits: number, firstAt: string|null, lastAt: string|null, events: object[] }}
+ */
+function summarizeFileEvents(events) {
+  const times = events.map(e => e.at).filter(Boolean).sort();
+  return {
+    reads: events.filter(e => e.op === 'read').length,
+    edits: events.filter(e => e.op !== 'read').length,
+    firstAt: times[0] || null,
+    lastAt: times[times.length - 1] || null,
+    events,
+  };
+}
+
+/**
+ * Get the UTC day key (YYYY-MM-DD) for an ISO timestamp.
+ * @param {string|null} ts
+ * @param {number} fallbackMs - Used when the entry has no timestamp
+ * @returns {string}
+ */
+function dayKey(ts, fallbackMs) {
+  const d = ts ? new Date(ts) : new Date(fallbackMs);
+  if (isNaN(d.getTime())) return new Date(fallbackMs).toISOString().slice(0, 10);
+  return d.toISOString().slice(0, 10);
+}
+
+class TranscriptIndex {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.projectsDir] - Root of Claude transcripts (default ~/.claude/projects)
+   * @param {string} [options.indexDir] - Where the index is persisted (default state/transcript-index)
+   * @param {function(string): string} [options.decodePath] - Maps an encoded project dir name to a real path
+   */
+  constructor({ projectsDir = DEFAULT_PROJECTS_DIR, indexDir = DEFAULT_INDEX_DIR, decodePath = (name) => name } = {}) {
+    this.projectsDir = projectsDir;
+    this.indexDir = indexDir;
+    this.textDir = path.join(indexDir, 'text');
+    this.filesDir = path.join(indexDir, 'files');
+    this.indexFile = path.join(indexDir, 'index.json');
+    this.decodePath = decodePath;
+
+    this._files = {};      // filePath -> entry
+    this._projects = {};   // encodedName -> { realPath, projectName }
+    this._bySession = new Map(); // sessionId -> filePath
+    this._fileMap = null;        // file key -> Set of transcript paths (built on first file lookup)
+    this._loaded = false;
+    this._dirty = false;
+    this._lastRefresh = 0;
+  }
+
+  // ─── Persistence ─────────────────────────────────────────
+
+  /**
+   * Load the persisted index from disk. A missing, corrupt, or
+   * older-version index is discarded and rebuilt on the next refresh.
+   */
+  load() {
+    this._loaded = true;
+    try {
+      if (!fs.existsSync(this.indexFile)) return this;
+      const parsed = JSON.parse(fs.readFileSync(this.indexFile, 'utf-8'));
+      if (!parsed || parsed.version !== INDEX_VERSION) {
+        this._resetShards();
+        return this;
+      }
+      this._files = parsed.files || {};
+      this._projects = parsed.projects || {};
+      this._rebuildSessionMap();
+    } catch (_) {
+      // Corrupt index: start over
+      this._files = {};
+      this._projects = {};
+      this._resetShards();
+    }
+    return this;
+  }
+
+  /**
+   * Persist the index metadata if anything changed since the last save.
+   * Uses write-to-temp-then-rename so a crash can't leave a torn file.
+   */
+  save() {
+    if (!this._dirty) return;
+    try {
+      if (!fs.existsSync(this.indexDir)) fs.mkdirSync(this.indexDir, { recursive: true });
+      const tmpFile = this.indexFile + '.tmp';
+      const payload = { version: INDEX_VERSION, savedAt: new Date().toISOString(), projects: this._projects, files: this._files };
+      fs.writeFileSync(tmpFile, JSON.stringify(payload), 'utf-8');
+      fs.renameSync(tmpFile, this.indexFile);
+      this._dirty = false;
+    } catch (err) {
+      console.error('[Index] Failed to save transcript index:', err.message);
+    }
+  }
+
+  _resetShards() {
+    for (const dir of [this.textDir, this.filesDir]) {
+      try {
+        if (fs.existsSync(dir)) {
+          for (const f of fs.readdirSync(dir)) {
+            try { fs.unlinkSync(path.join(dir, f)); } catch (_) {}
+          }
+        }
+      } catch (_) {}
+    }
+  }
+
+  _rebuildSessionMap() {
+    this._bySession.clear();
+    // Newest file wins if a session UUID appears in more than one project
+    const entries = Object.values(this._files).sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const entry of entries) {
+      this._bySession.set(entry.sessionId, entry.filePath);
+    }
+  }
+
+  _ensureLoaded() {
+    if (!this._loaded) this.load();
+  }
+
+  // ─── Refresh ─────────────────────────────────────────────
+
+  /**
+   * Scan the projects directory and parse any newly appended lines.
+   * Files that shrank (rewritten) are re-parsed from the start; files that
+   * disappeared are dropped along with their text shards.
+   *
+   * @param {object} [options]
+   * @param {number} [options.budgetMs=Infinity] - Stop parsing new data once this much time has elapsed
+   * @returns {{ changed: number, removed: number, pending: number, durationMs: number }}
+   */
+  refresh({ budgetMs = Infinity } = {}) {
+    this._ensureLoaded();
+    const start = Date.now();
+    let changed = 0;
+    let removed = 0;
+    let pending = 0;
+
+    const seen = new Set();
+    const seenProjects = new Set();
+    let projectEntries = [];
+    try {
+      if (fs.existsSync(this.projectsDir)) {
+        projectEntries = fs.readdirSync(this.projectsDir, { withFileTypes: true }).filter(d => d.isDirectory());
+      }
+    } catch (_) {
+      projectEntries = [];
+    }
+
+    for (const dir of projectEntries) {
+      seenProjects.add(dir.name);
+      if (!this._projects[dir.name]) {
+        const realPath = this.decodePath(dir.name);
+        const projectName = realPath.split('\\').pop() || realPath.split('/').pop() || dir.name;
+        this._projects[dir.name] = { realPath, projectName };
+        this._dirty = true;
+      }
+
+      const projectDir = path.join(this.projectsDir, dir.name);
+      let names;
+      try {
+        names = fs.readdirSync(projectDir).filter(f => f.endsWith('.jsonl'));
+      } catch (_) {
+        continue;
+      }
+
+      for (const name of names) {
+        const filePath = path.join(projectDir, name);
+        seen.add(filePath);
+        const result = this._refreshFile(filePath, dir.name, start, budgetMs);
+        if (result === 'changed' || result === 'partial') changed++;
+        if (result === 'partial' || result === 'deferred') pending++;
+      }
+    }
+
+    // Drop entries for files that no longer exist
+    for (const filePath of Object.keys(this._files)) {
+      if (seen.has(filePath)) continue;
+      this._removeShard(this._files[filePath]);
+      delete this._files[filePath];
+      removed++;
+      this._dirty = true;
+    }
+    for (const encodedName of Object.keys(this._projects)) {
+      if (!seenProjects.has(encodedName)) {
+        delete this._projects[encodedName];
+        this._dirty = true;
+      }
+    }
+    if (removed > 0) this._rebuildSessionMap();
+
+    this._lastRefresh = Date.now();
+    this.save();
+    return { changed, removed, pending, durationMs: Date.now() - start };
+  }
+
+  /**
+   * Refresh only if the last refresh is older than MIN_REFRESH_INTERVAL_MS.
+   * Lookups call this so bursts of requests share one scan.
+   * @param {number} [budgetMs=2000]
+   */
+  refreshIfStale(budgetMs = 2000) {
+    this._ensureLoaded();
+    if (Date.now() - this._lastRefresh < MIN_REFRESH_INTERVAL_MS) return;
+    this.refresh({ budgetMs });
+  }
+
+  /**
+   * Index a single transcript immediately, e.g. one that was just created
+   * and hasn't been picked up by a scan yet.
+   * @param {string} filePath - Absolute path to a .jsonl file under projectsDir
+   * @returns {object|null} The updated index entry, or null if the file is unreadable
+   */
+  refreshFile(filePath) {
+    this._ensureLoaded();
+    const encodedName = path.basename(path.dirname(filePath));
+    if (!this._projects[encodedName]) {
+      const realPath = this.decodePath(encodedName);
+      this._projects[encodedName] = { realPath, projectName: realPath.split('\\').pop() || realPath.split('/').pop() || encodedName };
+      this._dirty = true;
+    }
+    this._refreshFile(filePath, encodedName, Date.now(), Infinity);
+    this.save();
+    return this._files[filePath] || null;
+  }
+
+  /**
+   * Drop a transcript from the index right away, e.g. one that was just
+   * archived, instead of waiting for a scan to notice it's gone.
+   * @param {string} filePath
+   */
+  forgetFile(filePath) {
+    this._ensureLoaded();
+    const entry = this._files[filePath];
+    if (!entry) return;
+    this._removeShard(entry);
+    delete this._files[filePath];
+    this._rebuildSessionMap();
+    this._dirty = true;
+    this.save();
+  }
+
+  /**
+   * Bring one file's entry up to date.
+   * @returns {'unchanged'|'changed'|'partial'|'deferred'|'missing'}
+   */
+  _refreshFile(filePath, encodedName, start, budgetMs) {
+    let stat;
+    try { stat = fs.statSync(filePath); } catch (_) { return 'missing'; }
+
+    let entry = this._files[filePath];
+    if (entry && entry.size === stat.size && entry.mtimeMs === stat.mtimeMs &&
+        (entry.offset >= stat.size || entry.partialOffset === stat.size)) {
+      return 'unchanged'; // Fully parsed (or only a partial trailing line remains)
+    }
+
+    if (Date.now() - start > budgetMs) return 'deferred';
+
+    if (!entry || stat.size < entry.offset) {
+      // New file, or the file was truncated/rewritten: parse from scratch
+      if (entry) this._removeShard(entry);
+      entry = this._newEntry(filePath, encodedName, path.basename(filePath, '.jsonl'));
+      this._files[filePath] = entry;
+      this._bySession.set(entry.sessionId, filePath);
+    }
+
+    entry.size = stat.size;
+    entry.mtimeMs = stat.mtimeMs;
+    this._parseAppended(entry, start, budgetMs);
+    this._dirty = true;
+    return (entry.offset < entry.size && entry.partialOffset !== entry.size) ? 'partial' : 'changed';
+  }
+
+  _newEntry(filePath, encodedName, sessionId) {
+    return {
+      filePath,
+      sessionId,
+      encodedName,
+      size: 0,
+      mtimeMs: 0,
+      offset: 0,
+      partialOffset: null,
+      lineCount: 0,
+      name: null,
+      firstUserText: null,
+      firstTimestamp: null,
+      lastTimestamp: null,
+      messageCount: 0,
+      userMessageCount: 0,
+      assistantMessageCount: 0,
+      usage: {},
+      latestInputTokens: 0,
+      peakInputTokens: 0,
+      contextSamples: [],
+      sampleStride: 1,
+      fileCallCount: 0,
+      openFileCalls: [],
+      shard: crypto.createHash('sha1').update(filePath).digest('hex').slice(0, 20) + '.jsonl',
+    };
+  }
+
+  _removeShard(entry) {
+    try { fs.unlinkSync(path.join(this.textDir, entry.shard)); } catch (_) {}
+    try { fs.unlinkSync(path.join(this.filesDir, entry.shard)); } catch (_) {}
+  }
+
+  /**
+   * Read and apply complete lines from entry.offset to the end of the file.
+   * A trailing line without a newline is left for the next pass, since
+   * Claude Code may still be writing it.
+   */
+  _parseAppended(entry, start, budgetMs) {
+    let fd;
+    const shardLines = [];
+    const fileLines = [];
+    try {
+      fd = fs.openSync(entry.filePath, 'r');
+      let chunkSize = READ_CHUNK_BYTES;
+      while (entry.offset < entry.size) {
+        const want = Math.min(chunkSize, entry.size - entry.offset);
+        const buf = Buffer.alloc(want);
+        const bytesRead = fs.readSync(fd, buf, 0, want, entry.offset);
+        if (bytesRead <= 0) break;
+
+        const lastNewline = buf.lastIndexOf(0x0a, bytesRead - 1);
+        if (lastNewline === -1) {
+          if (entry.offset + bytesRead >= entry.size) {
+            // Trailing partial line: remember where we stopped and wait for more data
+            entry.partialOffset = entry.size;
+            break;
+          }
+          chunkSize *= 2; // A single line longer than the chunk: read more
+          continue;
+        }
+
+        const text = buf.toString('utf-8', 0, lastNewline + 1);
+        const lines = text.split('\n');
+        lines.pop(); // Empty string after the final newline
+        for (const line of lines) {
+          entry.lineCount++;
+          this._applyLine(entry, line, entry.lineCount, shardLines, fileLines);
+        }
+        entry.offset += lastNewline + 1;
+        entry.partialOffset = null;
+        chunkSize = READ_CHUNK_BYTES;
+
+        if (Date.now() - start > budgetMs) break;
+      }
+    } catch (_) {
+      // Unreadable file: keep whatever was parsed so far
+    } finally {
+      if (fd !== undefined) fs.closeSync(fd);
+    }
+
+    if (shardLines.length > 0) {
+      try {
+        if (!fs.existsSync(this.textDir)) fs.mkdirSync(this.textDir, { recursive: true });
+        fs.appendFileSync(path.join(this.textDir, entry.shard), shardLines.join('\n') + '\n', 'utf-8');
+      } catch (err) {
+        console.error('[Index] Failed to write text shard:', err.message);
+      }
+    }
+    if (fileLines.length > 0) {
+      try {
+        if (!fs.existsSync(this.filesDir)) fs.mkdirSync(this.filesDir, { recursive: true });
+        fs.appendFileSync(path.join(this.filesDir, entry.shard), fileLines.map(rec => JSON.stringify(rec)).join('\n') + '\n', 'utf-8');
+      } catch (err) {
+        console.error('[Index] Failed to write file shard:', err.message);
+      }
+      if (this._fileMap) this._mapFiles(entry.filePath, fileLines);
+    }
+  }
+
+  /**
+   * Fold one JSONL line into an index entry.
+   * @param {object} entry - Index entry being built
+   * @param {string} line - Raw JSONL line
+   * @param {number} lineNo - 1-based line number in the transcript
+   * @param {string[]} shardLines - Collector for text shard records
+   * @param {object[]} fileLines - Collector for file shard records
+   */
+  _applyLine(entry, line, lineNo, shardLines, fileLines) {
+    if (!line.trim()) return;
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch (_) {
+      return; // Skip corrupt lines
+    }
+
+    const inner = msg.message || msg;
+    const role = msg.type || inner.role;
+    const ts = msg.timestamp || null;
+
+    if (ts) {
+      if (!entry.firstTimestamp || ts < entry.firstTimestamp) entry.firstTimestamp = ts;
+      if (!entry.lastTimestamp || ts > entry.lastTimestamp) entry.lastTimestamp = ts;
+    }
+
+    // Token usage (assistant messages only), bucketed by day and model
+    if (msg.type === 'assistant' && msg.message && msg.message.usage) {
+      const usage = msg.message.usage;
+      const model = msg.message.model || 'unknown';
+      const day = dayKey(ts, entry.mtimeMs);
+      const input = usage.input_tokens || 0;
+
+      if (!entry.usage[day]) entry.usage[day] = {};
+      if (!entry.usage[day][model]) {
+        entry.usage[day][model] = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, messages: 0 };
+      }
+      const bucket = entry.usage[day][model];
+      bucket.input += input;
+      bucket.output += usage.output_tokens || 0;
+      bucket.cacheWrite += usage.cache_creation_input_tokens || 0;
+      bucket.cacheRead += usage.cache_read_input_tokens || 0;
+      bucket.messages++;
+
+      entry.assistantMessageCount++;
+      entry.latestInputTokens = input;
+      if (input > entry.peakInputTokens) entry.peakInputTokens = input;
+      if ((entry.assistantMessageCount - 1) % entry.sampleStride === 0) {
+        entry.contextSamples.push({ msg: entry.assistantMessageCount, tokens: input, ts });
+        if (entry.contextSamples.length > MAX_CONTEXT_SAMPLES) {
+          entry.contextSamples = entry.contextSamples.filter((_, i) => i % 2 === 0);
+          entry.sampleStride *= 2;
+        }
+      }
+    }
+
+    // File tool calls, and the results that report them failed
+    if (msg.message && Array.isArray(msg.message.content)) {
+      for (const block of msg.message.content) {
+        if (!block) continue;
+        if (msg.type === 'assistant' && block.type === 'tool_use') {
+          const rec = fileRecord(block, lineNo, ts, msg.cwd || null);
+          if (!rec) continue;
+          fileLines.push(rec);
+          entry.fileCallCount++;
+          if (rec.id) entry.openFileCalls.push(rec.id);
+          if (entry.openFileCalls.length > MAX_OPEN_FILE_CALLS) entry.openFileCalls.shift();
+        } else if (msg.type === 'user' && block.type === 'tool_result') {
+          const open = entry.openFileCalls.indexOf(block.tool_use_id);
+          if (open === -1) continue;
+          entry.openFileCalls.splice(open, 1);
+          if (block.is_error) fileLines.push({ l: lineNo, t: ts, e: block.tool_use_id });
+        }
+      }
+    }
+
+    // Searchable text
+    const isUser = role === 'user' || role === 'human';
+    if (!isUser && role !== 'assistant') return;
+    const text = extractText(inner.content);
+    if (!text) return;
+
+    entry.messageCount++;
+    if (isUser) entry.userMessageCount++;
+    shardLines.push(JSON.stringify({ l: lineNo, t: ts, r: isUser ? 'user' : 'assistant', x: text }));
+
+    const meaningful = text.length >= 5 && !(text.startsWith('<') && text.includes('system-reminder'));
+    if (!meaningful) return;
+    const clean = text.replace(/[\r\n]+/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!entry.name) {
+      entry.name = clean.length > 50 ? clean.substring(0, 50).replace(/\s+\S*$/, '') + '...' : clean;
+    }
+    if (isUser && !entry.firstUserText) {
+      entry.firstUserText = clean.substring(0, 500);
+    }
+  }
+
+  // ─── Lookups ─────────────────────────────────────────────
+
+  /**
+   * Resolve a Claude session UUID to its JSONL path.
+   * @param {string} sessionId
+   * @returns {string|null}
+   */
+  findFile(sessionId) {
+    this._ensureLoaded();
+    return this._bySession.get(sessionId) || null;
+  }
+
+  /**
+   * Get the index entry for a Claude session UUID.
+   * @param {string} sessionId
+   * @returns {object|null}
+   */
+  getEntry(sessionId) {
+    const filePath = this.findFile(sessionId);
+    return filePath ? this._files[filePath] || null : null;
+  }
+
+  /**
+   * All indexed transcripts, newest first.
+   * @returns {object[]}
+   */
+  listFiles() {
+    this._ensureLoaded();
+    return Object.values(this._files).sort((a, b) => b.mtimeMs - a.mtimeMs);
+  }
+
+  /**
+   * All project directories with their decoded paths and indexed transcripts.
+   * @returns {Array<{ encodedName: string, realPath: string, projectName: string, files: object[] }>}
+   */
+  listProjects() {
+    this._ensureLoaded();
+    const byProject = {};
+    for (const [encodedName, info] of Object.entries(this._projects)) {
+      byProject[encodedName] = { encodedName, realPath: info.realPath, projectName: info.projectName, files: [] };
+    }
+    for (const entry of this.listFiles()) {
+      if (byProject[entry.encodedName]) byProject[entry.encodedName].files.push(entry);
+    }
+    return Object.values(byProject);
+  }
+
+  /**
+   * Get project info (real path and display name) for an encoded dir name.
+   * @param {string} encodedName
+   * @returns {{ realPath: string, projectName: string }|null}
+   */
+  getProject(encodedName) {
+    this._ensureLoaded();
+    return this._projects[encodedName] || null;
+  }
+
+  /**
+   * Read the text shard records for an entry.
+   * @param {object} entry
+   * @returns {Array<{ l: number, t: string|null, r: string, x: string }>}
+   */
+  readText(entry) {
+    let raw;
+    try {
+      raw = fs.readFileSync(path.join(this.textDir, entry.shard), 'utf-8');
+    } catch (_) {
+      return [];
+    }
+    const records = [];
+    for (const line of raw.split('\n')) {
+      if (!line) continue;
+      try { records.push(JSON.parse(line)); } catch (_) {}
+    }
+    return records;
+  }
+
+  /**
+   * Read the file shard records for an entry.
+   * @param {object} entry
+   * @returns {object[]} See fileRecord(); failures are { l, t, e: tool use ID }
+   */
+  readFileRecords(entry) {
+    let raw;
+    try {
+      raw = fs.readFileSync(path.join(this.filesDir, entry.shard), 'utf-8');
+    } catch (_) {
+      return [];
+    }
+    const records = [];
+    for (const line of raw.split('\n')) {
+      if (!line) continue;
+      try { records.push(JSON.parse(line)); } catch (_) {}
+    }
+    return records;
+  }
+
+  /**
+   * Add a transcript's file records to the reverse map.
+   * @param {string} filePath - Transcript path
+   * @param {object[]} records
+   */
+  _mapFiles(filePath, records) {
+    for (const rec of records) {
+      if (!rec.f) continue;
+      const key = fileKey(rec.f);
+      if (!this._fileMap.has(key)) this._fileMap.set(key, new Set());
+      this._fileMap.get(key).add(filePath);
+    }
+  }
+
+  /**
+   * Every session that read or changed a file, newest activity first.
+   * @param {string} query - Absolute path, or a path suffix such as "src/app.js"
+   * @param {object} [options]
+   * @param {string} [options.since] - ISO time
+   * @param {string} [options.until] - ISO time
+   * @param {number} [options.timeoutMs=5000] - Return partial results after this long
+   * @returns {{ results: object[], files: string[], timedOut: boolean }} results:
+   *   [{ sessionId, sessionName, projectPath, projectName, reads, edits, firstAt, lastAt, events }]
+   *   (see fileEvents); files: the matching paths
+   */
+  fileHistory(query, { since = null, until = null, timeoutMs = 5000 } = {}) {
+    this._ensureLoaded();
+    const start = Date.now();
+    if (!this._fileMap) {
+      this._fileMap = new Map();
+      for (const entry of Object.values(this._files)) {
+        if (entry.fileCallCount) this._mapFiles(entry.filePath, this.readFileRecords(entry));
+      }
+    }
+
+    const matches = fileMatcher(query);
+    const candidates = new Set();
+    for (const [key, transcripts] of this._fileMap) {
+      if (!matches(key)) continue;
+      for (const filePath of transcripts) candidates.add(filePath);
+    }
+
+    const results = [];
+    const files = new Set();
+    let timedOut = false;
+    for (const filePath of candidates) {
+      const entry = this._files[filePath];
+      if (!entry) continue; // Removed since the map was built
+      if (Date.now() - start > timeoutMs) {
+        timedOut = true;
+        break;
+      }
+      const events = fileEvents(this.readFileRecords(entry), matches, { since, until });
+      if (events.length === 0) continue;
+      for (const event of events) files.add(event.file);
+      const project = this._projects[entry.encodedName] || {};
+      results.push({
+        sessionId: entry.sessionId,
+        sessionName: entry.name || entry.sessionId,
+        projectPath: project.realPath || entry.encodedName,
+        projectName: project.projectName || entry.encodedName,
+        ...summarizeFileEvents(events),
+      });
+    }
+    results.sort((a, b) => (b.lastAt || '').localeCompare(a.lastAt || ''));
+    return { results, files: [...files], timedOut };
+  }
+
+  /**
+   * Case-insensitive substring search across indexed message text.
+   * @param {string} query
+   * @param {object} [options]
+   * @param {number} [options.limit=20] - Max result objects to collect
+   * @param {number} [options.timeoutMs=5000] - Return partial results after this long
+   * @returns {{ results: object[], totalMatches: number, searchedFiles: number, timedOut: boolean }}
+   */
+  search(query, { limit = 20, timeoutMs = 5000 } = {}) {
+    this._ensureLoaded();
+    const needle = query.toLowerCase();
+    const start = Date.now();
+    const results = [];
+    let totalMatches = 0;
+    let searchedFiles = 0;
+    let timedOut = false;
+
+    for (const entry of this.listFiles()) {
+      if (Date.now() - start > timeoutMs) {
+        timedOut = true;
+        break;
+      }
+      searchedFiles++;
+      if (entry.messageCount === 0) continue;
+
+      const project = this._projects[entry.encodedName] || {};
+      for (const rec of this.readText(entry)) {
+        const lower = rec.x.toLowerCase();
+        const matchIndex = lower.indexOf(needle);
+        if (matchIndex === -1) continue;
+
+        totalMatches++;
+        if (results.length >= limit) continue;
+
+        // Build ~200 char snippet around the match
+        const snippetStart = Math.max(0, matchIndex - 100);
+        const snippetEnd = Math.min(rec.x.length, matchIndex + needle.length + 100);
+        let snippet = rec.x.substring(snippetStart, snippetEnd).replace(/[\r\n]+/g, ' ').replace(/\s+/g, ' ').trim();
+        if (snippetStart > 0) snippet = '...' + snippet;
+        if (snippetEnd < rec.x.length) snippet = snippet + '...';
+
+        results.push({
+          sessionId: entry.sessionId,
+          sessionName: entry.name || entry.sessionId,
+          projectPath: project.realPath || entry.encodedName,
+          projectName: project.projectName || entry.encodedName,
+          timestamp: rec.t,
+          role: rec.r,
+          snippet,
+          lineNumber: rec.l,
+        });
+      }
+    }
+
+    return { results, totalMatches, searchedFiles, timedOut };
+  }
+
+  /**
+   * Find sessions whose user messages contain ALL of the given terms.
+   * @param {string[]} terms - Lowercased search terms
+   * @param {number} [maxResults=50]
+   * @returns {object[]} Results sorted by file modification time (newest first)
+   */
+  searchConversations(terms, maxResults = 50) {
+    this._ensureLoaded();
+    const results = [];
+
+    for (const entry of this.listFiles()) {
+      if (results.length >= maxResults) break;
+      if (entry.userMessageCount === 0) continue;
+
+      const userTexts = this.readText(entry)
+        .filter(rec => rec.r === 'user' && rec.x.length >= 5 && !rec.x.startsWith('<system-reminder'))
+        .map(rec => rec.x.replace(/[\r\n]+/g, ' ').replace(/\s+/g, ' ').trim());
+      if (userTexts.length === 0) continue;
+
+      const allText = userTexts.join(' ').toLowerCase();
+      if (!terms.every(term => allText.includes(term))) continue;
+
+      // Best preview = the message matching the most terms
+      let bestPreview = '';
+      let bestScore = 0;
+      for (const text of userTexts) {
+        const lower = text.toLowerCase();
+        const score = terms.filter(t => lower.includes(t)).length;
+        if (score > bestScore) {
+          bestScore = score;
+          bestPreview = text;
+        }
+      }
+      if (bestPreview.length > 200) {
+        bestPreview = bestPreview.substring(0, 200).replace(/\s+\S*$/, '') + '...';
+      }
+      let topic = userTexts[0] || '';
+      if (topic.length > 100) {
+        topic = topic.substring(0, 100).replace(/\s+\S*$/, '') + '...';
+      }
+
+      const project = this._projects[entry.encodedName] || {};
+      results.push({
+        sessionId: entry.sessionId,
+        projectPath: project.realPath || entry.encodedName,
+        projectEncoded: entry.encodedName,
+        projectName: project.projectName || entry.encodedName,
+        topic,
+        preview: bestPreview,
+        modified: new Date(entry.mtimeMs),
+        size: entry.size,
+        messageCount: userTexts.length,
+      });
+    }
+
+    return results;
+  }
+}
+
+module.exports = { TranscriptIndex, extractText, dayKey, fileMatcher, fileEvents, summarizeFileEvents };
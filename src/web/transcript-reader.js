@@ -0,0 +1,308 @@
+/**
+ * Paged reading of session transcripts for the conversation viewer.
+ *
+ * Transcripts are append-only JSONL and can run to hundreds of megabytes, so
+ * pages are read by byte range instead of loading the file. A cursor is
+ * "<byte offset>:<line number>" for the start of a line: a page reads forward
+ * from one (cursor) or backward from one (before). Line numbers are 1-based
+ * and count every line, as the transcript index does, so a search hit's
+ * lineNumber can be opened directly (line). A trailing line without its
+ * newline is still being written and is left for the next page.
+ *
+ * Each provider turns its own records into entries (parseTranscriptEntry);
+ * this module clips large tool payloads and adds line diffs for Claude Code's
+ * file editing tools (Edit, MultiEdit, Write).
+ */
+
+const fs = require('fs');
+
+const READ_CHUNK_BYTES = 256 * 1024;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_TEXT_CHARS = 20000;   // Per tool result or tool input string
+const MAX_DIFF_LINES = 400;     // Per tool call
+const DIFF_CONTEXT_LINES = 3;
+
+/**
+ * Parse a "<offset>:<line>" cursor.
+ * @param {string} value
+ * @returns {{ offset: number, line: number }|null}
+ */
+function parseCursor(value) {
+  const match = /^(\d+):(\d+)$/.exec(String(value || ''));
+  if (!match) return null;
+  const cursor = { offset: parseInt(match[1], 10), line: parseInt(match[2], 10) };
+  return cursor.line >= 1 ? cursor : null;
+}
+
+/**
+ * @param {{ offset: number, line: number }} position
+ * @returns {string}
+ */
+function formatCursor(position) {
+  return `${position.offset}:${position.line}`;
+}
+
+/**
+ * Visit complete lines from a position onward until the visitor returns false.
+ * @param {number} fd
+ * @param {number} size - File size
+ * @param {{ offset: number, line: number }} start
+ * @param {function(string, number, number): boolean} visit - (text, lineNo, lineOffset)
+ * @returns {{ offset: number, line: number, done: boolean }} Where the next unread line starts
+ */
+function forEachLineForward(fd, size, start, visit) {
+  let { offset, line } = start;
+  let chunkSize = READ_CHUNK_BYTES;
+
+  while (offset < size) {
+    const want = Math.min(chunkSize, size - offset);
+    const buf = Buffer.alloc(want);
+    const bytesRead = fs.readSync(fd, buf, 0, want, offset);
+    if (bytesRead <= 0) break;
+
+    let pos = 0;
+    while (pos < bytesRead) {
+      const newline = buf.indexOf(0x0a, pos);
+      if (newline === -1 || newline >= bytesRead) break;
+      const keepGoing = visit(buf.toString('utf-8', pos, newline), line, offset + pos);
+      line++;
+      pos = newline + 1;
+      if (keepGoing === false) return { offset: offset + pos, line, done: offset + pos >= size };
+    }
+
+    if (pos === 0) {
+      // No complete line in this chunk
+      if (offset + bytesRead >= size) break; // Trailing partial line
+      chunkSize *= 2; // A single line longer than the chunk: read more
+      continue;
+    }
+    offset += pos;
+    chunkSize = READ_CHUNK_BYTES;
+  }
+  return { offset, line, done: true };
+}
+
+/**
+ * Visit the lines before a position, nearest first, until the visitor returns false.
+ * @param {number} fd
+ * @param {{ offset: number, line: number }} end - Start of the line after the ones visited
+ * @param {function(string, number, number): boolean} visit - (text, lineNo, lineOffset)
+ * @returns {{ offset: number, line: number }} Start of the earliest line visited
+ */
+function forEachLineBackward(fd, end, visit) {
+  let { offset, line } = end;
+  let chunkSize = READ_CHUNK_BYTES;
+
+  while (offset > 0) {
+    const start = Math.max(0, offset - chunkSize);
+    const buf = Buffer.alloc(offset - start);
+    fs.readSync(fd, buf, 0, buf.length, start);
+
+    // buf ends with the newline of the line before `offset`
+    let lineEnd = buf.length - 1;
+    let progressed = false;
+    while (lineEnd >= 0) {
+      const previousNewline = lineEnd === 0 ? -1 : buf.lastIndexOf(0x0a, lineEnd - 1);
+      if (previousNewline === -1 && start > 0) break; // Line starts before this chunk
+      const lineStart = previousNewline + 1;
+      line--;
+      const keepGoing = visit(buf.toString('utf-8', lineStart, lineEnd), line, start + lineStart);
+      progressed = true;
+      lineEnd = previousNewline;
+      if (keepGoing === false || lineEnd < 0) return { offset: start + lineStart, line };
+    }
+
+    offset = start + lineEnd + 1;
+    chunkSize = progressed ? READ_CHUNK_BYTES : chunkSize * 2;
+  }
+  return { offset: 0, line: 1 };
+}
+
+/**
+ * Find where a 1-based line starts, counting newlines without decoding.
+ * @param {number} fd
+ * @param {number} size
+ * @param {number} lineNo
+ * @returns {{ offset: number, line: number }} The line's start, or the end of the file
+ */
+function seekLine(fd, size, lineNo) {
+  let offset = 0;
+  let line = 1;
+  const buf = Buffer.alloc(READ_CHUNK_BYTES);
+  while (line < lineNo && offset < size) {
+    const bytesRead = fs.readSync(fd, buf, 0, Math.min(buf.length, size - offset), offset);
+    if (bytesRead <= 0) break;
+    let pos = 0;
+    while (line < lineNo) {
+      const newline = buf.indexOf(0x0a, pos);
+      if (newline === -1 || newline >= bytesRead) break;
+      line++;
+      pos = newline + 1;
+    }
+    offset += line < lineNo ? bytesRead : pos;
+  }
+  return { offset, line };
+}
+
+/**
+ * Cut a string to MAX_TEXT_CHARS.
+ * @param {string} text
+ * @returns {string}
+ */
+function clip(text) {
+  if (typeof text !== 'string' || text.length <= MAX_TEXT_CHARS) return text;
+  return text.slice(0, MAX_TEXT_CHARS) + `\n… (${text.length - MAX_TEXT_CHARS} more characters)`;
+}
+
+/**
+ * Line diff of one replacement: the changed middle as removals then
+ * additions, with up to DIFF_CONTEXT_LINES unchanged lines around it.
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{ op: ' '|'-'|'+', text: string }>}
+ */
+function lineDiff(oldText, newText) {
+  const a = oldText ? oldText.split('\n') : [];
+  const b = newText ? newText.split('\n') : [];
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const lines = [];
+  for (let i = Math.max(0, prefix - DIFF_CONTEXT_LINES); i < prefix; i++) lines.push({ op: ' ', text: a[i] });
+  for (let i = prefix; i < a.length - suffix; i++) lines.push({ op: '-', text: a[i] });
+  for (let i = prefix; i < b.length - suffix; i++) lines.push({ op: '+', text: b[i] });
+  const tailEnd = Math.min(a.length, a.length - suffix + DIFF_CONTEXT_LINES);
+  for (let i = a.length - suffix; i < tailEnd; i++) lines.push({ op: ' ', text: a[i] });
+  return lines;
+}
+
+/**
+ * Diff of a Claude Code file editing tool call.
+ * @param {string} name - Tool name
+ * @param {object} input - Tool input
+ * @returns {{ file: string, hunks: object[][], truncated: boolean }|null} Null for other tools
+ */
+function toolDiff(name, input) {
+  if (!input || typeof input.file_path !== 'string') return null;
+  let hunks;
+  if (name === 'Edit') {
+    hunks = [lineDiff(input.old_string || '', input.new_string || '')];
+  } else if (name === 'MultiEdit' && Array.isArray(input.edits)) {
+    hunks = input.edits.map(e => lineDiff((e && e.old_string) || '', (e && e.new_string) || ''));
+  } else if (name === 'Write') {
+    hunks = [lineDiff('', input.content || '')];
+  } else {
+    return null;
+  }
+
+  let budget = MAX_DIFF_LINES;
+  let truncated = false;
+  hunks = hunks.map(hunk => {
+    if (hunk.length <= budget) {
+      budget -= hunk.length;
+      return hunk;
+    }
+    truncated = true;
+    const kept = hunk.slice(0, budget);
+    budget = 0;
+    return kept;
+  }).filter(hunk => hunk.length > 0);
+  return { file: input.file_path, hunks, truncated };
+}
+
+/**
+ * Clip a provider's entry for the wire: long tool results and inputs are
+ * cut, and file edits carry a diff in place of their raw strings.
+ * @param {object} entry
+ * @returns {object}
+ */
+function finishEntry(entry) {
+  const blocks = entry.blocks.map(block => {
+    if (block.type === 'tool_result') return { ...block, content: clip(block.content) };
+    if (block.type !== 'tool_use') return block;
+
+    const diff = toolDiff(block.name, block.input);
+    let input = block.input;
+    if (diff) {
+      const { old_string, new_string, content, edits, ...rest } = input;
+      input = rest;
+    } else if (input && typeof input === 'object') {
+      input = Object.fromEntries(Object.entries(input).map(([k, v]) => [k, clip(v)]));
+    } else {
+      input = clip(input);
+    }
+    return diff ? { ...block, input, diff } : { ...block, input };
+  });
+  return { ...entry, blocks };
+}
+
+/**
+ * Read one page of a transcript.
+ * @param {string} filePath
+ * @param {function(object): object|null} parseEntry - The provider's parseTranscriptEntry
+ * @param {object} [options]
+ * @param {{ offset: number, line: number }} [options.cursor] - Read forward from here
+ * @param {{ offset: number, line: number }} [options.before] - Read backward from here
+ * @param {number} [options.line] - Read forward from this line
+ * @param {number} [options.limit=50] - Entries per page (max 200)
+ * @returns {{ entries: object[], prevCursor: string|null, nextCursor: string, hasMore: boolean, size: number }}
+ *   prevCursor is null at the start of the file; nextCursor is returned even at
+ *   the end, so a viewer can poll it for new messages
+ */
+function readTranscriptPage(filePath, parseEntry, { cursor, before, line, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const entries = [];
+  const collect = (text, lineNo, lineOffset) => {
+    if (!text.trim()) return true;
+    let record;
+    try { record = JSON.parse(text); } catch (_) { return true; }
+    const entry = parseEntry(record);
+    if (!entry || !entry.blocks || entry.blocks.length === 0) return true;
+    entries.push({ line: lineNo, cursor: formatCursor({ offset: lineOffset, line: lineNo }), ...finishEntry(entry) });
+    return entries.length < pageSize;
+  };
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+
+    if (before) {
+      const end = before.offset > size ? { offset: size, line: before.line } : before;
+      const start = forEachLineBackward(fd, end, collect);
+      entries.reverse();
+      return {
+        entries,
+        prevCursor: start.offset > 0 ? formatCursor(start) : null,
+        nextCursor: formatCursor(end),
+        hasMore: end.offset < size,
+        size,
+      };
+    }
+
+    const start = line ? seekLine(fd, size, line) : (cursor || { offset: 0, line: 1 });
+    const end = forEachLineForward(fd, size, start, collect);
+    return {
+      entries,
+      prevCursor: start.offset > 0 ? formatCursor(start) : null,
+      nextCursor: formatCursor(end),
+      hasMore: !end.done,
+      size,
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseCursor,
+  readTranscriptPage,
+  forEachLineForward,
+  lineDiff,
+  toolDiff,
+};
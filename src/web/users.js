@@ -0,0 +1,441 @@
+/**
+ * User accounts and login sessions for the Web API.
+ *
+ * Accounts live in state/users.json with salted scrypt password hashes.
+ * Login sessions (one per issued Bearer token) live in
+ * state/auth-sessions.json so a server restart doesn't log everyone out.
+ * Only a SHA-256 of each token is stored; the token itself is returned once,
+ * at login.
+ *
+ * Roles:
+ *   - admin: everything, plus managing users and other users' sessions
+ *   - user:  everything except account administration
+ *
+ * A session records its user, expiry and last-seen time. Last-seen updates
+ * are written lazily (at most once per LAST_SEEN_PERSIST_MS per session).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const STATE_DIR = path.join(__dirname, '..', '..', 'state');
+const USERS_FILE = path.join(STATE_DIR, 'users.json');
+const SESSIONS_FILE = path.join(STATE_DIR, 'auth-sessions.json');
+
+const ROLES = ['admin', 'user'];
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{0,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const DEFAULT_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const LAST_SEEN_PERSIST_MS = 60 * 1000;
+const SAVE_DELAY_MS = 2000;
+
+// scrypt cost parameters (stored with each hash so they can be raised later)
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * Hash a password as "scrypt$N$r$p$salt$hash" (base64url salt and hash).
+ * @param {string} password
+ * @returns {string}
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64url'), hash.toString('base64url')].join('$');
+}
+
+/**
+ * Check a password against a stored hash in constant time.
+ * @param {string} password
+ * @param {string} stored - Output of hashPassword()
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+  const parts = typeof stored === 'string' ? stored.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64url');
+  try {
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64url'), expected.length, {
+      N: Number(N), r: Number(r), p: Number(p), maxmem: 256 * Number(N) * Number(r),
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * SHA-256 of a token, as stored on disk.
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Account fields safe to send to clients.
+ * @param {object} user
+ * @returns {{ id: string, username: string, displayName: string, role: string, disabled: boolean, createdAt: string, updatedAt: string }}
+ */
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName,
+    role: user.role,
+    disabled: !!user.disabled,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+  };
+}
+
+class UserStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.usersFile] - Accounts file (default state/users.json)
+   * @param {string} [options.sessionsFile] - Login sessions file (default state/auth-sessions.json)
+   * @param {number} [options.tokenTtlMs] - Lifetime of a login token
+   */
+  constructor({ usersFile = USERS_FILE, sessionsFile = SESSIONS_FILE, tokenTtlMs = DEFAULT_TOKEN_TTL_MS } = {}) {
+    this.usersFile = usersFile;
+    this.sessionsFile = sessionsFile;
+    this.tokenTtlMs = tokenTtlMs;
+    this._users = this._read(usersFile, 'users');
+    this._sessions = this._read(sessionsFile, 'sessions');
+    this._saveTimer = null;
+    this._pruneSessions();
+  }
+
+  // ─── Accounts ────────────────────────────────────────────
+
+  /** @returns {boolean} True if no accounts exist yet */
+  isEmpty() {
+    return this._users.length === 0;
+  }
+
+  /** @returns {object[]} All accounts (public fields) */
+  listUsers() {
+    return this._users.map(publicUser);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null} Public account fields
+   */
+  getUser(id) {
+    const user = this._users.find(u => u.id === id);
+    return user ? publicUser(user) : null;
+  }
+
+  /**
+   * Create an account.
+   * @param {object} fields
+   * @param {string} fields.username - Lowercase letters, digits, ".", "_", "-"
+   * @param {string} fields.password
+   * @param {string} [fields.displayName]
+   * @param {'admin'|'user'} [fields.role='user']
+   * @param {object} [options]
+   * @param {boolean} [options.skipPasswordPolicy] - Used to seed the admin from a legacy password
+   * @returns {{ user?: object, error?: string }}
+   */
+  createUser({ username, password, displayName, role = 'user' } = {}, { skipPasswordPolicy = false } = {}) {
+    const name = String(username || '').trim().toLowerCase();
+    if (!USERNAME_RE.test(name)) {
+      return { error: 'Username must be 1-32 characters: letters, digits, ".", "_" or "-"' };
+    }
+    if (this._users.some(u => u.username === name)) return { error: 'Username already exists' };
+    if (!ROLES.includes(role)) return { error: `Role must be one of: ${ROLES.join(', ')}` };
+    const passwordError = skipPasswordPolicy ? null : this._checkPassword(password);
+    if (passwordError) return { error: passwordError };
+
+    const now = new Date().toISOString();
+    const user = {
+      id: crypto.randomUUID(),
+      username: name,
+      displayName: String(displayName || '').trim().slice(0, 60) || name,
+      role,
+      disabled: false,
+      passwordHash: hashPassword(String(password)),
+      createdAt: now,
+      updatedAt: now,
+    };
+    this._users.push(user);
+    this._writeUsers();
+    return { user: publicUser(user) };
+  }
+
+  /**
+   * Update an account's display name, role, or disabled flag. Disabling a
+   * user revokes their sessions. The last enabled admin can't be demoted or
+   * disabled.
+   * @param {string} id
+   * @param {{ displayName?: string, role?: string, disabled?: boolean }} updates
+   * @returns {{ user?: object, error?: string }}
+   */
+  updateUser(id, { displayName, role, disabled } = {}) {
+    const user = this._users.find(u => u.id === id);
+    if (!user) return { error: 'User not found' };
+    if (role !== undefined && !ROLES.includes(role)) return { error: `Role must be one of: ${ROLES.join(', ')}` };
+
+    const losesAdmin = user.role === 'admin' && !user.disabled &&
+      ((role !== undefined && role !== 'admin') || disabled === true);
+    if (losesAdmin && this._users.filter(u => u.role === 'admin' && !u.disabled).length === 1) {
+      return { error: 'Cannot demote or disable the last admin' };
+    }
+
+    if (displayName !== undefined) user.displayName = String(displayName).trim().slice(0, 60) || user.username;
+    if (role !== undefined) user.role = role;
+    if (disabled !== undefined) user.disabled = !!disabled;
+    user.updatedAt = new Date().toISOString();
+    this._writeUsers();
+    if (user.disabled) this.revokeUserSessions(user.id);
+    return { user: publicUser(user) };
+  }
+
+  /**
+   * Set an account's password and revoke its sessions.
+   * @param {string} id
+   * @param {string} password
+   * @param {object} [options]
+   * @param {string} [options.keepSessionId] - Session to leave signed in (changing your own password)
+   * @param {boolean} [options.skipPasswordPolicy]
+   * @returns {{ user?: object, error?: string }}
+   */
+  setPassword(id, password, { keepSessionId = null, skipPasswordPolicy = false } = {}) {
+    const user = this._users.find(u => u.id === id);
+    if (!user) return { error: 'User not found' };
+    const passwordError = skipPasswordPolicy ? null : this._checkPassword(password);
+    if (passwordError) return { error: passwordError };
+
+    user.passwordHash = hashPassword(String(password));
+    user.updatedAt = new Date().toISOString();
+    this._writeUsers();
+    this.revokeUserSessions(user.id, { exceptSessionId: keepSessionId });
+    return { user: publicUser(user) };
+  }
+
+  /**
+   * Check a user's password without signing in.
+   * @param {string} id
+   * @param {string} password
+   * @returns {boolean}
+   */
+  checkPassword(id, password) {
+    const user = this._users.find(u => u.id === id);
+    return !!user && typeof password === 'string' && verifyPassword(password, user.passwordHash);
+  }
+
+  /**
+   * Verify credentials for an enabled account.
+   * @param {string} username
+   * @param {string} password
+   * @returns {object|null} Public account fields, or null
+   */
+  authenticate(username, password) {
+    const name = String(username || '').trim().toLowerCase();
+    const user = this._users.find(u => u.username === name);
+    if (!user || user.disabled || typeof password !== 'string') return null;
+    return verifyPassword(password, user.passwordHash) ? publicUser(user) : null;
+  }
+
+  _checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  // ─── Login sessions ──────────────────────────────────────
+
+  /**
+   * Issue a token for a user.
+   * @param {string} userId
+   * @param {object} [meta]
+   * @param {string} [meta.ip]
+   * @param {string} [meta.userAgent]
+   * @returns {{ token: string, session: object }}
+   */
+  createSession(userId, { ip = '', userAgent = '' } = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const session = {
+      id: crypto.randomBytes(8).toString('hex'),
+      tokenHash: hashToken(token),
+      userId,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.tokenTtlMs).toISOString(),
+      lastSeenAt: new Date(now).toISOString(),
+      ip: String(ip).slice(0, 64),
+      userAgent: String(userAgent).slice(0, 200),
+    };
+    this._sessions.push(session);
+    this._writeSessions();
+    return { token, session: this._describeSession(session) };
+  }
+
+  /**
+   * Resolve a token to its session and enabled user, touching last-seen.
+   * @param {string} token
+   * @returns {{ session: object, user: object }|null}
+   */
+  resolveToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    const tokenHash = hashToken(token);
+    const session = this._sessions.find(s => s.tokenHash === tokenHash);
+    if (!session) return null;
+
+    const now = Date.now();
+    if (Date.parse(session.expiresAt) <= now) {
+      this.revokeSession(session.id);
+      return null;
+    }
+    const user = this._users.find(u => u.id === session.userId);
+    if (!user || user.disabled) return null;
+
+    if (now - Date.parse(session.lastSeenAt) >= LAST_SEEN_PERSIST_MS) {
+      session.lastSeenAt = new Date(now).toISOString();
+      this._scheduleSave();
+    }
+    return { session: this._describeSession(session), user: publicUser(user) };
+  }
+
+  /**
+   * List unexpired sessions, newest first.
+   * @param {object} [options]
+   * @param {string} [options.userId] - Only this user's sessions
+   * @returns {object[]}
+   */
+  listSessions({ userId = null } = {}) {
+    this._pruneSessions();
+    return this._sessions
+      .filter(s => !userId || s.userId === userId)
+      .map(s => this._describeSession(s))
+      .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+  }
+
+  /**
+   * @param {string} id - Session ID (not the token)
+   * @returns {object|null} The session, if it exists
+   */
+  getSession(id) {
+    const session = this._sessions.find(s => s.id === id);
+    return session ? this._describeSession(session) : null;
+  }
+
+  /**
+   * Revoke a session by ID.
+   * @param {string} id
+   * @returns {boolean} True if a session was removed
+   */
+  revokeSession(id) {
+    const before = this._sessions.length;
+    this._sessions = this._sessions.filter(s => s.id !== id);
+    if (this._sessions.length === before) return false;
+    this._writeSessions();
+    return true;
+  }
+
+  /**
+   * Revoke a token (logout).
+   * @param {string} token
+   * @returns {boolean}
+   */
+  revokeToken(token) {
+    const tokenHash = hashToken(String(token || ''));
+    const session = this._sessions.find(s => s.tokenHash === tokenHash);
+    return session ? this.revokeSession(session.id) : false;
+  }
+
+  /**
+   * Revoke all of a user's sessions.
+   * @param {string} userId
+   * @param {object} [options]
+   * @param {string} [options.exceptSessionId]
+   * @returns {number} Sessions revoked
+   */
+  revokeUserSessions(userId, { exceptSessionId = null } = {}) {
+    const before = this._sessions.length;
+    this._sessions = this._sessions.filter(s => s.userId !== userId || s.id === exceptSessionId);
+    const revoked = before - this._sessions.length;
+    if (revoked > 0) this._writeSessions();
+    return revoked;
+  }
+
+  _describeSession(session) {
+    const { tokenHash, ...rest } = session;
+    return { ...rest };
+  }
+
+  _pruneSessions() {
+    const now = Date.now();
+    const before = this._sessions.length;
+    this._sessions = this._sessions.filter(s => Date.parse(s.expiresAt) > now);
+    if (this._sessions.length !== before) this._scheduleSave();
+  }
+
+  // ─── Persistence ─────────────────────────────────────────
+
+  _read(file, key) {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      return Array.isArray(data[key]) ? data[key] : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  _writeFile(file, payload) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmpFile = file + '.tmp';
+    fs.writeFileSync(tmpFile, JSON.stringify(payload, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    fs.renameSync(tmpFile, file);
+  }
+
+  _writeUsers() {
+    this._writeFile(this.usersFile, { version: 1, users: this._users });
+  }
+
+  _writeSessions() {
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    this._writeFile(this.sessionsFile, { version: 1, sessions: this._sessions });
+  }
+
+  _scheduleSave() {
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => this._writeSessions(), SAVE_DELAY_MS);
+    this._saveTimer.unref();
+  }
+
+  /**
+   * Write any pending last-seen updates now.
+   */
+  flush() {
+    if (this._saveTimer) this._writeSessions();
+  }
+}
+
+// Singleton
+let instance = null;
+function getUserStore() {
+  if (!instance) {
+    instance = new UserStore();
+    process.on('exit', () => instance.flush());
+  }
+  return instance;
+}
+
+module.exports = {
+  UserStore,
+  getUserStore,
+  hashPassword,
+  verifyPassword,
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+};
@@ -363,6 +363,28 @@ test('launchSession returns error for non-existent session', () => {
   store.destroy();
 });
 
+test('buildCommand adds resume, permission and model flags', () => {
+  const { buildCommand } = require('../src/core/session-manager');
+  assertEqual(buildCommand({}), 'claude');
+  assertEqual(
+    buildCommand({ command: 'claude', resumeSessionId: 'abc-123', bypassPermissions: true, model: 'opus' }),
+    'claude --resume abc-123 --dangerously-skip-permissions --model opus'
+  );
+});
+
+test('launchers judge liveness by their own process model', () => {
+  const { resolveLauncher, getLauncherFor, isSessionAlive } = require('../src/core/launchers');
+  assertEqual(getLauncherFor({}).name, 'windows', 'Sessions without a launcher were console launches');
+  assertEqual(isSessionAlive({ pid: process.pid }), true);
+  assertEqual(isSessionAlive({ pid: null, launcher: 'tmux' }), false);
+  assertEqual(isSessionAlive({ pid: process.pid, launcher: 'tmux', launcherHandle: '@999999' }), false,
+    'A live PID without its tmux window is not the session');
+  assertEqual(isSessionAlive({ pid: process.pid, launcher: 'headless' }), true);
+  let message = '';
+  try { resolveLauncher('screen'); } catch (err) { message = err.message; }
+  assert(message.includes('Unknown launcher'), 'Unknown launchers are rejected');
+});
+
 // ──────────────────────────────────────────────────────
 suite('Core - Notifications');
 
@@ -420,6 +442,1547 @@ test('checkForRecovery detects stale sessions', () => {
   store.destroy();
 });
 
+// ──────────────────────────────────────────────────────
+suite('Web - Transcript Index');
+
+/** Helper: temp ~/.claude/projects layout with one project dir and an index dir */
+function tempTranscriptDirs() {
+  const os = require('os');
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-index-'));
+  const projectsDir = path.join(root, 'projects');
+  fs.mkdirSync(path.join(projectsDir, 'C--Code-demo'), { recursive: true });
+  return { root, projectsDir, indexDir: path.join(root, 'index') };
+}
+
+function jsonlLine(obj) {
+  return JSON.stringify(obj) + '\n';
+}
+
+test('TranscriptIndex indexes usage, text, and session paths', () => {
+  const { TranscriptIndex } = require('../src/web/transcript-index');
+  const dirs = tempTranscriptDirs();
+  const file = path.join(dirs.projectsDir, 'C--Code-demo', 'abc-123.jsonl');
+  fs.writeFileSync(file,
+    jsonlLine({ type: 'user', timestamp: '2026-01-05T10:00:00Z', message: { role: 'user', content: 'Fix the login redirect bug' } }) +
+    jsonlLine({ type: 'assistant', timestamp: '2026-01-05T10:00:05Z', message: { model: 'claude-sonnet-4-5', content: [{ type: 'text', text: 'Looking now' }], usage: { input_tokens: 100, output_tokens: 20 } } }));
+
+  const index = new TranscriptIndex({ projectsDir: dirs.projectsDir, indexDir: dirs.indexDir });
+  index.refresh();
+  assertEqual(index.findFile('abc-123'), file);
+  const entry = index.getEntry('abc-123');
+  assertEqual(entry.usage['2026-01-05']['claude-sonnet-4-5'].input, 100);
+  assertEqual(entry.name, 'Fix the login redirect bug');
+  assertEqual(index.search('redirect').results.length, 1);
+  assertEqual(index.search('redirect').results[0].lineNumber, 1);
+  fs.rmSync(dirs.root, { recursive: true, force: true });
+});
+
+test('TranscriptIndex parses only appended lines and persists offsets', () => {
+  const { TranscriptIndex } = require('../src/web/transcript-index');
+  const dirs = tempTranscriptDirs();
+  const file = path.join(dirs.projectsDir, 'C--Code-demo', 'abc-456.jsonl');
+  const usageLine = jsonlLine({ type: 'assistant', timestamp: '2026-01-05T10:00:05Z', message: { model: 'm', usage: { input_tokens: 10, output_tokens: 1 } } });
+  fs.writeFileSync(file, usageLine);
+
+  const first = new TranscriptIndex({ projectsDir: dirs.projectsDir, indexDir: dirs.indexDir });
+  first.refresh();
+  const offset = first.getEntry('abc-456').offset;
+  assertEqual(offset, Buffer.byteLength(usageLine));
+
+  // A partial trailing line is left for the next pass
+  fs.appendFileSync(file, usageLine + '{"type":"assis');
+  const second = new TranscriptIndex({ projectsDir: dirs.projectsDir, indexDir: dirs.indexDir });
+  second.refresh();
+  const entry = second.getEntry('abc-456');
+  assertEqual(entry.offset, offset * 2);
+  assertEqual(entry.usage['2026-01-05'].m.messages, 2);
+  assertEqual(entry.lineCount, 2);
+  fs.rmSync(dirs.root, { recursive: true, force: true });
+});
+
+test('TranscriptIndex re-parses rewritten files and drops deleted ones', () => {
+  const { TranscriptIndex } = require('../src/web/transcript-index');
+  const dirs = tempTranscriptDirs();
+  const file = path.join(dirs.projectsDir, 'C--Code-demo', 'abc-789.jsonl');
+  fs.writeFileSync(file, jsonlLine({ type: 'user', message: { content: 'first version of the chat' } }).repeat(3));
+
+  const index = new TranscriptIndex({ projectsDir: dirs.projectsDir, indexDir: dirs.indexDir });
+  index.refresh();
+  assertEqual(index.getEntry('abc-789').userMessageCount, 3);
+
+  fs.writeFileSync(file, jsonlLine({ type: 'user', message: { content: 'second version' } }));
+  index.refresh();
+  assertEqual(index.getEntry('abc-789').userMessageCount, 1);
+  assertEqual(index.search('first version').results.length, 0);
+
+  fs.unlinkSync(file);
+  index.refresh();
+  assertEqual(index.findFile('abc-789'), null);
+  fs.rmSync(dirs.root, { recursive: true, force: true });
+});
+
+test('TranscriptIndex file history records reads and edits, minus failed calls', () => {
+  const { TranscriptIndex } = require('../src/web/transcript-index');
+  const dirs = tempTranscriptDirs();
+  const file = path.join(dirs.projectsDir, 'C--Code-demo', 'abc-file.jsonl');
+  const call = (id, name, input, ts) => jsonlLine({
+    type: 'assistant', cwd: '/code/demo', timestamp: ts,
+    message: { content: [{ type: 'tool_use', id, name, input }] },
+  });
+  const result = (id, isError) => jsonlLine({ type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: id, is_error: isError }] } });
+  fs.writeFileSync(file,
+    call('r1', 'Read', { file_path: '/code/demo/src/web/server.js' }, '2026-01-05T10:00:00Z') + result('r1', false) +
+    call('e1', 'Edit', { file_path: 'src/web/server.js', old_string: 'a', new_string: 'b' }, '2026-01-06T10:00:00Z') +
+    call('e2', 'Edit', { file_path: '/code/demo/src/web/server.js', old_string: 'x', new_string: 'y' }, '2026-01-07T10:00:00Z'));
+
+  const index = new TranscriptIndex({ projectsDir: dirs.projectsDir, indexDir: dirs.indexDir });
+  index.refresh();
+  // The failure arrives in a later pass than its call
+  fs.appendFileSync(file, result('e1', false) + result('e2', true));
+  index.refresh();
+
+  const history = index.fileHistory('web/server.js');
+  assertEqual(history.files.join(','), '/code/demo/src/web/server.js', 'Relative paths resolve against cwd');
+  assertEqual(history.results.length, 1);
+  const session = history.results[0];
+  assertEqual(`${session.reads} ${session.edits} ${session.lastAt}`, '1 1 2026-01-06T10:00:00Z', 'The failed edit is left out');
+  assertEqual(session.events[1].edits[0].new, 'b');
+  assertEqual(session.events[1].line, 3);
+  assertEqual(index.fileHistory('/code/demo/src/web/server.js', { since: '2026-01-06T00:00:00Z' }).results[0].events.length, 1);
+  assertEqual(index.fileHistory('server.js.bak').results.length, 0);
+  assertEqual(index.fileHistory('eb/server.js').results.length, 0, 'Suffixes match whole path segments');
+  fs.rmSync(dirs.root, { recursive: true, force: true });
+});
+
+// ──────────────────────────────────────────────────────
+suite('Web - Budgets');
+
+test('periodWindow computes UTC day, Monday-start week, and month', () => {
+  const { periodWindow } = require('../src/web/budgets');
+  const now = new Date('2026-03-12T15:00:00Z'); // Thursday
+  assertEqual(periodWindow('daily', now).key, 'daily:2026-03-12');
+  const week = periodWindow('weekly', now);
+  assertEqual(week.startDay, '2026-03-09');
+  assertEqual(week.endDay, '2026-03-15');
+  const month = periodWindow('monthly', now);
+  assertEqual(month.key, 'monthly:2026-03');
+  assertEqual(month.endDay, '2026-03-31');
+});
+
+test('entrySpend only counts usage inside the window', () => {
+  const { entrySpend } = require('../src/web/budgets');
+  const entry = { usage: {
+    '2026-03-01': { m: { input: 1, output: 0, cacheWrite: 0, cacheRead: 0 } },
+    '2026-03-10': { m: { input: 2, output: 0, cacheWrite: 0, cacheRead: 0 } },
+  } };
+  assertEqual(entrySpend(entry, '2026-03-09', '2026-03-15', (model, b) => b.input), 2);
+});
+
+test('evaluateBudget alerts each threshold once per period and honors overrides', () => {
+  const { evaluateBudget } = require('../src/web/budgets');
+  const now = new Date('2026-03-12T15:00:00Z');
+  const budget = { period: 'monthly', limit: 10, thresholds: [0.8, 1], block: true, alerted: null, overridePeriod: null };
+
+  const over = evaluateBudget(budget, 12, now);
+  assertEqual(over.newlyCrossed.length, 2);
+  assert(over.blocked, 'Should block once exceeded');
+
+  budget.alerted = { periodKey: over.periodKey, thresholds: [0.8, 1] };
+  budget.overridePeriod = over.periodKey;
+  const again = evaluateBudget(budget, 12, now);
+  assertEqual(again.newlyCrossed.length, 0);
+  assert(!again.blocked, 'Override should lift the block');
+
+  // Next month: previous alerts and override no longer apply
+  const nextMonth = evaluateBudget(budget, 12, new Date('2026-04-02T00:00:00Z'));
+  assertEqual(nextMonth.newlyCrossed.length, 2);
+  assert(nextMonth.blocked, 'Override should expire with the period');
+});
+
+test('normalizeBudgetInput checks scope and targetId together on updates', () => {
+  const { normalizeBudgetInput } = require('../src/web/budgets');
+  const existing = { scope: 'workspace', targetId: 'ws-1', period: 'daily', limit: 5 };
+  assert(normalizeBudgetInput({ targetId: null }, existing).error, 'Workspace budget needs a target');
+  assert(normalizeBudgetInput({ scope: 'feature' }, existing).error, 'Scope change should need a new target');
+  assertEqual(normalizeBudgetInput({ scope: 'global' }, existing).value.targetId, null);
+  assertEqual(normalizeBudgetInput({ targetId: 'ws-2' }, existing).value.scope, 'workspace');
+  assertEqual(normalizeBudgetInput({ limit: 9 }, existing).value.targetId, undefined);
+  assertEqual(normalizeBudgetInput({ scope: 'workspace', targetId: 'ws-1', period: 'daily', limit: 5 }).value.targetId, 'ws-1');
+});
+
+test('Store creates, updates, and deletes budgets', () => {
+  const s = freshStore();
+  const budget = s.createBudget({ scope: 'global', period: 'daily', limit: 5 });
+  assertEqual(s.listBudgets().length, 1);
+  s.updateBudget(budget.id, { limit: 7 });
+  assertEqual(s.getBudget(budget.id).limit, 7);
+  assert(s.deleteBudget(budget.id));
+  assertEqual(s.getBudget(budget.id), null);
+  s.destroy();
+});
+
+// ──────────────────────────────────────────────────────
+suite('Web - Pricing');
+
+/** Helper: PricingTable backed by a temp file */
+function tempPricingTable(table) {
+  const os = require('os');
+  const { PricingTable } = require('../src/web/pricing');
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-pricing-')), 'pricing.json');
+  const pricing = new PricingTable({ file });
+  if (table) assertEqual(pricing.set(table).error, undefined);
+  return pricing;
+}
+
+test('PricingTable seeds the file from built-in prices', () => {
+  const pricing = tempPricingTable();
+  assert(pricing.get().models.length > 0, 'Should have built-in rules');
+  assert(fs.existsSync(pricing.file), 'Should write state file');
+  assertEqual(pricing.resolve('claude-opus-4-5-20251101').rates.input, 5);
+  fs.rmSync(path.dirname(pricing.file), { recursive: true, force: true });
+});
+
+test('PricingTable prefers exact matches, then the most specific wildcard', () => {
+  const rates = (n) => ({ input: n, output: n, cacheWrite: n, cacheRead: n });
+  const pricing = tempPricingTable({
+    default: rates(1),
+    models: [
+      { match: 'claude-*', ...rates(2) },
+      { match: 'claude-opus-*', ...rates(3) },
+      { match: 'claude-opus-9', ...rates(4) },
+    ],
+  });
+  assertEqual(pricing.resolve('claude-opus-9').rates.input, 4);
+  assertEqual(pricing.resolve('claude-opus-8').rates.input, 3);
+  assertEqual(pricing.resolve('claude-sonnet-8').rates.input, 2);
+  const unknown = pricing.resolve('gpt-x');
+  assert(unknown.fallback, 'Unmatched models should be flagged as fallback');
+  assertEqual(unknown.rates.input, 1);
+  fs.rmSync(path.dirname(pricing.file), { recursive: true, force: true });
+});
+
+test('PricingTable applies effective-date ranges', () => {
+  const rates = (n) => ({ input: n, output: 0, cacheWrite: 0, cacheRead: 0 });
+  const pricing = tempPricingTable({
+    default: rates(1),
+    models: [
+      { match: 'm', ...rates(10), effectiveTo: '2026-01-31' },
+      { match: 'm', ...rates(5), effectiveFrom: '2026-02-01' },
+    ],
+  });
+  assertEqual(pricing.price('m', { input: 1_000_000, output: 0, cacheWrite: 0, cacheRead: 0 }, '2026-01-15').cost, 10);
+  assertEqual(pricing.price('m', { input: 1_000_000, output: 0, cacheWrite: 0, cacheRead: 0 }, '2026-02-15').cost, 5);
+  fs.rmSync(path.dirname(pricing.file), { recursive: true, force: true });
+});
+
+test('validatePricing rejects malformed tables', () => {
+  const { validatePricing } = require('../src/web/pricing');
+  assertNotNull(validatePricing({ default: { input: 1 }, models: [] }).error);
+  assertNotNull(validatePricing({ default: { input: 1, output: 1, cacheWrite: 1, cacheRead: 1 }, models: [{ match: 'x', input: 1, output: 1, cacheWrite: 1, cacheRead: 1, effectiveFrom: 'soon' }] }).error);
+});
+
+suite('Web - Cost Reports');
+
+test('reportPeriod buckets days into Monday weeks and calendar months', () => {
+  const { reportPeriod } = require('../src/web/cost-reports');
+  assertEqual(reportPeriod('2026-03-04', 'day').period, '2026-03-04');
+  const week = reportPeriod('2026-03-08', 'week'); // Sunday
+  assertEqual(week.period, '2026-03-02');
+  assertEqual(week.periodEnd, '2026-03-08');
+  const month = reportPeriod('2026-02-10', 'month');
+  assertEqual(month.period, '2026-02');
+  assertEqual(month.periodEnd, '2026-02-28');
+});
+
+test('buildCostReport groups usage per period and counts shared usage once in totals', () => {
+  const { buildCostReport } = require('../src/web/cost-reports');
+  const usage = (input) => ({ input, output: 0, cacheWrite: 0, cacheRead: 0, messages: 1 });
+  const entries = [
+    { sessionId: 'a', usage: { '2026-01-30': { m1: usage(100) }, '2026-02-02': { m1: usage(200), m2: usage(50) } } },
+    { sessionId: 'b', usage: { '2026-02-03': { m2: usage(10) } } },
+  ];
+  const report = buildCostReport(entries, {
+    interval: 'month',
+    groupBy: 'feature',
+    from: '2026-01-01',
+    to: '2026-02-02',
+    // Session "a" belongs to two groups
+    groupsFor: (entry) => entry.sessionId === 'a' ? [{ key: 'f1', label: 'F1' }, { key: 'f2', label: 'F2' }] : [{ key: '', label: '(none)' }],
+    priceFn: (model, bucket) => ({ cost: bucket.input / 100, fallback: model === 'm2' }),
+  });
+
+  assertEqual(report.rows.length, 4); // 2 months × 2 features; session "b" is outside the range
+  const feb = report.rows.filter(r => r.period === '2026-02' && r.group === 'f1')[0];
+  assertEqual(feb.tokens.input, 250);
+  assertEqual(feb.cost, 2.5);
+  assertEqual(feb.messages, 2);
+  assert(feb.pricedWithFallback, 'm2 usage should flag the row');
+  assertEqual(report.totals.tokens.input, 350);
+  assertEqual(report.totals.sessions, 1);
+});
+
+test('reportToCsv quotes fields and normalizeReportQuery rejects bad input', () => {
+  const { reportToCsv, normalizeReportQuery } = require('../src/web/cost-reports');
+  const csv = reportToCsv({ rows: [{
+    period: '2026-03', periodStart: '2026-03-01', periodEnd: '2026-03-31', group: 'ws1', label: 'Acme, "Core"',
+    sessions: 1, messages: 2, tokens: { input: 1, output: 2, cacheWrite: 3, cacheRead: 4, total: 10 }, cost: 0.5, pricedWithFallback: false,
+  }] });
+  const lines = csv.trim().split('\r\n');
+  assertEqual(lines.length, 2);
+  assert(lines[0].startsWith('period,period_start,period_end,group,label'), 'Should have a header row');
+  assert(lines[1].includes('"Acme, ""Core"""'), 'Should quote fields with commas and quotes');
+  const labels = ['=HYPERLINK("http://x")', '+1', '-2', '@SUM(A1)'];
+  const formulas = reportToCsv({ rows: labels.map(label => ({
+    period: '2026-03', periodStart: '2026-03-01', periodEnd: '2026-03-31', group: 'ws1', label,
+    sessions: 1, messages: 2, tokens: { input: 1, output: 2, cacheWrite: 3, cacheRead: 4, total: 10 }, cost: 0.5, pricedWithFallback: false,
+  })) }).trim().split('\r\n').slice(1);
+  assert(formulas[0].includes(`,"'=HYPERLINK(""http://x"")",`), 'Formulas should be escaped and quoted');
+  assertEqual(formulas.slice(1).map(line => line.split(',')[4]).join(' '), `"'+1" "'-2" "'@SUM(A1)"`);
+  assertEqual(normalizeReportQuery({}).value.interval, 'month');
+  assertNotNull(normalizeReportQuery({ interval: 'year' }).error);
+  assertNotNull(normalizeReportQuery({ from: '2026-02-01', to: '2026-01-01' }).error);
+});
+
+suite('Web - Scrollback Spool');
+
+test('ScrollbackSpool persists output and rotates at the size cap', () => {
+  const os = require('os');
+  const { ScrollbackSpool } = require('../src/web/scrollback-spool');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-scrollback-'));
+  const spool = new ScrollbackSpool({ dir, maxFileBytes: 10, maxRotatedFiles: 1 });
+
+  spool.append('s1', 'aaaaaa\n');
+  spool.append('s1', 'bbbbbb\n');
+  spool.flush('s1');
+  assertEqual(new ScrollbackSpool({ dir }).read('s1'), 'aaaaaa\nbbbbbb\n');
+
+  spool.append('s1', 'cccccc\n');
+  spool.flush('s1');
+  spool.append('s1', 'dddddd\n');
+  assertEqual(spool.read('s1'), 'cccccc\ndddddd\n', 'Oldest rotated log should be dropped');
+  assertEqual(spool.tail('s1', 10), 'dddddd\n', 'Tail should start at a line boundary');
+
+  spool.clear('s1');
+  assertEqual(spool.read('s1'), '');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('stripAnsi removes escape sequences and carriage-return overwrites', () => {
+  const { stripAnsi } = require('../src/web/scrollback-spool');
+  assertEqual(stripAnsi('\x1b[1;32mok\x1b[0m\r\n'), 'ok\n');
+  assertEqual(stripAnsi('\x1b]0;title\x07a\x1b[2Cb'), 'a  b');
+  assertEqual(stripAnsi('50%\r100%\r\ndone'), '100%\ndone');
+});
+
+suite('Web - Recordings');
+
+test('RecordingManager writes asciicast v2 header and events', () => {
+  const os = require('os');
+  const { RecordingManager } = require('../src/web/recordings');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-recordings-'));
+  const recorder = new RecordingManager({ dir });
+
+  recorder.record('sess-1', 'o', 'ignored'); // Not recording yet
+  const { id } = recorder.start('sess-1', { cols: 100, rows: 40, title: 'Demo' });
+  assertEqual(recorder.start('sess-1').id, id, 'Starting twice should keep the same recording');
+  recorder.record('sess-1', 'o', 'hello\r\n');
+  recorder.record('sess-1', 'i', 'y');
+  recorder.record('sess-1', 'r', '80x24');
+  assertEqual(recorder.stop('sess-1').id, id);
+
+  const lines = fs.readFileSync(recorder.filePath(id), 'utf-8').trim().split('\n').map(l => JSON.parse(l));
+  assertEqual(lines[0].version, 2);
+  assertEqual(lines[0].width, 100);
+  assertEqual(lines[0].title, 'Demo');
+  assertEqual(lines.length, 4);
+  assertEqual(lines[1][1], 'o');
+  assertEqual(lines[1][2], 'hello\r\n');
+  assertEqual(lines[3][2], '80x24');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('Recording downloads rewrite event data line by line', () => {
+  const { mapCastLine, mapCastEvents } = require('../src/web/recordings');
+  const upper = (text) => text.toUpperCase();
+  const header = '{"version":2,"width":80,"height":24,"title":"demo"}';
+  assertEqual(mapCastLine(header, upper), header, 'The header is kept');
+  assertEqual(mapCastLine('[0.5,"o","token abc"]', upper), '[0.5,"o","TOKEN ABC"]');
+  assertEqual(mapCastLine('[0.7,"o","par', upper), '[0.7,"O","PAR', 'An unfinished line is rewritten whole');
+
+  const stream = mapCastEvents(upper);
+  stream.write(header + '\n[0.1,"o","sec');
+  stream.write('ret"]\n[0.2,"i","y"]\n');
+  stream.end();
+  assertEqual(String(stream.read()), header + '\n[0.1,"o","SECRET"]\n[0.2,"i","Y"]\n', 'Events split across chunks are joined first');
+});
+
+test('RecordingManager lists, filters, and deletes recordings', () => {
+  const os = require('os');
+  const { RecordingManager } = require('../src/web/recordings');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-recordings-'));
+  const recorder = new RecordingManager({ dir });
+
+  const a = recorder.start('sess-a');
+  recorder.start('sess-b');
+  recorder.stop('sess-b');
+  assertEqual(recorder.list().length, 2);
+  const onlyA = recorder.list({ sessionId: 'sess-a' });
+  assertEqual(onlyA.length, 1);
+  assert(onlyA[0].active, 'In-progress recording should be flagged active');
+
+  assert(!recorder.delete(a.id), 'Active recordings should not be deletable');
+  recorder.stop('sess-a');
+  assert(recorder.delete(a.id), 'Finished recording should be deleted');
+  assert(!recorder.isValidId('../etc/passwd'), 'Path-like IDs should be rejected');
+  assertEqual(recorder.list().length, 1);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+suite('Web - Share Links');
+
+test('ShareLinks verifies tokens only for their session', () => {
+  const { ShareLinks } = require('../src/web/share-links');
+  const links = new ShareLinks();
+  const link = links.create('sess-1', { label: 'Alex' });
+  assert(link.token.length >= 32, 'Token should be long and random');
+  assertEqual(links.verify(link.token, 'sess-1').label, 'Alex');
+  assertEqual(links.verify(link.token, 'sess-2'), null);
+  assertEqual(links.verify('bogus', 'sess-1'), null);
+  assertEqual(links.verify(null, 'sess-1'), null);
+});
+
+test('ShareLinks expire, list per session, and revoke', () => {
+  const { ShareLinks, MAX_SHARE_TTL_MS } = require('../src/web/share-links');
+  const links = new ShareLinks();
+  const a = links.create('sess-a');
+  links.create('sess-b', { ttlMs: 10 * MAX_SHARE_TTL_MS });
+  assertEqual(links.list().length, 2);
+  assertEqual(links.list('sess-a').length, 1);
+  const b = links.list('sess-b')[0];
+  assertEqual(Date.parse(b.expiresAt) - Date.parse(b.createdAt), MAX_SHARE_TTL_MS, 'TTL should be capped');
+
+  // Force expiry
+  links._links.get(a.token).expiresAt = new Date(Date.now() - 1000).toISOString();
+  assertEqual(links.verify(a.token, 'sess-a'), null);
+  assertEqual(links.list('sess-a').length, 0);
+
+  assertEqual(links.revoke(b.token).sessionId, 'sess-b');
+  assertEqual(links.revoke(b.token), null);
+  assertEqual(links.list().length, 0);
+});
+
+suite('Web - Users');
+
+test('UserStore hashes passwords and authenticates enabled users', () => {
+  const os = require('os');
+  const { UserStore } = require('../src/web/users');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-users-'));
+  const store = new UserStore({ usersFile: path.join(dir, 'users.json'), sessionsFile: path.join(dir, 'sessions.json') });
+
+  const { user: admin } = store.createUser({ username: 'Admin', password: 'correct horse', role: 'admin' });
+  assertEqual(admin.username, 'admin', 'Usernames should be lowercased');
+  assert(store.createUser({ username: 'admin', password: 'another one' }).error, 'Duplicate usernames should be rejected');
+  assert(store.createUser({ username: 'bob', password: 'short' }).error, 'Short passwords should be rejected');
+  assert(store.createUser({ username: '../x', password: 'long enough' }).error, 'Invalid usernames should be rejected');
+
+  const raw = fs.readFileSync(path.join(dir, 'users.json'), 'utf-8');
+  assert(!raw.includes('correct horse'), 'Plaintext password should not be stored');
+  assert(raw.includes('scrypt$'), 'Password should be stored as a scrypt hash');
+
+  assertEqual(store.authenticate('ADMIN', 'correct horse').id, admin.id);
+  assertEqual(store.authenticate('admin', 'wrong password'), null);
+
+  const { user: bob } = store.createUser({ username: 'bob', password: 'bob-password' });
+  assertEqual(bob.role, 'user');
+  store.updateUser(bob.id, { disabled: true });
+  assertEqual(store.authenticate('bob', 'bob-password'), null, 'Disabled users should not authenticate');
+  assert(store.updateUser(admin.id, { role: 'user' }).error, 'Last admin should not be demotable');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('UserStore persists sessions and revokes them on disable and password reset', () => {
+  const os = require('os');
+  const { UserStore } = require('../src/web/users');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-users-'));
+  const files = { usersFile: path.join(dir, 'users.json'), sessionsFile: path.join(dir, 'sessions.json') };
+  const store = new UserStore(files);
+  const { user } = store.createUser({ username: 'alex', password: 'alex-password' });
+
+  const { token, session } = store.createSession(user.id, { ip: '127.0.0.1', userAgent: 'test' });
+  assert(!fs.readFileSync(files.sessionsFile, 'utf-8').includes(token), 'Raw token should not be stored');
+  assert(session.expiresAt > session.createdAt, 'Session should carry an expiry');
+
+  // A fresh store (server restart) still accepts the token
+  const reloaded = new UserStore(files);
+  const resolved = reloaded.resolveToken(token);
+  assertEqual(resolved.user.username, 'alex');
+  assertEqual(resolved.session.id, session.id);
+  assertEqual(reloaded.resolveToken('not-a-token'), null);
+
+  const second = reloaded.createSession(user.id);
+  reloaded.setPassword(user.id, 'new-password!', { keepSessionId: second.session.id });
+  assertEqual(reloaded.resolveToken(token), null, 'Password reset should revoke other sessions');
+  assert(reloaded.resolveToken(second.token), 'Kept session should survive a password change');
+
+  reloaded.updateUser(user.id, { disabled: true });
+  assertEqual(reloaded.listSessions({ userId: user.id }).length, 0, 'Disabling should revoke sessions');
+
+  const expiring = new UserStore({ ...files, tokenTtlMs: -1 });
+  expiring.updateUser(user.id, { disabled: false });
+  const expired = expiring.createSession(user.id);
+  assertEqual(expiring.resolveToken(expired.token), null, 'Expired tokens should be rejected');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+suite('Web - API Keys');
+
+test('requiredScope maps routes to scopes', () => {
+  const { requiredScope } = require('../src/web/api-keys');
+  assertEqual(requiredScope('GET', '/api/sessions'), 'sessions:read');
+  assertEqual(requiredScope('POST', '/api/sessions/abc/start'), 'sessions:write');
+  assertEqual(requiredScope('POST', '/api/workspaces/w1/docs/notes'), 'docs:write');
+  assertEqual(requiredScope('GET', '/api/workspaces/w1/docs'), 'sessions:read');
+  assertEqual(requiredScope('GET', '/api/pty/abc/scrollback'), 'pty:attach');
+  assertEqual(requiredScope('POST', '/api/users'), 'admin');
+  assertEqual(requiredScope('GET', '/api/api-keys'), 'admin');
+});
+
+test('requiredScope ignores case and trailing slashes like Express routing', () => {
+  const { requiredScope } = require('../src/web/api-keys');
+  assertEqual(requiredScope('POST', '/API/update'), 'admin');
+  assertEqual(requiredScope('POST', '/api/Resources/kill-process'), 'admin');
+  assertEqual(requiredScope('POST', '/api/Tunnels'), 'admin');
+  assertEqual(requiredScope('PUT', '/api/Pricing/'), 'admin');
+  assertEqual(requiredScope('GET', '/api/users/'), 'admin');
+  assertEqual(requiredScope('POST', '/api/hooks/INSTALL/'), 'admin');
+  assertEqual(requiredScope('POST', '/api/sessions/abc/input/'), 'pty:attach');
+  assertEqual(requiredScope('POST', '/api/Sessions/abc/Wait'), 'pty:attach');
+  assertEqual(requiredScope('GET', '/api/PTY/abc/scrollback'), 'pty:attach');
+  assertEqual(requiredScope('PUT', '/api/Workspaces/w1/DOCS/notes/'), 'docs:write');
+});
+
+test('ApiKeyStore issues, resolves, scopes, and revokes keys', () => {
+  const os = require('os');
+  const { ApiKeyStore, hasScope, allowsWorkspace } = require('../src/web/api-keys');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-api-keys-'));
+  const file = path.join(dir, 'api-keys.json');
+  const store = new ApiKeyStore({ file });
+
+  assert(store.create({ name: 'x', userId: 'u1', scopes: ['bogus'] }).error, 'Unknown scopes should be rejected');
+  assert(store.create({ name: '', userId: 'u1', scopes: ['docs:write'] }).error, 'Name should be required');
+
+  const { apiKey, secret } = store.create({ name: 'CI bot', userId: 'u1', scopes: ['docs:write'], workspaceIds: ['w1'] });
+  assert(secret.startsWith('cwm_' + apiKey.id + '_'), 'Key should embed its ID');
+  assert(!fs.readFileSync(file, 'utf-8').includes(secret.split('_').pop()), 'Secret should not be stored');
+
+  const resolved = new ApiKeyStore({ file }).resolve(secret);
+  assertEqual(resolved.name, 'CI bot');
+  assert(resolved.lastUsedAt, 'Resolving should record last use');
+  assertEqual(store.resolve(secret.slice(0, -1) + (secret.endsWith('A') ? 'B' : 'A')), null, 'Wrong secret should fail');
+
+  assert(hasScope(resolved, 'docs:write'));
+  assert(!hasScope(resolved, 'sessions:write'));
+  assert(hasScope({ scopes: ['admin'] }, 'pty:attach'), 'admin should imply every scope');
+  assert(allowsWorkspace(resolved, 'w1'));
+  assert(!allowsWorkspace(resolved, 'w2'));
+  assert(!allowsWorkspace(resolved, null), 'Restricted keys should not reach cross-workspace routes');
+
+  assert(store.revoke(apiKey.id));
+  assertEqual(store.resolve(secret), null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+suite('Web - Audit Log');
+
+test('actionForRoute and requestTargets describe API calls', () => {
+  const { actionForRoute, requestTargets, outcomeForStatus } = require('../src/web/audit-log');
+  assertEqual(actionForRoute('POST', '/api/sessions'), 'sessions.create');
+  assertEqual(actionForRoute('POST', '/api/sessions/:id/stop'), 'sessions.stop');
+  assertEqual(actionForRoute('DELETE', '/api/workspaces/:id'), 'workspaces.delete');
+  assertEqual(actionForRoute('POST', '/api/pty/:sessionId/kill'), 'pty.kill');
+  assertEqual(actionForRoute('POST', '/api/tunnels'), 'tunnel.open');
+  assertEqual(actionForRoute('POST', null), 'unknown');
+
+  const targets = requestTargets(
+    { params: { id: 'ws%201' }, body: { workspaceId: 'w2', pid: 42, password: 'secret', text: 'hi' } },
+    '/api/workspaces/:id'
+  );
+  assertEqual(targets.workspaceId, 'ws 1', 'Route param should win over body');
+  assertEqual(targets.pid, 42);
+  assert(!('password' in targets) && !('text' in targets), 'Non-ID body fields should not be logged');
+  assertEqual(requestTargets({ params: { id: 'k1' }, body: {} }, '/api/api-keys/:id').apiKeyId, 'k1');
+
+  assertEqual(outcomeForStatus(201), 'success');
+  assertEqual(outcomeForStatus(403), 'denied');
+  assertEqual(outcomeForStatus(500), 'failure');
+});
+
+test('AuditLog appends JSONL per day and queries with filters and paging', () => {
+  const os = require('os');
+  const { AuditLog } = require('../src/web/audit-log');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-audit-'));
+  const log = new AuditLog({ dir, retentionDays: 0 });
+
+  log.record({ ts: '2026-03-01T10:00:00.000Z', action: 'sessions.stop', actor: { type: 'user', username: 'alex' }, targets: { sessionId: 's1' }, outcome: 'success' });
+  log.record({ ts: '2026-03-02T10:00:00.000Z', action: 'pty.kill', actor: { type: 'apiKey', username: 'alex', apiKeyName: 'CI bot' }, targets: { sessionId: 's2' }, outcome: 'success' });
+  log.record({ ts: '2026-03-02T11:00:00.000Z', action: 'users.create', actor: { type: 'user', username: 'admin' }, targets: {}, outcome: 'denied' });
+
+  assert(fs.existsSync(path.join(dir, '2026-03-01.jsonl')) && fs.existsSync(path.join(dir, '2026-03-02.jsonl')), 'One file per day');
+  const all = log.query();
+  assertEqual(all.entries.map(e => e.action).join(','), 'users.create,pty.kill,sessions.stop', 'Newest first');
+  assertEqual(log.query({ actor: 'ci bot' }).entries.length, 1);
+  assertEqual(log.query({ action: 'pty' }).entries[0].targets.sessionId, 's2');
+  assertEqual(log.query({ outcome: 'denied' }).entries.length, 1);
+  assertEqual(log.query({ target: 's1' }).entries.length, 1);
+  assertEqual(log.query({ from: '2026-03-02' }).entries.length, 2);
+  assertEqual(log.query({ to: '2026-03-01' }).entries.length, 1);
+
+  const page1 = log.query({ limit: 2 });
+  assertEqual(page1.entries.length, 2);
+  assert(page1.nextBefore, 'More entries should be signalled');
+  const page2 = log.query({ limit: 2, before: page1.nextBefore });
+  assertEqual(page2.entries.map(e => e.action).join(','), 'sessions.stop');
+  assertEqual(page2.nextBefore, null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('AuditLog pages through entries that share a timestamp', () => {
+  const os = require('os');
+  const { AuditLog } = require('../src/web/audit-log');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-audit-'));
+  const log = new AuditLog({ dir, retentionDays: 0 });
+  const ts = '2026-03-02T10:00:00.000Z';
+  for (const action of ['a.one', 'a.two', 'a.three']) log.record({ ts, action, outcome: 'success' });
+  log.record({ ts: '2026-03-01T10:00:00.000Z', action: 'a.zero', outcome: 'success' });
+
+  const seen = [];
+  let before = null;
+  do {
+    const page = log.query({ limit: 1, before });
+    seen.push(...page.entries.map(e => e.action));
+    before = page.nextBefore;
+  } while (before);
+  assertEqual(seen.join(','), 'a.three,a.two,a.one,a.zero', 'No entry lost at a shared timestamp');
+  assertEqual(log.query({ before: ts }).entries.length, 1, 'Bare timestamps still work as cursors');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+suite('Web - Hooks Bridge');
+
+test('HooksBridge maps hook events to session status and scopes tokens per session', () => {
+  const { HooksBridge } = require('../src/web/hooks-bridge');
+  const bridge = new HooksBridge({ settingsFile: path.join(require('os').tmpdir(), 'cwm-unused-settings.json') });
+  assertEqual(Object.keys(bridge.envFor('s1')).length, 0, 'No env before the server URL is known');
+  bridge.setBaseUrl('http://127.0.0.1:3456/');
+  const env = bridge.envFor('s1');
+  assertEqual(env.CWM_HOOK_URL, 'http://127.0.0.1:3456/api/hooks/events');
+  assert(bridge.verify('s1', env.CWM_HOOK_TOKEN), 'Token should verify for its session');
+  assert(!bridge.verify('s2', env.CWM_HOOK_TOKEN), 'Token should not verify for another session');
+  assert(!bridge.verify('s1', 'nope'), 'Malformed token should be rejected');
+
+  const seen = [];
+  bridge.on('status', (status) => seen.push(status.state));
+  assertEqual(bridge.ingest('s1', 'PreToolUse', { tool_name: 'Bash' }).status.tool, 'Bash');
+  assertEqual(bridge.ingest('s1', 'Notification', { message: 'Claude needs your permission to use Bash' }).status.state, 'waiting-for-permission');
+  assertEqual(bridge.ingest('s1', 'Notification', { notification_type: 'idle_prompt', message: 'Claude is waiting for your input' }).status.state, 'idle');
+  assertEqual(bridge.ingest('s1', 'PostToolUse', {}).status.state, 'running');
+  assertEqual(bridge.ingest('s1', 'Stop', { session_id: 'c-1' }).status.claudeSessionId, 'c-1');
+  assert(bridge.ingest('s1', 'Bogus', {}).error, 'Unknown events should be rejected');
+  assertEqual(bridge.getStatus('s1').state, 'done');
+  bridge.clear('s1');
+  assertEqual(bridge.getStatus('s1'), null);
+  assertEqual(seen.join(','), 'running-tool,waiting-for-permission,idle,running,done,');
+});
+
+test('HooksBridge installs and removes only its own hooks in Claude settings', () => {
+  const os = require('os');
+  const { HooksBridge, HOOK_EVENTS } = require('../src/web/hooks-bridge');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-hooks-'));
+  const settingsFile = path.join(dir, 'settings.json');
+  const theirs = { type: 'command', command: 'echo theirs' };
+  fs.writeFileSync(settingsFile, JSON.stringify({ model: 'opus', hooks: { Stop: [{ hooks: [theirs] }] } }));
+
+  const bridge = new HooksBridge({ settingsFile, clientScript: '/opt/cwm/hook-client.js', nodePath: '/usr/bin/node' });
+  assert(!bridge.installStatus().installed, 'Nothing installed yet');
+  const status = bridge.install();
+  assert(status.installed && status.current, 'Install should be current');
+  assertEqual(status.events.length, HOOK_EVENTS.length);
+  bridge.install();
+  let settings = JSON.parse(fs.readFileSync(settingsFile, 'utf-8'));
+  assertEqual(settings.model, 'opus', 'Other settings kept');
+  assertEqual(settings.hooks.Stop.length, 2, 'Reinstalling should not duplicate');
+  assertEqual(settings.hooks.PreToolUse[0].matcher, '*');
+
+  const moved = new HooksBridge({ settingsFile, clientScript: '/srv/cwm/hook-client.js', nodePath: '/usr/bin/node' });
+  assert(!moved.installStatus().current, 'A moved install should be stale');
+  assert(moved.refreshInstall(), 'Stale hooks should be refreshed');
+  assert(moved.installStatus().current);
+
+  moved.uninstall();
+  settings = JSON.parse(fs.readFileSync(settingsFile, 'utf-8'));
+  assertEqual(JSON.stringify(settings.hooks), JSON.stringify({ Stop: [{ hooks: [theirs] }] }), 'Only our hooks removed');
+  fs.writeFileSync(settingsFile, '{ not json');
+  assert(bridge.installStatus().error, 'Unparseable settings should be reported');
+  let threw = false;
+  try { bridge.install(); } catch (_) { threw = true; }
+  assert(threw, 'Install must not overwrite unparseable settings');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+suite('Web - Approvals');
+
+test('parsePrompt finds Claude permission dialogs and what they are about', () => {
+  const { parsePrompt } = require('../src/web/approvals');
+  const bash = parsePrompt([
+    '╭──────────────────────────────╮',
+    '│ Bash command                 │',
+    '│                              │',
+    '│   npm test -- --watch=false  │',
+    '│   Run the test suite         │',
+    '│                              │',
+    '│ Do you want to proceed?      │',
+    '│ ❯ 1. Yes                     │',
+    '│   2. No, and tell Claude what to do differently (esc) │',
+  ].join('\n'));
+  assertEqual(bash.tool, 'Bash');
+  assertEqual(bash.detail, 'npm test -- --watch=false');
+  assertEqual(bash.question, 'Do you want to proceed?');
+
+  const edit = parsePrompt('Edit file\nsrc/app.js\n- old\n+ new\nDo you want to make this edit to app.js?\n❯ 1. Yes\n  2. Yes, allow all edits during this session');
+  assertEqual(edit.tool, 'Edit');
+  assertEqual(edit.detail, 'app.js');
+  assertEqual(parsePrompt('Do you want to proceed? I think so.'), null, 'A question without options is not a dialog');
+});
+
+test('ApprovalInbox merges output and hook sources and resolves prompts', () => {
+  const { ApprovalInbox } = require('../src/web/approvals');
+  const { HooksBridge } = require('../src/web/hooks-bridge');
+  const hooks = new HooksBridge({ settingsFile: path.join(require('os').tmpdir(), 'cwm-unused-settings.json') });
+  const inbox = new ApprovalInbox({ hooks });
+  const events = [];
+  inbox.on('added', e => events.push('added:' + e.source));
+  inbox.on('resolved', e => events.push('resolved:' + e.resolution));
+
+  const dialog = '\x1b[1mBash command\x1b[0m\r\n  rm -rf build\r\n\r\nDo you want to proceed?\r\n\x1b[36m❯ 1. Yes\x1b[0m\r\n';
+  inbox.observeOutput('s1', dialog.slice(0, 30));
+  inbox.observeOutput('s1', dialog.slice(30));
+  inbox.observeOutput('s1', dialog); // Redraw: still one entry
+  assertEqual(inbox.list().length, 1);
+  assertEqual(inbox.list()[0].detail, 'rm -rf build');
+
+  hooks.ingest('s1', 'PreToolUse', { tool_name: 'Bash', tool_detail: 'rm -rf build/' });
+  hooks.ingest('s1', 'Notification', { notification_type: 'permission_prompt', message: 'Claude needs your permission to use Bash' });
+  const merged = inbox.list()[0];
+  assertEqual(merged.detail, 'rm -rf build/', 'Hook detail should win');
+  inbox.observeInput('s1', '\x1b[A');
+  assertEqual(inbox.list().length, 1, 'Arrow keys do not answer the dialog');
+  inbox.observeInput('s1', '\r');
+  assertEqual(inbox.list().length, 0, 'Enter answers the dialog');
+
+  hooks.ingest('s2', 'PreToolUse', { tool_name: 'Write', tool_detail: '/tmp/x.txt' });
+  hooks.ingest('s2', 'Notification', { message: 'Claude needs your permission to use Write' });
+  const fromHook = inbox.list()[0];
+  assertEqual(fromHook.tool, 'Write');
+  assertEqual(inbox.resolve(fromHook.id, 'approved').resolution, 'approved');
+  assertEqual(inbox.resolve(fromHook.id, 'approved'), null, 'Cannot resolve twice');
+
+  hooks.ingest('s3', 'Notification', { message: 'Claude needs your permission to use Bash' });
+  hooks.ingest('s3', 'Stop', {});
+  assertEqual(inbox.list().length, 0, 'A finished turn clears its prompt');
+  assertEqual(events.join(','), 'added:output,resolved:answered-in-terminal,added:hook,resolved:approved,added:hook,resolved:answered');
+});
+
+suite('Web - Session Wait');
+
+test('idleState prefers hook status and falls back to quiet output', () => {
+  const { idleState } = require('../src/web/session-wait');
+  const { HooksBridge } = require('../src/web/hooks-bridge');
+  const hooks = new HooksBridge({ settingsFile: path.join(require('os').tmpdir(), 'cwm-unused-settings.json') });
+  const pending = [];
+  const ptys = { a: { alive: true, lastOutputAt: null }, b: { alive: true, lastOutputAt: null } };
+  const opts = { since: Date.now() - 10000, quietMs: 1000, hooks, approvals: { list: () => pending }, ptyManager: { getSession: id => ptys[id] || null } };
+
+  assertEqual(idleState('gone', opts).state, 'exited');
+  assertEqual(idleState('a', opts), null, 'No output yet since the input');
+  ptys.a.lastOutputAt = Date.now() - 200;
+  assertEqual(idleState('a', opts), null, 'Output still too recent');
+  ptys.a.lastOutputAt = Date.now() - 2000;
+  assertEqual(idleState('a', opts).state, 'idle');
+
+  hooks.ingest('b', 'PreToolUse', { tool_name: 'Bash' });
+  ptys.b.lastOutputAt = Date.now() - 5000;
+  assertEqual(idleState('b', opts), null, 'Hook status overrides quiet output');
+  hooks.ingest('b', 'Stop', {});
+  assertEqual(idleState('b', opts).state, 'done');
+  assertEqual(idleState('b', { ...opts, since: Date.now() + 1000 }), null, 'A Stop before since does not count');
+  pending.push({ id: 'x', sessionId: 'b' });
+  assertEqual(idleState('b', opts).state, 'waiting-for-permission');
+});
+
+test('readFinalAssistantMessage returns the last text reply of the turn', () => {
+  const { readFinalAssistantMessage } = require('../src/web/session-wait');
+  const file = path.join(require('os').tmpdir(), `cwm-wait-${Date.now()}.jsonl`);
+  const line = (o) => JSON.stringify(o);
+  fs.writeFileSync(file, [
+    line({ type: 'user', message: { role: 'user', content: 'Plan the refactor' } }),
+    line({ type: 'assistant', timestamp: '2026-01-01T00:00:01Z', message: { role: 'assistant', content: [{ type: 'text', text: 'Here is the plan.' }] } }),
+    line({ type: 'assistant', message: { role: 'assistant', content: [{ type: 'tool_use', name: 'Write', input: {} }] } }),
+    line({ type: 'user', message: { role: 'user', content: [{ type: 'tool_result', content: 'ok' }] } }),
+    'not json',
+    '',
+  ].join('\n'));
+  const final = readFinalAssistantMessage(file);
+  assertEqual(final.text, 'Here is the plan.');
+  assertEqual(final.timestamp, '2026-01-01T00:00:01Z');
+
+  fs.appendFileSync(file, line({ type: 'user', message: { role: 'user', content: [{ type: 'text', text: 'Now implement it' }] } }) + '\n');
+  assertEqual(readFinalAssistantMessage(file), null, 'A newer prompt without a reply yet');
+  assertEqual(readFinalAssistantMessage(file + '.missing'), null);
+  fs.unlinkSync(file);
+});
+
+suite('Web - Session Todos');
+
+test('claude parseTodos folds TodoWrite calls into status history', () => {
+  const claude = require('../src/providers/claude');
+  const file = path.join(require('os').tmpdir(), `cwm-todos-${Date.now()}.jsonl`);
+  const todoWrite = (at, todos) => ({
+    type: 'assistant', timestamp: at,
+    message: { role: 'assistant', content: [{ type: 'tool_use', id: at, name: 'TodoWrite', input: { todos } }] },
+  });
+  fs.writeFileSync(file, [
+    todoWrite('2026-10-19T10:00:00Z', [
+      { content: 'Add route', status: 'in_progress', activeForm: 'Adding route' },
+      { content: 'Write tests', status: 'pending', activeForm: 'Writing tests' },
+    ]),
+    { type: 'user', message: { role: 'user', content: 'mentions TodoWrite but is not one' } },
+    todoWrite('2026-10-19T10:01:00Z', [
+      { content: 'Add route', status: 'completed', activeForm: 'Adding route' },
+      { content: 'Write tests', status: 'pending', activeForm: 'Writing tests' },
+    ]),
+    todoWrite('2026-10-19T10:02:00Z', [
+      { content: 'Add route', status: 'completed', activeForm: 'Adding route' },
+      { content: 'Write tests', status: 'in_progress', activeForm: 'Writing tests' },
+      { content: 'Update docs', status: 'pending', activeForm: 'Updating docs' },
+    ]),
+  ].map(jsonlLine).join('') + 'not json\n');
+
+  const state = claude.parseTodos(file);
+  fs.unlinkSync(file);
+  assertEqual(state.updates, 3);
+  assertEqual(state.updatedAt, '2026-10-19T10:02:00Z');
+  assertEqual(state.todos.map(t => t.status).join(','), 'completed,in_progress,pending');
+  assertEqual(
+    state.todos[0].history.map(h => `${h.status}@${h.at}`).join(','),
+    'in_progress@2026-10-19T10:00:00Z,completed@2026-10-19T10:01:00Z',
+    'Only status changes are recorded'
+  );
+  assertEqual(state.todos[2].history.length, 1);
+  assertEqual(JSON.stringify(state.summary), JSON.stringify({ total: 3, completed: 1, inProgress: 1, pending: 1 }));
+});
+
+test('codex update_plan calls become todos and mirror as docs tasks', () => {
+  const codex = require('../src/providers/codex');
+  const { todosAsTasks } = require('../src/web/session-todos');
+  const file = path.join(require('os').tmpdir(), `cwm-plan-${Date.now()}.jsonl`);
+  const plan = (at, steps) => ({
+    type: 'response_item', timestamp: at,
+    payload: { type: 'function_call', name: 'update_plan', arguments: JSON.stringify({ plan: steps }) },
+  });
+  fs.writeFileSync(file, [
+    plan('2026-10-19T10:00:00Z', [{ step: 'Scaffold', status: 'in_progress' }, { step: 'Ship', status: 'pending' }]),
+    plan('2026-10-19T10:05:00Z', [{ step: 'Scaffold', status: 'completed' }, { step: 'Ship', status: 'bogus' }]),
+  ].map(jsonlLine).join(''));
+
+  const state = codex.parseTodos(file);
+  fs.unlinkSync(file);
+  assertEqual(state.todos.length, 2);
+  assertEqual(state.todos[1].status, 'pending', 'Unknown statuses read as pending');
+  assertEqual(
+    JSON.stringify(todosAsTasks(state.todos, 'api')),
+    JSON.stringify([{ text: 'Scaffold (api)', done: true }, { text: 'Ship (api)', done: false }])
+  );
+});
+
+suite('Web - Transcript Reader');
+
+test('readTranscriptPage pages forward, backward and from a line', () => {
+  const { readTranscriptPage, parseCursor } = require('../src/web/transcript-reader');
+  const claude = require('../src/providers/claude');
+  const file = path.join(require('os').tmpdir(), `cwm-transcript-${Date.now()}.jsonl`);
+  const text = (i) => ({ type: 'assistant', message: { role: 'assistant', content: [{ type: 'text', text: `msg ${i}` }] } });
+  const lines = [];
+  for (let i = 1; i <= 30; i++) lines.push(i === 10 ? { type: 'file-history-snapshot' } : text(i));
+  fs.writeFileSync(file, lines.map(jsonlLine).join('') + '{"type":"assistant","mess'); // Still being written
+
+  try {
+    const first = readTranscriptPage(file, claude.parseTranscriptEntry, { limit: 12 });
+    assertEqual(first.entries.map(e => e.line).join(','), '1,2,3,4,5,6,7,8,9,11,12,13', 'Non-message lines are skipped');
+    assertEqual(first.prevCursor, null);
+    assertEqual(first.hasMore, true);
+
+    let next = first;
+    let seen = first.entries.length;
+    while (next.hasMore) {
+      next = readTranscriptPage(file, claude.parseTranscriptEntry, { cursor: parseCursor(next.nextCursor), limit: 12 });
+      seen += next.entries.length;
+    }
+    assertEqual(seen, 29);
+    assertEqual(parseCursor(next.nextCursor).line, 31, 'The partial last line is left for later');
+
+    const hit = readTranscriptPage(file, claude.parseTranscriptEntry, { line: 20, limit: 2 });
+    assertEqual(hit.entries[0].blocks[0].text, 'msg 20');
+    const above = readTranscriptPage(file, claude.parseTranscriptEntry, { before: parseCursor(hit.prevCursor), limit: 10 });
+    assertEqual(above.entries.map(e => e.line).join(','), '9,11,12,13,14,15,16,17,18,19');
+    const top = readTranscriptPage(file, claude.parseTranscriptEntry, { before: parseCursor(above.prevCursor) });
+    assertEqual(top.entries.length, 8);
+    assertEqual(top.prevCursor, null);
+    assertEqual(parseCursor('12:0'), null);
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
+
+test('transcript entries carry tool calls, results, usage and edit diffs', () => {
+  const { lineDiff } = require('../src/web/transcript-reader');
+  const claude = require('../src/providers/claude');
+  const codex = require('../src/providers/codex');
+
+  assertEqual(
+    lineDiff('a\nb\nc\nd\ne\nold\nf', 'a\nb\nc\nd\ne\nnew\nf').map(l => l.op + l.text).join('|'),
+    ' c| d| e|-old|+new| f',
+    'Changed lines with up to 3 lines of context'
+  );
+  assertEqual(lineDiff('', 'x\ny').map(l => l.op + l.text).join('|'), '+x|+y');
+
+  const assistant = claude.parseTranscriptEntry({
+    type: 'assistant', isSidechain: true, timestamp: '2026-10-19T10:00:00Z',
+    message: { model: 'claude-sonnet-4', usage: { input_tokens: 5, output_tokens: 7, cache_read_input_tokens: 100 }, content: [
+      { type: 'thinking', thinking: 'Plan' },
+      { type: 'tool_use', id: 't1', name: 'Task', input: { description: 'Explore' } },
+    ] },
+  });
+  assertEqual(assistant.blocks.map(b => b.type).join(','), 'thinking,tool_use');
+  assertEqual(assistant.sidechain, true);
+  assertEqual(assistant.usage.cacheRead, 100);
+  const result = claude.parseTranscriptEntry({
+    type: 'user', toolUseResult: { agentId: 'a1b2' },
+    message: { content: [{ type: 'tool_result', tool_use_id: 't1', content: [{ type: 'text', text: 'Found it' }] }] },
+  });
+  assertEqual(result.blocks[0].toolUseId, 't1');
+  assertEqual(result.blocks[0].content, 'Found it');
+  assertEqual(result.blocks[0].agentId, 'a1b2');
+  assertEqual(claude.parseTranscriptEntry({ type: 'file-history-snapshot' }), null);
+
+  const call = codex.parseTranscriptEntry({ type: 'response_item', payload: { type: 'function_call', call_id: 'c1', name: 'shell', arguments: '{"command":["ls"]}' } });
+  assertEqual(call.blocks[0].input.command[0], 'ls');
+  const output = codex.parseTranscriptEntry({ type: 'response_item', payload: { type: 'function_call_output', call_id: 'c1', output: 'a.txt' } });
+  assertEqual(output.blocks[0].toolUseId, 'c1');
+  assertEqual(codex.parseTranscriptEntry({ type: 'event_msg', payload: { type: 'token_count' } }), null);
+});
+
+suite('Web - Secret Scanner');
+
+/** Helper: SecretScanner backed by a temp patterns file */
+function tempSecretScanner() {
+  const os = require('os');
+  const { SecretScanner } = require('../src/web/secret-scanner');
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-secrets-')), 'secret-patterns.json');
+  return new SecretScanner({ file });
+}
+
+test('SecretScanner redacts known formats and random-looking strings', () => {
+  const scanner = tempSecretScanner();
+  const github = 'ghp_' + 'A1b2C3d4'.repeat(5);
+  assertEqual(scanner.redact(`export GITHUB_TOKEN=${github}`), 'export GITHUB_TOKEN=[REDACTED:github-token]');
+  assertEqual(scanner.redact('DB_PASSWORD=hunter2hunter2'), 'DB_PASSWORD=[REDACTED:env-assignment]');
+  assertEqual(scanner.redact('postgres://app:s3cret@db:5432/x'), 'postgres://app:[REDACTED:url-credentials]@db:5432/x');
+  assertEqual(scanner.redact('key xK9mP2vL8nQ4wR7tY1uZ5aB3cD6eF0gH2jK4lM here'), 'key [REDACTED:high-entropy] here');
+
+  const harmless = [
+    'const token = process.env.GITHUB_TOKEN;',
+    'commit 3f2a9b8c7d6e5f4a3b2c1d0e9f8a7b6c5d4e3f2a',
+    'see /home/user/projects/MyProject2/src/components/Header.tsx',
+    'MAX_TOKENS=100000000',
+  ];
+  for (const text of harmless) assertEqual(scanner.redact(text), text);
+
+  const value = { id: github, blocks: [{ type: 'text', text: `token ${github}` }] };
+  const redacted = scanner.redactDeep(value);
+  assertEqual(redacted.id, github, 'ID fields are left alone');
+  assertEqual(redacted.blocks[0].text, 'token [REDACTED:github-token]');
+  assertEqual(value.blocks[0].text, `token ${github}`, 'The input is not modified');
+  fs.rmSync(path.dirname(scanner.file), { recursive: true, force: true });
+});
+
+test('SecretScanner custom patterns and transcript report', () => {
+  const scanner = tempSecretScanner();
+  assert(scanner.setPatterns({ patterns: [{ name: 'x', pattern: '(' }] }).error, 'Invalid regex is rejected');
+  assert(scanner.setPatterns({ patterns: [{ name: 'x', pattern: 'a*' }] }).error, 'Empty matches are rejected');
+  assertEqual(scanner.setPatterns({ patterns: [{ name: 'Corp', pattern: 'corp_[a-z]{8}' }] }).error, undefined);
+  assertEqual(scanner.redact('use corp_abcdefgh'), 'use [REDACTED:custom:Corp]');
+
+  const file = path.join(path.dirname(scanner.file), 'session.jsonl');
+  const message = (text) => ({ type: 'user', message: { role: 'user', content: [{ type: 'text', text }] } });
+  fs.writeFileSync(file, [message('hello'), message('my key is corp_abcdefgh')].map(jsonlLine).join(''));
+  let scan = scanner.scanFile(file);
+  assertEqual(scan.total, 1);
+  assertEqual(scan.complete, true);
+  const finding = scan.findings[0];
+  assertEqual(`${finding.line} ${finding.path} ${finding.rule}`, '2 message.content[0].text custom:Corp');
+  assert(!finding.preview.includes('corp_abcdefgh'), 'Previews never include the secret');
+
+  fs.appendFileSync(file, jsonlLine(message('DB_PASSWORD=hunter2hunter2')));
+  scan = scanner.scanFile(file);
+  assertEqual(scan.total, 2, 'Appended lines are scanned incrementally');
+  assertEqual(scan.findings[1].line, 3);
+  fs.rmSync(path.dirname(scanner.file), { recursive: true, force: true });
+});
+
+suite('Web - Transcript Archive');
+
+test('TranscriptArchive archives and restores a session byte-for-byte', () => {
+  const os = require('os');
+  const { TranscriptArchive } = require('../src/web/transcript-archive');
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-archive-'));
+  const projectsDir = path.join(root, 'projects');
+  const projectDir = path.join(projectsDir, 'C--Code-demo');
+  const sessionId = '11111111-2222-3333-4444-555555555555';
+  const filePath = path.join(projectDir, `${sessionId}.jsonl`);
+  const subagent = path.join(projectDir, sessionId, 'subagents', 'agent-a1.jsonl');
+  fs.mkdirSync(path.dirname(subagent), { recursive: true });
+  const content = jsonlLine({ type: 'user', message: { role: 'user', content: 'Fix the parser' } }).repeat(50);
+  fs.writeFileSync(filePath, content);
+  fs.writeFileSync(subagent, '{"type":"assistant"}\n');
+  const mtime = new Date('2026-01-02T03:04:05Z');
+  fs.utimesSync(filePath, mtime, mtime);
+
+  const archive = new TranscriptArchive({ archiveDir: path.join(root, 'archive'), projectsDir });
+  const manifest = archive.archiveSession(
+    { sessionId, encodedName: 'C--Code-demo', filePath, usage: { inputTokens: 10 }, fileCallCount: 1 },
+    {
+      text: [{ l: 1, t: null, r: 'user', x: 'Fix the parser' }],
+      files: [{ l: 2, t: '2026-01-02T03:04:05Z', o: 'edit', tool: 'Edit', f: 'C:/Code/demo/parser.js', id: 't1' }],
+      project: { realPath: 'C:\\Code\\demo', projectName: 'demo' },
+    }
+  );
+  assert(!fs.existsSync(filePath) && !fs.existsSync(path.join(projectDir, sessionId)), 'Originals are removed');
+  assertEqual(manifest.files.length, 2);
+  assert(manifest.archivedBytes < manifest.originalBytes, 'Bundle is compressed');
+
+  const reopened = new TranscriptArchive({ archiveDir: path.join(root, 'archive'), projectsDir });
+  assertEqual(reopened.get(sessionId).usage.inputTokens, 10, 'Usage survives in the manifest');
+  const hits = reopened.search('PARSER');
+  assertEqual(hits.results.length, 1);
+  assertEqual(hits.results[0].archived, true);
+  assertEqual(hits.results[0].projectName, 'demo');
+  assertEqual(reopened.fileHistory('Parser.js').results[0].edits, 1, 'File history covers archived sessions');
+
+  reopened.restoreSession(sessionId);
+  assertEqual(fs.readFileSync(filePath, 'utf-8'), content);
+  assertEqual(fs.readFileSync(subagent, 'utf-8'), '{"type":"assistant"}\n');
+  assertEqual(Math.floor(fs.statSync(filePath).mtimeMs / 1000), mtime.getTime() / 1000, 'mtime is restored');
+  assertEqual(reopened.list().length, 0);
+
+  const run = { at: '2026-01-05T00:00:00.000Z', archived: 1, skipped: 0, freedBytes: 100 };
+  reopened.recordPolicyRun(run);
+  const restarted = new TranscriptArchive({ archiveDir: path.join(root, 'archive'), projectsDir });
+  assertEqual(restarted.lastPolicyRun().at, run.at, 'Last policy run survives a restart');
+  assertEqual(restarted.list().length, 0, 'The policy run file is not a session');
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('retention policy validation and selection', () => {
+  const { validatePolicy, selectForRetention } = require('../src/web/transcript-archive');
+  assert(validatePolicy({ olderThanDays: 0 }).error, 'Zero days is rejected');
+  assert(validatePolicy({ enabled: 'yes' }).error, 'Non-boolean flags are rejected');
+  const { value: policy } = validatePolicy({ enabled: true, olderThanDays: 30 });
+  assertEqual(policy.keepOpenFeatures, true, 'Defaults fill missing fields');
+
+  const now = Date.parse('2026-06-01T00:00:00Z');
+  const daysAgo = (n) => new Date(now - n * 86400000).toISOString();
+  const entries = [
+    { sessionId: 'recent', lastTimestamp: daysAgo(5) },
+    { sessionId: 'old', lastTimestamp: daysAgo(40) },
+    { sessionId: 'older', lastTimestamp: daysAgo(90) },
+    { sessionId: 'kept', lastTimestamp: daysAgo(100) },
+    { sessionId: 'touched', lastTimestamp: daysAgo(100), mtimeMs: now - 86400000 },
+  ];
+  const selected = selectForRetention(entries, policy, { keep: new Set(['kept']), now });
+  assertEqual(selected.map(e => e.sessionId).join(','), 'older,old');
+});
+
+suite('Web - File Attribution');
+
+test('FileAttribution reads edits incrementally and drops failed ones', () => {
+  const os = require('os');
+  const { FileAttribution } = require('../src/web/file-attribution');
+  const claude = require('../src/providers/claude');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-attribution-'));
+  const file = path.join(dir, 'session.jsonl');
+  const edit = (id, filePath, at) => ({
+    type: 'assistant', cwd: '/repo', timestamp: at,
+    message: { role: 'assistant', content: [{ type: 'tool_use', id, name: 'Edit', input: { file_path: filePath, old_string: 'a', new_string: 'b' } }] },
+  });
+  const result = (id, isError, toolUseResult) => ({
+    type: 'user', toolUseResult,
+    message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: id, is_error: isError }] },
+  });
+  fs.writeFileSync(file, [
+    edit('t1', '/repo/src/a.js', '2026-10-19T10:00:00Z'),
+    result('t1', false, { structuredPatch: [{ oldStart: 10, oldLines: 3, newStart: 10, newLines: 5 }] }),
+    edit('t2', '/repo/src/b.js', '2026-10-19T10:01:00Z'),
+    result('t2', true, 'Error: file has not been read yet'),
+  ].map(jsonlLine).join(''));
+
+  const attribution = new FileAttribution();
+  let edits = attribution.update(file, claude);
+  assertEqual(edits.length, 1, 'The failed edit is dropped');
+  assertEqual(JSON.stringify(edits[0].ranges), '[{"start":10,"end":14}]');
+
+  fs.appendFileSync(file, jsonlLine({
+    type: 'assistant', cwd: '/repo', timestamp: '2026-10-19T10:02:00Z',
+    message: { role: 'assistant', content: [{ type: 'tool_use', id: 't3', name: 'Write', input: { file_path: 'lib/../src/c.js', content: 'x' } }] },
+  }));
+  edits = attribution.update(file, claude);
+  assertEqual(edits.map(e => e.file).join(','), '/repo/src/a.js,/repo/src/c.js', 'Relative paths resolve against cwd');
+  assertEqual(edits[1].ranges, null, 'Ranges are unknown until the result arrives');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('findConflicts matches edits within the window and reports line overlaps', () => {
+  const { findConflicts } = require('../src/web/file-attribution');
+  const at = (minute) => `2026-10-19T10:${String(minute).padStart(2, '0')}:00Z`;
+  const sessions = [
+    { id: 's1', name: 'api', edits: [
+      { file: '/repo/src/a.js', at: at(0), ranges: [{ start: 10, end: 20 }] },
+      { file: '/repo/src/old.js', at: at(0), ranges: null },
+      { file: 'C:/Repo/Main.cs', at: at(5), ranges: null },
+    ] },
+    { id: 's2', name: 'ui', edits: [
+      { file: '/repo/src/a.js', at: at(10), ranges: [{ start: 18, end: 25 }] },
+      { file: '/repo/src/b.js', at: at(10), ranges: null },
+      { file: 'c:/repo/main.cs', at: at(6), ranges: null },
+    ] },
+    { id: 's3', name: 'docs', edits: [{ file: '/repo/src/old.js', at: at(50), ranges: null }] },
+  ];
+  const conflicts = findConflicts(sessions, { windowMs: 30 * 60000 });
+  assertEqual(conflicts.map(c => c.file).join(','), '/repo/src/a.js,C:/Repo/Main.cs', 'Line overlaps come first; old.js is outside the window');
+  assertEqual(JSON.stringify(conflicts[0].overlaps), '[{"start":18,"end":20}]');
+  assertEqual(conflicts[0].sessions.map(s => s.name).join(','), 'api,ui');
+  assertEqual(conflicts[1].overlaps.length, 0);
+});
+
+suite('Web - Git Checkpoints');
+
+test('git diff output is parsed into stats and file changes', () => {
+  const { parseShortstat, parseNumstat, parseNameStatus } = require('../src/web/git-checkpoints');
+  const stat = parseShortstat(' 3 files changed, 10 insertions(+), 1 deletion(-)\n');
+  assertEqual(JSON.stringify(stat), '{"files":3,"insertions":10,"deletions":1}');
+  assertEqual(parseShortstat(' 1 file changed, 2 deletions(-)').insertions, 0, 'Missing counts are zero');
+  assertEqual(parseShortstat('').files, 0, 'No output means no changes');
+
+  const files = parseNumstat('4\t0\tsrc/a b.js\0-\t-\tlogo.png\0');
+  assertEqual(files.length, 2);
+  assertEqual(files[0].path, 'src/a b.js', 'Paths with spaces survive -z output');
+  assertEqual(files[1].insertions, null, 'Binary files have no line counts');
+
+  const changes = parseNameStatus('M\0src/a.js\0D\0old.txt\0A\0new.txt\0');
+  assertEqual(changes.map(c => c.status + ':' + c.path).join(','), 'M:src/a.js,D:old.txt,A:new.txt');
+});
+
+test('Checkpoint refs only accept session ids that are safe ref segments', () => {
+  const { isValidSessionId, REF_ROOT } = require('../src/web/git-checkpoints');
+  assert(isValidSessionId('3f2a9c1e-7b4d-4e8a-9c0f-1a2b3c4d5e6f'), 'UUIDs are accepted');
+  assert(!isValidSessionId('../heads/main'), 'Paths out of the checkpoint namespace are rejected');
+  assert(!isValidSessionId('a b'), 'Spaces are rejected');
+  assert(!isValidSessionId(''), 'Empty ids are rejected');
+  assert(!isValidSessionId(null), 'Non-strings are rejected');
+  assert(!REF_ROOT.startsWith('refs/heads/') && !REF_ROOT.startsWith('refs/stash'), 'Checkpoints stay out of branches and the stash');
+});
+
+test('Restoring a checkpoint brings back the working tree, leaving ignored files, the index and HEAD alone', () => {
+  const os = require('os');
+  const { execFileSync } = require('child_process');
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-checkpoints-'));
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args],
+    { cwd: repo, encoding: 'utf8' }).trim();
+  const file = (name) => path.join(repo, name);
+  // GitCheckpoints is async and this runner isn't: each call runs in a child
+  const checkpoints = (call) => JSON.parse(execFileSync(process.execPath, ['-e', `
+    const { GitCheckpoints } = require(${JSON.stringify(path.join(__dirname, '..', 'src', 'web', 'git-checkpoints'))});
+    const cp = new GitCheckpoints();
+    (${call})(cp, '3f2a9c1e-7b4d-4e8a-9c0f-1a2b3c4d5e6f', ${JSON.stringify(repo)})
+      .then(result => process.stdout.write(JSON.stringify(result)))
+      .catch(err => { console.error(err.message); process.exit(1); });
+  `], { encoding: 'utf8' }));
+
+  try {
+    git('init', '-q');
+    fs.writeFileSync(file('a.txt'), 'a1\n');
+    fs.writeFileSync(file('b.txt'), 'b1\n');
+    fs.writeFileSync(file('.gitignore'), '*.log\n');
+    git('add', '.');
+    git('commit', '-q', '-m', 'init');
+    const head = git('rev-parse', 'HEAD');
+
+    fs.writeFileSync(file('a.txt'), 'a2\n');
+    fs.writeFileSync(file('notes.txt'), 'untracked\n');
+    fs.writeFileSync(file('debug.log'), 'd1\n');
+    const { checkpoint, created } = checkpoints('(cp, id, dir) => cp.create(id, dir, { message: "turn 1" })');
+    assert(created, 'The first checkpoint is created');
+
+    fs.writeFileSync(file('a.txt'), 'a3\n');
+    fs.rmSync(file('b.txt'));
+    fs.writeFileSync(file('new.txt'), 'added later\n');
+    fs.writeFileSync(file('debug.log'), 'd2\n');
+    git('add', 'new.txt');
+    const index = git('ls-files', '-s');
+
+    const diff = checkpoints(`(cp, id, dir) => cp.diff(id, dir, { from: "${checkpoint.id}" })`);
+    assertEqual(diff.files.map(f => f.path).sort().join(','), 'a.txt,b.txt,new.txt', 'The diff runs to the working tree');
+
+    const restored = checkpoints(`(cp, id, dir) => cp.restore(id, dir, "${checkpoint.id}")`);
+    assertEqual(restored.written, 2, 'The modified and the deleted file are written back');
+    assertEqual(restored.deleted, 1, 'The file added after the checkpoint is deleted');
+    assertEqual(fs.readFileSync(file('a.txt'), 'utf8'), 'a2\n');
+    assertEqual(fs.readFileSync(file('b.txt'), 'utf8'), 'b1\n');
+    assert(!fs.existsSync(file('new.txt')), 'Files added after the checkpoint are removed');
+    assertEqual(fs.readFileSync(file('notes.txt'), 'utf8'), 'untracked\n', 'Untracked files in the checkpoint stay');
+    assertEqual(fs.readFileSync(file('debug.log'), 'utf8'), 'd2\n', 'Ignored files are never touched');
+    assertEqual(git('ls-files', '-s'), index, 'The index is left alone');
+    assertEqual(git('rev-parse', 'HEAD'), head, 'HEAD is left alone');
+
+    const listed = checkpoints('(cp, id, dir) => cp.list(id, dir)');
+    assertEqual(listed.checkpoints.length, 2, 'The state before the restore is checkpointed too');
+    assertEqual(listed.checkpoints[1].id, checkpoint.id);
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+suite('Web - Git Review');
+
+test('Status and per-file diffs are parsed into files and hunks', () => {
+  const { parseStatus, parsePatch } = require('../src/web/git-review');
+  const files = parseStatus(' M src/app.js\0A  docs/new file.md\0?? notes.txt\0');
+  assertEqual(files.map(f => `${f.index}${f.worktree}:${f.path}`).join(','), ' M:src/app.js,A :docs/new file.md,??:notes.txt');
+  assert(files[2].untracked && !files[0].untracked, 'Only ?? entries are untracked');
+
+  const patch = [
+    'diff --git a/src/app.js b/src/app.js',
+    'index 1111111..2222222 100644',
+    '--- a/src/app.js',
+    '+++ b/src/app.js',
+    '@@ -1,3 +1,3 @@',
+    ' one',
+    '-two',
+    '+TWO',
+    '@@ -20,2 +20,3 @@ function tail() {',
+    ' twenty',
+    '+added',
+    '\\ No newline at end of file',
+    '',
+  ].join('\n');
+  const parsed = parsePatch(patch);
+  assert(parsed.header.startsWith('diff --git') && parsed.header.endsWith('+++ b/src/app.js\n'), 'The file header is kept for git apply');
+  assertEqual(parsed.hunks.length, 2);
+  assertEqual(parsed.hunks[1].header, '@@ -20,2 +20,3 @@ function tail() {');
+  assertEqual(parsed.hunks[1].lines.length, 3, 'No-newline markers stay with their hunk');
+  assert(!parsed.binary);
+  assert(parsePatch('diff --git a/x.png b/x.png\nBinary files a/x.png and b/x.png differ\n').binary, 'Binary diffs are flagged');
+});
+
+test('Commit messages are drafted from the session summary', () => {
+  const { commitMessageFromSummary } = require('../src/web/git-review');
+  assertEqual(
+    commitMessageFromSummary('Fix the login redirect loop. | Files: auth.js, app.js | Tools: Edit, Bash'),
+    'Fix the login redirect loop\n\nFiles: auth.js, app.js\nTools: Edit, Bash');
+  const long = commitMessageFromSummary('Refactor the whole session management layer so that workspace sessions and project sessions share one path...');
+  assert(long.length <= 72 && long.endsWith('…'), 'Long subjects are cut at a word');
+  assertEqual(commitMessageFromSummary(''), '');
+});
+
+test('Hunks are staged, unstaged, discarded and committed in a real repo', () => {
+  const os = require('os');
+  const { execFileSync } = require('child_process');
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-review-'));
+  const identity = { GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com' };
+  const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf8', env: { ...process.env, ...identity } }).trim();
+  const file = (name) => path.join(repo, name);
+  // The module is async and this runner isn't: each call runs in a child
+  const review = (call) => JSON.parse(execFileSync(process.execPath, ['-e', `
+    const review = require(${JSON.stringify(path.join(__dirname, '..', 'src', 'web', 'git-review'))});
+    (${call})(review, ${JSON.stringify(repo)})
+      .then(result => process.stdout.write(JSON.stringify(result === undefined ? null : result)))
+      .catch(err => { console.error(err.message); process.exit(1); });
+  `], { encoding: 'utf8', env: { ...process.env, ...identity } }));
+
+  try {
+    const lines = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`);
+    git('init', '-q');
+    fs.writeFileSync(file('app.js'), lines.join('\n') + '\n');
+    git('add', '.');
+    git('commit', '-q', '-m', 'init');
+
+    const edited = [...lines];
+    edited[1] = 'line 2 changed';
+    edited[27] = 'line 28 changed';
+    fs.writeFileSync(file('app.js'), edited.join('\n') + '\n');
+    fs.writeFileSync(file('notes.txt'), 'todo\n');
+
+    const diff = review('(r, dir) => r.fileDiff(dir, "app.js")');
+    assertEqual(diff.unstaged.hunks.length, 2, 'Far-apart edits are separate hunks');
+    const [first, second] = diff.unstaged.hunks.map(h => h.header);
+
+    review(`(r, dir) => r.stage(dir, "app.js", { hunk: 0, header: ${JSON.stringify(first)} })`);
+    const cached = git('diff', '--cached');
+    assert(cached.includes('+line 2 changed') && !cached.includes('line 28 changed'), 'Only the chosen hunk is staged');
+    assert(git('diff').includes('+line 28 changed'), 'The other hunk stays unstaged');
+
+    review(`(r, dir) => r.unstage(dir, "app.js", { hunk: 0, header: ${JSON.stringify(first)} })`);
+    assertEqual(git('diff', '--cached'), '', 'Unstaging the hunk empties the index diff');
+
+    const stale = execFileSync(process.execPath, ['-e', `
+      require(${JSON.stringify(path.join(__dirname, '..', 'src', 'web', 'git-review'))})
+        .discard(${JSON.stringify(repo)}, 'app.js', { hunk: 0, header: '@@ -1 +1 @@' })
+        .catch(err => process.stdout.write(String(err.status)));
+    `], { encoding: 'utf8' });
+    assertEqual(stale, '409', 'A hunk whose header no longer matches is refused');
+
+    review(`(r, dir) => r.discard(dir, "app.js", { hunk: 1, header: ${JSON.stringify(second)} })`);
+    const expected = [...lines];
+    expected[1] = 'line 2 changed';
+    assertEqual(fs.readFileSync(file('app.js'), 'utf8'), expected.join('\n') + '\n', 'Only the discarded hunk is reverted');
+
+    review('(r, dir) => r.stage(dir, "notes.txt", { hunk: 0 })');
+    review('(r, dir) => r.stage(dir, "app.js")');
+    assertEqual(git('diff', '--cached', '--name-only'), 'app.js\nnotes.txt', 'An untracked file is staged as a new file');
+
+    const committed = review('(r, dir) => r.commit(dir, "Review changes")');
+    assertEqual(committed.subject, 'Review changes');
+    assertEqual(git('rev-parse', 'HEAD'), committed.commit);
+    assertEqual(git('status', '--porcelain'), '', 'Everything staged is committed');
+    assertEqual(git('show', 'HEAD:notes.txt'), 'todo');
+  } finally {
+    fs.rmSync(repo, { recursive: true, force: true });
+  }
+});
+
+suite('Web - Feature Worktrees');
+
+test('Feature names become branch names and default worktree paths', () => {
+  const path = require('path');
+  const { featureBranch, worktreePath } = require('../src/web/feature-worktrees');
+  assertEqual(featureBranch('Dark Mode: Settings Page!'), 'feat/dark-mode-settings-page');
+  assertEqual(featureBranch('..v2..release.lock'), 'feat/v2.release');
+  assertEqual(featureBranch('???'), 'feat/feature', 'Names with nothing usable still get a branch');
+  assertEqual(worktreePath(path.join('code', 'app'), 'feat/dark-mode'), path.join('code', 'app-wt', 'feat-dark-mode'));
+});
+
+test('The janitor flags linked worktrees no session or feature uses', () => {
+  const { parseWorktreeList, pickStale } = require('../src/web/feature-worktrees');
+  const worktrees = parseWorktreeList([
+    'worktree /code/app', 'HEAD 1111', 'branch refs/heads/main', '',
+    'worktree /code/app-wt/feat-a', 'HEAD 2222', 'branch refs/heads/feat/a', '',
+    'worktree /code/app-wt/feat-b', 'HEAD 3333', 'branch refs/heads/feat/b', '',
+    'worktree /code/app-wt/old', 'HEAD 4444', 'detached', 'prunable gitdir file points to non-existent location', '',
+    'worktree /code/app-wt/pinned', 'HEAD 5555', 'branch refs/heads/pinned', 'locked', '',
+  ].join('\n'));
+  assertEqual(worktrees.length, 5);
+  assertEqual(worktrees[1].branch, 'feat/a');
+  assert(worktrees[3].detached && worktrees[3].prunable && worktrees[4].locked);
+
+  const stale = pickStale(worktrees, {
+    sessionDirs: ['/code/app', '/code/app-wt/feat-a/src'],
+    featurePaths: ['/code/app-wt/feat-b'],
+  });
+  assertEqual(stale.map(wt => wt.path).join(','), '/code/app-wt/old',
+    'Used, owned, locked and main worktrees are kept');
+});
+
+test('Feature worktrees are created, merged back and removed in a real repo', () => {
+  const os = require('os');
+  const { execFileSync } = require('child_process');
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-worktrees-'));
+  const repo = path.join(tmp, 'app');
+  const identity = { GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com' };
+  const gitIn = (dir, ...args) => execFileSync('git', args, { cwd: dir, encoding: 'utf8', env: { ...process.env, ...identity } }).trim();
+  const commit = (dir, name, content, message) => {
+    fs.writeFileSync(path.join(dir, name), content);
+    gitIn(dir, 'add', name);
+    gitIn(dir, 'commit', '-q', '-m', message);
+  };
+  // The module is async and this runner isn't: each call runs in a child
+  const worktrees = (call) => JSON.parse(execFileSync(process.execPath, ['-e', `
+    const fw = require(${JSON.stringify(path.join(__dirname, '..', 'src', 'web', 'feature-worktrees'))});
+    (${call})(fw, ${JSON.stringify(repo)})
+      .then(result => process.stdout.write(JSON.stringify(result)))
+      .catch(err => { console.error(err.message); process.exit(1); });
+  `], { encoding: 'utf8', env: { ...process.env, ...identity } }));
+
+  try {
+    fs.mkdirSync(repo);
+    gitIn(repo, 'init', '-q', '-b', 'main');
+    commit(repo, 'a.txt', 'a1\n', 'init');
+    commit(repo, 'b.txt', 'b1\n', 'add b');
+
+    const wt = worktrees('(fw, dir) => fw.createFeatureWorktree(dir, "Dark Mode")');
+    assertEqual(wt.branch, 'feat/dark-mode');
+    assertEqual(wt.baseBranch, 'main');
+    assert(wt.created && fs.existsSync(path.join(wt.path, 'a.txt')), 'The branch is checked out in a new worktree');
+    commit(wt.path, 'a.txt', 'a2\n', 'Darken a');
+    commit(repo, 'b.txt', 'b2\n', 'Change b on main');
+    const mainBefore = gitIn(repo, 'rev-parse', 'main');
+    const wtArg = JSON.stringify(wt);
+
+    const ff = worktrees(`(fw) => fw.mergeFeature(${wtArg}, { mode: "ff" })`);
+    assert(!ff.merged && ff.reason.includes('moved on'), 'Fast-forward is refused once the base moved');
+    assertEqual(gitIn(repo, 'rev-parse', 'main'), mainBefore);
+
+    const squash = worktrees(`(fw) => fw.mergeFeature(${wtArg}, { mode: "squash", title: "Dark mode" })`);
+    assert(squash.merged && squash.commits === 1, 'The branch is squashed onto main');
+    assertEqual(gitIn(repo, 'rev-parse', 'main'), squash.commit);
+    assertEqual(gitIn(repo, 'rev-parse', 'main^'), mainBefore);
+    assertEqual(gitIn(repo, 'log', '-1', '--format=%B', 'main'), 'Dark mode\n\n- Darken a');
+    assertEqual(fs.readFileSync(path.join(repo, 'a.txt'), 'utf8'), 'a2\n', 'The main checkout follows the branch');
+
+    const again = worktrees(`(fw) => fw.mergeFeature(${wtArg}, { mode: "squash" })`);
+    assert(again.merged && again.alreadyMerged, 'Merging again is a no-op');
+    assertEqual(gitIn(repo, 'rev-parse', 'main'), squash.commit, 'No empty commit is added');
+
+    const clash = worktrees('(fw, dir) => fw.createFeatureWorktree(dir, "Clash")');
+    commit(clash.path, 'b.txt', 'b-clash\n', 'Clash on b');
+    commit(repo, 'b.txt', 'b3\n', 'Change b again');
+    const mainHead = gitIn(repo, 'rev-parse', 'main');
+    const conflicted = worktrees(`(fw) => fw.mergeFeature(${JSON.stringify(clash)}, { mode: "squash" })`);
+    assert(!conflicted.merged, 'A conflicting merge is not made');
+    assertEqual(conflicted.conflicts.join(','), 'b.txt');
+    assertEqual(gitIn(repo, 'rev-parse', 'main'), mainHead);
+    assertEqual(gitIn(repo, 'status', '--porcelain'), '', 'No conflict markers are left behind');
+
+    const removed = worktrees(`(fw) => fw.removeFeatureWorktree(${wtArg}, { mergedHead: "${squash.head}" })`);
+    assert(removed.removed && removed.branchDeleted, 'A squashed branch is deleted with its worktree');
+    assert(!fs.existsSync(wt.path));
+    const kept = worktrees(`(fw) => fw.removeFeatureWorktree(${JSON.stringify(clash)})`);
+    assert(kept.removed && !kept.branchDeleted, 'An unmerged branch is kept');
+    assertEqual(gitIn(repo, 'branch', '--format=%(refname:short)'), 'feat/clash\nmain');
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+});
+
+// ──────────────────────────────────────────────────────
+suite('Providers');
+
+test('providers build their own CLI command lines', () => {
+  const { getProvider, isValidProvider } = require('../src/providers');
+  assertEqual(getProvider().id, 'claude');
+  assertEqual(getProvider('aider').id, 'claude', 'Unknown providers fall back to Claude Code');
+  assertEqual(isValidProvider('codex'), true);
+  assertEqual(isValidProvider('toString'), false);
+  assertEqual(
+    getProvider('claude').buildCommand({ resumeSessionId: 'abc', verbose: true, model: 'opus' }),
+    'claude --resume abc --verbose --model opus'
+  );
+  assertEqual(
+    getProvider('codex').buildCommand({ resumeSessionId: 'abc', bypassPermissions: true, verbose: true, model: 'gpt-5-codex' }),
+    'codex resume abc --dangerously-bypass-approvals-and-sandbox --model gpt-5-codex'
+  );
+  for (const id of ['claude', 'codex']) {
+    let message = '';
+    try { getProvider(id).buildCommand({ model: 'opus; rm -rf ~' }); } catch (err) { message = err.message; }
+    assert(message.includes('--model'), `${id} refuses a model that would inject shell commands`);
+    message = '';
+    try { getProvider(id).buildCommand({ resumeSessionId: 'abc $(id)' }); } catch (err) { message = err.message; }
+    assert(message.includes('Invalid value'), `${id} refuses an unsafe resume ID`);
+  }
+  assertEqual(getProvider('claude').buildCommand({ model: 'claude-opus-4-1.2:beta_x' }), 'claude --model claude-opus-4-1.2:beta_x');
+});
+
+test('codex provider reads sessions and usage from rollout logs', () => {
+  const os = require('os');
+  const codex = require('../src/providers/codex');
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'cwm-codex-'));
+  const id = '0199a1b2-c3d4-7e5f-8a9b-0c1d2e3f4a5b';
+  const dir = path.join(home, 'sessions', '2026', '10', '19');
+  fs.mkdirSync(dir, { recursive: true });
+  const tokens = (input, cached, output, lastInput) => ({
+    type: 'event_msg', timestamp: '2026-10-19T10:00:10Z',
+    payload: { type: 'token_count', info: {
+      total_token_usage: { input_tokens: input, cached_input_tokens: cached, output_tokens: output },
+      last_token_usage: { input_tokens: lastInput },
+    } },
+  });
+  fs.writeFileSync(path.join(dir, `rollout-2026-10-19T10-00-00-${id}.jsonl`), [
+    { type: 'session_meta', timestamp: '2026-10-19T10:00:00Z', payload: { id, cwd: '/work/api' } },
+    { type: 'turn_context', timestamp: '2026-10-19T10:00:01Z', payload: { model: 'gpt-5-codex' } },
+    { type: 'response_item', timestamp: '2026-10-19T10:00:02Z', payload: { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Add a health check' }] } },
+    tokens(1000, 200, 50, 1000),
+    tokens(1000, 200, 50, 1000),
+    { type: 'response_item', timestamp: '2026-10-19T10:00:20Z', payload: { type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'Added GET /health' }] } },
+    tokens(2500, 900, 80, 1500),
+  ].map(jsonlLine).join(''));
+
+  const saved = process.env.CODEX_HOME;
+  process.env.CODEX_HOME = home;
+  try {
+    codex.refresh();
+    const projects = codex.listProjects();
+    assertEqual(projects.length, 1);
+    assertEqual(projects[0].realPath, '/work/api');
+    assertEqual(projects[0].files[0].sessionId, id);
+
+    const usage = codex.getUsage(id).usage['2026-10-19']['gpt-5-codex'];
+    assertEqual(usage.input, 1600, 'Cached input is split out of input_tokens');
+    assertEqual(usage.cacheRead, 900);
+    assertEqual(usage.output, 80);
+    assertEqual(usage.messages, 2, 'Repeated totals are not double counted');
+    assertEqual(codex.getUsage(id).peakInputTokens, 1500);
+    assertEqual(codex.readFinalMessage(codex.findTranscript(id)).text, 'Added GET /health');
+    assertEqual(codex.findTranscript('missing-id'), null);
+  } finally {
+    if (saved === undefined) delete process.env.CODEX_HOME;
+    else process.env.CODEX_HOME = saved;
+  }
+});
+
+// ──────────────────────────────────────────────────────
+suite('CLI');
+
+test('parseArgs splits positionals, value flags and boolean flags', () => {
+  const { parseArgs } = require('../src/cli');
+  const { args, flags } = parseArgs(['ws', 'create', 'My', 'Project', '--description', 'd', '--json', '--color=blue', '--', '--literal']);
+  assertEqual(args.join('|'), 'ws|create|My|Project|--literal');
+  assertEqual(flags.description, 'd');
+  assertEqual(flags.color, 'blue');
+  assertEqual(flags.json, true);
+  let threw = false;
+  try { parseArgs(['ls', '--workspace']); } catch (_) { threw = true; }
+  assert(threw, 'A value flag without a value is a usage error');
+});
+
+test('resolveRef matches sessions by ID, name or unique ID prefix', () => {
+  const { resolveRef } = require('../src/cli');
+  const { parseControl } = require('../src/cli/attach');
+  const items = [
+    { id: 'a1b2c3d4-0000', name: 'Planner' },
+    { id: 'a1ffffff-0000', name: 'builder' },
+    { id: 'b9999999-0000', name: 'a1b2' },
+  ];
+  assertEqual(resolveRef(items, 'b9999999-0000', 'session').name, 'a1b2');
+  assertEqual(resolveRef(items, 'planner', 'session').id, 'a1b2c3d4-0000');
+  assertEqual(resolveRef(items, 'a1b2', 'session').id, 'b9999999-0000', 'Names win over ID prefixes');
+  assertEqual(resolveRef(items, 'a1f', 'session').name, 'builder');
+  let message = '';
+  try { resolveRef(items, 'a1', 'session'); } catch (err) { message = err.message; }
+  assert(message.includes('matches 2 sessions'), 'Ambiguous prefixes are rejected');
+
+  assertEqual(parseControl('{"type":"exit","exitCode":3}').exitCode, 3);
+  assertEqual(parseControl('{"not":"control"}'), null, 'JSON printed by the program is output');
+  assertEqual(parseControl('plain output'), null);
+});
+
 // ──────────────────────────────────────────────────────
 // Results
 